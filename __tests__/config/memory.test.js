@@ -0,0 +1,320 @@
+/**
+ * Tests for the in-memory database backend
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { MemoryDatabase } = require('../../config/memory');
+
+const seed = () => ({
+    locations: [
+        { id: 'loc1', name: 'Johannesburg', capacity: 10 },
+        { id: 'loc2', name: 'Cape Town', capacity: 5 }
+    ],
+    teams: [
+        { id: 'team1', name: 'Engineering', location_id: 'loc1', manager_email: 'lead@example.com' },
+        { id: 'team2', name: 'Design', location_id: 'loc1', manager_email: null }
+    ]
+});
+
+describe('MemoryDatabase queries', () => {
+    let db;
+
+    beforeEach(() => {
+        db = new MemoryDatabase({ data: seed() });
+    });
+
+    test('fills in schema defaults on insert', async () => {
+        const { data, error } = await db.from('desks')
+            .insert({ id: 'd1', name: 'Desk 1', location_id: 'loc1' })
+            .select()
+            .single();
+
+        expect(error).toBeNull();
+        expect(data).toMatchObject({ floor: '1', desk_type: 'hotseat', chair_positions: ['bottom'], assigned_team_id: null });
+        expect(data.created_at).toEqual(expect.any(String));
+    });
+
+    test('returns no rows from a mutation unless select() is called', async () => {
+        const { data, error } = await db.from('public_holidays').insert({ date: '2024-12-25', name: 'Christmas' });
+
+        expect(error).toBeNull();
+        expect(data).toBeNull();
+    });
+
+    test('assigns serial keys', async () => {
+        const { data } = await db.from('public_holidays')
+            .insert([{ date: '2024-12-25', name: 'Christmas' }, { date: '2024-12-26', name: 'Day of Goodwill' }])
+            .select('id, date');
+
+        expect(data).toEqual([{ id: 1, date: '2024-12-25' }, { id: 2, date: '2024-12-26' }]);
+    });
+
+    test('never matches NULL except through is()', async () => {
+        const { data: eq } = await db.from('teams').select('id').neq('manager_email', 'lead@example.com');
+        const { data: isNull } = await db.from('teams').select('id').is('manager_email', null);
+
+        expect(eq).toEqual([]);
+        expect(isNull).toEqual([{ id: 'team2' }]);
+    });
+
+    test('supports in, ilike, ordering and ranges', async () => {
+        const { data } = await db.from('locations')
+            .select('id')
+            .in('id', ['loc1', 'loc2'])
+            .order('name')
+            .range(0, 0);
+        const { data: matched } = await db.from('teams').select('id').ilike('manager_email', 'LEAD@%');
+
+        expect(data).toEqual([{ id: 'loc2' }]);
+        expect(matched).toEqual([{ id: 'team1' }]);
+    });
+
+    test('stores TIME columns as HH:MM:SS', async () => {
+        const { data } = await db.from('locations')
+            .update({ opening_time: '7:30' })
+            .eq('id', 'loc1')
+            .select('opening_time, closing_time')
+            .single();
+
+        expect(data).toEqual({ opening_time: '07:30:00', closing_time: '18:00:00' });
+    });
+
+    test('single() errors unless exactly one row matches', async () => {
+        const none = await db.from('teams').select('*').eq('id', 'missing').single();
+        const many = await db.from('teams').select('*').eq('location_id', 'loc1').single();
+        const maybe = await db.from('teams').select('*').eq('id', 'missing').maybeSingle();
+
+        expect(none.error.code).toBe('PGRST116');
+        expect(many.error.code).toBe('PGRST116');
+        expect(maybe).toEqual({ data: null, error: null });
+    });
+
+    test('reports unknown tables and columns', async () => {
+        expect((await db.from('rooms').select('*')).error.code).toBe('42P01');
+        expect((await db.from('teams').select('nickname')).error.code).toBe('42703');
+        expect((await db.from('teams').update({ nickname: 'x' }).eq('id', 'team1')).error.code).toBe('PGRST204');
+    });
+
+    test('hands out copies, so callers cannot change stored rows', async () => {
+        const { data } = await db.from('teams').select('*').eq('id', 'team1');
+        data[0].name = 'Changed';
+
+        const { data: again } = await db.from('teams').select('name').eq('id', 'team1');
+        expect(again[0].name).toBe('Engineering');
+    });
+});
+
+describe('MemoryDatabase constraints', () => {
+    let db;
+
+    beforeEach(() => {
+        db = new MemoryDatabase({ data: seed() });
+    });
+
+    test('rejects NULL in NOT NULL columns', async () => {
+        const { error } = await db.from('teams').insert({ id: 'team3' });
+        expect(error.code).toBe('23502');
+    });
+
+    test('rejects values outside a CHECK list', async () => {
+        const { error } = await db.from('role_assignments').insert({ id: 'r1', user_email: 'a@example.com', role: 'Owner' });
+        expect(error.code).toBe('23514');
+    });
+
+    test('rejects references to missing rows', async () => {
+        const { error } = await db.from('teams').insert({ id: 'team3', name: 'Sales', location_id: 'nowhere' });
+        expect(error.code).toBe('23503');
+    });
+
+    test('enforces primary keys and composite unique constraints', async () => {
+        const booking = { id: 'b1', date: '2024-03-04', team_id: 'team1', team_name: 'Engineering', people_count: 2, location_id: 'loc1' };
+        await db.from('bookings').insert(booking);
+
+        expect((await db.from('bookings').insert(booking)).error.code).toBe('23505');
+        expect((await db.from('bookings').insert({ ...booking, id: 'b2' })).error.code).toBe('23505');
+        expect((await db.from('bookings').insert({ ...booking, id: 'b3', date: '2024-03-05' })).error).toBeNull();
+    });
+
+    test('inserts several rows all or none', async () => {
+        const { error } = await db.from('desks').insert([
+            { id: 'd1', name: 'Desk 1', location_id: 'loc1' },
+            { id: 'd2', name: 'Desk 2', location_id: 'nowhere' }
+        ]);
+
+        expect(error.code).toBe('23503');
+        expect(db.dump().desks).toEqual([]);
+    });
+
+    test('applies ON DELETE CASCADE and SET NULL', async () => {
+        await db.from('desks').insert({ id: 'd1', name: 'Desk 1', location_id: 'loc1', assigned_team_id: 'team1' });
+        await db.from('bookings').insert({ id: 'b1', date: '2024-03-04', team_id: 'team1', team_name: 'Engineering', people_count: 2, location_id: 'loc1' });
+
+        await db.from('teams').delete().eq('id', 'team1');
+
+        const tables = db.dump();
+        expect(tables.bookings).toEqual([]);
+        expect(tables.desks[0].assigned_team_id).toBeNull();
+    });
+
+    test('upserts on the conflict columns given', async () => {
+        await db.from('public_holidays').insert({ date: '2024-12-25', name: 'Xmas' });
+        const { data } = await db.from('public_holidays')
+            .upsert([{ date: '2024-12-25', name: 'Christmas' }, { date: '2024-12-26', name: 'Day of Goodwill' }], { onConflict: 'date' })
+            .select('id, name');
+
+        expect(data).toEqual([{ id: 1, name: 'Christmas' }, { id: 2, name: 'Day of Goodwill' }]);
+    });
+});
+
+describe('MemoryDatabase functions', () => {
+    let db;
+    const params = (overrides = {}) => ({
+        p_id: 'b1',
+        p_date: '2024-03-04',
+        p_team_id: 'team1',
+        p_team_name: 'Engineering',
+        p_people_count: 6,
+        p_location_id: 'loc1',
+        p_notes: '',
+        p_allow_overbooking: false,
+        p_series_id: null,
+        ...overrides
+    });
+
+    beforeEach(() => {
+        db = new MemoryDatabase({ data: seed() });
+    });
+
+    test('create_team_booking checks duplicates and capacity', async () => {
+        const first = await db.rpc('create_team_booking', params());
+        const duplicate = await db.rpc('create_team_booking', params({ p_id: 'b2' }));
+        const full = await db.rpc('create_team_booking', params({ p_id: 'b3', p_team_id: 'team2', p_team_name: 'Design' }));
+
+        expect(first.data).toMatchObject({ ok: true, remaining: 4, booking: { id: 'b1', status: 'confirmed' } });
+        expect(duplicate.data).toEqual({ ok: false, reason: 'duplicate', remaining: 4 });
+        expect(full.data).toEqual({ ok: false, reason: 'capacity', remaining: 4 });
+    });
+
+    test('create_team_booking stores allowed overbookings as pending', async () => {
+        await db.rpc('create_team_booking', params());
+        const { data } = await db.rpc('create_team_booking', params({
+            p_id: 'b2', p_team_id: 'team2', p_team_name: 'Design', p_allow_overbooking: true
+        }));
+
+        expect(data.booking).toMatchObject({ status: 'pending', is_overbooked: true });
+        expect(data.remaining).toBe(4);
+    });
+
+    test('approve_team_booking re-checks capacity before confirming', async () => {
+        await db.rpc('create_team_booking', params());
+        await db.rpc('create_team_booking', params({
+            p_id: 'b2', p_team_id: 'team2', p_team_name: 'Design', p_allow_overbooking: true
+        }));
+
+        const refused = await db.rpc('approve_team_booking', { p_id: 'b2', p_allow_overbooking: false });
+        const allowed = await db.rpc('approve_team_booking', { p_id: 'b2', p_allow_overbooking: true });
+        const again = await db.rpc('approve_team_booking', { p_id: 'b2', p_allow_overbooking: true });
+
+        expect(refused.data).toEqual({ ok: false, reason: 'capacity', remaining: 4 });
+        expect(allowed.data.booking).toMatchObject({ status: 'confirmed', is_overbooked: true, sequence: 1 });
+        expect(again.data).toEqual({ ok: false, reason: 'not_pending' });
+    });
+
+    test('update_team_bookings checks every day and changes all or none', async () => {
+        await db.rpc('create_team_booking', params());
+        await db.rpc('create_team_booking', params({ p_id: 'b2', p_date: '2024-03-05', p_people_count: 2 }));
+
+        const { data: refused } = await db.rpc('update_team_bookings', {
+            p_updates: [{ id: 'b2', changes: { people_count: 8 } }, { id: 'b1', changes: { people_count: 11 } }]
+        });
+        expect(refused).toEqual({ ok: false, failures: [{ reason: 'capacity', remaining: 10, index: 1 }] });
+        expect(db.dump().bookings.map(b => b.people_count)).toEqual([6, 2]);
+
+        const { data: moved } = await db.rpc('update_team_booking', { p_id: 'b2', p_changes: { date: '2024-03-04' } });
+        expect(moved).toEqual({ ok: false, reason: 'duplicate', remaining: 4 });
+    });
+
+    test('import_team_bookings creates every booking or none', async () => {
+        const row = { id: 'i1', date: '2024-03-04', team_id: 'team1', team_name: 'Engineering', people_count: 4, location_id: 'loc1' };
+        const { data } = await db.rpc('import_team_bookings', {
+            p_bookings: [row, { ...row, id: 'i2', team_id: 'team2', team_name: 'Design', people_count: 7 }]
+        });
+
+        expect(data).toMatchObject({ ok: false, reason: 'capacity', index: 1 });
+        expect(db.dump().bookings).toEqual([]);
+    });
+
+    test('create_room_booking refuses a room that is taken and returns the earliest clash', async () => {
+        db.reset({ ...seed(), floor_elements: [{ id: 'room1', type: 'room', location_id: 'loc1', bookable: true }] });
+        const booking = (id, start_time, end_time) => ({
+            p_booking: { id, room_id: 'room1', room_name: 'Boardroom', location_id: 'loc1', date: '2024-03-04', start_time, end_time, employee_name: 'Sam' }
+        });
+
+        await db.rpc('create_room_booking', booking('r1', '10:00', '11:00'));
+        await db.rpc('create_room_booking', booking('r2', '09:00', '10:00'));
+        const { data: clash } = await db.rpc('create_room_booking', booking('r3', '09:30', '10:30'));
+        const { data: after } = await db.rpc('create_room_booking', booking('r4', '11:00', '12:00'));
+
+        expect(clash).toMatchObject({ ok: false, reason: 'conflict', conflict: { id: 'r2', start_time: '09:00:00' } });
+        expect(after.booking).toMatchObject({ id: 'r4', title: '', sequence: 0 });
+    });
+
+    test('create_desk_booking treats full days as the opening hours and skips released no-shows', async () => {
+        db.reset({ ...seed(), desks: [{ id: 'd1', name: 'Desk 1', location_id: 'loc1' }] });
+        const booking = (id, start_time = null, end_time = null) => ({
+            p_booking: { id, desk_id: 'd1', desk_name: 'Desk 1', location_id: 'loc1', date: '2024-03-04', start_time, end_time, employee_name: 'Sam' },
+            p_open: '08:00',
+            p_close: '18:00'
+        });
+
+        await db.rpc('create_desk_booking', booking('k1', '08:00', '12:00'));
+        const { data: fullDay } = await db.rpc('create_desk_booking', booking('k2'));
+        await db.from('desk_bookings').update({ no_show: true }).eq('id', 'k1');
+        const { data: afterRelease } = await db.rpc('create_desk_booking', booking('k3'));
+
+        expect(fullDay).toMatchObject({ ok: false, reason: 'conflict', conflict: { id: 'k1' } });
+        expect(afterRelease).toMatchObject({ ok: true, booking: { id: 'k3', start_time: null } });
+    });
+
+    test('restore_team_booking leaves a booking in the trash when its team has booked the day again', async () => {
+        db.reset({
+            ...seed(),
+            bookings: [
+                { id: 'b1', date: '2024-03-04', team_id: 'team1', team_name: 'Engineering', people_count: 4, location_id: 'loc1', status: 'confirmed', deleted_at: '2024-03-01T00:00:00Z' },
+                { id: 'b2', date: '2024-03-04', team_id: 'team1', team_name: 'Engineering', people_count: 4, location_id: 'loc1', status: 'confirmed', deleted_at: '2024-03-02T00:00:00Z' }
+            ]
+        });
+
+        const { data: restored } = await db.rpc('restore_team_booking', { p_id: 'b1' });
+        const { data: duplicate } = await db.rpc('restore_team_booking', { p_id: 'b2' });
+        const { data: again } = await db.rpc('restore_team_booking', { p_id: 'b1' });
+
+        expect(restored).toMatchObject({ ok: true, booking: { id: 'b1', deleted_at: null } });
+        expect(duplicate).toEqual({ ok: false, reason: 'duplicate' });
+        expect(again).toEqual({ ok: false, reason: 'not_found' });
+    });
+
+    test('reports unknown functions', async () => {
+        const { error } = await db.rpc('missing_function', {});
+        expect(error.code).toBe('PGRST202');
+    });
+});
+
+describe('MemoryDatabase persistence', () => {
+    test('reloads its tables from the file it saves to', async () => {
+        const file = path.join(os.tmpdir(), `memory-db-${process.pid}.json`);
+        try {
+            const db = new MemoryDatabase({ data: seed(), file });
+            await db.from('public_holidays').insert({ date: '2024-12-25', name: 'Christmas' });
+
+            const reopened = new MemoryDatabase({ file });
+            const { data } = await reopened.from('public_holidays').insert({ date: '2024-12-26', name: 'Day of Goodwill' }).select('id');
+
+            expect(reopened.dump().teams).toHaveLength(2);
+            expect(data).toEqual([{ id: 2 }]);
+        } finally {
+            fs.rmSync(file, { force: true });
+        }
+    });
+});
@@ -0,0 +1,57 @@
+/**
+ * Tests for the scheduled backup job
+ */
+
+jest.mock('../../config/database', () => {
+    const { MemoryDatabase } = require('../../config/memory');
+    return { db: new MemoryDatabase(), clientName: 'memory', DB_CLIENTS: ['supabase', 'postgres', 'memory'] };
+});
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { db } = require('../../config/database');
+const { runScheduledBackup } = require('../../jobs/backupSchedule');
+const { listBackups, readBackup } = require('../../utils/backup');
+
+const NOW = new Date('2024-03-20T02:00:00Z');
+const HOUR_MS = 60 * 60 * 1000;
+
+describe('runScheduledBackup', () => {
+    let dir;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'scheduled-backups-'));
+        db.reset({ locations: [{ id: 'loc1', name: 'Johannesburg', capacity: 10 }] });
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    const run = (now) => runScheduledBackup({ dir, intervalHours: 24, retentionDays: 7, now });
+
+    test('writes a backup when the directory has none', async () => {
+        const result = await run(NOW);
+
+        expect(result.pruned).toEqual([]);
+        expect(readBackup(result.file).tables.locations.map(l => l.id)).toEqual(['loc1']);
+    });
+
+    test('waits until the newest backup is older than the interval', async () => {
+        await run(NOW);
+
+        expect(await run(new Date(NOW.getTime() + 23 * HOUR_MS))).toBeNull();
+        expect(await run(new Date(NOW.getTime() + 24 * HOUR_MS))).not.toBeNull();
+        expect(listBackups(dir)).toHaveLength(2);
+    });
+
+    test('deletes backups past the retention period', async () => {
+        await run(NOW);
+
+        const result = await run(new Date(NOW.getTime() + 8 * 24 * HOUR_MS));
+
+        expect(result.pruned).toEqual(['office-booking-20240320-020000-000.json.gz']);
+        expect(listBackups(dir)).toHaveLength(1);
+    });
+});
@@ -0,0 +1,137 @@
+/**
+ * Tests for the no-show release job
+ */
+
+jest.mock('../../config/supabase', () => require('../mocks/supabase.mock'));
+
+const { mockData, resetMockData } = require('../mocks/supabase.mock');
+const { getGraceMinutes, releaseNoShows, startNoShowJob } = require('../../jobs/noShowRelease');
+
+// 2024-03-04 09:20 UTC
+const NOW = new Date(Date.UTC(2024, 2, 4, 9, 20));
+
+describe('getGraceMinutes', () => {
+    test('uses the location entry over the default', () => {
+        expect(getGraceMinutes({ default: 30, loc1: 10 }, 'loc1')).toBe(10);
+        expect(getGraceMinutes({ default: 30, loc1: 10 }, 'loc2')).toBe(30);
+    });
+
+    test('returns null when auto-release is off', () => {
+        expect(getGraceMinutes({ default: 30, loc1: null }, 'loc1')).toBeNull();
+        expect(getGraceMinutes({ loc1: 10 }, 'loc2')).toBeNull();
+        expect(getGraceMinutes(null, 'loc1')).toBeNull();
+    });
+});
+
+describe('releaseNoShows', () => {
+    beforeEach(() => {
+        resetMockData();
+        mockData.settings = [
+            { key: 'checkin_grace_minutes', value: { default: 15 } }
+        ];
+        mockData.desk_bookings = [
+            // Full day from 08:00 - window closed at 08:15
+            { id: 'full', desk_id: 'd1', location_id: 'loc1', date: '2024-03-04', employee_name: 'John', checked_in: false },
+            // Starts 09:00 - window closes 09:15
+            { id: 'am', desk_id: 'd2', location_id: 'loc1', date: '2024-03-04', start_time: '09:00', end_time: '12:00', employee_name: 'Jane', checked_in: false },
+            // Starts 09:30 - still in the future
+            { id: 'later', desk_id: 'd3', location_id: 'loc1', date: '2024-03-04', start_time: '09:30', end_time: '11:00', employee_name: 'Sam', checked_in: false },
+            { id: 'arrived', desk_id: 'd4', location_id: 'loc1', date: '2024-03-04', employee_name: 'Alex', checked_in: true },
+            { id: 'tomorrow', desk_id: 'd1', location_id: 'loc1', date: '2024-03-05', employee_name: 'John', checked_in: false }
+        ];
+    });
+
+    test('marks bookings past their grace window as no-shows', async () => {
+        const released = await releaseNoShows(NOW);
+
+        expect(released.map(b => b.id).sort()).toEqual(['am', 'full']);
+        expect(released[0].noShow).toBe(true);
+        expect(released[0].releasedAt).toBe(NOW.toISOString());
+
+        // Released bookings are kept for reporting
+        expect(mockData.desk_bookings).toHaveLength(5);
+        expect(mockData.desk_bookings.find(b => b.id === 'later').no_show).toBeUndefined();
+        expect(mockData.desk_bookings.find(b => b.id === 'arrived').no_show).toBeUndefined();
+    });
+
+    test('does not release the same booking twice', async () => {
+        await releaseNoShows(NOW);
+        const second = await releaseNoShows(NOW);
+
+        expect(second).toEqual([]);
+    });
+
+    test('respects per-location overrides', async () => {
+        mockData.settings = [
+            { key: 'checkin_grace_minutes', value: { default: 15, loc1: 90 } }
+        ];
+
+        const released = await releaseNoShows(NOW);
+
+        expect(released).toEqual([]);
+    });
+
+    test('uses the location opening time for full-day bookings', async () => {
+        const location = mockData.locations.find(l => l.id === 'loc1');
+        location.opening_time = '09:10:00';
+
+        try {
+            const released = await releaseNoShows(NOW);
+            expect(released.map(b => b.id)).toEqual(['am']);
+        } finally {
+            delete location.opening_time;
+        }
+    });
+
+    test('picks today by the UTC date whatever the server time zone', async () => {
+        // A server two hours ahead of UTC, where 23:50 UTC is already 01:50 the next day
+        const local = ['getFullYear', 'getMonth', 'getDate', 'getHours', 'getMinutes'];
+        const spies = local.map(method => jest.spyOn(Date.prototype, method).mockImplementation(function () {
+            const utcMethod = method.replace('get', 'getUTC');
+            return new Date(this.getTime() + 2 * 60 * 60 * 1000)[utcMethod]();
+        }));
+
+        try {
+            const released = await releaseNoShows(new Date(Date.UTC(2024, 2, 4, 23, 50)));
+            expect(released.map(b => b.id).sort()).toEqual(['am', 'full', 'later']);
+        } finally {
+            spies.forEach(spy => spy.mockRestore());
+        }
+    });
+
+    test('does nothing when no grace window is configured', async () => {
+        mockData.settings = [];
+
+        const released = await releaseNoShows(NOW);
+
+        expect(released).toEqual([]);
+    });
+});
+
+describe('startNoShowJob', () => {
+    beforeEach(() => {
+        jest.useFakeTimers({ now: NOW });
+        resetMockData();
+        mockData.settings = [
+            { key: 'checkin_grace_minutes', value: { default: 15 } }
+        ];
+        mockData.desk_bookings = [
+            { id: 'full', desk_id: 'd1', location_id: 'loc1', date: '2024-03-04', employee_name: 'John', checked_in: false }
+        ];
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    test('reports each released booking', async () => {
+        const onRelease = jest.fn();
+        const timer = startNoShowJob({ onRelease, intervalMs: 1000 });
+
+        await jest.advanceTimersByTimeAsync(1000);
+        clearInterval(timer);
+
+        expect(onRelease).toHaveBeenCalledTimes(1);
+        expect(onRelease.mock.calls[0][0]).toMatchObject({ id: 'full', deskId: 'd1', noShow: true });
+    });
+});
@@ -0,0 +1,167 @@
+/**
+ * Tests for the permission middleware
+ */
+
+jest.mock('../../config/supabase', () => require('../mocks/supabase.mock'));
+
+const { mockData, resetMockData, setMockData } = require('../mocks/supabase.mock');
+const {
+    PERMISSIONS, getUserPermissions, can, authorize, recordScope, movedLocationScope
+} = require('../../middleware/permissions');
+
+const userReq = (email, roles = []) => ({
+    method: 'PUT',
+    originalUrl: '/api/test',
+    params: {},
+    body: {},
+    user: { authenticated: true, email, roles }
+});
+
+describe('getUserPermissions', () => {
+    beforeEach(() => {
+        resetMockData();
+    });
+
+    test('maps Azure AD app roles', async () => {
+        const admin = await getUserPermissions(userReq('a@example.com', ['Admin']));
+        expect(admin.isAdmin).toBe(true);
+
+        const locationAdmin = await getUserPermissions(userReq('b@example.com', ['LocationAdmin']));
+        expect(locationAdmin).toMatchObject({ isAdmin: false, allLocations: true });
+    });
+
+    test('adds local role assignments and managed teams', async () => {
+        mockData.role_assignments = [
+            { id: 'r1', user_email: 'sam@example.com', role: 'LocationAdmin', location_id: 'loc2' },
+            { id: 'r2', user_email: 'sam@example.com', role: 'TeamManager', team_id: 'team2' }
+        ];
+        mockData.teams[0].manager_email = 'sam@example.com';
+
+        try {
+            const permissions = await getUserPermissions(userReq('Sam@Example.com'));
+
+            expect(permissions).toMatchObject({
+                email: 'sam@example.com',
+                isAdmin: false,
+                allLocations: false,
+                locationIds: ['loc2'],
+                teamIds: ['team2', 'team1']
+            });
+        } finally {
+            delete mockData.teams[0].manager_email;
+        }
+    });
+
+    test('gives anonymous users no roles', async () => {
+        const permissions = await getUserPermissions({ user: { authenticated: false } });
+        expect(permissions).toMatchObject({ email: '', isAdmin: false, locationIds: [], teamIds: [] });
+    });
+});
+
+describe('can', () => {
+    const base = { email: 'sam@example.com', isAdmin: false, allLocations: false, locationIds: [], teamIds: [] };
+
+    test('admins can do everything', () => {
+        const admin = { ...base, isAdmin: true };
+        Object.values(PERMISSIONS).forEach(permission => {
+            expect(can(admin, permission, {})).toBe(true);
+        });
+    });
+
+    test('location admins manage their location and its teams', () => {
+        const locationAdmin = { ...base, locationIds: ['loc1'] };
+
+        expect(can(locationAdmin, PERMISSIONS.MANAGE_LOCATION, { locationId: 'loc1' })).toBe(true);
+        expect(can(locationAdmin, PERMISSIONS.MANAGE_TEAM, { locationId: 'loc1', teamId: 'team1' })).toBe(true);
+        expect(can(locationAdmin, PERMISSIONS.MANAGE_LOCATION, { locationId: 'loc2' })).toBe(false);
+        expect(can(locationAdmin, PERMISSIONS.MANAGE_SYSTEM)).toBe(false);
+    });
+
+    test('team managers manage their own team only', () => {
+        const manager = { ...base, teamIds: ['team1'] };
+
+        expect(can(manager, PERMISSIONS.MANAGE_TEAM, { locationId: 'loc1', teamId: 'team1' })).toBe(true);
+        expect(can(manager, PERMISSIONS.MANAGE_TEAM, { locationId: 'loc1', teamId: 'team2' })).toBe(false);
+        expect(can(manager, PERMISSIONS.MANAGE_LOCATION, { locationId: 'loc1' })).toBe(false);
+    });
+
+    test('employees manage their own desk bookings', () => {
+        expect(can(base, PERMISSIONS.MANAGE_DESK_BOOKING, { locationId: 'loc1', ownerEmail: 'SAM@example.com' })).toBe(true);
+        expect(can(base, PERMISSIONS.MANAGE_DESK_BOOKING, { locationId: 'loc1', ownerEmail: 'alex@example.com' })).toBe(false);
+        expect(can({ ...base, email: '' }, PERMISSIONS.MANAGE_DESK_BOOKING, { ownerEmail: '' })).toBe(false);
+    });
+});
+
+describe('authorize', () => {
+    const originalRequireAuth = process.env.REQUIRE_AUTH;
+    let res, next;
+
+    beforeEach(() => {
+        resetMockData();
+        process.env.REQUIRE_AUTH = 'true';
+        res = {
+            status: jest.fn().mockReturnThis(),
+            json: jest.fn().mockReturnThis()
+        };
+        next = jest.fn();
+    });
+
+    afterEach(() => {
+        process.env.REQUIRE_AUTH = originalRequireAuth;
+    });
+
+    test('is skipped when REQUIRE_AUTH is off', async () => {
+        process.env.REQUIRE_AUTH = 'false';
+
+        await authorize(PERMISSIONS.MANAGE_SYSTEM)(userReq('sam@example.com'), res, next);
+
+        expect(next).toHaveBeenCalled();
+    });
+
+    test('returns 403 without the permission', async () => {
+        await authorize(PERMISSIONS.MANAGE_SYSTEM)(userReq('sam@example.com'), res, next);
+
+        expect(res.status).toHaveBeenCalledWith(403);
+        expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ code: 'FORBIDDEN', required: 'manage_system' }));
+        expect(next).not.toHaveBeenCalled();
+    });
+
+    test('checks the scope of the affected row', async () => {
+        mockData.desks = [{ id: 'd1', location_id: 'loc1' }];
+        mockData.role_assignments = [
+            { id: 'r1', user_email: 'sam@example.com', role: 'LocationAdmin', location_id: 'loc1' }
+        ];
+        const req = { ...userReq('sam@example.com'), params: { id: 'd1' } };
+
+        await authorize(PERMISSIONS.MANAGE_LOCATION, { scope: recordScope('desks') })(req, res, next);
+
+        expect(next).toHaveBeenCalled();
+    });
+
+    test('leaves missing rows to the route', async () => {
+        const req = { ...userReq('sam@example.com'), params: { id: 'missing' } };
+
+        await authorize(PERMISSIONS.MANAGE_LOCATION, { scope: recordScope('desks') })(req, res, next);
+
+        expect(next).toHaveBeenCalled();
+    });
+
+    test('only checks the target location when a row moves', async () => {
+        mockData.desks = [{ id: 'd1', location_id: 'loc1' }];
+        const middleware = authorize(PERMISSIONS.MANAGE_LOCATION, { scope: movedLocationScope('desks') });
+
+        await middleware({ ...userReq('sam@example.com'), params: { id: 'd1' }, body: { locationId: 'loc1' } }, res, next);
+        expect(next).toHaveBeenCalledTimes(1);
+
+        await middleware({ ...userReq('sam@example.com'), params: { id: 'd1' }, body: { locationId: 'loc2' } }, res, next);
+        expect(res.status).toHaveBeenCalledWith(403);
+    });
+
+    test('returns 500 when roles cannot be loaded', async () => {
+        setMockData('role_assignments', 'error');
+
+        await authorize(PERMISSIONS.MANAGE_SYSTEM)(userReq('sam@example.com'), res, next);
+
+        expect(res.status).toHaveBeenCalledWith(500);
+    });
+});
@@ -0,0 +1,23 @@
+/**
+ * Socket.IO server mock for testing published events
+ * Records every emit with the rooms it was sent to ('*' for everyone).
+ */
+
+function createMockIo() {
+    const emitted = [];
+
+    const operator = rooms => ({
+        to: room => operator([...rooms, room]),
+        emit: (event, payload) => emitted.push({ rooms, event, payload })
+    });
+
+    return {
+        emitted,
+        to: room => operator([room]),
+        emit: (event, payload) => emitted.push({ rooms: ['*'], event, payload }),
+        // Events of a given data:changed type
+        published: type => emitted.filter(e => e.event === 'data:changed' && e.payload.type === type)
+    };
+}
+
+module.exports = { createMockIo };
@@ -5,6 +5,9 @@
 
 const mockData = {
     bookings: [],
+    booking_series: [],
+    booking_waitlist: [],
+    booking_approvals: [],
     locations: [
         { id: 'loc1', name: 'Johannesburg', capacity: 50, floors: 2 },
         { id: 'loc2', name: 'Cape Town', capacity: 30, floors: 1 }
@@ -13,11 +16,19 @@ const mockData = {
         { id: 'team1', name: 'Engineering', member_count: 10, color: '#4285f4', location_id: 'loc1', manager: 'John Manager' },
         { id: 'team2', name: 'Design', member_count: 5, color: '#ea4335', location_id: 'loc1', manager: 'Jane Manager' }
     ],
+    team_members: [],
     public_holidays: [],
     desks: [],
+    desk_favourites: [],
     floor_elements: [],
+    room_bookings: [],
     desk_bookings: [],
-    settings: []
+    booking_attendees: [],
+    settings: [],
+    role_assignments: [],
+    calendar_feeds: [],
+    calendar_cancellations: [],
+    audit_log: []
 };
 
 // Track error state per table
@@ -26,11 +37,22 @@ const tableErrors = {};
 // Reset mock data between tests
 const resetMockData = () => {
     mockData.bookings = [];
+    mockData.booking_series = [];
+    mockData.booking_waitlist = [];
+    mockData.booking_approvals = [];
+    mockData.team_members = [];
     mockData.public_holidays = [];
     mockData.desks = [];
+    mockData.desk_favourites = [];
     mockData.floor_elements = [];
+    mockData.room_bookings = [];
     mockData.desk_bookings = [];
+    mockData.booking_attendees = [];
     mockData.settings = [];
+    mockData.role_assignments = [];
+    mockData.calendar_feeds = [];
+    mockData.calendar_cancellations = [];
+    mockData.audit_log = [];
     // Clear table-specific errors
     Object.keys(tableErrors).forEach(key => delete tableErrors[key]);
 };
@@ -46,6 +68,24 @@ const setMockData = (tableName, data) => {
     }
 };
 
+// Check a row against the accumulated query filters
+const matchesFilters = (item, filters) => filters.every(filter => {
+    const value = item[filter.field];
+    switch (filter.op) {
+        case 'eq': return value === filter.value;
+        case 'neq': return value !== filter.value;
+        case 'gt': return value > filter.value;
+        case 'gte': return value >= filter.value;
+        case 'lt': return value < filter.value;
+        case 'lte': return value <= filter.value;
+        case 'in': return filter.value.includes(value);
+        case 'is': return (value ?? null) === filter.value;
+        // Routes only use ilike with escaped wildcards, as a case-insensitive equals
+        case 'ilike': return (value || '').toLowerCase() === filter.value.replace(/\\([\\%_])/g, '$1').toLowerCase();
+        default: return true;
+    }
+});
+
 // Create a chainable query builder mock
 const createQueryBuilder = (tableName) => {
     let filters = [];
@@ -57,6 +97,7 @@ const createQueryBuilder = (tableName) => {
     let deleteMode = false;
     let orderField = null;
     let orderAsc = true;
+    let rangeBounds = null;
 
     const queryBuilder = {
         select: jest.fn((fields = '*') => {
@@ -91,15 +132,39 @@ const createQueryBuilder = (tableName) => {
             filters.push({ field, op: 'gte', value });
             return queryBuilder;
         }),
+        gt: jest.fn((field, value) => {
+            filters.push({ field, op: 'gt', value });
+            return queryBuilder;
+        }),
+        lt: jest.fn((field, value) => {
+            filters.push({ field, op: 'lt', value });
+            return queryBuilder;
+        }),
         lte: jest.fn((field, value) => {
             filters.push({ field, op: 'lte', value });
             return queryBuilder;
         }),
+        in: jest.fn((field, value) => {
+            filters.push({ field, op: 'in', value });
+            return queryBuilder;
+        }),
+        is: jest.fn((field, value) => {
+            filters.push({ field, op: 'is', value });
+            return queryBuilder;
+        }),
+        ilike: jest.fn((field, value) => {
+            filters.push({ field, op: 'ilike', value });
+            return queryBuilder;
+        }),
         order: jest.fn((field, options = {}) => {
             orderField = field;
             orderAsc = options.ascending !== false;
             return queryBuilder;
         }),
+        range: jest.fn((from, to) => {
+            rangeBounds = { from, to };
+            return queryBuilder;
+        }),
         single: jest.fn(() => {
             isSingle = true;
             return queryBuilder;
@@ -110,25 +175,13 @@ const createQueryBuilder = (tableName) => {
                 let result = [...(mockData[tableName] || [])];
 
                 // Apply filters
-                for (const filter of filters) {
-                    const snakeField = filter.field;
-                    result = result.filter(item => {
-                        const value = item[snakeField];
-                        switch (filter.op) {
-                            case 'eq': return value === filter.value;
-                            case 'neq': return value !== filter.value;
-                            case 'gte': return value >= filter.value;
-                            case 'lte': return value <= filter.value;
-                            default: return true;
-                        }
-                    });
-                }
+                result = result.filter(item => matchesFilters(item, filters));
 
-                // Handle insert
+                // Handle insert (an array inserts several rows)
                 if (insertData) {
-                    const newItem = { ...insertData };
-                    mockData[tableName].push(newItem);
-                    result = [newItem];
+                    const newItems = (Array.isArray(insertData) ? insertData : [insertData]).map(item => ({ ...item }));
+                    mockData[tableName].push(...newItems);
+                    result = newItems;
                 }
 
                 // Handle upsert
@@ -153,23 +206,22 @@ const createQueryBuilder = (tableName) => {
                     result = items;
                 }
 
-                // Handle update
+                // Handle update (returns the rows that matched, even if the change means they no longer do)
                 if (updateData) {
+                    const updated = [];
                     mockData[tableName] = mockData[tableName].map(item => {
-                        const matches = filters.every(f => item[f.field] === f.value);
-                        return matches ? { ...item, ...updateData } : item;
+                        if (!matchesFilters(item, filters)) return item;
+                        const row = { ...item, ...updateData };
+                        updated.push(row);
+                        return row;
                     });
-                    result = mockData[tableName].filter(item => 
-                        filters.every(f => item[f.field] === f.value)
-                    );
+                    result = updated;
                 }
 
                 // Handle delete
                 if (deleteMode) {
                     const toDelete = result;
-                    mockData[tableName] = mockData[tableName].filter(item => 
-                        !filters.every(f => item[f.field] === f.value)
-                    );
+                    mockData[tableName] = mockData[tableName].filter(item => !matchesFilters(item, filters));
                     result = toDelete;
                 }
 
@@ -182,6 +234,10 @@ const createQueryBuilder = (tableName) => {
                     });
                 }
 
+                if (rangeBounds) {
+                    result = result.slice(rangeBounds.from, rangeBounds.to + 1);
+                }
+
                 // Return single item or array
                 const output = isSingle ? (result[0] || null) : result;
                 resolve({ data: output, error: null });
@@ -217,8 +273,14 @@ const createErrorQueryBuilder = (errorToReturn = null) => {
         eq: jest.fn(() => queryBuilder),
         neq: jest.fn(() => queryBuilder),
         gte: jest.fn(() => queryBuilder),
+        gt: jest.fn(() => queryBuilder),
+        lt: jest.fn(() => queryBuilder),
         lte: jest.fn(() => queryBuilder),
+        in: jest.fn(() => queryBuilder),
+        is: jest.fn(() => queryBuilder),
+        ilike: jest.fn(() => queryBuilder),
         order: jest.fn(() => queryBuilder),
+        range: jest.fn(() => queryBuilder),
         single: jest.fn(() => queryBuilder),
         then: async (resolve) => {
             resolve({ data: null, error: theError });
@@ -227,6 +289,267 @@ const createErrorQueryBuilder = (errorToReturn = null) => {
     return queryBuilder;
 };
 
+// Database functions reachable through supabase.rpc
+// create_team_booking mirrors the SQL function in migrations/0004_soft_delete.sql. It runs
+// synchronously, so like the real function no other request can interleave.
+const rpcFunctions = {
+    create_team_booking: (params) => {
+        const location = mockData.locations.find(l => l.id === params.p_location_id && !l.deleted_at);
+        if (!location) {
+            return { ok: false, reason: 'invalid_location' };
+        }
+
+        const dayBookings = mockData.bookings.filter(b => b.date === params.p_date &&
+            b.location_id === params.p_location_id && !b.deleted_at);
+        const total = dayBookings
+            .filter(b => b.status !== 'pending')
+            .reduce((sum, b) => sum + b.people_count, 0);
+
+        if (dayBookings.some(b => b.team_id === params.p_team_id)) {
+            return { ok: false, reason: 'duplicate', remaining: location.capacity - total };
+        }
+
+        const overbooked = total + params.p_people_count > location.capacity;
+        if (overbooked && !params.p_allow_overbooking) {
+            return { ok: false, reason: 'capacity', remaining: location.capacity - total };
+        }
+
+        const booking = {
+            id: params.p_id,
+            date: params.p_date,
+            team_id: params.p_team_id,
+            team_name: params.p_team_name,
+            people_count: params.p_people_count,
+            location_id: params.p_location_id,
+            notes: params.p_notes || '',
+            is_overbooked: overbooked,
+            status: overbooked ? 'pending' : 'confirmed',
+            series_id: params.p_series_id || null,
+            created_at: new Date().toISOString()
+        };
+        mockData.bookings.push(booking);
+
+        return {
+            ok: true,
+            booking: { ...booking },
+            remaining: location.capacity - total - (overbooked ? 0 : params.p_people_count)
+        };
+    },
+
+    // Mirrors approve_team_booking in migrations/0010_approve_team_booking.sql
+    approve_team_booking: (params) => {
+        const booking = mockData.bookings.find(b => b.id === params.p_id && !b.deleted_at);
+        if (!booking) {
+            return { ok: false, reason: 'not_found' };
+        }
+        if (booking.status !== 'pending') {
+            return { ok: false, reason: 'not_pending' };
+        }
+
+        const location = mockData.locations.find(l => l.id === booking.location_id && !l.deleted_at);
+        if (!location) {
+            return { ok: false, reason: 'invalid_location' };
+        }
+
+        const total = mockData.bookings
+            .filter(b => b.date === booking.date && b.location_id === booking.location_id &&
+                !b.deleted_at && b.status !== 'pending')
+            .reduce((sum, b) => sum + b.people_count, 0);
+
+        const overbooked = total + booking.people_count > location.capacity;
+        if (overbooked && !params.p_allow_overbooking) {
+            return { ok: false, reason: 'capacity', remaining: location.capacity - total };
+        }
+
+        const approved = { ...booking, status: 'confirmed', is_overbooked: overbooked, sequence: (booking.sequence || 0) + 1 };
+        mockData.bookings[mockData.bookings.indexOf(booking)] = approved;
+
+        return { ok: true, booking: { ...approved }, remaining: location.capacity - total - booking.people_count };
+    },
+
+    // Mirrors update_team_booking in migrations/0011_update_team_booking.sql
+    update_team_booking: (params) => {
+        const booking = mockData.bookings.find(b => b.id === params.p_id && !b.deleted_at);
+        if (!booking) {
+            return { ok: false, reason: 'not_found' };
+        }
+
+        const changes = params.p_changes || {};
+        const target = {
+            date: changes.date ?? booking.date,
+            location_id: changes.location_id ?? booking.location_id,
+            team_id: changes.team_id ?? booking.team_id,
+            people_count: changes.people_count ?? booking.people_count
+        };
+
+        const location = mockData.locations.find(l => l.id === target.location_id && !l.deleted_at);
+        if (!location) {
+            return { ok: false, reason: 'invalid_location' };
+        }
+
+        const others = mockData.bookings.filter(b => b.id !== booking.id && b.date === target.date &&
+            b.location_id === target.location_id && !b.deleted_at);
+        const total = others
+            .filter(b => b.status !== 'pending')
+            .reduce((sum, b) => sum + b.people_count, 0);
+
+        if (others.some(b => b.team_id === target.team_id)) {
+            return { ok: false, reason: 'duplicate', remaining: location.capacity - total };
+        }
+
+        const addsPeople = target.date !== booking.date || target.location_id !== booking.location_id ||
+            target.people_count > booking.people_count;
+        if (booking.status !== 'pending' && addsPeople && total + target.people_count > location.capacity) {
+            return { ok: false, reason: 'capacity', remaining: location.capacity - total };
+        }
+
+        // Rows are replaced, not mutated, so copies handed out earlier keep the old values
+        const updated = {
+            ...booking,
+            ...target,
+            team_name: changes.team_name ?? booking.team_name,
+            notes: changes.notes ?? booking.notes,
+            series_id: 'series_id' in changes ? changes.series_id : booking.series_id,
+            sequence: (booking.sequence || 0) + (Object.keys(changes).length > 0 ? 1 : 0)
+        };
+        mockData.bookings[mockData.bookings.indexOf(booking)] = updated;
+
+        return {
+            ok: true,
+            booking: { ...updated },
+            remaining: location.capacity - total - (updated.status === 'pending' ? 0 : target.people_count)
+        };
+    },
+
+    // Mirrors restore_team_booking in migrations/0014_restore_team_booking.sql
+    restore_team_booking: (params) => {
+        const booking = mockData.bookings.find(b => b.id === params.p_id && b.deleted_at);
+        if (!booking) {
+            return { ok: false, reason: 'not_found' };
+        }
+
+        if (booking.team_id && !mockData.teams.some(t => t.id === booking.team_id && !t.deleted_at)) {
+            return { ok: false, reason: 'team_deleted' };
+        }
+        const location = mockData.locations.find(l => l.id === booking.location_id && !l.deleted_at);
+        if (!location) {
+            return { ok: false, reason: 'location_deleted' };
+        }
+
+        const dayBookings = mockData.bookings.filter(b => b.date === booking.date &&
+            b.location_id === booking.location_id && !b.deleted_at);
+        if (dayBookings.some(b => b.team_id === booking.team_id)) {
+            return { ok: false, reason: 'duplicate' };
+        }
+
+        if (booking.status !== 'pending') {
+            const total = dayBookings
+                .filter(b => b.status && b.status !== 'pending')
+                .reduce((sum, b) => sum + b.people_count, 0);
+            if (total + booking.people_count > location.capacity) {
+                return { ok: false, reason: 'capacity', remaining: location.capacity - total };
+            }
+        }
+
+        const restored = { ...booking, deleted_at: null, deleted_by: null };
+        mockData.bookings[mockData.bookings.indexOf(booking)] = restored;
+
+        return { ok: true, booking: { ...restored } };
+    },
+
+    // Mirrors update_team_bookings: every edit is applied or none are
+    update_team_bookings: (params) => {
+        const snapshot = mockData.bookings.map(b => ({ ...b }));
+        const updated = [];
+        const failures = [];
+
+        for (const [index, item] of params.p_updates.entries()) {
+            const result = rpcFunctions.update_team_booking({ p_id: item.id, p_changes: item.changes || {} });
+            if (result.ok) {
+                updated.push(result.booking);
+            } else {
+                failures.push({ reason: result.reason, remaining: result.remaining, index });
+            }
+        }
+
+        if (failures.length > 0) {
+            mockData.bookings.splice(0, mockData.bookings.length, ...snapshot);
+            return { ok: false, failures };
+        }
+        return { ok: true, bookings: updated };
+    },
+
+    // Mirrors create_desk_booking in migrations/0013_create_desk_booking.sql
+    create_desk_booking: (params) => {
+        const booking = params.p_booking;
+        // Compare as HH:MM; NULL times cover the opening hours
+        const minute = time => String(time).slice(0, 5);
+        const range = b => ({
+            start: b.start_time ? minute(b.start_time) : minute(params.p_open),
+            end: b.end_time ? minute(b.end_time) : minute(params.p_close)
+        });
+        const wanted = range(booking);
+        const conflict = mockData.desk_bookings
+            .filter(b => b.desk_id === booking.desk_id && b.date === booking.date && !b.no_show)
+            .filter(b => range(b).start < wanted.end && range(b).end > wanted.start)
+            .sort((a, b) => range(a).start.localeCompare(range(b).start))[0];
+        if (conflict) {
+            return { ok: false, reason: 'conflict', conflict: { ...conflict } };
+        }
+
+        const created = {
+            employee_email: '', checked_in: false, checked_in_at: null, no_show: false, sequence: 0,
+            created_at: new Date().toISOString(), ...booking
+        };
+        mockData.desk_bookings.push(created);
+        return { ok: true, booking: { ...created } };
+    },
+
+    // Mirrors create_room_booking in migrations/0012_create_room_booking.sql
+    create_room_booking: (params) => {
+        const booking = params.p_booking;
+        // Compare as HH:MM whether or not the rows carry seconds
+        const minute = time => String(time).slice(0, 5);
+        const conflict = mockData.room_bookings
+            .filter(b => b.room_id === booking.room_id && b.date === booking.date &&
+                minute(b.start_time) < minute(booking.end_time) && minute(b.end_time) > minute(booking.start_time))
+            .sort((a, b) => a.start_time.localeCompare(b.start_time))[0];
+        if (conflict) {
+            return { ok: false, reason: 'conflict', conflict: { ...conflict } };
+        }
+
+        const created = { title: '', employee_email: '', sequence: 0, created_at: new Date().toISOString(), ...booking };
+        mockData.room_bookings.push(created);
+        return { ok: true, booking: { ...created } };
+    },
+
+    // Mirrors import_team_bookings: all rows are created or none are
+    import_team_bookings: (params) => {
+        const snapshot = [...mockData.bookings];
+        const created = [];
+
+        for (const [index, item] of params.p_bookings.entries()) {
+            const result = rpcFunctions.create_team_booking({
+                p_id: item.id,
+                p_date: item.date,
+                p_team_id: item.team_id,
+                p_team_name: item.team_name,
+                p_people_count: item.people_count,
+                p_location_id: item.location_id,
+                p_notes: item.notes,
+                p_allow_overbooking: item.allow_overbooking
+            });
+            if (!result.ok) {
+                mockData.bookings.splice(0, mockData.bookings.length, ...snapshot);
+                return { ...result, index };
+            }
+            created.push(result.booking);
+        }
+
+        return { ok: true, bookings: created };
+    }
+};
+
 // Mock Supabase client
 const supabaseMock = {
     from: jest.fn((tableName) => {
@@ -239,6 +562,15 @@ const supabaseMock = {
         }
         return createQueryBuilder(tableName);
     }),
+    rpc: jest.fn(async (fn, params) => {
+        if (simulateError) {
+            return { data: null, error: simulateError };
+        }
+        if (!rpcFunctions[fn]) {
+            return { data: null, error: { message: `Unknown function ${fn}` } };
+        }
+        return { data: rpcFunctions[fn](params), error: null };
+    }),
     auth: {
         getUser: jest.fn().mockResolvedValue({ data: { user: null }, error: null })
     }
@@ -0,0 +1,126 @@
+/**
+ * Tests for the repositories, run against the in-memory database
+ */
+jest.mock('../../config/supabase', () => require('../mocks/supabase.mock'));
+
+const { MemoryDatabase } = require('../../config/memory');
+const { createRepositories, forTable } = require('../../repositories');
+const { PAGE_SIZE } = require('../../utils/pagination');
+
+const seed = () => ({
+    locations: [{ id: 'loc1', name: 'Johannesburg', capacity: 10 }],
+    teams: [
+        { id: 'team1', name: 'Engineering', location_id: 'loc1' },
+        { id: 'team2', name: 'Design', location_id: 'loc1' },
+        { id: 'team3', name: 'Remote', location_id: null }
+    ]
+});
+
+describe('Repository', () => {
+    let db;
+    let repos;
+
+    beforeEach(() => {
+        db = new MemoryDatabase({ data: seed() });
+        repos = createRepositories(db);
+    });
+
+    test('find treats plain values as equals, null as IS NULL and skips undefined', async () => {
+        const { teamsRepo } = repos;
+
+        expect((await teamsRepo.find({ location_id: 'loc1' }, { orderBy: 'name' })).map(t => t.id)).toEqual(['team2', 'team1']);
+        expect((await teamsRepo.find({ location_id: null })).map(t => t.id)).toEqual(['team3']);
+        expect(await teamsRepo.find({ location_id: undefined })).toHaveLength(3);
+    });
+
+    test('find applies operator objects', async () => {
+        const { teamsRepo } = repos;
+
+        const found = await teamsRepo.find({ id: { in: ['team1', 'team3'] }, name: { ilike: 'eng%' } }, { fields: 'id' });
+        expect(found).toEqual([{ id: 'team1' }]);
+        await expect(teamsRepo.find({ id: { between: 1 } })).rejects.toThrow('Unknown filter operator');
+    });
+
+    test('findAll reads past the page size', async () => {
+        const holidays = Array.from({ length: PAGE_SIZE + 5 }, (_, i) => ({ date: `d${String(i).padStart(5, '0')}`, name: 'Day' }));
+        await repos.holidaysRepo.createMany(holidays);
+
+        expect(await repos.holidaysRepo.findAll({ date: { gte: 'd00005' } })).toHaveLength(PAGE_SIZE);
+    });
+
+    test('findById returns the row or null', async () => {
+        expect(await repos.teamsRepo.findById('team1', { fields: 'name' })).toEqual({ name: 'Engineering' });
+        expect(await repos.teamsRepo.findById('missing')).toBeNull();
+    });
+
+    test('create, updateById and removeById return the affected row', async () => {
+        const { desksRepo } = repos;
+
+        const created = await desksRepo.create({ id: 'd1', name: 'Desk 1', location_id: 'loc1' });
+        const updated = await desksRepo.updateById('d1', { zone: 'North' });
+        const removed = await desksRepo.removeById('d1');
+
+        expect(created).toMatchObject({ id: 'd1', zone: '' });
+        expect(updated).toMatchObject({ id: 'd1', zone: 'North' });
+        expect(removed).toMatchObject({ id: 'd1', zone: 'North' });
+        expect(await desksRepo.updateById('d1', { zone: 'South' })).toBeNull();
+        expect(await desksRepo.removeById('d1')).toBeNull();
+    });
+
+    test('throws the backend error', async () => {
+        await expect(repos.teamsRepo.create({ id: 'team1', name: 'Again' })).rejects.toMatchObject({ code: '23505' });
+    });
+
+    test('refuses to update or delete without a filter', async () => {
+        await expect(repos.teamsRepo.update({}, { color: '#000000' })).rejects.toThrow('Refusing to update');
+        await expect(repos.teamsRepo.remove({ id: undefined })).rejects.toThrow('Refusing to delete');
+        expect(await repos.teamsRepo.find()).toHaveLength(3);
+    });
+
+    test('forTable finds the shared repository for a table', () => {
+        expect(forTable('desk_bookings').table).toBe('desk_bookings');
+        expect(() => forTable('rooms')).toThrow('No repository for table "rooms"');
+    });
+});
+
+describe('SettingsRepo', () => {
+    test('get returns null until a value is set', async () => {
+        const { settingsRepo } = createRepositories(new MemoryDatabase());
+
+        expect(await settingsRepo.get('team_roles')).toBeNull();
+        expect(await settingsRepo.set('team_roles', ['Lead'])).toEqual(['Lead']);
+        expect(await settingsRepo.set('team_roles', ['Lead', 'Member'])).toEqual(['Lead', 'Member']);
+        expect(await settingsRepo.get('team_roles')).toEqual(['Lead', 'Member']);
+    });
+});
+
+describe('BookingsRepo', () => {
+    let repos;
+    const booking = (overrides = {}) => ({
+        id: 'b1', date: '2024-03-04', team_id: 'team1', team_name: 'Engineering', people_count: 6, location_id: 'loc1', ...overrides
+    });
+
+    beforeEach(() => {
+        repos = createRepositories(new MemoryDatabase({ data: seed() }));
+    });
+
+    test('createAtomic returns the booking or the reason it was refused', async () => {
+        const { bookingsRepo } = repos;
+
+        expect(await bookingsRepo.createAtomic(booking())).toMatchObject({ booking: { id: 'b1' }, remaining: 4 });
+        expect(await bookingsRepo.createAtomic(booking({ id: 'b2' }))).toEqual({ reason: 'duplicate', remaining: 4 });
+        expect(await bookingsRepo.createAtomic(booking({ id: 'b3', team_id: 'team2' }))).toEqual({ reason: 'capacity', remaining: 4 });
+        expect(await bookingsRepo.createAtomic(booking({ id: 'b4', location_id: 'nowhere' }))).toEqual({ reason: 'invalid_location', remaining: undefined });
+    });
+
+    test('importAtomic creates every booking or none', async () => {
+        const { bookingsRepo } = repos;
+
+        const failed = await bookingsRepo.importAtomic([booking(), booking({ id: 'b2', team_id: 'team2' })]);
+        expect(failed).toMatchObject({ ok: false, reason: 'capacity', index: 1 });
+        expect(await bookingsRepo.find()).toEqual([]);
+
+        const imported = await bookingsRepo.importAtomic([booking(), booking({ id: 'b2', team_id: 'team2', people_count: 4 })]);
+        expect(imported.bookings.map(b => b.id)).toEqual(['b1', 'b2']);
+    });
+});
@@ -0,0 +1,114 @@
+/**
+ * Integration tests for /api/analytics
+ */
+const request = require('supertest');
+const express = require('express');
+
+jest.mock('../../config/supabase', () => require('../mocks/supabase.mock'));
+
+const { mockData, resetMockData } = require('../mocks/supabase.mock');
+const analyticsRouter = require('../../routes/analytics');
+const { addDays } = require('../../utils/recurrence');
+
+const app = express();
+app.use('/api/analytics', analyticsRouter);
+
+const RANGE = 'from=2024-01-15&to=2024-01-19';
+
+beforeEach(() => {
+    resetMockData();
+    mockData.bookings = [
+        { id: 'b1', date: '2024-01-15', team_id: 'team1', team_name: 'Engineering', people_count: 25, location_id: 'loc1', status: 'confirmed' },
+        { id: 'b2', date: '2024-01-16', team_id: 'team2', team_name: 'Design', people_count: 15, location_id: 'loc2', status: 'confirmed' },
+        { id: 'b3', date: '2024-01-20', team_id: 'team1', team_name: 'Engineering', people_count: 10, location_id: 'loc1', status: 'confirmed' }
+    ];
+    mockData.desk_bookings = [
+        { id: 'd1', date: '2024-01-15', location_id: 'loc1', team_id: 'team1', checked_in: true, no_show: false },
+        { id: 'd2', date: '2024-01-15', location_id: 'loc1', team_id: 'team1', checked_in: false, no_show: true }
+    ];
+});
+
+describe('GET /api/analytics', () => {
+    test('reports every location over the range', async () => {
+        const response = await request(app).get(`/api/analytics?${RANGE}`).expect(200);
+
+        expect(response.body).toMatchObject({ from: '2024-01-15', to: '2024-01-19', groupBy: 'day' });
+        expect(response.body.locations.map(l => l.name)).toEqual(['Cape Town', 'Johannesburg']);
+
+        const johannesburg = response.body.locations[1];
+        expect(johannesburg.daily).toHaveLength(5);
+        expect(johannesburg.daily[0]).toMatchObject({ bookedPeople: 25, occupancy: 0.5, deskBookings: 2, checkIns: 1, noShows: 1 });
+        expect(johannesburg.summary).toMatchObject({ workingDays: 5, peakDate: '2024-01-15', noShowRate: 0.5 });
+        expect(johannesburg.weekdays[0].weekday).toBe('Monday');
+        expect(response.body.teams.map(t => [t.teamName, t.totalDays])).toEqual([['Design', 1], ['Engineering', 1]]);
+    });
+
+    test('filters by location and groups the trend', async () => {
+        const response = await request(app)
+            .get(`/api/analytics?from=2024-01-01&to=2024-02-29&locationId=loc1&groupBy=month`)
+            .expect(200);
+
+        expect(response.body.locations).toHaveLength(1);
+        expect(response.body.locations[0].trend.map(t => [t.period, t.peopleDays])).toEqual([
+            ['2024-01-01', 35],
+            ['2024-02-01', 0]
+        ]);
+        expect(response.body.teams.map(t => t.teamId)).toEqual(['team1']);
+    });
+
+    test('reads past the first page of rows', async () => {
+        mockData.bookings = Array.from({ length: 1205 }, (_, i) => ({
+            id: String(i).padStart(5, '0'), date: addDays('2024-01-01', i % 300), team_id: `team${i}`,
+            team_name: `Team ${i}`, people_count: 1, location_id: 'loc1', status: 'confirmed'
+        }));
+
+        const response = await request(app).get('/api/analytics?from=2024-01-01&to=2024-12-31&locationId=loc1').expect(200);
+
+        expect(response.body.locations[0].summary.peopleDays).toBe(1205);
+    });
+
+    test('defaults to the last 30 days', async () => {
+        const response = await request(app).get('/api/analytics').expect(200);
+        const today = new Date().toISOString().split('T')[0];
+
+        expect(response.body.to).toBe(today);
+        expect(response.body.from).toBe(addDays(today, -29));
+    });
+
+    test('validates the range, grouping and location', async () => {
+        await request(app).get('/api/analytics?from=2024-01-20&to=2024-01-10').expect(400);
+        await request(app).get('/api/analytics?from=2023-01-01&to=2024-06-30').expect(400);
+        await request(app).get('/api/analytics?from=15/01/2024').expect(400);
+        await request(app).get(`/api/analytics?${RANGE}&groupBy=year`).expect(400);
+        await request(app).get(`/api/analytics?${RANGE}&locationId=nowhere`).expect(404);
+    });
+});
+
+describe('GET /api/analytics/export.csv', () => {
+    test('exports daily occupancy as CSV', async () => {
+        const response = await request(app)
+            .get(`/api/analytics/export.csv?${RANGE}&locationId=loc1`)
+            .expect(200)
+            .expect('Content-Type', /text\/csv/)
+            .expect('Content-Disposition', 'attachment; filename="daily-2024-01-15-to-2024-01-19.csv"');
+
+        const lines = response.text.trim().split('\r\n');
+        expect(lines).toHaveLength(6);
+        expect(lines[0]).toMatch(/^Location,Date,Weekday,Working day,/);
+        expect(lines[1]).toBe('Johannesburg,2024-01-15,Monday,Yes,,50,25,0,1,50,2,1,1');
+    });
+
+    test('exports team attendance per month', async () => {
+        const response = await request(app).get(`/api/analytics/export.csv?${RANGE}&report=teams`).expect(200);
+
+        expect(response.text).toBe(
+            'Team,Month,Days in office,People-days,Desk check-ins\r\n' +
+            'Design,2024-01,1,15,0\r\n' +
+            'Engineering,2024-01,1,25,1\r\n'
+        );
+    });
+
+    test('rejects unknown reports', async () => {
+        await request(app).get('/api/analytics/export.csv?report=everything').expect(400);
+    });
+});
@@ -0,0 +1,219 @@
+/**
+ * Tests for RSVPs on team bookings: people_count following confirmed
+ * attendees, who may answer, and desks reserved near the team, on the
+ * in-memory database
+ */
+const request = require('supertest');
+const express = require('express');
+
+jest.mock('../../config/database', () => {
+    const { MemoryDatabase } = require('../../config/memory');
+    return { db: new MemoryDatabase(), clientName: 'memory', DB_CLIENTS: ['supabase', 'postgres', 'memory'] };
+});
+
+const { db } = require('../../config/database');
+const { router: bookingsRouter } = require('../../routes/bookings');
+const { bookingsRepo } = require('../../repositories');
+
+// Signed-in user comes from test headers, as optionalAuth would attach it
+const app = express();
+app.use(express.json());
+app.use((req, res, next) => {
+    const email = req.headers['x-test-email'];
+    const roles = req.headers['x-test-roles'];
+    req.user = email
+        ? { authenticated: true, email, roles: roles ? roles.split(',') : [] }
+        : { authenticated: false };
+    next();
+});
+app.use('/api/bookings', bookingsRouter);
+
+const asAdmin = req => req.set('x-test-email', 'admin@example.com').set('x-test-roles', 'Admin');
+const asUser = (req, email) => req.set('x-test-email', email);
+
+const book = (extra = {}) => asAdmin(request(app).post('/api/bookings'))
+    .send({ date: '2099-03-02', teamId: 'team1', teamName: 'Engineering', peopleCount: 3, locationId: 'loc1', ...extra });
+
+const rsvp = (bookingId, email, body) => asUser(request(app).post(`/api/bookings/${bookingId}/attendees`), email).send(body);
+
+const desk = (id, x, extra = {}) => ({ id, name: id, location_id: 'loc1', floor: '1', x, y: 0, width: 60, height: 40, ...extra });
+
+const originalRequireAuth = process.env.REQUIRE_AUTH;
+
+beforeEach(() => {
+    process.env.REQUIRE_AUTH = 'true';
+    db.reset({
+        locations: [{ id: 'loc1', name: 'Johannesburg', capacity: 10 }],
+        teams: [
+            { id: 'team1', name: 'Engineering', location_id: 'loc1', member_count: 3 },
+            { id: 'team2', name: 'Design', location_id: 'loc1', member_count: 6 }
+        ],
+        team_members: [
+            { id: 'm1', team_id: 'team1', email: 'sam@example.com', name: 'Sam' },
+            { id: 'm2', team_id: 'team1', email: 'ada@example.com', name: 'Ada' },
+            { id: 'm3', team_id: 'team1', email: 'kim@example.com', name: 'Kim' }
+        ],
+        desks: [
+            desk('Far', 900),
+            desk('Design seat', 80, { desk_type: 'team_seat', assigned_team_id: 'team2' }),
+            desk('Near', 160),
+            desk('Engineering seat', 0, { desk_type: 'team_seat', assigned_team_id: 'team1' }),
+            desk('Upstairs', 0, { floor: '2' })
+        ]
+    });
+});
+
+afterEach(() => {
+    process.env.REQUIRE_AUTH = originalRequireAuth;
+});
+
+describe('RSVPs', () => {
+    test('members picked when booking start as confirmed attendees', async () => {
+        const { body: booking } = await book({ peopleCount: 3, memberIds: ['m1', 'm2'] }).expect(201);
+
+        expect(booking.peopleCount).toBe(2);
+        const { body: attendees } = await request(app).get(`/api/bookings/${booking.id}/attendees`).expect(200);
+        expect(attendees.map(a => [a.name, a.status])).toEqual([
+            ['Ada', 'confirmed'],
+            ['Kim', 'declined'],
+            ['Sam', 'confirmed']
+        ]);
+    });
+
+    test('people_count follows the confirmed attendees', async () => {
+        const { body: booking } = await book({ memberIds: ['m1'] }).expect(201);
+
+        const { body } = await rsvp(booking.id, 'Kim@Example.com', { status: 'confirmed' }).expect(200);
+        expect(body.attendee).toMatchObject({ email: 'kim@example.com', name: 'Kim', status: 'confirmed' });
+        expect(body.booking.peopleCount).toBe(2);
+
+        await rsvp(booking.id, 'sam@example.com', { status: 'declined' }).expect(200);
+        expect(db.dump().bookings[0].people_count).toBe(1);
+    });
+
+    test('a hand-entered count is ignored once the booking has RSVPs', async () => {
+        const { body: booking } = await book({ memberIds: ['m1', 'm2'] }).expect(201);
+
+        const { body } = await asAdmin(request(app).put(`/api/bookings/${booking.id}`)).send({ peopleCount: 3 }).expect(200);
+        expect(body.peopleCount).toBe(2);
+
+        const { body: picked } = await asAdmin(request(app).put(`/api/bookings/${booking.id}`)).send({ memberIds: ['m3'] }).expect(200);
+        expect(picked.peopleCount).toBe(1);
+    });
+
+    test('validates the answer and who is answering', async () => {
+        const { body: booking } = await book({ memberIds: ['m1'] }).expect(201);
+
+        await rsvp(booking.id, 'sam@example.com', { status: 'maybe' }).expect(400);
+        await rsvp(booking.id, 'stranger@example.com', { status: 'confirmed' }).expect(400);
+        await rsvp('missing', 'sam@example.com', { status: 'confirmed' }).expect(404);
+        await book({ date: '2099-03-03', memberIds: ['someone'] }).expect(400);
+    });
+
+    test('people answer for themselves; team managers answer for anyone', async () => {
+        db.reset({ ...db.dump(), role_assignments: [{ id: 'r1', user_email: 'lead@example.com', role: 'TeamManager', team_id: 'team1' }] });
+        const { body: booking } = await book({ memberIds: ['m1'] }).expect(201);
+
+        await rsvp(booking.id, 'sam@example.com', { status: 'confirmed', email: 'ada@example.com' }).expect(403);
+        await rsvp(booking.id, 'lead@example.com', { status: 'confirmed', email: 'ada@example.com' }).expect(200);
+    });
+
+    test('refuses a confirmation the office has no room for', async () => {
+        db.reset({ ...db.dump(), locations: [{ id: 'loc1', name: 'Johannesburg', capacity: 8 }] });
+        await book({ teamId: 'team2', teamName: 'Design', peopleCount: 6 }).expect(201);
+        const { body: booking } = await book({ memberIds: ['m1', 'm2'] }).expect(201);
+
+        const { body } = await rsvp(booking.id, 'kim@example.com', { status: 'confirmed' }).expect(409);
+
+        expect(body).toMatchObject({ code: 'CAPACITY_EXCEEDED', remaining: 2 });
+        expect(db.dump().booking_attendees.find(a => a.email === 'kim@example.com').status).toBe('declined');
+        await rsvp(booking.id, 'sam@example.com', { status: 'confirmed' }).expect(200);
+    });
+
+    test('never lets parallel confirmations take the day over capacity', async () => {
+        db.reset({ ...db.dump(), locations: [{ id: 'loc1', name: 'Johannesburg', capacity: 8 }] });
+        await book({ teamId: 'team2', teamName: 'Design', peopleCount: 6 }).expect(201);
+        const { body: booking } = await book({ memberIds: ['m1'] }).expect(201);
+
+        // Hold both RSVPs at the booking lookup so they count the attendees together
+        const findBooking = bookingsRepo.findById.bind(bookingsRepo);
+        let release;
+        const bothArrived = new Promise(resolve => { release = resolve; });
+        let arrived = 0;
+        const spy = jest.spyOn(bookingsRepo, 'findById').mockImplementation(async (...args) => {
+            if (++arrived === 2) release();
+            await bothArrived;
+            return findBooking(...args);
+        });
+
+        try {
+            const responses = await Promise.all(['ada@example.com', 'kim@example.com']
+                .map(email => rsvp(booking.id, email, { status: 'confirmed' })));
+
+            expect(responses.map(r => r.status)).toContain(409);
+            const { bookings, booking_attendees: attendees } = db.dump();
+            const confirmed = attendees.filter(a => a.status === 'confirmed').length;
+            expect(bookings.find(b => b.id === booking.id).people_count).toBe(confirmed);
+            expect(bookings.reduce((sum, b) => sum + b.people_count, 0)).toBeLessThanOrEqual(8);
+        } finally {
+            spy.mockRestore();
+        }
+    });
+
+    test('teams without a roster collect RSVPs from anyone signed in', async () => {
+        db.reset({ ...db.dump(), team_members: [] });
+        const { body: booking } = await book({ peopleCount: 5 }).expect(201);
+
+        const { body } = await rsvp(booking.id, 'guest@example.com', { status: 'confirmed', name: 'Guest' }).expect(200);
+
+        expect(body.attendee.name).toBe('Guest');
+        expect(body.booking.peopleCount).toBe(1);
+    });
+});
+
+describe('reserving desks', () => {
+    test('books the team\'s own desk first, then the nearest free one', async () => {
+        const { body: booking } = await book({ memberIds: ['m1'] }).expect(201);
+
+        const { body: first } = await rsvp(booking.id, 'sam@example.com', { status: 'confirmed', reserveDesk: true }).expect(200);
+        const { body: second } = await rsvp(booking.id, 'ada@example.com', { status: 'confirmed', reserveDesk: true }).expect(200);
+
+        expect(first.deskBooking).toMatchObject({ deskName: 'Engineering seat', employeeEmail: 'sam@example.com', teamId: 'team1', startTime: null });
+        expect(second.deskBooking.deskName).toBe('Near');
+        const { body: attendees } = await request(app).get(`/api/bookings/${booking.id}/attendees`).expect(200);
+        expect(attendees.map(a => a.deskName)).toEqual(['Near', null, 'Engineering seat']);
+    });
+
+    test('keeps a desk the person already booked that day', async () => {
+        db.reset({
+            ...db.dump(),
+            desk_bookings: [{ id: 'db1', desk_id: 'Far', desk_name: 'Far', location_id: 'loc1', date: '2099-03-02', employee_name: 'Sam', employee_email: 'sam@example.com' }]
+        });
+        const { body: booking } = await book({ memberIds: ['m2'] }).expect(201);
+
+        const { body } = await rsvp(booking.id, 'sam@example.com', { status: 'confirmed', reserveDesk: true }).expect(200);
+
+        expect(body.deskBooking.id).toBe('db1');
+        expect(body.attendee.deskBookingId).toBeNull();
+        await rsvp(booking.id, 'sam@example.com', { status: 'declined' }).expect(200);
+        expect(db.dump().desk_bookings.map(b => b.id)).toEqual(['db1']);
+    });
+
+    test('declining, moving or deleting the booking releases the desk', async () => {
+        const { body: booking } = await book({ memberIds: ['m1', 'm2'] }).expect(201);
+        await rsvp(booking.id, 'sam@example.com', { status: 'confirmed', reserveDesk: true }).expect(200);
+        await rsvp(booking.id, 'ada@example.com', { status: 'confirmed', reserveDesk: true }).expect(200);
+
+        await rsvp(booking.id, 'sam@example.com', { status: 'declined' }).expect(200);
+        expect(db.dump().desk_bookings.map(b => b.desk_name)).toEqual(['Near']);
+
+        await asAdmin(request(app).put(`/api/bookings/${booking.id}`)).send({ date: '2099-03-03' }).expect(200);
+        expect(db.dump().desk_bookings).toEqual([]);
+        expect(db.dump().booking_attendees.every(a => a.desk_booking_id === null)).toBe(true);
+
+        await rsvp(booking.id, 'ada@example.com', { status: 'confirmed', reserveDesk: true }).expect(200);
+        await asAdmin(request(app).delete(`/api/bookings/${booking.id}`)).expect(200);
+        expect(db.dump().desk_bookings).toEqual([]);
+        expect(db.dump().calendar_cancellations.some(c => c.employee_email === 'ada@example.com')).toBe(true);
+    });
+});
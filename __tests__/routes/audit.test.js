@@ -0,0 +1,198 @@
+/**
+ * Tests for the audit log: recording changes made through the routes and
+ * reading them back from /api/audit, on the in-memory database
+ */
+const request = require('supertest');
+const express = require('express');
+
+jest.mock('../../config/database', () => {
+    const { MemoryDatabase } = require('../../config/memory');
+    return { db: new MemoryDatabase(), clientName: 'memory', DB_CLIENTS: ['supabase', 'postgres', 'memory'] };
+});
+
+const { db } = require('../../config/database');
+const { auditLogRepo } = require('../../repositories');
+const auditRouter = require('../../routes/audit');
+const teamsRouter = require('../../routes/teams');
+const settingsRouter = require('../../routes/settings');
+
+// Signed-in user comes from test headers, as optionalAuth would attach it
+const app = express();
+app.use(express.json());
+app.use((req, res, next) => {
+    const email = req.headers['x-test-email'];
+    const roles = req.headers['x-test-roles'];
+    req.user = email
+        ? { authenticated: true, email, name: req.headers['x-test-name'], roles: roles ? roles.split(',') : [] }
+        : { authenticated: false };
+    next();
+});
+app.use('/api/audit', auditRouter);
+app.use('/api/teams', teamsRouter);
+app.use('/api/settings', settingsRouter);
+
+const asAdmin = req => req.set('x-test-email', 'Admin@Example.com').set('x-test-name', 'Ada Admin').set('x-test-roles', 'Admin');
+const asUser = (req, email) => req.set('x-test-email', email);
+
+const originalRequireAuth = process.env.REQUIRE_AUTH;
+
+beforeEach(() => {
+    process.env.REQUIRE_AUTH = 'true';
+    db.reset({
+        locations: [
+            { id: 'loc1', name: 'Johannesburg', capacity: 10 },
+            { id: 'loc2', name: 'Cape Town', capacity: 10 }
+        ],
+        role_assignments: [
+            { id: 'r1', user_email: 'jhb@example.com', role: 'LocationAdmin', location_id: 'loc1' },
+            { id: 'r2', user_email: 'lead@example.com', role: 'TeamManager', team_id: 'team9' }
+        ]
+    });
+});
+
+afterEach(() => {
+    process.env.REQUIRE_AUTH = originalRequireAuth;
+});
+
+describe('recording changes', () => {
+    test('records creates, updates and deletes with the actor, IP and diff', async () => {
+        const { body: team } = await asAdmin(request(app).post('/api/teams'))
+            .send({ name: 'Engineering', manager: 'Sam', locationId: 'loc1' })
+            .expect(201);
+        await asAdmin(request(app).put(`/api/teams/${team.id}`))
+            .send({ name: 'Platform', manager: 'Sam', locationId: 'loc1' })
+            .expect(200);
+        await asAdmin(request(app).delete(`/api/teams/${team.id}`)).expect(200);
+
+        const { body } = await asAdmin(request(app).get('/api/audit')).expect(200);
+
+        expect(body.entries.map(e => e.action)).toEqual(['delete', 'update', 'create']);
+        const [deleted, updated, created] = body.entries;
+        expect(created).toMatchObject({
+            entityType: 'teams',
+            entityId: team.id,
+            locationId: 'loc1',
+            teamId: team.id,
+            actorEmail: 'admin@example.com',
+            actorName: 'Ada Admin',
+            oldValues: null,
+            changes: null
+        });
+        expect(created.ip).toContain('127.0.0.1');
+        expect(created.newValues.name).toBe('Engineering');
+        expect(updated.changes).toEqual({ name: { from: 'Engineering', to: 'Platform' } });
+        expect(deleted.oldValues.name).toBe('Platform');
+        expect(deleted.newValues).toBeNull();
+    });
+
+    test('skips updates that change nothing', async () => {
+        const { body: team } = await asAdmin(request(app).post('/api/teams'))
+            .send({ name: 'Engineering', manager: 'Sam', locationId: 'loc1' })
+            .expect(201);
+        await asAdmin(request(app).put(`/api/teams/${team.id}`))
+            .send({ name: 'Engineering', manager: 'Sam', locationId: 'loc1' })
+            .expect(200);
+
+        expect(db.dump().audit_log.map(e => e.action)).toEqual(['create']);
+    });
+
+    test('records settings by key', async () => {
+        await asAdmin(request(app).put('/api/settings/team_roles')).send({ value: ['Lead'] }).expect(200);
+        await asAdmin(request(app).put('/api/settings/team_roles')).send({ value: ['Lead', 'Engineer'] }).expect(200);
+
+        const { body } = await asAdmin(request(app).get('/api/audit?entityType=settings&entityId=team_roles')).expect(200);
+
+        expect(body.entries.map(e => e.action)).toEqual(['update', 'create']);
+        expect(body.entries[0].changes.value).toEqual({ from: ['Lead'], to: ['Lead', 'Engineer'] });
+    });
+});
+
+describe('GET /api/audit', () => {
+    const entry = (id, overrides = {}) => ({
+        id,
+        action: 'create',
+        entity_type: 'bookings',
+        entity_id: id,
+        location_id: 'loc1',
+        actor_email: 'sam@example.com',
+        created_at: '2099-03-02T09:00:00.000Z',
+        ...overrides
+    });
+
+    beforeEach(() => {
+        db.reset({
+            ...db.dump(),
+            audit_log: [
+                entry('a1'),
+                entry('a2', { action: 'update', entity_id: 'a1', created_at: '2099-03-03T09:00:00.000Z' }),
+                entry('a3', { actor_email: 'kim@example.com', location_id: 'loc2', created_at: '2099-03-04T09:00:00.000Z' }),
+                entry('a4', { action: 'delete', entity_type: 'teams', entity_id: 'team9', team_id: 'team9', created_at: '2099-03-05T09:00:00.000Z' })
+            ]
+        });
+    });
+
+    const ids = response => response.body.entries.map(e => e.id);
+
+    test('filters by entity, actor, action, location and date', async () => {
+        const get = query => asAdmin(request(app).get(`/api/audit?${query}`)).expect(200);
+
+        expect(ids(await get('entityType=bookings&entityId=a1'))).toEqual(['a2', 'a1']);
+        expect(ids(await get('actor=Kim@Example.com'))).toEqual(['a3']);
+        expect(ids(await get('action=delete'))).toEqual(['a4']);
+        expect(ids(await get('locationId=loc2'))).toEqual(['a3']);
+        expect(ids(await get('from=2099-03-03&to=2099-03-04'))).toEqual(['a3', 'a2']);
+    });
+
+    test('pages newest first', async () => {
+        const first = await asAdmin(request(app).get('/api/audit?limit=3')).expect(200);
+        const second = await asAdmin(request(app).get('/api/audit?limit=3&offset=3')).expect(200);
+
+        expect(ids(first)).toEqual(['a4', 'a3', 'a2']);
+        expect(first.body.hasMore).toBe(true);
+        expect(ids(second)).toEqual(['a1']);
+        expect(second.body.hasMore).toBe(false);
+    });
+
+    test('validates the filters', async () => {
+        const get = query => asAdmin(request(app).get(`/api/audit?${query}`)).expect(400);
+
+        expect((await get('action=archive')).body.error).toContain('action must be one of');
+        expect((await get('from=03/02/2099')).body.error).toContain('YYYY-MM-DD');
+        expect((await get('limit=-5')).body.error).toContain('limit');
+    });
+
+    test('location admins read only their locations', async () => {
+        const own = await asUser(request(app).get('/api/audit?locationId=loc1'), 'jhb@example.com').expect(200);
+        expect(ids(own)).toEqual(['a4', 'a2', 'a1']);
+
+        await asUser(request(app).get('/api/audit?locationId=loc2'), 'jhb@example.com').expect(403);
+        await asUser(request(app).get('/api/audit'), 'jhb@example.com').expect(403);
+    });
+
+    test('team managers read their team\'s history', async () => {
+        const own = await asUser(request(app).get('/api/audit?entityType=teams&entityId=team9'), 'lead@example.com').expect(200);
+        expect(ids(own)).toEqual(['a4']);
+
+        await asUser(request(app).get('/api/audit?entityType=bookings&entityId=a1'), 'lead@example.com').expect(403);
+    });
+});
+
+describe('append-only', () => {
+    beforeEach(async () => {
+        await auditLogRepo.create({ id: 'a1', action: 'create', entity_type: 'teams', entity_id: 'team1' });
+    });
+
+    test('the database rejects updates and deletes', async () => {
+        const updated = await db.from('audit_log').update({ actor_email: 'someone@example.com' }).eq('id', 'a1');
+        const deleted = await db.from('audit_log').delete().eq('id', 'a1');
+
+        expect(updated.error).toMatchObject({ code: 'P0001' });
+        expect(deleted.error).toMatchObject({ code: 'P0001' });
+        expect(db.dump().audit_log).toHaveLength(1);
+    });
+
+    test('the repository refuses to change entries', async () => {
+        await expect(auditLogRepo.update({ id: 'a1' }, { action: 'delete' })).rejects.toThrow('append-only');
+        await expect(auditLogRepo.removeById('a1')).rejects.toThrow('append-only');
+    });
+});
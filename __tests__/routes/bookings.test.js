@@ -134,9 +134,10 @@ describe('POST /api/bookings', () => {
         const response = await request(app)
             .post('/api/bookings')
             .send(duplicateBooking)
-            .expect(400);
+            .expect(409);
 
         expect(response.body.error).toContain('already has a booking');
+        expect(response.body.code).toBe('DUPLICATE_BOOKING');
     });
 });
 
@@ -169,6 +170,50 @@ describe('PUT /api/bookings/:id', () => {
 
         expect(response.body.error).toBe('Booking not found');
     });
+
+    test('returns 409 with the remaining capacity when an edit overfills the day', async () => {
+        mockData.bookings.push({ id: 'booking2', date: '2024-01-15', team_id: 'team2', team_name: 'Design', people_count: 35, location_id: 'loc1', notes: '' });
+
+        const response = await request(app)
+            .put('/api/bookings/booking1')
+            .send({ peopleCount: 20 })
+            .expect(409);
+
+        expect(response.body).toMatchObject({ code: 'CAPACITY_EXCEEDED', remaining: 15 });
+        expect(mockData.bookings.find(b => b.id === 'booking1').people_count).toBe(10);
+    });
+
+    test('returns 409 when moving a booking onto a day the team already booked', async () => {
+        mockData.bookings.push({ id: 'booking2', date: '2024-01-16', team_id: 'team1', team_name: 'Engineering', people_count: 5, location_id: 'loc1', notes: '' });
+
+        const response = await request(app)
+            .put('/api/bookings/booking1')
+            .send({ date: '2024-01-16' })
+            .expect(409);
+
+        expect(response.body.code).toBe('DUPLICATE_BOOKING');
+    });
+
+    test('concurrent edits cannot overfill a day together', async () => {
+        mockData.bookings.push({ id: 'booking2', date: '2024-01-15', team_id: 'team2', team_name: 'Design', people_count: 10, location_id: 'loc1', notes: '' });
+
+        // 50 spots: either edit fits alone, both together don't
+        const responses = await Promise.all([
+            request(app).put('/api/bookings/booking1').send({ peopleCount: 30 }),
+            request(app).put('/api/bookings/booking2').send({ peopleCount: 30 })
+        ]);
+
+        expect(responses.map(r => r.status).sort()).toEqual([200, 409]);
+        expect(mockData.bookings.reduce((sum, b) => sum + b.people_count, 0)).toBeLessThanOrEqual(50);
+    });
+
+    test('keeps notes editable on an approved overbooking', async () => {
+        mockData.bookings = [
+            { id: 'booking1', date: '2024-01-15', team_id: 'team1', team_name: 'Engineering', people_count: 60, location_id: 'loc1', notes: '', status: 'confirmed', is_overbooked: true }
+        ];
+
+        await request(app).put('/api/bookings/booking1').send({ notes: 'All hands' }).expect(200);
+    });
 });
 
 describe('DELETE /api/bookings/:id', () => {
@@ -274,7 +319,7 @@ describe('POST /api/bookings with overbooking', () => {
         ];
     });
 
-    test('rejects overbooking without notes', async () => {
+    test('rejects overbooking without notes with a 409 and the remaining capacity', async () => {
         const booking = {
             date: '2024-01-15',
             teamId: 'team1',
@@ -287,12 +332,14 @@ describe('POST /api/bookings with overbooking', () => {
         const response = await request(app)
             .post('/api/bookings')
             .send(booking)
-            .expect(400);
+            .expect(409);
 
         expect(response.body.error).toContain('Exceeds capacity');
+        expect(response.body.code).toBe('CAPACITY_EXCEEDED');
+        expect(response.body.remaining).toBe(5);
     });
 
-    test('allows overbooking with notes', async () => {
+    test('creates overbooking with notes as pending approval', async () => {
         const booking = {
             date: '2024-01-15',
             teamId: 'team1',
@@ -307,7 +354,616 @@ describe('POST /api/bookings with overbooking', () => {
             .send(booking)
             .expect(201);
 
-        expect(response.body.notes).toContain('[OVERBOOKED]');
+        expect(response.body.status).toBe('pending');
+        expect(response.body.isOverbooked).toBe(true);
+        expect(response.body.notes).toBe('Approved by management for special event');
+    });
+
+    test('pending overbookings do not use capacity', async () => {
+        mockData.bookings.push(
+            { id: '2', date: '2024-01-15', team_id: 'team3', people_count: 10, location_id: 'loc1', status: 'pending' }
+        );
+
+        const response = await request(app)
+            .post('/api/bookings')
+            .send({ date: '2024-01-15', teamId: 'team1', teamName: 'Engineering', peopleCount: 5, locationId: 'loc1' })
+            .expect(201);
+
+        expect(response.body.status).toBe('confirmed');
+    });
+});
+
+describe('POST /api/bookings under concurrency', () => {
+    beforeEach(() => {
+        resetMockData();
+    });
+
+    test('parallel requests never exceed capacity', async () => {
+        // loc2 has capacity 30, so only one 20-person team fits
+        const responses = await Promise.all(['t1', 't2', 't3', 't4', 't5'].map(teamId =>
+            request(app)
+                .post('/api/bookings')
+                .send({ date: '2024-05-06', teamId, teamName: teamId, peopleCount: 20, locationId: 'loc2' })
+        ));
+
+        const statuses = responses.map(r => r.status).sort();
+        expect(statuses).toEqual([201, 409, 409, 409, 409]);
+        expect(responses.filter(r => r.status === 409).every(r => r.body.remaining === 10)).toBe(true);
+        expect(mockData.bookings.reduce((sum, b) => sum + b.people_count, 0)).toBe(20);
+    });
+
+    test('parallel requests for the same team create one booking', async () => {
+        const responses = await Promise.all([1, 2, 3].map(() =>
+            request(app)
+                .post('/api/bookings')
+                .send({ date: '2024-05-06', teamId: 'team1', teamName: 'Engineering', peopleCount: 5, locationId: 'loc1' })
+        ));
+
+        expect(responses.filter(r => r.status === 201).length).toBe(1);
+        expect(mockData.bookings.length).toBe(1);
+    });
+
+    test('returns 400 for an unknown location', async () => {
+        const response = await request(app)
+            .post('/api/bookings')
+            .send({ date: '2024-05-06', teamId: 'team1', peopleCount: 5, locationId: 'nowhere' })
+            .expect(400);
+
+        expect(response.body.error).toBe('Invalid location');
+    });
+});
+
+describe('Overbooking approvals', () => {
+    const originalRequireAuth = process.env.REQUIRE_AUTH;
+
+    beforeEach(() => {
+        resetMockData();
+        mockData.bookings = [
+            { id: 'full', date: '2024-01-15', team_id: 'team2', team_name: 'Design', people_count: 45, location_id: 'loc1', status: 'confirmed' },
+            { id: 'p1', date: '2024-01-15', team_id: 'team1', team_name: 'Engineering', people_count: 10, location_id: 'loc1', status: 'pending', is_overbooked: true },
+            { id: 'p2', date: '2024-01-10', team_id: 'team1', team_name: 'Engineering', people_count: 10, location_id: 'loc2', status: 'pending', is_overbooked: true }
+        ];
+    });
+
+    afterEach(() => {
+        process.env.REQUIRE_AUTH = originalRequireAuth;
+    });
+
+    test('lists pending overbookings filtered by location', async () => {
+        const all = await request(app).get('/api/bookings/pending').expect(200);
+        expect(all.body.map(b => b.id)).toEqual(['p2', 'p1']);
+
+        const filtered = await request(app).get('/api/bookings/pending?locationId=loc1').expect(200);
+        expect(filtered.body.map(b => b.id)).toEqual(['p1']);
+    });
+
+    test('approves a pending overbooking and records the decision', async () => {
+        const response = await request(app)
+            .post('/api/bookings/p1/approve')
+            .send({ reason: 'Quarterly planning', allowOverbooking: true })
+            .expect(200);
+
+        expect(response.body.status).toBe('confirmed');
+        expect(response.body.isOverbooked).toBe(true);
+        expect(mockData.booking_approvals).toEqual([
+            expect.objectContaining({ booking_id: 'p1', decision: 'approved', reason: 'Quarterly planning' })
+        ]);
+    });
+
+    test('re-checks capacity when approving', async () => {
+        const response = await request(app)
+            .post('/api/bookings/p1/approve')
+            .send({ reason: 'Quarterly planning' })
+            .expect(409);
+
+        expect(response.body).toMatchObject({ code: 'CAPACITY_EXCEEDED', remaining: 5 });
+        expect(mockData.bookings.find(b => b.id === 'p1').status).toBe('pending');
+        expect(mockData.booking_approvals).toEqual([]);
+    });
+
+    test('approves a pending booking that fits once space has freed up, but not a second one', async () => {
+        mockData.bookings = [
+            { id: 'p1', date: '2024-01-15', team_id: 'team1', team_name: 'Engineering', people_count: 30, location_id: 'loc1', status: 'pending', is_overbooked: true },
+            { id: 'p3', date: '2024-01-15', team_id: 'team3', team_name: 'Sales', people_count: 30, location_id: 'loc1', status: 'pending', is_overbooked: true }
+        ];
+
+        const [first, second] = await Promise.all([
+            request(app).post('/api/bookings/p1/approve').send({}),
+            request(app).post('/api/bookings/p3/approve').send({})
+        ]);
+
+        expect([first.status, second.status].sort()).toEqual([200, 409]);
+        expect(mockData.bookings.filter(b => b.status === 'confirmed')).toHaveLength(1);
+    });
+
+    test('rejects a pending overbooking with a reason', async () => {
+        await request(app)
+            .post('/api/bookings/p1/reject')
+            .send({ reason: 'Fire regulations' })
+            .expect(200);
+
+        expect(mockData.bookings.find(b => b.id === 'p1')).toBeUndefined();
+        expect(mockData.booking_approvals[0]).toEqual(
+            expect.objectContaining({ booking_id: 'p1', decision: 'rejected', reason: 'Fire regulations', team_name: 'Engineering' })
+        );
+
+        const history = await request(app).get('/api/bookings/approvals?locationId=loc1').expect(200);
+        expect(history.body.length).toBe(1);
+    });
+
+    test('requires a reason to reject', async () => {
+        const response = await request(app)
+            .post('/api/bookings/p1/reject')
+            .send({})
+            .expect(400);
+
+        expect(response.body.error).toContain('reason');
+    });
+
+    test('refuses to decide on a booking that is not pending', async () => {
+        await request(app)
+            .post('/api/bookings/full/approve')
+            .send({})
+            .expect(400);
+    });
+
+    test('only location admins can decide when auth is required', async () => {
+        process.env.REQUIRE_AUTH = 'true';
+
+        const response = await request(app)
+            .post('/api/bookings/p1/approve')
+            .send({})
+            .expect(403);
+
+        expect(response.body.code).toBe('FORBIDDEN');
+    });
+});
+
+describe('POST /api/bookings/series', () => {
+    beforeEach(() => {
+        resetMockData();
+    });
+
+    const seriesRequest = (overrides = {}) => ({
+        startDate: '2024-03-04',
+        rule: { frequency: 'weekly', interval: 1, weekdays: [1, 3], until: '2024-03-17' },
+        teamId: 'team1',
+        teamName: 'Engineering',
+        peopleCount: 10,
+        locationId: 'loc1',
+        ...overrides
+    });
+
+    test('creates a booking for every occurrence', async () => {
+        const response = await request(app)
+            .post('/api/bookings/series')
+            .send(seriesRequest())
+            .expect(201);
+
+        expect(response.body.series.id).toBeDefined();
+        expect(response.body.bookings.map(b => b.date)).toEqual(['2024-03-04', '2024-03-06', '2024-03-11', '2024-03-13']);
+        expect(response.body.bookings.every(b => b.seriesId === response.body.series.id)).toBe(true);
+        expect(response.body.conflicts).toEqual([]);
+        expect(mockData.bookings.length).toBe(4);
+    });
+
+    test('skips public holidays', async () => {
+        mockData.public_holidays = [{ id: 1, date: '2024-03-06', name: 'Holiday' }];
+
+        const response = await request(app)
+            .post('/api/bookings/series')
+            .send(seriesRequest())
+            .expect(201);
+
+        expect(response.body.skippedHolidays).toEqual(['2024-03-06']);
+        expect(response.body.bookings.length).toBe(3);
+    });
+
+    test('reports duplicate and capacity conflicts without booking them', async () => {
+        mockData.bookings = [
+            { id: 'b1', date: '2024-03-06', team_id: 'team1', team_name: 'Engineering', people_count: 10, location_id: 'loc1' },
+            { id: 'b2', date: '2024-03-11', team_id: 'team2', team_name: 'Design', people_count: 45, location_id: 'loc1' }
+        ];
+
+        const response = await request(app)
+            .post('/api/bookings/series')
+            .send(seriesRequest())
+            .expect(201);
+
+        expect(response.body.bookings.map(b => b.date)).toEqual(['2024-03-04', '2024-03-13']);
+        expect(response.body.conflicts).toEqual([
+            expect.objectContaining({ date: '2024-03-06', reason: 'duplicate' }),
+            expect.objectContaining({ date: '2024-03-11', reason: 'capacity', available: 5 })
+        ]);
+    });
+
+    test('returns 409 when no occurrence can be booked', async () => {
+        mockData.bookings = [
+            { id: 'b1', date: '2024-03-04', team_id: 'team1', team_name: 'Engineering', people_count: 10, location_id: 'loc1' }
+        ];
+
+        const response = await request(app)
+            .post('/api/bookings/series')
+            .send(seriesRequest({ rule: { frequency: 'weekly', weekdays: [1], count: 1 } }))
+            .expect(409);
+
+        expect(response.body.conflicts.length).toBe(1);
+        expect(mockData.booking_series.length).toBe(0);
+    });
+
+    test('returns 400 for an invalid rule', async () => {
+        const response = await request(app)
+            .post('/api/bookings/series')
+            .send(seriesRequest({ rule: { frequency: 'daily', until: '2024-03-17' } }))
+            .expect(400);
+
+        expect(response.body.error).toContain('Frequency');
+    });
+
+    test('returns 400 for a start date that is not a date', async () => {
+        const response = await request(app)
+            .post('/api/bookings/series')
+            .send(seriesRequest({ startDate: 'next tuesday' }))
+            .expect(400);
+
+        expect(response.body.error).toContain('startDate');
+        await request(app).post('/api/bookings/series').send(seriesRequest({ startDate: 20240304 })).expect(400);
+        expect(mockData.booking_series.length).toBe(0);
+    });
+
+    test('returns 400 instead of cutting a long series short', async () => {
+        const response = await request(app)
+            .post('/api/bookings/series')
+            .send(seriesRequest({ rule: { frequency: 'weekly', weekdays: [1, 2, 3, 4, 5], until: '2030-12-31' } }))
+            .expect(400);
+
+        expect(response.body.error).toContain('at most 366 occurrences');
+        expect(mockData.booking_series.length).toBe(0);
+        expect(mockData.bookings.length).toBe(0);
+    });
+});
+
+describe('Series edit and cancel scopes', () => {
+    beforeEach(() => {
+        resetMockData();
+        mockData.booking_series = [
+            { id: 's1', team_id: 'team1', team_name: 'Engineering', people_count: 10, location_id: 'loc1', notes: '', start_date: '2024-03-04', rule: { frequency: 'weekly', interval: 1, weekdays: [1], count: 3 } }
+        ];
+        mockData.bookings = ['2024-03-04', '2024-03-11', '2024-03-18'].map((date, i) => ({
+            id: `s1-${i}`, date, team_id: 'team1', team_name: 'Engineering', people_count: 10, location_id: 'loc1', notes: '', series_id: 's1'
+        }));
+    });
+
+    test('updates only one occurrence by default', async () => {
+        await request(app)
+            .put('/api/bookings/s1-1')
+            .send({ notes: 'Offsite' })
+            .expect(200);
+
+        expect(mockData.bookings.map(b => b.notes)).toEqual(['', 'Offsite', '']);
+    });
+
+    test('updates this and following occurrences and splits the series', async () => {
+        const response = await request(app)
+            .put('/api/bookings/s1-1')
+            .send({ notes: 'New room', scope: 'following' })
+            .expect(200);
+
+        expect(response.body.bookings.map(b => b.id)).toEqual(['s1-1', 's1-2']);
+        expect(response.body.seriesId).not.toBe('s1');
+        expect(mockData.bookings.map(b => b.notes)).toEqual(['', 'New room', 'New room']);
+        expect(mockData.bookings[0].series_id).toBe('s1');
+        expect(mockData.booking_series.find(s => s.id === 's1').rule).toEqual(
+            { frequency: 'weekly', interval: 1, weekdays: [1], until: '2024-03-10' }
+        );
+    });
+
+    test('updates the whole series', async () => {
+        const response = await request(app)
+            .put('/api/bookings/s1-1')
+            .send({ peopleCount: 8, scope: 'series' })
+            .expect(200);
+
+        expect(response.body.bookings.length).toBe(3);
+        expect(mockData.bookings.every(b => b.people_count === 8)).toBe(true);
+    });
+
+    test('rejects a series update that exceeds capacity on any date', async () => {
+        mockData.bookings.push({ id: 'other', date: '2024-03-18', team_id: 'team2', team_name: 'Design', people_count: 35, location_id: 'loc1' });
+
+        const response = await request(app)
+            .put('/api/bookings/s1-0')
+            .send({ peopleCount: 20, scope: 'series' })
+            .expect(409);
+
+        expect(response.body).toMatchObject({ code: 'CAPACITY_EXCEEDED', remaining: 15 });
+        expect(response.body.conflicts).toEqual([expect.objectContaining({ date: '2024-03-18', available: 15 })]);
+        expect(mockData.bookings.filter(b => b.series_id === 's1').every(b => b.people_count === 10)).toBe(true);
+    });
+
+    test('rejects moving several occurrences to another date', async () => {
+        const response = await request(app)
+            .put('/api/bookings/s1-0')
+            .send({ date: '2024-03-05', scope: 'series' })
+            .expect(400);
+
+        expect(response.body.error).toContain('single occurrence');
+    });
+
+    test('rejects a series scope for a standalone booking', async () => {
+        mockData.bookings.push({ id: 'single', date: '2024-03-05', team_id: 'team2', team_name: 'Design', people_count: 5, location_id: 'loc1' });
+
+        await request(app)
+            .delete('/api/bookings/single?scope=series')
+            .expect(400);
+    });
+
+    test('cancels this and following occurrences', async () => {
+        const response = await request(app)
+            .delete('/api/bookings/s1-1?scope=following')
+            .expect(200);
+
+        expect(response.body.deleted).toBe(2);
+        expect(mockData.bookings.filter(b => !b.deleted_at).map(b => b.id)).toEqual(['s1-0']);
+        expect(mockData.booking_series[0].rule.until).toBe('2024-03-10');
+    });
+
+    test('cancels the whole series, keeping the series for a restore', async () => {
+        const response = await request(app)
+            .delete('/api/bookings/s1-1?scope=series')
+            .expect(200);
+
+        expect(response.body.deleted).toBe(3);
+        expect(mockData.bookings.every(b => b.deleted_at)).toBe(true);
+        expect(mockData.booking_series.length).toBe(1);
+    });
+
+    test('returns the series with its occurrences', async () => {
+        const response = await request(app)
+            .get('/api/bookings/series/s1')
+            .expect(200);
+
+        expect(response.body.rule.frequency).toBe('weekly');
+        expect(response.body.bookings.length).toBe(3);
+    });
+});
+
+describe('Booking waitlist', () => {
+    beforeEach(() => {
+        resetMockData();
+        // loc2 has capacity 30
+        mockData.bookings = [
+            { id: 'b1', date: '2024-04-02', team_id: 'team1', team_name: 'Engineering', people_count: 25, location_id: 'loc2', notes: '' }
+        ];
+    });
+
+    const joinRequest = (overrides = {}) => ({
+        date: '2024-04-02',
+        teamId: 'team2',
+        teamName: 'Design',
+        peopleCount: 10,
+        locationId: 'loc2',
+        ...overrides
+    });
+
+    test('joins the waitlist when the day is full', async () => {
+        const response = await request(app)
+            .post('/api/bookings/waitlist')
+            .send(joinRequest())
+            .expect(201);
+
+        expect(response.body.teamId).toBe('team2');
+        expect(response.body.position).toBe(1);
+        expect(mockData.booking_waitlist.length).toBe(1);
+    });
+
+    test('refuses to waitlist a booking that fits', async () => {
+        const response = await request(app)
+            .post('/api/bookings/waitlist')
+            .send(joinRequest({ peopleCount: 5 }))
+            .expect(400);
+
+        expect(response.body.error).toContain('There is space');
+    });
+
+    test('refuses to waitlist the same team twice', async () => {
+        mockData.booking_waitlist = [
+            { id: 'w1', date: '2024-04-02', team_id: 'team2', team_name: 'Design', people_count: 10, location_id: 'loc2', created_at: '2024-03-01T00:00:00Z' }
+        ];
+
+        const response = await request(app)
+            .post('/api/bookings/waitlist')
+            .send(joinRequest())
+            .expect(409);
+
+        expect(response.body).toMatchObject({ code: 'ALREADY_WAITLISTED' });
+        expect(response.body.error).toContain('already on the waitlist');
+    });
+
+    test('refuses a team that already has a booking that day', async () => {
+        const response = await request(app)
+            .post('/api/bookings/waitlist')
+            .send(joinRequest({ teamId: 'team1', teamName: 'Engineering' }))
+            .expect(409);
+
+        expect(response.body.code).toBe('DUPLICATE_BOOKING');
+    });
+
+    test('validates the entry like a booking', async () => {
+        for (const overrides of [{ peopleCount: 'ten' }, { peopleCount: 2.5 }, { date: '2024-02-31' }, { date: '02/04/2024' }, { teamId: 'nobody' }, { locationId: 'nowhere' }]) {
+            await request(app).post('/api/bookings/waitlist').send(joinRequest(overrides)).expect(400);
+        }
+
+        expect(mockData.booking_waitlist.length).toBe(0);
+    });
+
+    test('lists entries in joining order', async () => {
+        mockData.booking_waitlist = [
+            { id: 'w2', date: '2024-04-02', team_id: 'team3', team_name: 'Sales', people_count: 4, location_id: 'loc2', created_at: '2024-03-02T00:00:00Z' },
+            { id: 'w1', date: '2024-04-02', team_id: 'team2', team_name: 'Design', people_count: 10, location_id: 'loc2', created_at: '2024-03-01T00:00:00Z' }
+        ];
+
+        const response = await request(app)
+            .get('/api/bookings/waitlist?date=2024-04-02&locationId=loc2')
+            .expect(200);
+
+        expect(response.body.map(e => e.id)).toEqual(['w1', 'w2']);
+    });
+
+    test('promotes waitlisted teams that fit when a booking is deleted', async () => {
+        const emit = jest.fn();
+        initBookingsRoutes({ emitRoomDataChanged: emit, roomKeyForBooking: (date, locationId) => `${locationId}:${date}` });
+        mockData.booking_waitlist = [
+            { id: 'w1', date: '2024-04-02', team_id: 'team2', team_name: 'Design', people_count: 40, location_id: 'loc2', created_at: '2024-03-01T00:00:00Z' },
+            { id: 'w2', date: '2024-04-02', team_id: 'team3', team_name: 'Sales', people_count: 10, location_id: 'loc2', created_at: '2024-03-02T00:00:00Z' }
+        ];
+
+        const response = await request(app)
+            .delete('/api/bookings/b1')
+            .expect(200);
+
+        // Design needs more than the 30 spots, so Sales is promoted
+        expect(response.body.promoted.map(b => b.teamId)).toEqual(['team3']);
+        expect(mockData.bookings.filter(b => !b.deleted_at).map(b => b.team_id)).toEqual(['team3']);
+        expect(mockData.booking_waitlist.map(e => e.id)).toEqual(['w1']);
+        expect(emit).toHaveBeenCalledWith('loc2:2024-04-02', expect.objectContaining({ type: 'waitlist:promoted' }));
+    });
+
+    test('promotes waitlisted teams when a booking shrinks', async () => {
+        mockData.booking_waitlist = [
+            { id: 'w1', date: '2024-04-02', team_id: 'team2', team_name: 'Design', people_count: 10, location_id: 'loc2', created_at: '2024-03-01T00:00:00Z' }
+        ];
+
+        await request(app)
+            .put('/api/bookings/b1')
+            .send({ peopleCount: 15 })
+            .expect(200);
+
+        expect(mockData.bookings.map(b => b.team_id)).toEqual(['team1', 'team2']);
+        expect(mockData.booking_waitlist.length).toBe(0);
+    });
+
+    test('keeps a waitlist entry whose promotion fails', async () => {
+        mockData.booking_waitlist = [
+            { id: 'w1', date: '2024-04-02', team_id: 'team2', team_name: 'Design', people_count: 10, location_id: 'loc2', created_at: '2024-03-01T00:00:00Z' },
+            { id: 'w2', date: '2024-04-02', team_id: 'team3', team_name: 'Sales', people_count: 10, location_id: 'loc2', created_at: '2024-03-02T00:00:00Z' }
+        ];
+        supabase.rpc.mockResolvedValueOnce({ data: null, error: { message: 'Simulated database error' } });
+
+        const response = await request(app)
+            .delete('/api/bookings/b1')
+            .expect(200);
+
+        expect(response.body.promoted.map(b => b.teamId)).toEqual(['team3']);
+        expect(mockData.booking_waitlist.map(e => e.id)).toEqual(['w1']);
+    });
+
+    test('keeps a waitlist entry while the team only has a pending booking', async () => {
+        mockData.bookings.push(
+            { id: 'b2', date: '2024-04-02', team_id: 'team2', team_name: 'Design', people_count: 40, location_id: 'loc2', notes: 'Offsite', status: 'pending', is_overbooked: true }
+        );
+        mockData.booking_waitlist = [
+            { id: 'w1', date: '2024-04-02', team_id: 'team2', team_name: 'Design', people_count: 10, location_id: 'loc2', created_at: '2024-03-01T00:00:00Z' }
+        ];
+
+        await request(app)
+            .delete('/api/bookings/b1')
+            .expect(200);
+
+        expect(mockData.booking_waitlist.map(e => e.id)).toEqual(['w1']);
+    });
+
+    test('leaves the waitlist', async () => {
+        mockData.booking_waitlist = [
+            { id: 'w1', date: '2024-04-02', team_id: 'team2', team_name: 'Design', people_count: 10, location_id: 'loc2', created_at: '2024-03-01T00:00:00Z' }
+        ];
+
+        await request(app)
+            .delete('/api/bookings/waitlist/w1')
+            .expect(200);
+
+        expect(mockData.booking_waitlist.length).toBe(0);
+    });
+
+    test('returns 404 when leaving an unknown waitlist entry', async () => {
+        await request(app)
+            .delete('/api/bookings/waitlist/missing')
+            .expect(404);
+    });
+});
+
+describe('Booking permissions', () => {
+    const originalRequireAuth = process.env.REQUIRE_AUTH;
+    const originalTeams = mockData.teams;
+    const authedApp = express();
+    authedApp.use(express.json());
+    authedApp.use((req, res, next) => {
+        req.user = { authenticated: true, email: req.headers['x-test-email'], roles: [] };
+        next();
+    });
+    authedApp.use('/api/bookings', bookingsRouter);
+
+    beforeEach(() => {
+        resetMockData();
+        process.env.REQUIRE_AUTH = 'true';
+        mockData.bookings = [
+            { id: 'b1', date: '2024-01-15', team_id: 'team1', team_name: 'Engineering', people_count: 10, location_id: 'loc1', status: 'confirmed' },
+            { id: 'b2', date: '2024-01-15', team_id: 'team2', team_name: 'Design', people_count: 5, location_id: 'loc1', status: 'confirmed' },
+            { id: 'p1', date: '2024-01-16', team_id: 'team1', team_name: 'Engineering', people_count: 10, location_id: 'loc1', status: 'pending', is_overbooked: true }
+        ];
+        mockData.teams = [
+            { id: 'team1', name: 'Engineering', member_count: 10, location_id: 'loc1', manager: 'John Manager', manager_email: 'john@example.com' },
+            { id: 'team2', name: 'Design', member_count: 5, location_id: 'loc1', manager: 'Jane Manager' }
+        ];
+        mockData.role_assignments = [
+            { id: 'r1', user_email: 'admin@example.com', role: 'LocationAdmin', location_id: 'loc1' }
+        ];
+    });
+
+    afterEach(() => {
+        process.env.REQUIRE_AUTH = originalRequireAuth;
+        mockData.teams = originalTeams;
+    });
+
+    test('only a team\'s manager can edit its bookings', async () => {
+        await request(authedApp)
+            .put('/api/bookings/b1')
+            .set('x-test-email', 'john@example.com')
+            .send({ peopleCount: 8 })
+            .expect(200);
+
+        await request(authedApp)
+            .delete('/api/bookings/b2')
+            .set('x-test-email', 'john@example.com')
+            .expect(403);
+
+        await request(authedApp)
+            .post('/api/bookings')
+            .set('x-test-email', 'john@example.com')
+            .send({ date: '2024-01-17', teamId: 'team2', peopleCount: 2, locationId: 'loc1' })
+            .expect(403);
+    });
+
+    test('managers cannot move a booking to a team they do not manage', async () => {
+        await request(authedApp)
+            .put('/api/bookings/b1')
+            .set('x-test-email', 'john@example.com')
+            .send({ teamId: 'team2' })
+            .expect(403);
+    });
+
+    test('location admins decide on overbookings, managers cannot', async () => {
+        await request(authedApp)
+            .post('/api/bookings/p1/approve')
+            .set('x-test-email', 'john@example.com')
+            .send({})
+            .expect(403);
+
+        await request(authedApp)
+            .post('/api/bookings/p1/approve')
+            .set('x-test-email', 'admin@example.com')
+            .send({})
+            .expect(200);
     });
 });
 
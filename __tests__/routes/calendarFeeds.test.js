@@ -0,0 +1,217 @@
+/**
+ * Integration tests for /api/calendar-feeds and keeping feeds in step with bookings
+ */
+const request = require('supertest');
+const express = require('express');
+
+jest.mock('../../config/supabase', () => require('../mocks/supabase.mock'));
+
+const { mockData, resetMockData } = require('../mocks/supabase.mock');
+const calendarFeedsRouter = require('../../routes/calendarFeeds');
+const { router: bookingsRouter } = require('../../routes/bookings');
+const deskBookingsRouter = require('../../routes/deskBookings');
+const teamsRouter = require('../../routes/teams');
+const { feedWindowStart } = require('../../utils/calendarFeeds');
+const { addDays } = require('../../utils/recurrence');
+
+// Signed-in user comes from a test header, as optionalAuth would attach it
+const app = express();
+app.use(express.json());
+app.use((req, res, next) => {
+    const email = req.headers['x-test-email'];
+    req.user = email ? { authenticated: true, email, roles: [] } : { authenticated: false };
+    next();
+});
+app.use('/api/calendar-feeds', calendarFeedsRouter);
+app.use('/api/bookings', bookingsRouter);
+app.use('/api/desk-bookings', deskBookingsRouter);
+app.use('/api/teams', teamsRouter);
+
+const USER = 'sam@example.com';
+const TODAY = new Date().toISOString().split('T')[0];
+const NEXT_WEEK = addDays(TODAY, 7);
+const originalTeams = mockData.teams;
+
+const feed = (type, targetId = null, overrides = {}) => ({
+    id: `feed-${type}`,
+    token: `token-${type}`,
+    user_email: USER,
+    feed_type: type,
+    target_id: targetId,
+    created_at: '2024-01-01T00:00:00Z',
+    ...overrides
+});
+
+const fetchFeed = token => request(app).get(`/api/calendar-feeds/${token}.ics`).expect(200);
+
+// Unfolded VEVENT blocks keyed by UID
+function parseEvents(text) {
+    const events = {};
+    text.replace(/\r\n /g, '').split('BEGIN:VEVENT').slice(1).forEach(block => {
+        const lines = block.split('\r\n');
+        const uid = lines.find(l => l.startsWith('UID:')).slice(4);
+        events[uid] = lines;
+    });
+    return events;
+}
+
+beforeEach(() => {
+    resetMockData();
+    mockData.teams = [
+        { id: 'team1', name: 'Engineering', member_count: 10, location_id: 'loc1', manager: 'John Manager' },
+        { id: 'team2', name: 'Design', member_count: 5, location_id: 'loc1', manager: 'Jane Manager' }
+    ];
+    mockData.bookings = [
+        { id: 'b1', date: NEXT_WEEK, team_id: 'team1', team_name: 'Engineering', people_count: 8, location_id: 'loc1', notes: '', status: 'confirmed', sequence: 0 },
+        { id: 'b2', date: NEXT_WEEK, team_id: 'team2', team_name: 'Design', people_count: 4, location_id: 'loc1', notes: '', status: 'pending', sequence: 0 },
+        { id: 'b-old', date: addDays(feedWindowStart(), -1), team_id: 'team1', team_name: 'Engineering', people_count: 8, location_id: 'loc1', status: 'confirmed', sequence: 0 }
+    ];
+});
+
+afterEach(() => {
+    mockData.teams = originalTeams;
+});
+
+describe('managing feeds', () => {
+    test('requires a signed-in user', async () => {
+        await request(app).get('/api/calendar-feeds').expect(401);
+        await request(app).post('/api/calendar-feeds').send({ type: 'person' }).expect(401);
+    });
+
+    test('creates a feed with an unguessable token and subscription URLs', async () => {
+        const response = await request(app)
+            .post('/api/calendar-feeds')
+            .set('x-test-email', 'Sam@Example.com')
+            .send({ type: 'team', targetId: 'team1' })
+            .expect(201);
+
+        expect(response.body).toMatchObject({ userEmail: USER, feedType: 'team', targetId: 'team1' });
+        expect(response.body.token).toMatch(/^[A-Za-z0-9_-]{32}$/);
+        expect(response.body.url).toMatch(new RegExp(`^http://127.0.0.1:\\d+/api/calendar-feeds/${response.body.token}\\.ics$`));
+        expect(response.body.webcalUrl).toMatch(/^webcal:\/\//);
+    });
+
+    test('returns the existing feed for the same target', async () => {
+        mockData.calendar_feeds = [feed('team', 'team1')];
+
+        const response = await request(app)
+            .post('/api/calendar-feeds')
+            .set('x-test-email', USER)
+            .send({ type: 'team', targetId: 'team1' })
+            .expect(200);
+
+        expect(response.body.token).toBe('token-team');
+        expect(mockData.calendar_feeds).toHaveLength(1);
+    });
+
+    test('validates the feed type and target', async () => {
+        await request(app).post('/api/calendar-feeds').set('x-test-email', USER).send({ type: 'desk' }).expect(400);
+        await request(app).post('/api/calendar-feeds').set('x-test-email', USER).send({ type: 'location', targetId: 'nowhere' }).expect(400);
+    });
+
+    test('lists and revokes only the user\'s own feeds', async () => {
+        mockData.calendar_feeds = [feed('person'), feed('team', 'team1', { id: 'other', user_email: 'alex@example.com' })];
+
+        const list = await request(app).get('/api/calendar-feeds').set('x-test-email', USER).expect(200);
+        expect(list.body.map(f => f.id)).toEqual(['feed-person']);
+
+        await request(app).delete('/api/calendar-feeds/other').set('x-test-email', USER).expect(404);
+        await request(app).delete('/api/calendar-feeds/feed-person').set('x-test-email', USER).expect(200);
+        await request(app).get('/api/calendar-feeds/token-person.ics').expect(404);
+    });
+});
+
+describe('GET /api/calendar-feeds/:token.ics', () => {
+    test('serves a team feed without signing in', async () => {
+        mockData.calendar_feeds = [feed('team', 'team1')];
+
+        const response = await fetchFeed('token-team')
+            .expect('Content-Type', /text\/calendar/);
+
+        const events = parseEvents(response.text);
+        expect(Object.keys(events)).toEqual(['b1@officebooking']);
+        expect(events['b1@officebooking']).toEqual(expect.arrayContaining(['SEQUENCE:0', 'STATUS:CONFIRMED']));
+        expect(response.text).toContain('X-WR-CALNAME:Engineering office days');
+        expect(mockData.calendar_feeds[0].last_accessed_at).toBeTruthy();
+    });
+
+    test('serves a location feed with every team and public holidays', async () => {
+        mockData.calendar_feeds = [feed('location', 'loc1')];
+        mockData.public_holidays = [{ id: 'h1', date: NEXT_WEEK, name: 'Heritage Day' }];
+
+        const events = parseEvents((await fetchFeed('token-location')).text);
+
+        expect(Object.keys(events).sort()).toEqual(['b1@officebooking', 'b2@officebooking', `holiday-${NEXT_WEEK}@officebooking`]);
+        expect(events['b2@officebooking']).toContain('STATUS:TENTATIVE');
+    });
+
+    test('serves the owner\'s desk bookings in a person feed', async () => {
+        mockData.calendar_feeds = [feed('person')];
+        mockData.desk_bookings = [
+            { id: 'db1', desk_id: 'd1', desk_name: 'A1', location_id: 'loc1', date: NEXT_WEEK, start_time: '09:00', end_time: '12:00', employee_name: 'Sam', employee_email: 'SAM@example.com', sequence: 0 },
+            { id: 'db2', desk_id: 'd2', desk_name: 'A2', location_id: 'loc1', date: NEXT_WEEK, employee_name: 'Sam', employee_email: USER, no_show: true, sequence: 1 },
+            { id: 'db3', desk_id: 'd3', desk_name: 'A3', location_id: 'loc1', date: NEXT_WEEK, employee_name: 'Alex', employee_email: 'alex@example.com', sequence: 0 }
+        ];
+
+        const events = parseEvents((await fetchFeed('token-person')).text);
+
+        expect(Object.keys(events)).toEqual(['desk-db1@officebooking', 'desk-db2@officebooking']);
+        expect(events['desk-db1@officebooking']).toContain('LOCATION:A1\\, Johannesburg');
+        expect(events['desk-db2@officebooking']).toEqual(expect.arrayContaining(['SEQUENCE:1', 'STATUS:CANCELLED']));
+    });
+
+    test('returns 404 for an unknown token', async () => {
+        await request(app).get('/api/calendar-feeds/guess.ics').expect(404);
+    });
+});
+
+describe('feeds follow booking changes', () => {
+    beforeEach(() => {
+        mockData.calendar_feeds = [feed('team', 'team1'), feed('location', 'loc1'), feed('person')];
+    });
+
+    test('bumps SEQUENCE when a booking changes', async () => {
+        await request(app).put('/api/bookings/b1').send({ notes: 'Bring laptops' }).expect(200);
+
+        const events = parseEvents((await fetchFeed('token-team')).text);
+        expect(events['b1@officebooking']).toEqual(expect.arrayContaining(['SEQUENCE:1', 'STATUS:CONFIRMED']));
+    });
+
+    test('publishes deleted bookings as cancelled with a higher SEQUENCE', async () => {
+        await request(app).delete('/api/bookings/b1').expect(200);
+
+        const events = parseEvents((await fetchFeed('token-team')).text);
+        expect(events['b1@officebooking']).toEqual(expect.arrayContaining(['SEQUENCE:1', 'STATUS:CANCELLED']));
+        expect(events['b1@officebooking']).toContain(`DTSTART;VALUE=DATE:${NEXT_WEEK.replace(/-/g, '')}`);
+    });
+
+    test('cancels a booking in the feed of the team it moved away from', async () => {
+        await request(app).put('/api/bookings/b1').send({ teamId: 'team3', teamName: 'Data' }).expect(200);
+
+        const teamEvents = parseEvents((await fetchFeed('token-team')).text);
+        expect(teamEvents['b1@officebooking']).toContain('STATUS:CANCELLED');
+
+        // Still live at the same location, so the location feed keeps it confirmed
+        const locationEvents = parseEvents((await fetchFeed('token-location')).text);
+        expect(locationEvents['b1@officebooking']).toEqual(expect.arrayContaining(['SEQUENCE:1', 'STATUS:CONFIRMED']));
+    });
+
+    test('cancels the bookings of a deleted team', async () => {
+        await request(app).delete('/api/teams/team1').expect(200);
+
+        const events = parseEvents((await fetchFeed('token-location')).text);
+        expect(events['b1@officebooking']).toContain('STATUS:CANCELLED');
+        expect(events['b-old@officebooking']).toBeUndefined();
+    });
+
+    test('cancels deleted desk bookings in the person feed', async () => {
+        mockData.desk_bookings = [
+            { id: 'db1', desk_id: 'd1', desk_name: 'A1', location_id: 'loc1', date: NEXT_WEEK, employee_name: 'Sam', employee_email: USER, sequence: 0 }
+        ];
+
+        await request(app).delete('/api/desk-bookings/db1').expect(200);
+
+        const events = parseEvents((await fetchFeed('token-person')).text);
+        expect(events['desk-db1@officebooking']).toEqual(expect.arrayContaining(['SEQUENCE:1', 'STATUS:CANCELLED', 'SUMMARY:Desk A1']));
+    });
+});
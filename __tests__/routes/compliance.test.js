@@ -0,0 +1,74 @@
+/**
+ * Integration tests for /api/compliance
+ */
+const request = require('supertest');
+const express = require('express');
+
+jest.mock('../../config/supabase', () => require('../mocks/supabase.mock'));
+
+const { mockData, resetMockData } = require('../mocks/supabase.mock');
+const complianceRouter = require('../../routes/compliance');
+
+const app = express();
+app.use('/api/compliance', complianceRouter);
+
+// January 2024 is in the past, so every day counts as attended or missed
+beforeEach(() => {
+    resetMockData();
+    mockData.settings = [{
+        key: 'attendance_policies',
+        value: { default: { minDaysPerMonth: 3 }, teams: { team2: { minDaysPerWeek: 1, anchorDays: [1] } } }
+    }];
+    mockData.bookings = [
+        { id: 'b1', date: '2024-01-08', team_id: 'team1', location_id: 'loc1', status: 'confirmed' },
+        { id: 'b2', date: '2024-01-09', team_id: 'team1', location_id: 'loc1', status: 'confirmed' },
+        { id: 'b3', date: '2024-01-10', team_id: 'team1', location_id: 'loc1', status: 'pending' },
+        { id: 'b4', date: '2024-02-01', team_id: 'team1', location_id: 'loc1', status: 'confirmed' }
+    ];
+    mockData.desk_bookings = [
+        { id: 'd1', date: '2024-01-11', team_id: 'team1', checked_in: true },
+        { id: 'd2', date: '2024-01-12', team_id: 'team1', checked_in: false }
+    ];
+});
+
+describe('GET /api/compliance', () => {
+    test('reports each team against the policy it follows', async () => {
+        const response = await request(app).get('/api/compliance?month=2024-01').expect(200);
+
+        expect(response.body.map(t => [t.teamName, t.policySource, t.status])).toEqual([
+            ['Design', 'team', 'non_compliant'],
+            ['Engineering', 'default', 'compliant']
+        ]);
+        // Confirmed bookings and desk check-ins count; pending bookings and open desk bookings don't
+        expect(response.body[1]).toMatchObject({ teamId: 'team1', month: '2024-01', attendedDays: 3, requiredDays: 3 });
+        expect(response.body[0].missedAnchorDays).toHaveLength(5);
+    });
+
+    test('filters by team and location', async () => {
+        const team = await request(app).get('/api/compliance?month=2024-01&teamId=team1').expect(200);
+        expect(team.body.map(t => t.teamId)).toEqual(['team1']);
+
+        const location = await request(app).get('/api/compliance?month=2024-01&locationId=loc2').expect(200);
+        expect(location.body).toEqual([]);
+    });
+
+    test('reports no policy when none is configured', async () => {
+        mockData.settings = [];
+
+        const response = await request(app).get('/api/compliance?month=2024-01&teamId=team1').expect(200);
+
+        expect(response.body[0]).toMatchObject({ policy: null, status: 'no_policy', attendedDays: 3 });
+    });
+
+    test('defaults to the current month', async () => {
+        const response = await request(app).get('/api/compliance').expect(200);
+
+        expect(response.body[0].month).toBe(new Date().toISOString().slice(0, 7));
+    });
+
+    test('validates the month and team', async () => {
+        await request(app).get('/api/compliance?month=2024-13').expect(400);
+        await request(app).get('/api/compliance?month=January').expect(400);
+        await request(app).get('/api/compliance?month=2024-01&teamId=nobody').expect(404);
+    });
+});
@@ -7,7 +7,11 @@ const express = require('express');
 jest.mock('../../config/supabase', () => require('../mocks/supabase.mock'));
 
 const { mockData, resetMockData, setSimulateError, clearSimulateError } = require('../mocks/supabase.mock');
+const { createMockIo } = require('../mocks/io.mock');
 const deskBookingsRouter = require('../../routes/deskBookings');
+const { initRealtimeEvents } = require('../../socket/events');
+const { signQrToken } = require('../../utils/qrTokens');
+const { locationsRepo } = require('../../repositories');
 
 const app = express();
 app.use(express.json());
@@ -70,6 +74,54 @@ describe('GET /api/desk-bookings', () => {
     });
 });
 
+describe('GET /api/desk-bookings no-shows', () => {
+    beforeEach(() => {
+        resetMockData();
+        mockData.desk_bookings = [
+            { id: 'db1', desk_id: 'd1', location_id: 'loc1', date: '2024-01-15', employee_name: 'John', employee_email: 'john@example.com', no_show: true },
+            { id: 'db2', desk_id: 'd2', location_id: 'loc1', date: '2024-01-15', employee_name: 'Jane', employee_email: '' },
+            { id: 'db3', desk_id: 'd1', location_id: 'loc1', date: '2024-01-20', employee_name: 'John Doe', employee_email: 'JOHN@example.com', no_show: true },
+            { id: 'db4', desk_id: 'd3', location_id: 'loc2', date: '2024-01-20', employee_name: 'Jane', employee_email: '', no_show: true }
+        ];
+    });
+
+    test('leaves released no-shows out of the booking list by default', async () => {
+        const response = await request(app)
+            .get('/api/desk-bookings?date=2024-01-15')
+            .expect(200);
+
+        expect(response.body.map(b => b.id)).toEqual(['db2']);
+    });
+
+    test('includes no-shows when asked', async () => {
+        const response = await request(app)
+            .get('/api/desk-bookings?date=2024-01-15&includeNoShows=true')
+            .expect(200);
+
+        expect(response.body).toHaveLength(2);
+    });
+
+    test('counts no-shows per employee', async () => {
+        const response = await request(app)
+            .get('/api/desk-bookings/no-shows')
+            .expect(200);
+
+        expect(response.body).toEqual([
+            { employeeName: 'John', employeeEmail: 'john@example.com', noShowCount: 2, lastNoShow: '2024-01-20' },
+            { employeeName: 'Jane', employeeEmail: '', noShowCount: 1, lastNoShow: '2024-01-20' }
+        ]);
+    });
+
+    test('filters no-show counts by location and date range', async () => {
+        const response = await request(app)
+            .get('/api/desk-bookings/no-shows?locationId=loc1&from=2024-01-16&to=2024-01-31')
+            .expect(200);
+
+        expect(response.body).toHaveLength(1);
+        expect(response.body[0].noShowCount).toBe(1);
+    });
+});
+
 describe('POST /api/desk-bookings', () => {
     beforeEach(() => {
         resetMockData();
@@ -136,7 +188,7 @@ describe('POST /api/desk-bookings', () => {
         expect(response.body.error).toBe('Desk not found');
     });
 
-    test('returns 400 if desk already booked for date', async () => {
+    test('returns 409 if desk already booked for date', async () => {
         mockData.desk_bookings = [
             { id: 'db1', desk_id: 'd1', date: '2024-02-01' }
         ];
@@ -144,9 +196,152 @@ describe('POST /api/desk-bookings', () => {
         const response = await request(app)
             .post('/api/desk-bookings')
             .send({ deskId: 'd1', date: '2024-02-01', employeeName: 'Jane' })
-            .expect(400);
+            .expect(409);
 
         expect(response.body.error).toBe('Desk already booked for this day');
+        expect(response.body).toMatchObject({ code: 'DESK_CONFLICT', conflict: { startTime: '08:00', endTime: '18:00' } });
+    });
+
+    test('stores full-day bookings without times', async () => {
+        const response = await request(app)
+            .post('/api/desk-bookings')
+            .send({ deskId: 'd1', date: '2024-02-01', employeeName: 'John', slot: 'full' })
+            .expect(201);
+
+        expect(response.body.startTime).toBeNull();
+        expect(response.body.endTime).toBeNull();
+    });
+
+    test('books morning and afternoon slots on the same desk', async () => {
+        const morning = await request(app)
+            .post('/api/desk-bookings')
+            .send({ deskId: 'd1', date: '2024-02-01', employeeName: 'John', slot: 'am' })
+            .expect(201);
+
+        expect(morning.body.startTime).toBe('08:00');
+        expect(morning.body.endTime).toBe('12:00');
+
+        const afternoon = await request(app)
+            .post('/api/desk-bookings')
+            .send({ deskId: 'd1', date: '2024-02-01', employeeName: 'Jane', slot: 'pm' })
+            .expect(201);
+
+        expect(afternoon.body.startTime).toBe('12:00');
+        expect(afternoon.body.endTime).toBe('18:00');
+        expect(mockData.desk_bookings).toHaveLength(2);
+    });
+
+    test('rejects a custom slot overlapping an existing one', async () => {
+        mockData.desk_bookings = [
+            { id: 'db1', desk_id: 'd1', date: '2024-02-01', start_time: '10:00', end_time: '12:00' }
+        ];
+
+        const response = await request(app)
+            .post('/api/desk-bookings')
+            .send({ deskId: 'd1', date: '2024-02-01', employeeName: 'Jane', slot: 'custom', startTime: '11:00', endTime: '14:00' })
+            .expect(409);
+
+        expect(response.body.error).toBe('Desk already booked from 10:00 to 12:00');
+        expect(response.body.conflict).toEqual({ startTime: '10:00', endTime: '12:00' });
+    });
+
+    test('rejects a full-day booking when part of the day is taken', async () => {
+        mockData.desk_bookings = [
+            { id: 'db1', desk_id: 'd1', date: '2024-02-01', start_time: '14:00', end_time: '15:00' }
+        ];
+
+        const response = await request(app)
+            .post('/api/desk-bookings')
+            .send({ deskId: 'd1', date: '2024-02-01', employeeName: 'Jane' })
+            .expect(409);
+
+        expect(response.body.error).toBe('Desk already booked from 14:00 to 15:00');
+    });
+
+    test('allows back-to-back custom slots', async () => {
+        mockData.desk_bookings = [
+            { id: 'db1', desk_id: 'd1', date: '2024-02-01', start_time: '10:00', end_time: '12:00' }
+        ];
+
+        await request(app)
+            .post('/api/desk-bookings')
+            .send({ deskId: 'd1', date: '2024-02-01', employeeName: 'Jane', startTime: '12:00', endTime: '13:00' })
+            .expect(201);
+    });
+
+    test('rejects slots outside the location opening hours', async () => {
+        const location = mockData.locations.find(l => l.id === 'loc1');
+        location.opening_time = '09:00:00';
+        location.closing_time = '17:00:00';
+
+        try {
+            const response = await request(app)
+                .post('/api/desk-bookings')
+                .send({ deskId: 'd1', date: '2024-02-01', employeeName: 'Jane', startTime: '08:00', endTime: '10:00' })
+                .expect(400);
+
+            expect(response.body.error).toBe('Bookings must be within opening hours (09:00-17:00)');
+        } finally {
+            delete location.opening_time;
+            delete location.closing_time;
+        }
+    });
+
+    test('returns 400 for a date that is not a date', async () => {
+        for (const date of ['01/02/2024', '2024-02-30', 20240201]) {
+            const response = await request(app)
+                .post('/api/desk-bookings')
+                .send({ deskId: 'd1', date, employeeName: 'Jane' })
+                .expect(400);
+
+            expect(response.body.error).toBe('Date must be in YYYY-MM-DD format');
+        }
+        expect(mockData.desk_bookings).toHaveLength(0);
+    });
+
+    test('gives the desk to only one of two requests for the same slot', async () => {
+        // Hold both requests at the opening hours lookup so they reach the insert together
+        const findLocation = locationsRepo.findById.bind(locationsRepo);
+        let release;
+        const bothArrived = new Promise(resolve => { release = resolve; });
+        let arrived = 0;
+        const spy = jest.spyOn(locationsRepo, 'findById').mockImplementation(async (...args) => {
+            if (++arrived === 2) release();
+            await bothArrived;
+            return findLocation(...args);
+        });
+
+        try {
+            const responses = await Promise.all([
+                request(app).post('/api/desk-bookings').send({ deskId: 'd1', date: '2024-02-01', employeeName: 'John', slot: 'am' }),
+                request(app).post('/api/desk-bookings').send({ deskId: 'd1', date: '2024-02-01', employeeName: 'Jane' })
+            ]);
+
+            expect(responses.map(r => r.status).sort()).toEqual([201, 409]);
+            expect(mockData.desk_bookings).toHaveLength(1);
+        } finally {
+            spy.mockRestore();
+        }
+    });
+
+    test('ignores released no-shows when checking for conflicts', async () => {
+        mockData.desk_bookings = [
+            { id: 'db1', desk_id: 'd1', date: '2024-02-01', no_show: true }
+        ];
+
+        await request(app)
+            .post('/api/desk-bookings')
+            .send({ deskId: 'd1', date: '2024-02-01', employeeName: 'Jane' })
+            .expect(201);
+    });
+
+    test('returns 400 for an invalid slot', async () => {
+        const response = await request(app)
+            .post('/api/desk-bookings')
+            .send({ deskId: 'd1', date: '2024-02-01', employeeName: 'Jane', slot: 'custom', startTime: '10:30', endTime: '12:00' })
+            .expect(400);
+
+        expect(response.body.error).toBe('Custom slots must start and end on the hour');
     });
 });
 
@@ -190,7 +385,7 @@ describe('POST /api/desk-bookings/:id/checkin', () => {
     test('checks in with valid booking for today', async () => {
         const response = await request(app)
             .post('/api/desk-bookings/db1/checkin')
-            .send({})
+            .send({ qrCode: signQrToken('QR123') })
             .expect(200);
 
         expect(response.body.success).toBe(true);
@@ -219,6 +414,57 @@ describe('POST /api/desk-bookings/:id/checkin', () => {
         expect(response.body.error).toBe('Can only check in on the booking date');
     });
 
+    test('returns 400 when the booking was released as a no-show', async () => {
+        mockData.desk_bookings[0].no_show = true;
+
+        const response = await request(app)
+            .post('/api/desk-bookings/db1/checkin')
+            .send({})
+            .expect(400);
+
+        expect(response.body.error).toBe('Booking was released because nobody checked in on time');
+    });
+
+    test('returns 400 without a QR code', async () => {
+        const response = await request(app)
+            .post('/api/desk-bookings/db1/checkin')
+            .send({})
+            .expect(400);
+
+        expect(response.body.code).toBe('QR_REQUIRED');
+        expect(mockData.desk_bookings[0].checked_in).toBe(false);
+    });
+
+    test('returns 403 for a forged QR code', async () => {
+        const [code, expiry] = signQrToken('QR123').split('.');
+
+        const response = await request(app)
+            .post('/api/desk-bookings/db1/checkin')
+            .send({ qrCode: `${code}.${expiry}.forgedsignature` })
+            .expect(403);
+
+        expect(response.body.code).toBe('QR_INVALID_SIGNATURE');
+    });
+
+    test('returns 410 for an expired QR code', async () => {
+        const response = await request(app)
+            .post('/api/desk-bookings/db1/checkin')
+            .send({ qrCode: signQrToken('QR123', { expiresAt: new Date(Date.now() - 1000) }) })
+            .expect(410);
+
+        expect(response.body.code).toBe('QR_EXPIRED');
+    });
+
+    test('returns 400 for a signed code from another desk or before regeneration', async () => {
+        const response = await request(app)
+            .post('/api/desk-bookings/db1/checkin')
+            .send({ qrCode: signQrToken('OLD_QR') })
+            .expect(400);
+
+        expect(response.body.code).toBe('QR_WRONG_DESK');
+        expect(response.body.error).toBe('Invalid QR code for this desk');
+    });
+
     test('returns 400 for invalid QR code', async () => {
         const response = await request(app)
             .post('/api/desk-bookings/db1/checkin')
@@ -243,7 +489,7 @@ describe('GET /api/desk-bookings/checkin/:qrCode', () => {
 
     test('returns desk and booking info for valid QR code', async () => {
         const response = await request(app)
-            .get('/api/desk-bookings/checkin/QR123')
+            .get(`/api/desk-bookings/checkin/${signQrToken('QR123')}`)
             .expect('Content-Type', /json/)
             .expect(200);
 
@@ -253,6 +499,18 @@ describe('GET /api/desk-bookings/checkin/:qrCode', () => {
         expect(response.body.desk.name).toBe('Desk 1');
     });
 
+    test('rejects expired and forged QR codes with their own codes', async () => {
+        const expired = await request(app)
+            .get(`/api/desk-bookings/checkin/${signQrToken('QR123', { expiresAt: new Date(Date.now() - 1000) })}`)
+            .expect(410);
+        expect(expired.body.code).toBe('QR_EXPIRED');
+
+        const forged = await request(app)
+            .get('/api/desk-bookings/checkin/QR123.0.forgedsignature')
+            .expect(403);
+        expect(forged.body.code).toBe('QR_INVALID_SIGNATURE');
+    });
+
     test('returns 404 for invalid QR code', async () => {
         const response = await request(app)
             .get('/api/desk-bookings/checkin/INVALID')
@@ -262,6 +520,122 @@ describe('GET /api/desk-bookings/checkin/:qrCode', () => {
     });
 });
 
+describe('Desk booking permissions', () => {
+    const originalRequireAuth = process.env.REQUIRE_AUTH;
+    const originalTeams = mockData.teams;
+    const authedApp = express();
+    authedApp.use(express.json());
+    authedApp.use((req, res, next) => {
+        req.user = { authenticated: true, email: req.headers['x-test-email'], roles: [] };
+        next();
+    });
+    authedApp.use('/api/desk-bookings', deskBookingsRouter);
+
+    beforeEach(() => {
+        resetMockData();
+        process.env.REQUIRE_AUTH = 'true';
+        mockData.desks = [
+            { id: 'd1', name: 'Desk 1', location_id: 'loc1', qr_code: 'QR123' }
+        ];
+        mockData.desk_bookings = [
+            { id: 'db1', desk_id: 'd1', location_id: 'loc1', date: '2024-01-15', employee_name: 'Sam', employee_email: 'sam@example.com', team_id: 'team1' }
+        ];
+    });
+
+    afterEach(() => {
+        process.env.REQUIRE_AUTH = originalRequireAuth;
+        mockData.teams = originalTeams;
+    });
+
+    test('employees can only book desks for themselves', async () => {
+        await request(authedApp)
+            .post('/api/desk-bookings')
+            .set('x-test-email', 'alex@example.com')
+            .send({ deskId: 'd1', date: '2024-01-16', employeeName: 'Sam', employeeEmail: 'sam@example.com' })
+            .expect(403);
+
+        await request(authedApp)
+            .post('/api/desk-bookings')
+            .set('x-test-email', 'alex@example.com')
+            .send({ deskId: 'd1', date: '2024-01-16', employeeName: 'Alex', employeeEmail: 'alex@example.com' })
+            .expect(201);
+    });
+
+    test('employees can only cancel their own bookings', async () => {
+        await request(authedApp)
+            .delete('/api/desk-bookings/db1')
+            .set('x-test-email', 'alex@example.com')
+            .expect(403);
+
+        await request(authedApp)
+            .delete('/api/desk-bookings/db1')
+            .set('x-test-email', 'sam@example.com')
+            .expect(200);
+    });
+
+    test('team managers can cancel their team\'s bookings', async () => {
+        mockData.teams = [
+            { id: 'team1', name: 'Engineering', member_count: 10, location_id: 'loc1', manager: 'John Manager', manager_email: 'john@example.com' },
+            { id: 'team2', name: 'Design', member_count: 5, location_id: 'loc1', manager: 'Jane Manager' }
+        ];
+
+        await request(authedApp)
+            .delete('/api/desk-bookings/db1')
+            .set('x-test-email', 'john@example.com')
+            .expect(200);
+    });
+});
+
+describe('Desk booking real-time events', () => {
+    let io;
+
+    beforeEach(() => {
+        resetMockData();
+        io = createMockIo();
+        initRealtimeEvents(io);
+        mockData.desks = [{ id: 'd1', name: 'Desk 1', location_id: 'loc1', floor: '2', qr_code: 'QR123' }];
+        mockData.desk_bookings = [];
+    });
+
+    afterEach(() => {
+        initRealtimeEvents(null);
+    });
+
+    test('publishes new bookings to the desk\'s floor', async () => {
+        await request(app)
+            .post('/api/desk-bookings')
+            .send({ deskId: 'd1', date: '2024-02-01', employeeName: 'John Doe' })
+            .expect(201);
+
+        const [event] = io.published('deskBooking:created');
+        expect(event.rooms).toEqual(['floor:loc1:2']);
+        expect(event.payload.deskBooking).toMatchObject({ deskId: 'd1', employeeName: 'John Doe' });
+    });
+
+    test('publishes cancellations and check-ins', async () => {
+        const today = new Date().toISOString().split('T')[0];
+        mockData.desk_bookings = [
+            { id: 'db1', desk_id: 'd1', location_id: 'loc1', date: today, checked_in: false },
+            { id: 'db2', desk_id: 'd1', location_id: 'loc1', date: '2024-02-01', checked_in: false }
+        ];
+
+        await request(app).post('/api/desk-bookings/db1/checkin').send({ qrCode: signQrToken('QR123') }).expect(200);
+        await request(app).delete('/api/desk-bookings/db2').expect(200);
+
+        expect(io.published('deskBooking:checkedIn')[0].payload.deskBooking.checkedIn).toBe(true);
+        expect(io.published('deskBooking:deleted')[0]).toMatchObject({
+            rooms: ['floor:loc1:2'],
+            payload: { deskBooking: expect.objectContaining({ id: 'db2' }) }
+        });
+    });
+
+    test('publishes nothing for bookings that don\'t exist', async () => {
+        await request(app).delete('/api/desk-bookings/nonexistent').expect(200);
+
+        expect(io.emitted).toEqual([]);
+    });
+});
+
 describe('Error handling', () => {
     afterEach(() => {
         clearSimulateError();
@@ -0,0 +1,97 @@
+/**
+ * Tests for desk attributes (amenities and docking type) and the search for
+ * desks free over a date range, on the in-memory database
+ */
+const request = require('supertest');
+const express = require('express');
+
+jest.mock('../../config/database', () => {
+    const { MemoryDatabase } = require('../../config/memory');
+    return { db: new MemoryDatabase(), clientName: 'memory', DB_CLIENTS: ['supabase', 'postgres', 'memory'] };
+});
+
+const { db } = require('../../config/database');
+const desksRouter = require('../../routes/desks');
+
+const app = express();
+app.use(express.json());
+app.use('/api/desks', desksRouter);
+
+const search = (query) => request(app).get('/api/desks/search').query({ locationId: 'loc1', from: '2099-03-02', ...query });
+
+const desk = (id, extra = {}) => ({ id, name: id, location_id: 'loc1', floor: '1', ...extra });
+
+const booked = (deskId, date) => ({
+    id: `b-${deskId}-${date}`, desk_id: deskId, desk_name: deskId, location_id: 'loc1', date,
+    employee_name: 'Sam', employee_email: 'sam@example.com'
+});
+
+beforeEach(() => {
+    db.reset({
+        locations: [{ id: 'loc1', name: 'Johannesburg', capacity: 10 }],
+        teams: [{ id: 'team1', name: 'Engineering', location_id: 'loc1', member_count: 3 }],
+        desks: [
+            desk('A1', { amenities: ['dual_monitors', 'docking_station'], docking_type: 'usb_c' }),
+            desk('A2', { amenities: ['dual_monitors', 'docking_station'], docking_type: 'thunderbolt' }),
+            desk('A3', { amenities: ['standing_desk', 'quiet_zone'] }),
+            desk('Team seat', { desk_type: 'team_seat', assigned_team_id: 'team1', amenities: ['dual_monitors'] }),
+            desk('Broken', { desk_type: 'unavailable', amenities: ['dual_monitors'] }),
+            desk('B1', { floor: '2', amenities: ['dual_monitors'] })
+        ],
+        desk_bookings: [booked('A2', '2099-03-04')]
+    });
+});
+
+describe('GET /api/desks/search', () => {
+    test('finds bookable desks with every amenity asked for', async () => {
+        const { body } = await search({ amenities: 'dual_monitors' }).expect(200);
+        expect(body.map(d => d.name)).toEqual(['A1', 'A2', 'B1']);
+
+        const { body: withTeam } = await search({ amenities: 'dual_monitors', floor: '1', teamId: 'team1' }).expect(200);
+        expect(withTeam.map(d => d.name)).toEqual(['A1', 'A2', 'Team seat']);
+    });
+
+    test('filters by docking type', async () => {
+        const { body } = await search({ dockingType: 'thunderbolt' }).expect(200);
+
+        expect(body).toHaveLength(1);
+        expect(body[0]).toMatchObject({ name: 'A2', dockingType: 'thunderbolt' });
+    });
+
+    test('only returns desks free on every day of the range', async () => {
+        const { body: before } = await search({ to: '2099-03-03', amenities: 'docking_station' }).expect(200);
+        expect(before.map(d => d.name)).toEqual(['A1', 'A2']);
+
+        const { body: across } = await search({ to: '2099-03-06', amenities: 'docking_station' }).expect(200);
+        expect(across.map(d => d.name)).toEqual(['A1']);
+    });
+
+    test('validates the query', async () => {
+        await search({ from: 'soon' }).expect(400);
+        await search({ to: '2099-03-01' }).expect(400);
+        await search({ to: '2099-05-01' }).expect(400);
+        await search({ amenities: 'jacuzzi' }).expect(400);
+        await search({ dockingType: 'firewire' }).expect(400);
+    });
+});
+
+describe('desk docking types', () => {
+    test('are saved with new desks that have a docking station', async () => {
+        const { body } = await request(app).post('/api/desks')
+            .send({ name: 'C1', locationId: 'loc1', amenities: ['docking_station'], dockingType: 'usb_c' })
+            .expect(201);
+        expect(body).toMatchObject({ amenities: ['docking_station'], dockingType: 'usb_c' });
+
+        await request(app).post('/api/desks')
+            .send({ name: 'C2', locationId: 'loc1', amenities: ['quiet_zone'], dockingType: 'usb_c' })
+            .expect(400);
+    });
+
+    test('need a docking station on the desk when updated', async () => {
+        await request(app).put('/api/desks/A3').send({ dockingType: 'hdmi' }).expect(400);
+        await request(app).put('/api/desks/A1').send({ dockingType: 'hdmi' }).expect(200);
+
+        const { body } = await request(app).put('/api/desks/A1').send({ amenities: ['dual_monitors'] }).expect(200);
+        expect(body.dockingType).toBeNull();
+    });
+});
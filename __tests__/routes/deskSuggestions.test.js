@@ -0,0 +1,139 @@
+/**
+ * Tests for desk suggestions (free desks ranked by the team's desks, teammates
+ * nearby and favourites) and favourite desks, on the in-memory database
+ */
+const request = require('supertest');
+const express = require('express');
+
+jest.mock('../../config/database', () => {
+    const { MemoryDatabase } = require('../../config/memory');
+    return { db: new MemoryDatabase(), clientName: 'memory', DB_CLIENTS: ['supabase', 'postgres', 'memory'] };
+});
+
+const { db } = require('../../config/database');
+const desksRouter = require('../../routes/desks');
+
+// Signed-in user comes from test headers, as optionalAuth would attach it
+const app = express();
+app.use(express.json());
+app.use((req, res, next) => {
+    const email = req.headers['x-test-email'];
+    req.user = email ? { authenticated: true, email, roles: [] } : { authenticated: false };
+    next();
+});
+app.use('/api/desks', desksRouter);
+
+const asUser = (req, email) => req.set('x-test-email', email);
+
+const suggest = (query, email = 'sam@example.com') => asUser(request(app).get('/api/desks/suggestions'), email)
+    .query({ locationId: 'loc1', date: '2099-03-02', ...query });
+
+const desk = (id, x, extra = {}) => ({ id, name: id, location_id: 'loc1', floor: '1', x, y: 0, width: 60, height: 40, ...extra });
+
+const sitting = (deskId, email, name, extra = {}) => ({
+    id: `b-${deskId}`, desk_id: deskId, desk_name: deskId, location_id: 'loc1', date: '2099-03-02',
+    employee_email: email, employee_name: name, ...extra
+});
+
+const originalRequireAuth = process.env.REQUIRE_AUTH;
+
+beforeEach(() => {
+    process.env.REQUIRE_AUTH = 'true';
+    db.reset({
+        locations: [{ id: 'loc1', name: 'Johannesburg', capacity: 10 }],
+        teams: [
+            { id: 'team1', name: 'Engineering', location_id: 'loc1', member_count: 2 },
+            { id: 'team2', name: 'Design', location_id: 'loc1', member_count: 4 }
+        ],
+        team_members: [
+            { id: 'm1', team_id: 'team1', email: 'sam@example.com', name: 'Sam' },
+            { id: 'm2', team_id: 'team1', email: 'ada@example.com', name: 'Ada' }
+        ],
+        desks: [
+            desk('A1', 0),
+            desk('A2', 100, { amenities: ['dual_monitors'] }),
+            desk('A3', 500, { amenities: ['dual_monitors', 'quiet_zone'] }),
+            desk('Design seat', 200, { desk_type: 'team_seat', assigned_team_id: 'team2' }),
+            desk('Broken', 50, { desk_type: 'unavailable' }),
+            desk('Upstairs', 0, { floor: '2' })
+        ]
+    });
+});
+
+afterEach(() => {
+    process.env.REQUIRE_AUTH = originalRequireAuth;
+});
+
+describe('GET /api/desks/suggestions', () => {
+    test('ranks the free desks nearest to teammates first, using the user\'s team', async () => {
+        db.reset({ ...db.dump(), desk_bookings: [sitting('A1', 'ada@example.com', 'Ada')] });
+
+        const { body } = await suggest({ limit: 5 }).expect(200);
+
+        expect(body.teamId).toBe('team1');
+        expect(body.suggestions.map(s => s.desk.name)).toEqual(['A2', 'A3', 'Upstairs']);
+        expect(body.suggestions[0].reasons).toEqual(['Near Ada']);
+        expect(body.suggestions[0].score).toBeGreaterThan(body.suggestions[1].score);
+    });
+
+    test('puts the team\'s own desks and favourites ahead', async () => {
+        db.reset({
+            ...db.dump(),
+            desk_favourites: [{ id: 'f1', user_email: 'sam@example.com', desk_id: 'Upstairs' }]
+        });
+
+        const { body: design } = await suggest({ teamId: 'team2' }, 'kim@example.com').expect(200);
+        expect(design.suggestions[0]).toMatchObject({ desk: { name: 'Design seat' }, reasons: ['Your team\'s desk'] });
+
+        const { body: mine } = await suggest({}).expect(200);
+        expect(mine.suggestions[0]).toMatchObject({ desk: { name: 'Upstairs' }, reasons: ['Favourite'] });
+        expect(mine.suggestions.some(s => s.desk.name === 'Design seat')).toBe(false);
+    });
+
+    test('only suggests desks with every amenity asked for, on the floor asked for', async () => {
+        const { body } = await suggest({ amenities: 'dual_monitors,quiet_zone' }).expect(200);
+        expect(body.suggestions.map(s => s.desk.name)).toEqual(['A3']);
+
+        const { body: upstairs } = await suggest({ floor: '2' }).expect(200);
+        expect(upstairs.suggestions.map(s => s.desk.name)).toEqual(['Upstairs']);
+    });
+
+    test('validates the query', async () => {
+        await suggest({ date: 'tomorrow' }).expect(400);
+        await suggest({ limit: 0 }).expect(400);
+        await suggest({ amenities: 'jacuzzi' }).expect(400);
+    });
+});
+
+describe('favourite desks', () => {
+    test('people mark and unmark their own favourites', async () => {
+        await asUser(request(app).put('/api/desks/A2/favourite'), 'Sam@Example.com').expect(201);
+        await asUser(request(app).put('/api/desks/A2/favourite'), 'sam@example.com').expect(200);
+
+        const { body } = await request(app).get('/api/desks/favourites').query({ email: 'sam@example.com' }).expect(200);
+        expect(body.map(d => d.name)).toEqual(['A2']);
+
+        await asUser(request(app).delete('/api/desks/A2/favourite'), 'sam@example.com').expect(200);
+        expect(db.dump().desk_favourites).toEqual([]);
+    });
+
+    test('refuses someone else\'s favourites and missing desks', async () => {
+        await asUser(request(app).put('/api/desks/A2/favourite'), 'sam@example.com')
+            .send({ email: 'ada@example.com' })
+            .expect(403);
+        await asUser(request(app).put('/api/desks/missing/favourite'), 'sam@example.com').expect(404);
+    });
+});
+
+describe('desk amenities', () => {
+    test('are validated when desks are saved', async () => {
+        db.reset({ ...db.dump(), role_assignments: [{ id: 'r1', user_email: 'admin@example.com', role: 'Admin' }] });
+
+        await asUser(request(app).put('/api/desks/A1'), 'admin@example.com').send({ amenities: ['jacuzzi'] }).expect(400);
+        const { body } = await asUser(request(app).put('/api/desks/A1'), 'admin@example.com')
+            .send({ amenities: ['standing_desk'] })
+            .expect(200);
+
+        expect(body.amenities).toEqual(['standing_desk']);
+    });
+});
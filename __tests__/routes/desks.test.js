@@ -8,6 +8,7 @@ jest.mock('../../config/supabase', () => require('../mocks/supabase.mock'));
 
 const { mockData, resetMockData, setSimulateError, clearSimulateError } = require('../mocks/supabase.mock');
 const desksRouter = require('../../routes/desks');
+const { verifyQrToken } = require('../../utils/qrTokens');
 
 const app = express();
 app.use(express.json());
@@ -49,6 +50,273 @@ describe('GET /api/desks', () => {
 
         expect(response.body[0]).toHaveProperty('locationId');
     });
+
+    test('leaves out check-in codes', async () => {
+        mockData.desks[0].qr_code = 'QR123';
+
+        const response = await request(app)
+            .get('/api/desks')
+            .expect(200);
+
+        expect(response.body[0].name).toBe('Desk 1');
+        expect(response.body.some(d => 'qrCode' in d)).toBe(false);
+    });
+});
+
+// Signed-in user with the roles in the x-test-roles header (for REQUIRE_AUTH tests)
+const authedApp = express();
+authedApp.use(express.json());
+authedApp.use((req, res, next) => {
+    req.user = { authenticated: true, roles: req.headers['x-test-roles'] ? [req.headers['x-test-roles']] : [] };
+    next();
+});
+authedApp.use('/api/desks', desksRouter);
+
+const originalRequireAuth = process.env.REQUIRE_AUTH;
+
+describe('GET /api/desks/:id/qr', () => {
+    beforeEach(() => {
+        resetMockData();
+        mockData.desks = [
+            { id: 'd1', name: 'Desk 1', location_id: 'loc1', floor: '1', qr_code: 'QR123' },
+            { id: 'd2', name: 'Desk 2', location_id: 'loc1', floor: '1', qr_code: null }
+        ];
+        process.env.PUBLIC_URL = 'https://booking.example.com/';
+    });
+
+    afterEach(() => {
+        delete process.env.PUBLIC_URL;
+        process.env.REQUIRE_AUTH = originalRequireAuth;
+    });
+
+    test('renders an SVG QR code', async () => {
+        const response = await request(app)
+            .get('/api/desks/d1/qr.svg')
+            .buffer(true)
+            .parse((res, callback) => {
+                let body = '';
+                res.on('data', chunk => { body += chunk; });
+                res.on('end', () => callback(null, body));
+            })
+            .expect('Content-Type', /image\/svg\+xml/)
+            .expect(200);
+
+        expect(response.body).toMatch(/^<svg/);
+    });
+
+    test('renders a PNG QR code', async () => {
+        const response = await request(app)
+            .get('/api/desks/d1/qr.png?size=200')
+            .buffer(true)
+            .expect('Content-Type', /image\/png/)
+            .expect(200);
+
+        // PNG signature
+        expect(response.body.subarray(0, 4).toString('hex')).toBe('89504e47');
+    });
+
+    // Get the check-in URL encoded into the rendered SVG
+    const encodedUrl = async (path) => {
+        const QRCode = require('qrcode');
+        const spy = jest.spyOn(QRCode, 'toString');
+        try {
+            await request(app).get(path).expect(200);
+            return new URL(spy.mock.calls[0][0]);
+        } finally {
+            spy.mockRestore();
+        }
+    };
+
+    test('encodes a signed check-in URL for the desk', async () => {
+        const url = await encodedUrl('/api/desks/d1/qr.svg');
+
+        expect(url.origin + url.pathname).toBe('https://booking.example.com/checkin.html');
+        expect(verifyQrToken(url.searchParams.get('code'))).toEqual({ deskCode: 'QR123', expiresAt: null });
+    });
+
+    test('issues daily rotating codes for kiosks', async () => {
+        const url = await encodedUrl('/api/desks/d1/qr.svg?rotate=daily');
+        const { expiresAt } = verifyQrToken(url.searchParams.get('code'));
+
+        expect(expiresAt.getDate()).toBe(new Date().getDate());
+        expect(expiresAt.getHours()).toBe(23);
+    });
+
+    test('issues codes that expire after a number of minutes', async () => {
+        const url = await encodedUrl('/api/desks/d1/qr.svg?expiresIn=30');
+        const { expiresAt } = verifyQrToken(url.searchParams.get('code'));
+
+        expect(expiresAt.getTime() - Date.now()).toBeGreaterThan(29 * 60 * 1000);
+        expect(expiresAt.getTime() - Date.now()).toBeLessThanOrEqual(30 * 60 * 1000);
+    });
+
+    test('returns 400 for invalid expiry options', async () => {
+        const badRotate = await request(app).get('/api/desks/d1/qr.svg?rotate=hourly').expect(400);
+        expect(badRotate.body.error).toBe('rotate must be daily');
+
+        const badMinutes = await request(app).get('/api/desks/d1/qr.svg?expiresIn=0').expect(400);
+        expect(badMinutes.body.error).toContain('expiresIn');
+    });
+
+    test('returns 400 for unsupported formats', async () => {
+        const response = await request(app)
+            .get('/api/desks/d1/qr.gif')
+            .expect(400);
+
+        expect(response.body.error).toBe('Format must be svg or png');
+    });
+
+    test('returns 404 for unknown desks or desks without a code', async () => {
+        await request(app).get('/api/desks/missing/qr.svg').expect(404);
+        await request(app).get('/api/desks/d2/qr.svg').expect(404);
+    });
+
+    test('refuses to guess the check-in host without PUBLIC_URL', async () => {
+        delete process.env.PUBLIC_URL;
+
+        const response = await request(app)
+            .get('/api/desks/d1/qr.svg')
+            .set('Host', 'attacker.example.com')
+            .expect(503);
+
+        expect(response.body.code).toBe('PUBLIC_URL_REQUIRED');
+    });
+
+    test('is limited to admins when auth is enforced', async () => {
+        process.env.REQUIRE_AUTH = 'true';
+
+        const response = await request(authedApp)
+            .get('/api/desks/d1/qr.png')
+            .expect(403);
+
+        expect(response.body.code).toBe('FORBIDDEN');
+
+        await request(authedApp)
+            .get('/api/desks/d1/qr.png')
+            .set('x-test-roles', 'Admin')
+            .expect(200);
+    });
+});
+
+describe('GET /api/desks/qr-sheet', () => {
+    beforeEach(() => {
+        resetMockData();
+        mockData.desks = [
+            { id: 'd10', name: 'Desk 10', location_id: 'loc1', floor: '1', zone: 'North', qr_code: 'QR10' },
+            { id: 'd2', name: 'Desk 2', location_id: 'loc1', floor: '1', qr_code: 'QR2' },
+            { id: 'd3', name: 'Desk <3>', location_id: 'loc1', floor: '2', qr_code: 'QR3' },
+            { id: 'd4', name: 'Desk 4', location_id: 'loc2', floor: '1', qr_code: 'QR4' }
+        ];
+        process.env.PUBLIC_URL = 'https://booking.example.com';
+    });
+
+    afterEach(() => {
+        delete process.env.PUBLIC_URL;
+        process.env.REQUIRE_AUTH = originalRequireAuth;
+    });
+
+    test('renders a labelled QR code for every desk on the floor', async () => {
+        const response = await request(app)
+            .get('/api/desks/qr-sheet?locationId=loc1&floor=1')
+            .expect('Content-Type', /html/)
+            .expect(200);
+
+        expect(response.text.match(/class="qr-card"/g)).toHaveLength(2);
+        expect(response.text.match(/<svg/g)).toHaveLength(2);
+        // Natural sort: Desk 2 before Desk 10
+        expect(response.text.indexOf('Desk 2')).toBeLessThan(response.text.indexOf('Desk 10'));
+        expect(response.text).toContain('North');
+        expect(response.text).not.toContain('Desk 4');
+    });
+
+    test('escapes desk names', async () => {
+        const response = await request(app)
+            .get('/api/desks/qr-sheet?locationId=loc1&floor=2')
+            .expect(200);
+
+        expect(response.text).toContain('Desk &lt;3&gt;');
+    });
+
+    test('returns 400 without a location', async () => {
+        const response = await request(app)
+            .get('/api/desks/qr-sheet')
+            .expect(400);
+
+        expect(response.body.error).toBe('locationId is required');
+    });
+
+    test('returns 404 for an unknown location', async () => {
+        await request(app)
+            .get('/api/desks/qr-sheet?locationId=nowhere')
+            .expect(404);
+    });
+
+    test('returns 503 without PUBLIC_URL', async () => {
+        delete process.env.PUBLIC_URL;
+
+        const response = await request(app)
+            .get('/api/desks/qr-sheet?locationId=loc1')
+            .expect(503);
+
+        expect(response.body.error).toBe('PUBLIC_URL must be set to generate QR codes');
+    });
+
+    test('is limited to admins when auth is enforced', async () => {
+        process.env.REQUIRE_AUTH = 'true';
+
+        await request(authedApp)
+            .get('/api/desks/qr-sheet?locationId=loc1')
+            .expect(403);
+
+        await request(authedApp)
+            .get('/api/desks/qr-sheet?locationId=loc1')
+            .set('x-test-roles', 'Admin')
+            .expect(200);
+    });
+});
+
+describe('POST /api/desks/:id/qr/regenerate', () => {
+    beforeEach(() => {
+        resetMockData();
+        mockData.desks = [
+            { id: 'd1', name: 'Desk 1', location_id: 'loc1', floor: '1', qr_code: 'QR123' }
+        ];
+    });
+
+    afterEach(() => {
+        process.env.REQUIRE_AUTH = originalRequireAuth;
+    });
+
+    test('replaces the desk code', async () => {
+        const response = await request(app)
+            .post('/api/desks/d1/qr/regenerate')
+            .expect(200);
+
+        expect(response.body.qrCode).toMatch(/^[0-9a-f]{24}$/);
+        expect(mockData.desks[0].qr_code).toBe(response.body.qrCode);
+    });
+
+    test('returns 404 for an unknown desk', async () => {
+        await request(app)
+            .post('/api/desks/missing/qr/regenerate')
+            .expect(404);
+    });
+
+    test('is limited to admins when auth is enforced', async () => {
+        process.env.REQUIRE_AUTH = 'true';
+
+        const response = await request(authedApp)
+            .post('/api/desks/d1/qr/regenerate')
+            .expect(403);
+
+        expect(response.body.code).toBe('FORBIDDEN');
+        expect(mockData.desks[0].qr_code).toBe('QR123');
+
+        await request(authedApp)
+            .post('/api/desks/d1/qr/regenerate')
+            .set('x-test-roles', 'Admin')
+            .expect(200);
+    });
 });
 
 describe('POST /api/desks', () => {
@@ -78,7 +346,8 @@ describe('POST /api/desks', () => {
         expect(response.body).toHaveProperty('id');
         expect(response.body.name).toBe('Desk A1');
         expect(response.body.floor).toBe('1');
-        expect(response.body).toHaveProperty('qrCode');
+        expect(response.body).not.toHaveProperty('qrCode');
+        expect(mockData.desks[0].qr_code).toBeTruthy();
     });
 
     test('returns 400 when name is missing', async () => {
@@ -148,7 +417,7 @@ describe('PUT /api/desks/:id', () => {
             name: 'Updated Desk',
             floor: '2',
             zone: 'South',
-            deskType: 'assigned',
+            deskType: 'team_seat',
             assignedTeamId: 'team1'
         };
 
@@ -161,6 +430,26 @@ describe('PUT /api/desks/:id', () => {
         expect(response.body.floor).toBe('2');
     });
 
+    test('validates the fields it is given like a new desk', async () => {
+        const invalid = [
+            [{ name: '' }, 'Name cannot be empty'],
+            [{ deskType: 'sofa' }, 'Desk type must be one of'],
+            [{ x: 'left' }, 'x must be a number'],
+            [{ width: 0 }, 'width must be a whole number of at least 1'],
+            [{ height: 2.5 }, 'height must be a whole number of at least 1']
+        ];
+
+        for (const [updates, error] of invalid) {
+            const response = await request(app)
+                .put('/api/desks/d1')
+                .send(updates)
+                .expect(400);
+
+            expect(response.body.error).toContain(error);
+        }
+        expect(mockData.desks[0]).toMatchObject({ name: 'Desk 1', x: 0 });
+    });
+
     test('returns 404 for non-existent desk', async () => {
         const response = await request(app)
             .put('/api/desks/nonexistent')
@@ -7,7 +7,9 @@ const express = require('express');
 jest.mock('../../config/supabase', () => require('../mocks/supabase.mock'));
 
 const { mockData, resetMockData, setSimulateError, clearSimulateError } = require('../mocks/supabase.mock');
+const { createMockIo } = require('../mocks/io.mock');
 const floorElementsRouter = require('../../routes/floorElements');
+const { initRealtimeEvents } = require('../../socket/events');
 
 const app = express();
 app.use(express.json());
@@ -239,6 +241,110 @@ describe('DELETE /api/floor-elements/:id', () => {
     });
 });
 
+describe('Floor element permissions', () => {
+    const originalRequireAuth = process.env.REQUIRE_AUTH;
+    const originalTeams = mockData.teams;
+    const authedApp = express();
+    authedApp.use(express.json());
+    authedApp.use((req, res, next) => {
+        req.user = { authenticated: true, email: req.headers['x-test-email'], roles: [] };
+        next();
+    });
+    authedApp.use('/api/floor-elements', floorElementsRouter);
+
+    beforeEach(() => {
+        resetMockData();
+        process.env.REQUIRE_AUTH = 'true';
+        mockData.floor_elements = [
+            { id: 'el1', type: 'room', location_id: 'loc1', floor: '1' }
+        ];
+        mockData.role_assignments = [
+            { id: 'r1', user_email: 'admin@example.com', role: 'LocationAdmin', location_id: 'loc1' }
+        ];
+        mockData.teams = [
+            { id: 'team1', name: 'Engineering', member_count: 10, location_id: 'loc1', manager: 'John Manager', manager_email: 'john@example.com' },
+            { id: 'team2', name: 'Design', member_count: 5, location_id: 'loc1', manager: 'Jane Manager' }
+        ];
+    });
+
+    afterEach(() => {
+        process.env.REQUIRE_AUTH = originalRequireAuth;
+        mockData.teams = originalTeams;
+    });
+
+    test('only admins of the location can edit the floor plan', async () => {
+        await request(authedApp)
+            .put('/api/floor-elements/el1')
+            .set('x-test-email', 'john@example.com')
+            .send({ label: 'Boardroom' })
+            .expect(403);
+
+        await request(authedApp)
+            .delete('/api/floor-elements/el1')
+            .set('x-test-email', 'john@example.com')
+            .expect(403);
+
+        await request(authedApp)
+            .put('/api/floor-elements/el1')
+            .set('x-test-email', 'admin@example.com')
+            .send({ label: 'Boardroom' })
+            .expect(200);
+    });
+
+    test('location admins cannot add elements to other locations', async () => {
+        await request(authedApp)
+            .post('/api/floor-elements')
+            .set('x-test-email', 'admin@example.com')
+            .send({ type: 'wall', locationId: 'loc2' })
+            .expect(403);
+    });
+});
+
+describe('Floor element real-time events', () => {
+    let io;
+
+    beforeEach(() => {
+        resetMockData();
+        io = createMockIo();
+        initRealtimeEvents(io);
+        mockData.floor_elements = [
+            { id: 'fe1', type: 'room', location_id: 'loc1', floor: '1', label: 'Room A' }
+        ];
+    });
+
+    afterEach(() => {
+        initRealtimeEvents(null);
+    });
+
+    test('publishes created elements to their floor', async () => {
+        await request(app)
+            .post('/api/floor-elements')
+            .send({ type: 'label', locationId: 'loc1', floor: '2', label: 'Kitchen' })
+            .expect(201);
+
+        const [event] = io.published('floorElement:created');
+        expect(event.rooms).toEqual(['floor:loc1:2']);
+        expect(event.payload.element.label).toBe('Kitchen');
+    });
+
+    test('tells both floors when an element moves', async () => {
+        await request(app)
+            .put('/api/floor-elements/fe1')
+            .send({ floor: '3' })
+            .expect(200);
+
+        const [event] = io.published('floorElement:updated');
+        expect(event.rooms).toEqual(['floor:loc1:1', 'floor:loc1:3']);
+        expect(event.payload.element.floor).toBe('3');
+    });
+
+    test('publishes deletions', async () => {
+        await request(app).delete('/api/floor-elements/fe1').expect(200);
+
+        expect(io.published('floorElement:deleted')[0].payload.element.id).toBe('fe1');
+    });
+});
+
 describe('Error handling', () => {
     afterEach(() => {
         clearSimulateError();
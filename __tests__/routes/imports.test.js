@@ -0,0 +1,272 @@
+/**
+ * Integration tests for /api/imports
+ */
+const request = require('supertest');
+const express = require('express');
+
+jest.mock('../../config/supabase', () => require('../mocks/supabase.mock'));
+
+const { supabase, mockData, resetMockData } = require('../mocks/supabase.mock');
+const importsRouter = require('../../routes/imports');
+
+const app = express();
+app.use(express.json());
+app.use((req, res, next) => {
+    req.user = { authenticated: true, email: req.headers['x-test-email'], roles: [] };
+    next();
+});
+app.use('/api/imports', importsRouter);
+
+const originalTeams = mockData.teams;
+
+const upload = (path, csv) => request(app)
+    .post(path)
+    .set('Content-Type', 'text/csv')
+    .send(csv);
+
+beforeEach(() => {
+    resetMockData();
+    mockData.teams = [
+        { id: 'team1', name: 'Engineering', member_count: 10, location_id: 'loc1', manager_email: 'john@example.com' },
+        { id: 'team2', name: 'Design', member_count: 5, location_id: 'loc1' }
+    ];
+});
+
+afterEach(() => {
+    mockData.teams = originalTeams;
+});
+
+describe('POST /api/imports/bookings', () => {
+    const CSV = [
+        'Date,Team,People,Location,Notes',
+        '2024-01-15,Engineering,10,Johannesburg,',
+        '2024/01/15,design,5,loc1,Design review'
+    ].join('\n');
+
+    test('previews rows without writing anything by default', async () => {
+        const response = await upload('/api/imports/bookings', CSV).expect(200);
+
+        expect(response.body).toMatchObject({ dryRun: true, valid: true, total: 2, invalid: 0 });
+        expect(response.body.rows[1]).toEqual({
+            row: 3,
+            data: {
+                date: '2024-01-15', teamId: 'team2', teamName: 'Design', peopleCount: 5,
+                locationId: 'loc1', notes: 'Design review', status: 'confirmed'
+            },
+            errors: [],
+            warnings: []
+        });
+        expect(mockData.bookings).toHaveLength(0);
+    });
+
+    test('reports per-row errors with the booking form\'s messages', async () => {
+        mockData.bookings = [
+            { id: 'b1', date: '2024-01-16', team_id: 'team1', team_name: 'Engineering', people_count: 45, location_id: 'loc1', status: 'confirmed' }
+        ];
+        const csv = [
+            'date,team,people,location',
+            '15/01/2024,Engineering,10,loc1',
+            '2024-01-15,Marketing,10,loc1',
+            '2024-01-15,Engineering,0,Durban',
+            '2024-01-16,Engineering,2,loc1',
+            '2024-01-16,Design,8,loc1',
+            '2024-01-17,Design,3,loc1',
+            '2024-01-17,Design,3,loc1'
+        ].join('\n');
+
+        const response = await upload('/api/imports/bookings', csv).expect(200);
+        const errors = response.body.rows.map(r => r.errors);
+
+        expect(response.body.valid).toBe(false);
+        expect(response.body.invalid).toBe(6);
+        expect(errors).toEqual([
+            ['Date must be in YYYY-MM-DD format'],
+            ['Unknown team "Marketing"'],
+            ['People count must be a whole number of at least 1', 'Invalid location'],
+            ['Engineering already has a booking for this date'],
+            ['Exceeds capacity (5 spots available). Please provide a note explaining the overbooking.'],
+            [],
+            ['Design already has a booking for this date']
+        ]);
+    });
+
+    test('counts earlier rows toward capacity and previews noted overbookings as pending', async () => {
+        const csv = [
+            'date,team,people,location,notes',
+            '2024-01-15,Engineering,45,loc1,',
+            '2024-01-15,Design,8,loc1,Launch week'
+        ].join('\n');
+
+        const response = await upload('/api/imports/bookings', csv).expect(200);
+
+        expect(response.body.valid).toBe(true);
+        expect(response.body.rows[1].data.status).toBe('pending');
+        expect(response.body.rows[1].warnings[0]).toMatch(/^Exceeds capacity \(5 spots available\)/);
+    });
+
+    test('refuses more people than a team with a roster has', async () => {
+        mockData.team_members = [
+            { id: 'm1', team_id: 'team2', email: 'ada@example.com', name: 'Ada' },
+            { id: 'm2', team_id: 'team2', email: 'sam@example.com', name: 'Sam' }
+        ];
+
+        const response = await upload('/api/imports/bookings', CSV).expect(200);
+
+        expect(response.body.rows.map(r => r.errors)).toEqual([
+            [],
+            ['Design has 2 members, so it can\'t book for 5 people']
+        ]);
+    });
+
+    test('creates every booking when committed', async () => {
+        const response = await upload('/api/imports/bookings?dryRun=false', CSV).expect(201);
+
+        expect(response.body.imported).toBe(2);
+        expect(response.body.bookings[0]).toMatchObject({ teamId: 'team1', status: 'confirmed' });
+        expect(mockData.bookings.map(b => b.team_id)).toEqual(['team1', 'team2']);
+    });
+
+    test('creates nothing when any row is invalid', async () => {
+        const response = await upload('/api/imports/bookings?dryRun=false', `${CSV}\n2024-01-15,Nobody,1,loc1,`).expect(422);
+
+        expect(response.body.error).toMatch(/No bookings were imported/);
+        expect(response.body.rows[2].errors).toEqual(['Unknown team "Nobody"']);
+        expect(mockData.bookings).toHaveLength(0);
+    });
+
+    test('rolls back when the database refuses a row', async () => {
+        // Another booking arrives between the checks and the insert
+        const rpc = supabase.rpc.getMockImplementation();
+        supabase.rpc.mockImplementationOnce(async (fn, params) => {
+            mockData.bookings.push({ id: 'late', date: '2024-01-15', team_id: 'team2', team_name: 'Design', people_count: 1, location_id: 'loc1', status: 'confirmed' });
+            return rpc(fn, params);
+        });
+
+        const response = await upload('/api/imports/bookings?dryRun=false', CSV).expect(409);
+
+        expect(response.body.error).toBe('Row 3: Design already has a booking for this date. No bookings were imported.');
+        expect(mockData.bookings.map(b => b.id)).toEqual(['late']);
+    });
+
+    test('rejects files without the required columns', async () => {
+        const response = await upload('/api/imports/bookings', 'date,team\n2024-01-15,team1').expect(400);
+
+        expect(response.body.error).toBe('Missing columns: people, location');
+    });
+
+    test('rejects an empty upload', async () => {
+        await request(app).post('/api/imports/bookings').expect(400);
+    });
+
+    describe('with permissions enforced', () => {
+        const originalRequireAuth = process.env.REQUIRE_AUTH;
+
+        beforeEach(() => {
+            process.env.REQUIRE_AUTH = 'true';
+        });
+
+        afterEach(() => {
+            process.env.REQUIRE_AUTH = originalRequireAuth;
+        });
+
+        test('only accepts rows for teams the user manages', async () => {
+            const response = await upload('/api/imports/bookings', CSV)
+                .set('x-test-email', 'john@example.com')
+                .expect(200);
+
+            expect(response.body.rows.map(r => r.errors)).toEqual([
+                [],
+                ['You do not have permission to book for this team']
+            ]);
+        });
+    });
+});
+
+describe('POST /api/imports/desks', () => {
+    const CSV = [
+        'Name,Floor,Zone,X,Y,Type,Assigned Team',
+        'A1,1,North,100,50,Hot seat,',
+        'A2,1,North,160,50,team seat,Engineering'
+    ].join('\n');
+
+    test('requires a valid location', async () => {
+        await upload('/api/imports/desks', CSV).expect(400);
+        await upload('/api/imports/desks?locationId=nowhere', CSV).expect(400);
+    });
+
+    test('previews desks with defaults filled in', async () => {
+        const response = await upload('/api/imports/desks?locationId=loc1', CSV).expect(200);
+
+        expect(response.body.valid).toBe(true);
+        expect(response.body.rows[1].data).toEqual({
+            name: 'A2', locationId: 'loc1', floor: '1', zone: 'North', x: 160, y: 50, width: 60, height: 40,
+            deskType: 'team_seat', assignedTeamId: 'team1', assignedTeamName: 'Engineering'
+        });
+        expect(mockData.desks).toHaveLength(0);
+    });
+
+    test('reports invalid and duplicate desks', async () => {
+        mockData.desks = [{ id: 'd1', name: 'B1', location_id: 'loc1', floor: '2' }];
+        const csv = [
+            'name,floor,x,width,type',
+            'B1,2,10,60,hotseat',
+            'B1,1,10,60,hotseat',
+            'b1,1,10,60,hotseat',
+            'B2,1,left,60,hotseat',
+            'B3,1,10,0,hotseat',
+            'B4,1,10,60,corner office'
+        ].join('\n');
+
+        const response = await upload('/api/imports/desks?locationId=loc1', csv).expect(200);
+
+        expect(response.body.rows.map(r => r.errors)).toEqual([
+            ['A desk named "B1" already exists on floor 2'],
+            [],
+            ['Desk "b1" appears more than once for floor 1'],
+            ['x must be a number'],
+            ['width must be a whole number of at least 1'],
+            ['Desk type must be one of: hotseat, team_seat, unavailable']
+        ]);
+    });
+
+    test('creates every desk with its own check-in code when committed', async () => {
+        const response = await upload('/api/imports/desks?locationId=loc1&dryRun=false', CSV).expect(201);
+
+        expect(response.body.imported).toBe(2);
+        expect(mockData.desks).toHaveLength(2);
+        expect(mockData.desks[0].qr_code).toBeTruthy();
+        expect(mockData.desks[0].qr_code).not.toBe(mockData.desks[1].qr_code);
+        expect(mockData.desks[1]).toMatchObject({ desk_type: 'team_seat', assigned_team_id: 'team1' });
+    });
+
+    test('creates nothing when any row is invalid', async () => {
+        await upload('/api/imports/desks?locationId=loc1&dryRun=false', `${CSV}\n,1,0,0,hotseat,`).expect(422);
+
+        expect(mockData.desks).toHaveLength(0);
+    });
+
+    describe('with permissions enforced', () => {
+        const originalRequireAuth = process.env.REQUIRE_AUTH;
+
+        beforeEach(() => {
+            process.env.REQUIRE_AUTH = 'true';
+            mockData.role_assignments = [
+                { id: 'r1', user_email: 'admin@example.com', role: 'LocationAdmin', location_id: 'loc1' }
+            ];
+        });
+
+        afterEach(() => {
+            process.env.REQUIRE_AUTH = originalRequireAuth;
+        });
+
+        test('requires an admin of the location', async () => {
+            await upload('/api/imports/desks?locationId=loc1', CSV)
+                .set('x-test-email', 'john@example.com')
+                .expect(403);
+
+            await upload('/api/imports/desks?locationId=loc1', CSV)
+                .set('x-test-email', 'admin@example.com')
+                .expect(200);
+        });
+    });
+});
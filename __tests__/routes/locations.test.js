@@ -65,6 +65,33 @@ describe('POST /api/locations', () => {
         expect(response.body.capacity).toBe(21);
         expect(response.body.floors).toBe(1);
     });
+
+    test('stores opening hours, defaulting to 08:00-18:00', async () => {
+        const withHours = await request(app)
+            .post('/api/locations')
+            .send({ name: 'Early Office', openingTime: '07:00', closingTime: '15:00' })
+            .expect(201);
+
+        expect(withHours.body.openingTime).toBe('07:00');
+        expect(withHours.body.closingTime).toBe('15:00');
+
+        const withDefaults = await request(app)
+            .post('/api/locations')
+            .send({ name: 'Default Office' })
+            .expect(201);
+
+        expect(withDefaults.body.openingTime).toBe('08:00');
+        expect(withDefaults.body.closingTime).toBe('18:00');
+    });
+
+    test('returns 400 when opening time is not before closing time', async () => {
+        const response = await request(app)
+            .post('/api/locations')
+            .send({ name: 'Backwards Office', openingTime: '18:00', closingTime: '08:00' })
+            .expect(400);
+
+        expect(response.body.error).toBe('Opening time must be before closing time');
+    });
 });
 
 describe('PUT /api/locations/:id', () => {
@@ -101,6 +128,29 @@ describe('PUT /api/locations/:id', () => {
         expect(response.body).toBeDefined();
     });
 
+    test('validates opening hours against the stored values', async () => {
+        await request(app)
+            .put('/api/locations/loc2')
+            .send({ openingTime: '09:00', closingTime: '17:00' })
+            .expect(200);
+
+        const response = await request(app)
+            .put('/api/locations/loc2')
+            .send({ openingTime: '17:30' })
+            .expect(400);
+
+        expect(response.body.error).toBe('Opening time must be before closing time');
+    });
+
+    test('returns 400 for badly formatted opening hours', async () => {
+        const response = await request(app)
+            .put('/api/locations/loc2')
+            .send({ closingTime: '6pm' })
+            .expect(400);
+
+        expect(response.body.error).toBe('Opening hours must be in HH:MM format');
+    });
+
     test('returns 404 for non-existent location', async () => {
         const response = await request(app)
             .put('/api/locations/nonexistent')
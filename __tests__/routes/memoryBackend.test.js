@@ -0,0 +1,99 @@
+/**
+ * Integration tests running the routes on the in-memory database (DB_CLIENT=memory)
+ * Unlike the Supabase mock, this enforces the schema's constraints and cascades.
+ */
+const request = require('supertest');
+const express = require('express');
+
+jest.mock('../../config/database', () => {
+    const { MemoryDatabase } = require('../../config/memory');
+    return { db: new MemoryDatabase(), clientName: 'memory', DB_CLIENTS: ['supabase', 'postgres', 'memory'] };
+});
+
+const { db } = require('../../config/database');
+const { router: bookingsRouter, initBookingsRoutes } = require('../../routes/bookings');
+const teamsRouter = require('../../routes/teams');
+const dataRouter = require('../../routes/data');
+
+const app = express();
+app.use(express.json());
+app.use('/api/bookings', bookingsRouter);
+app.use('/api/teams', teamsRouter);
+app.use('/api/data', dataRouter);
+
+initBookingsRoutes({
+    emitRoomDataChanged: jest.fn(),
+    roomKeyForBooking: (date, locationId) => `${locationId}:${date}`
+});
+
+const book = (teamId, peopleCount, extra = {}) => request(app)
+    .post('/api/bookings')
+    .send({ date: '2099-03-02', teamId, teamName: teamId, peopleCount, locationId: 'loc1', ...extra });
+
+beforeEach(() => {
+    db.reset({
+        locations: [{ id: 'loc1', name: 'Johannesburg', capacity: 10 }],
+        teams: [
+            { id: 'team1', name: 'Engineering', location_id: 'loc1' },
+            { id: 'team2', name: 'Design', location_id: 'loc1' },
+            { id: 'team3', name: 'Sales', location_id: 'loc1' }
+        ]
+    });
+});
+
+describe('Bookings on the in-memory database', () => {
+    test('enforces capacity and one booking per team and day', async () => {
+        await book('team1', 6).expect(201);
+        await book('team1', 1).expect(409);
+        const full = await book('team2', 5).expect(409);
+
+        expect(full.body).toMatchObject({ code: 'CAPACITY_EXCEEDED', remaining: 4 });
+    });
+
+    test('promotes the waitlist when a booking is cancelled', async () => {
+        const { body: booking } = await book('team1', 6).expect(201);
+        await request(app)
+            .post('/api/bookings/waitlist')
+            .send({ date: '2099-03-02', teamId: 'team2', teamName: 'Design', peopleCount: 5, locationId: 'loc1' })
+            .expect(201);
+
+        const { body } = await request(app).delete(`/api/bookings/${booking.id}`).expect(200);
+
+        expect(body.promoted.map(b => b.teamId)).toEqual(['team2']);
+        expect(db.dump().booking_waitlist).toEqual([]);
+    });
+
+    test('cancels the following occurrences of a series and ends the rule', async () => {
+        const { body } = await request(app)
+            .post('/api/bookings/series')
+            .send({
+                startDate: '2099-03-02',
+                rule: { frequency: 'weekly', weekdays: [1], count: 4 },
+                teamId: 'team1', teamName: 'Engineering', peopleCount: 3, locationId: 'loc1'
+            })
+            .expect(201);
+        expect(body.bookings).toHaveLength(4);
+
+        const third = body.bookings[2];
+        const deleted = await request(app).delete(`/api/bookings/${third.id}?scope=following`).expect(200);
+
+        expect(deleted.body.deleted).toBe(2);
+        const { body: series } = await request(app).get(`/api/bookings/series/${body.series.id}`).expect(200);
+        expect(series.bookings.map(b => b.date)).toEqual(['2099-03-02', '2099-03-09']);
+        expect(series.rule.until).toBe('2099-03-15');
+    });
+});
+
+describe('Teams on the in-memory database', () => {
+    test('deleting a team removes its bookings and records feed cancellations', async () => {
+        await book('team1', 4).expect(201);
+        await book('team2', 4).expect(201);
+
+        await request(app).delete('/api/teams/team1').expect(200);
+
+        const { body } = await request(app).get('/api/data').expect(200);
+        expect(body.teams.map(t => t.id)).toEqual(['team2', 'team3']);
+        expect(body.bookings.map(b => b.teamId)).toEqual(['team2']);
+        expect(db.dump().calendar_cancellations).toEqual([expect.objectContaining({ source: 'bookings', team_id: 'team1' })]);
+    });
+});
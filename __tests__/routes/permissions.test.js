@@ -0,0 +1,199 @@
+/**
+ * Integration tests for /api/permissions routes and role enforcement
+ */
+const request = require('supertest');
+const express = require('express');
+
+jest.mock('../../config/supabase', () => require('../mocks/supabase.mock'));
+
+const { mockData, resetMockData } = require('../mocks/supabase.mock');
+const permissionsRouter = require('../../routes/permissions');
+const locationsRouter = require('../../routes/locations');
+const holidaysRouter = require('../../routes/holidays');
+const settingsRouter = require('../../routes/settings');
+
+// Signed-in user comes from test headers, as optionalAuth would attach it
+const app = express();
+app.use(express.json());
+app.use((req, res, next) => {
+    const email = req.headers['x-test-email'];
+    const roles = req.headers['x-test-roles'];
+    req.user = email
+        ? { authenticated: true, email, roles: roles ? roles.split(',') : [] }
+        : { authenticated: false };
+    next();
+});
+app.use('/api/permissions', permissionsRouter);
+app.use('/api/locations', locationsRouter);
+app.use('/api/holidays', holidaysRouter);
+app.use('/api/settings', settingsRouter);
+
+const originalRequireAuth = process.env.REQUIRE_AUTH;
+
+beforeEach(() => {
+    resetMockData();
+    process.env.REQUIRE_AUTH = 'true';
+});
+
+afterEach(() => {
+    process.env.REQUIRE_AUTH = originalRequireAuth;
+});
+
+describe('GET /api/permissions/me', () => {
+    test('returns the signed-in user\'s roles', async () => {
+        mockData.role_assignments = [
+            { id: 'r1', user_email: 'sam@example.com', role: 'LocationAdmin', location_id: 'loc1' }
+        ];
+
+        const response = await request(app)
+            .get('/api/permissions/me')
+            .set('x-test-email', 'sam@example.com')
+            .expect(200);
+
+        expect(response.body).toMatchObject({
+            enforced: true,
+            email: 'sam@example.com',
+            isAdmin: false,
+            locationIds: ['loc1']
+        });
+    });
+
+    test('reports when enforcement is off', async () => {
+        process.env.REQUIRE_AUTH = 'false';
+
+        const response = await request(app).get('/api/permissions/me').expect(200);
+
+        expect(response.body.enforced).toBe(false);
+    });
+});
+
+describe('/api/permissions/assignments', () => {
+    test('admins can grant and revoke roles', async () => {
+        const created = await request(app)
+            .post('/api/permissions/assignments')
+            .set('x-test-email', 'admin@example.com')
+            .set('x-test-roles', 'Admin')
+            .send({ userEmail: 'Sam@Example.com', role: 'TeamManager', teamId: 'team1' })
+            .expect(201);
+
+        expect(created.body).toMatchObject({ userEmail: 'sam@example.com', role: 'TeamManager', teamId: 'team1', locationId: null });
+
+        const list = await request(app)
+            .get('/api/permissions/assignments')
+            .set('x-test-email', 'admin@example.com')
+            .set('x-test-roles', 'Admin')
+            .expect(200);
+        expect(list.body).toHaveLength(1);
+
+        await request(app)
+            .delete(`/api/permissions/assignments/${created.body.id}`)
+            .set('x-test-email', 'admin@example.com')
+            .set('x-test-roles', 'Admin')
+            .expect(200);
+        expect(mockData.role_assignments).toEqual([]);
+    });
+
+    test('validates the role and its scope', async () => {
+        const send = body => request(app)
+            .post('/api/permissions/assignments')
+            .set('x-test-email', 'admin@example.com')
+            .set('x-test-roles', 'Admin')
+            .send(body);
+
+        expect((await send({ userEmail: 'sam', role: 'Admin' }).expect(400)).body.error).toContain('email');
+        expect((await send({ userEmail: 'sam@example.com', role: 'Owner' }).expect(400)).body.error).toContain('Role must be');
+        expect((await send({ userEmail: 'sam@example.com', role: 'LocationAdmin', locationId: 'nope' }).expect(400)).body.error).toContain('locationId');
+        expect((await send({ userEmail: 'sam@example.com', role: 'TeamManager' }).expect(400)).body.error).toContain('teamId');
+    });
+
+    test('refuses duplicate assignments', async () => {
+        mockData.role_assignments = [
+            { id: 'r1', user_email: 'sam@example.com', role: 'LocationAdmin', location_id: 'loc1', team_id: null }
+        ];
+
+        const response = await request(app)
+            .post('/api/permissions/assignments')
+            .set('x-test-email', 'admin@example.com')
+            .set('x-test-roles', 'Admin')
+            .send({ userEmail: 'sam@example.com', role: 'LocationAdmin', locationId: 'loc1' })
+            .expect(400);
+
+        expect(response.body.error).toBe('User already has this role');
+    });
+
+    test('non-admins cannot manage roles', async () => {
+        await request(app)
+            .post('/api/permissions/assignments')
+            .set('x-test-email', 'sam@example.com')
+            .send({ userEmail: 'sam@example.com', role: 'Admin' })
+            .expect(403);
+
+        await request(app)
+            .get('/api/permissions/assignments')
+            .set('x-test-email', 'sam@example.com')
+            .expect(403);
+    });
+
+    test('returns 404 when revoking an unknown assignment', async () => {
+        await request(app)
+            .delete('/api/permissions/assignments/missing')
+            .set('x-test-email', 'admin@example.com')
+            .set('x-test-roles', 'Admin')
+            .expect(404);
+    });
+});
+
+describe('System-wide settings need a global admin', () => {
+    beforeEach(() => {
+        mockData.role_assignments = [
+            { id: 'r1', user_email: 'sam@example.com', role: 'LocationAdmin', location_id: 'loc1' }
+        ];
+    });
+
+    test('location admins cannot create or delete locations', async () => {
+        await request(app)
+            .post('/api/locations')
+            .set('x-test-email', 'sam@example.com')
+            .send({ name: 'Durban', capacity: 20 })
+            .expect(403);
+
+        await request(app)
+            .delete('/api/locations/loc1')
+            .set('x-test-email', 'sam@example.com')
+            .expect(403);
+    });
+
+    test('location admins can edit their own location only', async () => {
+        await request(app)
+            .put('/api/locations/loc1')
+            .set('x-test-email', 'sam@example.com')
+            .send({ address: 'Sandton' })
+            .expect(200);
+
+        await request(app)
+            .put('/api/locations/loc2')
+            .set('x-test-email', 'sam@example.com')
+            .send({ address: 'Sea Point' })
+            .expect(403);
+    });
+
+    test('holidays and settings are admin-only', async () => {
+        await request(app)
+            .delete('/api/holidays/2024-01-01')
+            .set('x-test-email', 'sam@example.com')
+            .expect(403);
+
+        await request(app)
+            .put('/api/settings/team_roles')
+            .set('x-test-email', 'sam@example.com')
+            .send({ value: ['Manager'] })
+            .expect(403);
+
+        await request(app)
+            .put('/api/settings/team_roles')
+            .set('x-test-email', 'admin@example.com')
+            .set('x-test-roles', 'Admin')
+            .send({ value: ['Manager'] })
+            .expect(200);
+    });
+});
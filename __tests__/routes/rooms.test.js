@@ -0,0 +1,171 @@
+/**
+ * Tests for bookable meeting rooms: promoting a floor plan room, hourly
+ * bookings with conflict checks, and their .ics download, on the in-memory database
+ */
+const request = require('supertest');
+const express = require('express');
+
+jest.mock('../../config/database', () => {
+    const { MemoryDatabase } = require('../../config/memory');
+    return { db: new MemoryDatabase(), clientName: 'memory', DB_CLIENTS: ['supabase', 'postgres', 'memory'] };
+});
+
+const { db } = require('../../config/database');
+const { locationsRepo } = require('../../repositories');
+const { createMockIo } = require('../mocks/io.mock');
+const roomsRouter = require('../../routes/rooms');
+const floorElementsRouter = require('../../routes/floorElements');
+const { initRealtimeEvents, roomKeyForFloor } = require('../../socket/events');
+
+const app = express();
+app.use(express.json());
+app.use('/api/rooms', roomsRouter);
+app.use('/api/floor-elements', floorElementsRouter);
+
+const room = (id, extra = {}) => ({
+    id, type: 'room', label: id, location_id: 'loc1', floor: '2', bookable: true, capacity: 6, equipment: ['screen'], ...extra
+});
+
+const reserve = (roomId, body) => request(app).post(`/api/rooms/${roomId}/bookings`)
+    .send({ date: '2099-03-02', employeeName: 'Sam', employeeEmail: 'sam@example.com', ...body });
+
+let io;
+
+beforeEach(() => {
+    io = createMockIo();
+    initRealtimeEvents(io);
+    db.reset({
+        locations: [{ id: 'loc1', name: 'Johannesburg', capacity: 10, opening_time: '08:00', closing_time: '17:00' }],
+        floor_elements: [
+            room('Boardroom'),
+            room('Huddle', { capacity: 3, equipment: [] }),
+            room('Kitchen', { bookable: false }),
+            { id: 'wall1', type: 'wall', location_id: 'loc1', floor: '2' }
+        ]
+    });
+});
+
+afterEach(() => {
+    initRealtimeEvents(null);
+});
+
+describe('bookable rooms', () => {
+    test('lists only the rooms that can be booked', async () => {
+        const { body } = await request(app).get('/api/rooms').query({ locationId: 'loc1' }).expect(200);
+
+        expect(body.map(r => r.label)).toEqual(['Boardroom', 'Huddle']);
+        expect(body[0]).toMatchObject({ capacity: 6, equipment: ['screen'] });
+    });
+
+    test('a floor plan room is promoted with a capacity and equipment', async () => {
+        const { body } = await request(app).put('/api/floor-elements/Kitchen')
+            .send({ bookable: true, capacity: 4, equipment: ['whiteboard'] })
+            .expect(200);
+        expect(body).toMatchObject({ bookable: true, capacity: 4, equipment: ['whiteboard'] });
+
+        await request(app).put('/api/floor-elements/wall1').send({ bookable: true }).expect(400);
+        await request(app).put('/api/floor-elements/Kitchen').send({ equipment: ['jacuzzi'] }).expect(400);
+        await request(app).put('/api/floor-elements/Kitchen').send({ capacity: 0 }).expect(400);
+    });
+});
+
+describe('POST /api/rooms/:id/bookings', () => {
+    test('books a room by the hour and tells the floor', async () => {
+        const { body } = await reserve('Boardroom', { startTime: '09:00', endTime: '11:00', title: 'Planning', attendeeCount: 5 })
+            .expect(201);
+
+        expect(body).toMatchObject({ roomName: 'Boardroom', startTime: '09:00:00', endTime: '11:00:00', title: 'Planning', attendeeCount: 5 });
+        const [event] = io.published('roomBooking:created');
+        expect(event.rooms).toEqual([roomKeyForFloor('loc1', '2')]);
+    });
+
+    test('refuses overlapping bookings of the same room', async () => {
+        await reserve('Boardroom', { startTime: '09:00', endTime: '11:00' }).expect(201);
+
+        const { body } = await reserve('Boardroom', { startTime: '10:00', endTime: '12:00' }).expect(409);
+        expect(body).toMatchObject({ code: 'ROOM_CONFLICT', error: 'Boardroom is already booked from 09:00 to 11:00' });
+
+        await reserve('Boardroom', { startTime: '11:00', endTime: '12:00' }).expect(201);
+        await reserve('Huddle', { startTime: '10:00', endTime: '12:00' }).expect(201);
+        await reserve('Boardroom', { slot: 'full' }).expect(409);
+    });
+
+    test('gives the room to only one of two requests for the same hour', async () => {
+        // Hold both requests at the opening hours lookup so they reach the insert together
+        const findLocation = locationsRepo.findById.bind(locationsRepo);
+        let release;
+        const bothArrived = new Promise(resolve => { release = resolve; });
+        let arrived = 0;
+        const spy = jest.spyOn(locationsRepo, 'findById').mockImplementation(async (...args) => {
+            if (++arrived === 2) release();
+            await bothArrived;
+            return findLocation(...args);
+        });
+
+        try {
+            const responses = await Promise.all([
+                reserve('Boardroom', { startTime: '09:00', endTime: '10:00' }),
+                reserve('Boardroom', { startTime: '09:00', endTime: '11:00', employeeName: 'Ada' })
+            ]);
+
+            expect(responses.map(r => r.status).sort()).toEqual([201, 409]);
+            expect(db.dump().room_bookings).toHaveLength(1);
+        } finally {
+            spy.mockRestore();
+        }
+    });
+
+    test('gives every booking its own id', async () => {
+        const { body: first } = await reserve('Boardroom', { startTime: '09:00', endTime: '10:00' }).expect(201);
+        const { body: second } = await reserve('Huddle', { startTime: '09:00', endTime: '10:00' }).expect(201);
+
+        expect(first.id).toMatch(/^[0-9a-f-]{36}$/);
+        expect(second.id).not.toBe(first.id);
+    });
+
+    test('validates the room, times and head count', async () => {
+        await reserve('missing', { startTime: '09:00', endTime: '10:00' }).expect(404);
+        await reserve('Kitchen', { startTime: '09:00', endTime: '10:00' }).expect(400);
+        await reserve('Boardroom', { startTime: '09:30', endTime: '10:00' }).expect(400);
+        await reserve('Boardroom', { startTime: '16:00', endTime: '18:00' }).expect(400);
+        await reserve('Huddle', { startTime: '09:00', endTime: '10:00', attendeeCount: 4 }).expect(400);
+        await reserve('Boardroom', { date: '02/03/2099', startTime: '09:00', endTime: '10:00' }).expect(400);
+    });
+});
+
+describe('room booking day view and calendar file', () => {
+    test('lists a day\'s bookings by start time', async () => {
+        await reserve('Boardroom', { startTime: '14:00', endTime: '15:00' }).expect(201);
+        await reserve('Huddle', { startTime: '08:00', endTime: '09:00' }).expect(201);
+
+        const { body } = await request(app).get('/api/rooms/bookings').query({ date: '2099-03-02', locationId: 'loc1' }).expect(200);
+        expect(body.map(b => b.roomName)).toEqual(['Huddle', 'Boardroom']);
+
+        const { body: boardroom } = await request(app).get('/api/rooms/bookings').query({ date: '2099-03-02', roomId: 'Boardroom' }).expect(200);
+        expect(boardroom).toHaveLength(1);
+        await request(app).get('/api/rooms/bookings').expect(400);
+    });
+
+    test('exports a booking as an .ics event in the room', async () => {
+        const { body: booking } = await reserve('Boardroom', { startTime: '09:00', endTime: '10:00', title: 'Standup' }).expect(201);
+
+        const response = await request(app).get(`/api/rooms/bookings/${booking.id}/ics`).expect(200);
+
+        expect(response.headers['content-type']).toMatch(/text\/calendar/);
+        expect(response.text).toContain(`UID:room-${booking.id}@officebooking`);
+        expect(response.text).toContain('SUMMARY:Standup');
+        expect(response.text).toContain('DTSTART:20990302T090000');
+        expect(response.text).toContain('LOCATION:Boardroom\\, Johannesburg');
+        await request(app).get('/api/rooms/bookings/missing/ics').expect(404);
+    });
+
+    test('cancelling frees the room', async () => {
+        const { body: booking } = await reserve('Boardroom', { startTime: '09:00', endTime: '10:00' }).expect(201);
+
+        await request(app).delete(`/api/rooms/bookings/${booking.id}`).expect(200);
+
+        expect(db.dump().room_bookings).toEqual([]);
+        expect(io.published('roomBooking:deleted')).toHaveLength(1);
+        await reserve('Boardroom', { startTime: '09:00', endTime: '10:00' }).expect(201);
+    });
+});
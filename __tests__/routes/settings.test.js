@@ -44,6 +44,16 @@ describe('Settings Routes', () => {
             expect(response.body.value).toEqual([]);
         });
 
+        test('returns an empty object for checkin_grace_minutes when not found', async () => {
+            setMockData('settings', []);
+
+            const response = await request(app)
+                .get('/api/settings/checkin_grace_minutes')
+                .expect(200);
+
+            expect(response.body.value).toEqual({});
+        });
+
         test('returns null for unknown setting when not found', async () => {
             setMockData('settings', []);
 
@@ -117,6 +127,57 @@ describe('Settings Routes', () => {
             expect(response.body.error).toBe('team_roles must be an array of strings');
         });
 
+        test('accepts per-location check-in grace windows', async () => {
+            setMockData('settings', []);
+
+            const response = await request(app)
+                .put('/api/settings/checkin_grace_minutes')
+                .send({ value: { default: 30, loc1: 15, loc2: null } })
+                .expect(200);
+
+            expect(response.body.value).toEqual({ default: 30, loc1: 15, loc2: null });
+        });
+
+        test('returns 400 for invalid check-in grace windows', async () => {
+            const notObject = await request(app)
+                .put('/api/settings/checkin_grace_minutes')
+                .send({ value: [30] })
+                .expect(400);
+
+            expect(notObject.body.error).toBe('checkin_grace_minutes must be an object keyed by location ID');
+
+            const badMinutes = await request(app)
+                .put('/api/settings/checkin_grace_minutes')
+                .send({ value: { loc1: -5 } })
+                .expect(400);
+
+            expect(badMinutes.body.error).toContain('whole minutes');
+        });
+
+        test('accepts attendance policies and rejects invalid ones', async () => {
+            setMockData('settings', []);
+            const value = { default: { minDaysPerWeek: 2, anchorDays: [2] }, teams: { team1: null } };
+
+            const response = await request(app)
+                .put('/api/settings/attendance_policies')
+                .send({ value })
+                .expect(200);
+
+            expect(response.body.value).toEqual(value);
+
+            const badDays = await request(app)
+                .put('/api/settings/attendance_policies')
+                .send({ value: { locations: { loc1: { minDaysPerWeek: 8 } } } })
+                .expect(400);
+
+            expect(badDays.body.error).toBe('minDaysPerWeek must be a whole number from 1 to 7');
+
+            await request(app)
+                .put('/api/settings/attendance_policies')
+                .send({ value: { everyone: { minDaysPerWeek: 2 } } })
+                .expect(400);
+        });
+
         test('allows non-team_roles settings with any value type', async () => {
             setMockData('settings', []);
 
@@ -0,0 +1,168 @@
+/**
+ * Tests for team rosters: membership CRUD, syncing Azure AD direct reports and
+ * member_count following the roster, on the in-memory database
+ */
+const request = require('supertest');
+const express = require('express');
+
+jest.mock('../../config/database', () => {
+    const { MemoryDatabase } = require('../../config/memory');
+    return { db: new MemoryDatabase(), clientName: 'memory', DB_CLIENTS: ['supabase', 'postgres', 'memory'] };
+});
+
+const { db } = require('../../config/database');
+const { router: bookingsRouter } = require('../../routes/bookings');
+const teamsRouter = require('../../routes/teams');
+
+// Signed-in user comes from test headers, as optionalAuth would attach it
+const app = express();
+app.use(express.json());
+app.use((req, res, next) => {
+    const email = req.headers['x-test-email'];
+    const roles = req.headers['x-test-roles'];
+    req.user = email
+        ? { authenticated: true, email, roles: roles ? roles.split(',') : [] }
+        : { authenticated: false };
+    next();
+});
+app.use('/api/bookings', bookingsRouter);
+app.use('/api/teams', teamsRouter);
+
+const asAdmin = req => req.set('x-test-email', 'admin@example.com').set('x-test-roles', 'Admin');
+const asUser = (req, email) => req.set('x-test-email', email);
+
+const addMember = (teamId, member) => asAdmin(request(app).post(`/api/teams/${teamId}/members`)).send(member);
+
+const report = (name, mail, extra = {}) => ({ id: `aad-${name}`, displayName: name, mail, jobTitle: 'Engineer', ...extra });
+
+const originalRequireAuth = process.env.REQUIRE_AUTH;
+
+beforeEach(() => {
+    process.env.REQUIRE_AUTH = 'true';
+    db.reset({
+        locations: [{ id: 'loc1', name: 'Johannesburg', capacity: 20 }],
+        teams: [
+            { id: 'team1', name: 'Engineering', location_id: 'loc1', member_count: 8 },
+            { id: 'team2', name: 'Design', location_id: 'loc1', member_count: 5 }
+        ],
+        role_assignments: [{ id: 'r1', user_email: 'lead@example.com', role: 'TeamManager', team_id: 'team1' }]
+    });
+});
+
+afterEach(() => {
+    process.env.REQUIRE_AUTH = originalRequireAuth;
+});
+
+describe('membership', () => {
+    test('adds and lists members, deriving member_count from the roster', async () => {
+        const { body } = await addMember('team1', { email: ' Sam@Example.com ', name: 'Sam', jobTitle: 'Engineer' }).expect(201);
+        await addMember('team1', { email: 'ada@example.com', name: 'Ada' }).expect(201);
+
+        expect(body.member).toMatchObject({ teamId: 'team1', email: 'sam@example.com', source: 'manual' });
+        expect(body.team.memberCount).toBe(1);
+
+        const { body: members } = await request(app).get('/api/teams/team1/members').expect(200);
+        expect(members.map(m => m.name)).toEqual(['Ada', 'Sam']);
+        expect(db.dump().teams.find(t => t.id === 'team1').member_count).toBe(2);
+    });
+
+    test('validates members and refuses duplicates', async () => {
+        await addMember('team1', { email: 'not-an-email', name: 'Sam' }).expect(400);
+        await addMember('team1', { email: 'sam@example.com' }).expect(400);
+        await addMember('missing', { email: 'sam@example.com', name: 'Sam' }).expect(404);
+
+        await addMember('team1', { email: 'sam@example.com', name: 'Sam' }).expect(201);
+        await addMember('team1', { email: 'SAM@example.com', name: 'Sam' }).expect(409);
+    });
+
+    test('removing a member recounts the team, and an empty roster keeps the last count', async () => {
+        const { body: first } = await addMember('team1', { email: 'sam@example.com', name: 'Sam' }).expect(201);
+        const { body: second } = await addMember('team1', { email: 'ada@example.com', name: 'Ada' }).expect(201);
+
+        const { body } = await asAdmin(request(app).delete(`/api/teams/team1/members/${first.member.id}`)).expect(200);
+        expect(body.team.memberCount).toBe(1);
+
+        await asAdmin(request(app).delete(`/api/teams/team1/members/${second.member.id}`)).expect(200);
+        await asAdmin(request(app).delete(`/api/teams/team2/members/${second.member.id}`)).expect(404);
+        expect(db.dump().teams.find(t => t.id === 'team1').member_count).toBe(1);
+    });
+
+    test('ignores a hand-entered member count once the team has a roster', async () => {
+        await addMember('team1', { email: 'sam@example.com', name: 'Sam' }).expect(201);
+
+        const { body } = await asAdmin(request(app).put('/api/teams/team1')).send({ memberCount: 12 }).expect(200);
+
+        expect(body.memberCount).toBe(1);
+    });
+
+    test('only the team\'s managers can change its roster', async () => {
+        await asUser(request(app).post('/api/teams/team1/members'), 'lead@example.com')
+            .send({ email: 'sam@example.com', name: 'Sam' })
+            .expect(201);
+        await asUser(request(app).post('/api/teams/team2/members'), 'lead@example.com')
+            .send({ email: 'sam@example.com', name: 'Sam' })
+            .expect(403);
+    });
+
+    test('records roster changes in the audit log', async () => {
+        await addMember('team1', { email: 'sam@example.com', name: 'Sam' }).expect(201);
+
+        const entries = db.dump().audit_log;
+        expect(entries.map(e => [e.entity_type, e.action])).toEqual([['team_members', 'create'], ['teams', 'update']]);
+        expect(entries[0].team_id).toBe('team1');
+    });
+});
+
+describe('POST /api/teams/:id/members/sync', () => {
+    test('adds, updates and removes Azure AD members but keeps manual ones', async () => {
+        await addMember('team1', { email: 'kim@example.com', name: 'Kim' }).expect(201);
+        await asAdmin(request(app).post('/api/teams/team1/members/sync'))
+            .send({ reports: [report('Sam', 'sam@example.com'), report('Ada', 'ada@example.com')] })
+            .expect(200);
+
+        const { body } = await asAdmin(request(app).post('/api/teams/team1/members/sync'))
+            .send({ reports: [report('Sam', 'Sam@Example.com', { jobTitle: 'Lead' }), report('Kim', 'kim@example.com'), report('No mail', null)] })
+            .expect(200);
+
+        expect(body).toMatchObject({ added: 0, updated: 1, removed: 1 });
+        expect(body.members.map(m => [m.name, m.source, m.jobTitle])).toEqual([
+            ['Kim', 'manual', null],
+            ['Sam', 'azure', 'Lead']
+        ]);
+        expect(body.team.memberCount).toBe(2);
+    });
+
+    test('needs a list of reports', async () => {
+        await asAdmin(request(app).post('/api/teams/team1/members/sync')).send({}).expect(400);
+    });
+
+    test('rejects reports that are not users without touching the roster', async () => {
+        for (const entry of [null, 'sam@example.com', ['sam@example.com'], { mail: 42 }]) {
+            await asAdmin(request(app).post('/api/teams/team1/members/sync'))
+                .send({ reports: [report('Kim', 'kim@example.com'), entry] })
+                .expect(400);
+        }
+
+        expect(db.dump().team_members).toHaveLength(0);
+    });
+});
+
+describe('bookings and the roster', () => {
+    const book = peopleCount => asAdmin(request(app).post('/api/bookings'))
+        .send({ date: '2099-03-02', teamId: 'team1', teamName: 'Engineering', peopleCount, locationId: 'loc1' });
+
+    test('refuses bookings for more people than the team has', async () => {
+        await addMember('team1', { email: 'sam@example.com', name: 'Sam' }).expect(201);
+        await addMember('team1', { email: 'ada@example.com', name: 'Ada' }).expect(201);
+
+        const { body } = await book(3).expect(400);
+        expect(body.error).toBe('Engineering has 2 members, so it can\'t book for 3 people');
+
+        const { body: booking } = await book(2).expect(201);
+        await asAdmin(request(app).put(`/api/bookings/${booking.id}`)).send({ peopleCount: 5 }).expect(400);
+    });
+
+    test('teams without a roster book any number, as before', async () => {
+        await book(12).expect(201);
+    });
+});
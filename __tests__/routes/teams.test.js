@@ -7,7 +7,9 @@ const express = require('express');
 jest.mock('../../config/supabase', () => require('../mocks/supabase.mock'));
 
 const { mockData, resetMockData, setSimulateError, clearSimulateError } = require('../mocks/supabase.mock');
+const { createMockIo } = require('../mocks/io.mock');
 const teamsRouter = require('../../routes/teams');
+const { initRealtimeEvents } = require('../../socket/events');
 
 const app = express();
 app.use(express.json());
@@ -153,6 +155,112 @@ describe('DELETE /api/teams/:id', () => {
     });
 });
 
+describe('Team permissions', () => {
+    const originalRequireAuth = process.env.REQUIRE_AUTH;
+    const originalTeams = mockData.teams;
+    const authedApp = express();
+    authedApp.use(express.json());
+    authedApp.use((req, res, next) => {
+        req.user = { authenticated: true, email: req.headers['x-test-email'], roles: [] };
+        next();
+    });
+    authedApp.use('/api/teams', teamsRouter);
+
+    beforeEach(() => {
+        resetMockData();
+        process.env.REQUIRE_AUTH = 'true';
+        mockData.teams = [
+            { id: 'team1', name: 'Engineering', member_count: 10, location_id: 'loc1', manager: 'John Manager', manager_email: 'john@example.com' },
+            { id: 'team2', name: 'Design', member_count: 5, location_id: 'loc1', manager: 'Jane Manager' }
+        ];
+    });
+
+    afterEach(() => {
+        process.env.REQUIRE_AUTH = originalRequireAuth;
+        mockData.teams = originalTeams;
+    });
+
+    test('a team\'s manager can edit it but not other teams', async () => {
+        await request(authedApp)
+            .put('/api/teams/team1')
+            .set('x-test-email', 'John@example.com')
+            .send({ memberCount: 12, locationId: 'loc1' })
+            .expect(200);
+
+        await request(authedApp)
+            .put('/api/teams/team2')
+            .set('x-test-email', 'john@example.com')
+            .send({ memberCount: 12 })
+            .expect(403);
+    });
+
+    test('managers cannot move or delete their team', async () => {
+        await request(authedApp)
+            .put('/api/teams/team1')
+            .set('x-test-email', 'john@example.com')
+            .send({ locationId: 'loc2' })
+            .expect(403);
+
+        await request(authedApp)
+            .delete('/api/teams/team1')
+            .set('x-test-email', 'john@example.com')
+            .expect(403);
+    });
+
+    test('stores the manager email used for permissions', async () => {
+        mockData.role_assignments = [
+            { id: 'r1', user_email: 'admin@example.com', role: 'LocationAdmin', location_id: 'loc1' }
+        ];
+
+        const response = await request(authedApp)
+            .post('/api/teams')
+            .set('x-test-email', 'admin@example.com')
+            .send({ name: 'Sales', locationId: 'loc1', manager: 'Pat', managerEmail: ' Pat@Example.com ' })
+            .expect(201);
+
+        expect(response.body.managerEmail).toBe('pat@example.com');
+    });
+});
+
+describe('Team real-time events', () => {
+    const originalTeams = mockData.teams;
+    let io;
+
+    beforeEach(() => {
+        resetMockData();
+        io = createMockIo();
+        initRealtimeEvents(io);
+        mockData.teams = [
+            { id: 'team1', name: 'Engineering', location_id: 'loc1', member_count: 5 }
+        ];
+    });
+
+    afterEach(() => {
+        initRealtimeEvents(null);
+        mockData.teams = originalTeams;
+    });
+
+    test('publishes team changes to everyone', async () => {
+        await request(app)
+            .post('/api/teams')
+            .send({ name: 'Design Team', locationId: 'loc1' })
+            .expect(201);
+        await request(app)
+            .put('/api/teams/team1')
+            .send({ name: 'Platform' })
+            .expect(200);
+
+        expect(io.published('team:created')[0]).toMatchObject({ rooms: ['*'], payload: { team: { id: 'design-team' } } });
+        expect(io.published('team:updated')[0].payload.team.name).toBe('Platform');
+    });
+
+    test('publishes deleted teams', async () => {
+        await request(app).delete('/api/teams/team1').expect(200);
+
+        expect(io.published('team:deleted')[0].payload.team).toMatchObject({ id: 'team1', name: 'Engineering' });
+    });
+});
+
 describe('Error handling', () => {
     afterEach(() => {
         clearSimulateError();
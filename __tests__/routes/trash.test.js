@@ -0,0 +1,250 @@
+/**
+ * Tests for the trash: soft deletes, restoring with undo or from /api/trash,
+ * and purging after the retention period, on the in-memory database
+ */
+const request = require('supertest');
+const express = require('express');
+
+jest.mock('../../config/database', () => {
+    const { MemoryDatabase } = require('../../config/memory');
+    return { db: new MemoryDatabase(), clientName: 'memory', DB_CLIENTS: ['supabase', 'postgres', 'memory'] };
+});
+
+const { db } = require('../../config/database');
+const { router: bookingsRouter, initBookingsRoutes } = require('../../routes/bookings');
+const teamsRouter = require('../../routes/teams');
+const locationsRouter = require('../../routes/locations');
+const trashRouter = require('../../routes/trash');
+const { purgeTrash } = require('../../utils/trash');
+const { bookingsRepo } = require('../../repositories');
+
+// Signed-in user comes from test headers, as optionalAuth would attach it
+const app = express();
+app.use(express.json());
+app.use((req, res, next) => {
+    const email = req.headers['x-test-email'];
+    const roles = req.headers['x-test-roles'];
+    req.user = email
+        ? { authenticated: true, email, roles: roles ? roles.split(',') : [] }
+        : { authenticated: false };
+    next();
+});
+app.use('/api/bookings', bookingsRouter);
+app.use('/api/teams', teamsRouter);
+app.use('/api/locations', locationsRouter);
+app.use('/api/trash', trashRouter);
+
+initBookingsRoutes({
+    emitRoomDataChanged: jest.fn(),
+    roomKeyForBooking: (date, locationId) => `${locationId}:${date}`
+});
+
+const asAdmin = req => req.set('x-test-email', 'admin@example.com').set('x-test-roles', 'Admin');
+
+const book = (teamId, peopleCount, extra = {}) => asAdmin(request(app).post('/api/bookings'))
+    .send({ date: '2099-03-02', teamId, teamName: teamId, peopleCount, locationId: 'loc1', ...extra });
+
+const active = table => db.dump()[table].filter(row => !row.deleted_at);
+
+const originalRequireAuth = process.env.REQUIRE_AUTH;
+
+beforeEach(() => {
+    process.env.REQUIRE_AUTH = 'true';
+    db.reset({
+        locations: [
+            { id: 'loc1', name: 'Johannesburg', capacity: 10 },
+            { id: 'loc2', name: 'Cape Town', capacity: 10 }
+        ],
+        teams: [
+            { id: 'team1', name: 'Engineering', location_id: 'loc1' },
+            { id: 'team2', name: 'Design', location_id: 'loc1' }
+        ]
+    });
+});
+
+afterEach(() => {
+    process.env.REQUIRE_AUTH = originalRequireAuth;
+});
+
+describe('deleting', () => {
+    test('moves a booking to the trash, recording who deleted it', async () => {
+        const { body: booking } = await book('team1', 4).expect(201);
+
+        await asAdmin(request(app).delete(`/api/bookings/${booking.id}`)).expect(200);
+
+        expect(active('bookings')).toHaveLength(0);
+        expect(db.dump().bookings[0]).toMatchObject({ id: booking.id, deleted_by: 'admin@example.com' });
+        expect((await book('team1', 4)).status).toBe(201);
+    });
+
+    test('moves a team to the trash with its bookings, sharing one timestamp', async () => {
+        await book('team1', 4).expect(201);
+        await book('team1', 4, { date: '2099-03-03' }).expect(201);
+
+        await asAdmin(request(app).delete('/api/teams/team1')).expect(200);
+
+        const { teams, bookings } = db.dump();
+        const team = teams.find(t => t.id === 'team1');
+        expect(team.deleted_at).toBeTruthy();
+        expect(bookings.every(b => b.deleted_at === team.deleted_at)).toBe(true);
+    });
+
+    test('refuses to create a team or location named like one in the trash', async () => {
+        const createTeam = () => asAdmin(request(app).post('/api/teams')).send({ name: 'Platform', locationId: 'loc1' });
+        const createLocation = () => asAdmin(request(app).post('/api/locations')).send({ name: 'Durban', capacity: 10 });
+        const { body: team } = await createTeam().expect(201);
+        const { body: location } = await createLocation().expect(201);
+        await asAdmin(request(app).delete(`/api/teams/${team.id}`)).expect(200);
+        await asAdmin(request(app).delete(`/api/locations/${location.id}`)).expect(200);
+
+        expect((await createTeam().expect(409)).body.error).toContain('restore it from the trash');
+        await createLocation().expect(409);
+    });
+});
+
+describe('restoring', () => {
+    test('undoes a booking delete', async () => {
+        const { body: booking } = await book('team1', 4).expect(201);
+        await asAdmin(request(app).delete(`/api/bookings/${booking.id}`)).expect(200);
+
+        const { body } = await asAdmin(request(app).post(`/api/bookings/${booking.id}/restore`)).expect(200);
+
+        expect(body.restored.map(b => b.id)).toEqual([booking.id]);
+        expect(body.skipped).toEqual([]);
+        expect(active('bookings')).toHaveLength(1);
+        expect(db.dump().audit_log.map(e => e.action)).toEqual(['create', 'delete', 'update']);
+    });
+
+    test('refuses a booking whose day has filled up since', async () => {
+        const { body: booking } = await book('team1', 6).expect(201);
+        await asAdmin(request(app).delete(`/api/bookings/${booking.id}`)).expect(200);
+        await book('team2', 6).expect(201);
+
+        const { body } = await asAdmin(request(app).post(`/api/bookings/${booking.id}/restore`)).expect(409);
+
+        expect(body.code).toBe('CAPACITY');
+        expect(active('bookings')).toHaveLength(1);
+    });
+
+    test('restores only one of two bookings the team made for the same day', async () => {
+        const { body: first } = await book('team1', 4).expect(201);
+        await asAdmin(request(app).delete(`/api/bookings/${first.id}`)).expect(200);
+        const { body: second } = await book('team1', 4).expect(201);
+        await asAdmin(request(app).delete(`/api/bookings/${second.id}`)).expect(200);
+
+        // Hold both restores at the trash lookup so they re-check the day together
+        const findTrashed = bookingsRepo.findTrashed.bind(bookingsRepo);
+        let release;
+        const bothArrived = new Promise(resolve => { release = resolve; });
+        let arrived = 0;
+        const spy = jest.spyOn(bookingsRepo, 'findTrashed').mockImplementation(async (...args) => {
+            if (++arrived === 2) release();
+            await bothArrived;
+            return findTrashed(...args);
+        });
+
+        try {
+            const responses = await Promise.all([first, second].map(b => asAdmin(request(app).post(`/api/bookings/${b.id}/restore`))));
+
+            expect(responses.map(r => r.status).sort()).toEqual([200, 409]);
+            expect(responses.find(r => r.status === 409).body.code).toBe('DUPLICATE');
+            expect(active('bookings')).toHaveLength(1);
+        } finally {
+            spy.mockRestore();
+        }
+    });
+
+    test('brings back the series occurrences deleted together, skipping days booked again', async () => {
+        const { body: created } = await asAdmin(request(app).post('/api/bookings/series'))
+            .send({
+                startDate: '2099-03-02',
+                rule: { frequency: 'weekly', interval: 1, weekdays: [1], until: '2099-03-23' },
+                teamId: 'team1',
+                teamName: 'Engineering',
+                peopleCount: 4,
+                locationId: 'loc1'
+            })
+            .expect(201);
+        const [first, second] = created.bookings;
+        await asAdmin(request(app).delete(`/api/bookings/${first.id}`)).expect(200);
+        await asAdmin(request(app).delete(`/api/bookings/${second.id}?scope=following`)).expect(200);
+        await book('team1', 4, { date: '2099-03-16' }).expect(201);
+
+        const { body } = await asAdmin(request(app).post(`/api/bookings/${second.id}/restore`)).expect(200);
+
+        expect(body.restored.map(b => b.date)).toEqual(['2099-03-09', '2099-03-23']);
+        expect(body.skipped).toEqual([expect.objectContaining({ date: '2099-03-16', reason: 'The team has booked that day again' })]);
+        expect(db.dump().bookings.find(b => b.id === first.id).deleted_at).toBeTruthy();
+    });
+
+    test('restores a team with its bookings but not ones deleted earlier', async () => {
+        const { body: earlier } = await book('team1', 4, { date: '2099-03-03' }).expect(201);
+        await asAdmin(request(app).delete(`/api/bookings/${earlier.id}`)).expect(200);
+        await book('team1', 4).expect(201);
+        await asAdmin(request(app).delete('/api/teams/team1')).expect(200);
+
+        const { body } = await asAdmin(request(app).post('/api/teams/team1/restore')).expect(200);
+
+        expect(body.team).toMatchObject({ id: 'team1', deletedAt: null });
+        expect(body.bookings.map(b => b.date)).toEqual(['2099-03-02']);
+        expect(active('bookings').map(b => b.id)).not.toContain(earlier.id);
+    });
+
+    test('won\'t restore a team while its location is in the trash', async () => {
+        await asAdmin(request(app).delete('/api/locations/loc1')).expect(200);
+        await asAdmin(request(app).delete('/api/teams/team1')).expect(200);
+
+        await asAdmin(request(app).post('/api/teams/team1/restore')).expect(409);
+        await asAdmin(request(app).post('/api/locations/loc1/restore')).expect(200);
+        await asAdmin(request(app).post('/api/teams/team1/restore')).expect(200);
+    });
+
+    test('returns 404 for items that are not in the trash', async () => {
+        await asAdmin(request(app).post('/api/teams/team1/restore')).expect(404);
+        await asAdmin(request(app).post('/api/locations/missing/restore')).expect(404);
+        await asAdmin(request(app).post('/api/bookings/missing/restore')).expect(404);
+    });
+});
+
+describe('GET /api/trash', () => {
+    test('lists deleted items, counting bookings on the team deleted with them', async () => {
+        const { body: own } = await book('team2', 2).expect(201);
+        await book('team1', 4).expect(201);
+        await asAdmin(request(app).delete(`/api/bookings/${own.id}`)).expect(200);
+        await asAdmin(request(app).delete('/api/teams/team1')).expect(200);
+
+        const { body } = await asAdmin(request(app).get('/api/trash')).expect(200);
+
+        expect(body.retentionDays).toBe(30);
+        expect(body.locations).toEqual([]);
+        expect(body.teams).toEqual([expect.objectContaining({ id: 'team1', bookingCount: 1, deletedBy: 'admin@example.com' })]);
+        expect(body.bookings.map(b => b.id)).toEqual([own.id]);
+    });
+
+    test('is for admins only', async () => {
+        await request(app).get('/api/trash').set('x-test-email', 'someone@example.com').expect(403);
+    });
+});
+
+describe('purgeTrash', () => {
+    test('deletes for good what has been in the trash past the retention period', async () => {
+        db.reset({
+            ...db.dump(),
+            booking_series: [{ id: 's1', rule: {}, start_date: '2099-03-02', team_id: 'team2', location_id: 'loc1', people_count: 2 }],
+            bookings: [
+                { id: 'old', date: '2099-03-02', team_id: 'team2', team_name: 'Design', people_count: 2, location_id: 'loc1', series_id: 's1', deleted_at: '2099-01-01T00:00:00.000Z' },
+                { id: 'recent', date: '2099-03-03', team_id: 'team2', team_name: 'Design', people_count: 2, location_id: 'loc1', deleted_at: '2099-01-25T00:00:00.000Z' },
+                { id: 'active', date: '2099-03-04', team_id: 'team2', team_name: 'Design', people_count: 2, location_id: 'loc1' }
+            ]
+        });
+        await db.from('teams').update({ deleted_at: '2099-01-01T00:00:00.000Z' }).eq('id', 'team1');
+
+        const purged = await purgeTrash({ retentionDays: 30, now: new Date('2099-02-01T00:00:00.000Z') });
+
+        expect(purged).toEqual({ bookings: 1, teams: 1, locations: 0 });
+        const data = db.dump();
+        expect(data.bookings.map(b => b.id)).toEqual(['recent', 'active']);
+        expect(data.teams.map(t => t.id)).toEqual(['team2']);
+        expect(data.booking_series).toEqual([]);
+    });
+});
@@ -0,0 +1,75 @@
+/**
+ * Tests for real-time data events
+ */
+
+jest.mock('../../config/supabase', () => require('../mocks/supabase.mock'));
+
+const { mockData, resetMockData } = require('../mocks/supabase.mock');
+const { createMockIo } = require('../mocks/io.mock');
+const {
+    initRealtimeEvents, roomKeyForFloor, publishToRooms, publishToFloors, publishDeskBookingChange, publishToAll
+} = require('../../socket/events');
+
+let io;
+
+beforeEach(() => {
+    resetMockData();
+    io = createMockIo();
+    initRealtimeEvents(io);
+});
+
+afterAll(() => {
+    initRealtimeEvents(null);
+});
+
+test('floor rooms default to the first floor', () => {
+    expect(roomKeyForFloor('loc1', '2')).toBe('floor:loc1:2');
+    expect(roomKeyForFloor('loc1')).toBe('floor:loc1:1');
+});
+
+test('publishes typed data:changed events to rooms', () => {
+    publishToRooms(['presence:loc1:2024-06'], 'team:updated', { team: { id: 'team1' } });
+
+    expect(io.emitted).toEqual([{
+        rooms: ['presence:loc1:2024-06'],
+        event: 'data:changed',
+        payload: { type: 'team:updated', team: { id: 'team1' } }
+    }]);
+});
+
+test('sends one event to every floor involved in a move', () => {
+    const before = { id: 'd1', locationId: 'loc1', floor: '1' };
+    const after = { id: 'd1', locationId: 'loc1', floor: '2' };
+
+    publishToFloors([before, after], 'desk:updated', { desk: after });
+    publishToFloors([after, after], 'desk:updated', { desk: after });
+
+    expect(io.emitted[0].rooms).toEqual(['floor:loc1:1', 'floor:loc1:2']);
+    expect(io.emitted[1].rooms).toEqual(['floor:loc1:2']);
+});
+
+test('looks up the floor of a desk booking', async () => {
+    mockData.desks = [{ id: 'd1', location_id: 'loc1', floor: '3' }];
+
+    await publishDeskBookingChange('deskBooking:deleted', { id: 'db1', deskId: 'd1', locationId: 'loc1' }, {
+        extraRooms: ['presence:loc1:2024-06']
+    });
+
+    expect(io.emitted[0].rooms).toEqual(['floor:loc1:3', 'presence:loc1:2024-06']);
+    expect(io.emitted[0].payload.deskBooking.id).toBe('db1');
+});
+
+test('publishes to everyone', () => {
+    publishToAll('location:deleted', { location: { id: 'loc2' } });
+
+    expect(io.emitted[0].rooms).toEqual(['*']);
+});
+
+test('does nothing before the server is initialized', async () => {
+    initRealtimeEvents(null);
+
+    publishToAll('team:created', {});
+    await publishDeskBookingChange('deskBooking:created', { deskId: 'd1' });
+
+    expect(io.emitted).toEqual([]);
+});
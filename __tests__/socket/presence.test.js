@@ -0,0 +1,318 @@
+/**
+ * Tests for Socket.IO authentication and presence
+ */
+
+jest.mock('../../middleware/auth', () => ({
+    ...jest.requireActual('../../middleware/auth'),
+    isAuthConfigured: jest.fn(),
+    verifyToken: jest.fn()
+}));
+
+const { isAuthConfigured, verifyToken } = require('../../middleware/auth');
+const { authenticateSocket, presenceIdentity, EXPIRY_WARNING_MS } = require('../../socket/auth');
+const { initializeSocketHandlers } = require('../../socket/presence');
+
+const ROOM = 'presence:loc1:2024-06';
+const PHOTO = 'data:image/png;base64,AAAA';
+
+const claims = (overrides = {}) => ({
+    oid: 'user-1',
+    name: 'Sam Smith',
+    preferred_username: 'sam@example.com',
+    exp: Math.floor(Date.now() / 1000) + 3600,
+    ...overrides
+});
+
+function tokenError(name) {
+    const error = new Error(name);
+    error.name = name;
+    return error;
+}
+
+/**
+ * Minimal stand-ins for the Socket.IO server and sockets
+ */
+function createIo() {
+    const io = {
+        middleware: [],
+        emitted: [],
+        use: fn => io.middleware.push(fn),
+        on: (event, handler) => { io.onConnection = handler; },
+        to: room => ({ emit: (event, payload) => io.emitted.push({ room, event, payload }) })
+    };
+    return io;
+}
+
+let socketCount = 0;
+
+function createSocket(handshake = {}) {
+    const handlers = {};
+    const socket = {
+        id: `sock-${++socketCount}`,
+        handshake: { auth: {}, headers: {}, ...handshake },
+        data: {},
+        on: (event, handler) => { handlers[event] = handler; },
+        emit: jest.fn(),
+        join: jest.fn(),
+        leave: jest.fn(),
+        disconnect: jest.fn(() => handlers.disconnect?.()),
+        trigger: (event, ...args) => handlers[event](...args)
+    };
+    return socket;
+}
+
+/**
+ * Run the auth middleware and the connection handler like Socket.IO would
+ * @returns {Promise<Object>} { socket, error }
+ */
+async function connect(io, handshake) {
+    const socket = createSocket(handshake);
+    const error = await new Promise(resolve => io.middleware[0](socket, resolve));
+    if (!error) io.onConnection(socket);
+    return { socket, error };
+}
+
+const lastViewers = io => io.emitted.filter(e => e.event === 'presence:update').pop().payload.viewers;
+
+const originalRequireAuth = process.env.REQUIRE_AUTH;
+
+beforeEach(() => {
+    isAuthConfigured.mockReturnValue(true);
+    verifyToken.mockResolvedValue(claims());
+    process.env.REQUIRE_AUTH = 'false';
+});
+
+afterEach(() => {
+    process.env.REQUIRE_AUTH = originalRequireAuth;
+});
+
+describe('authenticateSocket', () => {
+    test('verifies the handshake token', async () => {
+        const socket = createSocket({ auth: { token: 'good' } });
+        const next = jest.fn();
+
+        await authenticateSocket(socket, next);
+
+        expect(verifyToken).toHaveBeenCalledWith('good');
+        expect(next).toHaveBeenCalledWith();
+        expect(socket.data.session.user).toMatchObject({ authenticated: true, id: 'user-1', email: 'sam@example.com' });
+    });
+
+    test('accepts a bearer Authorization header', async () => {
+        const socket = createSocket({ headers: { authorization: 'Bearer header-token' } });
+
+        await authenticateSocket(socket, jest.fn());
+
+        expect(verifyToken).toHaveBeenCalledWith('header-token');
+    });
+
+    test('lets anonymous sockets in as guests when auth is optional', async () => {
+        const socket = createSocket();
+        const next = jest.fn();
+
+        await authenticateSocket(socket, next);
+
+        expect(next).toHaveBeenCalledWith();
+        expect(socket.data.session.user).toEqual({ authenticated: false, reason: 'no_token' });
+    });
+
+    test('rejects anonymous sockets when REQUIRE_AUTH=true', async () => {
+        process.env.REQUIRE_AUTH = 'true';
+        const next = jest.fn();
+
+        await authenticateSocket(createSocket(), next);
+
+        const error = next.mock.calls[0][0];
+        expect(error.message).toBe('Authentication required');
+        expect(error.data).toEqual({ code: 'AUTH_REQUIRED' });
+    });
+
+    test('rejects expired tokens when REQUIRE_AUTH=true', async () => {
+        process.env.REQUIRE_AUTH = 'true';
+        verifyToken.mockRejectedValue(tokenError('TokenExpiredError'));
+        const next = jest.fn();
+
+        await authenticateSocket(createSocket({ auth: { token: 'old' } }), next);
+
+        expect(next.mock.calls[0][0].data).toEqual({ code: 'TOKEN_EXPIRED' });
+    });
+
+    test('downgrades invalid tokens to guests when auth is optional', async () => {
+        verifyToken.mockRejectedValue(tokenError('JsonWebTokenError'));
+        const socket = createSocket({ auth: { token: 'forged' } });
+
+        await authenticateSocket(socket, jest.fn());
+
+        expect(socket.data.session.user.authenticated).toBe(false);
+    });
+});
+
+describe('presenceIdentity', () => {
+    test('uses the verified name and ignores claimed identity', () => {
+        const socket = createSocket();
+        socket.data.session = { user: { authenticated: true, id: 'user-1', name: 'Sam Smith' } };
+
+        const identity = presenceIdentity(socket, { id: 'ceo', name: 'The CEO', photo: PHOTO });
+
+        expect(identity).toEqual({ id: 'user-1', name: 'Sam Smith', photo: PHOTO, guest: false });
+    });
+
+    test('only accepts image data URLs as photos', () => {
+        const socket = createSocket();
+        socket.data.session = { user: { authenticated: true, id: 'user-1', name: 'Sam Smith' } };
+
+        expect(presenceIdentity(socket, { photo: 'https://tracker.example.com/pixel.gif' }).photo).toBeNull();
+    });
+
+    test('shows guests anonymously', () => {
+        const socket = createSocket();
+        socket.data.session = { user: { authenticated: false } };
+
+        expect(presenceIdentity(socket, { name: 'The CEO', photo: PHOTO }))
+            .toEqual({ id: `guest-${socket.id}`, name: 'Guest', photo: null, guest: true });
+    });
+});
+
+describe('presence handlers', () => {
+    let io;
+
+    beforeEach(() => {
+        io = createIo();
+        initializeSocketHandlers(io);
+    });
+
+    test('tells the client its verified identity on connect', async () => {
+        const { socket } = await connect(io, { auth: { token: 'good' } });
+
+        expect(socket.emit).toHaveBeenCalledWith('session', expect.objectContaining({
+            user: expect.objectContaining({ id: 'user-1', name: 'Sam Smith' }),
+            authenticated: true
+        }));
+        socket.trigger('disconnect');
+    });
+
+    test('lists viewers by their verified identity', async () => {
+        const { socket } = await connect(io, { auth: { token: 'good' } });
+
+        socket.trigger('presence:join', { roomKey: ROOM, user: { id: 'ceo', name: 'The CEO' } });
+
+        expect(socket.join).toHaveBeenCalledWith(ROOM);
+        expect(lastViewers(io)).toEqual([{ id: 'user-1', name: 'Sam Smith', photo: null, guest: false }]);
+
+        const { socket: guest } = await connect(io);
+        guest.trigger('presence:join', { roomKey: ROOM });
+        socket.trigger('disconnect');
+        expect(lastViewers(io)).toEqual([expect.objectContaining({ guest: true })]);
+        guest.trigger('disconnect');
+    });
+
+    test('ignores malformed room keys', async () => {
+        const { socket } = await connect(io, { auth: { token: 'good' } });
+
+        socket.trigger('presence:join', { roomKey: 'admin-broadcast' });
+
+        expect(socket.join).not.toHaveBeenCalled();
+        socket.trigger('disconnect');
+    });
+
+    test('moves between rooms', async () => {
+        const { socket } = await connect(io, { auth: { token: 'good' } });
+
+        socket.trigger('presence:join', { roomKey: ROOM });
+        socket.trigger('presence:join', { roomKey: 'presence:loc1:2024-07' });
+        expect(socket.leave).toHaveBeenCalledWith(ROOM);
+
+        const { socket: guest } = await connect(io);
+        guest.trigger('presence:join', { roomKey: ROOM });
+        expect(lastViewers(io)).toEqual([expect.objectContaining({ guest: true })]);
+        socket.trigger('disconnect');
+        guest.trigger('disconnect');
+    });
+
+    describe('token refresh', () => {
+        test('accepts a fresh token for the same user', async () => {
+            const { socket } = await connect(io, { auth: { token: 'good' } });
+            const newExp = Math.floor(Date.now() / 1000) + 7200;
+            verifyToken.mockResolvedValue(claims({ exp: newExp }));
+            const ack = jest.fn();
+
+            await socket.trigger('auth:refresh', { token: 'fresh' }, ack);
+
+            expect(ack).toHaveBeenCalledWith({ ok: true, expiresAt: newExp * 1000 });
+            socket.trigger('disconnect');
+        });
+
+        test('refuses a token for a different user', async () => {
+            const { socket } = await connect(io, { auth: { token: 'good' } });
+            verifyToken.mockResolvedValue(claims({ oid: 'user-2', name: 'Someone Else' }));
+            const ack = jest.fn();
+
+            await socket.trigger('auth:refresh', { token: 'other' }, ack);
+
+            expect(ack).toHaveBeenCalledWith(expect.objectContaining({ ok: false, code: 'USER_MISMATCH' }));
+            expect(socket.data.session.user.id).toBe('user-1');
+            socket.trigger('disconnect');
+        });
+
+        test('lets a guest sign in and updates their presence', async () => {
+            const { socket } = await connect(io);
+            socket.trigger('presence:join', { roomKey: ROOM });
+            expect(lastViewers(io)[0].guest).toBe(true);
+
+            await socket.trigger('auth:refresh', { token: 'good' }, jest.fn());
+
+            expect(lastViewers(io)).toEqual([{ id: 'user-1', name: 'Sam Smith', photo: null, guest: false }]);
+            socket.trigger('disconnect');
+        });
+    });
+
+    describe('token expiry', () => {
+        beforeEach(() => {
+            jest.useFakeTimers();
+        });
+
+        afterEach(() => {
+            jest.useRealTimers();
+        });
+
+        test('warns before expiry and downgrades to a guest when auth is optional', async () => {
+            verifyToken.mockResolvedValue(claims({ exp: Math.floor(Date.now() / 1000) + 600 }));
+            const { socket } = await connect(io, { auth: { token: 'good' } });
+            socket.trigger('presence:join', { roomKey: ROOM });
+
+            jest.advanceTimersByTime(600 * 1000 - EXPIRY_WARNING_MS);
+            expect(socket.emit).toHaveBeenCalledWith('auth:expiring', expect.any(Object));
+
+            jest.advanceTimersByTime(EXPIRY_WARNING_MS);
+            expect(socket.emit).toHaveBeenCalledWith('auth:expired');
+            expect(socket.disconnect).not.toHaveBeenCalled();
+            expect(lastViewers(io)).toEqual([expect.objectContaining({ name: 'Guest', guest: true })]);
+            socket.trigger('disconnect');
+        });
+
+        test('disconnects when REQUIRE_AUTH=true', async () => {
+            process.env.REQUIRE_AUTH = 'true';
+            verifyToken.mockResolvedValue(claims({ exp: Math.floor(Date.now() / 1000) + 600 }));
+            const { socket } = await connect(io, { auth: { token: 'good' } });
+            socket.trigger('presence:join', { roomKey: ROOM });
+
+            jest.advanceTimersByTime(600 * 1000);
+
+            expect(socket.emit).toHaveBeenCalledWith('auth:expired');
+            expect(socket.disconnect).toHaveBeenCalledWith(true);
+            expect(socket.leave).toHaveBeenCalledWith(ROOM);
+        });
+
+        test('a refreshed token postpones expiry', async () => {
+            verifyToken.mockResolvedValue(claims({ exp: Math.floor(Date.now() / 1000) + 600 }));
+            const { socket } = await connect(io, { auth: { token: 'good' } });
+            verifyToken.mockResolvedValue(claims({ exp: Math.floor(Date.now() / 1000) + 3600 }));
+
+            await socket.trigger('auth:refresh', { token: 'fresh' }, jest.fn());
+            jest.advanceTimersByTime(600 * 1000);
+
+            expect(socket.emit).not.toHaveBeenCalledWith('auth:expired');
+            socket.trigger('disconnect');
+        });
+    });
+});
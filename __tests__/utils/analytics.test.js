@@ -0,0 +1,94 @@
+/**
+ * Tests for analytics aggregation
+ */
+const { periodStart, dailyOccupancy, summarize, weekdayBreakdown, trend, teamAttendance } = require('../../utils/analytics');
+
+const LOCATION = { id: 'loc1', name: 'Johannesburg', capacity: 20 };
+
+// Mon 2024-01-15 to Sun 2024-01-21, with a holiday on the Wednesday
+const data = {
+    bookings: [
+        { date: '2024-01-15', team_id: 'team1', team_name: 'Engineering', people_count: 10, status: 'confirmed' },
+        { date: '2024-01-15', team_id: 'team2', team_name: 'Design', people_count: 5, status: 'confirmed' },
+        { date: '2024-01-15', team_id: 'team3', team_name: 'Data', people_count: 8, status: 'pending' },
+        { date: '2024-01-16', team_id: 'team1', team_name: 'Engineering', people_count: 4, status: 'confirmed' },
+        { date: '2024-01-22', team_id: 'team1', team_name: 'Engineering', people_count: 4, status: 'confirmed' }
+    ],
+    deskBookings: [
+        { date: '2024-01-15', team_id: 'team1', checked_in: true, no_show: false },
+        { date: '2024-01-15', team_id: 'team1', checked_in: false, no_show: true },
+        { date: '2024-01-16', team_id: 'team2', checked_in: true, no_show: false },
+        { date: '2024-01-19', team_id: 'team2', checked_in: false, no_show: false }
+    ],
+    holidays: [{ date: '2024-01-17', name: 'Heritage Day' }]
+};
+
+const days = dailyOccupancy(LOCATION, data, '2024-01-15', '2024-01-21', '2024-01-19');
+
+describe('dailyOccupancy', () => {
+    test('counts confirmed people against capacity and pending people separately', () => {
+        expect(days).toHaveLength(7);
+        expect(days[0]).toMatchObject({
+            date: '2024-01-15', weekday: 'Monday', workingDay: true, capacity: 20,
+            bookedPeople: 15, pendingPeople: 8, teams: 2, occupancy: 0.75,
+            deskBookings: 2, checkIns: 1, noShows: 1
+        });
+    });
+
+    test('marks weekends and public holidays as non-working days', () => {
+        expect(days[2]).toMatchObject({ holiday: 'Heritage Day', workingDay: false });
+        expect(days.filter(d => d.workingDay).map(d => d.weekday)).toEqual(['Monday', 'Tuesday', 'Thursday', 'Friday']);
+    });
+});
+
+describe('summarize', () => {
+    test('averages occupancy over working days and rates no-shows over settled desk bookings', () => {
+        expect(summarize(days)).toEqual({
+            workingDays: 4,
+            avgOccupancy: 0.238,
+            peakOccupancy: 0.75,
+            peakDate: '2024-01-15',
+            avgPeople: 4.8,
+            peopleDays: 19,
+            deskBookings: 4,
+            checkIns: 2,
+            noShows: 1,
+            // Friday's booking is still open on "today"
+            noShowRate: 0.333
+        });
+    });
+});
+
+describe('weekdayBreakdown', () => {
+    test('lists the busiest weekdays first, ties in week order', () => {
+        expect(weekdayBreakdown(days).map(w => [w.weekday, w.avgPeople])).toEqual([
+            ['Monday', 15],
+            ['Tuesday', 4],
+            ['Thursday', 0],
+            ['Friday', 0]
+        ]);
+    });
+});
+
+describe('trend', () => {
+    test('groups weeks from Monday and months from the 1st', () => {
+        expect(periodStart('2024-01-21', 'week')).toBe('2024-01-15');
+        expect(periodStart('2024-01-22', 'week')).toBe('2024-01-22');
+        expect(periodStart('2024-01-21', 'month')).toBe('2024-01-01');
+
+        const weekly = trend(days, 'week');
+        expect(weekly).toHaveLength(1);
+        expect(weekly[0]).toMatchObject({ period: '2024-01-15', peopleDays: 19, workingDays: 4 });
+    });
+});
+
+describe('teamAttendance', () => {
+    test('counts confirmed office days and desk check-ins per team and month', () => {
+        const teams = teamAttendance({ ...data, teams: [{ id: 'team1', name: 'Platform' }] });
+
+        expect(teams).toEqual([
+            { teamId: 'team1', teamName: 'Platform', totalDays: 3, months: [{ month: '2024-01', days: 3, peopleDays: 18, checkIns: 1 }] },
+            { teamId: 'team2', teamName: 'Design', totalDays: 1, months: [{ month: '2024-01', days: 1, peopleDays: 5, checkIns: 1 }] }
+        ]);
+    });
+});
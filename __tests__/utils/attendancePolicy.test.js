@@ -0,0 +1,118 @@
+/**
+ * Tests for attendance policies and compliance
+ */
+const {
+    COMPLIANCE_STATUS, validatePolicySetting, resolvePolicy, calculateCompliance
+} = require('../../utils/attendancePolicy');
+
+// January 2024 starts on a Monday; the last week (29th to 31st) is Monday to Wednesday
+const MONTH = '2024-01';
+const noHolidays = new Set();
+
+describe('validatePolicySetting', () => {
+    test('accepts defaults, per-location and per-team policies and exemptions', () => {
+        expect(validatePolicySetting({
+            default: { minDaysPerWeek: 2, minDaysPerMonth: 8, anchorDays: [2] },
+            locations: { loc1: { minDaysPerMonth: 4 } },
+            teams: { team1: null }
+        })).toBeNull();
+    });
+
+    test('rejects out-of-range values and unknown keys', () => {
+        expect(validatePolicySetting([])).toMatch(/must be an object/);
+        expect(validatePolicySetting({ default: { minDaysPerWeek: 0 } })).toMatch(/minDaysPerWeek/);
+        expect(validatePolicySetting({ teams: { team1: { minDaysPerMonth: 2.5 } } })).toMatch(/minDaysPerMonth/);
+        expect(validatePolicySetting({ default: { anchorDays: [7] } })).toMatch(/anchorDays/);
+        expect(validatePolicySetting({ teams: [] })).toBe('teams must be an object keyed by ID');
+        expect(validatePolicySetting({ groups: {} })).toBe('Unknown attendance_policies keys: groups');
+    });
+});
+
+describe('resolvePolicy', () => {
+    const setting = {
+        default: { minDaysPerMonth: 8 },
+        locations: { loc1: { minDaysPerWeek: 3 }, loc2: null },
+        teams: { team1: { minDaysPerWeek: 1 } }
+    };
+
+    test('prefers the team, then its location, then the default', () => {
+        expect(resolvePolicy(setting, { id: 'team1', location_id: 'loc1' })).toEqual({ policy: { minDaysPerWeek: 1 }, source: 'team' });
+        expect(resolvePolicy(setting, { id: 'team2', location_id: 'loc1' })).toEqual({ policy: { minDaysPerWeek: 3 }, source: 'location' });
+        expect(resolvePolicy(setting, { id: 'team3', location_id: 'loc3' })).toEqual({ policy: { minDaysPerMonth: 8 }, source: 'default' });
+    });
+
+    test('treats null as an exemption and a missing setting as no policy', () => {
+        expect(resolvePolicy(setting, { id: 'team4', location_id: 'loc2' })).toEqual({ policy: null, source: 'location' });
+        expect(resolvePolicy(null, { id: 'team1', location_id: 'loc1' })).toEqual({ policy: null, source: null });
+    });
+});
+
+describe('calculateCompliance', () => {
+    test('only counts attendance when there is no policy', () => {
+        const result = calculateCompliance(null, {
+            month: MONTH, today: '2024-01-15', attendedDates: new Set(['2024-01-02', '2024-01-16']), holidays: noHolidays
+        });
+
+        expect(result).toMatchObject({ status: COMPLIANCE_STATUS.NO_POLICY, attendedDays: 1, plannedDays: 1, shortfall: 0 });
+    });
+
+    test('is compliant once every week meets its minimum', () => {
+        const mondays = new Set(['2024-01-01', '2024-01-08', '2024-01-15', '2024-01-22', '2024-01-29']);
+        const result = calculateCompliance({ minDaysPerWeek: 1 }, {
+            month: MONTH, today: '2024-02-01', attendedDates: mondays, holidays: noHolidays
+        });
+
+        expect(result).toMatchObject({ status: COMPLIANCE_STATUS.COMPLIANT, attendedDays: 5, shortfall: 0, remainingWorkingDays: 0 });
+        expect(result.weeks).toHaveLength(5);
+    });
+
+    test('projects the shortfall from weekly minimums and unbooked anchor days', () => {
+        const result = calculateCompliance({ minDaysPerWeek: 2, anchorDays: [2] }, {
+            month: MONTH,
+            today: '2024-01-15',
+            attendedDates: new Set(['2024-01-02', '2024-01-03', '2024-01-09', '2024-01-10', '2024-01-16']),
+            holidays: noHolidays
+        });
+
+        expect(result).toMatchObject({
+            status: COMPLIANCE_STATUS.AT_RISK,
+            attendedDays: 4,
+            plannedDays: 1,
+            projectedDays: 5,
+            remainingWorkingDays: 12,
+            shortfall: 5,
+            missedAnchorDays: [],
+            unbookedAnchorDays: ['2024-01-23', '2024-01-30']
+        });
+        expect(result.weeks.map(w => w.shortfall)).toEqual([0, 0, 1, 2, 2]);
+    });
+
+    test('is non-compliant after missing an anchor day', () => {
+        const result = calculateCompliance({ anchorDays: [2] }, {
+            month: MONTH, today: '2024-01-15', attendedDates: new Set(['2024-01-02']), holidays: noHolidays
+        });
+
+        expect(result.status).toBe(COMPLIANCE_STATUS.NON_COMPLIANT);
+        expect(result.missedAnchorDays).toEqual(['2024-01-09']);
+    });
+
+    test('is non-compliant when too few working days are left for the monthly minimum', () => {
+        const result = calculateCompliance({ minDaysPerMonth: 8 }, {
+            month: MONTH,
+            today: '2024-01-29',
+            attendedDates: new Set(['2024-01-02', '2024-01-09', '2024-01-16']),
+            holidays: noHolidays
+        });
+
+        expect(result).toMatchObject({ status: COMPLIANCE_STATUS.NON_COMPLIANT, requiredDays: 8, shortfall: 5, remainingWorkingDays: 3 });
+    });
+
+    test('caps the weekly minimum at the working days the week has in the month', () => {
+        const result = calculateCompliance({ minDaysPerWeek: 3 }, {
+            month: MONTH, today: '2024-01-01', attendedDates: new Set(), holidays: new Set(['2024-01-31'])
+        });
+
+        expect(result.weeks[4]).toEqual({ weekStart: '2024-01-29', required: 2, projected: 0, shortfall: 2 });
+        expect(result.status).toBe(COMPLIANCE_STATUS.AT_RISK);
+    });
+});
@@ -0,0 +1,77 @@
+/**
+ * Tests for building audit log entries
+ */
+jest.mock('../../config/supabase', () => require('../mocks/supabase.mock'));
+
+const { mockData, resetMockData } = require('../mocks/supabase.mock');
+const { diffRows, auditEntry, recordAudit } = require('../../utils/audit');
+
+const req = { user: { email: ' Sam@Example.com ', name: 'Sam' }, ip: '10.0.0.1' };
+
+beforeEach(() => {
+    resetMockData();
+});
+
+describe('diffRows', () => {
+    test('lists changed columns and ignores bookkeeping ones', () => {
+        const before = { id: 'b1', people_count: 4, notes: null, sequence: 1, updated_at: 'then' };
+        const after = { id: 'b1', people_count: 6, notes: 'Offsite', sequence: 2, updated_at: 'now' };
+
+        expect(diffRows('bookings', before, after)).toEqual({
+            people_count: { from: 4, to: 6 },
+            notes: { from: null, to: 'Offsite' }
+        });
+    });
+
+    test('compares JSON values by content', () => {
+        expect(diffRows('settings', { value: ['Lead'] }, { value: ['Lead'] })).toEqual({});
+    });
+
+    test('redacts secrets but still shows that they changed', () => {
+        expect(diffRows('desks', { qr_code: 'old' }, { qr_code: 'new' })).toEqual({
+            qr_code: { from: '[redacted]', to: '[redacted]' }
+        });
+    });
+});
+
+describe('auditEntry', () => {
+    test('records the actor, IP and scope of the row', () => {
+        const row = { id: 'f1', token: 'secret', location_id: 'loc1', team_id: 'team1' };
+
+        const entry = auditEntry(req, { action: 'create', table: 'calendar_feeds', after: row }, '2099-03-02T09:00:00.000Z');
+
+        expect(entry).toMatchObject({
+            action: 'create',
+            entity_type: 'calendar_feeds',
+            entity_id: 'f1',
+            location_id: 'loc1',
+            team_id: 'team1',
+            actor_email: 'sam@example.com',
+            actor_name: 'Sam',
+            ip: '10.0.0.1',
+            old_values: null,
+            changes: null,
+            created_at: '2099-03-02T09:00:00.000Z'
+        });
+        expect(entry.new_values.token).toBe('[redacted]');
+        expect(row.token).toBe('secret');
+    });
+
+    test('keys settings by their key and teams by their own id', () => {
+        expect(auditEntry(req, { action: 'create', table: 'settings', after: { key: 'team_roles', value: [] } }).entity_id).toBe('team_roles');
+        expect(auditEntry(req, { action: 'delete', table: 'teams', before: { id: 'team1', location_id: 'loc1' } }).team_id).toBe('team1');
+    });
+});
+
+describe('recordAudit', () => {
+    test('writes entries and skips updates that change nothing', async () => {
+        await recordAudit(req, [
+            { action: 'update', table: 'teams', before: { id: 'team1', name: 'A' }, after: { id: 'team1', name: 'A' } },
+            { action: 'update', table: 'teams', before: { id: 'team1', name: 'A' }, after: { id: 'team1', name: 'B' } },
+            null
+        ]);
+
+        expect(mockData.audit_log).toHaveLength(1);
+        expect(mockData.audit_log[0].changes).toEqual({ name: { from: 'A', to: 'B' } });
+    });
+});
@@ -0,0 +1,225 @@
+/**
+ * Tests for database backups, run against the in-memory database
+ */
+jest.mock('../../config/supabase', () => require('../mocks/supabase.mock'));
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { MemoryDatabase } = require('../../config/memory');
+const { TABLES } = require('../../config/memorySchema');
+const { createRepositories } = require('../../repositories');
+const {
+    BACKUP_TABLES,
+    BackupError,
+    createBackup,
+    validateBackup,
+    restoreBackup,
+    writeBackup,
+    readBackup,
+    listBackups,
+    pruneBackups
+} = require('../../utils/backup');
+
+const seed = () => ({
+    locations: [{ id: 'loc1', name: 'Johannesburg', capacity: 10 }],
+    teams: [{ id: 'team1', name: 'Engineering', location_id: 'loc1' }],
+    bookings: [{ id: 'b1', date: '2024-03-04', team_id: 'team1', team_name: 'Engineering', people_count: 4, location_id: 'loc1' }],
+    desks: [{ id: 'd1', name: 'Desk 1', location_id: 'loc1', assigned_team_id: 'team1' }],
+    public_holidays: [{ id: 7, date: '2024-12-25', name: 'Christmas' }],
+    settings: [{ key: 'team_roles', value: ['Lead'] }]
+});
+
+const checksumOf = (tables) => crypto.createHash('sha256').update(JSON.stringify(tables)).digest('hex');
+
+function setup(data = seed()) {
+    const db = new MemoryDatabase({ data });
+    return { db, repos: createRepositories(db) };
+}
+
+describe('createBackup', () => {
+    test('includes every table in the schema', () => {
+        expect([...BACKUP_TABLES].sort()).toEqual(Object.keys(TABLES).sort());
+    });
+
+    test('records every row with counts and a checksum', async () => {
+        const { repos } = setup();
+
+        const archive = await createBackup(repos, { now: new Date('2024-03-04T02:00:00Z') });
+
+        expect(archive).toMatchObject({ format: 'office-booking-backup', version: 1, createdAt: '2024-03-04T02:00:00.000Z' });
+        expect(archive.schemaVersion).toBeGreaterThan(0);
+        expect(archive.counts).toMatchObject({ locations: 1, bookings: 1, settings: 1, desk_bookings: 0 });
+        expect(archive.tables.desks[0]).toMatchObject({ id: 'd1', assigned_team_id: 'team1', chair_positions: ['bottom'] });
+        expect(validateBackup(archive)).toEqual([]);
+    });
+
+    test('includes rows in the trash', async () => {
+        const data = seed();
+        data.bookings.push({ ...data.bookings[0], id: 'b2', date: '2024-03-05', deleted_at: '2024-03-03T10:00:00.000Z' });
+        const { repos } = setup(data);
+
+        const archive = await createBackup(repos);
+
+        expect(archive.tables.bookings.map(b => b.id)).toEqual(['b1', 'b2']);
+    });
+});
+
+describe('validateBackup', () => {
+    let archive;
+
+    beforeEach(async () => {
+        archive = await createBackup(setup().repos);
+    });
+
+    test('rejects files that are not backups or come from a newer app', () => {
+        expect(validateBackup({ hello: 'world' })).toEqual(['Not an office booking backup']);
+        expect(validateBackup({ ...archive, version: 99 })[0]).toContain('newer than this app supports');
+        expect(validateBackup({ ...archive, schemaVersion: 9999 })[0]).toContain('run npm run migrate first');
+    });
+
+    test('detects edited rows, unknown tables and columns', () => {
+        archive.tables.teams[0].name = 'Edited';
+        archive.tables.rooms = [];
+        archive.tables.desks[0].colour = 'red';
+
+        const problems = validateBackup(archive);
+
+        expect(problems).toEqual(expect.arrayContaining([
+            'Checksum mismatch: the backup is damaged or was edited',
+            'Unknown table "rooms"',
+            'desks: unknown column(s) colour'
+        ]));
+    });
+});
+
+describe('restoreBackup', () => {
+    let archive;
+
+    beforeEach(async () => {
+        archive = await createBackup(setup().repos);
+    });
+
+    test('restores into an empty database', async () => {
+        const { db, repos } = setup({});
+
+        const counts = await restoreBackup(repos, archive);
+
+        expect(counts).toMatchObject({ locations: 1, bookings: 1, public_holidays: 1 });
+        const tables = db.dump();
+        expect(tables.bookings).toEqual(archive.tables.bookings);
+        expect(tables.settings[0].value).toEqual(['Lead']);
+        // Serial keys are assigned by the target database
+        expect(tables.public_holidays).toEqual([{ id: 1, date: '2024-12-25', name: 'Christmas' }]);
+    });
+
+    test('refuses to restore over existing data unless asked to', async () => {
+        const { repos } = setup();
+
+        await expect(restoreBackup(repos, archive)).rejects.toThrow('already has rows in locations');
+        await expect(restoreBackup(repos, archive, { mode: 'overwrite' })).rejects.toThrow(BackupError);
+    });
+
+    test('refuses an archive that fails validation', async () => {
+        const { db, repos } = setup({});
+        archive.tables.bookings[0].people_count = 40;
+
+        await expect(restoreBackup(repos, archive)).rejects.toThrow('Checksum mismatch');
+        expect(db.dump().locations).toEqual([]);
+    });
+
+    test('replace deletes rows the archive does not have', async () => {
+        const { db, repos } = setup();
+        await repos.teamsRepo.create({ id: 'team2', name: 'Design', location_id: 'loc1' });
+        await repos.bookingsRepo.updateById('b1', { people_count: 9 });
+
+        await restoreBackup(repos, archive, { mode: 'replace' });
+
+        const tables = db.dump();
+        expect(tables.teams.map(t => t.id)).toEqual(['team1']);
+        expect(tables.bookings[0].people_count).toBe(4);
+        expect(tables.desks[0].assigned_team_id).toBe('team1');
+    });
+
+    test('keeps the audit log and adds the archive\'s missing entries', async () => {
+        const entry = id => ({ id, action: 'create', entity_type: 'teams', entity_id: 'team1', created_at: '2024-03-04T09:00:00.000Z' });
+        const { repos: source } = setup({ ...seed(), audit_log: [entry('e1')] });
+        const withAudit = await createBackup(source);
+        const { db, repos } = setup({ ...seed(), audit_log: [entry('e1'), entry('e2')] });
+
+        await restoreBackup(repos, withAudit, { mode: 'replace' });
+
+        expect(db.dump().audit_log.map(e => e.id)).toEqual(['e1', 'e2']);
+
+        const { db: empty, repos: emptyRepos } = setup({});
+        await restoreBackup(emptyRepos, withAudit);
+        expect(empty.dump().audit_log.map(e => e.id)).toEqual(['e1']);
+    });
+
+    test('merge updates the archive\'s rows and keeps the rest', async () => {
+        const { db, repos } = setup();
+        await repos.teamsRepo.create({ id: 'team2', name: 'Design', location_id: 'loc1' });
+        await repos.teamsRepo.updateById('team1', { name: 'Renamed' });
+
+        await restoreBackup(repos, archive, { mode: 'merge' });
+
+        const tables = db.dump();
+        expect(tables.teams.map(t => [t.id, t.name])).toEqual([['team1', 'Engineering'], ['team2', 'Design']]);
+        expect(tables.public_holidays).toHaveLength(1);
+    });
+
+    test('leaves tables the archive predates alone', async () => {
+        const { db, repos } = setup({});
+        await repos.holidaysRepo.create({ date: '2025-01-01', name: 'New Year' });
+        const { public_holidays: _holidays, ...tables } = archive.tables;
+        const older = await createBackup(setup({}).repos);
+        Object.assign(older, { tables, counts: undefined, checksum: checksumOf(tables) });
+
+        await restoreBackup(repos, older);
+
+        expect(db.dump().public_holidays.map(h => h.name)).toEqual(['New Year']);
+        expect(db.dump().bookings).toHaveLength(1);
+    });
+});
+
+describe('backup files', () => {
+    let dir;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'backups-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('write and read back a compressed archive', async () => {
+        const archive = await createBackup(setup().repos, { now: new Date('2024-03-04T02:00:00.250Z') });
+
+        const file = writeBackup(archive, path.join(dir, 'nested'));
+
+        expect(path.basename(file)).toBe('office-booking-20240304-020000-250.json.gz');
+        expect(fs.readFileSync(file)[0]).toBe(0x1f);
+        expect(readBackup(file)).toEqual(archive);
+        expect(() => readBackup(path.join(dir, 'missing.json.gz'))).toThrow(BackupError);
+    });
+
+    test('list newest first and prune past the retention period', async () => {
+        const { repos } = setup();
+        for (const day of ['01', '10', '20']) {
+            writeBackup(await createBackup(repos, { now: new Date(`2024-03-${day}T02:00:00Z`) }), dir);
+        }
+        fs.writeFileSync(path.join(dir, 'notes.txt'), 'not a backup');
+
+        expect(listBackups(dir).map(b => b.createdAt.toISOString().slice(0, 10))).toEqual(['2024-03-20', '2024-03-10', '2024-03-01']);
+
+        const deleted = pruneBackups(dir, { retentionDays: 14, now: new Date('2024-03-21T00:00:00Z') });
+        expect(deleted).toEqual(['office-booking-20240301-020000-000.json.gz']);
+
+        // The newest backup survives however old it is
+        pruneBackups(dir, { retentionDays: 1, now: new Date('2025-01-01T00:00:00Z') });
+        expect(listBackups(dir).map(b => b.file)).toEqual(['office-booking-20240320-020000-000.json.gz']);
+        expect(fs.existsSync(path.join(dir, 'notes.txt'))).toBe(true);
+    });
+});
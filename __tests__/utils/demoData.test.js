@@ -0,0 +1,84 @@
+/**
+ * Tests for the demo dataset (npm run seed)
+ */
+jest.mock('../../config/supabase', () => require('../mocks/supabase.mock'));
+
+const { MemoryDatabase } = require('../../config/memory');
+const { createRepositories } = require('../../repositories');
+const { buildDemoData, seedDemoData } = require('../../utils/demoData');
+
+const options = { startDate: '2026-03-02', days: 28, today: '2026-03-16' };
+
+describe('buildDemoData', () => {
+    test('is the same for the same options', () => {
+        expect(buildDemoData(options)).toEqual(buildDemoData(options));
+        expect(buildDemoData({ ...options, seed: 2 }).bookings).not.toEqual(buildDemoData(options).bookings);
+    });
+
+    test('books weekdays only, within each location\'s capacity', () => {
+        const { locations, bookings } = buildDemoData(options);
+        const capacity = new Map(locations.map(l => [l.id, l.capacity]));
+        const totals = {};
+
+        bookings.forEach(b => {
+            expect([0, 6]).not.toContain(new Date(`${b.date}T00:00:00Z`).getUTCDay());
+            const key = `${b.location_id}:${b.date}`;
+            totals[key] = (totals[key] || 0) + b.people_count;
+        });
+
+        expect(bookings.length).toBeGreaterThan(40);
+        Object.entries(totals).forEach(([key, total]) => expect(total).toBeLessThanOrEqual(capacity.get(key.split(':')[0])));
+    });
+
+    test('gives each desk and each person at most one booking a day', () => {
+        const { desk_bookings: deskBookings } = buildDemoData(options);
+
+        const desks = deskBookings.map(b => `${b.desk_id}:${b.date}`);
+        const people = deskBookings.map(b => `${b.employee_email}:${b.date}`);
+        expect(new Set(desks).size).toBe(desks.length);
+        expect(new Set(people).size).toBe(people.length);
+    });
+
+    test('only checks people in, or marks them no-shows, on past days', () => {
+        const { desk_bookings: deskBookings } = buildDemoData(options);
+
+        deskBookings.filter(b => b.date >= options.today).forEach(b => {
+            expect(b).toMatchObject({ checked_in: false, no_show: false });
+        });
+        expect(deskBookings.some(b => b.date < options.today && b.checked_in)).toBe(true);
+    });
+});
+
+describe('seedDemoData', () => {
+    test('writes rows the schema accepts and can run again', async () => {
+        const db = new MemoryDatabase({
+            data: { teams: [{ id: 'own-team', name: 'Not demo data' }] }
+        });
+        const repos = createRepositories(db);
+        const data = buildDemoData(options);
+
+        const counts = await seedDemoData(repos, data);
+        await seedDemoData(repos, data);
+
+        const tables = db.dump();
+        expect(counts.bookings).toBe(data.bookings.length);
+        expect(tables.bookings).toHaveLength(data.bookings.length);
+        expect(tables.desk_bookings).toHaveLength(data.desk_bookings.length);
+        expect(tables.teams).toHaveLength(data.teams.length + 1);
+    });
+
+    test('reset replaces the demo rows and leaves the rest alone', async () => {
+        const db = new MemoryDatabase({
+            data: { teams: [{ id: 'own-team', name: 'Not demo data' }] }
+        });
+        const repos = createRepositories(db);
+        await seedDemoData(repos, buildDemoData(options));
+
+        const shorter = buildDemoData({ ...options, days: 7 });
+        await seedDemoData(repos, shorter, { reset: true });
+
+        const tables = db.dump();
+        expect(tables.bookings).toHaveLength(shorter.bookings.length);
+        expect(tables.teams.map(t => t.id)).toContain('own-team');
+    });
+});
@@ -0,0 +1,68 @@
+/**
+ * Tests for iCalendar formatting
+ */
+const { escapeText, foldLine, formatTimestamp, buildCalendar } = require('../../utils/ical');
+
+const unfold = text => text.replace(/\r\n /g, '');
+
+describe('escapeText', () => {
+    test('escapes separators, backslashes and newlines', () => {
+        expect(escapeText('Team; Design, UX\\Research\nBring laptops')).toBe('Team\\; Design\\, UX\\\\Research\\nBring laptops');
+    });
+
+    test('treats missing values as empty', () => {
+        expect(escapeText(undefined)).toBe('');
+    });
+});
+
+describe('foldLine', () => {
+    test('leaves short lines alone', () => {
+        expect(foldLine('SUMMARY:Short')).toBe('SUMMARY:Short');
+    });
+
+    test('folds long lines at 75 octets without splitting characters', () => {
+        const line = `DESCRIPTION:${'é'.repeat(100)}`;
+        const folded = foldLine(line);
+
+        folded.split('\r\n').forEach(part => expect(Buffer.byteLength(part)).toBeLessThanOrEqual(75));
+        expect(unfold(folded)).toBe(line);
+    });
+});
+
+describe('buildCalendar', () => {
+    test('formats UTC timestamps', () => {
+        expect(formatTimestamp(new Date('2024-01-15T08:30:05.123Z'))).toBe('20240115T083005Z');
+    });
+
+    test('builds all-day events ending the next day', () => {
+        const ics = buildCalendar([{ uid: 'b1@officebooking', date: '2024-01-31', summary: 'Engineering', sequence: 2 }]);
+        const lines = ics.split('\r\n');
+
+        expect(lines[0]).toBe('BEGIN:VCALENDAR');
+        expect(lines).toContain('DTSTART;VALUE=DATE:20240131');
+        expect(lines).toContain('DTEND;VALUE=DATE:20240201');
+        expect(lines).toContain('SEQUENCE:2');
+        expect(lines).toContain('STATUS:CONFIRMED');
+        expect(ics.endsWith('END:VCALENDAR\r\n')).toBe(true);
+    });
+
+    test('builds timed events in floating local time', () => {
+        const ics = buildCalendar([{
+            uid: 'desk-1@officebooking', date: '2024-01-15', startTime: '09:00:00', endTime: '12:30', summary: 'Desk A1'
+        }]);
+
+        expect(ics).toContain('DTSTART:20240115T090000\r\n');
+        expect(ics).toContain('DTEND:20240115T123000\r\n');
+    });
+
+    test('publishes cancellations and the calendar name', () => {
+        const ics = buildCalendar(
+            [{ uid: 'b1@officebooking', date: '2024-01-15', summary: 'Engineering', status: 'CANCELLED' }],
+            { name: 'Engineering office days', refreshInterval: 'PT1H' }
+        );
+
+        expect(ics).toContain('X-WR-CALNAME:Engineering office days');
+        expect(ics).toContain('REFRESH-INTERVAL;VALUE=DURATION:PT1H');
+        expect(ics).toContain('STATUS:CANCELLED');
+    });
+});
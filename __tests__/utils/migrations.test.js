@@ -0,0 +1,199 @@
+/**
+ * Tests for the schema migration runner
+ */
+const {
+    MigrationError,
+    MigrationRunner,
+    checksum,
+    parseMigration,
+    loadMigrations,
+    newMigrationFile
+} = require('../../utils/migrations');
+const { TABLES } = require('../../config/memorySchema');
+
+/**
+ * Stands in for a pg Client: keeps schema_migrations in memory, honours
+ * BEGIN/COMMIT/ROLLBACK for it, and records every other statement.
+ * A statement containing FAIL throws.
+ */
+function createFakeClient() {
+    const client = {
+        rows: [],
+        executed: [],
+        snapshot: null,
+        async query(text, params = []) {
+            const sql = text.trim();
+            if (sql === 'BEGIN') {
+                client.snapshot = [...client.rows];
+            } else if (sql === 'COMMIT') {
+                client.snapshot = null;
+            } else if (sql === 'ROLLBACK') {
+                client.rows = client.snapshot;
+            } else if (sql.startsWith('SELECT version')) {
+                return { rows: [...client.rows].sort((a, b) => a.version - b.version) };
+            } else if (sql.startsWith('INSERT INTO schema_migrations')) {
+                const [version, name, sum] = params;
+                client.rows.push({ version, name, checksum: sum, applied_at: '2026-01-01T00:00:00Z' });
+            } else if (sql.startsWith('DELETE FROM schema_migrations')) {
+                client.rows = client.rows.filter(row => row.version !== params[0]);
+            } else if (!sql.startsWith('CREATE TABLE IF NOT EXISTS schema_migrations') && !sql.includes('pg_advisory')) {
+                if (sql.includes('FAIL')) throw new Error('syntax error at or near "FAIL"');
+                client.executed.push(sql);
+            }
+            return { rows: [] };
+        }
+    };
+    return client;
+}
+
+const migration = (version, name, up, down = `DROP ${name};`) => {
+    const file = `${String(version).padStart(4, '0')}_${name}.sql`;
+    const body = down === null ? `-- migrate:up\n${up}\n` : `-- migrate:up\n${up}\n\n-- migrate:down\n${down}\n`;
+    return parseMigration(file, body);
+};
+
+describe('parseMigration', () => {
+    test('splits the up and down sections', () => {
+        const parsed = parseMigration('0007_add_notes.sql', '-- Adds notes\n\n-- migrate:up\nALTER TABLE desks ADD COLUMN notes TEXT;\n\n-- migrate:down\nALTER TABLE desks DROP COLUMN notes;\n');
+
+        expect(parsed).toMatchObject({
+            version: 7,
+            name: 'add_notes',
+            up: 'ALTER TABLE desks ADD COLUMN notes TEXT;',
+            down: 'ALTER TABLE desks DROP COLUMN notes;'
+        });
+    });
+
+    test('allows a migration without a down section', () => {
+        expect(parseMigration('0002_seed.sql', '-- migrate:up\nSELECT 1;').down).toBeNull();
+    });
+
+    test('rejects badly named or malformed files', () => {
+        expect(() => parseMigration('add_notes.sql', '-- migrate:up\nSELECT 1;')).toThrow(MigrationError);
+        expect(() => parseMigration('0001_x.sql', 'SELECT 1;')).toThrow('migrate:up');
+        expect(() => parseMigration('0001_x.sql', '-- migrate:up\n\n-- migrate:down\nSELECT 1;')).toThrow('empty');
+    });
+
+    test('checksums ignore line endings', () => {
+        expect(checksum('-- migrate:up\r\nSELECT 1;\r\n')).toBe(checksum('-- migrate:up\nSELECT 1;\n'));
+        expect(checksum('-- migrate:up\nSELECT 2;\n')).not.toBe(checksum('-- migrate:up\nSELECT 1;\n'));
+    });
+});
+
+describe('newMigrationFile', () => {
+    test('numbers the file after the latest migration', () => {
+        const migrations = [migration(1, 'initial', 'SELECT 1;'), migration(12, 'later', 'SELECT 1;')];
+        expect(newMigrationFile(migrations, 'Add desk notes')).toBe('0013_add_desk_notes.sql');
+        expect(newMigrationFile([], 'first')).toBe('0001_first.sql');
+        expect(() => newMigrationFile(migrations, '!!')).toThrow('needs a name');
+    });
+});
+
+describe('MigrationRunner', () => {
+    let client;
+    const migrations = [
+        migration(1, 'initial', 'CREATE TABLE a;'),
+        migration(2, 'second', 'CREATE TABLE b;'),
+        migration(3, 'third', 'CREATE TABLE c;')
+    ];
+
+    beforeEach(() => {
+        client = createFakeClient();
+    });
+
+    test('applies pending migrations in order and records them', async () => {
+        const runner = new MigrationRunner(client, migrations);
+
+        const applied = await runner.up({ to: 2 });
+        expect(applied.map(m => m.version)).toEqual([1, 2]);
+        expect(client.executed).toEqual(['CREATE TABLE a;', 'CREATE TABLE b;']);
+
+        expect((await runner.up()).map(m => m.version)).toEqual([3]);
+        expect(await runner.up()).toEqual([]);
+        expect(client.rows.map(r => r.checksum)).toEqual(migrations.map(m => m.checksum));
+    });
+
+    test('reports the state of every migration', async () => {
+        await new MigrationRunner(client, migrations.slice(0, 2)).up();
+        client.rows.push({ version: 9, name: 'removed', checksum: 'x', applied_at: '2026-01-01T00:00:00Z' });
+        const edited = [migrations[0], migration(2, 'second', 'CREATE TABLE b2;'), migrations[2]];
+
+        const status = await new MigrationRunner(client, edited).status();
+
+        expect(status.map(s => [s.version, s.state])).toEqual([[1, 'applied'], [2, 'changed'], [3, 'pending'], [9, 'missing']]);
+    });
+
+    test('refuses to run while an applied migration has been edited', async () => {
+        await new MigrationRunner(client, migrations.slice(0, 1)).up();
+        const edited = [migration(1, 'initial', 'CREATE TABLE a2;'), migrations[1]];
+
+        await expect(new MigrationRunner(client, edited).up()).rejects.toThrow('edited after it was applied');
+        expect(client.rows).toHaveLength(1);
+    });
+
+    test('rolls back a failing migration and stops', async () => {
+        const failing = [migrations[0], migration(2, 'broken', 'FAIL;'), migrations[2]];
+
+        await expect(new MigrationRunner(client, failing).up()).rejects.toThrow('0002_broken.sql failed and was rolled back');
+        expect(client.rows.map(r => r.version)).toEqual([1]);
+        expect(client.executed).toEqual(['CREATE TABLE a;']);
+    });
+
+    test('reverts the latest migrations with their down sections', async () => {
+        const runner = new MigrationRunner(client, migrations);
+        await runner.up();
+
+        expect((await runner.down()).map(m => m.version)).toEqual([3]);
+        expect((await runner.down({ to: 0 })).map(m => m.version)).toEqual([2, 1]);
+        expect(client.executed.slice(3)).toEqual(['DROP third;', 'DROP second;', 'DROP initial;']);
+        expect(client.rows).toEqual([]);
+    });
+
+    test('refuses to revert a migration without a down section', async () => {
+        const runner = new MigrationRunner(client, [migrations[0], migration(2, 'one_way', 'CREATE TABLE b;', null)]);
+        await runner.up();
+
+        await expect(runner.down({ steps: 2 })).rejects.toThrow("can't be reverted");
+        expect(client.rows.map(r => r.version)).toEqual([1, 2]);
+    });
+});
+
+describe('migrations/', () => {
+    const migrations = loadMigrations();
+
+    test('every migration parses and can be reverted', () => {
+        expect(migrations.length).toBeGreaterThan(0);
+        migrations.forEach(m => expect(m.down).toEqual(expect.any(String)));
+    });
+
+    // The in-memory backend's tables are maintained by hand; this catches a
+    // migration that changes a table without a matching memorySchema.js edit
+    test('config/memorySchema.js has the tables and columns the migrations create', () => {
+        const tables = {};
+        migrations.forEach(({ up }) => {
+            const sql = up.replace(/--[^\n]*/g, '');
+            const statements = sql.split(/;\s*\n/);
+            statements.forEach(statement => {
+                const create = statement.match(/CREATE TABLE IF NOT EXISTS (\w+) \(([\s\S]*)\)\s*$/);
+                if (create) {
+                    tables[create[1]] = create[2].split('\n')
+                        .map(line => line.trim().split(/\s+/)[0])
+                        .filter(word => word && !/^(UNIQUE|PRIMARY|CONSTRAINT|CHECK|FOREIGN)/.test(word));
+                }
+                for (const [, table, column] of statement.matchAll(/ALTER TABLE (\w+) ADD COLUMN IF NOT EXISTS (\w+)/g)) {
+                    if (!tables[table].includes(column)) tables[table].push(column);
+                }
+                for (const [, table, column] of statement.matchAll(/ALTER TABLE (\w+) DROP COLUMN (?:IF EXISTS )?(\w+)/g)) {
+                    tables[table] = tables[table].filter(c => c !== column);
+                }
+                for (const [, table] of statement.matchAll(/DROP TABLE (?:IF EXISTS )?(\w+)/g)) {
+                    delete tables[table];
+                }
+            });
+        });
+
+        const memory = Object.fromEntries(Object.entries(TABLES).map(([table, { columns }]) => [table, Object.keys(columns).sort()]));
+        const sqlTables = Object.fromEntries(Object.entries(tables).map(([table, columns]) => [table, [...columns].sort()]));
+        expect(memory).toEqual(sqlTables);
+    });
+});
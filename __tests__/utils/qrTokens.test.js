@@ -0,0 +1,83 @@
+/**
+ * Tests for signed desk QR tokens
+ */
+const { QR_ERRORS, generateDeskCode, endOfDay, signQrToken, verifyQrToken } = require('../../utils/qrTokens');
+
+describe('generateDeskCode', () => {
+    test('generates unique codes without token separators', () => {
+        const a = generateDeskCode();
+        const b = generateDeskCode();
+
+        expect(a).not.toBe(b);
+        expect(a).toMatch(/^[0-9a-f]{24}$/);
+    });
+});
+
+describe('signQrToken / verifyQrToken', () => {
+    afterEach(() => {
+        delete process.env.QR_SIGNING_SECRET;
+    });
+
+    test('round-trips a token without expiry', () => {
+        const token = signQrToken('abc123');
+
+        expect(token.startsWith('abc123.0.')).toBe(true);
+        expect(verifyQrToken(token)).toEqual({ deskCode: 'abc123', expiresAt: null });
+    });
+
+    test('accepts a time-boxed token until it expires', () => {
+        const expiresAt = new Date('2024-03-04T23:59:59Z');
+        const token = signQrToken('abc123', { expiresAt });
+
+        expect(verifyQrToken(token, new Date('2024-03-04T12:00:00Z')).deskCode).toBe('abc123');
+        expect(verifyQrToken(token, new Date('2024-03-05T00:00:00Z'))).toEqual({ error: QR_ERRORS.EXPIRED });
+    });
+
+    test('requires a token', () => {
+        expect(verifyQrToken('')).toEqual({ error: QR_ERRORS.REQUIRED });
+        expect(verifyQrToken(undefined)).toEqual({ error: QR_ERRORS.REQUIRED });
+    });
+
+    test('rejects malformed tokens', () => {
+        expect(verifyQrToken('abc123')).toEqual({ error: QR_ERRORS.MALFORMED });
+        expect(verifyQrToken('abc123.soon.sig')).toEqual({ error: QR_ERRORS.MALFORMED });
+    });
+
+    test('rejects forged or tampered tokens', () => {
+        const token = signQrToken('abc123', { expiresAt: new Date(Date.now() + 60000) });
+        const [code, , signature] = token.split('.');
+
+        // Pushing the expiry out breaks the signature
+        expect(verifyQrToken(`${code}.9999999999.${signature}`)).toEqual({ error: QR_ERRORS.INVALID_SIGNATURE });
+        expect(verifyQrToken(`other.0.${signature}`)).toEqual({ error: QR_ERRORS.INVALID_SIGNATURE });
+        expect(verifyQrToken('abc123.0.short')).toEqual({ error: QR_ERRORS.INVALID_SIGNATURE });
+    });
+
+    test('tokens signed with another secret are rejected', () => {
+        process.env.QR_SIGNING_SECRET = 'secret-one';
+        const token = signQrToken('abc123');
+        process.env.QR_SIGNING_SECRET = 'secret-two';
+
+        expect(verifyQrToken(token)).toEqual({ error: QR_ERRORS.INVALID_SIGNATURE });
+    });
+
+    test('refuses to sign without a secret in production', () => {
+        const env = process.env.NODE_ENV;
+        process.env.NODE_ENV = 'production';
+        try {
+            expect(() => signQrToken('abc123')).toThrow('QR_SIGNING_SECRET');
+        } finally {
+            process.env.NODE_ENV = env;
+        }
+    });
+});
+
+describe('endOfDay', () => {
+    test('returns the last moment of the local day', () => {
+        const end = endOfDay(new Date(2024, 2, 4, 9, 30));
+
+        expect(end.getDate()).toBe(4);
+        expect(end.getHours()).toBe(23);
+        expect(end.getMinutes()).toBe(59);
+    });
+});
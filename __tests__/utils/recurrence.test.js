@@ -0,0 +1,114 @@
+/**
+ * Tests for recurrence rule helpers
+ */
+const { validateRecurrenceRule, expandRecurrence, endRuleOn, addDays, isValidDateStr, MAX_OCCURRENCES } = require('../../utils/recurrence');
+
+describe('validateRecurrenceRule', () => {
+    test('accepts a weekly rule with an end date', () => {
+        expect(validateRecurrenceRule({ frequency: 'weekly', weekdays: [1, 3], until: '2024-06-30' })).toBeNull();
+    });
+
+    test('accepts a monthly rule with a count', () => {
+        expect(validateRecurrenceRule({ frequency: 'monthly', weekOfMonth: -1, weekday: 5, count: 6 })).toBeNull();
+    });
+
+    test('requires a rule', () => {
+        expect(validateRecurrenceRule(null)).toBe('Recurrence rule is required');
+    });
+
+    test('rejects unknown frequencies', () => {
+        expect(validateRecurrenceRule({ frequency: 'daily', count: 3 })).toContain('Frequency');
+    });
+
+    test('requires weekdays for weekly rules', () => {
+        expect(validateRecurrenceRule({ frequency: 'weekly', weekdays: [], count: 3 })).toContain('weekday');
+        expect(validateRecurrenceRule({ frequency: 'weekly', weekdays: [7], count: 3 })).toContain('Weekdays');
+    });
+
+    test('requires a valid week of month for monthly rules', () => {
+        expect(validateRecurrenceRule({ frequency: 'monthly', weekOfMonth: 6, weekday: 1, count: 3 })).toContain('weekOfMonth');
+    });
+
+    test('requires an end', () => {
+        expect(validateRecurrenceRule({ frequency: 'weekly', weekdays: [1] })).toContain('end date');
+    });
+
+    test('rejects out-of-range intervals and counts', () => {
+        expect(validateRecurrenceRule({ frequency: 'weekly', weekdays: [1], interval: 0, count: 3 })).toContain('Interval');
+        expect(validateRecurrenceRule({ frequency: 'weekly', weekdays: [1], count: MAX_OCCURRENCES + 1 })).toContain('count');
+    });
+
+    test('rejects malformed end dates', () => {
+        expect(validateRecurrenceRule({ frequency: 'weekly', weekdays: [1], until: '30/06/2024' })).toContain('until');
+    });
+});
+
+describe('expandRecurrence', () => {
+    test('expands weekly weekdays up to the end date', () => {
+        const dates = expandRecurrence('2024-03-06', { frequency: 'weekly', weekdays: [1, 3], until: '2024-03-18' });
+        // Starts on Wednesday, so the Monday of the first week is skipped
+        expect(dates).toEqual(['2024-03-06', '2024-03-11', '2024-03-13', '2024-03-18']);
+    });
+
+    test('orders weekdays Monday-first and includes Sundays last', () => {
+        const dates = expandRecurrence('2024-03-04', { frequency: 'weekly', weekdays: [0, 1], count: 3 });
+        expect(dates).toEqual(['2024-03-04', '2024-03-10', '2024-03-11']);
+    });
+
+    test('supports every N weeks', () => {
+        const dates = expandRecurrence('2024-03-04', { frequency: 'weekly', interval: 2, weekdays: [1], count: 3 });
+        expect(dates).toEqual(['2024-03-04', '2024-03-18', '2024-04-01']);
+    });
+
+    test('expands the Nth weekday of the month', () => {
+        const dates = expandRecurrence('2024-01-01', { frequency: 'monthly', weekOfMonth: 2, weekday: 2, count: 3 });
+        expect(dates).toEqual(['2024-01-09', '2024-02-13', '2024-03-12']);
+    });
+
+    test('expands the last weekday of the month across years', () => {
+        const dates = expandRecurrence('2024-11-01', { frequency: 'monthly', weekOfMonth: -1, weekday: 5, until: '2025-01-31' });
+        expect(dates).toEqual(['2024-11-29', '2024-12-27', '2025-01-31']);
+    });
+
+    test('throws on a start date that is not a date', () => {
+        expect(() => expandRecurrence('next tuesday', { frequency: 'weekly', weekdays: [2], count: 3 })).toThrow(RangeError);
+        expect(() => expandRecurrence(undefined, { frequency: 'monthly', weekOfMonth: 1, weekday: 1, count: 3 })).toThrow(RangeError);
+    });
+
+    test('skips months without a fifth weekday', () => {
+        const dates = expandRecurrence('2024-01-01', { frequency: 'monthly', weekOfMonth: 5, weekday: 1, until: '2024-04-30' });
+        expect(dates).toEqual(['2024-01-29', '2024-04-29']);
+    });
+
+    test('refuses an end date past the maximum number of occurrences', () => {
+        expect(() => expandRecurrence('2024-01-01', { frequency: 'weekly', weekdays: [1, 2, 3, 4, 5], until: '2030-12-31' }))
+            .toThrow(`at most ${MAX_OCCURRENCES} occurrences`);
+        expect(expandRecurrence('2024-01-01', { frequency: 'weekly', weekdays: [1, 2, 3, 4, 5], count: MAX_OCCURRENCES }))
+            .toHaveLength(MAX_OCCURRENCES);
+    });
+});
+
+describe('endRuleOn', () => {
+    test('replaces a count with an end date', () => {
+        const rule = { frequency: 'weekly', weekdays: [1], count: 5 };
+        expect(endRuleOn(rule, '2024-03-10')).toEqual({ frequency: 'weekly', weekdays: [1], until: '2024-03-10' });
+        expect(rule.count).toBe(5);
+    });
+});
+
+describe('addDays', () => {
+    test('moves across month boundaries', () => {
+        expect(addDays('2024-02-28', 2)).toBe('2024-03-01');
+        expect(addDays('2024-03-01', -1)).toBe('2024-02-29');
+    });
+});
+
+describe('isValidDateStr', () => {
+    test('accepts real dates only', () => {
+        expect(isValidDateStr('2024-02-29')).toBe(true);
+        expect(isValidDateStr('2026-02-31')).toBe(false);
+        expect(isValidDateStr('2025-02-29')).toBe(false);
+        expect(isValidDateStr('2024-13-01')).toBe(false);
+        expect(isValidDateStr('2024-3-1')).toBe(false);
+    });
+});
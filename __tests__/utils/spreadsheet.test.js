@@ -0,0 +1,68 @@
+/**
+ * Tests for spreadsheet parsing
+ */
+const ExcelJS = require('exceljs');
+const { detectFormat, parseCsv, parseSpreadsheet, formatCsv } = require('../../utils/spreadsheet');
+
+const COLUMNS = {
+    date: ['date'],
+    peopleCount: ['people', 'people count'],
+    notes: ['notes']
+};
+
+describe('parseCsv', () => {
+    test('handles quoted cells with delimiters, quotes and line breaks', () => {
+        const rows = parseCsv('date,notes\r\n2024-01-15,"Offsite, then ""demo""\nday"\r\n');
+
+        expect(rows).toEqual([
+            ['date', 'notes'],
+            ['2024-01-15', 'Offsite, then "demo"\nday']
+        ]);
+    });
+
+    test('detects semicolon-separated files and strips a byte order mark', () => {
+        expect(parseCsv('\uFEFFdate;people\n2024-01-15;8')).toEqual([
+            ['date', 'people'],
+            ['2024-01-15', '8']
+        ]);
+    });
+});
+
+describe('parseSpreadsheet', () => {
+    test('maps header aliases to keys and reports spreadsheet row numbers', async () => {
+        const csv = 'Date,People Count,Floor\n2024-01-15,8,2\n,,\n2024-01-16, 4 ,1\n';
+        const result = await parseSpreadsheet(Buffer.from(csv), COLUMNS);
+
+        expect(result.records).toEqual([
+            { row: 2, values: { date: '2024-01-15', peopleCount: '8' } },
+            { row: 4, values: { date: '2024-01-16', peopleCount: '4' } }
+        ]);
+        expect(result.unknownHeaders).toEqual(['Floor']);
+        expect(result.missingColumns).toEqual(['notes']);
+    });
+
+    test('reads the first worksheet of an XLSX file', async () => {
+        const workbook = new ExcelJS.Workbook();
+        const sheet = workbook.addWorksheet('Bookings');
+        sheet.addRow(['Date', 'People', 'Notes']);
+        sheet.addRow([new Date(Date.UTC(2024, 0, 15)), 8, { richText: [{ text: 'All ' }, { text: 'hands' }] }]);
+        sheet.addRow(['2024-01-16', { formula: '2*2', result: 4 }, '']);
+        const buffer = Buffer.from(await workbook.xlsx.writeBuffer());
+
+        expect(detectFormat(buffer)).toBe('xlsx');
+
+        const { records } = await parseSpreadsheet(buffer, COLUMNS);
+        expect(records).toEqual([
+            { row: 2, values: { date: '2024-01-15', peopleCount: '8', notes: 'All hands' } },
+            { row: 3, values: { date: '2024-01-16', peopleCount: '4', notes: '' } }
+        ]);
+    });
+});
+
+describe('formatCsv', () => {
+    test('quotes cells when needed and neutralises formulas', () => {
+        const csv = formatCsv(['Team', 'Days'], [['Design, UX', 3], ['=HYPERLINK("x")', -1], [null, 0]]);
+
+        expect(csv).toBe('Team,Days\r\n"Design, UX",3\r\n"\'=HYPERLINK(""x"")",-1\r\n,0\r\n');
+    });
+});
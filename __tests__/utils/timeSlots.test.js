@@ -0,0 +1,82 @@
+/**
+ * Tests for desk booking time-slot helpers
+ */
+const { parseTime, formatTime, getOpeningHours, resolveSlot, bookingRange, rangesOverlap } = require('../../utils/timeSlots');
+
+const HOURS = { open: 8 * 60, close: 18 * 60 };
+
+describe('parseTime / formatTime', () => {
+    test('parses HH:MM and HH:MM:SS', () => {
+        expect(parseTime('09:30')).toBe(570);
+        expect(parseTime('17:00:00')).toBe(1020);
+    });
+
+    test('rejects invalid times', () => {
+        expect(parseTime('9:30')).toBeNull();
+        expect(parseTime('25:00')).toBeNull();
+        expect(parseTime('10:75')).toBeNull();
+        expect(parseTime(null)).toBeNull();
+    });
+
+    test('formats minutes as HH:MM', () => {
+        expect(formatTime(570)).toBe('09:30');
+        expect(formatTime(1080)).toBe('18:00');
+    });
+});
+
+describe('getOpeningHours', () => {
+    test('uses the location hours', () => {
+        expect(getOpeningHours({ opening_time: '07:00:00', closing_time: '16:00:00' })).toEqual({ open: 420, close: 960 });
+    });
+
+    test('falls back to 08:00-18:00', () => {
+        expect(getOpeningHours({})).toEqual(HOURS);
+        expect(getOpeningHours(null)).toEqual(HOURS);
+    });
+});
+
+describe('resolveSlot', () => {
+    test('defaults to the full day', () => {
+        expect(resolveSlot({}, HOURS)).toEqual({ start: 480, end: 1080, fullDay: true });
+    });
+
+    test('resolves half days around midday', () => {
+        expect(resolveSlot({ slot: 'am' }, HOURS)).toEqual({ start: 480, end: 720, fullDay: false });
+        expect(resolveSlot({ slot: 'pm' }, HOURS)).toEqual({ start: 720, end: 1080, fullDay: false });
+    });
+
+    test('rejects half days when the location does not span midday', () => {
+        expect(resolveSlot({ slot: 'am' }, { open: 13 * 60, close: 20 * 60 }).error).toContain('Half-day');
+    });
+
+    test('treats start/end times without a slot as custom', () => {
+        expect(resolveSlot({ startTime: '10:00', endTime: '13:00' }, HOURS)).toEqual({ start: 600, end: 780, fullDay: false });
+    });
+
+    test('marks a custom slot covering the opening hours as full day', () => {
+        expect(resolveSlot({ slot: 'custom', startTime: '08:00', endTime: '18:00' }, HOURS).fullDay).toBe(true);
+    });
+
+    test('validates custom slots', () => {
+        expect(resolveSlot({ slot: 'custom', startTime: '10:00' }, HOURS).error).toContain('HH:MM');
+        expect(resolveSlot({ slot: 'custom', startTime: '10:30', endTime: '12:00' }, HOURS).error).toContain('on the hour');
+        expect(resolveSlot({ slot: 'custom', startTime: '12:00', endTime: '10:00' }, HOURS).error).toContain('before');
+        expect(resolveSlot({ slot: 'custom', startTime: '07:00', endTime: '10:00' }, HOURS).error).toContain('opening hours');
+    });
+
+    test('rejects unknown slots', () => {
+        expect(resolveSlot({ slot: 'evening' }, HOURS).error).toContain('Slot must be');
+    });
+});
+
+describe('bookingRange / rangesOverlap', () => {
+    test('treats bookings without times as the full day', () => {
+        expect(bookingRange({ start_time: null, end_time: null }, HOURS)).toEqual({ start: 480, end: 1080 });
+        expect(bookingRange({ start_time: '09:00:00', end_time: '11:00:00' }, HOURS)).toEqual({ start: 540, end: 660 });
+    });
+
+    test('adjacent ranges do not overlap', () => {
+        expect(rangesOverlap({ start: 480, end: 720 }, { start: 720, end: 1080 })).toBe(false);
+        expect(rangesOverlap({ start: 480, end: 721 }, { start: 720, end: 1080 })).toBe(true);
+    });
+});
@@ -0,0 +1,35 @@
+/**
+ * Database Client Selection
+ *
+ * Every backend exposes the same Supabase-style query builder
+ * (`from(table).select().eq()...`, `rpc(fn, params)`), which is what the
+ * repositories are written against. DB_CLIENT picks the backend:
+ *   supabase - hosted Supabase (default; SUPABASE_URL, SUPABASE_SECRET_KEY)
+ *   postgres - direct PostgreSQL connection (DB_HOST, DB_NAME, ...; needs the pg package)
+ *   memory   - in-process tables, for local development and CI without a database
+ */
+
+const DB_CLIENTS = ['supabase', 'postgres', 'memory'];
+
+const clientName = (process.env.DB_CLIENT || 'supabase').toLowerCase();
+
+if (!DB_CLIENTS.includes(clientName)) {
+    console.error(`❌ Unknown DB_CLIENT "${clientName}". Use one of: ${DB_CLIENTS.join(', ')}`);
+    process.exit(1);
+}
+
+// Only the chosen backend is loaded, so the others' configuration isn't required
+function loadClient(name) {
+    switch (name) {
+        case 'postgres':
+            return require('./postgresql').supabase;
+        case 'memory':
+            return require('./memory').memory;
+        default:
+            return require('./supabase').supabase;
+    }
+}
+
+const db = loadClient(clientName);
+
+module.exports = { db, clientName, DB_CLIENTS };
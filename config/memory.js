@@ -0,0 +1,832 @@
+/**
+ * In-Memory Database
+ *
+ * Tables held in process memory behind the same Supabase-style query builder
+ * as config/supabase.js and config/postgresql.js, so the server and tests can
+ * run without a database. Each statement is atomic, rows are copied in and
+ * out, and the schema's defaults and constraints (config/memorySchema.js) are
+ * enforced with the error codes Postgres and PostgREST use. Comparisons follow
+ * SQL: a filter never matches NULL except through is(column, null).
+ *
+ * The database functions called through rpc are implemented in JavaScript
+ * with the same results as the plpgsql versions in the migrations.
+ *
+ * Set MEMORY_DB_FILE to keep the data in a JSON file between restarts.
+ */
+
+const fs = require('fs');
+const logger = require('../utils/logger');
+const { TABLES } = require('./memorySchema');
+
+class MemoryDbError extends Error {
+    constructor(code, message) {
+        super(message);
+        this.code = code;
+    }
+}
+
+// Errors are returned as plain objects, like supabase-js's PostgrestError
+function toPostgrestError(error) {
+    return { message: error.message, code: error.code || null, details: null, hint: null };
+}
+
+function copy(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+// Postgres TIME columns come back as HH:MM:SS
+function normalizeTime(value) {
+    if (typeof value !== 'string') return value;
+    const match = value.match(/^(\d{1,2}):(\d{2})(?::(\d{2}))?/);
+    if (!match) return value;
+    return `${match[1].padStart(2, '0')}:${match[2]}:${match[3] || '00'}`;
+}
+
+function isNull(value) {
+    return value === null || value === undefined;
+}
+
+/**
+ * Compare two non-null values the way Postgres would after casting the
+ * filter value to the column's type
+ * @returns {number} Negative, zero or positive
+ */
+function compareValues(a, b) {
+    if (typeof a === 'number' || typeof b === 'number') return Number(a) - Number(b);
+    if (typeof a === 'boolean' || typeof b === 'boolean') return String(a) === String(b) ? 0 : String(a) < String(b) ? -1 : 1;
+    if (typeof a === 'object' || typeof b === 'object') {
+        const [x, y] = [JSON.stringify(a), JSON.stringify(b)];
+        return x === y ? 0 : x < y ? -1 : 1;
+    }
+    const [x, y] = [String(a), String(b)];
+    return x === y ? 0 : x < y ? -1 : 1;
+}
+
+// LIKE pattern to a regular expression (% any run, _ one character, backslash escapes)
+function likeToRegExp(pattern, flags) {
+    let source = '';
+    for (let i = 0; i < pattern.length; i++) {
+        const char = pattern[i];
+        if (char === '\\' && i + 1 < pattern.length) {
+            source += pattern[++i].replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        } else if (char === '%') {
+            source += '.*';
+        } else if (char === '_') {
+            source += '.';
+        } else {
+            source += char.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        }
+    }
+    return new RegExp(`^${source}$`, flags);
+}
+
+const FILTERS = {
+    eq: (value, arg) => !isNull(value) && !isNull(arg) && compareValues(value, arg) === 0,
+    neq: (value, arg) => !isNull(value) && !isNull(arg) && compareValues(value, arg) !== 0,
+    gt: (value, arg) => !isNull(value) && !isNull(arg) && compareValues(value, arg) > 0,
+    gte: (value, arg) => !isNull(value) && !isNull(arg) && compareValues(value, arg) >= 0,
+    lt: (value, arg) => !isNull(value) && !isNull(arg) && compareValues(value, arg) < 0,
+    lte: (value, arg) => !isNull(value) && !isNull(arg) && compareValues(value, arg) <= 0,
+    like: (value, arg) => !isNull(value) && likeToRegExp(arg, 's').test(String(value)),
+    ilike: (value, arg) => !isNull(value) && likeToRegExp(arg, 'is').test(String(value)),
+    in: (value, arg) => !isNull(value) && arg.some(item => !isNull(item) && compareValues(value, item) === 0),
+    is: (value, arg) => (arg === null ? isNull(value) : value === arg)
+};
+
+/**
+ * Chainable query, run when awaited
+ */
+class MemoryQueryBuilder {
+    constructor(db, table) {
+        this.db = db;
+        this.table = table;
+        this.mode = 'select'; // 'select', 'insert', 'update', 'upsert', 'delete'
+        this.fields = '*';
+        this.returning = null; // Columns a mutation returns; null returns no data, as in supabase-js
+        this.values = null;
+        this.options = {};
+        this.filters = [];
+        this.orders = [];
+        this.offset = 0;
+        this.limitCount = null;
+        this.singleMode = null; // 'single' or 'maybeSingle'
+    }
+
+    select(fields = '*') {
+        if (this.mode === 'select') {
+            this.fields = fields;
+        } else {
+            this.returning = fields;
+        }
+        return this;
+    }
+
+    insert(values) {
+        this.mode = 'insert';
+        this.values = values;
+        return this;
+    }
+
+    update(values) {
+        this.mode = 'update';
+        this.values = values;
+        return this;
+    }
+
+    upsert(values, options = {}) {
+        this.mode = 'upsert';
+        this.values = values;
+        this.options = options;
+        return this;
+    }
+
+    delete() {
+        this.mode = 'delete';
+        return this;
+    }
+
+    order(column, options = {}) {
+        const ascending = typeof options === 'object' ? options.ascending !== false : options !== false;
+        // Postgres puts NULLs last when ascending and first when descending
+        const nullsFirst = typeof options === 'object' && options.nullsFirst !== undefined ? options.nullsFirst : !ascending;
+        this.orders.push({ column, ascending, nullsFirst });
+        return this;
+    }
+
+    limit(count) {
+        this.limitCount = count;
+        return this;
+    }
+
+    // Rows from..to inclusive (0-based)
+    range(from, to) {
+        this.offset = from;
+        this.limitCount = to - from + 1;
+        return this;
+    }
+
+    single() {
+        this.singleMode = 'single';
+        return this;
+    }
+
+    maybeSingle() {
+        this.singleMode = 'maybeSingle';
+        return this;
+    }
+
+    then(resolve, reject) {
+        return Promise.resolve().then(() => this.db.execute(this)).then(resolve, reject);
+    }
+}
+
+Object.keys(FILTERS).forEach(op => {
+    MemoryQueryBuilder.prototype[op] = function (column, value) {
+        this.filters.push({ op, column, value });
+        return this;
+    };
+});
+
+/**
+ * Database functions, called with the database and the rpc parameters.
+ * They run inside a transaction, so a thrown error undoes their writes.
+ */
+const FUNCTIONS = {
+    // Mirrors create_team_booking: capacity check and insert in one step
+    create_team_booking(db, params) {
+        const location = db.rows('locations').find(l => l.id === params.p_location_id && isNull(l.deleted_at));
+        if (!location) {
+            return { ok: false, reason: 'invalid_location' };
+        }
+
+        // Bookings in the trash don't count
+        const dayBookings = db.rows('bookings').filter(b => b.date === params.p_date &&
+            b.location_id === params.p_location_id && isNull(b.deleted_at));
+        // Pending overbookings don't count toward capacity until approved
+        const total = dayBookings
+            .filter(b => !isNull(b.status) && b.status !== 'pending')
+            .reduce((sum, b) => sum + b.people_count, 0);
+
+        if (dayBookings.some(b => b.team_id === params.p_team_id)) {
+            return { ok: false, reason: 'duplicate', remaining: location.capacity - total };
+        }
+
+        const overbooked = total + params.p_people_count > location.capacity;
+        if (overbooked && !params.p_allow_overbooking) {
+            return { ok: false, reason: 'capacity', remaining: location.capacity - total };
+        }
+
+        let booking;
+        try {
+            [booking] = db.insertRows('bookings', [{
+                id: params.p_id,
+                date: params.p_date,
+                team_id: params.p_team_id,
+                team_name: params.p_team_name,
+                people_count: params.p_people_count,
+                location_id: params.p_location_id,
+                notes: params.p_notes ?? '',
+                is_overbooked: overbooked,
+                status: overbooked ? 'pending' : 'confirmed',
+                series_id: params.p_series_id ?? null,
+                created_at: new Date().toISOString()
+            }]);
+        } catch (error) {
+            if (error.code === '23505') return { ok: false, reason: 'duplicate' };
+            throw error;
+        }
+
+        return {
+            ok: true,
+            booking,
+            remaining: location.capacity - total - (overbooked ? 0 : params.p_people_count)
+        };
+    },
+
+    // Mirrors approve_team_booking: capacity re-check and approval in one step
+    approve_team_booking(db, params) {
+        const booking = db.rows('bookings').find(b => b.id === params.p_id && isNull(b.deleted_at));
+        if (!booking) {
+            return { ok: false, reason: 'not_found' };
+        }
+        if (booking.status !== 'pending') {
+            return { ok: false, reason: 'not_pending' };
+        }
+
+        const location = db.rows('locations').find(l => l.id === booking.location_id && isNull(l.deleted_at));
+        if (!location) {
+            return { ok: false, reason: 'invalid_location' };
+        }
+
+        const total = db.rows('bookings')
+            .filter(b => b.date === booking.date && b.location_id === booking.location_id &&
+                isNull(b.deleted_at) && !isNull(b.status) && b.status !== 'pending')
+            .reduce((sum, b) => sum + b.people_count, 0);
+
+        const overbooked = total + booking.people_count > location.capacity;
+        if (overbooked && !params.p_allow_overbooking) {
+            return { ok: false, reason: 'capacity', remaining: location.capacity - total };
+        }
+
+        const [approved] = db.updateRows('bookings', [booking], {
+            status: 'confirmed',
+            is_overbooked: overbooked,
+            sequence: (booking.sequence || 0) + 1
+        });
+
+        return { ok: true, booking: approved, remaining: location.capacity - total - booking.people_count };
+    },
+
+    // Mirrors update_team_booking: duplicate and capacity checks and the edit in one step
+    update_team_booking(db, params) {
+        const booking = db.rows('bookings').find(b => b.id === params.p_id && isNull(b.deleted_at));
+        if (!booking) {
+            return { ok: false, reason: 'not_found' };
+        }
+
+        const changes = params.p_changes || {};
+        const target = {
+            date: changes.date ?? booking.date,
+            location_id: changes.location_id ?? booking.location_id,
+            team_id: changes.team_id ?? booking.team_id,
+            people_count: changes.people_count ?? booking.people_count
+        };
+
+        const location = db.rows('locations').find(l => l.id === target.location_id && isNull(l.deleted_at));
+        if (!location) {
+            return { ok: false, reason: 'invalid_location' };
+        }
+
+        const others = db.rows('bookings').filter(b => b.id !== booking.id && b.date === target.date &&
+            b.location_id === target.location_id && isNull(b.deleted_at));
+        const total = others
+            .filter(b => !isNull(b.status) && b.status !== 'pending')
+            .reduce((sum, b) => sum + b.people_count, 0);
+
+        if (others.some(b => b.team_id === target.team_id)) {
+            return { ok: false, reason: 'duplicate', remaining: location.capacity - total };
+        }
+
+        const addsPeople = target.date !== booking.date || target.location_id !== booking.location_id ||
+            target.people_count > booking.people_count;
+        if (booking.status !== 'pending' && addsPeople && total + target.people_count > location.capacity) {
+            return { ok: false, reason: 'capacity', remaining: location.capacity - total };
+        }
+
+        const [updated] = db.updateRows('bookings', [booking], {
+            ...target,
+            team_name: changes.team_name ?? booking.team_name,
+            notes: changes.notes ?? booking.notes,
+            series_id: 'series_id' in changes ? changes.series_id : booking.series_id,
+            sequence: (booking.sequence || 0) + (Object.keys(changes).length > 0 ? 1 : 0)
+        });
+
+        return {
+            ok: true,
+            booking: updated,
+            remaining: location.capacity - total - (updated.status === 'pending' ? 0 : target.people_count)
+        };
+    },
+
+    // Mirrors update_team_bookings: every edit is applied or none are
+    update_team_bookings(db, params) {
+        const snapshot = db.snapshot();
+        const updated = [];
+        const failures = [];
+
+        for (const [index, item] of (params.p_updates || []).entries()) {
+            const result = FUNCTIONS.update_team_booking(db, { p_id: item.id, p_changes: item.changes || {} });
+            if (result.ok) {
+                updated.push(result.booking);
+            } else {
+                failures.push({ reason: result.reason, remaining: result.remaining, index });
+            }
+        }
+
+        if (failures.length > 0) {
+            db.restore(snapshot);
+            return { ok: false, failures };
+        }
+        return { ok: true, bookings: updated };
+    },
+
+    // Mirrors restore_team_booking: the trashed booking's day is re-checked before it comes back
+    restore_team_booking(db, params) {
+        const booking = db.rows('bookings').find(b => b.id === params.p_id && !isNull(b.deleted_at));
+        if (!booking) {
+            return { ok: false, reason: 'not_found' };
+        }
+
+        if (!isNull(booking.team_id) && !db.rows('teams').some(t => t.id === booking.team_id && isNull(t.deleted_at))) {
+            return { ok: false, reason: 'team_deleted' };
+        }
+        const location = db.rows('locations').find(l => l.id === booking.location_id && isNull(l.deleted_at));
+        if (!location) {
+            return { ok: false, reason: 'location_deleted' };
+        }
+
+        const dayBookings = db.rows('bookings').filter(b => b.date === booking.date &&
+            b.location_id === booking.location_id && isNull(b.deleted_at));
+        if (dayBookings.some(b => b.team_id === booking.team_id)) {
+            return { ok: false, reason: 'duplicate' };
+        }
+
+        if (booking.status !== 'pending') {
+            const total = dayBookings
+                .filter(b => !isNull(b.status) && b.status !== 'pending')
+                .reduce((sum, b) => sum + b.people_count, 0);
+            if (total + booking.people_count > location.capacity) {
+                return { ok: false, reason: 'capacity', remaining: location.capacity - total };
+            }
+        }
+
+        const [restored] = db.updateRows('bookings', [booking], { deleted_at: null, deleted_by: null });
+        return { ok: true, booking: restored };
+    },
+
+    // Mirrors create_desk_booking: overlap check and insert in one step (NULL times are the opening hours)
+    create_desk_booking(db, params) {
+        const booking = params.p_booking;
+        const open = normalizeTime(params.p_open);
+        const close = normalizeTime(params.p_close);
+        const range = b => ({ start: isNull(b.start_time) ? open : normalizeTime(b.start_time), end: isNull(b.end_time) ? close : normalizeTime(b.end_time) });
+        const wanted = range(booking);
+
+        const conflict = db.rows('desk_bookings')
+            .filter(b => b.desk_id === booking.desk_id && b.date === booking.date && b.no_show !== true)
+            .filter(b => range(b).start < wanted.end && range(b).end > wanted.start)
+            .sort((a, b) => range(a).start.localeCompare(range(b).start))[0];
+        if (conflict) {
+            return { ok: false, reason: 'conflict', conflict };
+        }
+
+        const [created] = db.insertRows('desk_bookings', [booking]);
+        return { ok: true, booking: created };
+    },
+
+    // Mirrors create_room_booking: overlap check and insert in one step
+    create_room_booking(db, params) {
+        const booking = params.p_booking;
+        const start = normalizeTime(booking.start_time);
+        const end = normalizeTime(booking.end_time);
+
+        const conflict = db.rows('room_bookings')
+            .filter(b => b.room_id === booking.room_id && b.date === booking.date && b.start_time < end && b.end_time > start)
+            .sort((a, b) => a.start_time.localeCompare(b.start_time))[0];
+        if (conflict) {
+            return { ok: false, reason: 'conflict', conflict };
+        }
+
+        const [created] = db.insertRows('room_bookings', [booking]);
+        return { ok: true, booking: created };
+    },
+
+    // Mirrors import_team_bookings: every row is created or none are
+    import_team_bookings(db, params) {
+        const snapshot = db.snapshot();
+        const created = [];
+
+        for (const [index, item] of (params.p_bookings || []).entries()) {
+            const result = FUNCTIONS.create_team_booking(db, {
+                p_id: item.id,
+                p_date: item.date,
+                p_team_id: item.team_id,
+                p_team_name: item.team_name,
+                p_people_count: item.people_count,
+                p_location_id: item.location_id,
+                p_notes: item.notes ?? '',
+                p_allow_overbooking: item.allow_overbooking ?? false
+            });
+            if (!result.ok) {
+                db.restore(snapshot);
+                return { ...result, index };
+            }
+            created.push(result.booking);
+        }
+
+        return { ok: true, bookings: created };
+    }
+};
+
+/**
+ * A set of in-memory tables with a Supabase-style client API
+ */
+class MemoryDatabase {
+    /**
+     * @param {Object} options
+     * @param {Object} options.data - Initial rows keyed by table name
+     * @param {string} options.file - JSON file to load from and save to
+     */
+    constructor({ data = {}, file = null } = {}) {
+        this.schema = TABLES;
+        this.file = file;
+        this.tables = {};
+        this.serials = {};
+
+        if (file && fs.existsSync(file)) {
+            const saved = JSON.parse(fs.readFileSync(file, 'utf8'));
+            this.reset(saved.tables || {});
+            Object.assign(this.serials, saved.serials || {});
+        } else {
+            this.reset(data);
+        }
+    }
+
+    from(table) {
+        return new MemoryQueryBuilder(this, table);
+    }
+
+    /**
+     * Call a database function (Supabase `rpc` equivalent)
+     */
+    rpc(fn, params = {}) {
+        const run = FUNCTIONS[fn];
+        if (!run) {
+            return Promise.resolve({ data: null, error: toPostgrestError(new MemoryDbError('PGRST202', `Could not find the function public.${fn} in the schema cache`)) });
+        }
+        return Promise.resolve(this.transaction(() => ({ data: copy(run(this, copy(params))), error: null })));
+    }
+
+    /**
+     * Replace every table's rows (missing tables are emptied)
+     * Rows go through the same defaults as inserts but skip constraint checks.
+     */
+    reset(data = {}) {
+        this.serials = {};
+        Object.keys(this.schema).forEach(table => {
+            this.tables[table] = [];
+            this.serials[table] = 0;
+            (data[table] || []).forEach(row => {
+                const stored = this.buildRow(table, row);
+                this.tables[table].push(stored);
+                this.bumpSerial(table, stored);
+            });
+        });
+        this.save();
+    }
+
+    /**
+     * Copy of every table's rows, keyed by table name
+     */
+    dump() {
+        return copy(this.tables);
+    }
+
+    // ---- Internals shared with the query builder and database functions ----
+
+    tableSchema(table) {
+        const schema = this.schema[table];
+        if (!schema) {
+            throw new MemoryDbError('42P01', `relation "public.${table}" does not exist`);
+        }
+        return schema;
+    }
+
+    rows(table) {
+        this.tableSchema(table);
+        return this.tables[table];
+    }
+
+    primaryKey(table) {
+        const columns = this.tableSchema(table).columns;
+        return Object.keys(columns).find(column => columns[column].primaryKey);
+    }
+
+    snapshot() {
+        return {
+            tables: Object.fromEntries(Object.entries(this.tables).map(([table, rows]) => [table, [...rows]])),
+            serials: { ...this.serials }
+        };
+    }
+
+    restore(snapshot) {
+        this.tables = snapshot.tables;
+        this.serials = snapshot.serials;
+    }
+
+    /**
+     * Run fn atomically: a thrown error undoes its writes and is returned as { data: null, error }
+     */
+    transaction(fn) {
+        const snapshot = this.snapshot();
+        try {
+            const result = fn();
+            this.save();
+            return result;
+        } catch (error) {
+            this.restore(snapshot);
+            if (!(error instanceof MemoryDbError)) {
+                logger.error('In-memory database error:', error);
+            }
+            return { data: null, error: toPostgrestError(error) };
+        }
+    }
+
+    save() {
+        if (!this.file) return;
+        fs.writeFileSync(this.file, JSON.stringify({ tables: this.tables, serials: this.serials }));
+    }
+
+    bumpSerial(table, row) {
+        const key = this.primaryKey(table);
+        if (this.schema[table].columns[key].serial && Number.isInteger(row[key])) {
+            this.serials[table] = Math.max(this.serials[table] || 0, row[key]);
+        }
+    }
+
+    // The trigger on append-only tables raises before any row changes
+    checkWritable(table, targets) {
+        if (this.tableSchema(table).appendOnly && targets.length > 0) {
+            throw new MemoryDbError('P0001', `${table} is append-only`);
+        }
+    }
+
+    checkColumns(table, values) {
+        const columns = this.tableSchema(table).columns;
+        const unknown = Object.keys(values).find(column => !columns[column]);
+        if (unknown) {
+            throw new MemoryDbError('PGRST204', `Could not find the '${unknown}' column of '${table}' in the schema cache`);
+        }
+    }
+
+    // Column value as Postgres would store it
+    storeValue(definition, value) {
+        if (isNull(value)) return null;
+        if (definition.type === 'time') return normalizeTime(value);
+        if (definition.type === 'json') return copy(value);
+        return value;
+    }
+
+    /**
+     * A complete row for insertion: defaults for omitted columns, serial keys assigned
+     */
+    buildRow(table, values) {
+        const columns = this.tableSchema(table).columns;
+        const row = {};
+        Object.entries(columns).forEach(([column, definition]) => {
+            if (values[column] !== undefined) {
+                row[column] = this.storeValue(definition, values[column]);
+            } else if (definition.serial) {
+                row[column] = (this.serials[table] || 0) + 1;
+                this.serials[table] = row[column];
+            } else if (definition.default !== undefined) {
+                const value = typeof definition.default === 'function' ? definition.default() : definition.default;
+                row[column] = this.storeValue(definition, value);
+            } else {
+                row[column] = null;
+            }
+        });
+        return row;
+    }
+
+    uniqueConstraints(table) {
+        const schema = this.tableSchema(table);
+        const constraints = Object.entries(schema.columns)
+            .filter(([, definition]) => definition.primaryKey || definition.unique)
+            .map(([column, definition]) => ({
+                columns: [column],
+                name: definition.primaryKey ? `${table}_pkey` : `${table}_${column}_key`
+            }));
+        (schema.unique || []).forEach(definition => {
+            const { columns, whereNull = null } = Array.isArray(definition) ? { columns: definition } : definition;
+            constraints.push({ columns, whereNull, name: `${table}_${columns.join('_')}_key` });
+        });
+        return constraints;
+    }
+
+    /**
+     * Check a row against NOT NULL, CHECK, foreign key and unique constraints
+     * @param {Object[]} others - The other rows the table will hold
+     */
+    validateRow(table, row, others) {
+        const columns = this.tableSchema(table).columns;
+        Object.entries(columns).forEach(([column, definition]) => {
+            const value = row[column];
+            if ((definition.notNull || definition.primaryKey) && isNull(value)) {
+                throw new MemoryDbError('23502', `null value in column "${column}" of relation "${table}" violates not-null constraint`);
+            }
+            if (definition.oneOf && !isNull(value) && !definition.oneOf.includes(value)) {
+                throw new MemoryDbError('23514', `new row for relation "${table}" violates check constraint "${table}_${column}_check"`);
+            }
+            if (definition.references && !isNull(value)) {
+                const target = definition.references.table;
+                const key = this.primaryKey(target);
+                if (!this.tables[target].some(other => compareValues(other[key], value) === 0)) {
+                    throw new MemoryDbError('23503', `insert or update on table "${table}" violates foreign key constraint "${table}_${column}_fkey"`);
+                }
+            }
+        });
+
+        this.uniqueConstraints(table).forEach(({ columns: keyColumns, whereNull, name }) => {
+            // NULLs never conflict, and a partial index ignores the rows it doesn't cover
+            if (keyColumns.some(column => isNull(row[column]))) return;
+            if (whereNull && !isNull(row[whereNull])) return;
+            const clash = others.some(other => (!whereNull || isNull(other[whereNull])) &&
+                keyColumns.every(column => !isNull(other[column]) && compareValues(other[column], row[column]) === 0));
+            if (clash) {
+                throw new MemoryDbError('23505', `duplicate key value violates unique constraint "${name}"`);
+            }
+        });
+    }
+
+    /**
+     * Insert rows (all or none), returning copies of the stored rows
+     */
+    insertRows(table, values) {
+        const rows = values.map(value => {
+            this.checkColumns(table, value);
+            return this.buildRow(table, value);
+        });
+        const existing = this.rows(table);
+        rows.forEach((row, i) => this.validateRow(table, row, [...existing, ...rows.slice(0, i)]));
+        this.tables[table] = [...existing, ...rows];
+        rows.forEach(row => this.bumpSerial(table, row));
+        return copy(rows);
+    }
+
+    /**
+     * Apply changes to the given rows, returning copies of the updated rows
+     */
+    updateRows(table, targets, changes) {
+        this.checkWritable(table, targets);
+        this.checkColumns(table, changes);
+        const columns = this.tableSchema(table).columns;
+        const replacements = new Map(targets.map(row => {
+            const updated = { ...row };
+            Object.entries(changes).forEach(([column, value]) => {
+                if (value !== undefined) updated[column] = this.storeValue(columns[column], value);
+            });
+            return [row, updated];
+        }));
+
+        const next = this.rows(table).map(row => replacements.get(row) || row);
+        replacements.forEach(updated => this.validateRow(table, updated, next.filter(other => other !== updated)));
+        this.tables[table] = next;
+        return copy([...replacements.values()]);
+    }
+
+    /**
+     * Delete the given rows and apply ON DELETE rules to rows referencing them
+     */
+    deleteRows(table, targets) {
+        if (targets.length === 0) return [];
+        this.checkWritable(table, targets);
+        const doomed = new Set(targets);
+        this.tables[table] = this.rows(table).filter(row => !doomed.has(row));
+
+        const key = this.primaryKey(table);
+        const keys = targets.map(row => row[key]);
+        Object.entries(this.schema).forEach(([other, schema]) => {
+            Object.entries(schema.columns).forEach(([column, definition]) => {
+                if (definition.references?.table !== table) return;
+                const referencing = this.tables[other].filter(row => !isNull(row[column]) && keys.some(k => compareValues(row[column], k) === 0));
+                if (referencing.length === 0) return;
+                if (definition.references.onDelete === 'cascade') {
+                    this.deleteRows(other, referencing);
+                } else {
+                    this.updateRows(other, referencing, { [column]: null });
+                }
+            });
+        });
+        return copy(targets);
+    }
+
+    matching(table, filters) {
+        return this.rows(table).filter(row => filters.every(({ op, column, value }) => FILTERS[op](row[column], value)));
+    }
+
+    project(table, rows, fields) {
+        const columns = this.tableSchema(table).columns;
+        const wanted = String(fields || '*').split(',').map(field => field.trim()).filter(Boolean);
+        if (wanted.length === 0 || wanted.includes('*')) return rows;
+        const unknown = wanted.find(column => !columns[column]);
+        if (unknown) {
+            throw new MemoryDbError('42703', `column ${table}.${unknown} does not exist`);
+        }
+        return rows.map(row => Object.fromEntries(wanted.map(column => [column, row[column]])));
+    }
+
+    sort(rows, orders) {
+        if (orders.length === 0) return rows;
+        return [...rows].sort((a, b) => {
+            for (const { column, ascending, nullsFirst } of orders) {
+                const [x, y] = [a[column], b[column]];
+                if (isNull(x) && isNull(y)) continue;
+                if (isNull(x) || isNull(y)) return isNull(x) === nullsFirst ? -1 : 1;
+                const result = compareValues(x, y);
+                if (result !== 0) return ascending ? result : -result;
+            }
+            return 0;
+        });
+    }
+
+    /**
+     * Run a query builder's statement
+     */
+    execute(query) {
+        return this.transaction(() => {
+            const { table } = query;
+            let rows;
+            let returnRows = true;
+
+            switch (query.mode) {
+                case 'insert':
+                    rows = this.insertRows(table, Array.isArray(query.values) ? query.values : [query.values]);
+                    break;
+                case 'upsert':
+                    rows = this.upsertRows(table, Array.isArray(query.values) ? query.values : [query.values], query.options);
+                    break;
+                case 'update':
+                    rows = this.updateRows(table, this.matching(table, query.filters), query.values || {});
+                    break;
+                case 'delete':
+                    rows = this.deleteRows(table, this.matching(table, query.filters));
+                    break;
+                default:
+                    rows = copy(this.matching(table, query.filters));
+            }
+
+            if (query.mode !== 'select') {
+                returnRows = query.returning !== null;
+            }
+            if (!returnRows) {
+                return { data: null, error: null };
+            }
+
+            rows = this.sort(rows, query.orders);
+            if (query.offset || query.limitCount !== null) {
+                rows = rows.slice(query.offset, query.limitCount !== null ? query.offset + query.limitCount : undefined);
+            }
+            rows = this.project(table, rows, query.mode === 'select' ? query.fields : query.returning);
+
+            if (query.singleMode) {
+                if (rows.length > 1 || (rows.length === 0 && query.singleMode === 'single')) {
+                    throw new MemoryDbError('PGRST116', 'JSON object requested, multiple (or no) rows returned');
+                }
+                return { data: rows[0] || null, error: null };
+            }
+            return { data: rows, error: null };
+        });
+    }
+
+    /**
+     * Insert rows, or update the row they conflict with on options.onConflict
+     * (comma-separated columns, default the primary key)
+     */
+    upsertRows(table, values, options = {}) {
+        const conflictColumns = (options.onConflict || this.primaryKey(table)).split(',').map(column => column.trim());
+        return values.flatMap(value => {
+            this.checkColumns(table, value);
+            const existing = this.rows(table).find(row => conflictColumns.every(column =>
+                !isNull(row[column]) && !isNull(value[column]) && compareValues(row[column], value[column]) === 0
+            ));
+            if (!existing) return this.insertRows(table, [value]);
+            if (options.ignoreDuplicates) return [];
+            return this.updateRows(table, [existing], value);
+        });
+    }
+}
+
+const memory = new MemoryDatabase({ file: process.env.MEMORY_DB_FILE || null });
+
+module.exports = { memory, MemoryDatabase, MemoryDbError };
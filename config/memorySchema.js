@@ -0,0 +1,322 @@
+/**
+ * In-Memory Database Schema
+ *
+ * The tables the migrations in migrations/ create, for the in-memory backend
+ * (config/memory.js). Update this alongside every migration that changes a
+ * table (__tests__/utils/migrations.test.js compares the column lists): the
+ * memory backend enforces these column lists, defaults, NOT NULL, CHECK,
+ * unique and foreign key rules the way Postgres would.
+ *
+ * Column options:
+ *   type       - 'time' (stored as HH:MM:SS) or 'json' (copied on read and write)
+ *   primaryKey - Row identity; with serial, assigned 1, 2, 3... when omitted
+ *   notNull    - Rejects inserts and updates that leave the column null
+ *   default    - Value (or function returning one) when an insert omits the column
+ *   unique     - No two rows share a non-null value
+ *   oneOf      - CHECK (column IN (...))
+ *   references - { table, onDelete: 'cascade' | 'set null' } to the table's primary key
+ * Table options:
+ *   unique     - Composite unique constraints, as column lists, or as
+ *                { columns, whereNull } for a partial index that only covers
+ *                rows where that column is null
+ *   appendOnly - Updates and deletes are rejected, like the trigger on audit_log
+ */
+
+const now = () => new Date().toISOString();
+
+const TABLES = {
+    locations: {
+        columns: {
+            id: { primaryKey: true },
+            name: { notNull: true },
+            address: { default: '' },
+            capacity: { default: 21 },
+            floors: { default: 1 },
+            floor_plan_width: {},
+            floor_plan_height: {},
+            opening_time: { type: 'time', default: '08:00' },
+            closing_time: { type: 'time', default: '18:00' },
+            created_at: { default: now },
+            deleted_at: {},
+            deleted_by: {}
+        }
+    },
+
+    teams: {
+        columns: {
+            id: { primaryKey: true },
+            name: { notNull: true },
+            manager: { default: '' },
+            manager_email: { default: '' },
+            manager_image: { default: '' },
+            color: { default: '#6B7280' },
+            member_count: { default: 1 },
+            location_id: { references: { table: 'locations', onDelete: 'set null' } },
+            created_at: { default: now },
+            deleted_at: {},
+            deleted_by: {}
+        }
+    },
+
+    team_members: {
+        columns: {
+            id: { primaryKey: true },
+            team_id: { notNull: true, references: { table: 'teams', onDelete: 'cascade' } },
+            email: { notNull: true },
+            name: { notNull: true },
+            job_title: {},
+            azure_id: {},
+            source: { notNull: true, default: 'manual', oneOf: ['manual', 'azure'] },
+            created_at: { default: now }
+        },
+        unique: [['team_id', 'email']]
+    },
+
+    booking_series: {
+        columns: {
+            id: { primaryKey: true },
+            team_id: { references: { table: 'teams', onDelete: 'cascade' } },
+            team_name: { notNull: true },
+            people_count: { notNull: true },
+            location_id: { references: { table: 'locations', onDelete: 'cascade' } },
+            notes: { default: '' },
+            start_date: { notNull: true },
+            rule: { type: 'json', notNull: true },
+            created_at: { default: now }
+        }
+    },
+
+    bookings: {
+        columns: {
+            id: { primaryKey: true },
+            date: { notNull: true },
+            team_id: { references: { table: 'teams', onDelete: 'cascade' } },
+            team_name: { notNull: true },
+            people_count: { notNull: true },
+            location_id: { references: { table: 'locations', onDelete: 'cascade' } },
+            notes: { default: '' },
+            is_overbooked: { default: false },
+            status: { default: 'confirmed' },
+            series_id: { references: { table: 'booking_series', onDelete: 'set null' } },
+            sequence: { notNull: true, default: 0 },
+            created_at: { default: now },
+            deleted_at: {},
+            deleted_by: {}
+        },
+        // Bookings in the trash don't count, like the partial index in SQL
+        unique: [{ columns: ['date', 'location_id', 'team_id'], whereNull: 'deleted_at' }]
+    },
+
+    booking_approvals: {
+        columns: {
+            id: { primaryKey: true },
+            booking_id: { notNull: true },
+            date: { notNull: true },
+            location_id: { references: { table: 'locations', onDelete: 'cascade' } },
+            team_id: {},
+            team_name: { notNull: true },
+            people_count: { notNull: true },
+            decision: { notNull: true },
+            reason: { default: '' },
+            decided_by: {},
+            decided_at: { default: now }
+        }
+    },
+
+    booking_waitlist: {
+        columns: {
+            id: { primaryKey: true },
+            date: { notNull: true },
+            team_id: { references: { table: 'teams', onDelete: 'cascade' } },
+            team_name: { notNull: true },
+            people_count: { notNull: true },
+            location_id: { references: { table: 'locations', onDelete: 'cascade' } },
+            notes: { default: '' },
+            created_at: { default: now }
+        },
+        unique: [['date', 'location_id', 'team_id']]
+    },
+
+    public_holidays: {
+        columns: {
+            id: { primaryKey: true, serial: true },
+            date: { notNull: true, unique: true },
+            name: { notNull: true }
+        }
+    },
+
+    desks: {
+        columns: {
+            id: { primaryKey: true },
+            name: { notNull: true },
+            location_id: { references: { table: 'locations', onDelete: 'cascade' } },
+            floor: { default: '1' },
+            zone: { default: '' },
+            x: { default: 0 },
+            y: { default: 0 },
+            width: { default: 60 },
+            height: { default: 40 },
+            desk_type: { default: 'hotseat' },
+            assigned_team_id: { references: { table: 'teams', onDelete: 'set null' } },
+            chair_positions: { type: 'json', default: () => ['bottom'] },
+            amenities: { type: 'json', notNull: true, default: () => [] },
+            docking_type: { oneOf: ['usb_c', 'thunderbolt', 'usb_a', 'hdmi'] },
+            qr_code: { unique: true },
+            created_at: { default: now }
+        }
+    },
+
+    desk_favourites: {
+        columns: {
+            id: { primaryKey: true },
+            user_email: { notNull: true },
+            desk_id: { notNull: true, references: { table: 'desks', onDelete: 'cascade' } },
+            created_at: { default: now }
+        },
+        unique: [['user_email', 'desk_id']]
+    },
+
+    desk_bookings: {
+        columns: {
+            id: { primaryKey: true },
+            desk_id: { references: { table: 'desks', onDelete: 'cascade' } },
+            desk_name: { notNull: true },
+            location_id: { references: { table: 'locations', onDelete: 'cascade' } },
+            date: { notNull: true },
+            start_time: { type: 'time' },
+            end_time: { type: 'time' },
+            employee_name: { notNull: true },
+            employee_email: { default: '' },
+            team_id: { references: { table: 'teams', onDelete: 'set null' } },
+            checked_in: { default: false },
+            checked_in_at: {},
+            no_show: { notNull: true, default: false },
+            released_at: {},
+            sequence: { notNull: true, default: 0 },
+            created_at: { default: now }
+        }
+    },
+
+    booking_attendees: {
+        columns: {
+            id: { primaryKey: true },
+            booking_id: { notNull: true, references: { table: 'bookings', onDelete: 'cascade' } },
+            email: { notNull: true },
+            name: { notNull: true },
+            status: { notNull: true, oneOf: ['confirmed', 'declined'] },
+            desk_booking_id: { references: { table: 'desk_bookings', onDelete: 'set null' } },
+            responded_at: { default: now },
+            created_at: { default: now }
+        },
+        unique: [['booking_id', 'email']]
+    },
+
+    floor_elements: {
+        columns: {
+            id: { primaryKey: true },
+            type: { notNull: true },
+            location_id: { references: { table: 'locations', onDelete: 'cascade' } },
+            floor: { default: '1' },
+            x: { default: 0 },
+            y: { default: 0 },
+            width: { default: 100 },
+            height: { default: 100 },
+            rotation: { default: 0 },
+            points: { type: 'json', default: () => [] },
+            label: { default: '' },
+            color: {},
+            bookable: { notNull: true, default: false },
+            capacity: {},
+            equipment: { type: 'json', notNull: true, default: () => [] },
+            created_at: { default: now }
+        }
+    },
+
+    room_bookings: {
+        columns: {
+            id: { primaryKey: true },
+            room_id: { notNull: true, references: { table: 'floor_elements', onDelete: 'cascade' } },
+            room_name: { notNull: true },
+            location_id: { references: { table: 'locations', onDelete: 'cascade' } },
+            date: { notNull: true },
+            start_time: { type: 'time', notNull: true },
+            end_time: { type: 'time', notNull: true },
+            title: { notNull: true, default: '' },
+            employee_name: { notNull: true },
+            employee_email: { default: '' },
+            team_id: { references: { table: 'teams', onDelete: 'set null' } },
+            attendee_count: {},
+            sequence: { notNull: true, default: 0 },
+            created_at: { default: now }
+        }
+    },
+
+    settings: {
+        columns: {
+            key: { primaryKey: true },
+            value: { type: 'json', notNull: true },
+            updated_at: { default: now }
+        }
+    },
+
+    role_assignments: {
+        columns: {
+            id: { primaryKey: true },
+            user_email: { notNull: true },
+            role: { notNull: true, oneOf: ['Admin', 'LocationAdmin', 'TeamManager'] },
+            location_id: { references: { table: 'locations', onDelete: 'cascade' } },
+            team_id: { references: { table: 'teams', onDelete: 'cascade' } },
+            created_by: {},
+            created_at: { default: now }
+        }
+    },
+
+    calendar_feeds: {
+        columns: {
+            id: { primaryKey: true },
+            token: { notNull: true, unique: true },
+            user_email: { notNull: true },
+            feed_type: { notNull: true, oneOf: ['team', 'location', 'person'] },
+            target_id: {},
+            created_at: { default: now },
+            last_accessed_at: {}
+        }
+    },
+
+    calendar_cancellations: {
+        columns: {
+            id: { primaryKey: true },
+            source: { notNull: true, oneOf: ['bookings', 'desk_bookings'] },
+            date: { notNull: true },
+            start_time: { type: 'time' },
+            end_time: { type: 'time' },
+            team_id: {},
+            location_id: {},
+            employee_email: {},
+            summary: { notNull: true },
+            sequence: { notNull: true, default: 0 },
+            cancelled_at: { default: now }
+        }
+    },
+
+    audit_log: {
+        appendOnly: true,
+        columns: {
+            id: { primaryKey: true },
+            action: { notNull: true, oneOf: ['create', 'update', 'delete'] },
+            entity_type: { notNull: true },
+            entity_id: { notNull: true },
+            location_id: {},
+            team_id: {},
+            actor_email: {},
+            actor_name: {},
+            ip: {},
+            old_values: { type: 'json' },
+            new_values: { type: 'json' },
+            changes: { type: 'json' },
+            created_at: { notNull: true, default: now }
+        }
+    }
+};
+
+module.exports = { TABLES };
@@ -0,0 +1,26 @@
+/**
+ * PostgreSQL Connection Settings
+ *
+ * Shared by the postgres backend (config/postgresql.js) and the migration
+ * runner (scripts/migrate.js). DATABASE_URL, e.g. a Supabase project's
+ * connection string, takes precedence over the DB_* variables.
+ */
+
+function connectionConfig(env = process.env) {
+    if (env.DATABASE_URL) {
+        return { connectionString: env.DATABASE_URL };
+    }
+    return {
+        host: env.DB_HOST || 'localhost',
+        port: parseInt(env.DB_PORT || '5432'),
+        database: env.DB_NAME || 'office_booking',
+        user: env.DB_USER || 'office_app',
+        password: env.DB_PASSWORD
+    };
+}
+
+function hasCredentials(config) {
+    return Boolean(config.connectionString || config.password);
+}
+
+module.exports = { connectionConfig, hasCredentials };
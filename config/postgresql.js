@@ -5,25 +5,27 @@
  * Provides a Supabase-like API wrapper for minimal code changes.
  */
 
-const { Pool } = require('pg');
+const { Pool, types } = require('pg');
 const logger = require('../utils/logger');
+const { connectionConfig, hasCredentials } = require('./postgresConnection');
+
+// Return DATE columns as 'YYYY-MM-DD' strings, as Supabase does, instead of
+// local-midnight Date objects (routes compare and slice dates as strings)
+const DATE_OID = 1082;
+types.setTypeParser(DATE_OID, value => value);
 
 // Database configuration from environment variables
 const dbConfig = {
-    host: process.env.DB_HOST || 'localhost',
-    port: parseInt(process.env.DB_PORT || '5432'),
-    database: process.env.DB_NAME || 'office_booking',
-    user: process.env.DB_USER || 'office_app',
-    password: process.env.DB_PASSWORD,
+    ...connectionConfig(),
     max: 20, // Maximum number of clients in the pool
     idleTimeoutMillis: 30000,
     connectionTimeoutMillis: 2000,
 };
 
 // Validate required configuration
-if (!dbConfig.password) {
+if (!hasCredentials(dbConfig)) {
     logger.error('❌ Missing PostgreSQL configuration!');
-    logger.error('Please set DB_HOST, DB_PORT, DB_NAME, DB_USER, and DB_PASSWORD environment variables');
+    logger.error('Please set DATABASE_URL, or DB_HOST, DB_PORT, DB_NAME, DB_USER, and DB_PASSWORD environment variables');
     process.exit(1);
 }
 
@@ -46,6 +48,14 @@ pool.query('SELECT NOW()', (err) => {
     }
 });
 
+/**
+ * Column value as a query parameter: objects and arrays are JSONB, which pg
+ * would otherwise send as a Postgres array or "[object Object]"
+ */
+function toParam(value) {
+    return value !== null && typeof value === 'object' && !(value instanceof Date) ? JSON.stringify(value) : value;
+}
+
 /**
  * Unified Query Builder - supports both SELECT and mutations (INSERT/UPDATE/UPSERT/DELETE)
  */
@@ -58,14 +68,14 @@ class QueryBuilder {
         this.where = [];
         this.orderBy = null;
         this.limitValue = null;
+        this.offsetValue = null;
         this.singleResult = false;
         this.data = null;
         this.upsertOptions = {};
     }
 
-    // SELECT operations
+    // SELECT operations; after insert/update/upsert/delete, the columns to return
     select(fields = '*') {
-        this.mode = 'select';
         this.selectFields = fields;
         return this;
     }
@@ -101,13 +111,26 @@ class QueryBuilder {
         return this;
     }
 
+    ilike(column, pattern) {
+        this.where.push({ column, operator: 'ILIKE', value: pattern });
+        return this;
+    }
+
     in(column, values) {
         this.where.push({ column, operator: 'IN', value: values });
         return this;
     }
 
+    // Only `is(column, null)` and booleans, as IS NULL / IS TRUE / IS FALSE
+    is(column, value) {
+        this.where.push({ column, operator: 'IS', value });
+        return this;
+    }
+
+    // Accepts supabase-js options ({ ascending: false }) as well as a boolean
     order(column, ascending = true) {
-        this.orderBy = { column, ascending };
+        const isAscending = typeof ascending === 'object' ? ascending.ascending !== false : ascending;
+        this.orderBy = { column, ascending: isAscending };
         return this;
     }
 
@@ -116,6 +139,13 @@ class QueryBuilder {
         return this;
     }
 
+    // Rows from..to inclusive (0-based), as in supabase-js
+    range(from, to) {
+        this.offsetValue = from;
+        this.limitValue = to - from + 1;
+        return this;
+    }
+
     single() {
         this.singleResult = true;
         return this;
@@ -166,26 +196,39 @@ class QueryBuilder {
         }
     }
 
+    // Make the builder awaitable like the Supabase client (`await supabase.from(...)...`)
+    then(resolve, reject) {
+        return this.execute().then(resolve, reject);
+    }
+
+    /**
+     * WHERE conditions joined with AND, adding their values to params
+     */
+    _whereClause(params) {
+        return this.where.map((condition) => {
+            if (condition.operator === 'IN') {
+                const placeholders = condition.value.map((val) => {
+                    params.push(val);
+                    return `$${params.length}`;
+                }).join(', ');
+                return `${condition.column} IN (${placeholders})`;
+            }
+            if (condition.operator === 'IS') {
+                const keyword = condition.value === null ? 'NULL' : condition.value ? 'TRUE' : 'FALSE';
+                return `${condition.column} IS ${keyword}`;
+            }
+            params.push(condition.value);
+            return `${condition.column} ${condition.operator} $${params.length}`;
+        }).join(' AND ');
+    }
+
     async _executeSelect() {
         let sql = `SELECT ${this.selectFields} FROM ${this.table}`;
         const params = [];
-        let paramIndex = 1;
 
         // Build WHERE clause
         if (this.where.length > 0) {
-            const conditions = this.where.map((condition) => {
-                if (condition.operator === 'IN') {
-                    const placeholders = condition.value.map((val) => {
-                        params.push(val);
-                        return `$${paramIndex++}`;
-                    }).join(', ');
-                    return `${condition.column} IN (${placeholders})`;
-                } else {
-                    params.push(condition.value);
-                    return `${condition.column} ${condition.operator} $${paramIndex++}`;
-                }
-            });
-            sql += ' WHERE ' + conditions.join(' AND ');
+            sql += ' WHERE ' + this._whereClause(params);
         }
 
         // Add ORDER BY
@@ -196,7 +239,12 @@ class QueryBuilder {
         // Add LIMIT
         if (this.limitValue) {
             params.push(this.limitValue);
-            sql += ` LIMIT $${paramIndex++}`;
+            sql += ` LIMIT $${params.length}`;
+        }
+
+        if (this.offsetValue) {
+            params.push(this.offsetValue);
+            sql += ` OFFSET $${params.length}`;
         }
 
         if (this.singleResult) {
@@ -216,10 +264,12 @@ class QueryBuilder {
     }
 
     async _executeInsert() {
-        const columns = Object.keys(this.data);
-        const values = Object.values(this.data);
-        const placeholders = values.map((_, i) => `$${i + 1}`).join(', ');
-        const sql = `INSERT INTO ${this.table} (${columns.join(', ')}) VALUES (${placeholders}) RETURNING ${this.selectFields}`;
+        // An array inserts several rows in one statement, so either all or none are stored
+        const rows = Array.isArray(this.data) ? this.data : [this.data];
+        const columns = Object.keys(rows[0]);
+        const values = [];
+        const tuples = this._valueTuples(rows, columns, values);
+        const sql = `INSERT INTO ${this.table} (${columns.join(', ')}) VALUES ${tuples.join(', ')} RETURNING ${this.selectFields}`;
         
         const result = await this.pool.query(sql, values);
         
@@ -231,13 +281,8 @@ class QueryBuilder {
 
     async _executeUpdate() {
         const setClause = Object.keys(this.data).map((key, i) => `${key} = $${i + 1}`).join(', ');
-        const values = Object.values(this.data);
-        let paramIndex = values.length + 1;
-        
-        const whereClause = this.where.map((condition) => {
-            values.push(condition.value);
-            return `${condition.column} ${condition.operator} $${paramIndex++}`;
-        }).join(' AND ');
+        const values = Object.values(this.data).map(toParam);
+        const whereClause = this._whereClause(values);
         
         const sql = `UPDATE ${this.table} SET ${setClause} WHERE ${whereClause} RETURNING ${this.selectFields}`;
         const result = await this.pool.query(sql, values);
@@ -249,33 +294,29 @@ class QueryBuilder {
     }
 
     async _executeUpsert() {
-        const columns = Object.keys(this.data);
-        const values = Object.values(this.data);
-        const placeholders = values.map((_, i) => `$${i + 1}`).join(', ');
+        const rows = Array.isArray(this.data) ? this.data : [this.data];
+        const columns = Object.keys(rows[0]);
+        const values = [];
+        const tuples = this._valueTuples(rows, columns, values);
         
-        // Get conflict column from options
-        const conflictColumn = this.upsertOptions.onConflict || 'key';
+        // Conflict target from options (comma-separated columns)
+        const conflictColumns = (this.upsertOptions.onConflict || 'key').split(',').map(col => col.trim());
         
-        // Build UPDATE clause (exclude conflict column)
+        // Update every other supplied column from the row being inserted
         const updateParts = columns
-            .filter(col => col !== conflictColumn)
-            .map((col, idx) => {
-                const valueIndex = columns.indexOf(col) + 1;
-                return `${col} = $${valueIndex}`;
-            });
+            .filter(col => !conflictColumns.includes(col))
+            .map(col => `${col} = EXCLUDED.${col}`);
         
         // Add updated_at for settings table
         if (this.table === 'settings' && !columns.includes('updated_at')) {
             updateParts.push('updated_at = NOW()');
-        } else if (this.data.updated_at !== undefined) {
-            const updatedAtIndex = columns.indexOf('updated_at') + 1;
-            updateParts.push(`updated_at = $${updatedAtIndex}`);
         }
         
+        const action = updateParts.length > 0 ? `DO UPDATE SET ${updateParts.join(', ')}` : 'DO NOTHING';
         const sql = `INSERT INTO ${this.table} (${columns.join(', ')}) 
-                     VALUES (${placeholders}) 
-                     ON CONFLICT (${conflictColumn}) 
-                     DO UPDATE SET ${updateParts.join(', ')} 
+                     VALUES ${tuples.join(', ')} 
+                     ON CONFLICT (${conflictColumns.join(', ')}) 
+                     ${action} 
                      RETURNING ${this.selectFields}`;
         
         const result = await this.pool.query(sql, values);
@@ -286,14 +327,22 @@ class QueryBuilder {
         return { data: result.rows, error: null };
     }
 
+    /**
+     * "($1, $2)" placeholder tuples for rows, adding their values to params
+     */
+    _valueTuples(rows, columns, params) {
+        return rows.map(row => {
+            const placeholders = columns.map(column => {
+                params.push(toParam(row[column]));
+                return `$${params.length}`;
+            });
+            return `(${placeholders.join(', ')})`;
+        });
+    }
+
     async _executeDelete() {
         const values = [];
-        let paramIndex = 1;
-        
-        const whereClause = this.where.map((condition) => {
-            values.push(condition.value);
-            return `${condition.column} ${condition.operator} $${paramIndex++}`;
-        }).join(' AND ');
+        const whereClause = this._whereClause(values);
         
         const sql = `DELETE FROM ${this.table} WHERE ${whereClause} RETURNING ${this.selectFields}`;
         const result = await this.pool.query(sql, values);
@@ -317,6 +366,25 @@ class PostgreSQLClient {
         return new QueryBuilder(this.pool, table);
     }
 
+    /**
+     * Call a database function with named arguments (Supabase `rpc` equivalent)
+     * Returns the function's return value as data
+     */
+    async rpc(fn, params = {}) {
+        const names = Object.keys(params);
+        const args = names.map((name, i) => `${name} => $${i + 1}`).join(', ');
+        // Objects and arrays are JSONB arguments (pg would send arrays as Postgres arrays)
+        const values = Object.values(params).map(toParam);
+        
+        try {
+            const result = await this.pool.query(`SELECT ${fn}(${args}) AS result`, values);
+            return { data: result.rows[0] ? result.rows[0].result : null, error: null };
+        } catch (error) {
+            logger.error(`PostgreSQL rpc error on ${fn}:`, error);
+            return { data: null, error };
+        }
+    }
+
     /**
      * Execute raw query (for advanced use cases)
      */
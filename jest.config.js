@@ -7,6 +7,8 @@ module.exports = {
     collectCoverageFrom: [
         'routes/**/*.js',
         'utils/**/*.js',
+        'jobs/**/*.js',
+        'repositories/**/*.js',
         '!**/node_modules/**'
     ],
     coverageDirectory: 'coverage',
@@ -0,0 +1,65 @@
+/**
+ * Scheduled backup job
+ * Writes a backup archive (utils/backup.js) to BACKUP_DIR whenever the newest
+ * one there is older than the interval, then deletes archives past the
+ * retention period. Checking the directory rather than counting from startup
+ * means restarts neither skip nor repeat a backup.
+ */
+
+const repositories = require('../repositories');
+const logger = require('../utils/logger');
+const { createBackup, writeBackup, listBackups, pruneBackups } = require('../utils/backup');
+
+const CHECK_INTERVAL_MS = 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Take a backup if one is due
+ * @param {Object} options - { dir, intervalHours, retentionDays, now (injectable for tests) }
+ * @returns {Promise<Object|null>} { file, pruned }, or null when no backup was due
+ */
+async function runScheduledBackup({ dir, intervalHours, retentionDays, now = new Date() }) {
+    const [latest] = listBackups(dir);
+    if (latest && now.getTime() - latest.createdAt.getTime() < intervalHours * HOUR_MS) {
+        return null;
+    }
+
+    const archive = await createBackup(repositories, { now });
+    const file = writeBackup(archive, dir);
+    const pruned = pruneBackups(dir, { retentionDays, now });
+
+    const rows = Object.values(archive.counts).reduce((sum, count) => sum + count, 0);
+    logger.info(`Backup written to ${file} (${rows} rows)${pruned.length ? `, ${pruned.length} old backup(s) deleted` : ''}`);
+    return { file, pruned };
+}
+
+/**
+ * Start the periodic backup check (runs once straight away)
+ * @param {Object} options
+ * @param {string} options.dir - Directory for the archives
+ * @param {number} [options.intervalHours] - Time between backups
+ * @param {number} [options.retentionDays] - How long to keep old backups
+ * @param {number} [options.checkIntervalMs] - How often to check whether one is due
+ * @returns {NodeJS.Timeout} Interval handle
+ */
+function startBackupJob({ dir, intervalHours = 24, retentionDays = 30, checkIntervalMs = CHECK_INTERVAL_MS }) {
+    const check = async () => {
+        try {
+            await runScheduledBackup({ dir, intervalHours, retentionDays });
+        } catch (error) {
+            logger.error('Scheduled backup failed:', error);
+        }
+    };
+
+    check();
+    const timer = setInterval(check, checkIntervalMs);
+
+    // Don't keep the process alive just for this job
+    timer.unref();
+    return timer;
+}
+
+module.exports = {
+    runScheduledBackup,
+    startBackupJob
+};
@@ -0,0 +1,110 @@
+/**
+ * No-show release job
+ * Releases desk bookings nobody checked in to within their location's grace
+ * window. Bookings are marked as no-shows (not deleted) so they can still be
+ * reported on, and the desk becomes free for the rest of the day.
+ */
+
+const { settingsRepo, locationsRepo, deskBookingsRepo } = require('../repositories');
+const { toCamelCase } = require('../utils/helpers');
+const logger = require('../utils/logger');
+const { getOpeningHours, bookingRange } = require('../utils/timeSlots');
+const { nextSequence } = require('../utils/calendarFeeds');
+const { utcToday } = require('../utils/recurrence');
+
+// Setting value: { default: 30, [locationId]: minutes | null }
+const GRACE_SETTING_KEY = 'checkin_grace_minutes';
+const CHECK_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Get a location's grace window from the setting value
+ * A location entry overrides the default; null switches auto-release off.
+ * @returns {number|null} Minutes, or null if auto-release is off
+ */
+function getGraceMinutes(graceSetting, locationId) {
+    if (!graceSetting) return null;
+    const value = locationId in graceSetting ? graceSetting[locationId] : graceSetting.default;
+    return Number.isInteger(value) ? value : null;
+}
+
+/**
+ * Release today's bookings whose check-in window has passed
+ * The window starts at the booking's start time (opening time for full-day bookings).
+ * "Today" and the time of day are read on the UTC clock, as the check-in route does,
+ * so a booking is never released on a day it couldn't be checked in to.
+ * @param {Date} now - Current time (injectable for tests)
+ * @returns {Promise<Object[]>} Released bookings (camelCase)
+ */
+async function releaseNoShows(now = new Date()) {
+    const graceSetting = await settingsRepo.get(GRACE_SETTING_KEY);
+    if (!graceSetting) return [];
+
+    const bookings = await deskBookingsRepo.find({
+        date: utcToday(now),
+        checked_in: false,
+        no_show: { neq: true }
+    });
+    if (bookings.length === 0) return [];
+
+    const locations = await locationsRepo.find();
+    const nowMinutes = now.getUTCHours() * 60 + now.getUTCMinutes();
+    const released = [];
+
+    for (const booking of bookings) {
+        const grace = getGraceMinutes(graceSetting, booking.location_id);
+        if (grace === null) continue;
+
+        const location = locations.find(l => l.id === booking.location_id);
+        const { start } = bookingRange(booking, getOpeningHours(location));
+        if (nowMinutes < start + grace) continue;
+
+        // Only release if nobody checked in since we read the booking
+        let updated;
+        try {
+            [updated] = await deskBookingsRepo.update(
+                { id: booking.id, checked_in: false },
+                { no_show: true, released_at: now.toISOString(), sequence: nextSequence(booking) }
+            );
+        } catch (updateError) {
+            logger.error(`Failed to release desk booking ${booking.id}:`, updateError);
+            continue;
+        }
+        if (updated) {
+            released.push(toCamelCase(updated));
+        }
+    }
+
+    if (released.length > 0) {
+        logger.info(`Released ${released.length} no-show desk booking(s)`);
+    }
+    return released;
+}
+
+/**
+ * Start the periodic no-show check
+ * @param {Object} options
+ * @param {Function} options.onRelease - Called with each released booking
+ * @param {number} [options.intervalMs] - How often to check
+ * @returns {NodeJS.Timeout} Interval handle
+ */
+function startNoShowJob({ onRelease, intervalMs = CHECK_INTERVAL_MS }) {
+    const timer = setInterval(async () => {
+        try {
+            const released = await releaseNoShows();
+            released.forEach(booking => onRelease(booking));
+        } catch (error) {
+            logger.error('Error releasing no-show desk bookings:', error);
+        }
+    }, intervalMs);
+
+    // Don't keep the process alive just for this job
+    timer.unref();
+    return timer;
+}
+
+module.exports = {
+    GRACE_SETTING_KEY,
+    getGraceMinutes,
+    releaseNoShows,
+    startNoShowJob
+};
@@ -0,0 +1,40 @@
+/**
+ * Trash purge job
+ * Deletes for good the bookings, teams and locations that have been in the
+ * trash longer than the retention period (utils/trash.js).
+ */
+
+const logger = require('../utils/logger');
+const { purgeTrash } = require('../utils/trash');
+
+const CHECK_INTERVAL_MS = 6 * 60 * 60 * 1000;
+
+/**
+ * Start the periodic purge (runs once straight away)
+ * @param {Object} options
+ * @param {number} options.retentionDays - Days an item stays in the trash
+ * @param {number} [options.intervalMs] - How often to purge
+ * @returns {NodeJS.Timeout} Interval handle
+ */
+function startTrashPurgeJob({ retentionDays, intervalMs = CHECK_INTERVAL_MS }) {
+    const purge = async () => {
+        try {
+            const purged = await purgeTrash({ retentionDays });
+            const total = purged.bookings + purged.teams + purged.locations;
+            if (total > 0) {
+                logger.info(`Purged from the trash: ${purged.bookings} booking(s), ${purged.teams} team(s), ${purged.locations} location(s)`);
+            }
+        } catch (error) {
+            logger.error('Error purging the trash:', error);
+        }
+    };
+
+    purge();
+    const timer = setInterval(purge, intervalMs);
+
+    // Don't keep the process alive just for this job
+    timer.unref();
+    return timer;
+}
+
+module.exports = { startTrashPurgeJob };
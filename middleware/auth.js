@@ -65,6 +65,42 @@ function getVerifyOptions() {
     };
 }
 
+/**
+ * Whether Azure AD token validation is configured
+ */
+function isAuthConfigured() {
+    return !!(AZURE_AD_TENANT_ID && AZURE_AD_CLIENT_ID);
+}
+
+/**
+ * Verify a bearer token
+ * @param {string} token - Raw JWT
+ * @returns {Promise<Object>} Decoded claims (rejects with the jsonwebtoken error)
+ */
+function verifyToken(token) {
+    return new Promise((resolve, reject) => {
+        jwt.verify(token, getSigningKey, getVerifyOptions(), (err, decoded) => {
+            if (err) return reject(err);
+            resolve(decoded);
+        });
+    });
+}
+
+/**
+ * Build the user object attached to requests and sockets from verified claims
+ */
+function userFromToken(decoded) {
+    return {
+        authenticated: true,
+        id: decoded.oid || decoded.sub, // Object ID or Subject
+        email: decoded.email || decoded.preferred_username || decoded.upn,
+        name: decoded.name,
+        roles: decoded.roles || [],
+        groups: decoded.groups || [],
+        rawToken: decoded
+    };
+}
+
 /**
  * Extract token from Authorization header
  */
@@ -122,15 +158,7 @@ function authenticate(req, res, next) {
         }
         
         // Attach user info to request
-        req.user = {
-            authenticated: true,
-            id: decoded.oid || decoded.sub, // Object ID or Subject
-            email: decoded.email || decoded.preferred_username || decoded.upn,
-            name: decoded.name,
-            roles: decoded.roles || [],
-            groups: decoded.groups || [],
-            rawToken: decoded
-        };
+        req.user = userFromToken(decoded);
         
         logger.info(`Authenticated user: ${req.user.email}`);
         next();
@@ -163,15 +191,7 @@ function optionalAuth(req, res, next) {
             return next();
         }
         
-        req.user = {
-            authenticated: true,
-            id: decoded.oid || decoded.sub,
-            email: decoded.email || decoded.preferred_username || decoded.upn,
-            name: decoded.name,
-            roles: decoded.roles || [],
-            groups: decoded.groups || [],
-            rawToken: decoded
-        };
+        req.user = userFromToken(decoded);
         
         logger.debug('User authenticated:', req.user.email);
         next();
@@ -219,6 +239,9 @@ module.exports = {
     optionalAuth,
     requireRole,
     hasRole,
-    extractToken
+    extractToken,
+    isAuthConfigured,
+    verifyToken,
+    userFromToken
 };
 
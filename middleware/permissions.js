@@ -0,0 +1,211 @@
+/**
+ * Permission Middleware
+ *
+ * Roles, from most to least privileged:
+ *   Admin         - everything, including locations, holidays, settings and role assignments
+ *   LocationAdmin - a location's details, desks, floor plan, teams and overbooking approvals
+ *   TeamManager   - a team's details and office bookings
+ *   Employee      - any signed-in user; can manage their own desk bookings
+ *
+ * Roles come from Azure AD app roles ('Admin', 'LocationAdmin' - which covers every
+ * location) or from the role_assignments table, where LocationAdmin and TeamManager
+ * are scoped to one location or team. A team's manager_email also makes that user
+ * its TeamManager.
+ *
+ * Like requireAuthForWrites, checks are skipped unless REQUIRE_AUTH=true.
+ */
+
+const { roleAssignmentsRepo, teamsRepo, forTable } = require('../repositories');
+const logger = require('../utils/logger');
+
+const ROLES = {
+    ADMIN: 'Admin',
+    LOCATION_ADMIN: 'LocationAdmin',
+    TEAM_MANAGER: 'TeamManager',
+    EMPLOYEE: 'Employee'
+};
+
+// Roles that can be granted through role_assignments (Employee is implicit)
+const ASSIGNABLE_ROLES = [ROLES.ADMIN, ROLES.LOCATION_ADMIN, ROLES.TEAM_MANAGER];
+
+const PERMISSIONS = {
+    MANAGE_SYSTEM: 'manage_system',             // locations, holidays, settings, role assignments
+    MANAGE_LOCATION: 'manage_location',         // a location's details, desks, floor plan, teams, approvals
+    MANAGE_TEAM: 'manage_team',                 // a team's details and office bookings
+    MANAGE_DESK_BOOKING: 'manage_desk_booking'  // a desk booking (employees: only their own)
+};
+
+function isEnforced() {
+    return process.env.REQUIRE_AUTH === 'true';
+}
+
+function normalizeEmail(email) {
+    return (email || '').trim().toLowerCase();
+}
+
+/**
+ * Resolve the signed-in user's roles (cached on the request)
+ * @returns {Promise<Object>} { email, isAdmin, allLocations, locationIds, teamIds }
+ */
+async function getUserPermissions(req) {
+    if (req.permissions) return req.permissions;
+
+    const authenticated = !!req.user?.authenticated;
+    const appRoles = authenticated ? (req.user.roles || []) : [];
+    const email = authenticated ? normalizeEmail(req.user.email) : '';
+
+    const permissions = {
+        email,
+        isAdmin: appRoles.includes(ROLES.ADMIN),
+        allLocations: appRoles.includes(ROLES.LOCATION_ADMIN),
+        locationIds: [],
+        teamIds: []
+    };
+
+    if (email) {
+        const assignments = await roleAssignmentsRepo.find({ user_email: email });
+
+        for (const assignment of assignments) {
+            if (assignment.role === ROLES.ADMIN) {
+                permissions.isAdmin = true;
+            } else if (assignment.role === ROLES.LOCATION_ADMIN) {
+                permissions.locationIds.push(assignment.location_id);
+            } else if (assignment.role === ROLES.TEAM_MANAGER) {
+                permissions.teamIds.push(assignment.team_id);
+            }
+        }
+
+        const managedTeams = await teamsRepo.find({ manager_email: email }, { fields: 'id' });
+
+        managedTeams.forEach(team => {
+            if (!permissions.teamIds.includes(team.id)) permissions.teamIds.push(team.id);
+        });
+    }
+
+    req.permissions = permissions;
+    return permissions;
+}
+
+/**
+ * Check a permission against a scope
+ * @param {Object} permissions - From getUserPermissions
+ * @param {string} permission - One of PERMISSIONS
+ * @param {Object} [scope] - { locationId, teamId, ownerEmail } of the affected resource
+ */
+function can(permissions, permission, scope = {}) {
+    if (permissions.isAdmin) return true;
+
+    const adminsLocation = !!scope.locationId &&
+        (permissions.allLocations || permissions.locationIds.includes(scope.locationId));
+    const managesTeam = !!scope.teamId && permissions.teamIds.includes(scope.teamId);
+    const ownsResource = !!permissions.email && normalizeEmail(scope.ownerEmail) === permissions.email;
+
+    switch (permission) {
+        case PERMISSIONS.MANAGE_LOCATION:
+            return adminsLocation;
+        case PERMISSIONS.MANAGE_TEAM:
+            return adminsLocation || managesTeam;
+        case PERMISSIONS.MANAGE_DESK_BOOKING:
+            return adminsLocation || managesTeam || ownsResource;
+        default:
+            return false;
+    }
+}
+
+/**
+ * Middleware that requires a permission
+ * @param {string} permission - One of PERMISSIONS
+ * @param {Object} [options]
+ * @param {Function} [options.scope] - (req) => scope or Promise of one; return null to skip
+ *   the check (e.g. the resource doesn't exist and the route will return 404)
+ * @param {string} [options.message] - Error message for 403 responses
+ *
+ * Usage: router.delete('/:id', authorize(PERMISSIONS.MANAGE_LOCATION, { scope: recordScope('desks') }), ...)
+ */
+function authorize(permission, { scope = () => ({}), message } = {}) {
+    return async (req, res, next) => {
+        if (!isEnforced()) {
+            return next();
+        }
+
+        try {
+            const resolved = await scope(req);
+            if (resolved === null) {
+                return next();
+            }
+
+            const permissions = await getUserPermissions(req);
+            if (!can(permissions, permission, resolved)) {
+                logger.warn(`Forbidden: ${req.method} ${req.originalUrl} by ${permissions.email || 'anonymous'}`);
+                return res.status(403).json({
+                    error: message || 'You do not have permission to perform this action',
+                    code: 'FORBIDDEN',
+                    required: permission
+                });
+            }
+
+            next();
+        } catch (error) {
+            logger.error('Error checking permissions:', error);
+            return res.status(500).json({ error: 'Failed to verify permissions' });
+        }
+    };
+}
+
+/**
+ * Scope of an existing row, looked up by a route param
+ * Rows in the trash count, so restoring one needs the same permission as deleting it.
+ * @param {string} table - Table name
+ * @param {string} [param] - Route param holding the row ID
+ * @returns {Function} Scope resolver for authorize (null if the row doesn't exist)
+ */
+function recordScope(table, param = 'id') {
+    return async (req) => {
+        const row = await forTable(table).findById(req.params[param], { withDeleted: true });
+
+        if (!row) return null;
+        return {
+            locationId: table === 'locations' ? row.id : row.location_id,
+            teamId: table === 'teams' ? row.id : row.team_id,
+            ownerEmail: row.employee_email
+        };
+    };
+}
+
+/**
+ * Scope of a resource being created, from the location named in the request body
+ * Returns null without a location so the route can return its own 400.
+ */
+function bodyLocationScope(req) {
+    return req.body.locationId ? { locationId: req.body.locationId } : null;
+}
+
+/**
+ * Scope of the location an existing row is being moved to
+ * @param {string} table - Table name
+ * @returns {Function} Scope resolver for authorize (null unless locationId changes)
+ */
+function movedLocationScope(table, param = 'id') {
+    return async (req) => {
+        if (!req.body.locationId) return null;
+
+        const row = await forTable(table).findById(req.params[param], { fields: 'location_id' });
+
+        if (!row || row.location_id === req.body.locationId) return null;
+        return { locationId: req.body.locationId };
+    };
+}
+
+module.exports = {
+    ROLES,
+    ASSIGNABLE_ROLES,
+    PERMISSIONS,
+    normalizeEmail,
+    isEnforced,
+    getUserPermissions,
+    can,
+    authorize,
+    recordScope,
+    bodyLocationScope,
+    movedLocationScope
+};
@@ -6,7 +6,7 @@
  *    export SUPABASE_URL=https://xxxxx.supabase.co
  *    export SUPABASE_SECRET_KEY=sb_secret_...
  * 
- * 2. Run the schema first in Supabase SQL Editor (supabase-schema.sql)
+ * 2. Create the schema first: set DATABASE_URL and run npm run migrate
  * 
  * 3. Run this script:
  *    node migrate-to-supabase.js
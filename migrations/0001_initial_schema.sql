@@ -0,0 +1,398 @@
+-- Initial schema: the tables and database functions of the former
+-- supabase-schema.sql / postgresql-schema.sql. Written with IF NOT EXISTS and
+-- ADD COLUMN IF NOT EXISTS, so databases created from those files (at any
+-- earlier version) can run it too and are brought up to date.
+
+-- migrate:up
+-- ============================================
+-- LOCATIONS TABLE
+-- ============================================
+CREATE TABLE IF NOT EXISTS locations (
+    id TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    address TEXT DEFAULT '',
+    capacity INTEGER DEFAULT 21,
+    floors INTEGER DEFAULT 1,  -- Number of floors at this location
+    floor_plan_width INTEGER,
+    floor_plan_height INTEGER,
+    opening_time TIME DEFAULT '08:00',  -- Bounds for desk booking time slots
+    closing_time TIME DEFAULT '18:00',
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+ALTER TABLE locations ADD COLUMN IF NOT EXISTS opening_time TIME DEFAULT '08:00';
+ALTER TABLE locations ADD COLUMN IF NOT EXISTS closing_time TIME DEFAULT '18:00';
+
+-- ============================================
+-- TEAMS TABLE
+-- ============================================
+CREATE TABLE IF NOT EXISTS teams (
+    id TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    manager TEXT DEFAULT '',
+    manager_email TEXT DEFAULT '',
+    manager_image TEXT DEFAULT '',
+    color TEXT DEFAULT '#6B7280',
+    member_count INTEGER DEFAULT 1,
+    location_id TEXT REFERENCES locations(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Existing databases: the manager's email makes them the team's TeamManager
+ALTER TABLE teams ADD COLUMN IF NOT EXISTS manager_email TEXT DEFAULT '';
+CREATE INDEX IF NOT EXISTS idx_teams_manager_email ON teams(manager_email);
+
+-- ============================================
+-- BOOKING SERIES TABLE (Recurring team bookings)
+-- ============================================
+-- rule: { frequency: 'weekly'|'monthly', interval, weekdays | weekOfMonth + weekday, until | count }
+CREATE TABLE IF NOT EXISTS booking_series (
+    id TEXT PRIMARY KEY,
+    team_id TEXT REFERENCES teams(id) ON DELETE CASCADE,
+    team_name TEXT NOT NULL,
+    people_count INTEGER NOT NULL,
+    location_id TEXT REFERENCES locations(id) ON DELETE CASCADE,
+    notes TEXT DEFAULT '',
+    start_date DATE NOT NULL,
+    rule JSONB NOT NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- ============================================
+-- BOOKINGS TABLE (Team bookings)
+-- ============================================
+CREATE TABLE IF NOT EXISTS bookings (
+    id TEXT PRIMARY KEY,
+    date DATE NOT NULL,
+    team_id TEXT REFERENCES teams(id) ON DELETE CASCADE,
+    team_name TEXT NOT NULL,
+    people_count INTEGER NOT NULL,
+    location_id TEXT REFERENCES locations(id) ON DELETE CASCADE,
+    notes TEXT DEFAULT '',
+    is_overbooked BOOLEAN DEFAULT FALSE,
+    status TEXT DEFAULT 'confirmed', -- 'pending' overbookings don't count toward capacity until approved
+    series_id TEXT REFERENCES booking_series(id) ON DELETE SET NULL,
+    sequence INTEGER NOT NULL DEFAULT 0, -- iCalendar SEQUENCE, bumped on every change
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Existing databases: add the series link, approval status and calendar sequence
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS series_id TEXT REFERENCES booking_series(id) ON DELETE SET NULL;
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS status TEXT DEFAULT 'confirmed';
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS sequence INTEGER NOT NULL DEFAULT 0;
+
+-- Index for faster queries
+CREATE INDEX IF NOT EXISTS idx_bookings_date_location ON bookings(date, location_id);
+CREATE INDEX IF NOT EXISTS idx_bookings_team ON bookings(team_id);
+CREATE INDEX IF NOT EXISTS idx_bookings_series ON bookings(series_id);
+CREATE INDEX IF NOT EXISTS idx_bookings_status ON bookings(status);
+
+-- One booking per team per day (remove any existing duplicates before upgrading)
+CREATE UNIQUE INDEX IF NOT EXISTS idx_bookings_unique_team_day ON bookings(date, location_id, team_id);
+
+-- ============================================
+-- CREATE TEAM BOOKING FUNCTION (Atomic capacity check + insert)
+-- ============================================
+-- Called by the API (supabase.rpc / postgres.rpc) so the capacity check and the insert
+-- happen in one transaction. A transaction-level advisory lock per location and day
+-- serialises concurrent bookings for the same day; the unique index catches duplicates.
+-- Returns { ok, booking, remaining } or { ok: false, reason: 'invalid_location'|'duplicate'|'capacity', remaining }.
+CREATE OR REPLACE FUNCTION create_team_booking(
+    p_id TEXT,
+    p_date DATE,
+    p_team_id TEXT,
+    p_team_name TEXT,
+    p_people_count INTEGER,
+    p_location_id TEXT,
+    p_notes TEXT DEFAULT '',
+    p_allow_overbooking BOOLEAN DEFAULT FALSE,
+    p_series_id TEXT DEFAULT NULL
+) RETURNS JSONB AS $$
+DECLARE
+    v_capacity INTEGER;
+    v_total INTEGER;
+    v_overbooked BOOLEAN;
+    v_booking bookings;
+BEGIN
+    PERFORM pg_advisory_xact_lock(hashtext(p_location_id || ':' || p_date::TEXT));
+
+    SELECT capacity INTO v_capacity FROM locations WHERE id = p_location_id;
+    IF NOT FOUND THEN
+        RETURN jsonb_build_object('ok', FALSE, 'reason', 'invalid_location');
+    END IF;
+
+    -- Pending overbookings don't count toward capacity until approved
+    SELECT COALESCE(SUM(people_count), 0) INTO v_total
+    FROM bookings
+    WHERE date = p_date AND location_id = p_location_id AND status <> 'pending';
+
+    IF EXISTS (SELECT 1 FROM bookings WHERE date = p_date AND location_id = p_location_id AND team_id = p_team_id) THEN
+        RETURN jsonb_build_object('ok', FALSE, 'reason', 'duplicate', 'remaining', v_capacity - v_total);
+    END IF;
+
+    v_overbooked := v_total + p_people_count > v_capacity;
+    IF v_overbooked AND NOT p_allow_overbooking THEN
+        RETURN jsonb_build_object('ok', FALSE, 'reason', 'capacity', 'remaining', v_capacity - v_total);
+    END IF;
+
+    INSERT INTO bookings (id, date, team_id, team_name, people_count, location_id, notes, is_overbooked, status, series_id, created_at)
+    VALUES (p_id, p_date, p_team_id, p_team_name, p_people_count, p_location_id, COALESCE(p_notes, ''),
+            v_overbooked, CASE WHEN v_overbooked THEN 'pending' ELSE 'confirmed' END, p_series_id, NOW())
+    RETURNING * INTO v_booking;
+
+    RETURN jsonb_build_object(
+        'ok', TRUE,
+        'booking', to_jsonb(v_booking),
+        'remaining', v_capacity - v_total - CASE WHEN v_overbooked THEN 0 ELSE p_people_count END
+    );
+EXCEPTION WHEN unique_violation THEN
+    RETURN jsonb_build_object('ok', FALSE, 'reason', 'duplicate');
+END;
+$$ LANGUAGE plpgsql;
+
+-- ============================================
+-- IMPORT TEAM BOOKINGS FUNCTION (All-or-nothing bulk create)
+-- ============================================
+-- Creates each booking through create_team_booking in one transaction. If any row is
+-- refused, every booking inserted so far is rolled back and the failing row is reported.
+-- p_bookings is a JSON array of { id, date, team_id, team_name, people_count, location_id, notes, allow_overbooking }.
+-- Returns { ok, bookings } or { ok: false, index, reason, remaining } (index is 0-based).
+CREATE OR REPLACE FUNCTION import_team_bookings(p_bookings JSONB) RETURNS JSONB AS $$
+DECLARE
+    v_item JSONB;
+    v_index INTEGER := 0;
+    v_result JSONB;
+    v_created JSONB := '[]'::JSONB;
+    v_failure JSONB;
+BEGIN
+    BEGIN
+        FOR v_item IN SELECT * FROM jsonb_array_elements(p_bookings) LOOP
+            v_result := create_team_booking(
+                v_item->>'id',
+                (v_item->>'date')::DATE,
+                v_item->>'team_id',
+                v_item->>'team_name',
+                (v_item->>'people_count')::INTEGER,
+                v_item->>'location_id',
+                COALESCE(v_item->>'notes', ''),
+                COALESCE((v_item->>'allow_overbooking')::BOOLEAN, FALSE)
+            );
+            IF NOT (v_result->>'ok')::BOOLEAN THEN
+                v_failure := v_result || jsonb_build_object('index', v_index);
+                RAISE EXCEPTION 'import_row_rejected';
+            END IF;
+            v_created := v_created || jsonb_build_array(v_result->'booking');
+            v_index := v_index + 1;
+        END LOOP;
+    EXCEPTION WHEN raise_exception THEN
+        -- Leaving the block undoes the inserts above
+        RETURN v_failure;
+    END;
+
+    RETURN jsonb_build_object('ok', TRUE, 'bookings', v_created);
+END;
+$$ LANGUAGE plpgsql;
+
+-- ============================================
+-- BOOKING APPROVALS TABLE (Overbooking decision history)
+-- ============================================
+-- Keeps a snapshot of the booking so rejected (deleted) bookings stay traceable
+CREATE TABLE IF NOT EXISTS booking_approvals (
+    id TEXT PRIMARY KEY,
+    booking_id TEXT NOT NULL,
+    date DATE NOT NULL,
+    location_id TEXT REFERENCES locations(id) ON DELETE CASCADE,
+    team_id TEXT,
+    team_name TEXT NOT NULL,
+    people_count INTEGER NOT NULL,
+    decision TEXT NOT NULL, -- 'approved' or 'rejected'
+    reason TEXT DEFAULT '',
+    decided_by TEXT,
+    decided_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_booking_approvals_location ON booking_approvals(location_id, decided_at);
+
+-- ============================================
+-- BOOKING WAITLIST TABLE (Teams waiting for space on a full day)
+-- ============================================
+CREATE TABLE IF NOT EXISTS booking_waitlist (
+    id TEXT PRIMARY KEY,
+    date DATE NOT NULL,
+    team_id TEXT REFERENCES teams(id) ON DELETE CASCADE,
+    team_name TEXT NOT NULL,
+    people_count INTEGER NOT NULL,
+    location_id TEXT REFERENCES locations(id) ON DELETE CASCADE,
+    notes TEXT DEFAULT '',
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE(date, location_id, team_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_booking_waitlist_date_location ON booking_waitlist(date, location_id, created_at);
+
+-- ============================================
+-- PUBLIC HOLIDAYS TABLE
+-- ============================================
+CREATE TABLE IF NOT EXISTS public_holidays (
+    id SERIAL PRIMARY KEY,
+    date DATE NOT NULL UNIQUE,
+    name TEXT NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_holidays_date ON public_holidays(date);
+
+-- ============================================
+-- DESKS TABLE
+-- ============================================
+CREATE TABLE IF NOT EXISTS desks (
+    id TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    location_id TEXT REFERENCES locations(id) ON DELETE CASCADE,
+    floor TEXT DEFAULT '1',
+    zone TEXT DEFAULT '',
+    x INTEGER DEFAULT 0,
+    y INTEGER DEFAULT 0,
+    width INTEGER DEFAULT 60,
+    height INTEGER DEFAULT 40,
+    desk_type TEXT DEFAULT 'hotseat', -- hotseat, team_seat, unavailable
+    assigned_team_id TEXT REFERENCES teams(id) ON DELETE SET NULL,
+    chair_positions JSONB DEFAULT '["bottom"]'::jsonb,
+    qr_code TEXT UNIQUE,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_desks_location ON desks(location_id);
+
+-- ============================================
+-- DESK BOOKINGS TABLE
+-- ============================================
+-- Note: start_time and end_time are now optional (full-day bookings by default)
+CREATE TABLE IF NOT EXISTS desk_bookings (
+    id TEXT PRIMARY KEY,
+    desk_id TEXT REFERENCES desks(id) ON DELETE CASCADE,
+    desk_name TEXT NOT NULL,
+    location_id TEXT REFERENCES locations(id) ON DELETE CASCADE,
+    date DATE NOT NULL,
+    start_time TIME, -- NULL means full day (location opening hours)
+    end_time TIME,   -- NULL means full day (location opening hours)
+    employee_name TEXT NOT NULL,
+    employee_email TEXT DEFAULT '',
+    team_id TEXT REFERENCES teams(id) ON DELETE SET NULL,
+    checked_in BOOLEAN DEFAULT FALSE,
+    checked_in_at TIMESTAMPTZ,
+    no_show BOOLEAN NOT NULL DEFAULT FALSE, -- Released after the check-in grace window
+    released_at TIMESTAMPTZ,
+    sequence INTEGER NOT NULL DEFAULT 0, -- iCalendar SEQUENCE, bumped on every change
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+ALTER TABLE desk_bookings ADD COLUMN IF NOT EXISTS no_show BOOLEAN NOT NULL DEFAULT FALSE;
+ALTER TABLE desk_bookings ADD COLUMN IF NOT EXISTS released_at TIMESTAMPTZ;
+ALTER TABLE desk_bookings ADD COLUMN IF NOT EXISTS sequence INTEGER NOT NULL DEFAULT 0;
+
+CREATE INDEX IF NOT EXISTS idx_desk_bookings_date_location ON desk_bookings(date, location_id);
+CREATE INDEX IF NOT EXISTS idx_desk_bookings_desk_date ON desk_bookings(desk_id, date);
+CREATE INDEX IF NOT EXISTS idx_desk_bookings_no_show ON desk_bookings(employee_email) WHERE no_show;
+
+-- ============================================
+-- FLOOR ELEMENTS TABLE
+-- ============================================
+CREATE TABLE IF NOT EXISTS floor_elements (
+    id TEXT PRIMARY KEY,
+    type TEXT NOT NULL, -- wall, room, label
+    location_id TEXT REFERENCES locations(id) ON DELETE CASCADE,
+    floor TEXT DEFAULT '1',
+    x INTEGER DEFAULT 0,
+    y INTEGER DEFAULT 0,
+    width INTEGER DEFAULT 100,
+    height INTEGER DEFAULT 100,
+    rotation INTEGER DEFAULT 0, -- Rotation angle in degrees (for walls: 0=horizontal, 90=vertical, 45/-45=diagonal)
+    points JSONB DEFAULT '[]'::jsonb,
+    label TEXT DEFAULT '',
+    color TEXT,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+ALTER TABLE floor_elements ADD COLUMN IF NOT EXISTS rotation INTEGER DEFAULT 0;
+
+CREATE INDEX IF NOT EXISTS idx_floor_elements_location ON floor_elements(location_id);
+
+-- ============================================
+-- SETTINGS TABLE (Application configuration)
+-- ============================================
+CREATE TABLE IF NOT EXISTS settings (
+    key TEXT PRIMARY KEY,
+    value JSONB NOT NULL,
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- ============================================
+-- ROLE ASSIGNMENTS TABLE (Local roles alongside Azure AD app roles)
+-- ============================================
+-- role: 'Admin' (global), 'LocationAdmin' (location_id) or 'TeamManager' (team_id)
+CREATE TABLE IF NOT EXISTS role_assignments (
+    id TEXT PRIMARY KEY,
+    user_email TEXT NOT NULL,
+    role TEXT NOT NULL CHECK (role IN ('Admin', 'LocationAdmin', 'TeamManager')),
+    location_id TEXT REFERENCES locations(id) ON DELETE CASCADE,
+    team_id TEXT REFERENCES teams(id) ON DELETE CASCADE,
+    created_by TEXT,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_role_assignments_email ON role_assignments(user_email);
+
+-- ============================================
+-- CALENDAR FEEDS TABLE (iCalendar subscriptions)
+-- ============================================
+-- The token is the only credential calendar clients send - revoke by deleting the row
+CREATE TABLE IF NOT EXISTS calendar_feeds (
+    id TEXT PRIMARY KEY,
+    token TEXT NOT NULL UNIQUE,
+    user_email TEXT NOT NULL,
+    feed_type TEXT NOT NULL CHECK (feed_type IN ('team', 'location', 'person')),
+    target_id TEXT, -- team or location ID, NULL for person feeds
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    last_accessed_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_calendar_feeds_user ON calendar_feeds(user_email);
+
+-- ============================================
+-- CALENDAR CANCELLATIONS TABLE
+-- ============================================
+-- Deleted bookings and desk bookings, published as cancelled events so
+-- subscribed calendars remove them. id is the event UID.
+CREATE TABLE IF NOT EXISTS calendar_cancellations (
+    id TEXT PRIMARY KEY,
+    source TEXT NOT NULL CHECK (source IN ('bookings', 'desk_bookings')),
+    date DATE NOT NULL,
+    start_time TIME,
+    end_time TIME,
+    team_id TEXT,
+    location_id TEXT,
+    employee_email TEXT,
+    summary TEXT NOT NULL,
+    sequence INTEGER NOT NULL DEFAULT 0,
+    cancelled_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_calendar_cancellations_date ON calendar_cancellations(source, date);
+
+-- migrate:down
+DROP FUNCTION IF EXISTS import_team_bookings(JSONB);
+DROP FUNCTION IF EXISTS create_team_booking(TEXT, DATE, TEXT, TEXT, INTEGER, TEXT, TEXT, BOOLEAN, TEXT);
+DROP TABLE IF EXISTS calendar_cancellations;
+DROP TABLE IF EXISTS calendar_feeds;
+DROP TABLE IF EXISTS role_assignments;
+DROP TABLE IF EXISTS settings;
+DROP TABLE IF EXISTS floor_elements;
+DROP TABLE IF EXISTS desk_bookings;
+DROP TABLE IF EXISTS desks;
+DROP TABLE IF EXISTS public_holidays;
+DROP TABLE IF EXISTS booking_waitlist;
+DROP TABLE IF EXISTS booking_approvals;
+DROP TABLE IF EXISTS bookings;
+DROP TABLE IF EXISTS booking_series;
+DROP TABLE IF EXISTS teams;
+DROP TABLE IF EXISTS locations;
@@ -0,0 +1,78 @@
+-- Row level security with allow-all policies, as Supabase expects on every
+-- table (adjust the policies for your security needs). The server connects as
+-- the table owner or service role, which these policies don't restrict, so
+-- this is harmless on a plain PostgreSQL database.
+
+-- migrate:up
+ALTER TABLE locations ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS "Allow all on locations" ON locations;
+CREATE POLICY "Allow all on locations" ON locations FOR ALL USING (true) WITH CHECK (true);
+ALTER TABLE teams ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS "Allow all on teams" ON teams;
+CREATE POLICY "Allow all on teams" ON teams FOR ALL USING (true) WITH CHECK (true);
+ALTER TABLE bookings ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS "Allow all on bookings" ON bookings;
+CREATE POLICY "Allow all on bookings" ON bookings FOR ALL USING (true) WITH CHECK (true);
+ALTER TABLE public_holidays ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS "Allow all on public_holidays" ON public_holidays;
+CREATE POLICY "Allow all on public_holidays" ON public_holidays FOR ALL USING (true) WITH CHECK (true);
+ALTER TABLE desks ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS "Allow all on desks" ON desks;
+CREATE POLICY "Allow all on desks" ON desks FOR ALL USING (true) WITH CHECK (true);
+ALTER TABLE desk_bookings ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS "Allow all on desk_bookings" ON desk_bookings;
+CREATE POLICY "Allow all on desk_bookings" ON desk_bookings FOR ALL USING (true) WITH CHECK (true);
+ALTER TABLE floor_elements ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS "Allow all on floor_elements" ON floor_elements;
+CREATE POLICY "Allow all on floor_elements" ON floor_elements FOR ALL USING (true) WITH CHECK (true);
+ALTER TABLE settings ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS "Allow all on settings" ON settings;
+CREATE POLICY "Allow all on settings" ON settings FOR ALL USING (true) WITH CHECK (true);
+ALTER TABLE booking_series ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS "Allow all on booking_series" ON booking_series;
+CREATE POLICY "Allow all on booking_series" ON booking_series FOR ALL USING (true) WITH CHECK (true);
+ALTER TABLE booking_waitlist ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS "Allow all on booking_waitlist" ON booking_waitlist;
+CREATE POLICY "Allow all on booking_waitlist" ON booking_waitlist FOR ALL USING (true) WITH CHECK (true);
+ALTER TABLE booking_approvals ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS "Allow all on booking_approvals" ON booking_approvals;
+CREATE POLICY "Allow all on booking_approvals" ON booking_approvals FOR ALL USING (true) WITH CHECK (true);
+ALTER TABLE role_assignments ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS "Allow all on role_assignments" ON role_assignments;
+CREATE POLICY "Allow all on role_assignments" ON role_assignments FOR ALL USING (true) WITH CHECK (true);
+ALTER TABLE calendar_feeds ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS "Allow all on calendar_feeds" ON calendar_feeds;
+CREATE POLICY "Allow all on calendar_feeds" ON calendar_feeds FOR ALL USING (true) WITH CHECK (true);
+ALTER TABLE calendar_cancellations ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS "Allow all on calendar_cancellations" ON calendar_cancellations;
+CREATE POLICY "Allow all on calendar_cancellations" ON calendar_cancellations FOR ALL USING (true) WITH CHECK (true);
+
+-- migrate:down
+DROP POLICY IF EXISTS "Allow all on locations" ON locations;
+ALTER TABLE locations DISABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS "Allow all on teams" ON teams;
+ALTER TABLE teams DISABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS "Allow all on bookings" ON bookings;
+ALTER TABLE bookings DISABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS "Allow all on public_holidays" ON public_holidays;
+ALTER TABLE public_holidays DISABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS "Allow all on desks" ON desks;
+ALTER TABLE desks DISABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS "Allow all on desk_bookings" ON desk_bookings;
+ALTER TABLE desk_bookings DISABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS "Allow all on floor_elements" ON floor_elements;
+ALTER TABLE floor_elements DISABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS "Allow all on settings" ON settings;
+ALTER TABLE settings DISABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS "Allow all on booking_series" ON booking_series;
+ALTER TABLE booking_series DISABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS "Allow all on booking_waitlist" ON booking_waitlist;
+ALTER TABLE booking_waitlist DISABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS "Allow all on booking_approvals" ON booking_approvals;
+ALTER TABLE booking_approvals DISABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS "Allow all on role_assignments" ON role_assignments;
+ALTER TABLE role_assignments DISABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS "Allow all on calendar_feeds" ON calendar_feeds;
+ALTER TABLE calendar_feeds DISABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS "Allow all on calendar_cancellations" ON calendar_cancellations;
+ALTER TABLE calendar_cancellations DISABLE ROW LEVEL SECURITY;
@@ -0,0 +1,47 @@
+-- Audit log: one row per change made through the API, recording who made it
+-- (actor), from where (ip), what changed (old and new values and a column
+-- diff) and when. location_id and team_id copy the changed row's scope so
+-- location admins and team managers can read the history of their own
+-- entities. Rows are only ever inserted: a trigger rejects updates and
+-- deletes, so the trail can't be edited after the fact.
+
+-- migrate:up
+CREATE TABLE IF NOT EXISTS audit_log (
+    id TEXT PRIMARY KEY,
+    action TEXT NOT NULL CHECK (action IN ('create', 'update', 'delete')),
+    entity_type TEXT NOT NULL,
+    entity_id TEXT NOT NULL,
+    location_id TEXT,
+    team_id TEXT,
+    actor_email TEXT,
+    actor_name TEXT,
+    ip TEXT,
+    old_values JSONB,
+    new_values JSONB,
+    changes JSONB,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_audit_log_created_at ON audit_log(created_at);
+CREATE INDEX IF NOT EXISTS idx_audit_log_entity ON audit_log(entity_type, entity_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_audit_log_actor ON audit_log(actor_email, created_at);
+CREATE INDEX IF NOT EXISTS idx_audit_log_location ON audit_log(location_id, created_at);
+
+CREATE OR REPLACE FUNCTION reject_audit_log_change() RETURNS TRIGGER AS $$
+BEGIN
+    RAISE EXCEPTION 'audit_log is append-only';
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS audit_log_append_only ON audit_log;
+CREATE TRIGGER audit_log_append_only
+    BEFORE UPDATE OR DELETE ON audit_log
+    FOR EACH ROW EXECUTE FUNCTION reject_audit_log_change();
+
+ALTER TABLE audit_log ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS "Allow all on audit_log" ON audit_log;
+CREATE POLICY "Allow all on audit_log" ON audit_log FOR ALL USING (true) WITH CHECK (true);
+
+-- migrate:down
+DROP TABLE IF EXISTS audit_log;
+DROP FUNCTION IF EXISTS reject_audit_log_change();
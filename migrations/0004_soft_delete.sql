@@ -0,0 +1,148 @@
+-- Soft delete for bookings, teams and locations: deleting one moves it to the
+-- trash (deleted_at and deleted_by are set) instead of removing the row, so it
+-- can be restored until the purge job removes it for good. Everything deleted
+-- in one request shares a deleted_at, which is how a team or location comes
+-- back with the bookings deleted along with it.
+-- Bookings in the trash neither count toward capacity nor stop the team
+-- booking the same day again, so the unique index and create_team_booking()
+-- skip them.
+
+-- migrate:up
+ALTER TABLE locations ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMPTZ;
+ALTER TABLE locations ADD COLUMN IF NOT EXISTS deleted_by TEXT;
+ALTER TABLE teams ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMPTZ;
+ALTER TABLE teams ADD COLUMN IF NOT EXISTS deleted_by TEXT;
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMPTZ;
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS deleted_by TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_locations_deleted_at ON locations(deleted_at) WHERE deleted_at IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_teams_deleted_at ON teams(deleted_at) WHERE deleted_at IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_bookings_deleted_at ON bookings(deleted_at) WHERE deleted_at IS NOT NULL;
+
+DROP INDEX IF EXISTS idx_bookings_unique_team_day;
+CREATE UNIQUE INDEX idx_bookings_unique_team_day ON bookings(date, location_id, team_id) WHERE deleted_at IS NULL;
+
+CREATE OR REPLACE FUNCTION create_team_booking(
+    p_id TEXT,
+    p_date DATE,
+    p_team_id TEXT,
+    p_team_name TEXT,
+    p_people_count INTEGER,
+    p_location_id TEXT,
+    p_notes TEXT DEFAULT '',
+    p_allow_overbooking BOOLEAN DEFAULT FALSE,
+    p_series_id TEXT DEFAULT NULL
+) RETURNS JSONB AS $$
+DECLARE
+    v_capacity INTEGER;
+    v_total INTEGER;
+    v_overbooked BOOLEAN;
+    v_booking bookings;
+BEGIN
+    PERFORM pg_advisory_xact_lock(hashtext(p_location_id || ':' || p_date::TEXT));
+
+    SELECT capacity INTO v_capacity FROM locations WHERE id = p_location_id AND deleted_at IS NULL;
+    IF NOT FOUND THEN
+        RETURN jsonb_build_object('ok', FALSE, 'reason', 'invalid_location');
+    END IF;
+
+    -- Pending overbookings don't count toward capacity until approved, nor do bookings in the trash
+    SELECT COALESCE(SUM(people_count), 0) INTO v_total
+    FROM bookings
+    WHERE date = p_date AND location_id = p_location_id AND status <> 'pending' AND deleted_at IS NULL;
+
+    IF EXISTS (SELECT 1 FROM bookings WHERE date = p_date AND location_id = p_location_id AND team_id = p_team_id AND deleted_at IS NULL) THEN
+        RETURN jsonb_build_object('ok', FALSE, 'reason', 'duplicate', 'remaining', v_capacity - v_total);
+    END IF;
+
+    v_overbooked := v_total + p_people_count > v_capacity;
+    IF v_overbooked AND NOT p_allow_overbooking THEN
+        RETURN jsonb_build_object('ok', FALSE, 'reason', 'capacity', 'remaining', v_capacity - v_total);
+    END IF;
+
+    INSERT INTO bookings (id, date, team_id, team_name, people_count, location_id, notes, is_overbooked, status, series_id, created_at)
+    VALUES (p_id, p_date, p_team_id, p_team_name, p_people_count, p_location_id, COALESCE(p_notes, ''),
+            v_overbooked, CASE WHEN v_overbooked THEN 'pending' ELSE 'confirmed' END, p_series_id, NOW())
+    RETURNING * INTO v_booking;
+
+    RETURN jsonb_build_object(
+        'ok', TRUE,
+        'booking', to_jsonb(v_booking),
+        'remaining', v_capacity - v_total - CASE WHEN v_overbooked THEN 0 ELSE p_people_count END
+    );
+EXCEPTION WHEN unique_violation THEN
+    RETURN jsonb_build_object('ok', FALSE, 'reason', 'duplicate');
+END;
+$$ LANGUAGE plpgsql;
+
+-- migrate:down
+-- The trash is emptied first: its rows would otherwise come back as live data
+DELETE FROM bookings WHERE deleted_at IS NOT NULL;
+DELETE FROM teams WHERE deleted_at IS NOT NULL;
+DELETE FROM locations WHERE deleted_at IS NOT NULL;
+
+DROP INDEX IF EXISTS idx_bookings_unique_team_day;
+CREATE UNIQUE INDEX idx_bookings_unique_team_day ON bookings(date, location_id, team_id);
+
+CREATE OR REPLACE FUNCTION create_team_booking(
+    p_id TEXT,
+    p_date DATE,
+    p_team_id TEXT,
+    p_team_name TEXT,
+    p_people_count INTEGER,
+    p_location_id TEXT,
+    p_notes TEXT DEFAULT '',
+    p_allow_overbooking BOOLEAN DEFAULT FALSE,
+    p_series_id TEXT DEFAULT NULL
+) RETURNS JSONB AS $$
+DECLARE
+    v_capacity INTEGER;
+    v_total INTEGER;
+    v_overbooked BOOLEAN;
+    v_booking bookings;
+BEGIN
+    PERFORM pg_advisory_xact_lock(hashtext(p_location_id || ':' || p_date::TEXT));
+
+    SELECT capacity INTO v_capacity FROM locations WHERE id = p_location_id;
+    IF NOT FOUND THEN
+        RETURN jsonb_build_object('ok', FALSE, 'reason', 'invalid_location');
+    END IF;
+
+    -- Pending overbookings don't count toward capacity until approved
+    SELECT COALESCE(SUM(people_count), 0) INTO v_total
+    FROM bookings
+    WHERE date = p_date AND location_id = p_location_id AND status <> 'pending';
+
+    IF EXISTS (SELECT 1 FROM bookings WHERE date = p_date AND location_id = p_location_id AND team_id = p_team_id) THEN
+        RETURN jsonb_build_object('ok', FALSE, 'reason', 'duplicate', 'remaining', v_capacity - v_total);
+    END IF;
+
+    v_overbooked := v_total + p_people_count > v_capacity;
+    IF v_overbooked AND NOT p_allow_overbooking THEN
+        RETURN jsonb_build_object('ok', FALSE, 'reason', 'capacity', 'remaining', v_capacity - v_total);
+    END IF;
+
+    INSERT INTO bookings (id, date, team_id, team_name, people_count, location_id, notes, is_overbooked, status, series_id, created_at)
+    VALUES (p_id, p_date, p_team_id, p_team_name, p_people_count, p_location_id, COALESCE(p_notes, ''),
+            v_overbooked, CASE WHEN v_overbooked THEN 'pending' ELSE 'confirmed' END, p_series_id, NOW())
+    RETURNING * INTO v_booking;
+
+    RETURN jsonb_build_object(
+        'ok', TRUE,
+        'booking', to_jsonb(v_booking),
+        'remaining', v_capacity - v_total - CASE WHEN v_overbooked THEN 0 ELSE p_people_count END
+    );
+EXCEPTION WHEN unique_violation THEN
+    RETURN jsonb_build_object('ok', FALSE, 'reason', 'duplicate');
+END;
+$$ LANGUAGE plpgsql;
+
+DROP INDEX IF EXISTS idx_bookings_deleted_at;
+DROP INDEX IF EXISTS idx_teams_deleted_at;
+DROP INDEX IF EXISTS idx_locations_deleted_at;
+ALTER TABLE bookings DROP COLUMN IF EXISTS deleted_by;
+ALTER TABLE bookings DROP COLUMN IF EXISTS deleted_at;
+ALTER TABLE teams DROP COLUMN IF EXISTS deleted_by;
+ALTER TABLE teams DROP COLUMN IF EXISTS deleted_at;
+ALTER TABLE locations DROP COLUMN IF EXISTS deleted_by;
+ALTER TABLE locations DROP COLUMN IF EXISTS deleted_at;
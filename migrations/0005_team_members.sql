@@ -0,0 +1,26 @@
+-- Team rosters: the people on each team, added by hand or synced from the
+-- manager's Azure AD direct reports (source 'azure'; a sync only replaces
+-- those). Once a team has members, its member_count is their number and
+-- bookings can't be for more people than that.
+
+-- migrate:up
+CREATE TABLE IF NOT EXISTS team_members (
+    id TEXT PRIMARY KEY,
+    team_id TEXT NOT NULL REFERENCES teams(id) ON DELETE CASCADE,
+    email TEXT NOT NULL,
+    name TEXT NOT NULL,
+    job_title TEXT,
+    azure_id TEXT,
+    source TEXT NOT NULL DEFAULT 'manual' CHECK (source IN ('manual', 'azure')),
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    UNIQUE(team_id, email)
+);
+
+CREATE INDEX IF NOT EXISTS idx_team_members_email ON team_members(email);
+
+ALTER TABLE team_members ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS "Allow all on team_members" ON team_members;
+CREATE POLICY "Allow all on team_members" ON team_members FOR ALL USING (true) WITH CHECK (true);
+
+-- migrate:down
+DROP TABLE IF EXISTS team_members;
@@ -0,0 +1,25 @@
+-- Per-person RSVPs on team bookings. Once a booking has attendees, its
+-- people_count is the number confirmed. A confirmed attendee may hold a desk
+-- booking for the day, which is released when they decline.
+
+-- migrate:up
+CREATE TABLE IF NOT EXISTS booking_attendees (
+    id TEXT PRIMARY KEY,
+    booking_id TEXT NOT NULL REFERENCES bookings(id) ON DELETE CASCADE,
+    email TEXT NOT NULL,
+    name TEXT NOT NULL,
+    status TEXT NOT NULL CHECK (status IN ('confirmed', 'declined')),
+    desk_booking_id TEXT REFERENCES desk_bookings(id) ON DELETE SET NULL,
+    responded_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    UNIQUE(booking_id, email)
+);
+
+CREATE INDEX IF NOT EXISTS idx_booking_attendees_email ON booking_attendees(email);
+
+ALTER TABLE booking_attendees ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS "Allow all on booking_attendees" ON booking_attendees;
+CREATE POLICY "Allow all on booking_attendees" ON booking_attendees FOR ALL USING (true) WITH CHECK (true);
+
+-- migrate:down
+DROP TABLE IF EXISTS booking_attendees;
@@ -0,0 +1,17 @@
+-- Each person's favourite desks, which desk suggestions take into account.
+
+-- migrate:up
+CREATE TABLE IF NOT EXISTS desk_favourites (
+    id TEXT PRIMARY KEY,
+    user_email TEXT NOT NULL,
+    desk_id TEXT NOT NULL REFERENCES desks(id) ON DELETE CASCADE,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    UNIQUE(user_email, desk_id)
+);
+
+ALTER TABLE desk_favourites ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS "Allow all on desk_favourites" ON desk_favourites;
+CREATE POLICY "Allow all on desk_favourites" ON desk_favourites FOR ALL USING (true) WITH CHECK (true);
+
+-- migrate:down
+DROP TABLE IF EXISTS desk_favourites;
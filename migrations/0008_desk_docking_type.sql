@@ -0,0 +1,13 @@
+-- What a desk offers: amenities (tags such as dual_monitors, see
+-- utils/validation.js) and the kind of docking station a desk has (desks with
+-- the docking_station amenity), so people can search for desks their laptop
+-- can dock at.
+
+-- migrate:up
+ALTER TABLE desks ADD COLUMN IF NOT EXISTS amenities JSONB NOT NULL DEFAULT '[]'::jsonb;
+ALTER TABLE desks ADD COLUMN IF NOT EXISTS docking_type TEXT
+    CHECK (docking_type IN ('usb_c', 'thunderbolt', 'usb_a', 'hdmi'));
+
+-- migrate:down
+ALTER TABLE desks DROP COLUMN IF EXISTS docking_type;
+ALTER TABLE desks DROP COLUMN IF EXISTS amenities;
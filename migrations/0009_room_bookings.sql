@@ -0,0 +1,40 @@
+-- Bookable meeting rooms: a room on the floor plan (floor_elements of type
+-- 'room') can be made bookable, with a capacity and its equipment, and booked
+-- by the hour. Reservations carry a SEQUENCE like desk bookings so their
+-- .ics downloads update in calendar clients.
+
+-- migrate:up
+ALTER TABLE floor_elements ADD COLUMN IF NOT EXISTS bookable BOOLEAN NOT NULL DEFAULT FALSE;
+ALTER TABLE floor_elements ADD COLUMN IF NOT EXISTS capacity INTEGER CHECK (capacity > 0);
+ALTER TABLE floor_elements ADD COLUMN IF NOT EXISTS equipment JSONB NOT NULL DEFAULT '[]'::jsonb;
+
+CREATE TABLE IF NOT EXISTS room_bookings (
+    id TEXT PRIMARY KEY,
+    room_id TEXT NOT NULL REFERENCES floor_elements(id) ON DELETE CASCADE,
+    room_name TEXT NOT NULL,
+    location_id TEXT REFERENCES locations(id) ON DELETE CASCADE,
+    date DATE NOT NULL,
+    start_time TIME NOT NULL,
+    end_time TIME NOT NULL,
+    title TEXT NOT NULL DEFAULT '',
+    employee_name TEXT NOT NULL,
+    employee_email TEXT DEFAULT '',
+    team_id TEXT REFERENCES teams(id) ON DELETE SET NULL,
+    attendee_count INTEGER CHECK (attendee_count > 0),
+    sequence INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    CHECK (start_time < end_time)
+);
+
+CREATE INDEX IF NOT EXISTS idx_room_bookings_room_date ON room_bookings(room_id, date);
+CREATE INDEX IF NOT EXISTS idx_room_bookings_location_date ON room_bookings(location_id, date);
+
+ALTER TABLE room_bookings ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS "Allow all on room_bookings" ON room_bookings;
+CREATE POLICY "Allow all on room_bookings" ON room_bookings FOR ALL USING (true) WITH CHECK (true);
+
+-- migrate:down
+DROP TABLE IF EXISTS room_bookings;
+ALTER TABLE floor_elements DROP COLUMN IF EXISTS equipment;
+ALTER TABLE floor_elements DROP COLUMN IF EXISTS capacity;
+ALTER TABLE floor_elements DROP COLUMN IF EXISTS bookable;
@@ -0,0 +1,62 @@
+-- Approving a pending overbooking re-checks the day's capacity under the same
+-- advisory lock as create_team_booking(), so two approvals (or an approval
+-- and a new booking) can't both take the last spots. An approval that would
+-- take the day over capacity only goes through when the admin allows it.
+
+-- migrate:up
+CREATE OR REPLACE FUNCTION approve_team_booking(
+    p_id TEXT,
+    p_allow_overbooking BOOLEAN DEFAULT FALSE
+) RETURNS JSONB AS $$
+DECLARE
+    v_booking bookings;
+    v_capacity INTEGER;
+    v_total INTEGER;
+    v_overbooked BOOLEAN;
+BEGIN
+    SELECT * INTO v_booking FROM bookings WHERE id = p_id AND deleted_at IS NULL;
+    IF NOT FOUND THEN
+        RETURN jsonb_build_object('ok', FALSE, 'reason', 'not_found');
+    END IF;
+
+    PERFORM pg_advisory_xact_lock(hashtext(v_booking.location_id || ':' || v_booking.date::TEXT));
+
+    -- Read again under the lock: another request may have decided on it meanwhile
+    SELECT * INTO v_booking FROM bookings WHERE id = p_id AND deleted_at IS NULL FOR UPDATE;
+    IF NOT FOUND THEN
+        RETURN jsonb_build_object('ok', FALSE, 'reason', 'not_found');
+    END IF;
+    IF v_booking.status <> 'pending' THEN
+        RETURN jsonb_build_object('ok', FALSE, 'reason', 'not_pending');
+    END IF;
+
+    SELECT capacity INTO v_capacity FROM locations WHERE id = v_booking.location_id AND deleted_at IS NULL;
+    IF NOT FOUND THEN
+        RETURN jsonb_build_object('ok', FALSE, 'reason', 'invalid_location');
+    END IF;
+
+    SELECT COALESCE(SUM(people_count), 0) INTO v_total
+    FROM bookings
+    WHERE date = v_booking.date AND location_id = v_booking.location_id
+      AND status <> 'pending' AND deleted_at IS NULL;
+
+    v_overbooked := v_total + v_booking.people_count > v_capacity;
+    IF v_overbooked AND NOT p_allow_overbooking THEN
+        RETURN jsonb_build_object('ok', FALSE, 'reason', 'capacity', 'remaining', v_capacity - v_total);
+    END IF;
+
+    UPDATE bookings
+    SET status = 'confirmed', is_overbooked = v_overbooked, sequence = sequence + 1
+    WHERE id = p_id
+    RETURNING * INTO v_booking;
+
+    RETURN jsonb_build_object(
+        'ok', TRUE,
+        'booking', to_jsonb(v_booking),
+        'remaining', v_capacity - v_total - v_booking.people_count
+    );
+END;
+$$ LANGUAGE plpgsql;
+
+-- migrate:down
+DROP FUNCTION IF EXISTS approve_team_booking(TEXT, BOOLEAN);
@@ -0,0 +1,120 @@
+-- Editing a booking checks capacity and the one-booking-per-team-per-day rule
+-- under the same advisory lock as create_team_booking(), so two edits (or an
+-- edit and a new booking) can't both take the last spots on a day.
+-- update_team_bookings() applies several edits (a series) all or nothing.
+
+-- migrate:up
+-- p_changes holds the columns to change: date, team_id, team_name, people_count,
+-- location_id, notes and series_id. Capacity is only checked when the booking adds
+-- people to a day (it moves, or grows); pending overbookings are checked when approved.
+-- Returns { ok, booking, remaining } or { ok: false, reason, remaining }.
+CREATE OR REPLACE FUNCTION update_team_booking(p_id TEXT, p_changes JSONB) RETURNS JSONB AS $$
+DECLARE
+    v_booking bookings;
+    v_date DATE;
+    v_location_id TEXT;
+    v_team_id TEXT;
+    v_people_count INTEGER;
+    v_capacity INTEGER;
+    v_total INTEGER;
+    v_adds_people BOOLEAN;
+BEGIN
+    SELECT * INTO v_booking FROM bookings WHERE id = p_id AND deleted_at IS NULL;
+    IF NOT FOUND THEN
+        RETURN jsonb_build_object('ok', FALSE, 'reason', 'not_found');
+    END IF;
+
+    v_date := COALESCE((p_changes->>'date')::DATE, v_booking.date);
+    v_location_id := COALESCE(p_changes->>'location_id', v_booking.location_id);
+    PERFORM pg_advisory_xact_lock(hashtext(v_location_id || ':' || v_date::TEXT));
+
+    -- Read again under the lock: another request may have changed it meanwhile
+    SELECT * INTO v_booking FROM bookings WHERE id = p_id AND deleted_at IS NULL FOR UPDATE;
+    IF NOT FOUND THEN
+        RETURN jsonb_build_object('ok', FALSE, 'reason', 'not_found');
+    END IF;
+    v_team_id := COALESCE(p_changes->>'team_id', v_booking.team_id);
+    v_people_count := COALESCE((p_changes->>'people_count')::INTEGER, v_booking.people_count);
+
+    SELECT capacity INTO v_capacity FROM locations WHERE id = v_location_id AND deleted_at IS NULL;
+    IF NOT FOUND THEN
+        RETURN jsonb_build_object('ok', FALSE, 'reason', 'invalid_location');
+    END IF;
+
+    SELECT COALESCE(SUM(people_count), 0) INTO v_total
+    FROM bookings
+    WHERE date = v_date AND location_id = v_location_id AND id <> p_id
+      AND status <> 'pending' AND deleted_at IS NULL;
+
+    IF EXISTS (
+        SELECT 1 FROM bookings
+        WHERE date = v_date AND location_id = v_location_id AND team_id = v_team_id
+          AND id <> p_id AND deleted_at IS NULL
+    ) THEN
+        RETURN jsonb_build_object('ok', FALSE, 'reason', 'duplicate', 'remaining', v_capacity - v_total);
+    END IF;
+
+    v_adds_people := v_date <> v_booking.date OR v_location_id <> v_booking.location_id
+        OR v_people_count > v_booking.people_count;
+    IF v_booking.status <> 'pending' AND v_adds_people AND v_total + v_people_count > v_capacity THEN
+        RETURN jsonb_build_object('ok', FALSE, 'reason', 'capacity', 'remaining', v_capacity - v_total);
+    END IF;
+
+    UPDATE bookings
+    SET date = v_date,
+        location_id = v_location_id,
+        team_id = v_team_id,
+        people_count = v_people_count,
+        team_name = COALESCE(p_changes->>'team_name', team_name),
+        notes = COALESCE(p_changes->>'notes', notes),
+        series_id = CASE WHEN p_changes ? 'series_id' THEN p_changes->>'series_id' ELSE series_id END,
+        sequence = sequence + CASE WHEN p_changes = '{}'::JSONB THEN 0 ELSE 1 END
+    WHERE id = p_id
+    RETURNING * INTO v_booking;
+
+    RETURN jsonb_build_object(
+        'ok', TRUE,
+        'booking', to_jsonb(v_booking),
+        'remaining', v_capacity - v_total - CASE WHEN v_booking.status = 'pending' THEN 0 ELSE v_people_count END
+    );
+EXCEPTION WHEN unique_violation THEN
+    RETURN jsonb_build_object('ok', FALSE, 'reason', 'duplicate');
+END;
+$$ LANGUAGE plpgsql;
+
+-- Applies each { id, changes } in p_updates through update_team_booking in one
+-- transaction. If any is refused, none are applied and every refusal is reported.
+-- Returns { ok, bookings } or { ok: false, failures: [{ index, reason, remaining }] }.
+CREATE OR REPLACE FUNCTION update_team_bookings(p_updates JSONB) RETURNS JSONB AS $$
+DECLARE
+    v_item JSONB;
+    v_index INTEGER := 0;
+    v_result JSONB;
+    v_updated JSONB := '[]'::JSONB;
+    v_failures JSONB := '[]'::JSONB;
+BEGIN
+    BEGIN
+        FOR v_item IN SELECT * FROM jsonb_array_elements(p_updates) LOOP
+            v_result := update_team_booking(v_item->>'id', COALESCE(v_item->'changes', '{}'::JSONB));
+            IF (v_result->>'ok')::BOOLEAN THEN
+                v_updated := v_updated || jsonb_build_array(v_result->'booking');
+            ELSE
+                v_failures := v_failures || jsonb_build_array((v_result - 'ok') || jsonb_build_object('index', v_index));
+            END IF;
+            v_index := v_index + 1;
+        END LOOP;
+        IF jsonb_array_length(v_failures) > 0 THEN
+            RAISE EXCEPTION 'update_rejected';
+        END IF;
+    EXCEPTION WHEN raise_exception THEN
+        -- Leaving the block undoes the updates above
+        RETURN jsonb_build_object('ok', FALSE, 'failures', v_failures);
+    END;
+
+    RETURN jsonb_build_object('ok', TRUE, 'bookings', v_updated);
+END;
+$$ LANGUAGE plpgsql;
+
+-- migrate:down
+DROP FUNCTION IF EXISTS update_team_bookings(JSONB);
+DROP FUNCTION IF EXISTS update_team_booking(TEXT, JSONB);
@@ -0,0 +1,44 @@
+-- Booking a room checks for overlapping bookings and inserts under an advisory
+-- lock on the room and day, like create_team_booking() does for a location,
+-- so two requests for the same hour can't both get the room.
+
+-- migrate:up
+-- p_booking holds the room_bookings columns to insert (id, room_id, room_name,
+-- location_id, date, start_time, end_time, title, employee_name, employee_email,
+-- team_id and attendee_count).
+-- Returns { ok, booking } or { ok: false, reason: 'conflict', conflict }, where
+-- conflict is the earliest booking the new one overlaps.
+CREATE OR REPLACE FUNCTION create_room_booking(p_booking JSONB) RETURNS JSONB AS $$
+DECLARE
+    v_booking room_bookings;
+    v_conflict room_bookings;
+BEGIN
+    v_booking := jsonb_populate_record(NULL::room_bookings, p_booking);
+    PERFORM pg_advisory_xact_lock(hashtext('room:' || v_booking.room_id || ':' || v_booking.date::TEXT));
+
+    SELECT * INTO v_conflict
+    FROM room_bookings
+    WHERE room_id = v_booking.room_id AND date = v_booking.date
+      AND start_time < v_booking.end_time AND end_time > v_booking.start_time
+    ORDER BY start_time
+    LIMIT 1;
+    IF FOUND THEN
+        RETURN jsonb_build_object('ok', FALSE, 'reason', 'conflict', 'conflict', to_jsonb(v_conflict));
+    END IF;
+
+    INSERT INTO room_bookings (
+        id, room_id, room_name, location_id, date, start_time, end_time, title,
+        employee_name, employee_email, team_id, attendee_count
+    ) VALUES (
+        v_booking.id, v_booking.room_id, v_booking.room_name, v_booking.location_id, v_booking.date,
+        v_booking.start_time, v_booking.end_time, COALESCE(v_booking.title, ''),
+        v_booking.employee_name, COALESCE(v_booking.employee_email, ''), v_booking.team_id, v_booking.attendee_count
+    )
+    RETURNING * INTO v_booking;
+
+    RETURN jsonb_build_object('ok', TRUE, 'booking', to_jsonb(v_booking));
+END;
+$$ LANGUAGE plpgsql;
+
+-- migrate:down
+DROP FUNCTION IF EXISTS create_room_booking(JSONB);
@@ -0,0 +1,46 @@
+-- Booking a desk checks for overlapping bookings and inserts under an advisory
+-- lock on the desk and day, as create_room_booking() does for rooms, so two
+-- requests for the same slot can't both get the desk.
+
+-- migrate:up
+-- p_booking holds the desk_bookings columns to insert (id, desk_id, desk_name,
+-- location_id, date, start_time, end_time, employee_name, employee_email and
+-- team_id). Full-day bookings have NULL times, which stand for the location's
+-- opening hours p_open to p_close. Released no-shows don't block the desk.
+-- Returns { ok, booking } or { ok: false, reason: 'conflict', conflict }, where
+-- conflict is the earliest booking the new one overlaps.
+CREATE OR REPLACE FUNCTION create_desk_booking(p_booking JSONB, p_open TIME, p_close TIME) RETURNS JSONB AS $$
+DECLARE
+    v_booking desk_bookings;
+    v_conflict desk_bookings;
+BEGIN
+    v_booking := jsonb_populate_record(NULL::desk_bookings, p_booking);
+    PERFORM pg_advisory_xact_lock(hashtext('desk:' || v_booking.desk_id || ':' || v_booking.date::TEXT));
+
+    SELECT * INTO v_conflict
+    FROM desk_bookings
+    WHERE desk_id = v_booking.desk_id AND date = v_booking.date AND NOT no_show
+      AND COALESCE(start_time, p_open) < COALESCE(v_booking.end_time, p_close)
+      AND COALESCE(end_time, p_close) > COALESCE(v_booking.start_time, p_open)
+    ORDER BY COALESCE(start_time, p_open)
+    LIMIT 1;
+    IF FOUND THEN
+        RETURN jsonb_build_object('ok', FALSE, 'reason', 'conflict', 'conflict', to_jsonb(v_conflict));
+    END IF;
+
+    INSERT INTO desk_bookings (
+        id, desk_id, desk_name, location_id, date, start_time, end_time,
+        employee_name, employee_email, team_id
+    ) VALUES (
+        v_booking.id, v_booking.desk_id, v_booking.desk_name, v_booking.location_id, v_booking.date,
+        v_booking.start_time, v_booking.end_time, v_booking.employee_name,
+        COALESCE(v_booking.employee_email, ''), v_booking.team_id
+    )
+    RETURNING * INTO v_booking;
+
+    RETURN jsonb_build_object('ok', TRUE, 'booking', to_jsonb(v_booking));
+END;
+$$ LANGUAGE plpgsql;
+
+-- migrate:down
+DROP FUNCTION IF EXISTS create_desk_booking(JSONB, TIME, TIME);
@@ -0,0 +1,69 @@
+-- Restoring a booking from the trash re-checks its day under the same advisory
+-- lock as create_team_booking(), so a restore and a new booking for the same
+-- team and day (or the last spots) can't both go through. A booking that
+-- conflicts stays in the trash and the reason is returned instead.
+
+-- migrate:up
+-- Returns { ok, booking } or { ok: false, reason } where reason is 'not_found',
+-- 'team_deleted', 'location_deleted', 'duplicate' or 'capacity'.
+-- Pending overbookings never need room, as when they were made.
+CREATE OR REPLACE FUNCTION restore_team_booking(p_id TEXT) RETURNS JSONB AS $$
+DECLARE
+    v_booking bookings;
+    v_capacity INTEGER;
+    v_total INTEGER;
+BEGIN
+    SELECT * INTO v_booking FROM bookings WHERE id = p_id AND deleted_at IS NOT NULL;
+    IF NOT FOUND THEN
+        RETURN jsonb_build_object('ok', FALSE, 'reason', 'not_found');
+    END IF;
+
+    PERFORM pg_advisory_xact_lock(hashtext(v_booking.location_id || ':' || v_booking.date::TEXT));
+
+    -- Read again under the lock: another request may have restored it meanwhile
+    SELECT * INTO v_booking FROM bookings WHERE id = p_id AND deleted_at IS NOT NULL FOR UPDATE;
+    IF NOT FOUND THEN
+        RETURN jsonb_build_object('ok', FALSE, 'reason', 'not_found');
+    END IF;
+
+    IF v_booking.team_id IS NOT NULL
+       AND NOT EXISTS (SELECT 1 FROM teams WHERE id = v_booking.team_id AND deleted_at IS NULL) THEN
+        RETURN jsonb_build_object('ok', FALSE, 'reason', 'team_deleted');
+    END IF;
+
+    SELECT capacity INTO v_capacity FROM locations WHERE id = v_booking.location_id AND deleted_at IS NULL;
+    IF NOT FOUND THEN
+        RETURN jsonb_build_object('ok', FALSE, 'reason', 'location_deleted');
+    END IF;
+
+    IF EXISTS (
+        SELECT 1 FROM bookings
+        WHERE date = v_booking.date AND location_id = v_booking.location_id
+          AND team_id = v_booking.team_id AND deleted_at IS NULL
+    ) THEN
+        RETURN jsonb_build_object('ok', FALSE, 'reason', 'duplicate');
+    END IF;
+
+    IF v_booking.status IS DISTINCT FROM 'pending' THEN
+        SELECT COALESCE(SUM(people_count), 0) INTO v_total
+        FROM bookings
+        WHERE date = v_booking.date AND location_id = v_booking.location_id
+          AND status <> 'pending' AND deleted_at IS NULL;
+        IF v_total + v_booking.people_count > v_capacity THEN
+            RETURN jsonb_build_object('ok', FALSE, 'reason', 'capacity', 'remaining', v_capacity - v_total);
+        END IF;
+    END IF;
+
+    UPDATE bookings
+    SET deleted_at = NULL, deleted_by = NULL
+    WHERE id = p_id
+    RETURNING * INTO v_booking;
+
+    RETURN jsonb_build_object('ok', TRUE, 'booking', to_jsonb(v_booking));
+EXCEPTION WHEN unique_violation THEN
+    RETURN jsonb_build_object('ok', FALSE, 'reason', 'duplicate');
+END;
+$$ LANGUAGE plpgsql;
+
+-- migrate:down
+DROP FUNCTION IF EXISTS restore_team_booking(TEXT);
@@ -536,6 +536,7 @@ window.fetchAllJobTitles = fetchAllJobTitles;
 window.fetchUsersByJobTitles = fetchUsersByJobTitles;
 window.fetchUserPhotoById = fetchUserPhotoById;
 window.fetchDirectReportsCount = fetchDirectReportsCount;
+window.fetchDirectReports = fetchDirectReports;
 window.isAuthenticated = isAuthenticated;
 window.getCurrentUser = getCurrentUser;
 window.getAccessToken = getAccessToken;
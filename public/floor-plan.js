@@ -21,15 +21,66 @@ let deskState = {
     currentFloor: '1',
     selectedElement: null,
     activeTool: null,
-    draggedDesk: null
+    draggedDesk: null,
+    // Free desks ranked for the current user (GET /api/desks/suggestions), best first
+    suggestions: [],
+    favouriteDeskIds: new Set(),
+    // Filter bar: amenities and docking type desks must have, and the last day they must be free
+    filters: { amenities: [], dockingType: '', until: '' },
+    // Desks matching the filters (GET /api/desks/search), or null when none are set
+    matchingDeskIds: null,
+    // Bookings of the bookable meeting rooms on the selected day
+    roomBookings: []
 };
 
+// Number of suggested desks highlighted on the map
+const SUGGESTED_DESK_COUNT = 3;
+// Suggestions fetched, so enough are left after the filter bar's date range
+const SUGGESTIONS_FETCHED = 20;
+
+const DESK_AMENITY_LABELS = {
+    dual_monitors: 'Dual monitors',
+    standing_desk: 'Standing desk',
+    docking_station: 'Docking station',
+    accessible: 'Accessible',
+    quiet_zone: 'Quiet zone'
+};
+
+const ROOM_EQUIPMENT_LABELS = {
+    screen: 'Screen',
+    video_conferencing: 'Video conferencing',
+    whiteboard: 'Whiteboard',
+    projector: 'Projector',
+    phone: 'Phone'
+};
+
+const DOCKING_TYPE_LABELS = {
+    usb_c: 'USB-C',
+    thunderbolt: 'Thunderbolt',
+    usb_a: 'USB-A',
+    hdmi: 'HDMI'
+};
+
+// Floor plan editing is limited to admins of the location (see js/permissions.js)
+function canEditFloorPlan() {
+    return window.canManageLocation ? window.canManageLocation(state.currentLocation) : true;
+}
+
+// Own bookings can always be cancelled; when roles are enforced, team managers and admins can cancel others'
+function canCancelDeskBooking(booking, isOwnBooking) {
+    if (!state.permissions?.enforced || !window.canManageDeskBooking) return isOwnBooking;
+    return window.canManageDeskBooking(booking);
+}
+
 async function loadDesks() {
     try {
         // Always use the main sidebar location
         const locationId = state.currentLocation;
         const floor = deskState.currentFloor;
         
+        // Hear about other people's changes to this floor while it's loaded
+        window.watchFloor?.(locationId, floor);
+        
         const response = await fetch(`/api/desks?locationId=${locationId}`);
         const allDesks = await response.json();
         deskState.desks = allDesks.filter(d => (d.floor || '1') === floor);
@@ -42,12 +93,284 @@ async function loadDesks() {
         const elementsResponse = await fetch(`/api/floor-elements?locationId=${locationId}&floor=${floor}`);
         deskState.floorElements = await elementsResponse.json();
         
+        await Promise.all([loadDeskSuggestions(), loadFavouriteDesks(), loadDeskSearch(), loadRoomBookings()]);
+        
+        // Leave edit mode when switching to a location the user can't edit
+        if (deskState.editMode && !canEditFloorPlan()) {
+            toggleEditMode();
+        }
+        
         renderFloorMap();
     } catch (error) {
         console.error('Failed to load desks:', error);
     }
 }
 
+// Email of the current user (Azure AD or the one saved when booking)
+function getMyDeskEmail() {
+    return window.currentUser?.email || localStorage.getItem('employeeEmail') || '';
+}
+
+// Rank the free desks on this floor for the current user and their team
+async function loadDeskSuggestions() {
+    const params = new URLSearchParams({
+        locationId: state.currentLocation,
+        date: deskState.selectedDate,
+        floor: deskState.currentFloor,
+        limit: SUGGESTIONS_FETCHED
+    });
+    const email = getMyDeskEmail();
+    const teamId = localStorage.getItem('employeeTeamId');
+    if (email) params.set('email', email);
+    if (teamId) params.set('teamId', teamId);
+    addDeskFilterParams(params);
+    
+    try {
+        const response = await fetch(`/api/desks/suggestions?${params}`);
+        deskState.suggestions = response.ok ? (await response.json()).suggestions : [];
+    } catch (error) {
+        console.error('Failed to load desk suggestions:', error);
+        deskState.suggestions = [];
+    }
+}
+
+async function loadFavouriteDesks() {
+    const email = getMyDeskEmail();
+    if (!email) {
+        deskState.favouriteDeskIds = new Set();
+        return;
+    }
+    try {
+        const response = await fetch(`/api/desks/favourites?email=${encodeURIComponent(email)}`);
+        const desks = response.ok ? await response.json() : [];
+        deskState.favouriteDeskIds = new Set(desks.map(d => d.id));
+    } catch (error) {
+        console.error('Failed to load favourite desks:', error);
+    }
+}
+
+// Top suggestions whose desk is still free (bookings made since they loaded drop out)
+// and, with a date range in the filter bar, free for all of it
+function getOpenSuggestions() {
+    const hours = getFloorOpeningHours();
+    return deskState.suggestions
+        .filter(s => getDeskSchedule(s.desk.id, hours).length === 0 && matchesDeskFilters(s.desk.id))
+        .slice(0, SUGGESTED_DESK_COUNT);
+}
+
+function hasDeskFilters() {
+    const { amenities, dockingType, until } = deskState.filters;
+    return amenities.length > 0 || !!dockingType || until > deskState.selectedDate;
+}
+
+function addDeskFilterParams(params) {
+    const { amenities, dockingType } = deskState.filters;
+    if (amenities.length > 0) params.set('amenities', amenities.join(','));
+    if (dockingType) params.set('dockingType', dockingType);
+}
+
+// Whether a desk passes the filter bar (every desk does when it's empty)
+function matchesDeskFilters(deskId) {
+    return !deskState.matchingDeskIds || deskState.matchingDeskIds.has(deskId);
+}
+
+// Find the desks on this floor with the filtered attributes, free through the filter's last day
+async function loadDeskSearch() {
+    if (!hasDeskFilters()) {
+        deskState.matchingDeskIds = null;
+        return;
+    }
+    const until = deskState.filters.until;
+    const params = new URLSearchParams({
+        locationId: state.currentLocation,
+        from: deskState.selectedDate,
+        to: until > deskState.selectedDate ? until : deskState.selectedDate,
+        floor: deskState.currentFloor
+    });
+    const teamId = localStorage.getItem('employeeTeamId');
+    if (teamId) params.set('teamId', teamId);
+    addDeskFilterParams(params);
+    
+    try {
+        const response = await fetch(`/api/desks/search?${params}`);
+        if (!response.ok) {
+            const error = await response.json();
+            throw new Error(error.error);
+        }
+        deskState.matchingDeskIds = new Set((await response.json()).map(d => d.id));
+    } catch (error) {
+        showToast(error.message || 'Failed to filter desks', 'error');
+        deskState.matchingDeskIds = null;
+    }
+}
+
+// Read the filter bar and redraw the map with the desks that match it
+async function applyDeskFilters() {
+    deskState.filters = {
+        amenities: Array.from(document.querySelectorAll('input[name="deskFilterAmenity"]:checked')).map(cb => cb.value),
+        dockingType: document.getElementById('deskFilterDocking')?.value || '',
+        until: document.getElementById('deskFilterUntil')?.value || ''
+    };
+    await Promise.all([loadDeskSearch(), loadDeskSuggestions()]);
+    renderFloorMap();
+}
+
+function clearDeskFilters() {
+    document.querySelectorAll('input[name="deskFilterAmenity"]').forEach(cb => { cb.checked = false; });
+    const docking = document.getElementById('deskFilterDocking');
+    const until = document.getElementById('deskFilterUntil');
+    if (docking) docking.value = '';
+    if (until) until.value = '';
+    applyDeskFilters();
+}
+
+// Amenities (and docking type) of a desk as readable labels
+function describeDeskAmenities(desk) {
+    return (desk.amenities || []).map(amenity => {
+        const label = DESK_AMENITY_LABELS[amenity] || amenity;
+        return amenity === 'docking_station' && desk.dockingType
+            ? `${label} (${DOCKING_TYPE_LABELS[desk.dockingType] || desk.dockingType})`
+            : label;
+    });
+}
+
+// Book the top suggested desk for the whole day in one click
+async function bookBestDesk() {
+    const [best] = getOpenSuggestions();
+    if (!best) {
+        showToast(hasDeskFilters() ? 'No free desks match your filters' : 'No free desks to suggest for this day', 'warning');
+        return;
+    }
+    const desk = deskState.desks.find(d => d.id === best.desk.id) || best.desk;
+    
+    if (window.currentUser?.name || localStorage.getItem('employeeName')) {
+        await quickBookDesk(desk, { slot: 'full' });
+    } else {
+        showQuickBookModal(desk, { slot: 'full' });
+    }
+}
+
+// Add or remove a desk from the current user's favourites
+async function toggleFavouriteDesk(deskId) {
+    const email = getMyDeskEmail();
+    if (!email) {
+        showToast('Sign in to save favourite desks', 'error');
+        return;
+    }
+    const isFavourite = deskState.favouriteDeskIds.has(deskId);
+    
+    try {
+        const token = window.getIdToken ? await window.getIdToken() : null;
+        const headers = { 'Content-Type': 'application/json' };
+        if (token) {
+            headers['Authorization'] = `Bearer ${token}`;
+        }
+        
+        const response = await fetch(`/api/desks/${deskId}/favourite`, {
+            method: isFavourite ? 'DELETE' : 'PUT',
+            headers,
+            body: JSON.stringify({ email })
+        });
+        if (!response.ok) {
+            const error = await response.json();
+            throw new Error(error.error);
+        }
+        
+        if (isFavourite) deskState.favouriteDeskIds.delete(deskId);
+        else deskState.favouriteDeskIds.add(deskId);
+        document.querySelectorAll('.desk-favourite-btn').forEach(btn => {
+            btn.classList.toggle('active', !isFavourite);
+            btn.textContent = isFavourite ? '☆' : '★';
+        });
+        showToast(isFavourite ? 'Removed from favourites' : 'Added to favourites', 'success');
+        
+        await loadDeskSuggestions();
+        renderFloorMap();
+    } catch (error) {
+        showToast(error.message || 'Failed to update favourite desks', 'error');
+    }
+}
+
+async function loadRoomBookings() {
+    try {
+        const response = await fetch(`/api/rooms/bookings?locationId=${state.currentLocation}&date=${deskState.selectedDate}`);
+        deskState.roomBookings = response.ok ? await response.json() : [];
+    } catch (error) {
+        console.error('Failed to load room bookings:', error);
+        deskState.roomBookings = [];
+    }
+}
+
+// A room's bookings for the selected day with their time ranges, earliest first
+function getRoomSchedule(roomId) {
+    return deskState.roomBookings
+        .filter(b => b.roomId === roomId)
+        .map(b => ({ ...b, start: floorTimeToMinutes(b.startTime), end: floorTimeToMinutes(b.endTime) }))
+        .sort((a, b) => a.start - b.start);
+}
+
+// Whether a room is in use right now, booked later in the day or free, with a short description
+function getRoomAvailability(schedule) {
+    const now = new Date();
+    const isToday = deskState.selectedDate === formatDateStr(now);
+    const minutes = now.getHours() * 60 + now.getMinutes();
+    
+    if (isToday) {
+        const current = schedule.find(b => b.start <= minutes && minutes < b.end);
+        if (current) return { status: 'in-use', label: `In use until ${floorMinutesToTime(current.end)}` };
+    }
+    const upcoming = schedule.filter(b => !isToday || b.start > minutes);
+    if (upcoming.length > 0) return { status: 'booked', label: `Next ${floorMinutesToTime(upcoming[0].start)}` };
+    return { status: 'free', label: 'Free' };
+}
+
+// Replace or remove an item in a list by ID, keeping the order of the rest
+function replaceById(list, item, keep) {
+    const idx = list.findIndex(existing => existing.id === item.id);
+    if (!keep) return idx === -1 ? list : list.filter(existing => existing.id !== item.id);
+    if (idx === -1) return [...list, item];
+    return list.map(existing => existing.id === item.id ? item : existing);
+}
+
+// Apply a real-time desk, floor element or desk booking change (see js/socket.js)
+function applyFloorPlanChange(payload) {
+    const { type } = payload;
+    const [entity, action] = type.split(':');
+    const onThisFloor = item => item.locationId === state.currentLocation &&
+        (item.floor || '1') === deskState.currentFloor;
+    
+    if (entity === 'desk') {
+        const { desk } = payload;
+        deskState.desks = replaceById(deskState.desks, desk, action !== 'deleted' && onThisFloor(desk));
+        if (action === 'deleted') {
+            deskState.deskBookings = deskState.deskBookings.filter(b => b.deskId !== desk.id);
+        }
+    } else if (entity === 'floorElement') {
+        const { element } = payload;
+        deskState.floorElements = replaceById(deskState.floorElements, element, action !== 'deleted' && onThisFloor(element));
+    } else if (entity === 'roomBooking') {
+        const { roomBooking } = payload;
+        const holdsRoom = action === 'created' &&
+            roomBooking.locationId === state.currentLocation &&
+            roomBooking.date === deskState.selectedDate;
+        deskState.roomBookings = replaceById(deskState.roomBookings, roomBooking, holdsRoom);
+    } else if (entity === 'deskBooking') {
+        // Cancelled and released (no-show) bookings no longer hold the desk
+        const { deskBooking } = payload;
+        const holdsDesk = (action === 'created' || action === 'checkedIn') &&
+            deskBooking.locationId === state.currentLocation &&
+            deskBooking.date === deskState.selectedDate;
+        deskState.deskBookings = replaceById(deskState.deskBookings, deskBooking, holdsDesk);
+    }
+    
+    // Re-render unless the user is mid-drag; the next render picks the change up
+    const desksViewActive = document.getElementById('desksView')?.classList.contains('active');
+    const dragging = dragState.active || document.querySelector('.floor-desk.dragging');
+    if (desksViewActive && !dragging) {
+        renderFloorMap();
+    }
+}
+
 let desksViewInitialized = false;
 
 function initDesksView() {
@@ -85,6 +408,13 @@ function initDesksView() {
             const teamGroup = document.getElementById('assignedTeamGroup');
             teamGroup.style.display = e.target.value === 'team_seat' ? 'block' : 'none';
         });
+        document.querySelector('input[name="deskAmenity"][value="docking_station"]')
+            ?.addEventListener('change', updateDockingTypeVisibility);
+        
+        // Filter bar
+        document.querySelectorAll('#deskFilterBar input, #deskFilterBar select').forEach(input => {
+            input.addEventListener('change', applyDeskFilters);
+        });
         
         // Toolbar button handlers
         document.querySelectorAll('.toolbar-btn[data-tool]').forEach(btn => {
@@ -116,6 +446,16 @@ function initDesksView() {
         document.getElementById('roomForm')?.addEventListener('submit', handleRoomSubmit);
         document.getElementById('labelForm')?.addEventListener('submit', handleLabelSubmit);
         document.getElementById('wallForm')?.addEventListener('submit', handleWallSubmit);
+        document.getElementById('roomBookable')?.addEventListener('change', updateRoomBookableFields);
+        
+        // Rooms go from free to in use as the day passes; re-colour them each minute while today is shown
+        setInterval(() => {
+            const desksViewActive = document.getElementById('desksView')?.classList.contains('active');
+            const showingToday = deskState.selectedDate === formatDateStr(new Date());
+            if (desksViewActive && showingToday && !deskState.editMode && !dragState.active) {
+                renderFloorMap();
+            }
+        }, 60 * 1000);
         
         desksViewInitialized = true;
     }
@@ -189,13 +529,72 @@ function toggleEditMode() {
     renderFloorMap();
 }
 
+// Parse HH:MM (or HH:MM:SS) into minutes since midnight
+function floorTimeToMinutes(value) {
+    if (!value) return null;
+    const [hours, minutes] = value.split(':').map(Number);
+    return hours * 60 + (minutes || 0);
+}
+
+// Format minutes since midnight as HH:MM
+function floorMinutesToTime(minutes) {
+    return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+// Opening hours of the current location in minutes (bounds for desk time slots)
+function getFloorOpeningHours() {
+    const location = state.locations.find(l => l.id === state.currentLocation);
+    return {
+        open: floorTimeToMinutes(location?.openingTime) ?? 8 * 60,
+        close: floorTimeToMinutes(location?.closingTime) ?? 18 * 60
+    };
+}
+
+// Get a desk's bookings for the selected day with their time ranges, earliest first.
+// Bookings without times cover the full opening hours.
+function getDeskSchedule(deskId, hours) {
+    return deskState.deskBookings
+        .filter(b => b.deskId === deskId)
+        .map(b => ({
+            ...b,
+            start: floorTimeToMinutes(b.startTime) ?? hours.open,
+            end: floorTimeToMinutes(b.endTime) ?? hours.close
+        }))
+        .sort((a, b) => a.start - b.start);
+}
+
+// Check whether a desk's bookings cover the whole opening day
+function isScheduleFull(schedule, hours) {
+    let coveredUntil = hours.open;
+    for (const booking of schedule) {
+        if (booking.start > coveredUntil) return false;
+        coveredUntil = Math.max(coveredUntil, booking.end);
+    }
+    return coveredUntil >= hours.close;
+}
+
+function isRangeFree(schedule, start, end) {
+    return !schedule.some(b => b.start < end && start < b.end);
+}
+
+function describeDeskSlot(booking, hours) {
+    if (booking.start <= hours.open && booking.end >= hours.close) return 'Full Day';
+    return `${floorMinutesToTime(booking.start)}-${floorMinutesToTime(booking.end)}`;
+}
+
 function renderFloorMap() {
     const container = document.getElementById('floorMap');
     // Use Azure AD logged-in user name, fallback to localStorage
     const myName = window.currentUser?.name || localStorage.getItem('employeeName') || '';
+    const hours = getFloorOpeningHours();
     
     let html = '';
     
+    // Rank badges for the suggested desks (not while editing the layout)
+    const suggestionRanks = new Map(deskState.editMode
+        ? []
+        : getOpenSuggestions().map((s, i) => [s.desk.id, { rank: i + 1, reasons: s.reasons }]));
+    
     // Render floor elements (rooms, walls, labels) first (bottom layer)
     html += deskState.floorElements.map(el => {
         const isSelected = deskState.selectedElement?.id === el.id;
@@ -212,13 +611,20 @@ function renderFloorMap() {
                 <div class="resize-handle e" data-handle="e"></div>
                 <div class="resize-handle w" data-handle="w"></div>
             ` : '';
+            // Bookable rooms are coloured by whether they're free, booked later or in use now
+            const availability = el.bookable ? getRoomAvailability(getRoomSchedule(el.id)) : null;
+            const bookableAttrs = availability && !deskState.editMode
+                ? `onclick="showRoomSchedulePopup('${el.id}')" title="${escapeHtmlFloorPlan(`${el.label || 'Room'}: ${availability.label}`)}"`
+                : '';
             return `
-                <div class="floor-room ${deskState.editMode ? 'edit-mode' : ''} ${isSelected ? 'selected' : ''}" 
+                <div class="floor-room ${deskState.editMode ? 'edit-mode' : ''} ${isSelected ? 'selected' : ''} ${availability ? `bookable room-${availability.status}` : ''}" 
                      id="element-${el.id}"
                      style="${style}"
                      data-element-id="${el.id}"
-                     data-element-type="room">
+                     data-element-type="room"
+                     ${bookableAttrs}>
                     ${el.label ? `<span class="room-label">${el.label}</span>` : ''}
+                    ${availability ? `<span class="room-availability">${availability.label}</span>` : ''}
                     ${resizeHandles}
                 </div>
             `;
@@ -269,7 +675,7 @@ function renderFloorMap() {
                     <path d="M16 7V4a2 2 0 0 0-2-2h-4a2 2 0 0 0-2 2v3"></path>
                 </svg>
                 <p>No floor plan configured</p>
-                <button class="btn btn-primary" onclick="toggleEditMode();">Start Editing</button>
+                ${canEditFloorPlan() ? '<button class="btn btn-primary" onclick="toggleEditMode();">Start Editing</button>' : ''}
             </div>
         `;
         container.innerHTML = html;
@@ -278,11 +684,13 @@ function renderFloorMap() {
     
     // Render desks with chairs
     html += deskState.desks.map(desk => {
-        // Find if desk is booked for the day
-        const booking = deskState.deskBookings.find(b => b.deskId === desk.id);
+        // Find the desk's bookings for the day (full day or time slots)
+        const schedule = getDeskSchedule(desk.id, hours);
+        const booking = schedule[0];
         
-        const isOccupied = !!booking;
-        const isMyBooking = booking && booking.employeeName.toLowerCase() === myName.toLowerCase();
+        const isOccupied = schedule.length > 0 && isScheduleFull(schedule, hours);
+        const isPartial = schedule.length > 0 && !isOccupied;
+        const isMyBooking = schedule.some(b => b.employeeName.toLowerCase() === myName.toLowerCase());
         const isUnavailable = desk.deskType === 'unavailable';
         const isTeamSeat = desk.deskType === 'team_seat';
         const isHotseat = desk.deskType === 'hotseat' || !desk.deskType;
@@ -303,6 +711,8 @@ function renderFloorMap() {
                     teamName = team.name;
                 }
             }
+        } else if (isPartial) {
+            statusClass = isMyBooking ? 'my-booking partial' : 'partial';
         } else if (isTeamSeat) {
             statusClass = 'team-seat';
             const team = state.teams.find(t => t.id === desk.assignedTeamId);
@@ -328,16 +738,41 @@ function renderFloorMap() {
             `<div class="desk-chair ${pos}"></div>`
         ).join('');
         
+        const slotSummary = schedule.map(b => `${b.employeeName} ${describeDeskSlot(b, hours)}`).join(', ');
+        let deskTitle = 'Click to book';
+        if (isOccupied) {
+            deskTitle = schedule.length === 1
+                ? `${booking.employeeName}${teamName ? ' (' + teamName + ')' : ''} - Full Day`
+                : slotSummary;
+        } else if (isPartial) {
+            deskTitle = `Partly booked: ${slotSummary}`;
+        } else if (isUnavailable) {
+            deskTitle = 'Unavailable';
+        } else if (isTeamSeat) {
+            deskTitle = `Team: ${teamName}`;
+        }
+        
+        const suggestion = suggestionRanks.get(desk.id);
+        if (suggestion) {
+            deskTitle = `Suggestion #${suggestion.rank}${suggestion.reasons.length ? ': ' + suggestion.reasons.join(', ') : ''}`;
+        }
+        const isFilteredOut = !deskState.editMode && !matchesDeskFilters(desk.id);
+        if (isFilteredOut) {
+            deskTitle += ' (doesn\'t match your filters)';
+        }
+        
         return `
-            <div class="floor-desk ${statusClass} ${isSelected ? 'selected' : ''} ${deskState.editMode ? 'draggable' : ''}" 
+            <div class="floor-desk ${statusClass} ${suggestion ? 'suggested' : ''} ${isFilteredOut ? 'filtered-out' : ''} ${isSelected ? 'selected' : ''} ${deskState.editMode ? 'draggable' : ''}" 
                  id="desk-${desk.id}"
                  style="${styleStr}"
                  data-desk-id="${desk.id}"
                  onclick="handleDeskClick('${desk.id}')"
-                 title="${isOccupied ? `${booking.employeeName}${teamName ? ' (' + teamName + ')' : ''} - Full Day` : isUnavailable ? 'Unavailable' : isTeamSeat ? `Team: ${teamName}` : 'Click to book'}">
+                 title="${escapeHtmlFloorPlan(deskTitle)}">
                 ${chairsHtml}
+                ${suggestion ? `<div class="desk-suggestion-rank">${suggestion.rank}</div>` : ''}
                 <div class="desk-label">${desk.name}</div>
-                ${isOccupied ? `<div class="desk-occupant">${booking.employeeName}</div>` : ''}
+                ${schedule.length === 1 ? `<div class="desk-occupant">${escapeHtmlFloorPlan(booking.employeeName)}</div>` : ''}
+                ${schedule.length > 1 ? `<div class="desk-occupant">${schedule.length} bookings</div>` : ''}
                 ${deskState.editMode ? `
                     <div class="desk-edit-controls">
                         <button onclick="event.stopPropagation(); deleteDesk('${desk.id}')" title="Delete">×</button>
@@ -432,19 +867,11 @@ function handleDeskClick(deskId) {
         return;
     }
     
-    // Check if desk is already booked
-    const existingBooking = deskState.deskBookings.find(b => b.deskId === deskId);
-    
-    if (existingBooking) {
-        // Desk is booked - show booking info popup
-        showBookingInfoPopup(desk, existingBooking);
-        return;
-    }
-    
-    // Desk is available - try to book it
+    const hours = getFloorOpeningHours();
+    const schedule = getDeskSchedule(deskId, hours);
     
     // Don't allow booking unavailable desks
-    if (desk.deskType === 'unavailable') {
+    if (schedule.length === 0 && desk.deskType === 'unavailable') {
         showToast('This desk is unavailable', 'error');
         return;
     }
@@ -459,25 +886,78 @@ function handleDeskClick(deskId) {
         }
     }
     
-    // Use Azure AD user if logged in, otherwise check localStorage
-    const userName = window.currentUser?.name || localStorage.getItem('employeeName');
+    showDeskSchedulePopup(desk, schedule, hours);
+}
+
+// Render the day timeline for a desk: opening hours with booked segments
+function renderDeskTimeline(schedule, hours, myName) {
+    const span = hours.close - hours.open;
+    const percent = minutes => ((minutes - hours.open) / span) * 100;
+    
+    const segments = schedule.map(b => {
+        const isMine = myName && b.employeeName.toLowerCase() === myName.toLowerCase();
+        return `<div class="desk-timeline-segment ${isMine ? 'mine' : ''}"
+                     style="left: ${percent(b.start)}%; width: ${percent(b.end) - percent(b.start)}%;"
+                     title="${escapeHtmlFloorPlan(b.employeeName)} ${describeDeskSlot(b, hours)}"></div>`;
+    }).join('');
     
-    if (userName) {
-        // Quick book with user info
-        quickBookDesk(desk);
-    } else {
-        // No user info - show quick setup modal
-        showQuickBookModal(desk);
+    // Hour ticks (labels every other hour keep it readable)
+    let ticks = '';
+    for (let m = hours.open; m <= hours.close; m += 60) {
+        const showLabel = (m - hours.open) % 120 === 0 || m === hours.close;
+        ticks += `<span class="desk-timeline-tick" style="left: ${percent(m)}%;">${showLabel ? floorMinutesToTime(m) : ''}</span>`;
     }
+    
+    return `
+        <div class="desk-timeline">
+            <div class="desk-timeline-bar">${segments}</div>
+            <div class="desk-timeline-ticks">${ticks}</div>
+        </div>
+    `;
 }
 
-// Show booking info popup for booked desks
-function showBookingInfoPopup(desk, booking) {
-    const location = state.locations.find(l => l.id === desk.locationId);
-    const team = booking.teamId ? state.teams.find(t => t.id === booking.teamId) : null;
+// Show a desk's day schedule with its bookings and a form to book the free time
+function showDeskSchedulePopup(desk, schedule, hours) {
     // Use Azure AD user name or localStorage
     const currentUserName = window.currentUser?.name || localStorage.getItem('employeeName');
-    const isOwnBooking = currentUserName && booking.employeeName.toLowerCase() === currentUserName.toLowerCase();
+    const isFull = schedule.length > 0 && isScheduleFull(schedule, hours);
+    const canBook = !isFull && desk.deskType !== 'unavailable';
+    const isFavourite = deskState.favouriteDeskIds.has(desk.id);
+    const amenityLabels = describeDeskAmenities(desk);
+    
+    let status = { label: 'Available', className: 'available' };
+    if (isFull) status = { label: 'Booked', className: 'booked' };
+    else if (schedule.length > 0) status = { label: 'Partly booked', className: 'partial' };
+    
+    const bookingsHtml = schedule.map(booking => {
+        const team = booking.teamId ? state.teams.find(t => t.id === booking.teamId) : null;
+        const isOwnBooking = currentUserName && booking.employeeName.toLowerCase() === currentUserName.toLowerCase();
+        return `
+            <div class="popup-row desk-slot-row">
+                <span class="popup-label">${describeDeskSlot(booking, hours)}</span>
+                <span class="popup-value">
+                    ${escapeHtmlFloorPlan(booking.employeeName)}
+                    ${team ? `<span style="color: ${escapeHtmlFloorPlan(team.color)}">(${escapeHtmlFloorPlan(team.name)})</span>` : ''}
+                    ${booking.checkedIn ? '<span class="checked-in">✓</span>' : ''}
+                </span>
+                ${canCancelDeskBooking(booking, isOwnBooking) ? `<button class="btn btn-danger btn-small" onclick="cancelBookingFromPopup('${booking.id}', '${desk.id}')">Cancel</button>` : ''}
+            </div>
+        `;
+    }).join('');
+    
+    // Slot options, disabled where they overlap an existing booking
+    const midday = 12 * 60;
+    const hasHalfDays = hours.open < midday && hours.close > midday;
+    const slotOptions = [
+        { value: 'full', label: 'Full day', free: schedule.length === 0 },
+        { value: 'am', label: `Morning (${floorMinutesToTime(hours.open)}-12:00)`, free: hasHalfDays && isRangeFree(schedule, hours.open, midday) },
+        { value: 'pm', label: `Afternoon (12:00-${floorMinutesToTime(hours.close)})`, free: hasHalfDays && isRangeFree(schedule, midday, hours.close) },
+        { value: 'custom', label: 'Custom hours', free: true }
+    ];
+    const defaultSlot = slotOptions.find(o => o.free).value;
+    
+    const hourOptions = [];
+    for (let m = hours.open; m <= hours.close; m += 60) hourOptions.push(floorMinutesToTime(m));
     
     const popup = document.createElement('div');
     popup.className = 'desk-info-popup';
@@ -485,35 +965,46 @@ function showBookingInfoPopup(desk, booking) {
         <div class="desk-info-popup-content">
             <button class="popup-close" onclick="this.closest('.desk-info-popup').remove()">×</button>
             <div class="popup-header">
-                <h3>${desk.name}</h3>
-                <span class="popup-status booked">Booked</span>
+                <h3>${escapeHtmlFloorPlan(desk.name)}</h3>
+                <button class="desk-favourite-btn ${isFavourite ? 'active' : ''}" onclick="toggleFavouriteDesk('${desk.id}')"
+                        title="Favourite desks are suggested first">${isFavourite ? '★' : '☆'}</button>
+                <span class="popup-status ${status.className}">${status.label}</span>
             </div>
             <div class="popup-details">
-                <div class="popup-row">
-                    <span class="popup-label">Booked by</span>
-                    <span class="popup-value">${booking.employeeName}</span>
-                </div>
-                ${team ? `
-                <div class="popup-row">
-                    <span class="popup-label">Team</span>
-                    <span class="popup-value" style="color: ${team.color}">${team.name}</span>
-                </div>
-                ` : ''}
                 <div class="popup-row">
                     <span class="popup-label">Date</span>
                     <span class="popup-value">${new Date(deskState.selectedDate).toLocaleDateString('en-ZA', { weekday: 'short', day: 'numeric', month: 'short' })}</span>
                 </div>
-                ${booking.checkedIn ? `
+                ${amenityLabels.length > 0 ? `
                 <div class="popup-row">
-                    <span class="popup-label">Status</span>
-                    <span class="popup-value checked-in">✓ Checked In</span>
+                    <span class="popup-label">Amenities</span>
+                    <span class="popup-value desk-amenities">${amenityLabels.map(l => `<span class="desk-amenity-tag">${escapeHtmlFloorPlan(l)}</span>`).join('')}</span>
                 </div>
                 ` : ''}
+                ${canBook && !matchesDeskFilters(desk.id) ? '<p class="popup-hint">This desk doesn\'t match your filters.</p>' : ''}
+                ${renderDeskTimeline(schedule, hours, currentUserName)}
+                ${bookingsHtml}
             </div>
-            ${isOwnBooking ? `
-            <div class="popup-actions">
-                <button class="btn btn-danger btn-small" onclick="cancelBookingFromPopup('${booking.id}', '${desk.id}')">Cancel Booking</button>
-            </div>
+            ${canEditFloorPlan() && window.toggleEntityHistory ? `
+            <button class="btn btn-secondary btn-small" id="deskHistoryBtn">History</button>
+            <div class="entity-history" id="deskHistory"></div>
+            ` : ''}
+            ${canBook ? `
+            <form class="quick-book-form desk-slot-form" id="deskSlotForm">
+                <select id="deskSlotSelect">
+                    ${slotOptions.map(o => `<option value="${o.value}" ${o.free ? '' : 'disabled'} ${o.value === defaultSlot ? 'selected' : ''}>${o.label}</option>`).join('')}
+                </select>
+                <div class="desk-slot-custom" id="deskSlotCustom" style="display: ${defaultSlot === 'custom' ? 'flex' : 'none'};">
+                    <select id="deskSlotStart" aria-label="Start time">
+                        ${hourOptions.slice(0, -1).map(t => `<option value="${t}">${t}</option>`).join('')}
+                    </select>
+                    <span>to</span>
+                    <select id="deskSlotEnd" aria-label="End time">
+                        ${hourOptions.slice(1).map(t => `<option value="${t}">${t}</option>`).join('')}
+                    </select>
+                </div>
+                <button type="submit" class="btn btn-primary btn-full">Book Desk</button>
+            </form>
             ` : ''}
         </div>
     `;
@@ -523,6 +1014,35 @@ function showBookingInfoPopup(desk, booking) {
     
     document.body.appendChild(popup);
     
+    document.getElementById('deskHistoryBtn')?.addEventListener('click', () => {
+        window.toggleEntityHistory(document.getElementById('deskHistory'), 'desks', desk.id);
+    });
+    
+    document.getElementById('deskSlotSelect')?.addEventListener('change', (e) => {
+        document.getElementById('deskSlotCustom').style.display = e.target.value === 'custom' ? 'flex' : 'none';
+    });
+    
+    document.getElementById('deskSlotForm')?.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const slotRequest = { slot: document.getElementById('deskSlotSelect').value };
+        if (slotRequest.slot === 'custom') {
+            slotRequest.startTime = document.getElementById('deskSlotStart').value;
+            slotRequest.endTime = document.getElementById('deskSlotEnd').value;
+            if (slotRequest.startTime >= slotRequest.endTime) {
+                showToast('Start time must be before end time', 'error');
+                return;
+            }
+        }
+        
+        popup.remove();
+        if (currentUserName) {
+            await quickBookDesk(desk, slotRequest);
+        } else {
+            // No user info - show quick setup modal
+            showQuickBookModal(desk, slotRequest);
+        }
+    });
+    
     // Close on click outside
     popup.addEventListener('click', (e) => {
         if (e.target === popup) popup.remove();
@@ -539,7 +1059,8 @@ function showBookingInfoPopup(desk, booking) {
 }
 
 // Quick book a desk with user info (Azure AD or localStorage)
-async function quickBookDesk(desk) {
+// slotRequest is { slot: 'full'|'am'|'pm'|'custom', startTime, endTime }
+async function quickBookDesk(desk, slotRequest = { slot: 'full' }) {
     // Prefer Azure AD user info over localStorage
     const savedName = window.currentUser?.name || localStorage.getItem('employeeName');
     const savedEmail = window.currentUser?.email || localStorage.getItem('employeeEmail') || '';
@@ -572,7 +1093,8 @@ async function quickBookDesk(desk) {
                 date: deskState.selectedDate,
                 employeeName: savedName,
                 employeeEmail: savedEmail,
-                teamId: savedTeamId
+                teamId: savedTeamId,
+                ...slotRequest
             })
         });
         
@@ -581,11 +1103,15 @@ async function quickBookDesk(desk) {
             throw new Error(error.error);
         }
         
-        showToast(`${desk.name} booked for the day!`, 'success');
+        const created = await response.json();
+        showToast(created.startTime
+            ? `${desk.name} booked ${created.startTime.slice(0, 5)}-${created.endTime.slice(0, 5)}`
+            : `${desk.name} booked for the day!`, 'success');
         
-        // Reload bookings
+        // Reload bookings (and what's left to suggest)
         const bookingsResponse = await fetch(`/api/desk-bookings?locationId=${state.currentLocation}&date=${deskState.selectedDate}`);
         deskState.deskBookings = await bookingsResponse.json();
+        await loadDeskSuggestions();
         renderFloorMap();
         
     } catch (error) {
@@ -595,7 +1121,7 @@ async function quickBookDesk(desk) {
 }
 
 // Show quick book modal for users without saved info
-function showQuickBookModal(desk) {
+function showQuickBookModal(desk, slotRequest) {
     const savedTeamId = localStorage.getItem('employeeTeamId');
     // Pre-fill with any available info
     const prefillName = window.currentUser?.name || localStorage.getItem('employeeName') || '';
@@ -648,7 +1174,7 @@ function showQuickBookModal(desk) {
         if (teamId) localStorage.setItem('employeeTeamId', teamId);
         
         popup.remove();
-        await quickBookDesk(desk);
+        await quickBookDesk(desk, slotRequest);
     });
     
     // Close on click outside
@@ -697,6 +1223,183 @@ async function cancelBookingFromPopup(bookingId, deskId) {
     }
 }
 
+// Show a meeting room's day with its bookings and a form to book free hours
+function showRoomSchedulePopup(roomId) {
+    const room = deskState.floorElements.find(e => e.id === roomId);
+    if (!room) return;
+    
+    const hours = getFloorOpeningHours();
+    const schedule = getRoomSchedule(roomId);
+    const availability = getRoomAvailability(schedule);
+    const currentUserName = window.currentUser?.name || localStorage.getItem('employeeName');
+    const details = [
+        room.capacity ? `Seats ${room.capacity}` : null,
+        ...(room.equipment || []).map(item => ROOM_EQUIPMENT_LABELS[item] || item)
+    ].filter(Boolean);
+    
+    const bookingsHtml = schedule.map(booking => {
+        const isOwnBooking = currentUserName && booking.employeeName.toLowerCase() === currentUserName.toLowerCase();
+        return `
+            <div class="popup-row desk-slot-row">
+                <span class="popup-label">${floorMinutesToTime(booking.start)}-${floorMinutesToTime(booking.end)}</span>
+                <span class="popup-value">
+                    ${escapeHtmlFloorPlan(booking.title || booking.employeeName)}
+                    ${booking.title ? `<span class="room-booking-organizer">(${escapeHtmlFloorPlan(booking.employeeName)})</span>` : ''}
+                </span>
+                <a class="btn btn-secondary btn-small" href="/api/rooms/bookings/${booking.id}/ics" title="Add to calendar">.ics</a>
+                ${canCancelDeskBooking(booking, isOwnBooking) ? `<button class="btn btn-danger btn-small" onclick="cancelRoomBooking('${booking.id}')">Cancel</button>` : ''}
+            </div>
+        `;
+    }).join('');
+    
+    // Hourly start and end times, within opening hours
+    const hourOptions = [];
+    for (let m = Math.ceil(hours.open / 60) * 60; m <= hours.close; m += 60) hourOptions.push(floorMinutesToTime(m));
+    
+    const popup = document.createElement('div');
+    popup.className = 'desk-info-popup';
+    popup.innerHTML = `
+        <div class="desk-info-popup-content">
+            <button class="popup-close" onclick="this.closest('.desk-info-popup').remove()">×</button>
+            <div class="popup-header">
+                <h3>${escapeHtmlFloorPlan(room.label || 'Room')}</h3>
+                <span class="popup-status ${availability.status === 'free' ? 'available' : 'partial'}">${availability.label}</span>
+            </div>
+            <div class="popup-details">
+                <div class="popup-row">
+                    <span class="popup-label">Date</span>
+                    <span class="popup-value">${new Date(deskState.selectedDate).toLocaleDateString('en-ZA', { weekday: 'short', day: 'numeric', month: 'short' })}</span>
+                </div>
+                ${details.length > 0 ? `
+                <div class="popup-row">
+                    <span class="popup-label">Room</span>
+                    <span class="popup-value desk-amenities">${details.map(d => `<span class="desk-amenity-tag">${escapeHtmlFloorPlan(d)}</span>`).join('')}</span>
+                </div>
+                ` : ''}
+                ${renderDeskTimeline(schedule, hours, currentUserName)}
+                ${bookingsHtml}
+            </div>
+            <form class="quick-book-form desk-slot-form" id="roomBookingForm">
+                <input type="text" id="roomBookingTitle" placeholder="Meeting title (optional)" maxlength="120">
+                ${currentUserName ? '' : '<input type="text" id="roomBookingName" required placeholder="Your name">'}
+                <div class="desk-slot-custom" style="display: flex;">
+                    <select id="roomBookingStart" aria-label="Start time">
+                        ${hourOptions.slice(0, -1).map(t => `<option value="${t}">${t}</option>`).join('')}
+                    </select>
+                    <span>to</span>
+                    <select id="roomBookingEnd" aria-label="End time">
+                        ${hourOptions.slice(1).map(t => `<option value="${t}">${t}</option>`).join('')}
+                    </select>
+                </div>
+                <input type="number" id="roomBookingPeople" min="1" ${room.capacity ? `max="${room.capacity}"` : ''} placeholder="People (optional)">
+                <button type="submit" class="btn btn-primary btn-full">Book Room</button>
+            </form>
+        </div>
+    `;
+    
+    // Remove any existing popups
+    document.querySelectorAll('.desk-info-popup').forEach(p => p.remove());
+    
+    document.body.appendChild(popup);
+    
+    document.getElementById('roomBookingForm').addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const startTime = document.getElementById('roomBookingStart').value;
+        const endTime = document.getElementById('roomBookingEnd').value;
+        if (startTime >= endTime) {
+            showToast('Start time must be before end time', 'error');
+            return;
+        }
+        const name = currentUserName || document.getElementById('roomBookingName').value.trim();
+        if (!currentUserName) localStorage.setItem('employeeName', name);
+        
+        const booked = await bookRoom(room, {
+            startTime,
+            endTime,
+            title: document.getElementById('roomBookingTitle').value.trim(),
+            attendeeCount: document.getElementById('roomBookingPeople').value || null,
+            employeeName: name
+        });
+        if (booked) popup.remove();
+    });
+    
+    // Close on click outside
+    popup.addEventListener('click', (e) => {
+        if (e.target === popup) popup.remove();
+    });
+    
+    // Close on escape
+    const handleEsc = (e) => {
+        if (e.key === 'Escape') {
+            popup.remove();
+            document.removeEventListener('keydown', handleEsc);
+        }
+    };
+    document.addEventListener('keydown', handleEsc);
+}
+
+// Book a meeting room for the selected day; returns whether it was booked
+async function bookRoom(room, details) {
+    try {
+        const token = window.getIdToken ? await window.getIdToken() : null;
+        const headers = { 'Content-Type': 'application/json' };
+        if (token) {
+            headers['Authorization'] = `Bearer ${token}`;
+        }
+        
+        const response = await fetch(`/api/rooms/${room.id}/bookings`, {
+            method: 'POST',
+            headers,
+            body: JSON.stringify({
+                date: deskState.selectedDate,
+                employeeEmail: window.currentUser?.email || localStorage.getItem('employeeEmail') || '',
+                teamId: localStorage.getItem('employeeTeamId') || null,
+                ...details
+            })
+        });
+        
+        if (!response.ok) {
+            const error = await response.json();
+            throw new Error(error.error);
+        }
+        
+        const created = await response.json();
+        showToast(`${room.label || 'Room'} booked ${created.startTime.slice(0, 5)}-${created.endTime.slice(0, 5)}`, 'success');
+        
+        await loadRoomBookings();
+        renderFloorMap();
+        return true;
+    } catch (error) {
+        showToast(error.message || 'Failed to book room', 'error');
+        return false;
+    }
+}
+
+async function cancelRoomBooking(bookingId) {
+    if (!confirm('Cancel this room booking?')) return;
+    
+    try {
+        const token = window.getIdToken ? await window.getIdToken() : null;
+        const headers = {};
+        if (token) {
+            headers['Authorization'] = `Bearer ${token}`;
+        }
+        
+        const response = await fetch(`/api/rooms/bookings/${bookingId}`, { method: 'DELETE', headers });
+        if (!response.ok) {
+            const error = await response.json();
+            throw new Error(error.error);
+        }
+        showToast('Room booking cancelled', 'success');
+        
+        document.querySelectorAll('.desk-info-popup').forEach(p => p.remove());
+        await loadRoomBookings();
+        renderFloorMap();
+    } catch (error) {
+        showToast(error.message || 'Failed to cancel room booking', 'error');
+    }
+}
+
 function selectElement(elementId, elementType) {
     if (!deskState.editMode) return;
     
@@ -1124,7 +1827,12 @@ function openDeskModal(deskId = null) {
             document.querySelectorAll('input[name="chairPos"]').forEach(cb => {
                 cb.checked = (desk.chairPositions || ['bottom']).includes(cb.value);
             });
+            document.querySelectorAll('input[name="deskAmenity"]').forEach(cb => {
+                cb.checked = (desk.amenities || []).includes(cb.value);
+            });
+            document.getElementById('deskDockingType').value = desk.dockingType || '';
             
+            updateDockingTypeVisibility();
             title.textContent = 'Edit Desk';
             submitBtn.textContent = 'Save Changes';
         }
@@ -1141,7 +1849,9 @@ function openDeskModal(deskId = null) {
         document.querySelectorAll('input[name="chairPos"]').forEach(cb => {
             cb.checked = cb.value === 'bottom';
         });
+        document.getElementById('deskDockingType').value = '';
         
+        updateDockingTypeVisibility();
         title.textContent = 'Add Desk';
         submitBtn.textContent = 'Add Desk';
     }
@@ -1149,6 +1859,12 @@ function openDeskModal(deskId = null) {
     modal.classList.add('active');
 }
 
+// The docking type only applies to desks with a docking station
+function updateDockingTypeVisibility() {
+    const hasDock = !!document.querySelector('input[name="deskAmenity"][value="docking_station"]:checked');
+    document.getElementById('deskDockingGroup').style.display = hasDock ? 'block' : 'none';
+}
+
 function closeDeskModal() {
     document.getElementById('deskModal').classList.remove('active');
     document.getElementById('deskForm').reset();
@@ -1171,6 +1887,11 @@ async function handleDeskSubmit(e) {
     // Get chair positions
     const chairPositions = Array.from(document.querySelectorAll('input[name="chairPos"]:checked'))
         .map(cb => cb.value);
+    const amenities = Array.from(document.querySelectorAll('input[name="deskAmenity"]:checked'))
+        .map(cb => cb.value);
+    const dockingType = amenities.includes('docking_station')
+        ? document.getElementById('deskDockingType').value || null
+        : null;
     
     // Calculate initial position for new desks (grid layout)
     const existingDesks = deskState.desks;
@@ -1179,7 +1900,7 @@ async function handleDeskSubmit(e) {
     
     const deskData = { 
         name, locationId, floor, zone, width, height, 
-        deskType, assignedTeamId, chairPositions 
+        deskType, assignedTeamId, chairPositions, amenities, dockingType
     };
     
     try {
@@ -1258,15 +1979,27 @@ function openRoomModal(roomId = null) {
             document.getElementById('roomWidth').value = room.width || 150;
             document.getElementById('roomHeight').value = room.height || 120;
             document.getElementById('roomColor').value = room.color || '#3b82f6';
+            document.getElementById('roomBookable').checked = !!room.bookable;
+            document.getElementById('roomCapacity').value = room.capacity || '';
+            document.querySelectorAll('input[name="roomEquipment"]').forEach(cb => {
+                cb.checked = (room.equipment || []).includes(cb.value);
+            });
         }
     } else {
         form.reset();
         document.getElementById('editRoomId').value = '';
     }
+    updateRoomBookableFields();
     
     modal.classList.add('active');
 }
 
+// Capacity and equipment only apply to bookable rooms
+function updateRoomBookableFields() {
+    const bookable = document.getElementById('roomBookable').checked;
+    document.getElementById('roomBookableFields').style.display = bookable ? 'block' : 'none';
+}
+
 function closeRoomModal() {
     document.getElementById('roomModal').classList.remove('active');
 }
@@ -1279,6 +2012,7 @@ async function handleRoomSubmit(e) {
     const width = parseInt(document.getElementById('roomWidth').value);
     const height = parseInt(document.getElementById('roomHeight').value);
     const color = document.getElementById('roomColor').value;
+    const bookable = document.getElementById('roomBookable').checked;
     
     const roomData = {
         type: 'room',
@@ -1288,8 +2022,11 @@ async function handleRoomSubmit(e) {
         width,
         height,
         color,
-        x: 50,
-        y: 50
+        bookable,
+        capacity: bookable ? parseInt(document.getElementById('roomCapacity').value) || null : null,
+        equipment: bookable
+            ? Array.from(document.querySelectorAll('input[name="roomEquipment"]:checked')).map(cb => cb.value)
+            : []
     };
     
     try {
@@ -1300,25 +2037,32 @@ async function handleRoomSubmit(e) {
             headers['Authorization'] = `Bearer ${token}`;
         }
         
+        let response;
         if (editRoomId) {
-            await fetch(`/api/floor-elements/${editRoomId}`, {
+            response = await fetch(`/api/floor-elements/${editRoomId}`, {
                 method: 'PUT',
                 headers,
                 body: JSON.stringify(roomData)
             });
         } else {
-            await fetch('/api/floor-elements', {
+            // New rooms start near the top left; edits keep their position
+            response = await fetch('/api/floor-elements', {
                 method: 'POST',
                 headers,
-                body: JSON.stringify(roomData)
+                body: JSON.stringify({ ...roomData, x: 50, y: 50 })
             });
         }
         
+        if (!response.ok) {
+            const error = await response.json();
+            throw new Error(error.error);
+        }
+        
         showToast(editRoomId ? 'Room updated' : 'Room added', 'success');
         closeRoomModal();
         loadDesks();
     } catch (error) {
-        showToast('Failed to save room', 'error');
+        showToast(error.message || 'Failed to save room', 'error');
     }
 }
 
@@ -1471,7 +2215,7 @@ function openDeskBookingModal(deskId) {
     const bookingForm = document.getElementById('deskBookingForm');
     const location = state.locations.find(l => l.id === desk.locationId);
     
-    // Check if desk is already booked for this day
+    // This form books the full day, so any existing slot blocks it
     const existingBooking = deskState.deskBookings.find(b => b.deskId === deskId);
     const isBooked = !!existingBooking;
     
@@ -1576,7 +2320,8 @@ async function handleDeskBookingSubmit(e) {
 
 function renderDeskBookingsList(deskId) {
     const container = document.getElementById('deskBookingsList');
-    const deskBookings = deskState.deskBookings.filter(b => b.deskId === deskId);
+    const hours = getFloorOpeningHours();
+    const deskBookings = getDeskSchedule(deskId, hours);
     
     if (deskBookings.length === 0) {
         container.innerHTML = '<p class="hint">No bookings for this day</p>';
@@ -1587,9 +2332,9 @@ function renderDeskBookingsList(deskId) {
         return `
             <div class="desk-booking-item ${booking.checkedIn ? 'checked-in' : ''}">
                 <div class="booking-person">${booking.employeeName}</div>
-                <div class="booking-duration">Full Day</div>
+                <div class="booking-duration">${describeDeskSlot(booking, hours)}</div>
                 ${booking.checkedIn ? '<span class="checked-in-badge">Checked In</span>' : ''}
-                <button class="btn btn-small btn-danger" data-booking-id="${booking.id}" data-desk-id="${deskId}" onclick="cancelDeskBooking(this.dataset.bookingId, this.dataset.deskId)">Cancel</button>
+                ${canCancelDeskBooking(booking, true) ? `<button class="btn btn-small btn-danger" data-booking-id="${booking.id}" data-desk-id="${deskId}" onclick="cancelDeskBooking(this.dataset.bookingId, this.dataset.deskId)">Cancel</button>` : ''}
             </div>
         `;
     }).join('');
@@ -1626,14 +2371,71 @@ async function cancelDeskBooking(bookingId, deskId) {
     }
 }
 
-function showDeskQR(deskId) {
+// QR codes are limited to location admins, so they're fetched with the sign-in token
+// and shown from an object URL rather than linked directly
+async function fetchDeskQrObjectUrl(path) {
+    const token = window.getIdToken ? await window.getIdToken() : null;
+    const headers = {};
+    if (token) {
+        headers['Authorization'] = `Bearer ${token}`;
+    }
+    
+    // Desk lists don't carry the code, so never reuse an image from before a regenerate
+    const response = await fetch(path, { headers, cache: 'no-store' });
+    
+    if (!response.ok) {
+        const error = await response.json().catch(() => ({}));
+        throw new Error(error.error || 'Failed to load QR code');
+    }
+    
+    return URL.createObjectURL(await response.blob());
+}
+
+// Open a QR code (or sheet) in a new tab; the tab is opened first so popup blockers allow it
+async function openDeskQrInTab(path) {
+    const tab = window.open('', '_blank');
+    
+    try {
+        const objectUrl = await fetchDeskQrObjectUrl(path);
+        if (tab) {
+            tab.location = objectUrl;
+        }
+    } catch (error) {
+        tab?.close();
+        showToast(error.message, 'error');
+    }
+}
+
+async function downloadDeskQR(path, filename) {
+    try {
+        const objectUrl = await fetchDeskQrObjectUrl(path);
+        const link = document.createElement('a');
+        link.href = objectUrl;
+        link.download = filename;
+        link.click();
+        URL.revokeObjectURL(objectUrl);
+    } catch (error) {
+        showToast(error.message, 'error');
+    }
+}
+
+async function showDeskQR(deskId) {
     const desk = deskState.desks.find(d => d.id === deskId);
     if (!desk) return;
     
-    const qrUrl = `${window.location.origin}/checkin.html?code=${desk.qrCode}`;
+    // Rendered (and signed) by our own server so check-in URLs never leave the network
+    const qrBase = `/api/desks/${encodeURIComponent(desk.id)}`;
+    const qrImageUrl = `${qrBase}/qr.svg`;
+    const qrPngUrl = `${qrBase}/qr.png?size=600`;
+    const kioskUrl = `${qrBase}/qr.svg?rotate=daily`;
     
-    // Generate QR code using a free API
-    const qrImageUrl = `https://api.qrserver.com/v1/create-qr-code/?size=200x200&data=${encodeURIComponent(qrUrl)}`;
+    let imageUrl;
+    try {
+        imageUrl = await fetchDeskQrObjectUrl(qrImageUrl);
+    } catch (error) {
+        showToast(error.message, 'error');
+        return;
+    }
     
     // Create a modal to show the QR code
     const modal = document.createElement('div');
@@ -1642,7 +2444,7 @@ function showDeskQR(deskId) {
     modal.innerHTML = `
         <div class="modal-content modal-small" style="text-align: center;">
             <div class="modal-header">
-                <h2>QR Code: ${desk.name}</h2>
+                <h2>QR Code: ${escapeHtmlFloorPlan(desk.name)}</h2>
                 <button class="modal-close" onclick="document.getElementById('qrModal').remove()">
                     <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                         <line x1="18" y1="6" x2="6" y2="18"></line>
@@ -1651,20 +2453,30 @@ function showDeskQR(deskId) {
                 </button>
             </div>
             <div style="padding: 2rem;">
-                <img src="${qrImageUrl}" alt="QR Code" style="max-width: 200px; border-radius: 8px; background: white; padding: 10px;">
+                <img src="${imageUrl}" alt="QR Code" style="width: 200px; max-width: 100%; border-radius: 8px; background: white; padding: 10px;">
                 <p style="margin-top: 1rem; color: var(--text-secondary); font-size: 0.9rem;">
                     Scan this QR code at the desk to check in
                 </p>
-                <p style="margin-top: 0.5rem; font-size: 0.75rem; color: var(--text-muted); word-break: break-all;">
-                    ${qrUrl}
-                </p>
-                <button class="btn btn-primary" style="margin-top: 1rem;" onclick="window.open('${qrImageUrl}', '_blank')">
+                <button class="btn btn-primary" style="margin-top: 1rem;" id="qrDownloadBtn">
                     Download QR Code
                 </button>
+                <div style="margin-top: 1rem; display: flex; gap: 0.5rem; justify-content: center;">
+                    <button class="btn btn-secondary btn-small" id="qrKioskBtn" title="Code that expires at midnight, for kiosk screens">
+                        Kiosk Code (rotates daily)
+                    </button>
+                    ${canEditFloorPlan() ? `<button class="btn btn-danger btn-small" data-desk-id="${escapeHtmlFloorPlan(desk.id)}" onclick="regenerateDeskQR(this.dataset.deskId)">
+                        Regenerate
+                    </button>` : ''}
+                </div>
             </div>
         </div>
     `;
     
+    modal.querySelector('#qrDownloadBtn').addEventListener('click', () => downloadDeskQR(qrPngUrl, `${desk.name}-qr.png`));
+    modal.querySelector('#qrKioskBtn').addEventListener('click', () => openDeskQrInTab(kioskUrl));
+    
+    // The image keeps its pixels once loaded, so the object URL can go
+    modal.querySelector('img').addEventListener('load', () => URL.revokeObjectURL(imageUrl));
     modal.addEventListener('click', (e) => {
         if (e.target === modal) modal.remove();
     });
@@ -1672,12 +2484,52 @@ function showDeskQR(deskId) {
     document.body.appendChild(modal);
 }
 
+// Replace a desk's QR code so every previously printed or photographed code stops working
+async function regenerateDeskQR(deskId) {
+    if (!confirm('Regenerate this QR code? Printed labels for this desk will stop working.')) return;
+    
+    try {
+        const token = window.getIdToken ? await window.getIdToken() : null;
+        const headers = {};
+        if (token) {
+            headers['Authorization'] = `Bearer ${token}`;
+        }
+        
+        const response = await fetch(`/api/desks/${encodeURIComponent(deskId)}/qr/regenerate`, {
+            method: 'POST',
+            headers
+        });
+        
+        if (!response.ok) {
+            const error = await response.json();
+            throw new Error(error.error);
+        }
+        
+        const updated = await response.json();
+        const idx = deskState.desks.findIndex(d => d.id === deskId);
+        if (idx !== -1) deskState.desks[idx] = updated;
+        
+        showToast('QR code regenerated - print a new label for this desk', 'success');
+        document.getElementById('qrModal')?.remove();
+        showDeskQR(deskId);
+    } catch (error) {
+        showToast(error.message || 'Failed to regenerate QR code', 'error');
+    }
+}
+
+// Open a printable sheet of QR codes for every desk on the current floor
+function printFloorQRSheet() {
+    const params = new URLSearchParams({ locationId: state.currentLocation, floor: deskState.currentFloor });
+    openDeskQrInTab(`/api/desks/qr-sheet?${params}`);
+}
+
 // Mark module as loaded
 window.floorPlanLoaded = true;
 
 // Expose functions globally for main.js to call
 window.initDesksView = initDesksView;
 window.loadDesks = loadDesks;
+window.applyFloorPlanChange = applyFloorPlanChange;
 window.updateFloorSelector = updateFloorSelector;
 window.toggleEditMode = toggleEditMode;
 window.openDeskModal = openDeskModal;
@@ -1687,12 +2539,17 @@ window.selectElement = selectElement;
 window.deleteSelectedElement = deleteSelectedElement;
 window.handleFloorElementClick = handleFloorElementClick;
 window.quickBookDesk = quickBookDesk;
+window.bookBestDesk = bookBestDesk;
+window.clearDeskFilters = clearDeskFilters;
+window.toggleFavouriteDesk = toggleFavouriteDesk;
 window.showQuickBookModal = showQuickBookModal;
 window.cancelBookingFromPopup = cancelBookingFromPopup;
 window.cancelDeskBooking = cancelDeskBooking;
 window.deleteDesk = deleteDesk;
 window.openRoomModal = openRoomModal;
 window.closeRoomModal = closeRoomModal;
+window.showRoomSchedulePopup = showRoomSchedulePopup;
+window.cancelRoomBooking = cancelRoomBooking;
 window.openWallModal = openWallModal;
 window.closeWallModal = closeWallModal;
 window.openLabelModal = openLabelModal;
@@ -1700,5 +2557,7 @@ window.closeLabelModal = closeLabelModal;
 window.openDeskBookingModal = openDeskBookingModal;
 window.closeDeskBookingModal = closeDeskBookingModal;
 window.showDeskQR = showDeskQR;
+window.printFloorQRSheet = printFloorQRSheet;
+window.regenerateDeskQR = regenerateDeskQR;
 
 console.log('Floor plan module loaded');
@@ -0,0 +1,174 @@
+/**
+ * Analytics Dashboard
+ * Occupancy against capacity, desk check-ins and no-shows, busiest weekdays and
+ * team attendance for a location (or all) over a date range
+ */
+
+import { state } from './state.js';
+import { showToast, escapeHtml, formatDateStr } from './utils.js';
+import { getAnalyticsApi } from './api.js';
+
+function percent(value) {
+    return `${Math.round(value * 100)}%`;
+}
+
+function shiftDate(dateStr, days) {
+    const date = new Date(`${dateStr}T00:00:00`);
+    date.setDate(date.getDate() + days);
+    return formatDateStr(date);
+}
+
+/**
+ * Current filter values as report query parameters
+ */
+function getReportParams() {
+    const params = {
+        from: document.getElementById('analyticsFrom')?.value,
+        to: document.getElementById('analyticsTo')?.value,
+        groupBy: document.getElementById('analyticsGroupBy')?.value || 'week'
+    };
+    const locationId = document.getElementById('analyticsLocation')?.value;
+    if (locationId) params.locationId = locationId;
+    return params;
+}
+
+/**
+ * Fill the date inputs from the selected preset
+ */
+function applyRangePreset() {
+    const preset = document.getElementById('analyticsRange')?.value;
+    if (!preset || preset === 'custom') return;
+
+    const today = formatDateStr(new Date());
+    document.getElementById('analyticsFrom').value = shiftDate(today, -(Number(preset) - 1));
+    document.getElementById('analyticsTo').value = today;
+}
+
+/**
+ * Prepare the analytics view (called when it is shown)
+ */
+export function initAnalyticsView() {
+    const locationSelect = document.getElementById('analyticsLocation');
+    if (locationSelect) {
+        const selected = locationSelect.value || state.currentLocation;
+        locationSelect.innerHTML = '<option value="">All locations</option>' + state.locations.map(l =>
+            `<option value="${escapeHtml(l.id)}" ${l.id === selected ? 'selected' : ''}>${escapeHtml(l.name)}</option>`
+        ).join('');
+    }
+    if (!document.getElementById('analyticsFrom')?.value) {
+        applyRangePreset();
+    }
+    loadAnalytics();
+}
+
+/**
+ * Switch to a preset range, or to custom dates when they are edited
+ */
+export function handleAnalyticsRangeChange(event) {
+    if (event.target.id === 'analyticsRange') {
+        applyRangePreset();
+    } else {
+        document.getElementById('analyticsRange').value = 'custom';
+    }
+    loadAnalytics();
+}
+
+/**
+ * Fetch and render the report for the current filters
+ */
+export async function loadAnalytics() {
+    const container = document.getElementById('analyticsContent');
+    if (!container) return;
+
+    container.innerHTML = '<div class="loading-spinner">Loading report...</div>';
+    try {
+        const report = await getAnalyticsApi(getReportParams());
+        container.innerHTML = report.locations.map(renderLocationReport).join('') + renderTeamAttendance(report.teams);
+    } catch (error) {
+        container.innerHTML = '';
+        showToast(error.message || 'Failed to load analytics', 'error');
+    }
+}
+
+/**
+ * Download the selected report as CSV
+ */
+export function exportAnalyticsCsv() {
+    const report = document.getElementById('analyticsExportReport')?.value || 'daily';
+    const params = new URLSearchParams({ ...getReportParams(), report });
+    const link = document.createElement('a');
+    link.href = `/api/analytics/export.csv?${params}`;
+    link.click();
+}
+
+function renderLocationReport(location) {
+    const { summary } = location;
+    const cards = [
+        ['Average occupancy', percent(summary.avgOccupancy)],
+        ['Peak occupancy', `${percent(summary.peakOccupancy)}${summary.peakDate ? ` on ${summary.peakDate}` : ''}`],
+        ['People per working day', summary.avgPeople],
+        ['Desk bookings', summary.deskBookings],
+        ['Checked in', summary.checkIns],
+        ['No-show rate', percent(summary.noShowRate)]
+    ];
+
+    return `
+        <section class="analytics-location">
+            <h2>${escapeHtml(location.name)} <span class="hint">capacity ${location.capacity}, ${summary.workingDays} working days</span></h2>
+            <div class="analytics-cards">
+                ${cards.map(([label, value]) => `
+                    <div class="analytics-card">
+                        <span class="analytics-card-value">${escapeHtml(String(value))}</span>
+                        <span class="analytics-card-label">${label}</span>
+                    </div>
+                `).join('')}
+            </div>
+            <h3>Occupancy trend</h3>
+            <div class="analytics-chart">
+                ${location.trend.map(t => `
+                    <div class="analytics-bar" title="${escapeHtml(t.period)}: ${percent(t.avgOccupancy)} average, ${t.checkIns} check-ins">
+                        <div class="analytics-bar-fill ${t.avgOccupancy > 1 ? 'over' : ''}" style="height: ${Math.min(t.avgOccupancy, 1) * 100}%"></div>
+                    </div>
+                `).join('')}
+            </div>
+            <h3>Busiest weekdays</h3>
+            <table class="analytics-table">
+                <thead>
+                    <tr><th>Weekday</th><th>Average people</th><th>Average occupancy</th><th>Average desk bookings</th><th>Average check-ins</th></tr>
+                </thead>
+                <tbody>
+                    ${location.weekdays.map(w => `
+                        <tr><td>${w.weekday}</td><td>${w.avgPeople}</td><td>${percent(w.avgOccupancy)}</td><td>${w.avgDeskBookings}</td><td>${w.avgCheckIns}</td></tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        </section>
+    `;
+}
+
+function renderTeamAttendance(teams) {
+    const months = [...new Set(teams.flatMap(t => t.months.map(m => m.month)))].sort();
+    if (teams.length === 0) {
+        return '<section class="analytics-location"><h2>Team attendance</h2><p class="no-data">No team bookings in this range</p></section>';
+    }
+
+    return `
+        <section class="analytics-location">
+            <h2>Team attendance <span class="hint">days in the office per month</span></h2>
+            <table class="analytics-table">
+                <thead>
+                    <tr><th>Team</th>${months.map(m => `<th>${m}</th>`).join('')}<th>Total</th></tr>
+                </thead>
+                <tbody>
+                    ${teams.map(team => `
+                        <tr>
+                            <td>${escapeHtml(team.teamName)}</td>
+                            ${months.map(month => `<td>${team.months.find(m => m.month === month)?.days || 0}</td>`).join('')}
+                            <td>${team.totalDays}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        </section>
+    `;
+}
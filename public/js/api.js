@@ -4,7 +4,7 @@
  */
 
 import { state, BOOKINGS_CACHE_TTL } from './state.js';
-import { apiGet, apiPost, apiPut, apiDelete } from './fetch-utils.js';
+import { apiGet, apiPost, apiPut, apiDelete, apiUpload } from './fetch-utils.js';
 
 /**
  * Load all initial data from the server
@@ -69,6 +69,8 @@ export function invalidateBookingsCache(year, month, location) {
     } else {
         state.bookingsCache = {};
     }
+    // Compliance is worked out from bookings, so it goes stale with them
+    state.compliance = {};
 }
 
 /**
@@ -78,18 +80,83 @@ export async function createBooking(bookingData) {
     return apiPost('/api/bookings', bookingData);
 }
 
+/**
+ * Create a recurring booking series
+ */
+export async function createBookingSeries(seriesData) {
+    return apiPost('/api/bookings/series', seriesData);
+}
+
+/**
+ * Get overbookings waiting for approval
+ */
+export async function getPendingBookings(locationId) {
+    return apiGet(`/api/bookings/pending?locationId=${locationId}`);
+}
+
+/**
+ * Approve a pending overbooking (allowOverbooking approves it even if the day goes over capacity)
+ */
+export async function approveBookingApi(id, reason, allowOverbooking = false) {
+    return apiPost(`/api/bookings/${id}/approve`, { reason, allowOverbooking });
+}
+
+/**
+ * Reject a pending overbooking
+ */
+export async function rejectBookingApi(id, reason) {
+    return apiPost(`/api/bookings/${id}/reject`, { reason });
+}
+
+/**
+ * Get approval decisions for a location
+ */
+export async function getApprovalHistory(locationId) {
+    return apiGet(`/api/bookings/approvals?locationId=${locationId}`);
+}
+
+/**
+ * Get the waitlist for a date and location
+ */
+export async function getWaitlist(date, locationId) {
+    return apiGet(`/api/bookings/waitlist?date=${date}&locationId=${locationId}`);
+}
+
+/**
+ * Join the waitlist for a full day
+ */
+export async function joinWaitlistApi(entryData) {
+    return apiPost('/api/bookings/waitlist', entryData);
+}
+
+/**
+ * Leave the waitlist
+ */
+export async function leaveWaitlistApi(id) {
+    return apiDelete(`/api/bookings/waitlist/${id}`);
+}
+
 /**
  * Update an existing booking
+ * For series bookings, updates.scope can be 'this', 'following' or 'series'
  */
 export async function updateBooking(id, updates) {
     return apiPut(`/api/bookings/${id}`, updates);
 }
 
 /**
- * Delete a booking
+ * Delete a booking (scope applies to series bookings)
  */
-export async function deleteBookingApi(id) {
-    return apiDelete(`/api/bookings/${id}`);
+export async function deleteBookingApi(id, scope = 'this') {
+    const query = scope === 'this' ? '' : `?scope=${scope}`;
+    return apiDelete(`/api/bookings/${id}${query}`);
+}
+
+/**
+ * Restore a deleted booking (with the series occurrences deleted along with it)
+ */
+export async function restoreBookingApi(id) {
+    return apiPost(`/api/bookings/${id}/restore`, {});
 }
 
 /**
@@ -113,6 +180,56 @@ export async function deleteTeamApi(id) {
     return apiDelete(`/api/teams/${id}`);
 }
 
+/**
+ * Restore a deleted team and its bookings
+ */
+export async function restoreTeamApi(id) {
+    return apiPost(`/api/teams/${id}/restore`, {});
+}
+
+/**
+ * Get a team's members
+ */
+export async function getTeamMembersApi(teamId) {
+    return apiGet(`/api/teams/${teamId}/members`);
+}
+
+/**
+ * Add a member to a team
+ */
+export async function addTeamMemberApi(teamId, member) {
+    return apiPost(`/api/teams/${teamId}/members`, member);
+}
+
+/**
+ * Remove a member from a team
+ */
+export async function removeTeamMemberApi(teamId, memberId) {
+    return apiDelete(`/api/teams/${teamId}/members/${memberId}`);
+}
+
+/**
+ * Replace a team's Azure AD members with the manager's direct reports
+ */
+export async function syncTeamMembersApi(teamId, reports) {
+    return apiPost(`/api/teams/${teamId}/members/sync`, { reports });
+}
+
+/**
+ * Get a booking's attendees (RSVPs)
+ */
+export async function getBookingAttendeesApi(bookingId) {
+    return apiGet(`/api/bookings/${bookingId}/attendees`);
+}
+
+/**
+ * RSVP to a team booking
+ * @param {Object} rsvp - { status: 'confirmed' | 'declined', email, reserveDesk }
+ */
+export async function respondToBookingApi(bookingId, rsvp) {
+    return apiPost(`/api/bookings/${bookingId}/attendees`, rsvp);
+}
+
 /**
  * Create a new location
  */
@@ -134,6 +251,35 @@ export async function deleteLocationApi(id) {
     return apiDelete(`/api/locations/${id}`);
 }
 
+/**
+ * Restore a deleted location and its bookings
+ */
+export async function restoreLocationApi(id) {
+    return apiPost(`/api/locations/${id}/restore`, {});
+}
+
+/**
+ * Get everything in the trash
+ */
+export async function getTrashApi() {
+    return apiGet('/api/trash');
+}
+
+/**
+ * Get a stored setting value
+ */
+export async function getSettingApi(key) {
+    const { value } = await apiGet(`/api/settings/${key}`);
+    return value;
+}
+
+/**
+ * Save a setting value
+ */
+export async function updateSettingApi(key, value) {
+    return apiPut(`/api/settings/${key}`, { value });
+}
+
 /**
  * Fetch holidays from external API
  */
@@ -155,3 +301,56 @@ export async function deleteHolidayApi(date) {
     return apiDelete(`/api/holidays/${date}`);
 }
 
+
+/**
+ * Get what the signed-in user is allowed to do
+ */
+export async function getMyPermissionsApi() {
+    return apiGet('/api/permissions/me');
+}
+
+/**
+ * Create (or get the existing) calendar subscription feed
+ * @param {string} type - 'team', 'location' or 'person'
+ * @param {string} [targetId] - Team or location ID
+ */
+export async function createCalendarFeedApi(type, targetId) {
+    return apiPost('/api/calendar-feeds', { type, targetId });
+}
+
+/**
+ * Utilisation and attendance report
+ * @param {Object} params - { from, to, locationId, groupBy }
+ */
+export async function getAnalyticsApi(params) {
+    return apiGet(`/api/analytics?${new URLSearchParams(params)}`);
+}
+
+/**
+ * Attendance policy compliance per team
+ * @param {Object} params - { month (YYYY-MM), teamId, locationId }
+ */
+export async function getComplianceApi(params) {
+    return apiGet(`/api/compliance?${new URLSearchParams(params)}`);
+}
+
+/**
+ * Audit log entries, newest first
+ * @param {Object} params - { entityType, entityId, actor, action, locationId, from, to, limit, offset }
+ * @returns {Promise<{ entries, limit, offset, hasMore }>}
+ */
+export async function getAuditLogApi(params) {
+    return apiGet(`/api/audit?${new URLSearchParams(params)}`);
+}
+
+/**
+ * Check or run a spreadsheet import
+ * @param {string} type - 'bookings' or 'desks'
+ * @param {File} file - CSV or XLSX file
+ * @param {Object} options - { locationId (desks), dryRun }
+ */
+export async function importSpreadsheetApi(type, file, { locationId, dryRun = true } = {}) {
+    const params = new URLSearchParams({ dryRun: String(dryRun) });
+    if (locationId) params.set('locationId', locationId);
+    return apiUpload(`/api/imports/${type}?${params}`, file, { timeout: 60000 });
+}
@@ -0,0 +1,183 @@
+/**
+ * Overbooking Approvals
+ * Pending-approval queue, calendar badge and approve/reject actions for location admins
+ */
+
+import { state } from './state.js';
+import { formatDisplayDate, showToast, escapeHtml } from './utils.js';
+import { getPendingBookings, approveBookingApi, rejectBookingApi, getApprovalHistory } from './api.js';
+import { canManageLocation } from './permissions.js';
+
+/**
+ * Load pending overbookings for the current location and update the badge
+ */
+export async function loadPendingApprovals() {
+    try {
+        state.pendingApprovals = await getPendingBookings(state.currentLocation);
+    } catch (error) {
+        console.error('Error loading pending approvals:', error);
+        state.pendingApprovals = [];
+    }
+    renderPendingBadge();
+}
+
+/**
+ * Show or hide the pending approvals badge in the calendar header
+ */
+export function renderPendingBadge() {
+    const button = document.getElementById('pendingApprovalsBtn');
+    const count = document.getElementById('pendingApprovalsCount');
+    if (!button || !count) return;
+    
+    const pending = state.pendingApprovals.length;
+    button.style.display = pending > 0 ? '' : 'none';
+    count.textContent = pending;
+}
+
+/**
+ * Open the approvals modal with the queue and recent decisions
+ */
+export async function openApprovalsModal() {
+    document.getElementById('approvalsModal')?.remove();
+    
+    let history = [];
+    try {
+        history = await getApprovalHistory(state.currentLocation);
+    } catch (error) {
+        console.error('Error loading approval history:', error);
+    }
+    
+    const modal = document.createElement('div');
+    modal.className = 'modal active';
+    modal.id = 'approvalsModal';
+    modal.innerHTML = `
+        <div class="modal-content">
+            <div class="modal-header">
+                <h2>Pending Overbookings</h2>
+                <button class="modal-close" onclick="closeApprovalsModal()" aria-label="Close approvals">
+                    <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" aria-hidden="true">
+                        <line x1="18" y1="6" x2="6" y2="18"></line>
+                        <line x1="6" y1="6" x2="18" y2="18"></line>
+                    </svg>
+                </button>
+            </div>
+            <div class="approvals-body">
+                ${renderQueue()}
+                <h3>Recent decisions</h3>
+                ${renderHistory(history.slice(0, 10))}
+            </div>
+        </div>
+    `;
+    
+    modal.addEventListener('click', (e) => {
+        if (e.target === modal) closeApprovalsModal();
+    });
+    
+    document.body.appendChild(modal);
+}
+
+/**
+ * Close the approvals modal
+ */
+export function closeApprovalsModal() {
+    document.getElementById('approvalsModal')?.remove();
+}
+
+function renderQueue() {
+    if (state.pendingApprovals.length === 0) {
+        return '<p class="no-bookings">Nothing waiting for approval</p>';
+    }
+    
+    return state.pendingApprovals.map(booking => `
+        <div class="approval-item">
+            <div class="approval-info">
+                <strong>${escapeHtml(booking.teamName)}</strong>
+                <span>${formatDisplayDate(booking.date)} • ${booking.peopleCount} people</span>
+                ${booking.notes ? `<div class="booking-notes">${escapeHtml(booking.notes)}</div>` : ''}
+            </div>
+            ${canManageLocation(booking.locationId) ? `
+            <input type="text" id="approvalReason-${escapeHtml(booking.id)}" class="approval-reason" placeholder="Reason (required to reject)">
+            <div class="approval-actions">
+                <button class="btn btn-primary" onclick="approveOverbooking('${escapeHtml(booking.id)}')">Approve</button>
+                <button class="btn btn-danger" onclick="rejectOverbooking('${escapeHtml(booking.id)}')">Reject</button>
+            </div>` : ''}
+        </div>
+    `).join('');
+}
+
+function renderHistory(history) {
+    if (history.length === 0) {
+        return '<p class="no-bookings">No decisions yet</p>';
+    }
+    
+    return history.map(entry => `
+        <div class="approval-history-item ${entry.decision}">
+            <strong>${escapeHtml(entry.teamName)}</strong>
+            <span>${formatDisplayDate(entry.date)} — ${entry.decision} by ${escapeHtml(entry.decidedBy || 'unknown')}</span>
+            ${entry.reason ? `<div class="booking-notes">${escapeHtml(entry.reason)}</div>` : ''}
+        </div>
+    `).join('');
+}
+
+function getReason(id) {
+    return document.getElementById(`approvalReason-${id}`)?.value.trim() || '';
+}
+
+/**
+ * Approve a pending overbooking
+ */
+export async function approveOverbooking(id) {
+    try {
+        let approved;
+        try {
+            approved = await approveBookingApi(id, getReason(id));
+        } catch (error) {
+            // The day is checked again when approving; going over capacity needs a second confirmation
+            if (error.code !== 'CAPACITY_EXCEEDED') throw error;
+            if (!confirm(`${error.message}. Approve anyway?`)) return;
+            approved = await approveBookingApi(id, getReason(id), true);
+        }
+        
+        const idx = state.bookings.findIndex(b => b.id === id);
+        if (idx !== -1) state.bookings[idx] = approved;
+        state.pendingApprovals = state.pendingApprovals.filter(b => b.id !== id);
+        
+        showToast(`Overbooking approved for ${approved.teamName}`);
+        refreshAfterDecision();
+    } catch (error) {
+        showToast(error.message, 'error');
+    }
+}
+
+/**
+ * Reject a pending overbooking (a reason is required)
+ */
+export async function rejectOverbooking(id) {
+    const reason = getReason(id);
+    if (!reason) {
+        showToast('Please give a reason for rejecting', 'error');
+        document.getElementById(`approvalReason-${id}`)?.focus();
+        return;
+    }
+    
+    try {
+        await rejectBookingApi(id, reason);
+        
+        state.bookings = state.bookings.filter(b => b.id !== id);
+        state.pendingApprovals = state.pendingApprovals.filter(b => b.id !== id);
+        
+        showToast('Overbooking rejected');
+        refreshAfterDecision();
+    } catch (error) {
+        showToast(error.message, 'error');
+    }
+}
+
+function refreshAfterDecision() {
+    renderPendingBadge();
+    window.renderCalendar?.();
+    window.updateCapacityDisplay?.();
+    if (document.getElementById('approvalsModal')) {
+        openApprovalsModal();
+    }
+}
@@ -0,0 +1,103 @@
+/**
+ * Attendees
+ * Who is in and out for each team booking in the day view, and the
+ * "I'm in" / "I'm out" RSVP buttons, which can also reserve a desk near the team
+ */
+
+import { state } from './state.js';
+import { showToast, escapeHtml } from './utils.js';
+import { getBookingAttendeesApi, respondToBookingApi, invalidateBookingsCache } from './api.js';
+
+/**
+ * Email the signed-in user (or the name saved for desk bookings) answers with
+ */
+function getMyEmail() {
+    return (window.currentUser?.email || localStorage.getItem('employeeEmail') || '').trim().toLowerCase();
+}
+
+function renderNames(attendees) {
+    return attendees.map(a => {
+        const desk = a.deskName ? ` <span class="attendee-desk">(${escapeHtml(a.deskName)})</span>` : '';
+        return `${escapeHtml(a.name)}${desk}`;
+    }).join(', ');
+}
+
+function renderAttendees(bookingId, attendees) {
+    const confirmed = attendees.filter(a => a.status === 'confirmed');
+    const declined = attendees.filter(a => a.status === 'declined');
+    const myEmail = getMyEmail();
+    const mine = attendees.find(a => a.email === myEmail);
+
+    const summary = attendees.length === 0
+        ? '<span class="attendee-empty">No RSVPs yet</span>'
+        : `<div><strong>In (${confirmed.length}):</strong> ${renderNames(confirmed) || 'nobody yet'}</div>
+           ${declined.length > 0 ? `<div><strong>Out:</strong> ${renderNames(declined)}</div>` : ''}`;
+
+    const actions = myEmail ? `
+        <div class="attendee-actions">
+            <button class="btn btn-sm ${mine?.status === 'confirmed' ? 'btn-primary' : 'btn-secondary'}"
+                onclick="respondToBooking('${escapeHtml(bookingId)}', 'confirmed')">I'm in</button>
+            <button class="btn btn-sm ${mine?.status === 'declined' ? 'btn-primary' : 'btn-secondary'}"
+                onclick="respondToBooking('${escapeHtml(bookingId)}', 'declined')">I'm out</button>
+            <label class="attendee-desk-option">
+                <input type="checkbox" id="reserveDesk-${escapeHtml(bookingId)}" ${mine?.deskBookingId ? 'checked' : ''}>
+                Reserve a desk near the team
+            </label>
+        </div>` : '';
+
+    return summary + actions;
+}
+
+/**
+ * Fill a booking's attendee list in the day view
+ */
+export async function loadBookingAttendees(bookingId) {
+    const container = document.getElementById(`bookingAttendees-${bookingId}`);
+    if (!container) return;
+
+    try {
+        container.innerHTML = renderAttendees(bookingId, await getBookingAttendeesApi(bookingId));
+    } catch (error) {
+        console.error('Error loading attendees:', error);
+        container.innerHTML = '';
+    }
+}
+
+/**
+ * RSVP to a booking as the signed-in user
+ * @param {string} bookingId
+ * @param {string} status - 'confirmed' or 'declined'
+ */
+export async function respondToBooking(bookingId, status) {
+    const email = getMyEmail();
+    if (!email) {
+        showToast('Sign in to RSVP', 'error');
+        return;
+    }
+    const reserveDesk = status === 'confirmed' && !!document.getElementById(`reserveDesk-${bookingId}`)?.checked;
+
+    try {
+        const result = await respondToBookingApi(bookingId, { status, email, reserveDesk });
+
+        // The booking's count follows its confirmed attendees
+        const idx = state.bookings.findIndex(b => b.id === bookingId);
+        if (idx !== -1) state.bookings[idx] = result.booking;
+        invalidateBookingsCache();
+        window.renderCalendar?.();
+        window.updateCapacityDisplay?.();
+        if (state.selectedDate) {
+            window.renderDayBookings?.(state.selectedDate);
+            window.updateAvailableSpotsHint?.(state.selectedDate);
+        }
+
+        if (status === 'declined') {
+            showToast('You\'re marked as not coming');
+        } else if (reserveDesk && !result.deskBooking) {
+            showToast('You\'re in, but every desk is taken that day', 'warning');
+        } else {
+            showToast(result.deskBooking ? `You're in, at ${result.deskBooking.deskName}` : 'You\'re in');
+        }
+    } catch (error) {
+        showToast(error.message || 'Failed to save RSVP', 'error');
+    }
+}
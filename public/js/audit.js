@@ -0,0 +1,196 @@
+/**
+ * Audit Log
+ * The admin view of every change (filterable, newest first) and the change
+ * history shown for a single booking or desk
+ */
+
+import { state } from './state.js';
+import { showToast, escapeHtml } from './utils.js';
+import { getAuditLogApi } from './api.js';
+import { canManageSystem, canManageLocation } from './permissions.js';
+
+const ENTITY_LABELS = {
+    bookings: 'Booking',
+    booking_attendees: 'RSVP',
+    booking_series: 'Booking series',
+    booking_waitlist: 'Waitlist entry',
+    desk_bookings: 'Desk booking',
+    desks: 'Desk',
+    desk_favourites: 'Favourite desk',
+    floor_elements: 'Floor element',
+    room_bookings: 'Room booking',
+    teams: 'Team',
+    team_members: 'Team member',
+    locations: 'Location',
+    public_holidays: 'Holiday',
+    settings: 'Setting',
+    role_assignments: 'Role assignment',
+    calendar_feeds: 'Calendar feed'
+};
+
+const ACTION_LABELS = {
+    create: 'created',
+    update: 'changed',
+    delete: 'deleted'
+};
+
+// Entries loaded so far in the admin view, for "Load more"
+let loaded = [];
+
+function fieldLabel(field) {
+    return field.replace(/([A-Z])/g, ' $1').toLowerCase();
+}
+
+function formatValue(value) {
+    if (value === null || value === undefined || value === '') return '(empty)';
+    if (typeof value === 'object') return JSON.stringify(value);
+    return String(value);
+}
+
+function formatTimestamp(iso) {
+    return new Date(iso).toLocaleString('en-ZA', { dateStyle: 'medium', timeStyle: 'short' });
+}
+
+/**
+ * A readable name for the entity an entry is about
+ */
+function entityName(entry) {
+    const row = entry.newValues || entry.oldValues || {};
+    const name = row.name || row.teamName || row.employeeName || row.userEmail || row.key;
+    const parts = [name, row.date].filter(Boolean);
+    return parts.length > 0 ? parts.join(', ') : entry.entityId;
+}
+
+function renderChanges(entry) {
+    if (entry.action !== 'update' || !entry.changes) return '';
+    return `
+        <ul class="audit-changes">
+            ${Object.entries(entry.changes).map(([field, { from, to }]) => `
+                <li><span class="audit-field">${escapeHtml(fieldLabel(field))}</span>
+                    ${escapeHtml(formatValue(from))} → ${escapeHtml(formatValue(to))}</li>
+            `).join('')}
+        </ul>
+    `;
+}
+
+/**
+ * Render entries as a list
+ * @param {Object[]} entries - From GET /api/audit
+ * @param {Object} options - { showEntity } to name the entity in each entry
+ */
+export function renderAuditEntries(entries, { showEntity = true } = {}) {
+    if (entries.length === 0) {
+        return '<p class="empty-state">No changes recorded</p>';
+    }
+    return entries.map(entry => `
+        <div class="audit-entry ${entry.action}">
+            <div class="audit-summary">
+                <strong>${escapeHtml(entry.actorName || entry.actorEmail || 'Unknown user')}</strong>
+                ${ACTION_LABELS[entry.action] || escapeHtml(entry.action)}
+                ${showEntity ? `${escapeHtml(ENTITY_LABELS[entry.entityType] || entry.entityType)} <em>${escapeHtml(entityName(entry))}</em>` : ''}
+            </div>
+            <div class="audit-meta">
+                ${escapeHtml(formatTimestamp(entry.createdAt))}
+                ${entry.actorEmail && entry.actorName ? ` · ${escapeHtml(entry.actorEmail)}` : ''}
+                ${entry.ip ? ` · ${escapeHtml(entry.ip)}` : ''}
+            </div>
+            ${renderChanges(entry)}
+        </div>
+    `).join('');
+}
+
+/**
+ * Show or hide an entity's change history in a container
+ * @param {HTMLElement} container - Where to render the history
+ * @param {string} entityType - Table name, e.g. 'bookings' or 'desks'
+ * @param {string} entityId
+ */
+export async function toggleEntityHistory(container, entityType, entityId) {
+    if (!container) return;
+    if (container.dataset.open === 'true') {
+        container.dataset.open = 'false';
+        container.innerHTML = '';
+        return;
+    }
+
+    container.dataset.open = 'true';
+    container.innerHTML = '<div class="loading-spinner">Loading history...</div>';
+    try {
+        const { entries } = await getAuditLogApi({ entityType, entityId, limit: 20 });
+        container.innerHTML = `<h4>History</h4>${renderAuditEntries(entries, { showEntity: false })}`;
+    } catch (error) {
+        container.innerHTML = '';
+        container.dataset.open = 'false';
+        showToast(error.message || 'Failed to load history', 'error');
+    }
+}
+
+/**
+ * Current filter values as query parameters
+ */
+function getAuditParams() {
+    const params = {};
+    const fields = {
+        entityType: 'auditEntityType',
+        action: 'auditAction',
+        actor: 'auditActor',
+        locationId: 'auditLocation',
+        from: 'auditFrom',
+        to: 'auditTo'
+    };
+    Object.entries(fields).forEach(([param, id]) => {
+        const value = document.getElementById(id)?.value?.trim();
+        if (value) params[param] = value;
+    });
+    return params;
+}
+
+/**
+ * Prepare the audit log view (called when it is shown)
+ * Location admins only see the locations they manage.
+ */
+export function initAuditView() {
+    const entitySelect = document.getElementById('auditEntityType');
+    if (entitySelect && entitySelect.options.length === 0) {
+        entitySelect.innerHTML = '<option value="">Everything</option>' + Object.entries(ENTITY_LABELS).map(([value, label]) =>
+            `<option value="${value}">${label}</option>`
+        ).join('');
+    }
+
+    const locationSelect = document.getElementById('auditLocation');
+    if (locationSelect) {
+        const selected = locationSelect.value || (canManageSystem() ? '' : state.currentLocation);
+        const locations = state.locations.filter(l => canManageLocation(l.id));
+        locationSelect.innerHTML = (canManageSystem() ? '<option value="">All locations</option>' : '') + locations.map(l =>
+            `<option value="${escapeHtml(l.id)}" ${l.id === selected ? 'selected' : ''}>${escapeHtml(l.name)}</option>`
+        ).join('');
+    }
+    loadAuditLog();
+}
+
+/**
+ * Fetch the first page (or, with append, the next page) for the current filters
+ */
+export async function loadAuditLog(append = false) {
+    const container = document.getElementById('auditList');
+    const moreBtn = document.getElementById('auditMoreBtn');
+    if (!container) return;
+
+    if (!append) {
+        loaded = [];
+        container.innerHTML = '<div class="loading-spinner">Loading audit log...</div>';
+    }
+    try {
+        const page = await getAuditLogApi({ ...getAuditParams(), offset: loaded.length });
+        loaded = [...loaded, ...page.entries];
+        container.innerHTML = renderAuditEntries(loaded);
+        if (moreBtn) moreBtn.style.display = page.hasMore ? '' : 'none';
+    } catch (error) {
+        if (!append) container.innerHTML = '';
+        showToast(error.message || 'Failed to load audit log', 'error');
+    }
+}
+
+export function loadMoreAuditLog() {
+    return loadAuditLog(true);
+}
@@ -362,6 +362,7 @@ function closeManagerDropdownOnClickOutside(e) {
  */
 export async function selectManager(id, name, title, email) {
     document.getElementById('teamManager').value = name;
+    document.getElementById('teamManagerEmail').value = email || '';
     
     // Fetch photo and direct reports count
     let photoUrl = '';
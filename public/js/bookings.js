@@ -5,10 +5,17 @@
 
 import { state, elements } from './state.js';
 import { formatDateStr, formatDisplayDate, showToast, getBookingPeopleCount, getInitials, escapeHtml } from './utils.js';
-import { createBooking, updateBooking, deleteBookingApi, invalidateBookingsCache, loadBookingsForMonth } from './api.js';
+import { 
+    createBooking, createBookingSeries, updateBooking, deleteBookingApi, restoreBookingApi, invalidateBookingsCache, loadBookingsForMonth,
+    getWaitlist, joinWaitlistApi, leaveWaitlistApi
+} from './api.js';
 import { renderCalendar } from './calendar.js';
+import { canManageTeam } from './permissions.js';
 import { validateBooking, showValidationErrors } from './validation.js';
 import { setButtonLoading } from './loading.js';
+import { toggleEntityHistory } from './audit.js';
+import { renderBookingMemberPicker, getPickedPeopleCount, getPickedMemberIds } from './teamMembers.js';
+import { loadBookingAttendees } from './attendees.js';
 
 // Track if currently overbooking
 let isOverbooking = false;
@@ -38,8 +45,9 @@ export function openBookingModal(dateStr) {
     const dateInput = document.getElementById('bookingDate');
     if (dateInput) dateInput.value = dateStr;
     
-    // Render existing bookings
+    // Render existing bookings and the waitlist
     renderDayBookings(dateStr);
+    renderDayWaitlist(dateStr);
     
     // Update available spots hint
     updateAvailableSpotsHint(dateStr);
@@ -54,6 +62,8 @@ export function openBookingModal(dateStr) {
     if (teamInfo) teamInfo.textContent = '';
     
     hideOverbookingWarning();
+    resetRecurrenceOptions(dateStr);
+    renderBookingMemberPicker(null);
     
     // Show modal
     modal.classList.add('active');
@@ -98,31 +108,41 @@ export function renderDayBookings(dateStr) {
         const team = state.teams.find(t => t.id === booking.teamId);
         const color = team ? team.color : '#6B7280';
         const displayName = team ? team.name : booking.teamName;
-        const displayCount = team ? team.memberCount : booking.peopleCount;
-        const isOverbooked = booking.notes && booking.notes.startsWith('[OVERBOOKED]');
-        const notes = isOverbooked ? booking.notes.replace('[OVERBOOKED] ', '') : booking.notes;
+        const displayCount = booking.peopleCount ?? team?.memberCount;
+        const isOverbooked = booking.isOverbooked || booking.notes?.startsWith('[OVERBOOKED]');
+        const isPending = booking.status === 'pending';
+        const notes = booking.notes?.replace('[OVERBOOKED] ', '');
+        const canEdit = canManageTeam(booking.teamId, booking.locationId);
         
         return `
-            <div class="booking-item ${isOverbooked ? 'overbooked' : ''}" style="background: ${escapeHtml(color)};">
+            <div class="booking-item ${isOverbooked ? 'overbooked' : ''} ${isPending ? 'pending' : ''}" style="background: ${escapeHtml(color)};">
                 <div class="booking-header">
                     <div class="booking-info">
                         <strong>${escapeHtml(displayName)}</strong>
                         <span>${displayCount} people</span>
-                        ${isOverbooked ? '<span class="overbooked-icon" title="Overbooked">⚠️</span>' : ''}
+                        ${booking.seriesId ? '<span class="series-badge" title="Part of a recurring series">↻ Recurring</span>' : ''}
+                        ${isPending ? '<span class="series-badge" title="Overbooking awaiting approval">⏳ Pending approval</span>' : ''}
+                        ${isOverbooked && !isPending ? '<span class="overbooked-icon" title="Overbooked">⚠️</span>' : ''}
                     </div>
                     <div class="booking-actions">
-                        <button class="btn-icon" onclick="editBooking('${escapeHtml(booking.id)}')" title="Edit">
+                        ${canEdit ? `<button class="btn-icon" onclick="editBooking('${escapeHtml(booking.id)}')" title="Edit">
                             <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                                 <path d="M11 4H4a2 2 0 0 0-2 2v14a2 2 0 0 0 2 2h14a2 2 0 0 0 2-2v-7"></path>
                                 <path d="M18.5 2.5a2.121 2.121 0 0 1 3 3L12 15l-4 1 1-4 9.5-9.5z"></path>
                             </svg>
                         </button>
+                        <button class="btn-icon" onclick="toggleBookingHistory('${escapeHtml(booking.id)}')" title="History">
+                            <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                                <circle cx="12" cy="12" r="10"></circle>
+                                <polyline points="12 6 12 12 16 14"></polyline>
+                            </svg>
+                        </button>
                         <button class="btn-icon danger" onclick="deleteBooking('${escapeHtml(booking.id)}')" title="Delete">
                             <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                                 <polyline points="3 6 5 6 21 6"></polyline>
                                 <path d="M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2"></path>
                             </svg>
-                        </button>
+                        </button>` : ''}
                         <div class="calendar-sync-buttons">
                             <button class="btn-icon" onclick="addToOutlookCalendar('${escapeHtml(booking.id)}')" title="Add to Outlook Calendar">
                                 <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
@@ -143,9 +163,106 @@ export function renderDayBookings(dateStr) {
                     </div>
                 </div>
                 ${notes ? `<div class="booking-notes">${escapeHtml(notes)}</div>` : ''}
+                <div class="booking-attendees" id="bookingAttendees-${escapeHtml(booking.id)}"></div>
+                <div class="entity-history" id="bookingHistory-${escapeHtml(booking.id)}"></div>
             </div>
         `;
     }).join('');
+    
+    // Who is in comes from each booking's RSVPs
+    sortedBookings.forEach(booking => loadBookingAttendees(booking.id));
+}
+
+/**
+ * Render the waitlist for a specific day in the modal
+ */
+export async function renderDayWaitlist(dateStr) {
+    const container = document.getElementById('dayWaitlist');
+    if (!container) return;
+    
+    let entries = [];
+    try {
+        entries = await getWaitlist(dateStr, state.currentLocation);
+    } catch (error) {
+        console.error('Error loading waitlist:', error);
+    }
+    
+    // The modal may have moved to another day while loading
+    if (state.selectedDate !== dateStr) return;
+    
+    if (entries.length === 0) {
+        container.innerHTML = '';
+        return;
+    }
+    
+    container.innerHTML = `
+        <h4>Waitlist</h4>
+        ${entries.map((entry, index) => `
+            <div class="waitlist-item">
+                <span class="waitlist-position">${index + 1}</span>
+                <div class="waitlist-info">
+                    <strong>${escapeHtml(entry.teamName)}</strong>
+                    <span>${entry.peopleCount} people</span>
+                </div>
+                ${canManageTeam(entry.teamId, entry.locationId) ? `<button class="btn-icon danger" onclick="leaveWaitlist('${escapeHtml(entry.id)}')" title="Leave waitlist">
+                    <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                        <line x1="18" y1="6" x2="6" y2="18"></line>
+                        <line x1="6" y1="6" x2="18" y2="18"></line>
+                    </svg>
+                </button>` : ''}
+            </div>
+        `).join('')}
+    `;
+}
+
+/**
+ * Put the selected team on the waitlist for the selected day
+ */
+export async function joinWaitlist() {
+    const date = document.getElementById('bookingDate')?.value;
+    const teamId = elements.teamSelect?.value;
+    const notes = document.getElementById('bookingNotes')?.value || '';
+    
+    if (!date || !teamId) {
+        showToast('Select a team first', 'error');
+        return;
+    }
+    
+    const team = state.teams.find(t => t.id === teamId);
+    
+    try {
+        const entry = await joinWaitlistApi({
+            date,
+            teamId,
+            teamName: team?.name,
+            peopleCount: getPeopleCount(team),
+            locationId: state.currentLocation,
+            notes
+        });
+        showToast(`Added to waitlist (position ${entry.position})`);
+        
+        elements.bookingForm?.reset();
+        document.getElementById('bookingId').value = '';
+        hideOverbookingWarning();
+        renderDayWaitlist(date);
+    } catch (error) {
+        showToast(error.message, 'error');
+    }
+}
+
+/**
+ * Remove an entry from the waitlist
+ */
+export async function leaveWaitlist(id) {
+    if (!confirm('Leave the waitlist?')) return;
+    
+    try {
+        await leaveWaitlistApi(id);
+        if (state.selectedDate) renderDayWaitlist(state.selectedDate);
+        showToast('Removed from waitlist');
+    } catch (error) {
+        showToast('Failed to leave waitlist', 'error');
+    }
 }
 
 /**
@@ -179,7 +296,7 @@ export function checkOverbooking() {
     }
     
     const team = state.teams.find(t => t.id === teamId);
-    const peopleCount = team ? team.memberCount : 1;
+    const peopleCount = getPeopleCount(team);
     
     const location = state.locations.find(l => l.id === state.currentLocation);
     const capacity = location ? location.capacity : 21;
@@ -213,7 +330,8 @@ function showOverbookingWarning(total, capacity, excess) {
         warning.innerHTML = `
             <strong>⚠️ Over capacity!</strong>
             <p>This booking would put the office at ${total}/${capacity} (${excess} over capacity).</p>
-            <p>Please provide a reason for overbooking.</p>
+            <p>Join the waitlist to be booked automatically when space frees up, or provide a reason to request an overbooking. Overbookings need a location admin's approval.</p>
+            ${document.getElementById('bookingId')?.value ? '' : '<button type="button" class="btn btn-secondary" onclick="joinWaitlist()">Join waitlist</button>'}
         `;
     }
     
@@ -250,6 +368,138 @@ function hideOverbookingWarning() {
     isOverbooking = false;
 }
 
+/**
+ * Reset the repeat options for a new booking on the given date
+ */
+function resetRecurrenceOptions(dateStr) {
+    const repeat = document.getElementById('bookingRepeat');
+    if (repeat) repeat.checked = false;
+    
+    const recurrenceGroup = document.getElementById('recurrenceGroup');
+    if (recurrenceGroup) recurrenceGroup.style.display = '';
+    
+    const scopeGroup = document.getElementById('seriesScopeGroup');
+    if (scopeGroup) scopeGroup.style.display = 'none';
+    
+    // Default to repeating on the selected weekday
+    const weekday = new Date(dateStr + 'T00:00:00').getDay();
+    document.querySelectorAll('#recurrenceWeekdays input').forEach(input => {
+        input.checked = parseInt(input.value) === weekday;
+    });
+    const monthlyWeekday = document.getElementById('recurrenceWeekday');
+    if (monthlyWeekday && weekday >= 1 && weekday <= 5) monthlyWeekday.value = String(weekday);
+    
+    updateRecurrenceOptions();
+}
+
+/**
+ * Show the repeat options that apply to the chosen frequency and end type
+ */
+export function updateRecurrenceOptions() {
+    const repeat = document.getElementById('bookingRepeat')?.checked;
+    const frequency = document.getElementById('recurrenceFrequency')?.value;
+    const endType = document.getElementById('recurrenceEndType')?.value;
+    
+    const options = document.getElementById('recurrenceOptions');
+    if (options) options.style.display = repeat ? 'block' : 'none';
+    
+    const weekdays = document.getElementById('recurrenceWeekdays');
+    if (weekdays) weekdays.style.display = frequency === 'weekly' ? 'flex' : 'none';
+    
+    const monthly = document.getElementById('recurrenceMonthly');
+    if (monthly) monthly.style.display = frequency === 'monthly' ? 'flex' : 'none';
+    
+    const unit = document.getElementById('recurrenceIntervalUnit');
+    if (unit) unit.textContent = frequency === 'monthly' ? 'month(s)' : 'week(s)';
+    
+    const until = document.getElementById('recurrenceUntil');
+    if (until) until.style.display = endType === 'until' ? '' : 'none';
+    
+    const count = document.getElementById('recurrenceCount');
+    if (count) count.style.display = endType === 'count' ? '' : 'none';
+}
+
+/**
+ * Build a recurrence rule from the repeat options
+ */
+function getRecurrenceRule() {
+    const frequency = document.getElementById('recurrenceFrequency').value;
+    const rule = {
+        frequency,
+        interval: parseInt(document.getElementById('recurrenceInterval').value) || 1
+    };
+    
+    if (frequency === 'weekly') {
+        rule.weekdays = [...document.querySelectorAll('#recurrenceWeekdays input:checked')]
+            .map(input => parseInt(input.value));
+    } else {
+        rule.weekOfMonth = parseInt(document.getElementById('recurrenceWeekOfMonth').value);
+        rule.weekday = parseInt(document.getElementById('recurrenceWeekday').value);
+    }
+    
+    if (document.getElementById('recurrenceEndType').value === 'count') {
+        rule.count = parseInt(document.getElementById('recurrenceCount').value);
+    } else {
+        rule.until = document.getElementById('recurrenceUntil').value;
+    }
+    
+    return rule;
+}
+
+/**
+ * Ask which occurrences of a series an action applies to
+ * @returns {Promise<string|null>} 'this', 'following', 'series' or null if cancelled
+ */
+function chooseSeriesScope(actionLabel) {
+    return new Promise(resolve => {
+        const modal = document.createElement('div');
+        modal.className = 'modal active';
+        modal.id = 'seriesScopeModal';
+        modal.innerHTML = `
+            <div class="modal-content modal-small">
+                <div class="modal-header">
+                    <h2>${escapeHtml(actionLabel)} recurring booking</h2>
+                </div>
+                <div class="series-scope-options">
+                    <button class="btn btn-secondary" data-scope="this">This booking only</button>
+                    <button class="btn btn-secondary" data-scope="following">This and following bookings</button>
+                    <button class="btn btn-danger" data-scope="series">All bookings in the series</button>
+                    <button class="btn btn-secondary" data-scope="">Cancel</button>
+                </div>
+            </div>
+        `;
+        
+        const finish = (scope) => {
+            modal.remove();
+            resolve(scope || null);
+        };
+        
+        modal.querySelectorAll('[data-scope]').forEach(btn => {
+            btn.addEventListener('click', () => finish(btn.dataset.scope));
+        });
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) finish(null);
+        });
+        
+        document.body.appendChild(modal);
+    });
+}
+
+/**
+ * Summarise a series creation result for a toast
+ */
+function describeSeriesResult(result) {
+    let message = `Created ${result.bookings.length} recurring booking${result.bookings.length === 1 ? '' : 's'}`;
+    if (result.skippedHolidays.length > 0) {
+        message += `, skipped ${result.skippedHolidays.length} public holiday${result.skippedHolidays.length === 1 ? '' : 's'}`;
+    }
+    if (result.conflicts.length > 0) {
+        const dates = result.conflicts.map(c => formatDisplayDate(c.date)).join(', ');
+        message += `. Not booked due to conflicts: ${dates}`;
+    }
+    return message;
+}
+
 /**
  * Handle booking form submission
  */
@@ -273,8 +523,17 @@ export async function handleBookingSubmit(e) {
         return;
     }
     
+    if (!bookingId && getPickedPeopleCount() === 0) {
+        showToast('Tick at least one team member who is coming', 'error');
+        return;
+    }
+    
     const team = state.teams.find(t => t.id === teamId);
-    const peopleCount = team ? team.memberCount : 1;
+    const peopleCount = getPeopleCount(team);
+    // Ticked members are recorded as the booking's RSVPs
+    const picked = getPickedMemberIds();
+    const memberIds = picked.length > 0 ? picked : undefined;
+    const isRepeating = !bookingId && document.getElementById('bookingRepeat')?.checked;
     
     // Get submit button and set loading state
     const submitBtn = elements.bookingForm?.querySelector('button[type="submit"]');
@@ -282,27 +541,50 @@ export async function handleBookingSubmit(e) {
     
     try {
         if (bookingId) {
-            // Update existing
+            // Update existing (series bookings can apply the change to later occurrences too)
+            const scope = document.getElementById('seriesScopeGroup')?.style.display !== 'none'
+                ? document.getElementById('seriesScope').value
+                : 'this';
             await updateBooking(bookingId, {
                 date,
                 teamId,
                 teamName: team?.name,
                 peopleCount,
+                memberIds,
+                locationId: state.currentLocation,
+                notes,
+                scope
+            });
+            showToast(scope === 'this' ? 'Booking updated' : 'Recurring bookings updated');
+        } else if (isRepeating) {
+            const result = await createBookingSeries({
+                startDate: date,
+                rule: getRecurrenceRule(),
+                teamId,
+                teamName: team?.name,
+                peopleCount,
+                memberIds,
                 locationId: state.currentLocation,
                 notes
             });
-            showToast('Booking updated');
+            showToast(describeSeriesResult(result), result.conflicts.length > 0 ? 'error' : 'success');
         } else {
             // Create new
-            await createBooking({
+            const created = await createBooking({
                 date,
                 teamId,
                 teamName: team?.name,
                 peopleCount,
+                memberIds,
                 locationId: state.currentLocation,
                 notes
             });
-            showToast('Booking created');
+            if (created.status === 'pending') {
+                showToast('Overbooking submitted for approval');
+                window.loadPendingApprovals?.();
+            } else {
+                showToast('Booking created');
+            }
         }
         
         // Refresh data
@@ -317,6 +599,8 @@ export async function handleBookingSubmit(e) {
         elements.bookingForm?.reset();
         document.getElementById('bookingId').value = '';
         hideOverbookingWarning();
+        resetRecurrenceOptions(date);
+        renderBookingMemberPicker(null);
         
     } catch (error) {
         showToast(error.message, 'error');
@@ -335,39 +619,99 @@ export function editBooking(id) {
     document.getElementById('bookingId').value = booking.id;
     elements.teamSelect.value = booking.teamId;
     
-    const notes = booking.notes?.startsWith('[OVERBOOKED]') 
-        ? booking.notes.replace('[OVERBOOKED] ', '') 
-        : booking.notes || '';
+    const notes = booking.notes?.replace('[OVERBOOKED] ', '') || '';
     document.getElementById('bookingNotes').value = notes;
     
+    // Series bookings choose which occurrences the edit applies to instead of repeating again
+    document.getElementById('recurrenceGroup').style.display = 'none';
+    const scopeGroup = document.getElementById('seriesScopeGroup');
+    scopeGroup.style.display = booking.seriesId ? 'block' : 'none';
+    document.getElementById('seriesScope').value = 'this';
+    
     checkOverbooking();
+    renderBookingMemberPicker(booking.teamId, { editingCount: booking.peopleCount, bookingId: booking.id, onChange: checkOverbooking });
+}
+
+/**
+ * Show or hide a booking's change history under it in the day list
+ */
+export function toggleBookingHistory(id) {
+    toggleEntityHistory(document.getElementById(`bookingHistory-${id}`), 'bookings', id);
 }
 
 /**
  * Delete a booking
  */
 export async function deleteBooking(id) {
-    if (!confirm('Delete this booking?')) return;
+    const booking = state.bookings.find(b => b.id === id);
+    let scope = 'this';
+    
+    if (booking?.seriesId) {
+        scope = await chooseSeriesScope('Delete');
+        if (!scope) return;
+    } else if (!confirm('Delete this booking?')) {
+        return;
+    }
     
     try {
-        await deleteBookingApi(id);
+        const result = await deleteBookingApi(id, scope);
         
-        state.bookings = state.bookings.filter(b => b.id !== id);
+        if (scope === 'this') {
+            state.bookings = state.bookings.filter(b => b.id !== id);
+        } else {
+            state.bookings = state.bookings.filter(b => !(b.seriesId === booking.seriesId &&
+                (scope === 'series' || b.date >= booking.date)));
+        }
         invalidateBookingsCache();
         
+        // Freed space may have promoted waitlisted teams
+        if (result?.promoted?.length > 0) {
+            state.bookings.push(...result.promoted.filter(p => !state.bookings.some(b => b.id === p.id)));
+        }
+        
         renderCalendar();
         if (state.selectedDate) {
             renderDayBookings(state.selectedDate);
+            renderDayWaitlist(state.selectedDate);
             updateAvailableSpotsHint(state.selectedDate);
         }
         window.updateCapacityDisplay?.();
         
-        showToast('Booking deleted');
+        showToast(scope === 'this' ? 'Booking deleted' : 'Bookings deleted', 'success', {
+            action: { label: 'Undo', onClick: () => undoDeleteBooking(id) }
+        });
     } catch (error) {
         showToast('Failed to delete booking', 'error');
     }
 }
 
+/**
+ * Bring a deleted booking (and the occurrences deleted with it) back from the trash
+ */
+async function undoDeleteBooking(id) {
+    try {
+        const { skipped } = await restoreBookingApi(id);
+        
+        invalidateBookingsCache();
+        await loadBookingsForMonth(true);
+        renderCalendar();
+        if (state.selectedDate) {
+            renderDayBookings(state.selectedDate);
+            renderDayWaitlist(state.selectedDate);
+            updateAvailableSpotsHint(state.selectedDate);
+        }
+        window.updateCapacityDisplay?.();
+        
+        if (skipped.length > 0) {
+            showToast(`Booking restored; ${skipped.length} occurrence(s) could not be: ${skipped[0].reason}`, 'warning');
+        } else {
+            showToast('Booking restored');
+        }
+    } catch (error) {
+        showToast(error.message || 'Failed to restore booking', 'error');
+    }
+}
+
 /**
  * Handle team selection change
  */
@@ -387,6 +731,34 @@ export function handleTeamSelect() {
     }
     
     checkOverbooking();
+    const editing = getEditingBooking();
+    const sameTeam = editing?.teamId === teamId;
+    renderBookingMemberPicker(teamId, {
+        editingCount: sameTeam ? editing.peopleCount : null,
+        bookingId: sameTeam ? editing.id : null,
+        onChange: checkOverbooking
+    });
+}
+
+/**
+ * The booking open for editing in the modal, if any
+ */
+function getEditingBooking() {
+    const bookingId = document.getElementById('bookingId')?.value;
+    return bookingId ? state.bookings.find(b => b.id === bookingId) : null;
+}
+
+/**
+ * People the booking in the modal is for: the members ticked, or else the
+ * booking's own count when editing it, or else the team's size
+ */
+function getPeopleCount(team) {
+    const picked = getPickedPeopleCount();
+    if (picked) return picked;
+    
+    const editing = getEditingBooking();
+    if (editing && editing.teamId === team?.id) return editing.peopleCount;
+    return team ? team.memberCount : 1;
 }
 
 // Export for global access
@@ -4,6 +4,8 @@
  */
 
 import { state } from './state.js';
+import { createCalendarFeedApi } from './api.js';
+import { showToast } from './utils.js';
 
 /**
  * Add booking to Outlook Calendar
@@ -40,3 +42,28 @@ export function downloadICS(bookingId) {
     window.location.href = `/api/bookings/${bookingId}/ics`;
 }
 
+/**
+ * Subscribe to a calendar feed that stays up to date
+ * Opens the webcal:// link (Outlook and Apple Calendar) and copies the https
+ * link for calendars that subscribe by URL (Outlook on the web, Google).
+ * @param {string} type - 'team', 'location' or 'person' (the user's desk bookings)
+ * @param {string} [targetId] - Team or location ID
+ */
+export async function subscribeToCalendar(type, targetId) {
+    try {
+        const feed = await createCalendarFeedApi(type, targetId);
+        
+        try {
+            await navigator.clipboard.writeText(feed.url);
+            showToast('Calendar link copied - paste it into "Subscribe from web" if your calendar doesn\'t open');
+        } catch {
+            showToast('Opening your calendar app...');
+        }
+        
+        window.location.href = feed.webcalUrl;
+    } catch (error) {
+        console.error('Error creating calendar feed:', error);
+        showToast(error.message || 'Failed to create calendar subscription', 'error');
+    }
+}
+
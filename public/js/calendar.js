@@ -7,6 +7,8 @@ import { state, elements } from './state.js';
 import { formatDateStr, getBookingPeopleCount, getInitials, getAvatarHTML, escapeHtml } from './utils.js';
 import { loadBookingsForMonth } from './api.js';
 import { joinCurrentRoom } from './socket.js';
+import { canManageTeam } from './permissions.js';
+import { updateComplianceWarnings } from './compliance.js';
 
 // Navigation state to prevent rapid clicking
 let isNavigating = false;
@@ -44,6 +46,8 @@ export function renderCalendar(isLoading = false) {
     } else {
         renderCalendarGrid(year, month, monthBookings, capacity, today, isLoading);
     }
+    
+    if (!isLoading) updateComplianceWarnings();
 }
 
 /**
@@ -114,19 +118,24 @@ function renderCalendarGrid(year, month, monthBookings, capacity, today, isLoadi
                 const team = state.teams.find(t => t.id === booking.teamId);
                 const color = team ? team.color : '#6B7280';
                 const displayName = team ? team.name : booking.teamName;
-                const isOverbooked = booking.notes && booking.notes.startsWith('[OVERBOOKED]');
+                const isOverbooked = booking.isOverbooked || booking.notes?.startsWith('[OVERBOOKED]');
+                const isPending = booking.status === 'pending';
                 const isLoadingBooking = booking._isLoading;
+                // Dragging moves the booking, so only offer it to those who can edit it
+                const canDrag = !isLoadingBooking && canManageTeam(booking.teamId, booking.locationId);
                 
                 dayContent += `
-                    <div class="booking-chip ${isOverbooked ? 'overbooked' : ''} ${isLoadingBooking ? 'loading' : ''}" 
+                    <div class="booking-chip ${isOverbooked ? 'overbooked' : ''} ${isPending ? 'pending' : ''} ${booking.seriesId ? 'series' : ''} ${isLoadingBooking ? 'loading' : ''}" 
                          style="background: ${escapeHtml(color)}" 
-                         draggable="${!isLoadingBooking}"
+                         draggable="${canDrag}"
                          ondragstart="handleDragStart(event, '${escapeHtml(booking.id)}')"
                          ondragend="handleDragEnd(event)"
                          onmouseenter="showTeamTooltip(event, '${escapeHtml(booking.teamId)}')"
                          onmouseleave="hideTeamTooltip()">
                         <span>${escapeHtml(displayName)}</span>
-                        ${isOverbooked ? '<span class="overbooked-icon" title="Overbooked">⚠️</span>' : ''}
+                        ${booking.seriesId ? '<span class="series-icon" title="Recurring booking">↻</span>' : ''}
+                        ${isPending ? '<span class="pending-icon" title="Awaiting approval">⏳</span>' : ''}
+                        ${isOverbooked && !isPending ? '<span class="overbooked-icon" title="Overbooked">⚠️</span>' : ''}
                         ${isLoadingBooking ? '<span class="chip-spinner"></span>' : ''}
                     </div>`;
             });
@@ -212,7 +221,7 @@ function renderCalendarList(year, month, monthBookings, capacity, today, isLoadi
                 const team = state.teams.find(t => t.id === booking.teamId);
                 const color = team ? team.color : '#6B7280';
                 const displayName = team ? team.name : booking.teamName;
-                const displayCount = team ? team.memberCount : booking.peopleCount;
+                const displayCount = booking.peopleCount ?? team?.memberCount;
                 const managerImage = team?.managerImage;
                 const managerName = team?.manager || '';
                 
@@ -230,7 +239,7 @@ function renderCalendarList(year, month, monthBookings, capacity, today, isLoadi
                         ${avatarHtml}
                         <div class="calendar-list-booking-color" style="background: ${escapeHtml(color)}"></div>
                         <div class="calendar-list-booking-info">
-                            <span class="calendar-list-booking-team">${escapeHtml(displayName)}</span>
+                            <span class="calendar-list-booking-team">${escapeHtml(displayName)}${booking.seriesId ? ' <span class="series-icon" title="Recurring booking">↻</span>' : ''}</span>
                             <span class="calendar-list-booking-count">${displayCount} people</span>
                         </div>
                     </div>
@@ -0,0 +1,184 @@
+/**
+ * Attendance Policy Compliance
+ * Team compliance badges, calendar warnings for teams falling short of their
+ * hybrid-work policy, and the policy fields in the team and location modals
+ */
+
+import { state } from './state.js';
+import { escapeHtml, formatDateStr } from './utils.js';
+import { getComplianceApi, getSettingApi, updateSettingApi } from './api.js';
+import { canManageTeam } from './permissions.js';
+
+const POLICY_SETTING = 'attendance_policies';
+
+const STATUS_LABELS = {
+    compliant: 'On track',
+    at_risk: 'At risk',
+    non_compliant: 'Off track'
+};
+
+// Month -> pending request, so views rendering together share one fetch
+const inFlight = new Map();
+
+function monthOf(date) {
+    return formatDateStr(date).slice(0, 7);
+}
+
+function shortDate(dateStr) {
+    return new Date(`${dateStr}T00:00:00`).toLocaleDateString(undefined, { weekday: 'short', day: 'numeric', month: 'short' });
+}
+
+/**
+ * Fetch every team's compliance for a month (YYYY-MM), cached until bookings change
+ */
+export async function loadCompliance(month = monthOf(new Date())) {
+    if (state.compliance[month]) return state.compliance[month];
+    if (!inFlight.has(month)) {
+        inFlight.set(month, getComplianceApi({ month })
+            .then(teams => {
+                state.compliance[month] = teams;
+                return teams;
+            })
+            .finally(() => inFlight.delete(month)));
+    }
+    return inFlight.get(month);
+}
+
+/**
+ * A team card's compliance status for the current month (empty until loaded, or without a policy)
+ */
+export function renderComplianceBadge(team) {
+    const result = state.compliance[monthOf(new Date())]?.find(c => c.teamId === team.id);
+    if (!result || !STATUS_LABELS[result.status]) return '';
+
+    const details = result.shortfall > 0
+        ? `${result.projectedDays} days booked, ${result.shortfall} more needed this month`
+        : `${result.projectedDays} days booked this month`;
+    return `<div class="team-compliance compliance-${result.status}" title="${escapeHtml(describeShortfall(result))}">
+                        <span class="compliance-status">${STATUS_LABELS[result.status]}</span>
+                        <span class="compliance-details">${details}</span>
+                    </div>`;
+}
+
+/**
+ * One sentence on why a team is short of its policy
+ */
+function describeShortfall(result) {
+    const parts = [];
+    if (result.requiredDays) parts.push(`Policy: ${result.requiredDays} days this month`);
+    if (result.missedAnchorDays.length > 0) {
+        parts.push(`missed anchor days ${result.missedAnchorDays.map(shortDate).join(', ')}`);
+    }
+    if (result.unbookedAnchorDays.length > 0) {
+        parts.push(`anchor days not yet booked ${result.unbookedAnchorDays.map(shortDate).join(', ')}`);
+    }
+    const shortWeeks = result.weeks.filter(w => w.shortfall > 0);
+    if (shortWeeks.length > 0) {
+        parts.push(`short in the weeks of ${shortWeeks.map(w => shortDate(w.weekStart)).join(', ')}`);
+    }
+    if (result.shortfall > result.remainingWorkingDays) {
+        parts.push(`only ${result.remainingWorkingDays} working days left`);
+    }
+    return parts.join('; ');
+}
+
+/**
+ * Warn above the calendar about teams at this location the user manages that
+ * are falling short of their policy in the month being viewed
+ */
+export async function updateComplianceWarnings() {
+    const container = document.getElementById('complianceWarnings');
+    if (!container) return;
+
+    const month = monthOf(state.currentDate);
+    const locationId = state.currentLocation;
+    let teams;
+    try {
+        teams = await loadCompliance(month);
+    } catch (error) {
+        teams = [];
+    }
+    // The user may have moved on while the report loaded
+    if (month !== monthOf(state.currentDate) || locationId !== state.currentLocation) return;
+
+    const shortTeams = teams.filter(t =>
+        t.locationId === locationId &&
+        (t.status === 'at_risk' || t.status === 'non_compliant') &&
+        canManageTeam(t.teamId, t.locationId)
+    );
+
+    container.innerHTML = shortTeams.map(t => `
+        <div class="compliance-warning compliance-${t.status}">
+            <strong>${escapeHtml(t.teamName)}</strong>
+            ${t.status === 'at_risk'
+                ? `needs ${t.shortfall} more office day${t.shortfall === 1 ? '' : 's'} to meet its attendance policy`
+                : 'can no longer meet its attendance policy this month'}
+            <span class="hint">${escapeHtml(describeShortfall(t))}</span>
+        </div>
+    `).join('');
+    container.style.display = shortTeams.length > 0 ? '' : 'none';
+}
+
+/**
+ * Fill a modal's policy fields from the stored setting
+ * @param {string} prefix - Field ID prefix ('team' or 'location')
+ * @param {string} group - 'teams' or 'locations'
+ * @param {string|null} id - Team or location ID (null when adding)
+ */
+export async function loadPolicyFields(prefix, group, id) {
+    const week = document.getElementById(`${prefix}PolicyWeek`);
+    const month = document.getElementById(`${prefix}PolicyMonth`);
+    const anchors = document.querySelectorAll(`input[name="${prefix}PolicyAnchor"]`);
+    if (!week || !month) return;
+
+    let policy = null;
+    if (id) {
+        try {
+            policy = ((await getSettingApi(POLICY_SETTING)) || {})[group]?.[id] || null;
+        } catch (error) {
+            policy = null;
+        }
+    }
+    week.value = policy?.minDaysPerWeek ?? '';
+    month.value = policy?.minDaysPerMonth ?? '';
+    anchors.forEach(input => {
+        input.checked = (policy?.anchorDays || []).includes(Number(input.value));
+    });
+    week.dataset.original = JSON.stringify(readPolicyFields(prefix));
+}
+
+/**
+ * The policy entered in a modal, or null when every field is blank
+ */
+function readPolicyFields(prefix) {
+    const week = document.getElementById(`${prefix}PolicyWeek`)?.value;
+    const month = document.getElementById(`${prefix}PolicyMonth`)?.value;
+    const anchorDays = [...document.querySelectorAll(`input[name="${prefix}PolicyAnchor"]:checked`)].map(input => Number(input.value));
+
+    const policy = {};
+    if (week) policy.minDaysPerWeek = parseInt(week);
+    if (month) policy.minDaysPerMonth = parseInt(month);
+    if (anchorDays.length > 0) policy.anchorDays = anchorDays;
+    return Object.keys(policy).length > 0 ? policy : null;
+}
+
+/**
+ * Store a modal's policy when it changed (blank falls back to the location or default policy)
+ */
+export async function savePolicyFields(prefix, group, id) {
+    const week = document.getElementById(`${prefix}PolicyWeek`);
+    if (!week || week.closest('.form-group')?.style.display === 'none') return;
+
+    const policy = readPolicyFields(prefix);
+    if (JSON.stringify(policy) === (week.dataset.original ?? 'null')) return;
+
+    const setting = { ...((await getSettingApi(POLICY_SETTING)) || {}) };
+    setting[group] = { ...(setting[group] || {}) };
+    if (policy) {
+        setting[group][id] = policy;
+    } else {
+        delete setting[group][id];
+    }
+    await updateSettingApi(POLICY_SETTING, setting);
+    state.compliance = {};
+}
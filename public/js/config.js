@@ -40,6 +40,9 @@ export const UI_CONFIG = {
     /** Toast notification duration in milliseconds */
     toastDuration: runtimeConfig.toastDuration || 3000,
     
+    /** Duration of toasts with an action (e.g. Undo) in milliseconds */
+    actionToastDuration: runtimeConfig.actionToastDuration || 8000,
+    
     /** Debounce delay for search/filter inputs in milliseconds */
     debounceDelay: runtimeConfig.debounceDelay || 300,
     
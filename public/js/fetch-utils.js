@@ -15,7 +15,7 @@ const RETRY_DELAY = API_CONFIG.retryDelay;
  * ID tokens have the app's client ID as the audience, which the backend expects
  * @returns {Promise<string|null>}
  */
-async function getAuthToken() {
+export async function getAuthToken() {
     // Use the globally exposed getIdToken from auth.js for backend API calls
     if (typeof window.getIdToken === 'function') {
         try {
@@ -158,7 +158,8 @@ export async function apiPost(url, data, config = {}) {
     
     if (!response.ok) {
         const error = await response.json().catch(() => ({ error: 'Request failed' }));
-        throw new Error(error.error || `HTTP ${response.status}`);
+        // Callers can act on the API's error code, e.g. CAPACITY_EXCEEDED with the remaining spots
+        throw Object.assign(new Error(error.error || `HTTP ${response.status}`), { code: error.code, remaining: error.remaining });
     }
     
     return response.json();
@@ -183,7 +184,8 @@ export async function apiPut(url, data, config = {}) {
     
     if (!response.ok) {
         const error = await response.json().catch(() => ({ error: 'Request failed' }));
-        throw new Error(error.error || `HTTP ${response.status}`);
+        // Callers can act on the API's error code, e.g. CAPACITY_EXCEEDED with the remaining spots
+        throw Object.assign(new Error(error.error || `HTTP ${response.status}`), { code: error.code, remaining: error.remaining });
     }
     
     return response.json();
@@ -212,3 +214,36 @@ export async function apiDelete(url, config = {}) {
     return response.json();
 }
 
+
+/**
+ * Helper for uploading a file as the raw request body
+ * Not retried, since an upload may write data. Errors carry the response
+ * body as error.details (e.g. per-row import results).
+ * @param {string} url - The URL to post to
+ * @param {File|Blob} file - File to send
+ * @param {Object} config - Timeout configuration
+ * @returns {Promise<any>} - Parsed JSON response
+ */
+export async function apiUpload(url, file, config = {}) {
+    const token = await getAuthToken();
+    const headers = addAuthHeader({ 'Content-Type': file.type || 'application/octet-stream' }, token);
+    
+    let response;
+    try {
+        response = await fetchWithTimeout(url, { method: 'POST', headers, body: file }, config.timeout || DEFAULT_TIMEOUT);
+    } catch (error) {
+        if (error.name === 'AbortError') {
+            throw new Error('Request timed out. Please try again.');
+        }
+        throw error;
+    }
+    
+    const body = await response.json().catch(() => ({ error: 'Request failed' }));
+    if (!response.ok) {
+        const error = new Error(body.error || `HTTP ${response.status}`);
+        error.details = body;
+        throw error;
+    }
+    
+    return body;
+}
@@ -7,6 +7,7 @@ import { state } from './state.js';
 import { showToast, escapeHtml } from './utils.js';
 import { fetchHolidaysFromApi, saveHolidays, deleteHolidayApi } from './api.js';
 import { renderCalendar } from './calendar.js';
+import { canManageSystem } from './permissions.js';
 
 /**
  * Render the holiday year selector
@@ -51,6 +52,7 @@ export function renderHolidaysList() {
         return;
     }
     
+    const canDelete = canManageSystem();
     container.innerHTML = yearHolidays.map(holiday => {
         const date = new Date(holiday.date + 'T00:00:00');
         const formatted = date.toLocaleDateString('en-US', { 
@@ -65,12 +67,12 @@ export function renderHolidaysList() {
                     <span class="holiday-date">${formatted}</span>
                     <span class="holiday-name">${escapeHtml(holiday.name)}</span>
                 </div>
-                <button class="btn-icon danger" onclick="deleteHoliday('${escapeHtml(holiday.date)}')" title="Delete">
+                ${canDelete ? `<button class="btn-icon danger" onclick="deleteHoliday('${escapeHtml(holiday.date)}')" title="Delete">
                     <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                         <line x1="18" y1="6" x2="6" y2="18"></line>
                         <line x1="6" y1="6" x2="18" y2="18"></line>
                     </svg>
-                </button>
+                </button>` : ''}
             </div>
         `;
     }).join('');
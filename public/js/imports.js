@@ -0,0 +1,175 @@
+/**
+ * Spreadsheet Imports
+ * Upload a CSV or XLSX file of team bookings or desks, preview every row's
+ * validation result, then import the whole file
+ */
+
+import { state } from './state.js';
+import { showToast, escapeHtml } from './utils.js';
+import { importSpreadsheetApi, invalidateBookingsCache } from './api.js';
+import { renderCalendar } from './calendar.js';
+import { canManageLocation } from './permissions.js';
+
+// The file and options the current preview was made for
+let previewed = null;
+
+const TEMPLATES = {
+    bookings: 'Date,Team,People,Location,Notes\n',
+    desks: 'Name,Floor,Zone,X,Y,Width,Height,Type,Assigned Team\n'
+};
+
+function getImportOptions() {
+    const type = document.getElementById('importType')?.value || 'bookings';
+    const locationId = type === 'desks' ? document.getElementById('importLocation')?.value : undefined;
+    const file = document.getElementById('importFile')?.files?.[0] || null;
+    return { type, locationId, file };
+}
+
+/**
+ * Prepare the import view (called when it is shown)
+ */
+export function initImportsView() {
+    const locationSelect = document.getElementById('importLocation');
+    if (locationSelect) {
+        const locations = state.locations.filter(l => canManageLocation(l.id));
+        locationSelect.innerHTML = locations.map(l =>
+            `<option value="${escapeHtml(l.id)}" ${l.id === state.currentLocation ? 'selected' : ''}>${escapeHtml(l.name)}</option>`
+        ).join('');
+    }
+    updateImportOptions();
+}
+
+/**
+ * Show the location picker for desk imports and discard any stale preview
+ */
+export function updateImportOptions() {
+    const { type } = getImportOptions();
+    const locationGroup = document.getElementById('importLocationGroup');
+    if (locationGroup) {
+        locationGroup.style.display = type === 'desks' ? '' : 'none';
+    }
+    clearImportPreview();
+}
+
+function clearImportPreview() {
+    previewed = null;
+    const container = document.getElementById('importPreview');
+    if (container) container.innerHTML = '';
+    const importBtn = document.getElementById('importRunBtn');
+    if (importBtn) importBtn.disabled = true;
+}
+
+/**
+ * Download an empty CSV with the expected columns
+ */
+export function downloadImportTemplate() {
+    const { type } = getImportOptions();
+    const blob = new Blob([TEMPLATES[type]], { type: 'text/csv' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${type}-import.csv`;
+    link.click();
+    URL.revokeObjectURL(url);
+}
+
+function describeRow(type, data) {
+    if (type === 'bookings') {
+        return [data.date, data.teamName, data.peopleCount, state.locations.find(l => l.id === data.locationId)?.name || '', data.notes];
+    }
+    return [data.name, data.floor, data.zone, data.deskType, data.assignedTeamName || ''];
+}
+
+function renderImportPreview(type, result) {
+    const container = document.getElementById('importPreview');
+    if (!container) return;
+
+    const headers = type === 'bookings'
+        ? ['Date', 'Team', 'People', 'Location', 'Notes']
+        : ['Name', 'Floor', 'Zone', 'Type', 'Assigned Team'];
+
+    const summary = result.valid
+        ? `All ${result.total} rows are valid.`
+        : `${result.invalid} of ${result.total} rows have errors. Fix them in the file and preview again.`;
+    const ignored = result.unknownHeaders?.length
+        ? `<p class="hint">Ignored columns: ${escapeHtml(result.unknownHeaders.join(', '))}</p>`
+        : '';
+
+    container.innerHTML = `
+        <p class="import-summary ${result.valid ? 'valid' : 'invalid'}">${summary}</p>
+        ${ignored}
+        <table class="import-table">
+            <thead>
+                <tr><th>Row</th>${headers.map(h => `<th>${h}</th>`).join('')}<th>Status</th></tr>
+            </thead>
+            <tbody>
+                ${result.rows.map(row => `
+                    <tr class="${row.errors.length ? 'has-errors' : row.warnings.length ? 'has-warnings' : ''}">
+                        <td>${row.row}</td>
+                        ${describeRow(type, row.data).map(value => `<td>${escapeHtml(String(value ?? ''))}</td>`).join('')}
+                        <td>${[...row.errors, ...row.warnings].map(escapeHtml).join('<br>') || 'OK'}</td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+}
+
+/**
+ * Check the selected file without importing it
+ */
+export async function previewImport() {
+    const options = getImportOptions();
+    if (!options.file) {
+        showToast('Choose a CSV or Excel file first', 'error');
+        return;
+    }
+    if (options.type === 'desks' && !options.locationId) {
+        showToast('Choose a location for the desks', 'error');
+        return;
+    }
+
+    clearImportPreview();
+    try {
+        const result = await importSpreadsheetApi(options.type, options.file, { locationId: options.locationId });
+        renderImportPreview(options.type, result);
+        if (result.valid) {
+            previewed = options;
+            document.getElementById('importRunBtn').disabled = false;
+        }
+    } catch (error) {
+        showToast(error.message || 'Failed to read the file', 'error');
+    }
+}
+
+/**
+ * Import the previewed file (every row or none)
+ */
+export async function runImport() {
+    const options = getImportOptions();
+    if (!previewed || previewed.file !== options.file || previewed.type !== options.type || previewed.locationId !== options.locationId) {
+        showToast('Preview the file before importing', 'error');
+        return;
+    }
+
+    const importBtn = document.getElementById('importRunBtn');
+    importBtn.disabled = true;
+    try {
+        const result = await importSpreadsheetApi(options.type, options.file, { locationId: options.locationId, dryRun: false });
+        showToast(`Imported ${result.imported} ${options.type === 'bookings' ? 'bookings' : 'desks'}`);
+
+        document.getElementById('importFile').value = '';
+        clearImportPreview();
+        if (options.type === 'bookings') {
+            invalidateBookingsCache();
+            renderCalendar();
+        }
+    } catch (error) {
+        // Rows may have changed since the preview (e.g. another booking took the space)
+        if (error.details?.rows) {
+            renderImportPreview(options.type, error.details);
+        }
+        showToast(error.message || 'Import failed', 'error');
+        previewed = null;
+    }
+}
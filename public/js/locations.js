@@ -4,11 +4,13 @@
  */
 
 import { state, elements } from './state.js';
-import { showToast, escapeHtml } from './utils.js';
-import { createLocation, updateLocation, deleteLocationApi } from './api.js';
+import { showToast, escapeHtml, getBookingPeopleCount } from './utils.js';
+import { createLocation, updateLocation, deleteLocationApi, getSettingApi, updateSettingApi } from './api.js';
 import { renderTeamSelect } from './teams.js';
+import { canManageSystem, canManageLocation, isSignedIn } from './permissions.js';
 import { validateLocation, showValidationErrors } from './validation.js';
 import { setButtonLoading } from './loading.js';
+import { loadPolicyFields, savePolicyFields } from './compliance.js';
 
 /**
  * Render location select dropdown (sorted alphabetically)
@@ -53,9 +55,11 @@ export function renderLocationsList() {
             </div>
             ${loc.address ? `<div class="location-detail"><span>Address:</span> ${escapeHtml(loc.address)}</div>` : ''}
             ${loc.floors > 1 ? `<div class="location-detail"><span>Floors:</span> ${loc.floors}</div>` : ''}
+            ${loc.openingTime ? `<div class="location-detail"><span>Hours:</span> ${escapeHtml(loc.openingTime.slice(0, 5))}-${escapeHtml((loc.closingTime || '').slice(0, 5))}</div>` : ''}
             <div class="location-card-actions">
-                <button class="btn btn-sm" onclick="editLocation('${escapeHtml(loc.id)}')">Edit</button>
-                <button class="btn btn-sm btn-danger" onclick="deleteLocation('${escapeHtml(loc.id)}')">Delete</button>
+                ${isSignedIn() ? `<button class="btn btn-sm" onclick="subscribeToCalendar('location', '${escapeHtml(loc.id)}')" title="Subscribe to office days and public holidays">Subscribe</button>` : ''}
+                ${canManageLocation(loc.id) ? `<button class="btn btn-sm" onclick="editLocation('${escapeHtml(loc.id)}')">Edit</button>` : ''}
+                ${canManageSystem() ? `<button class="btn btn-sm btn-danger" onclick="deleteLocation('${escapeHtml(loc.id)}')">Delete</button>` : ''}
             </div>
         </div>
     `).join('');
@@ -72,9 +76,13 @@ export async function handleLocationSubmit(e) {
     const address = document.getElementById('locationAddress')?.value || '';
     const capacity = parseInt(document.getElementById('locationCapacity')?.value) || 21;
     const floors = parseInt(document.getElementById('locationFloors')?.value) || 1;
+    const openingTime = document.getElementById('locationOpeningTime')?.value || '08:00';
+    const closingTime = document.getElementById('locationClosingTime')?.value || '18:00';
+    const graceInput = document.getElementById('locationCheckinGrace');
+    const graceValue = graceInput?.value ?? '';
     
     // Frontend validation
-    const validation = validateLocation({ name, address, capacity, floors });
+    const validation = validateLocation({ name, address, capacity, floors, openingTime, closingTime });
     if (!showValidationErrors(validation, showToast)) {
         return;
     }
@@ -86,14 +94,22 @@ export async function handleLocationSubmit(e) {
     try {
         if (locationId) {
             // Update
-            const updated = await updateLocation(locationId, { name, address, capacity, floors });
+            const updated = await updateLocation(locationId, { name, address, capacity, floors, openingTime, closingTime });
             const idx = state.locations.findIndex(l => l.id === locationId);
             if (idx !== -1) state.locations[idx] = updated;
+            if (graceValue !== (graceInput?.dataset.original ?? '')) {
+                await saveCheckinGrace(locationId, graceValue);
+            }
+            await savePolicyFields('location', 'locations', locationId);
             showToast('Location updated');
         } else {
             // Create
-            const newLocation = await createLocation({ name, address, capacity, floors });
+            const newLocation = await createLocation({ name, address, capacity, floors, openingTime, closingTime });
             state.locations.push(newLocation);
+            if (graceValue !== '') {
+                await saveCheckinGrace(newLocation.id, graceValue);
+            }
+            await savePolicyFields('location', 'locations', newLocation.id);
             showToast('Location created');
         }
         
@@ -110,6 +126,35 @@ export async function handleLocationSubmit(e) {
     }
 }
 
+/**
+ * Store a location's check-in grace window (blank falls back to the default)
+ */
+async function saveCheckinGrace(locationId, minutes) {
+    const grace = { ...((await getSettingApi('checkin_grace_minutes')) || {}) };
+    if (minutes === '') {
+        delete grace[locationId];
+    } else {
+        grace[locationId] = parseInt(minutes);
+    }
+    await updateSettingApi('checkin_grace_minutes', grace);
+}
+
+/**
+ * Fill the grace window input for a location from the stored setting
+ */
+async function loadCheckinGrace(locationId) {
+    const input = document.getElementById('locationCheckinGrace');
+    if (!input) return;
+    try {
+        const grace = (await getSettingApi('checkin_grace_minutes')) || {};
+        const minutes = grace[locationId];
+        input.value = Number.isInteger(minutes) ? minutes : '';
+    } catch (error) {
+        input.value = '';
+    }
+    input.dataset.original = input.value;
+}
+
 /**
  * Edit an existing location
  */
@@ -125,6 +170,10 @@ export function editLocation(id) {
     document.getElementById('locationAddress').value = location.address || '';
     document.getElementById('locationCapacity').value = location.capacity;
     document.getElementById('locationFloors').value = location.floors || 1;
+    document.getElementById('locationOpeningTime').value = (location.openingTime || '08:00').slice(0, 5);
+    document.getElementById('locationClosingTime').value = (location.closingTime || '18:00').slice(0, 5);
+    loadCheckinGrace(location.id);
+    loadPolicyFields('location', 'locations', location.id);
     
     // Update modal title and button for editing
     const title = document.getElementById('locationModalTitle');
@@ -145,7 +194,7 @@ export async function deleteLocation(id) {
     const location = state.locations.find(l => l.id === id);
     if (!location) return;
     
-    if (!confirm(`Delete location "${location.name}"? This will delete all bookings at this location.`)) return;
+    if (!confirm(`Delete location "${location.name}"? Its bookings will be deleted too. An admin can restore both from the trash.`)) return;
     
     try {
         await deleteLocationApi(id);
@@ -184,6 +233,7 @@ export function openLocationModal() {
     
     const locationIdInput = document.getElementById('editLocationId');
     if (locationIdInput) locationIdInput.value = '';
+    loadPolicyFields('location', 'locations', null);
     
     // Update modal title and button
     const title = document.getElementById('locationModalTitle');
@@ -237,10 +287,7 @@ export async function updateCapacityDisplay() {
         }
     }
     
-    const totalPeople = todayBookings.reduce((sum, b) => {
-        const team = state.teams.find(t => t.id === b.teamId);
-        return sum + (team ? team.memberCount : b.peopleCount);
-    }, 0);
+    const totalPeople = todayBookings.reduce((sum, b) => sum + getBookingPeopleCount(b, state.teams), 0);
     
     const percentage = Math.min((totalPeople / capacity) * 100, 100);
     
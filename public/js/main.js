@@ -8,13 +8,17 @@
 // Import all modules
 import { state, elements, initElements } from './state.js';
 import { loadTheme, toggleTheme } from './theme.js';
-import { initSocket, joinCurrentRoom, simulateNewUser } from './socket.js';
+import { initSocket, joinCurrentRoom, simulateNewUser, watchFloor } from './socket.js';
 import { loadData, loadBookingsForMonth, invalidateBookingsCache } from './api.js';
+import { 
+    loadPendingApprovals, openApprovalsModal, closeApprovalsModal, approveOverbooking, rejectOverbooking
+} from './approvals.js';
 import { renderCalendar, navigateMonth, goToToday, renderSkeletonCalendar } from './calendar.js';
 import { 
     openBookingModal, closeModal, handleBookingSubmit, 
-    editBooking, deleteBooking, handleTeamSelect, renderDayBookings,
-    updateAvailableSpotsHint, checkOverbooking
+    editBooking, deleteBooking, toggleBookingHistory, handleTeamSelect, renderDayBookings,
+    updateAvailableSpotsHint, checkOverbooking, updateRecurrenceOptions,
+    renderDayWaitlist, joinWaitlist, leaveWaitlist
 } from './bookings.js';
 import { 
     renderTeamSelect, renderTeamsList, renderTeamLocationSelect,
@@ -34,13 +38,28 @@ import {
     handleDragStart, handleDragEnd, handleDragOver, 
     handleDragLeave, handleDrop 
 } from './dragdrop.js';
-import { addToOutlookCalendar, downloadICS } from './calendar-sync.js';
+import { addToOutlookCalendar, downloadICS, subscribeToCalendar } from './calendar-sync.js';
 import { switchView, setupSettingsSubmenu, toggleMobileMenu, closeMobileMenu } from './views.js';
 import { 
     initTeamRolesView, toggleTeamRole, openManagerSelector, 
     closeManagerDropdown, selectManager 
 } from './azure-managers.js';
+import {
+    initAnalyticsView, handleAnalyticsRangeChange, loadAnalytics, exportAnalyticsCsv
+} from './analytics.js';
+import {
+    initImportsView, updateImportOptions, previewImport, runImport, downloadImportTemplate
+} from './imports.js';
+import { initAuditView, loadAuditLog, loadMoreAuditLog, toggleEntityHistory } from './audit.js';
+import { initTrashView, restoreTrashItem } from './trash.js';
+import {
+    openTeamMembers, closeTeamMembersModal, handleTeamMemberSubmit, removeTeamMember, syncTeamMembersFromAzure
+} from './teamMembers.js';
+import { respondToBooking } from './attendees.js';
 import { formatDateStr, showToast } from './utils.js';
+import {
+    loadPermissions, applyPermissionVisibility, canManageLocation, canManageTeam, canManageDeskBooking
+} from './permissions.js';
 
 /**
  * Initialize the application
@@ -57,6 +76,7 @@ async function initApp() {
     
     // Load initial data
     await loadData();
+    await loadPermissions();
     await loadBookingsForMonth();
     
     // Setup event listeners
@@ -67,6 +87,7 @@ async function initApp() {
     renderLocationSelect();
     renderTeamSelect();
     updateCapacityDisplay();
+    loadPendingApprovals();
     
     // Initialize Socket.IO
     initSocket();
@@ -94,6 +115,9 @@ function setupEventListeners() {
     // Settings submenu toggle
     setupSettingsSubmenu();
     
+    // Pending overbooking approvals
+    document.getElementById('pendingApprovalsBtn')?.addEventListener('click', openApprovalsModal);
+    
     // Month navigation
     document.getElementById('prevMonth')?.addEventListener('click', () => navigateMonth(-1));
     document.getElementById('nextMonth')?.addEventListener('click', () => navigateMonth(1));
@@ -114,6 +138,7 @@ function setupEventListeners() {
     
     // Team form
     elements.teamForm?.addEventListener('submit', handleTeamSubmit);
+    document.getElementById('teamMemberForm')?.addEventListener('submit', handleTeamMemberSubmit);
     
     // Location form
     elements.locationForm?.addEventListener('submit', handleLocationSubmit);
@@ -128,6 +153,28 @@ function setupEventListeners() {
     document.getElementById('holidayYearSelect')?.addEventListener('change', renderHolidaysList);
     document.getElementById('fetchHolidaysBtn')?.addEventListener('click', fetchHolidays);
     
+    // Analytics filters and export
+    ['analyticsRange', 'analyticsFrom', 'analyticsTo'].forEach(id => {
+        document.getElementById(id)?.addEventListener('change', handleAnalyticsRangeChange);
+    });
+    document.getElementById('analyticsLocation')?.addEventListener('change', loadAnalytics);
+    document.getElementById('analyticsGroupBy')?.addEventListener('change', loadAnalytics);
+    document.getElementById('analyticsExportBtn')?.addEventListener('click', exportAnalyticsCsv);
+    
+    // Spreadsheet imports
+    document.getElementById('importType')?.addEventListener('change', updateImportOptions);
+    document.getElementById('importLocation')?.addEventListener('change', updateImportOptions);
+    document.getElementById('importFile')?.addEventListener('change', updateImportOptions);
+    document.getElementById('importPreviewBtn')?.addEventListener('click', previewImport);
+    document.getElementById('importRunBtn')?.addEventListener('click', runImport);
+    document.getElementById('importTemplateBtn')?.addEventListener('click', downloadImportTemplate);
+    
+    // Audit log filters
+    ['auditEntityType', 'auditAction', 'auditActor', 'auditLocation', 'auditFrom', 'auditTo'].forEach(id => {
+        document.getElementById(id)?.addEventListener('change', () => loadAuditLog());
+    });
+    document.getElementById('auditMoreBtn')?.addEventListener('click', loadMoreAuditLog);
+    
     // Mobile menu
     document.getElementById('mobileMenuBtn')?.addEventListener('click', toggleMobileMenu);
     document.querySelector('.mobile-overlay')?.addEventListener('click', closeMobileMenu);
@@ -187,6 +234,7 @@ function handleKeyboardNav(e) {
         case 'Escape':
             closeModal();
             closeTeamModal();
+            closeTeamMembersModal();
             closeLocationModal();
             closeManagerDropdown();
             break;
@@ -206,7 +254,9 @@ async function handleLocationChange(e) {
     
     updateCapacityDisplay();
     renderTeamSelect();
+    applyPermissionVisibility();
     joinCurrentRoom();
+    loadPendingApprovals();
     
     // Load bookings in background and re-render when done
     await loadBookingsForMonth();
@@ -253,6 +303,19 @@ window.openBookingModal = openBookingModal;
 window.closeModal = closeModal;
 window.editBooking = editBooking;
 window.deleteBooking = deleteBooking;
+window.toggleBookingHistory = toggleBookingHistory;
+window.updateRecurrenceOptions = updateRecurrenceOptions;
+window.renderDayBookings = renderDayBookings;
+window.updateAvailableSpotsHint = updateAvailableSpotsHint;
+window.renderDayWaitlist = renderDayWaitlist;
+window.joinWaitlist = joinWaitlist;
+window.leaveWaitlist = leaveWaitlist;
+
+// Overbooking approvals
+window.loadPendingApprovals = loadPendingApprovals;
+window.closeApprovalsModal = closeApprovalsModal;
+window.approveOverbooking = approveOverbooking;
+window.rejectOverbooking = rejectOverbooking;
 
 // Drag & Drop
 window.handleDragStart = handleDragStart;
@@ -262,14 +325,23 @@ window.handleDragLeave = handleDragLeave;
 window.handleDrop = handleDrop;
 
 // Teams
+window.renderTeamsList = renderTeamsList;
+window.renderTeamSelect = renderTeamSelect;
 window.editTeam = editTeam;
 window.deleteTeam = deleteTeam;
 window.closeTeamModal = closeTeamModal;
+window.openTeamMembers = openTeamMembers;
+window.closeTeamMembersModal = closeTeamMembersModal;
+window.removeTeamMember = removeTeamMember;
+window.syncTeamMembersFromAzure = syncTeamMembersFromAzure;
+window.respondToBooking = respondToBooking;
 window.clearSelectedManager = clearSelectedManager;
 window.showTeamTooltip = showTeamTooltip;
 window.hideTeamTooltip = hideTeamTooltip;
 
 // Locations
+window.renderLocationsList = renderLocationsList;
+window.renderLocationSelect = renderLocationSelect;
 window.editLocation = editLocation;
 window.deleteLocation = deleteLocation;
 window.closeLocationModal = closeLocationModal;
@@ -280,17 +352,24 @@ window.updateCapacityDisplay = updateCapacityDisplay;
 window.openTeamModal = openTeamModal;
 
 // Holidays
+window.renderHolidaysList = renderHolidaysList;
 window.deleteHoliday = deleteHoliday;
 
 // Calendar Sync
 window.addToOutlookCalendar = addToOutlookCalendar;
 window.downloadICS = downloadICS;
+window.subscribeToCalendar = subscribeToCalendar;
 
 // Views
 window.switchView = switchView;
 
 // Azure AD
 window.initTeamRolesView = initTeamRolesView;
+window.initImportsView = initImportsView;
+window.initAuditView = initAuditView;
+window.initTrashView = initTrashView;
+window.restoreTrashItem = restoreTrashItem;
+window.initAnalyticsView = initAnalyticsView;
 window.toggleTeamRole = toggleTeamRole;
 window.openManagerSelector = openManagerSelector;
 window.selectManager = selectManager;
@@ -311,6 +390,11 @@ window.initApp = initApp;
 window.state = state;
 window.formatDateStr = formatDateStr;
 window.showToast = showToast;
+window.canManageLocation = canManageLocation;
+window.canManageTeam = canManageTeam;
+window.canManageDeskBooking = canManageDeskBooking;
+window.watchFloor = watchFloor;
+window.toggleEntityHistory = toggleEntityHistory;
 
 console.log('📦 Modules loaded successfully');
 
@@ -0,0 +1,102 @@
+/**
+ * Permissions
+ * Mirrors the server's role checks (middleware/permissions.js) so actions the
+ * signed-in user can't take are hidden. The server still enforces every check.
+ */
+
+import { state } from './state.js';
+import { getMyPermissionsApi } from './api.js';
+
+/**
+ * Load the signed-in user's permissions and update static controls
+ */
+export async function loadPermissions() {
+    try {
+        state.permissions = await getMyPermissionsApi();
+    } catch (error) {
+        console.error('Error loading permissions:', error);
+        state.permissions = null;
+    }
+    applyPermissionVisibility();
+}
+
+/**
+ * Everything is allowed when enforcement is off, for admins, or when
+ * permissions couldn't be loaded (the server will refuse what isn't allowed)
+ */
+function isUnrestricted() {
+    const permissions = state.permissions;
+    return !permissions || !permissions.enforced || permissions.isAdmin;
+}
+
+/**
+ * Whether the server knows who the user is (needed for personal features like calendar feeds)
+ */
+export function isSignedIn() {
+    return !!state.permissions?.email;
+}
+
+/**
+ * Locations, holidays, settings and role assignments
+ */
+export function canManageSystem() {
+    return isUnrestricted();
+}
+
+/**
+ * A location's details, desks, floor plan, teams and overbooking approvals
+ */
+export function canManageLocation(locationId) {
+    if (isUnrestricted()) return true;
+    const { allLocations, locationIds } = state.permissions;
+    return !!locationId && (allLocations || locationIds.includes(locationId));
+}
+
+/**
+ * Whether the user administers at least one location
+ */
+export function canManageAnyLocation() {
+    if (isUnrestricted()) return true;
+    return state.permissions.allLocations || state.permissions.locationIds.length > 0;
+}
+
+/**
+ * A team's details and office bookings
+ */
+export function canManageTeam(teamId, locationId) {
+    if (canManageLocation(locationId)) return true;
+    return !!teamId && state.permissions.teamIds.includes(teamId);
+}
+
+/**
+ * A desk booking - employees may only manage their own
+ */
+export function canManageDeskBooking(booking) {
+    if (canManageTeam(booking.teamId, booking.locationId)) return true;
+    const email = (booking.employeeEmail || '').trim().toLowerCase();
+    return !!email && email === state.permissions.email;
+}
+
+/**
+ * Show or hide controls that live in the static page
+ */
+export function applyPermissionVisibility() {
+    const toggle = (selector, visible) => {
+        document.querySelectorAll(selector).forEach(el => {
+            el.style.display = visible ? '' : 'none';
+        });
+    };
+
+    toggle('#addLocationBtn', canManageSystem());
+    toggle('#fetchHolidaysBtn', canManageSystem());
+    toggle('.nav-item[data-view="teamRoles"]', canManageSystem());
+    toggle('#locationCheckinGraceGroup', canManageSystem());
+    toggle('#locationPolicyGroup', canManageSystem());
+    toggle('#teamPolicyGroup', canManageSystem());
+    toggle('#addTeamBtn', canManageAnyLocation());
+    toggle('.nav-item[data-view="imports"]', canManageAnyLocation());
+    toggle('.nav-item[data-view="audit"]', canManageAnyLocation());
+    toggle('.nav-item[data-view="trash"]', canManageSystem());
+    toggle('#toggleEditMode', canManageLocation(state.currentLocation));
+    toggle('#subscribeDeskBookingsBtn', isSignedIn());
+}
@@ -4,7 +4,8 @@
  */
 
 import { state } from './state.js';
-import { stringToColor, escapeHtml } from './utils.js';
+import { stringToColor, escapeHtml, showToast } from './utils.js';
+import { getAuthToken } from './fetch-utils.js';
 
 let socket = null;
 let previousViewerIds = new Set(); // Track previous viewers for animation
@@ -76,13 +77,49 @@ export function initSocket() {
     
     console.log('Socket initialization:', { userName, userId, hasPhoto: !!userPhoto });
 
-    // Initialize Socket.IO
+    // Initialize Socket.IO - the server verifies the token and decides who we appear as
     if (typeof io !== 'undefined') {
-        socket = io();
+        socket = io({
+            auth: (cb) => getAuthToken().then(token => cb(token ? { token } : {}))
+        });
         
         socket.on('connect', () => {
             console.log('Socket connected for user:', userName);
             joinCurrentRoom();
+            if (state.currentFloorRoom) socket.emit('floor:watch', { roomKey: state.currentFloorRoom });
+        });
+
+        socket.on('session', ({ user }) => {
+            state.myUserId = user.id;
+            state.myName = user.name;
+            if (user.guest) state.myPhoto = null;
+            renderViewers();
+        });
+
+        // Send a fresh token before the current one expires
+        socket.on('auth:expiring', async () => {
+            const token = await getAuthToken();
+            if (!token) return;
+            socket.emit('auth:refresh', { token }, (result) => {
+                if (!result?.ok) console.warn('Socket token refresh failed:', result?.error);
+            });
+        });
+
+        socket.on('auth:expired', () => {
+            console.warn('Socket session expired');
+        });
+
+        socket.on('disconnect', (reason) => {
+            state.currentRoom = null;
+            // The server drops sockets whose token expired when sign-in is required;
+            // reconnecting fetches a fresh token through the auth callback
+            if (reason === 'io server disconnect') socket.connect();
+        });
+
+        socket.on('connect_error', (err) => {
+            if (err.data?.code) {
+                console.warn('Live updates unavailable:', err.message);
+            }
         });
 
         socket.on('presence:update', ({ roomKey, viewers }) => {
@@ -123,7 +160,6 @@ export function joinCurrentRoom() {
     const currentUser = {
         id: state.myUserId,
         name: state.myName,
-        color: stringToColor(state.myUserId),
         photo: state.myPhoto || null
     };
     
@@ -139,6 +175,28 @@ export function joinCurrentRoom() {
     });
 }
 
+/**
+ * Receive desk, floor element and desk booking changes for the floor plan being viewed
+ */
+export function watchFloor(locationId, floor) {
+    const roomKey = `floor:${locationId}:${floor || '1'}`;
+    if (roomKey === state.currentFloorRoom) return;
+    
+    state.currentFloorRoom = roomKey;
+    if (socket?.connected) {
+        socket.emit('floor:watch', { roomKey });
+    }
+}
+
+/**
+ * Insert or replace an item by ID
+ */
+function upsertById(list, item) {
+    const idx = list.findIndex(existing => existing.id === item.id);
+    if (idx === -1) list.push(item);
+    else list[idx] = item;
+}
+
 /**
  * Render presence indicators (viewers)
  */
@@ -156,7 +214,6 @@ export function renderViewers() {
         allViewers.push({
             id: state.myUserId,
             name: state.myName,
-            color: stringToColor(state.myUserId),
             photo: state.myPhoto || null
         });
     }
@@ -221,7 +278,7 @@ export function renderViewers() {
         if (v.photo) {
             return `<div class="presence-avatar presence-avatar-photo${cls}" title="${escapeHtml(v.name)}" data-user-id="${escapeHtml(v.id)}"><img src="${escapeHtml(v.photo)}" alt="${escapeHtml(v.name)}" loading="lazy"></div>`;
         }
-        return `<div class="presence-avatar${cls}" style="background: ${escapeHtml(v.color)}" title="${escapeHtml(v.name)}" data-user-id="${escapeHtml(v.id)}">${escapeHtml(v.name.charAt(0).toUpperCase())}</div>`;
+        return `<div class="presence-avatar${cls}" style="background: ${escapeHtml(v.color || stringToColor(v.id))}" title="${escapeHtml(v.name)}" data-user-id="${escapeHtml(v.id)}">${escapeHtml(v.name.charAt(0).toUpperCase())}</div>`;
     }).join('');
     
     if (overflow > 0) {
@@ -253,7 +310,7 @@ export function renderViewers() {
             }
             const avatar = v.photo 
                 ? `<div class="presence-avatar presence-avatar-photo${cls}"><img src="${escapeHtml(v.photo)}" alt="${escapeHtml(v.name)}" loading="lazy"></div>`
-                : `<div class="presence-avatar${cls}" style="background: ${escapeHtml(v.color)}">${escapeHtml(v.name.charAt(0).toUpperCase())}</div>`;
+                : `<div class="presence-avatar${cls}" style="background: ${escapeHtml(v.color || stringToColor(v.id))}">${escapeHtml(v.name.charAt(0).toUpperCase())}</div>`;
             
             return `<div class="presence-expanded-item${cls}" data-user-id="${escapeHtml(v.id)}">${avatar}<span class="presence-expanded-name">${escapeHtml(v.name)}</span></div>`;
         }).join('');
@@ -334,6 +391,7 @@ function animateViewerRemoval(userId, userName, callback) {
 
 function handleDataChange(payload) {
     const { type, booking } = payload;
+    if (booking) state.compliance = {};
     
     switch (type) {
         case 'booking:created':
@@ -342,6 +400,9 @@ function handleDataChange(payload) {
                 window.renderCalendar?.();
                 window.updateCapacityDisplay?.();
             }
+            if (booking.status === 'pending') {
+                window.loadPendingApprovals?.();
+            }
             break;
             
         case 'booking:updated':
@@ -357,6 +418,121 @@ function handleDataChange(payload) {
             window.renderCalendar?.();
             window.updateCapacityDisplay?.();
             break;
+            
+        case 'waitlist:promoted':
+            if (!state.bookings.find(b => b.id === booking.id)) {
+                state.bookings.push(booking);
+            }
+            showToast(`${booking.teamName} moved off the waitlist and is now booked for ${booking.date}`);
+            window.renderCalendar?.();
+            window.updateCapacityDisplay?.();
+            refreshOpenDay(payload.entry.date);
+            break;
+            
+        case 'booking:approved': {
+            const approvedIdx = state.bookings.findIndex(b => b.id === booking.id);
+            if (approvedIdx !== -1) state.bookings[approvedIdx] = booking;
+            window.renderCalendar?.();
+            window.updateCapacityDisplay?.();
+            window.loadPendingApprovals?.();
+            break;
+        }
+            
+        case 'booking:rejected':
+            state.bookings = state.bookings.filter(b => b.id !== booking.id);
+            showToast(`Overbooking for ${booking.teamName} on ${booking.date} was rejected: ${payload.reason}`, 'error');
+            window.renderCalendar?.();
+            window.loadPendingApprovals?.();
+            break;
+            
+        case 'waitlist:joined':
+        case 'waitlist:left':
+            refreshOpenDay(payload.entry.date);
+            break;
+            
+        case 'deskBooking:released':
+            showToast(`${payload.deskBooking.deskName} is free again - ${payload.deskBooking.employeeName} didn't check in`);
+            window.applyFloorPlanChange?.(payload);
+            break;
+            
+        case 'deskBooking:created':
+        case 'deskBooking:checkedIn':
+        case 'deskBooking:deleted':
+        case 'desk:created':
+        case 'desk:updated':
+        case 'desk:deleted':
+        case 'floorElement:created':
+        case 'floorElement:updated':
+        case 'floorElement:deleted':
+        case 'roomBooking:created':
+        case 'roomBooking:deleted':
+            window.applyFloorPlanChange?.(payload);
+            break;
+            
+        case 'team:created':
+        case 'team:updated':
+            upsertById(state.teams, payload.team);
+            window.renderTeamsList?.();
+            window.renderTeamSelect?.();
+            window.renderCalendar?.();
+            break;
+            
+        case 'team:deleted':
+            state.teams = state.teams.filter(t => t.id !== payload.team.id);
+            state.bookings = state.bookings.filter(b => b.teamId !== payload.team.id);
+            window.renderTeamsList?.();
+            window.renderTeamSelect?.();
+            window.renderCalendar?.();
+            window.updateCapacityDisplay?.();
+            break;
+            
+        case 'location:created':
+        case 'location:updated':
+            upsertById(state.locations, payload.location);
+            window.renderLocationsList?.();
+            window.renderLocationSelect?.();
+            window.updateCapacityDisplay?.();
+            if (payload.location.id === state.currentLocation) window.updateFloorSelector?.();
+            break;
+            
+        case 'location:deleted': {
+            state.locations = state.locations.filter(l => l.id !== payload.location.id);
+            window.renderLocationsList?.();
+            if (state.currentLocation === payload.location.id && state.locations.length > 0) {
+                showToast(`${payload.location.name} was deleted`, 'error');
+                // Switch location the same way the sidebar select does
+                const select = document.getElementById('locationSelect');
+                state.currentLocation = state.locations[0].id;
+                window.renderLocationSelect?.();
+                select?.dispatchEvent(new Event('change'));
+            } else {
+                window.renderLocationSelect?.();
+            }
+            break;
+        }
+            
+        case 'holiday:saved':
+            state.publicHolidays = payload.holidays;
+            window.renderHolidaysList?.();
+            window.renderCalendar?.();
+            break;
+            
+        case 'holiday:deleted':
+            state.publicHolidays = (state.publicHolidays || []).filter(h => h.date !== payload.date);
+            window.renderHolidaysList?.();
+            window.renderCalendar?.();
+            break;
+    }
+}
+
+/**
+ * Re-render the booking modal if it is showing the given day
+ */
+function refreshOpenDay(dateStr) {
+    const modalOpen = document.getElementById('bookingModal')?.classList.contains('active');
+    if (modalOpen && state.selectedDate === dateStr) {
+        window.renderDayBookings?.(dateStr);
+        window.renderDayWaitlist?.(dateStr);
     }
 }
 
@@ -11,6 +11,8 @@ export const state = {
     locations: [],
     teams: [],
     bookings: [],
+    pendingApprovals: [], // Overbookings awaiting a location admin
+    permissions: null, // From /api/permissions/me - null until loaded
     publicHolidays: [],
     selectedDate: null,
     viewers: [],
@@ -18,7 +20,9 @@ export const state = {
     myUserId: null,
     myPhoto: null, // Azure AD user photo
     currentRoom: null,
-    bookingsCache: {} // "locationId:year-month" -> { bookings: [], fetchedAt: Date }
+    currentFloorRoom: null, // floor plan room for desk and floor element changes
+    bookingsCache: {}, // "locationId:year-month" -> { bookings: [], fetchedAt: Date }
+    compliance: {} // "year-month" -> attendance policy compliance per team
 };
 
 // Cache settings - now from config
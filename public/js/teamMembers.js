@@ -0,0 +1,218 @@
+/**
+ * Team Members
+ * The roster modal (add, remove, sync from Azure AD direct reports) and the
+ * member picker in the booking modal
+ */
+
+import { state } from './state.js';
+import { showToast, escapeHtml, getInitials } from './utils.js';
+import {
+    getTeamMembersApi, addTeamMemberApi, removeTeamMemberApi, syncTeamMembersApi, getBookingAttendeesApi
+} from './api.js';
+import { canManageTeam } from './permissions.js';
+import { setButtonLoading } from './loading.js';
+
+// Team shown in the roster modal
+let rosterTeamId = null;
+
+/**
+ * Put a team returned by the roster API into state and redraw what shows its size
+ */
+function applyTeam(team) {
+    const idx = state.teams.findIndex(t => t.id === team.id);
+    if (idx !== -1) state.teams[idx] = team;
+    window.renderTeamsList?.();
+    window.renderTeamSelect?.();
+}
+
+function renderRoster(members) {
+    const container = document.getElementById('teamMembersList');
+    if (!container) return;
+
+    const team = state.teams.find(t => t.id === rosterTeamId);
+    const canEdit = team && canManageTeam(team.id, team.locationId);
+
+    if (members.length === 0) {
+        container.innerHTML = `<p class="empty-state">No members yet. ${escapeHtml(team?.name || 'The team')} counts ${team?.memberCount ?? 0} people until members are added.</p>`;
+        return;
+    }
+    container.innerHTML = members.map(member => `
+        <div class="team-member-row">
+            <div class="team-member-avatar">${escapeHtml(getInitials(member.name))}</div>
+            <div class="team-member-info">
+                <span class="team-member-name">${escapeHtml(member.name)}</span>
+                <span class="team-member-meta">${escapeHtml([member.jobTitle, member.email].filter(Boolean).join(' · '))}</span>
+            </div>
+            ${member.source === 'azure' ? '<span class="team-member-source" title="Synced from Azure AD">Azure AD</span>' : ''}
+            ${canEdit ? `<button class="btn-icon danger" onclick="removeTeamMember('${escapeHtml(member.id)}')" title="Remove from team">
+                <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                    <line x1="18" y1="6" x2="6" y2="18"></line>
+                    <line x1="6" y1="6" x2="18" y2="18"></line>
+                </svg>
+            </button>` : ''}
+        </div>
+    `).join('');
+}
+
+async function loadRoster() {
+    const container = document.getElementById('teamMembersList');
+    if (container) container.innerHTML = '<div class="loading-spinner">Loading members...</div>';
+    try {
+        renderRoster(await getTeamMembersApi(rosterTeamId));
+    } catch (error) {
+        if (container) container.innerHTML = '';
+        showToast(error.message || 'Failed to load team members', 'error');
+    }
+}
+
+/**
+ * Open the roster modal for a team
+ */
+export function openTeamMembers(teamId) {
+    const team = state.teams.find(t => t.id === teamId);
+    const modal = document.getElementById('teamMembersModal');
+    if (!team || !modal) return;
+
+    rosterTeamId = teamId;
+    const canEdit = canManageTeam(team.id, team.locationId);
+    document.getElementById('teamMembersTitle').textContent = `${team.name} Members`;
+    document.getElementById('teamMemberForm').style.display = canEdit ? '' : 'none';
+    document.getElementById('syncTeamMembersBtn').style.display = canEdit && team.managerEmail ? '' : 'none';
+
+    modal.classList.add('active');
+    loadRoster();
+}
+
+export function closeTeamMembersModal() {
+    document.getElementById('teamMembersModal')?.classList.remove('active');
+    document.getElementById('teamMemberForm')?.reset();
+    rosterTeamId = null;
+}
+
+/**
+ * Add the member entered in the roster modal
+ */
+export async function handleTeamMemberSubmit(e) {
+    e.preventDefault();
+    const name = document.getElementById('teamMemberName')?.value.trim();
+    const email = document.getElementById('teamMemberEmail')?.value.trim();
+    if (!name || !email) {
+        showToast('Enter a name and email', 'error');
+        return;
+    }
+
+    try {
+        const { team } = await addTeamMemberApi(rosterTeamId, { name, email });
+        applyTeam(team);
+        document.getElementById('teamMemberForm')?.reset();
+        await loadRoster();
+        showToast(`${name} added`);
+    } catch (error) {
+        showToast(error.message || 'Failed to add member', 'error');
+    }
+}
+
+export async function removeTeamMember(memberId) {
+    if (!confirm('Remove this person from the team?')) return;
+
+    try {
+        const { team } = await removeTeamMemberApi(rosterTeamId, memberId);
+        applyTeam(team);
+        await loadRoster();
+        showToast('Member removed');
+    } catch (error) {
+        showToast(error.message || 'Failed to remove member', 'error');
+    }
+}
+
+/**
+ * Replace the team's Azure AD members with its manager's direct reports
+ * Members added by hand stay on the team.
+ */
+export async function syncTeamMembersFromAzure() {
+    const team = state.teams.find(t => t.id === rosterTeamId);
+    if (!team?.managerEmail) return;
+    if (typeof window.fetchDirectReports !== 'function' || !window.isAuthenticated?.()) {
+        showToast('Sign in with Azure AD to sync direct reports', 'error');
+        return;
+    }
+
+    const restoreBtn = setButtonLoading(document.getElementById('syncTeamMembersBtn'), 'Syncing...');
+    try {
+        const reports = await window.fetchDirectReports(team.managerEmail);
+        const result = await syncTeamMembersApi(team.id, reports);
+        applyTeam(result.team);
+        renderRoster(result.members);
+        showToast(`Synced ${reports.length} direct report(s): ${result.added} added, ${result.updated} updated, ${result.removed} removed`);
+    } catch (error) {
+        showToast(error.message || 'Failed to sync direct reports', 'error');
+    } finally {
+        restoreBtn();
+    }
+}
+
+/**
+ * Show the team's members as checkboxes in the booking modal (hidden for teams without a roster)
+ * New bookings start with everyone ticked and edits with the members who RSVP'd
+ * yes; an edit without RSVPs starts with nobody ticked, which keeps its count.
+ * The ticked members are saved as the booking's RSVPs.
+ * @param {string} teamId
+ * @param {Object} options - { editingCount, bookingId } of the booking being edited,
+ *   { onChange } called when the picked members change
+ */
+export async function renderBookingMemberPicker(teamId, { editingCount = null, bookingId = null, onChange } = {}) {
+    const group = document.getElementById('bookingMembersGroup');
+    const container = document.getElementById('bookingMembers');
+    if (!group || !container) return;
+
+    group.style.display = 'none';
+    container.innerHTML = '';
+    if (!teamId) return;
+
+    let members = [];
+    let attendees = [];
+    try {
+        members = await getTeamMembersApi(teamId);
+        if (bookingId && members.length > 0) attendees = await getBookingAttendeesApi(bookingId);
+    } catch (error) {
+        console.error('Error loading team members:', error);
+    }
+    // The team may have changed while the roster loaded
+    if (members.length === 0 || document.getElementById('teamSelect')?.value !== teamId) return;
+
+    const coming = new Set(attendees.filter(a => a.status === 'confirmed').map(a => a.email));
+    const isTicked = member => editingCount === null || coming.has(member.email);
+    container.innerHTML = members.map(member => `
+        <label class="booking-member">
+            <input type="checkbox" name="bookingMember" value="${escapeHtml(member.id)}" ${isTicked(member) ? 'checked' : ''}>
+            ${escapeHtml(member.name)}
+        </label>
+    `).join('');
+    const hint = document.getElementById('bookingMembersHint');
+    if (hint) {
+        hint.textContent = editingCount === null || attendees.length > 0
+            ? 'Untick anyone who isn\'t coming'
+            : `Leave everyone unticked to keep ${editingCount} ${editingCount === 1 ? 'person' : 'people'}`;
+    }
+    container.querySelectorAll('input').forEach(input => input.addEventListener('change', () => onChange?.()));
+    group.style.display = '';
+    onChange?.();
+}
+
+/**
+ * Number of members ticked in the booking modal, or null when it shows no roster
+ */
+export function getPickedPeopleCount() {
+    const group = document.getElementById('bookingMembersGroup');
+    if (!group || group.style.display === 'none') return null;
+    return group.querySelectorAll('input[name="bookingMember"]:checked').length;
+}
+
+/**
+ * IDs of the members ticked in the booking modal (empty when it shows no roster)
+ */
+export function getPickedMemberIds() {
+    const group = document.getElementById('bookingMembersGroup');
+    if (!group || group.style.display === 'none') return [];
+    return [...group.querySelectorAll('input[name="bookingMember"]:checked')].map(input => input.value);
+}
@@ -5,10 +5,12 @@
 
 import { state, elements } from './state.js';
 import { showToast, getAvatarHTML, getInitials, adjustColor, escapeHtml } from './utils.js';
-import { createTeam, updateTeam, deleteTeamApi, invalidateBookingsCache, loadBookingsForMonth } from './api.js';
+import { createTeam, updateTeam, deleteTeamApi, restoreTeamApi, getTeamMembersApi, invalidateBookingsCache, loadBookingsForMonth } from './api.js';
 import { renderCalendar } from './calendar.js';
+import { canManageLocation, canManageTeam, isSignedIn } from './permissions.js';
 import { validateTeam, showValidationErrors } from './validation.js';
 import { setButtonLoading } from './loading.js';
+import { renderComplianceBadge, loadPolicyFields, savePolicyFields } from './compliance.js';
 
 /**
  * Render team select dropdown (sorted alphabetically)
@@ -17,9 +19,9 @@ export function renderTeamSelect() {
     const select = elements.teamSelect;
     if (!select) return;
     
-    // Filter teams for current location
+    // Filter teams for current location that the user can book for
     const locationTeams = state.teams
-        .filter(t => t.locationId === state.currentLocation)
+        .filter(t => t.locationId === state.currentLocation && canManageTeam(t.id, t.locationId))
         .sort((a, b) => a.name.localeCompare(b.name));
     
     select.innerHTML = '<option value="">Select a team...</option>' + 
@@ -48,6 +50,7 @@ export function openTeamModal() {
     // Reset form
     elements.teamForm?.reset();
     document.getElementById('teamId').value = '';
+    unlockMemberCount();
     
     // Clear manager preview
     const preview = document.getElementById('selectedManagerDisplay');
@@ -57,6 +60,7 @@ export function openTeamModal() {
     
     // Populate location select
     renderTeamLocationSelect();
+    loadPolicyFields('team', 'teams', null);
     
     // Update modal title
     const title = document.getElementById('teamModalTitle');
@@ -69,6 +73,25 @@ export function openTeamModal() {
     elements.teamModal?.classList.add('active');
 }
 
+/**
+ * Render a team card's buttons (managers edit, location admins also delete, anyone signed in
+ * subscribes or views the members)
+ */
+function renderTeamActions(team) {
+    const canEdit = canManageTeam(team.id, team.locationId);
+    const canDelete = canManageLocation(team.locationId);
+    const canSubscribe = isSignedIn();
+    if (!canEdit && !canDelete && !canSubscribe) return '';
+    
+    return `
+                    <div class="team-card-actions">
+                        ${canSubscribe ? `<button class="btn btn-sm" onclick="subscribeToCalendar('team', '${escapeHtml(team.id)}')" title="Subscribe to this team's office days">Subscribe</button>` : ''}
+                        <button class="btn btn-sm" onclick="openTeamMembers('${escapeHtml(team.id)}')">Members</button>
+                        ${canEdit ? `<button class="btn btn-sm" onclick="editTeam('${escapeHtml(team.id)}')">Edit</button>` : ''}
+                        ${canDelete ? `<button class="btn btn-sm btn-danger" onclick="deleteTeam('${escapeHtml(team.id)}')">Delete</button>` : ''}
+                    </div>`;
+}
+
 /**
  * Render the teams list in settings
  */
@@ -115,10 +138,8 @@ export function renderTeamsList() {
                         </div>
                     </div>
                     ${team.manager ? `<div class="team-manager-row"><span>Manager:</span> ${escapeHtml(team.manager)}</div>` : ''}
-                    <div class="team-card-actions">
-                        <button class="btn btn-sm" onclick="editTeam('${escapeHtml(team.id)}')">Edit</button>
-                        <button class="btn btn-sm btn-danger" onclick="deleteTeam('${escapeHtml(team.id)}')">Delete</button>
-                    </div>
+                    ${renderComplianceBadge(team)}
+                    ${renderTeamActions(team)}
                 </div>
             `;
         });
@@ -146,10 +167,8 @@ export function renderTeamsList() {
                         </div>
                     </div>
                     ${team.manager ? `<div class="team-manager-row"><span>Manager:</span> ${escapeHtml(team.manager)}</div>` : ''}
-                    <div class="team-card-actions">
-                        <button class="btn btn-sm" onclick="editTeam('${escapeHtml(team.id)}')">Edit</button>
-                        <button class="btn btn-sm btn-danger" onclick="deleteTeam('${escapeHtml(team.id)}')">Delete</button>
-                    </div>
+                    ${renderComplianceBadge(team)}
+                    ${renderTeamActions(team)}
                 </div>
             `;
         });
@@ -175,6 +194,7 @@ export async function handleTeamSubmit(e) {
     const color = document.getElementById('teamColor')?.value;
     const memberCount = parseInt(document.getElementById('teamMemberCount')?.value) || 1;
     const manager = document.getElementById('teamManager')?.value || '';
+    const managerEmail = document.getElementById('teamManagerEmail')?.value || '';
     const managerImage = document.getElementById('teamManagerImage')?.value || '';
     const locationId = document.getElementById('teamLocation')?.value;
     
@@ -191,14 +211,16 @@ export async function handleTeamSubmit(e) {
     try {
         if (teamId) {
             // Update
-            const updated = await updateTeam(teamId, { name, color, memberCount, manager, managerImage, locationId });
+            const updated = await updateTeam(teamId, { name, color, memberCount, manager, managerEmail, managerImage, locationId });
             const idx = state.teams.findIndex(t => t.id === teamId);
             if (idx !== -1) state.teams[idx] = updated;
+            await savePolicyFields('team', 'teams', teamId);
             showToast('Team updated');
         } else {
             // Create
-            const newTeam = await createTeam({ name, color, memberCount, manager, managerImage, locationId });
+            const newTeam = await createTeam({ name, color, memberCount, manager, managerEmail, managerImage, locationId });
             state.teams.push(newTeam);
+            await savePolicyFields('team', 'teams', newTeam.id);
             showToast('Team created');
         }
         
@@ -227,9 +249,12 @@ export function editTeam(id) {
     document.getElementById('teamName').value = team.name;
     document.getElementById('teamColor').value = team.color;
     document.getElementById('teamMemberCount').value = team.memberCount;
+    lockMemberCountToRoster(team.id);
     document.getElementById('teamManager').value = team.manager || '';
+    document.getElementById('teamManagerEmail').value = team.managerEmail || '';
     document.getElementById('teamManagerImage').value = team.managerImage || '';
     document.getElementById('teamLocation').value = team.locationId || '';
+    loadPolicyFields('team', 'teams', team.id);
     
     // Update modal title and button for editing
     const title = document.getElementById('teamModalTitle');
@@ -263,7 +288,7 @@ export async function deleteTeam(id) {
     const team = state.teams.find(t => t.id === id);
     if (!team) return;
     
-    if (!confirm(`Delete team "${team.name}"? This will also delete all their bookings.`)) return;
+    if (!confirm(`Delete team "${team.name}"? Their bookings will be deleted too. Both can be restored from the trash.`)) return;
     
     try {
         await deleteTeamApi(id);
@@ -277,12 +302,68 @@ export async function deleteTeam(id) {
         renderTeamSelect();
         renderCalendar();
         
-        showToast('Team deleted');
+        showToast('Team deleted', 'success', {
+            action: { label: 'Undo', onClick: () => undoDeleteTeam(id) }
+        });
     } catch (error) {
         showToast('Failed to delete team', 'error');
     }
 }
 
+/**
+ * Bring a deleted team and its bookings back from the trash
+ */
+async function undoDeleteTeam(id) {
+    try {
+        const { team, skipped } = await restoreTeamApi(id);
+        
+        state.teams = [...state.teams.filter(t => t.id !== id), team];
+        invalidateBookingsCache();
+        
+        await loadBookingsForMonth(true);
+        renderTeamsList();
+        renderTeamSelect();
+        renderCalendar();
+        
+        if (skipped.length > 0) {
+            showToast(`Team restored; ${skipped.length} booking(s) could not be: ${skipped[0].reason}`, 'warning');
+        } else {
+            showToast('Team restored');
+        }
+    } catch (error) {
+        showToast(error.message || 'Failed to restore team', 'error');
+    }
+}
+
+/**
+ * Disable the member count of a team with a roster, which counts its members instead
+ */
+async function lockMemberCountToRoster(teamId) {
+    unlockMemberCount();
+    const input = document.getElementById('teamMemberCount');
+    const hint = document.getElementById('memberCountHint');
+    let members = [];
+    try {
+        members = await getTeamMembersApi(teamId);
+    } catch (error) {
+        console.error('Error loading team members:', error);
+    }
+    if (document.getElementById('teamId')?.value !== teamId || members.length === 0) return;
+    
+    if (input) input.disabled = true;
+    if (hint) {
+        hint.textContent = `Counted from the team's ${members.length} member${members.length === 1 ? '' : 's'}`;
+        hint.style.display = '';
+    }
+}
+
+function unlockMemberCount() {
+    const input = document.getElementById('teamMemberCount');
+    const hint = document.getElementById('memberCountHint');
+    if (input) input.disabled = false;
+    if (hint) hint.style.display = 'none';
+}
+
 /**
  * Close team modal
  */
@@ -290,6 +371,7 @@ export function closeTeamModal() {
     elements.teamModal?.classList.remove('active');
     elements.teamForm?.reset();
     document.getElementById('teamId').value = '';
+    unlockMemberCount();
     
     const preview = document.getElementById('selectedManagerPreview');
     if (preview) {
@@ -303,6 +385,7 @@ export function closeTeamModal() {
  */
 export function clearSelectedManager() {
     document.getElementById('teamManager').value = '';
+    document.getElementById('teamManagerEmail').value = '';
     document.getElementById('teamManagerImage').value = '';
     
     const preview = document.getElementById('selectedManagerPreview');
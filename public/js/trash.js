@@ -0,0 +1,133 @@
+/**
+ * Trash
+ * The admin view of deleted locations, teams and bookings, which can be
+ * restored until they are purged after the retention period
+ */
+
+import { state } from './state.js';
+import { showToast, escapeHtml, formatDisplayDate } from './utils.js';
+import {
+    getTrashApi, restoreLocationApi, restoreTeamApi, restoreBookingApi, invalidateBookingsCache, loadBookingsForMonth
+} from './api.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Days items stay in the trash, as reported by the server
+let retentionDays = 30;
+
+function formatTimestamp(iso) {
+    return new Date(iso).toLocaleString('en-ZA', { dateStyle: 'medium', timeStyle: 'short' });
+}
+
+function purgeDate(deletedAt) {
+    const date = new Date(new Date(deletedAt).getTime() + retentionDays * DAY_MS);
+    return date.toLocaleDateString('en-ZA', { dateStyle: 'medium' });
+}
+
+function locationName(id) {
+    return state.locations.find(l => l.id === id)?.name || id;
+}
+
+function renderItem(type, id, title, details, item) {
+    return `
+        <div class="trash-item">
+            <div>
+                <strong>${escapeHtml(title)}</strong>
+                ${details ? `<span class="trash-details">${escapeHtml(details)}</span>` : ''}
+                <div class="audit-meta">
+                    Deleted ${escapeHtml(formatTimestamp(item.deletedAt))}${item.deletedBy ? ` by ${escapeHtml(item.deletedBy)}` : ''}
+                    · purged ${escapeHtml(purgeDate(item.deletedAt))}
+                </div>
+            </div>
+            <button class="btn btn-sm btn-secondary" onclick="restoreTrashItem('${type}', '${escapeHtml(id)}')">Restore</button>
+        </div>
+    `;
+}
+
+function bookingCountLabel(count) {
+    if (!count) return '';
+    return `with ${count} booking${count === 1 ? '' : 's'}`;
+}
+
+function renderSection(title, items) {
+    if (items.length === 0) return '';
+    return `<h3>${title}</h3><div class="trash-list">${items.join('')}</div>`;
+}
+
+function renderTrash(trash) {
+    const sections = [
+        renderSection('Locations', trash.locations.map(l =>
+            renderItem('location', l.id, l.name, bookingCountLabel(l.bookingCount), l))),
+        renderSection('Teams', trash.teams.map(t =>
+            renderItem('team', t.id, t.name, [locationName(t.locationId), bookingCountLabel(t.bookingCount)].filter(Boolean).join(', '), t))),
+        renderSection('Bookings', trash.bookings.map(b =>
+            renderItem('booking', b.id, b.teamName || 'Booking', `${formatDisplayDate(b.date)}, ${locationName(b.locationId)}`, b)))
+    ].join('');
+    return sections || '<p class="empty-state">The trash is empty</p>';
+}
+
+/**
+ * Prepare the trash view (called when it is shown)
+ */
+export function initTrashView() {
+    loadTrash();
+}
+
+/**
+ * Fetch and render everything in the trash
+ */
+export async function loadTrash() {
+    const container = document.getElementById('trashList');
+    if (!container) return;
+
+    container.innerHTML = '<div class="loading-spinner">Loading trash...</div>';
+    try {
+        const trash = await getTrashApi();
+        retentionDays = trash.retentionDays;
+        const hint = document.getElementById('trashRetention');
+        if (hint) hint.textContent = retentionDays;
+        container.innerHTML = renderTrash(trash);
+    } catch (error) {
+        container.innerHTML = '';
+        showToast(error.message || 'Failed to load trash', 'error');
+    }
+}
+
+/**
+ * Restore an item, with the bookings deleted along with it
+ * @param {string} type - 'location', 'team' or 'booking'
+ * @param {string} id
+ */
+export async function restoreTrashItem(type, id) {
+    try {
+        let skipped;
+        if (type === 'location') {
+            const result = await restoreLocationApi(id);
+            state.locations = [...state.locations.filter(l => l.id !== id), result.location];
+            skipped = result.skipped;
+            window.renderLocationsList?.();
+            window.renderLocationSelect?.();
+        } else if (type === 'team') {
+            const result = await restoreTeamApi(id);
+            state.teams = [...state.teams.filter(t => t.id !== id), result.team];
+            skipped = result.skipped;
+            window.renderTeamsList?.();
+            window.renderTeamSelect?.();
+        } else {
+            ({ skipped } = await restoreBookingApi(id));
+        }
+
+        invalidateBookingsCache();
+        await loadBookingsForMonth(true);
+        window.renderCalendar?.();
+
+        if (skipped.length > 0) {
+            showToast(`Restored; ${skipped.length} booking(s) stay in the trash: ${skipped[0].reason}`, 'warning');
+        } else {
+            showToast('Restored');
+        }
+    } catch (error) {
+        showToast(error.message || 'Failed to restore', 'error');
+    }
+    loadTrash();
+}
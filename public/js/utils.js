@@ -24,8 +24,10 @@ export function formatDisplayDate(dateStr) {
 
 /**
  * Show a toast notification
+ * @param {Object} [options] - { action: { label, onClick } } adds a button (e.g. Undo)
+ *   that closes the toast; such toasts stay up longer
  */
-export function showToast(message, type = 'success') {
+export function showToast(message, type = 'success', { action } = {}) {
     const container = document.getElementById('toastContainer');
     if (!container) return;
     
@@ -37,16 +39,30 @@ export function showToast(message, type = 'success') {
     toast.setAttribute('role', 'alert');
     toast.setAttribute('aria-live', 'polite');
     
+    const close = () => {
+        toast.classList.remove('show');
+        setTimeout(() => toast.remove(), UI_CONFIG.animationDuration);
+    };
+    
+    if (action) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'toast-action';
+        button.textContent = action.label;
+        button.addEventListener('click', () => {
+            close();
+            action.onClick();
+        }, { once: true });
+        toast.appendChild(button);
+    }
+    
     container.appendChild(toast);
     
     // Trigger animation
     setTimeout(() => toast.classList.add('show'), 10);
     
     // Remove after configured duration
-    setTimeout(() => {
-        toast.classList.remove('show');
-        setTimeout(() => toast.remove(), UI_CONFIG.animationDuration);
-    }, UI_CONFIG.toastDuration);
+    setTimeout(close, action ? UI_CONFIG.actionToastDuration : UI_CONFIG.toastDuration);
 }
 
 /**
@@ -109,10 +125,15 @@ export function escapeHtml(text) {
 
 /**
  * Get effective people count for a booking
- * Uses current team memberCount if available
+ * Uses the booking's own count (the members picked for it), falling back to
+ * the team's memberCount.
+ * Pending overbookings don't count toward capacity until approved.
  */
 export function getBookingPeopleCount(booking, teams) {
+    if (booking.status === 'pending') return 0;
+    // A booking whose RSVPs are all declined counts 0
+    if (booking.peopleCount !== undefined && booking.peopleCount !== null) return booking.peopleCount;
     const team = teams.find(t => t.id === booking.teamId);
-    return team ? team.memberCount : booking.peopleCount;
+    return team ? team.memberCount : 0;
 }
 
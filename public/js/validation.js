@@ -199,6 +199,11 @@ export function validateLocation(data) {
         if (floorsError) errors.push(floorsError);
     }
     
+    // Times are HH:MM strings, so they compare correctly as text
+    if (data.openingTime && data.closingTime && data.openingTime >= data.closingTime) {
+        errors.push('Opening time must be before closing time');
+    }
+    
     return { valid: errors.length === 0, errors };
 }
 
@@ -5,6 +5,7 @@
 
 import { renderTeamsList, renderTeamLocationSelect } from './teams.js';
 import { renderLocationsList } from './locations.js';
+import { loadCompliance } from './compliance.js';
 import { renderHolidaysList, renderHolidayYearSelect } from './holidays.js';
 import { cleanupView } from './event-manager.js';
 
@@ -55,6 +56,8 @@ export async function switchView(viewName) {
         case 'teams':
             renderTeamsList();
             renderTeamLocationSelect();
+            // Add compliance badges once this month's report is in
+            loadCompliance().then(renderTeamsList).catch(() => {});
             break;
             
         case 'locations':
@@ -73,6 +76,22 @@ export async function switchView(viewName) {
         case 'teamRoles':
             window.initTeamRolesView?.();
             break;
+            
+        case 'analytics':
+            window.initAnalyticsView?.();
+            break;
+            
+        case 'imports':
+            window.initImportsView?.();
+            break;
+            
+        case 'audit':
+            window.initAuditView?.();
+            break;
+            
+        case 'trash':
+            window.initTrashView?.();
+            break;
     }
 }
 
@@ -0,0 +1,45 @@
+/**
+ * Audit Log Repository
+ * The append-only record of changes (utils/audit.js writes it): rows can be
+ * added and read, never updated or deleted
+ */
+
+const { Repository, applyWhere } = require('./repository');
+
+class AuditLogRepo extends Repository {
+    constructor(client) {
+        super(client, 'audit_log');
+    }
+
+    /**
+     * A page of entries matching the filters, newest first
+     * @param {Object} where - Filters (see repository.js)
+     * @param {Object} options - { limit, offset }
+     */
+    async search(where = {}, { limit = 50, offset = 0 } = {}) {
+        const { data, error } = await applyWhere(this.query(), where)
+            .order('created_at', { ascending: false })
+            .range(offset, offset + limit - 1);
+
+        if (error) throw error;
+        return data || [];
+    }
+
+    update() {
+        return Promise.reject(new Error('audit_log is append-only'));
+    }
+
+    upsert() {
+        return Promise.reject(new Error('audit_log is append-only'));
+    }
+
+    upsertMany() {
+        return Promise.reject(new Error('audit_log is append-only'));
+    }
+
+    remove() {
+        return Promise.reject(new Error('audit_log is append-only'));
+    }
+}
+
+module.exports = { AuditLogRepo };
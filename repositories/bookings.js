@@ -0,0 +1,118 @@
+/**
+ * Bookings Repository
+ * Team bookings, including the database functions that check capacity and insert atomically
+ */
+
+const { SoftDeleteRepository } = require('./softDelete');
+
+class BookingsRepo extends SoftDeleteRepository {
+    constructor(client) {
+        super(client, 'bookings');
+    }
+
+    /**
+     * Insert a booking through the create_team_booking database function, which checks
+     * duplicates and capacity and inserts in one transaction, so concurrent requests
+     * can't both take the last spots. Overbookings are stored as pending when allowed.
+     * @returns {Promise<{ booking?: Object, reason?: string, remaining?: number }>}
+     *   reason is 'invalid_location', 'duplicate' or 'capacity' when nothing was inserted
+     */
+    async createAtomic(booking, allowOverbooking = false) {
+        const { data, error } = await this.client.rpc('create_team_booking', {
+            p_id: booking.id,
+            p_date: booking.date,
+            p_team_id: booking.team_id,
+            p_team_name: booking.team_name,
+            p_people_count: booking.people_count,
+            p_location_id: booking.location_id,
+            p_notes: booking.notes || '',
+            p_allow_overbooking: allowOverbooking,
+            p_series_id: booking.series_id || null
+        });
+
+        if (error) throw error;
+
+        if (!data.ok) {
+            return { reason: data.reason, remaining: data.remaining };
+        }
+        return { booking: data.booking, remaining: data.remaining };
+    }
+
+    /**
+     * Approve a pending overbooking through the approve_team_booking database function,
+     * which re-checks the day's capacity under the same lock as createAtomic
+     * @returns {Promise<{ booking?: Object, reason?: string, remaining?: number }>}
+     *   reason is 'not_found', 'not_pending', 'invalid_location' or 'capacity' when nothing changed
+     */
+    async approveAtomic(id, allowOverbooking = false) {
+        const { data, error } = await this.client.rpc('approve_team_booking', {
+            p_id: id,
+            p_allow_overbooking: allowOverbooking
+        });
+
+        if (error) throw error;
+
+        if (!data.ok) {
+            return { reason: data.reason, remaining: data.remaining };
+        }
+        return { booking: data.booking, remaining: data.remaining };
+    }
+
+    /**
+     * Edit a booking through the update_team_booking database function, which checks
+     * duplicates and capacity on the day it ends up on under the same lock as createAtomic
+     * @param {Object} changes - Columns to change (date, team_id, team_name, people_count, location_id, notes, series_id)
+     * @returns {Promise<{ booking?: Object, reason?: string, remaining?: number }>}
+     *   reason is 'not_found', 'invalid_location', 'duplicate' or 'capacity' when nothing changed
+     */
+    async updateAtomic(id, changes) {
+        const { data, error } = await this.client.rpc('update_team_booking', { p_id: id, p_changes: changes });
+
+        if (error) throw error;
+
+        if (!data.ok) {
+            return { reason: data.reason, remaining: data.remaining };
+        }
+        return { booking: data.booking, remaining: data.remaining };
+    }
+
+    /**
+     * Take a booking out of the trash through the restore_team_booking database function,
+     * which re-checks its team, location, duplicates and capacity under the same lock as createAtomic
+     * @returns {Promise<{ booking?: Object, reason?: string, remaining?: number }>}
+     *   reason is 'not_found', 'team_deleted', 'location_deleted', 'duplicate' or 'capacity' when nothing changed
+     */
+    async restoreAtomic(id) {
+        const { data, error } = await this.client.rpc('restore_team_booking', { p_id: id });
+
+        if (error) throw error;
+
+        if (!data.ok) {
+            return { reason: data.reason, remaining: data.remaining };
+        }
+        return { booking: data.booking };
+    }
+
+    /**
+     * Edit several bookings through update_team_bookings: all are changed or none are
+     * @param {Object[]} updates - [{ id, changes }]
+     * @returns {Promise<Object>} { ok, bookings } or { ok: false, failures: [{ index, reason, remaining }] }
+     */
+    async updateManyAtomic(updates) {
+        const { data, error } = await this.client.rpc('update_team_bookings', { p_updates: updates });
+        if (error) throw error;
+        return data;
+    }
+
+    /**
+     * Insert several bookings through import_team_bookings: all are created or none are
+     * @returns {Promise<Object>} { ok, bookings } or { ok: false, reason, remaining, index }
+     */
+    async importAtomic(rows) {
+        const { data, error } = await this.client.rpc('import_team_bookings', { p_bookings: rows });
+        if (error) throw error;
+        return data;
+    }
+}
+
+module.exports = { BookingsRepo };
@@ -0,0 +1,38 @@
+/**
+ * Desk Bookings Repository
+ * Desk bookings by slot, inserted through a database function that checks for overlaps
+ */
+
+const { Repository } = require('./repository');
+
+class DeskBookingsRepo extends Repository {
+    constructor(client) {
+        super(client, 'desk_bookings');
+    }
+
+    /**
+     * Insert a booking through the create_desk_booking database function, which checks
+     * the desk's other bookings that day and inserts in one transaction, so two requests
+     * for the same slot can't both get the desk
+     * @param {Object} booking - Row to insert (NULL times for a full day)
+     * @param {Object} hours - { open, close } as HH:MM, what a full day covers
+     * @returns {Promise<{ booking?: Object, conflict?: Object }>} conflict is the earliest
+     *   overlapping booking when nothing was inserted
+     */
+    async createAtomic(booking, hours) {
+        const { data, error } = await this.client.rpc('create_desk_booking', {
+            p_booking: booking,
+            p_open: hours.open,
+            p_close: hours.close
+        });
+
+        if (error) throw error;
+
+        if (!data.ok) {
+            return { conflict: data.conflict };
+        }
+        return { booking: data.booking };
+    }
+}
+
+module.exports = { DeskBookingsRepo };
@@ -0,0 +1,56 @@
+/**
+ * Repositories
+ *
+ * One repository per table, all on the database client chosen by DB_CLIENT
+ * (config/database.js). Routes, jobs and middleware read and write through
+ * these rather than the client, so they run unchanged on every backend.
+ * createRepositories builds a set on another client (e.g. a MemoryDatabase in tests).
+ * Each set's forTable finds a repository by table name, for helpers that are given a table.
+ * Bookings, teams and locations are soft-deleted (softDelete.js).
+ */
+
+const { db } = require('../config/database');
+const { Repository } = require('./repository');
+const { SoftDeleteRepository } = require('./softDelete');
+const { BookingsRepo } = require('./bookings');
+const { DeskBookingsRepo } = require('./deskBookings');
+const { RoomBookingsRepo } = require('./roomBookings');
+const { SettingsRepo } = require('./settings');
+const { AuditLogRepo } = require('./auditLog');
+
+function createRepositories(client) {
+    const repos = {
+        locationsRepo: new SoftDeleteRepository(client, 'locations'),
+        teamsRepo: new SoftDeleteRepository(client, 'teams'),
+        teamMembersRepo: new Repository(client, 'team_members'),
+        bookingsRepo: new BookingsRepo(client),
+        bookingSeriesRepo: new Repository(client, 'booking_series'),
+        bookingApprovalsRepo: new Repository(client, 'booking_approvals'),
+        waitlistRepo: new Repository(client, 'booking_waitlist'),
+        holidaysRepo: new Repository(client, 'public_holidays'),
+        desksRepo: new Repository(client, 'desks'),
+        deskFavouritesRepo: new Repository(client, 'desk_favourites'),
+        deskBookingsRepo: new DeskBookingsRepo(client),
+        attendeesRepo: new Repository(client, 'booking_attendees'),
+        floorElementsRepo: new Repository(client, 'floor_elements'),
+        roomBookingsRepo: new RoomBookingsRepo(client),
+        settingsRepo: new SettingsRepo(client),
+        roleAssignmentsRepo: new Repository(client, 'role_assignments'),
+        calendarFeedsRepo: new Repository(client, 'calendar_feeds'),
+        calendarCancellationsRepo: new Repository(client, 'calendar_cancellations'),
+        auditLogRepo: new AuditLogRepo(client)
+    };
+
+    const byTable = new Map(Object.values(repos).map(repo => [repo.table, repo]));
+    repos.forTable = (table) => {
+        const repo = byTable.get(table);
+        if (!repo) throw new Error(`No repository for table "${table}"`);
+        return repo;
+    };
+    return repos;
+}
+
+module.exports = {
+    ...createRepositories(db),
+    createRepositories
+};
@@ -0,0 +1,176 @@
+/**
+ * Repository Base
+ *
+ * Table access shared by every repository. Written against the Supabase-style
+ * query builder that each database backend provides (config/database.js), so
+ * the same repository runs on Supabase, PostgreSQL or the in-memory database.
+ * Methods resolve to rows and throw the backend's error on failure.
+ *
+ * Filters are objects keyed by column: a plain value means equals, an object
+ * applies operators ({ date: { gte: from, lte: to } }), null means IS NULL,
+ * and undefined skips the column, so optional query parameters can be passed
+ * straight through.
+ */
+
+const { selectAll } = require('../utils/pagination');
+
+const OPERATORS = ['eq', 'neq', 'gt', 'gte', 'lt', 'lte', 'like', 'ilike', 'in', 'is'];
+
+/**
+ * Add a filter object's conditions to a query
+ */
+function applyWhere(query, where = {}) {
+    let filtered = query;
+    Object.entries(where).forEach(([column, condition]) => {
+        if (condition === undefined) return;
+        if (condition === null) {
+            filtered = filtered.is(column, null);
+        } else if (typeof condition === 'object' && !Array.isArray(condition)) {
+            Object.entries(condition).forEach(([op, value]) => {
+                if (!OPERATORS.includes(op)) {
+                    throw new Error(`Unknown filter operator "${op}" on ${column}`);
+                }
+                if (value !== undefined) filtered = filtered[op](column, value);
+            });
+        } else {
+            filtered = filtered.eq(column, condition);
+        }
+    });
+    return filtered;
+}
+
+function hasConditions(where = {}) {
+    return Object.values(where).some(condition => condition !== undefined);
+}
+
+class Repository {
+    /**
+     * @param {Object} client - Database client (see config/database.js)
+     * @param {string} table - Table name
+     * @param {Object} options - { primaryKey } (default 'id')
+     */
+    constructor(client, table, { primaryKey = 'id' } = {}) {
+        this.client = client;
+        this.table = table;
+        this.primaryKey = primaryKey;
+    }
+
+    /**
+     * Query builder for this table, for queries the methods below don't cover
+     */
+    query(fields = '*') {
+        return this.client.from(this.table).select(fields);
+    }
+
+    /**
+     * Rows matching the filters
+     * @param {Object} where - Filters (see above)
+     * @param {Object} options - { fields, orderBy, ascending }
+     */
+    async find(where = {}, { fields = '*', orderBy, ascending = true } = {}) {
+        let query = applyWhere(this.query(fields), where);
+        if (orderBy) query = query.order(orderBy, { ascending });
+
+        const { data, error } = await query;
+        if (error) throw error;
+        return data || [];
+    }
+
+    /**
+     * Every row matching the filters, read a page at a time past the backend's row limit
+     */
+    findAll(where = {}, { fields = '*' } = {}) {
+        return selectAll(() => applyWhere(this.query(fields), where), this.primaryKey);
+    }
+
+    /**
+     * The first row matching the filters, or null
+     */
+    async findOne(where, { fields = '*' } = {}) {
+        const { data, error } = await applyWhere(this.query(fields), where).range(0, 0);
+        if (error) throw error;
+        return data?.[0] || null;
+    }
+
+    findById(id, options) {
+        return this.findOne({ [this.primaryKey]: id }, options);
+    }
+
+    /**
+     * Insert one row and return it as stored
+     */
+    async create(values) {
+        const { data, error } = await this.client.from(this.table).insert(values).select().single();
+        if (error) throw error;
+        return data;
+    }
+
+    /**
+     * Insert several rows in one statement (all or none) and return them
+     */
+    async createMany(rows) {
+        if (rows.length === 0) return [];
+        const { data, error } = await this.client.from(this.table).insert(rows).select();
+        if (error) throw error;
+        return data || [];
+    }
+
+    /**
+     * Update the rows matching the filters and return them
+     */
+    async update(where, changes) {
+        if (!hasConditions(where)) {
+            throw new Error(`Refusing to update every row of ${this.table}`);
+        }
+        const { data, error } = await applyWhere(this.client.from(this.table).update(changes), where).select();
+        if (error) throw error;
+        return data || [];
+    }
+
+    /**
+     * Update one row and return it, or null when it doesn't exist
+     */
+    async updateById(id, changes) {
+        const [row] = await this.update({ [this.primaryKey]: id }, changes);
+        return row || null;
+    }
+
+    /**
+     * Insert a row, or update the one it conflicts with
+     * @param {Object} options - { onConflict } column(s), default the primary key
+     */
+    async upsert(values, { onConflict = this.primaryKey } = {}) {
+        const { data, error } = await this.client.from(this.table).upsert(values, { onConflict }).select().single();
+        if (error) throw error;
+        return data;
+    }
+
+    /**
+     * Upsert several rows in one statement and return them
+     */
+    async upsertMany(rows, { onConflict = this.primaryKey } = {}) {
+        if (rows.length === 0) return [];
+        const { data, error } = await this.client.from(this.table).upsert(rows, { onConflict }).select();
+        if (error) throw error;
+        return data || [];
+    }
+
+    /**
+     * Delete the rows matching the filters and return them
+     */
+    async remove(where) {
+        if (!hasConditions(where)) {
+            throw new Error(`Refusing to delete every row of ${this.table}`);
+        }
+        const { data, error } = await applyWhere(this.client.from(this.table).delete(), where).select();
+        if (error) throw error;
+        return data || [];
+    }
+
+    async removeById(id) {
+        const [row] = await this.remove({ [this.primaryKey]: id });
+        return row || null;
+    }
+}
+
+module.exports = { Repository, applyWhere, hasConditions, OPERATORS };
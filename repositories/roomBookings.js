@@ -0,0 +1,32 @@
+/**
+ * Room Bookings Repository
+ * Hourly meeting room bookings, inserted through a database function that checks for overlaps
+ */
+
+const { Repository } = require('./repository');
+
+class RoomBookingsRepo extends Repository {
+    constructor(client) {
+        super(client, 'room_bookings');
+    }
+
+    /**
+     * Insert a booking through the create_room_booking database function, which checks
+     * the room's other bookings that day and inserts in one transaction, so two requests
+     * for the same hour can't both get the room
+     * @returns {Promise<{ booking?: Object, conflict?: Object }>} conflict is the earliest
+     *   overlapping booking when nothing was inserted
+     */
+    async createAtomic(booking) {
+        const { data, error } = await this.client.rpc('create_room_booking', { p_booking: booking });
+
+        if (error) throw error;
+
+        if (!data.ok) {
+            return { conflict: data.conflict };
+        }
+        return { booking: data.booking };
+    }
+}
+
+module.exports = { RoomBookingsRepo };
@@ -0,0 +1,30 @@
+/**
+ * Settings Repository
+ * Key/value application settings (JSON values)
+ */
+
+const { Repository } = require('./repository');
+
+class SettingsRepo extends Repository {
+    constructor(client) {
+        super(client, 'settings', { primaryKey: 'key' });
+    }
+
+    /**
+     * A setting's value, or null when it has never been saved
+     */
+    async get(key) {
+        const row = await this.findById(key, { fields: 'value' });
+        return row ? row.value : null;
+    }
+
+    /**
+     * Save a setting and return the stored value
+     */
+    async set(key, value) {
+        const row = await this.upsert({ key, value, updated_at: new Date().toISOString() }, { onConflict: 'key' });
+        return row.value;
+    }
+}
+
+module.exports = { SettingsRepo };
@@ -0,0 +1,79 @@
+/**
+ * Soft-Delete Repository
+ *
+ * For tables with deleted_at and deleted_by columns (bookings, teams and
+ * locations, migrations/0004_soft_delete.sql). trash() moves rows to the
+ * trash instead of deleting them; restore() brings them back. Reads and
+ * updates only see rows outside the trash, unless the options include
+ * { withDeleted: true } or the filters name deleted_at themselves.
+ * remove() still deletes for good, for the purge job (jobs/trashPurge.js).
+ */
+
+const { Repository, hasConditions } = require('./repository');
+
+// Matches every deleted_at that is set (the filters have no IS NOT NULL)
+const IN_TRASH = { gte: '1970-01-01T00:00:00.000Z' };
+
+class SoftDeleteRepository extends Repository {
+    /**
+     * Filters limited to rows outside the trash, unless asked otherwise
+     */
+    scoped(where = {}, { withDeleted = false } = {}) {
+        if (withDeleted || 'deleted_at' in where) return where;
+        return { ...where, deleted_at: null };
+    }
+
+    find(where, options = {}) {
+        return super.find(this.scoped(where, options), options);
+    }
+
+    findAll(where, options = {}) {
+        return super.findAll(this.scoped(where, options), options);
+    }
+
+    findOne(where, options = {}) {
+        return super.findOne(this.scoped(where, options), options);
+    }
+
+    update(where, changes, options = {}) {
+        // Checked before scoping, which would always add a condition
+        if (!hasConditions(where)) {
+            return Promise.reject(new Error(`Refusing to update every row of ${this.table}`));
+        }
+        return super.update(this.scoped(where, options), changes);
+    }
+
+    /**
+     * Move the matching rows to the trash and return them
+     * @param {Object} where - Filters (see repository.js)
+     * @param {Object} options - { deletedBy } email, { deletedAt } to share one
+     *   timestamp across everything a request deletes
+     */
+    trash(where, { deletedBy = null, deletedAt = new Date().toISOString() } = {}) {
+        return this.update(where, { deleted_at: deletedAt, deleted_by: deletedBy || null });
+    }
+
+    async trashById(id, options) {
+        const [row] = await this.trash({ [this.primaryKey]: id }, options);
+        return row || null;
+    }
+
+    /**
+     * Rows in the trash matching the filters
+     */
+    findTrashed(where = {}, options = {}) {
+        return this.find({ ...where, deleted_at: where.deleted_at || IN_TRASH }, options);
+    }
+
+    /**
+     * Take the matching rows out of the trash and return them
+     */
+    restore(where) {
+        if (!hasConditions(where)) {
+            return Promise.reject(new Error(`Refusing to restore every row of ${this.table}`));
+        }
+        return this.update({ ...where, deleted_at: where.deleted_at || IN_TRASH }, { deleted_at: null, deleted_by: null });
+    }
+}
+
+module.exports = { SoftDeleteRepository, IN_TRASH };
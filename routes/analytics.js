@@ -0,0 +1,173 @@
+const express = require('express');
+const router = express.Router();
+const { locationsRepo, teamsRepo, bookingsRepo, deskBookingsRepo, holidaysRepo } = require('../repositories');
+const logger = require('../utils/logger');
+const { addDays, isValidDateStr } = require('../utils/recurrence');
+const { GROUP_BY, MAX_RANGE_DAYS, buildReport } = require('../utils/analytics');
+const { formatCsv } = require('../utils/spreadsheet');
+
+const DEFAULT_RANGE_DAYS = 30;
+
+const EXPORTS = ['daily', 'weekdays', 'trend', 'teams'];
+
+/**
+ * Work out the report range and grouping from the query string
+ * Defaults to the 30 days up to today, grouped by day.
+ * @returns {Object} { from, to, groupBy, locationId } or { error }
+ */
+function parseReportOptions(query, today) {
+    const to = query.to || today;
+    const from = query.from || addDays(to, -(DEFAULT_RANGE_DAYS - 1));
+    const groupBy = query.groupBy || 'day';
+
+    if (!isValidDateStr(from) || !isValidDateStr(to)) {
+        return { error: 'from and to must be dates in YYYY-MM-DD format' };
+    }
+    if (from > to) {
+        return { error: 'from must not be after to' };
+    }
+    if (addDays(from, MAX_RANGE_DAYS - 1) < to) {
+        return { error: `Reports can cover at most ${MAX_RANGE_DAYS} days` };
+    }
+    if (!GROUP_BY.includes(groupBy)) {
+        return { error: `groupBy must be one of: ${GROUP_BY.join(', ')}` };
+    }
+    return { from, to, groupBy, locationId: query.locationId || null };
+}
+
+/**
+ * Load everything a report over the range needs
+ */
+async function loadReportData({ from, to, locationId }) {
+    const inRange = { date: { gte: from, lte: to } };
+    const atLocation = { location_id: locationId || undefined };
+
+    const [locations, teams, bookings, deskBookings, holidays] = await Promise.all([
+        locationsRepo.find({ id: locationId || undefined }, { fields: 'id, name, capacity' }),
+        teamsRepo.find({}, { fields: 'id, name' }),
+        bookingsRepo.findAll(
+            { ...inRange, ...atLocation },
+            { fields: 'id, date, team_id, team_name, people_count, location_id, status' }
+        ),
+        deskBookingsRepo.findAll(
+            { ...inRange, ...atLocation },
+            { fields: 'id, date, location_id, team_id, checked_in, no_show' }
+        ),
+        holidaysRepo.findAll(inRange, { fields: 'id, date, name' })
+    ]);
+
+    return {
+        locations: locations.sort((a, b) => a.name.localeCompare(b.name)),
+        teams,
+        bookings,
+        deskBookings,
+        holidays
+    };
+}
+
+/**
+ * Rows for a CSV export
+ * @param {string} type - One of EXPORTS
+ */
+function exportRows(type, report) {
+    const percent = value => Math.round(value * 1000) / 10;
+    const summaryColumns = ['Working days', 'Average occupancy %', 'Peak occupancy %', 'Average people', 'People-days',
+        'Desk bookings', 'Check-ins', 'No-shows', 'No-show rate %'];
+    const summaryValues = s => [s.workingDays, percent(s.avgOccupancy), percent(s.peakOccupancy), s.avgPeople, s.peopleDays,
+        s.deskBookings, s.checkIns, s.noShows, percent(s.noShowRate)];
+
+    switch (type) {
+        case 'daily':
+            return {
+                headers: ['Location', 'Date', 'Weekday', 'Working day', 'Holiday', 'Capacity', 'Booked people',
+                    'Pending people', 'Teams', 'Occupancy %', 'Desk bookings', 'Check-ins', 'No-shows'],
+                rows: report.locations.flatMap(location => location.daily.map(d => [
+                    location.name, d.date, d.weekday, d.workingDay ? 'Yes' : 'No', d.holiday || '', d.capacity,
+                    d.bookedPeople, d.pendingPeople, d.teams, percent(d.occupancy), d.deskBookings, d.checkIns, d.noShows
+                ]))
+            };
+        case 'weekdays':
+            return {
+                headers: ['Location', 'Weekday', 'Days', 'Average people', 'Average occupancy %',
+                    'Average desk bookings', 'Average check-ins'],
+                rows: report.locations.flatMap(location => location.weekdays.map(w => [
+                    location.name, w.weekday, w.days, w.avgPeople, percent(w.avgOccupancy), w.avgDeskBookings, w.avgCheckIns
+                ]))
+            };
+        case 'trend':
+            return {
+                headers: ['Location', 'Period starting', ...summaryColumns],
+                rows: report.locations.flatMap(location => location.trend.map(t => [
+                    location.name, t.period, ...summaryValues(t)
+                ]))
+            };
+        case 'teams':
+            return {
+                headers: ['Team', 'Month', 'Days in office', 'People-days', 'Desk check-ins'],
+                rows: report.teams.flatMap(team => team.months.map(m => [
+                    team.teamName, m.month, m.days, m.peopleDays, m.checkIns
+                ]))
+            };
+    }
+}
+
+/**
+ * Occupancy, desk check-in and team attendance report
+ * Query: from, to (YYYY-MM-DD, default the last 30 days), locationId (default all),
+ * groupBy (day, week or month) for the trend
+ */
+router.get('/', async (req, res) => {
+    try {
+        const today = new Date().toISOString().split('T')[0];
+        const options = parseReportOptions(req.query, today);
+        if (options.error) {
+            return res.status(400).json({ error: options.error });
+        }
+
+        const data = await loadReportData(options);
+        if (options.locationId && data.locations.length === 0) {
+            return res.status(404).json({ error: 'Location not found' });
+        }
+
+        res.json(buildReport(data, { ...options, today }));
+    } catch (error) {
+        logger.error('Error building analytics report:', error);
+        res.status(500).json({ error: 'Failed to build analytics report' });
+    }
+});
+
+/**
+ * One part of the report as CSV (?report=daily, weekdays, trend or teams)
+ * Takes the same query parameters as the JSON report.
+ */
+router.get('/export.csv', async (req, res) => {
+    try {
+        const type = req.query.report || 'daily';
+        if (!EXPORTS.includes(type)) {
+            return res.status(400).json({ error: `report must be one of: ${EXPORTS.join(', ')}` });
+        }
+
+        const today = new Date().toISOString().split('T')[0];
+        const options = parseReportOptions(req.query, today);
+        if (options.error) {
+            return res.status(400).json({ error: options.error });
+        }
+
+        const data = await loadReportData(options);
+        if (options.locationId && data.locations.length === 0) {
+            return res.status(404).json({ error: 'Location not found' });
+        }
+
+        const { headers, rows } = exportRows(type, buildReport(data, { ...options, today }));
+        res.set({
+            'Content-Type': 'text/csv; charset=utf-8',
+            'Content-Disposition': `attachment; filename="${type}-${options.from}-to-${options.to}.csv"`
+        });
+        res.send(formatCsv(headers, rows));
+    } catch (error) {
+        logger.error('Error exporting analytics report:', error);
+        res.status(500).json({ error: 'Failed to export analytics report' });
+    }
+});
+
+module.exports = router;
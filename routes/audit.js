@@ -0,0 +1,88 @@
+/**
+ * Audit Log Routes
+ * Read access to the record of changes made through the API (utils/audit.js).
+ * Admins see everything; location admins see their locations' entries, and
+ * team managers the history of their teams' entities.
+ */
+
+const express = require('express');
+const router = express.Router();
+const { auditLogRepo } = require('../repositories');
+const { toCamelCase } = require('../utils/helpers');
+const logger = require('../utils/logger');
+const { PERMISSIONS, authorize, normalizeEmail } = require('../middleware/permissions');
+const { AUDIT_ACTIONS } = require('../utils/audit');
+const { isValidDateStr, addDays } = require('../utils/recurrence');
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+/**
+ * Scope of the entries a query asks for
+ * An entity's history is scoped like the entity's latest entry (null when it
+ * has none, so the empty result needs no permission); otherwise the location
+ * filter, and with neither only admins may read.
+ */
+async function auditScope(req) {
+    const { entityType, entityId, locationId } = req.query;
+
+    if (entityType && entityId) {
+        const [latest] = await auditLogRepo.search({ entity_type: entityType, entity_id: entityId }, { limit: 1 });
+        if (!latest) return null;
+        return { locationId: latest.location_id, teamId: latest.team_id };
+    }
+    return locationId ? { locationId } : {};
+}
+
+const canReadAudit = authorize(PERMISSIONS.MANAGE_TEAM, {
+    scope: auditScope,
+    message: 'You can only view the audit log for locations and teams you manage'
+});
+
+/**
+ * Audit log entries, newest first
+ * Query: entityType (table name), entityId, actor (email), action, locationId,
+ * from and to (YYYY-MM-DD, inclusive), limit (default 50, at most 200), offset
+ */
+router.get('/', canReadAudit, async (req, res) => {
+    try {
+        const { entityType, entityId, actor, action, locationId, from, to } = req.query;
+
+        if (action && !Object.values(AUDIT_ACTIONS).includes(action)) {
+            return res.status(400).json({ error: `action must be one of: ${Object.values(AUDIT_ACTIONS).join(', ')}` });
+        }
+        if ((from && !isValidDateStr(from)) || (to && !isValidDateStr(to))) {
+            return res.status(400).json({ error: 'from and to must be dates in YYYY-MM-DD format' });
+        }
+
+        const limit = Math.min(parseInt(req.query.limit) || DEFAULT_LIMIT, MAX_LIMIT);
+        const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+        if (limit < 1) {
+            return res.status(400).json({ error: 'limit must be a positive number' });
+        }
+
+        // One extra row tells whether there is another page
+        const rows = await auditLogRepo.search({
+            entity_type: entityType || undefined,
+            entity_id: entityId || undefined,
+            actor_email: actor ? normalizeEmail(actor) : undefined,
+            action: action || undefined,
+            location_id: locationId || undefined,
+            created_at: from || to
+                ? { gte: from || undefined, lt: to ? addDays(to, 1) : undefined }
+                : undefined
+        }, { limit: limit + 1, offset });
+
+        res.json({
+            entries: toCamelCase(rows.slice(0, limit)),
+            limit,
+            offset,
+            hasMore: rows.length > limit
+        });
+    } catch (error) {
+        logger.error('Error fetching audit log:', error);
+        res.status(500).json({ error: 'Failed to fetch audit log' });
+    }
+});
+
+module.exports = router;
@@ -1,9 +1,24 @@
 const express = require('express');
 const router = express.Router();
-const { supabase } = require('../config/supabase');
+const {
+    bookingsRepo, bookingSeriesRepo, bookingApprovalsRepo, waitlistRepo, locationsRepo, teamsRepo, holidaysRepo, attendeesRepo,
+    deskBookingsRepo
+} = require('../repositories');
 const { toCamelCase } = require('../utils/helpers');
+const { validateRecurrenceRule, expandRecurrence, endRuleOn, addDays, isValidDateStr } = require('../utils/recurrence');
 const logger = require('../utils/logger');
 const { requireAuthForWrites } = require('../middleware/requireAuth');
+const { PERMISSIONS, authorize, recordScope } = require('../middleware/permissions');
+const { buildCalendar } = require('../utils/ical');
+const { validateBookingFields, bookingRejectionMessage } = require('../utils/validation');
+const { rosterSizeError, normalizeMemberEmail, listMembers } = require('../utils/teamMembers');
+const { bookingEvent, recordCancellations } = require('../utils/calendarFeeds');
+const { AUDIT_ACTIONS, recordAudit } = require('../utils/audit');
+const { RESTORE_CONFLICTS, trashOptions, restoreBookings, skippedSummary } = require('../utils/trash');
+const {
+    ATTENDEE_STATUS, listAttendees, resolvePicks, applyPicks, recountPeople, reserveDesk, releaseBookingDesks
+} = require('../utils/attendees');
+const { publishDeskBookingChange } = require('../socket/events');
 
 // Apply auth middleware to all routes in this router
 // GET requests allowed without auth, POST/PUT/DELETE require auth (if REQUIRE_AUTH=true)
@@ -13,6 +28,15 @@ router.use(requireAuthForWrites);
 let emitRoomDataChanged = null;
 let roomKeyForBooking = null;
 
+// Which occurrences of a series an edit or cancellation applies to
+const SERIES_SCOPES = ['this', 'following', 'series'];
+
+// Booking lifecycle: overbookings wait for a location admin before counting toward capacity
+const BOOKING_STATUS = {
+    PENDING: 'pending',
+    CONFIRMED: 'confirmed'
+};
+
 /**
  * Initialize with socket functions
  */
@@ -21,6 +45,207 @@ function initBookingsRoutes(socketFns) {
     roomKeyForBooking = socketFns.roomKeyForBooking;
 }
 
+/**
+ * Broadcast a booking change to viewers of the booking's month
+ */
+function emitBookingChange(type, booking) {
+    if (emitRoomDataChanged && roomKeyForBooking) {
+        emitRoomDataChanged(roomKeyForBooking(booking.date, booking.locationId), { type, booking });
+    }
+}
+
+/**
+ * Broadcast a waitlist change to viewers of the entry's month
+ */
+function emitWaitlistChange(type, entry, extra = {}) {
+    if (emitRoomDataChanged && roomKeyForBooking) {
+        emitRoomDataChanged(roomKeyForBooking(entry.date, entry.locationId), { type, entry, ...extra });
+    }
+}
+
+/**
+ * Get existing usage for a date and location:
+ * whether the team already booked it and how many people are booked in total.
+ * Pending overbookings block a second booking by the same team but don't use capacity.
+ */
+async function getDayUsage(date, locationId, teamId, excludeId = null) {
+    const bookings = await bookingsRepo.find({
+        date,
+        location_id: locationId,
+        id: excludeId ? { neq: excludeId } : undefined
+    }, { fields: 'id, team_id, people_count, status' });
+    
+    return {
+        hasTeamBooking: bookings.some(b => b.team_id === teamId),
+        currentTotal: bookings
+            .filter(b => b.status !== BOOKING_STATUS.PENDING)
+            .reduce((sum, b) => sum + b.people_count, 0)
+    };
+}
+
+/**
+ * Scope of a new booking or waitlist entry (null if fields are missing - the route returns 400)
+ */
+function newBookingScope(req) {
+    const { teamId, locationId } = req.body;
+    return teamId && locationId ? { teamId, locationId } : null;
+}
+
+/**
+ * Scope a booking is being moved to (null unless its team or location changes)
+ */
+async function movedBookingScope(req) {
+    const { teamId, locationId } = req.body;
+    if (!teamId && !locationId) return null;
+    
+    const booking = await bookingsRepo.findById(req.params.id, { fields: 'team_id, location_id' });
+    
+    if (!booking) return null;
+    const target = { teamId: teamId || booking.team_id, locationId: locationId || booking.location_id };
+    if (target.teamId === booking.team_id && target.locationId === booking.location_id) return null;
+    return target;
+}
+
+/**
+ * Scope of an RSVP: the booking's team and location, owned by the person answering
+ * (null if the booking is missing - the route returns 404)
+ */
+async function attendeeScope(req) {
+    const booking = await bookingsRepo.findById(req.params.id, { fields: 'team_id, location_id' });
+    
+    if (!booking) return null;
+    return { teamId: booking.team_id, locationId: booking.location_id, ownerEmail: req.body.email || req.user?.email };
+}
+
+// Team bookings are managed by the team's manager or the location's admins
+const canCreateBooking = authorize(PERMISSIONS.MANAGE_TEAM, { scope: newBookingScope });
+const canEditBooking = authorize(PERMISSIONS.MANAGE_TEAM, { scope: recordScope('bookings') });
+const canMoveBooking = authorize(PERMISSIONS.MANAGE_TEAM, { scope: movedBookingScope });
+const canEditWaitlistEntry = authorize(PERMISSIONS.MANAGE_TEAM, { scope: recordScope('booking_waitlist') });
+// People RSVP for themselves (it can book them a desk, so the desk booking rule applies);
+// team managers and location admins can answer for anyone
+const canRespondToBooking = authorize(PERMISSIONS.MANAGE_DESK_BOOKING, {
+    scope: attendeeScope,
+    message: 'You can only RSVP for yourself'
+});
+const canDecideOverbooking = authorize(PERMISSIONS.MANAGE_LOCATION, {
+    scope: recordScope('bookings'),
+    message: 'Only location admins can approve or reject overbookings'
+});
+
+/**
+ * Send the response for a booking the database refused to create or change:
+ * 409 with the remaining capacity when the day is full, 409 when the team already
+ * has a booking that day, 400 otherwise
+ * @param {Object} result - { reason, remaining } from createAtomic or updateAtomic
+ * @param {Object} options
+ * @param {string} options.teamName - For the duplicate message
+ * @param {string} [options.capacityError] - Message when the day is full
+ */
+function sendBookingRejection(res, result, { teamName, capacityError }) {
+    if (result.reason === 'capacity') {
+        return res.status(409).json({
+            error: capacityError || bookingRejectionMessage(result.reason, result),
+            code: 'CAPACITY_EXCEEDED',
+            remaining: result.remaining
+        });
+    }
+    if (result.reason === 'duplicate') {
+        return res.status(409).json({
+            error: bookingRejectionMessage(result.reason, { teamName }),
+            code: 'DUPLICATE_BOOKING'
+        });
+    }
+    return res.status(400).json({ error: bookingRejectionMessage(result.reason, { teamName }) });
+}
+
+/**
+ * Promote waitlisted teams for a date and location into bookings
+ * Entries are considered in the order they joined and each one that now fits is booked.
+ * An entry is only removed once its booking exists (or the team already holds a confirmed
+ * booking that day), so a failed promotion keeps the team's place in the queue.
+ * Failures are logged rather than thrown so they never undo the change that freed the space.
+ * @param {Object} req - The request that freed the space (audited as the promotion's actor)
+ * @returns {Promise<Object[]>} Promoted bookings (camelCase)
+ */
+async function promoteWaitlist(date, locationId, req) {
+    try {
+        const entries = await waitlistRepo.find({ date, location_id: locationId }, { orderBy: 'created_at' });
+        
+        if (entries.length === 0) return [];
+        
+        const promoted = [];
+        for (const entry of entries) {
+            let result;
+            try {
+                result = await bookingsRepo.createAtomic({
+                    id: `${Date.now()}${promoted.length}`,
+                    date,
+                    team_id: entry.team_id,
+                    team_name: entry.team_name,
+                    people_count: entry.people_count,
+                    location_id: locationId,
+                    notes: entry.notes || ''
+                });
+            } catch (error) {
+                logger.error(`Error promoting ${entry.team_name} from waitlist:`, error);
+                continue;
+            }
+            
+            if (!result.booking) {
+                // The team got a confirmed booking some other way, so the entry is simply stale
+                const stale = result.reason === 'duplicate' && await bookingsRepo.findOne(
+                    { date, location_id: locationId, team_id: entry.team_id, status: { neq: BOOKING_STATUS.PENDING } },
+                    { fields: 'id' }
+                );
+                if (stale) {
+                    await waitlistRepo.removeById(entry.id);
+                    await recordAudit(req, { action: AUDIT_ACTIONS.DELETE, table: 'booking_waitlist', before: entry });
+                }
+                continue;
+            }
+            
+            await waitlistRepo.removeById(entry.id);
+            await recordAudit(req, [
+                { action: AUDIT_ACTIONS.DELETE, table: 'booking_waitlist', before: entry },
+                { action: AUDIT_ACTIONS.CREATE, table: 'bookings', after: result.booking }
+            ]);
+            const booking = toCamelCase(result.booking);
+            promoted.push(booking);
+            emitWaitlistChange('waitlist:promoted', toCamelCase(entry), { booking });
+            logger.info(`Promoted ${entry.team_name} from waitlist for ${date}`);
+        }
+        
+        return promoted;
+    } catch (error) {
+        logger.error('Error promoting waitlist:', error);
+        return [];
+    }
+}
+
+/**
+ * Audit entries for the RSVPs applyPicks or releaseBookingDesks created or changed
+ */
+function picksAudits({ created = [], updated }) {
+    return [
+        ...created.map(row => ({ action: AUDIT_ACTIONS.CREATE, table: 'booking_attendees', after: row })),
+        ...updated.map(({ before, after }) => ({ action: AUDIT_ACTIONS.UPDATE, table: 'booking_attendees', before, after }))
+    ];
+}
+
+/**
+ * Record and broadcast desk bookings released along with RSVPs
+ */
+async function announceReleasedDesks(req, released) {
+    if (released.length === 0) return;
+    
+    await recordCancellations('desk_bookings', released);
+    await recordAudit(req, released.map(row => ({ action: AUDIT_ACTIONS.DELETE, table: 'desk_bookings', before: row })));
+    for (const row of released) {
+        await publishDeskBookingChange('deskBooking:deleted', toCamelCase(row));
+    }
+}
+
 /**
  * Get bookings for a specific month/date and location
  */
@@ -28,26 +253,19 @@ router.get('/', async (req, res) => {
     try {
         const { year, month, location, locationId, date } = req.query;
         
-        let query = supabase.from('bookings').select('*');
-        
         // Filter by specific date if provided
+        let dateFilter;
         if (date) {
-            query = query.eq('date', date);
+            dateFilter = date;
         } else if (year && month) {
             const startDate = `${year}-${String(parseInt(month) + 1).padStart(2, '0')}-01`;
             const endDate = new Date(parseInt(year), parseInt(month) + 1, 0).toISOString().split('T')[0];
-            query = query.gte('date', startDate).lte('date', endDate);
+            dateFilter = { gte: startDate, lte: endDate };
         }
         
         // Support both 'location' and 'locationId' parameters
-        const loc = locationId || location;
-        if (loc) {
-            query = query.eq('location_id', loc);
-        }
-        
-        const { data, error } = await query;
+        const data = await bookingsRepo.find({ date: dateFilter, location_id: locationId || location || undefined });
         
-        if (error) throw error;
         res.json(toCamelCase(data));
     } catch (error) {
         logger.error('Error fetching bookings:', error);
@@ -58,160 +276,661 @@ router.get('/', async (req, res) => {
 /**
  * Create a new booking
  */
-router.post('/', async (req, res) => {
+router.post('/', canCreateBooking, async (req, res) => {
+    try {
+        const { date, teamId, teamName, peopleCount, locationId, notes, memberIds } = req.body;
+        
+        const invalid = validateBookingFields(req.body) || await rosterSizeError(teamId, peopleCount);
+        if (invalid) {
+            return res.status(400).json({ error: invalid });
+        }
+        
+        // Members picked in the booking modal become its first RSVPs
+        const picks = await resolvePicks(teamId, memberIds);
+        if (picks?.error) {
+            return res.status(400).json({ error: picks.error });
+        }
+        
+        // Overbooking needs a note and then waits for a location admin's approval
+        const hasNote = !!(notes && notes.trim().length > 0);
+        
+        const result = await bookingsRepo.createAtomic({
+            id: Date.now().toString(),
+            date,
+            team_id: teamId,
+            team_name: teamName || teamId,
+            people_count: picks ? picks.memberIds.length : parseInt(peopleCount),
+            location_id: locationId,
+            notes: notes || ''
+        }, hasNote);
+        
+        if (result.reason) {
+            return sendBookingRejection(res, result, { teamName: teamName || teamId });
+        }
+
+        const audits = [{ action: AUDIT_ACTIONS.CREATE, table: 'bookings', after: result.booking }];
+        if (picks) {
+            audits.push(...picksAudits(await applyPicks(result.booking, picks)));
+        }
+        await recordAudit(req, audits);
+        
+        const booking = toCamelCase(result.booking);
+        if (booking.isOverbooked) {
+            logger.info(`Overbooking requested for ${date}: ${booking.peopleCount} people with note: ${notes}`);
+        }
+        emitBookingChange('booking:created', booking);
+        
+        res.status(201).json(booking);
+    } catch (error) {
+        logger.error('Error creating booking:', error);
+        res.status(500).json({ error: 'Failed to create booking' });
+    }
+});
+
+/**
+ * Get overbookings waiting for approval, oldest date first
+ */
+router.get('/pending', async (req, res) => {
+    try {
+        const { locationId } = req.query;
+        
+        const data = await bookingsRepo.find(
+            { status: BOOKING_STATUS.PENDING, location_id: locationId || undefined },
+            { orderBy: 'date' }
+        );
+        
+        res.json(toCamelCase(data));
+    } catch (error) {
+        logger.error('Error fetching pending bookings:', error);
+        res.status(500).json({ error: 'Failed to fetch pending bookings' });
+    }
+});
+
+/**
+ * Get the approval history (most recent first)
+ */
+router.get('/approvals', async (req, res) => {
+    try {
+        const { locationId, bookingId } = req.query;
+        
+        const data = await bookingApprovalsRepo.find(
+            { location_id: locationId || undefined, booking_id: bookingId || undefined },
+            { orderBy: 'decided_at', ascending: false }
+        );
+        
+        res.json(toCamelCase(data));
+    } catch (error) {
+        logger.error('Error fetching approval history:', error);
+        res.status(500).json({ error: 'Failed to fetch approval history' });
+    }
+});
+
+/**
+ * Load a pending booking for a decision, or send the matching error response
+ */
+async function getPendingBooking(id, res) {
+    const booking = await bookingsRepo.findById(id);
+    
+    if (!booking) {
+        res.status(404).json({ error: 'Booking not found' });
+        return null;
+    }
+    
+    if (booking.status !== BOOKING_STATUS.PENDING) {
+        res.status(400).json({ error: 'Booking is not awaiting approval' });
+        return null;
+    }
+    
+    return booking;
+}
+
+/**
+ * Record an approval decision in the history table
+ */
+async function recordDecision(booking, decision, reason, req) {
+    await bookingApprovalsRepo.create({
+        id: Date.now().toString(),
+        booking_id: booking.id,
+        date: booking.date,
+        location_id: booking.location_id,
+        team_id: booking.team_id,
+        team_name: booking.team_name,
+        people_count: booking.people_count,
+        decision,
+        reason: reason || '',
+        decided_by: req.user?.email || req.user?.name || 'anonymous',
+        decided_at: new Date().toISOString()
+    });
+}
+
+/**
+ * Approve a pending overbooking so it counts toward capacity
+ * The day's capacity is re-checked atomically; taking the day over capacity
+ * needs allowOverbooking, otherwise the approval is refused with 409.
+ */
+router.post('/:id/approve', canDecideOverbooking, async (req, res) => {
+    try {
+        const booking = await getPendingBooking(req.params.id, res);
+        if (!booking) return;
+        
+        const { reason, allowOverbooking } = req.body;
+        
+        const result = await bookingsRepo.approveAtomic(booking.id, allowOverbooking === true);
+        
+        if (result.reason === 'capacity') {
+            return res.status(409).json({
+                error: `Approving takes the day over capacity (${result.remaining} spots available)`,
+                code: 'CAPACITY_EXCEEDED',
+                remaining: result.remaining
+            });
+        }
+        if (result.reason === 'not_found') {
+            return res.status(404).json({ error: 'Booking not found' });
+        }
+        if (result.reason === 'not_pending') {
+            return res.status(400).json({ error: 'Booking is not awaiting approval' });
+        }
+        if (result.reason) {
+            return res.status(400).json({ error: bookingRejectionMessage(result.reason) });
+        }
+        
+        const data = result.booking;
+        
+        await recordDecision(booking, 'approved', reason, req);
+        await recordAudit(req, { action: AUDIT_ACTIONS.UPDATE, table: 'bookings', before: booking, after: data });
+        
+        const approved = toCamelCase(data);
+        if (emitRoomDataChanged && roomKeyForBooking) {
+            emitRoomDataChanged(roomKeyForBooking(approved.date, approved.locationId), {
+                type: 'booking:approved',
+                booking: approved,
+                reason: reason || ''
+            });
+        }
+        
+        res.json(approved);
+    } catch (error) {
+        logger.error('Error approving booking:', error);
+        res.status(500).json({ error: 'Failed to approve booking' });
+    }
+});
+
+/**
+ * Reject a pending overbooking (removes the booking, keeps the decision in history)
+ */
+router.post('/:id/reject', canDecideOverbooking, async (req, res) => {
+    try {
+        const { reason } = req.body;
+        
+        if (!reason || !reason.trim()) {
+            return res.status(400).json({ error: 'A reason is required to reject an overbooking' });
+        }
+        
+        const booking = await getPendingBooking(req.params.id, res);
+        if (!booking) return;
+        
+        await bookingsRepo.removeById(booking.id);
+        
+        await recordDecision(booking, 'rejected', reason, req);
+        await recordCancellations('bookings', [booking]);
+        await recordAudit(req, { action: AUDIT_ACTIONS.DELETE, table: 'bookings', before: booking });
+        
+        const rejected = toCamelCase(booking);
+        if (emitRoomDataChanged && roomKeyForBooking) {
+            emitRoomDataChanged(roomKeyForBooking(rejected.date, rejected.locationId), {
+                type: 'booking:rejected',
+                booking: rejected,
+                reason
+            });
+        }
+        
+        res.json({ success: true });
+    } catch (error) {
+        logger.error('Error rejecting booking:', error);
+        res.status(500).json({ error: 'Failed to reject booking' });
+    }
+});
+
+/**
+ * Get waitlist entries in the order they will be promoted
+ */
+router.get('/waitlist', async (req, res) => {
+    try {
+        const { date, locationId } = req.query;
+        
+        const data = await waitlistRepo.find(
+            { date: date || undefined, location_id: locationId || undefined },
+            { orderBy: 'created_at' }
+        );
+        
+        res.json(toCamelCase(data));
+    } catch (error) {
+        logger.error('Error fetching waitlist:', error);
+        res.status(500).json({ error: 'Failed to fetch waitlist' });
+    }
+});
+
+/**
+ * Join the waitlist for a full day
+ */
+router.post('/waitlist', canCreateBooking, async (req, res) => {
     try {
         const { date, teamId, teamName, peopleCount, locationId, notes } = req.body;
         
-        if (!date || !teamId || !peopleCount || !locationId) {
-            return res.status(400).json({ error: 'Missing required fields' });
+        const invalid = validateBookingFields(req.body) || await rosterSizeError(teamId, peopleCount);
+        if (invalid) {
+            return res.status(400).json({ error: invalid });
         }
         
-        // Get location capacity
-        const { data: location, error: locError } = await supabase
-            .from('locations')
-            .select('capacity')
-            .eq('id', locationId)
-            .single();
+        const [location, team] = await Promise.all([
+            locationsRepo.findById(locationId, { fields: 'capacity' }),
+            teamsRepo.findById(teamId, { fields: 'id' })
+        ]);
         
-        if (locError || !location) {
+        if (!location) {
             return res.status(400).json({ error: 'Invalid location' });
         }
+        if (!team) {
+            return res.status(400).json({ error: 'Invalid team' });
+        }
         
-        // Check if team already has a booking for this date and location
-        const { data: existingTeamBooking } = await supabase
-            .from('bookings')
-            .select('id')
-            .eq('date', date)
-            .eq('location_id', locationId)
-            .eq('team_id', teamId)
-            .single();
+        const count = parseInt(peopleCount);
+        const { hasTeamBooking, currentTotal } = await getDayUsage(date, locationId, teamId);
         
-        if (existingTeamBooking) {
-            return res.status(400).json({ 
-                error: `${teamName || teamId} already has a booking for this date` 
+        if (hasTeamBooking) {
+            return res.status(409).json({
+                error: bookingRejectionMessage('duplicate', { teamName: teamName || teamId }),
+                code: 'DUPLICATE_BOOKING'
             });
         }
         
-        // Calculate current bookings for that date and location
-        const { data: existingBookings } = await supabase
-            .from('bookings')
-            .select('people_count')
-            .eq('date', date)
-            .eq('location_id', locationId);
+        if (currentTotal + count <= location.capacity) {
+            return res.status(400).json({ 
+                error: `There is space for this booking (${location.capacity - currentTotal} spots available)` 
+            });
+        }
         
-        const currentTotal = (existingBookings || []).reduce((sum, b) => sum + b.people_count, 0);
+        const queue = await waitlistRepo.find({ date, location_id: locationId }, { fields: 'id, team_id' });
         
-        // Allow overbooking if notes are provided (with explanation)
-        let isOverbooked = false;
-        if (currentTotal + peopleCount > location.capacity) {
-            if (!notes || notes.trim().length === 0) {
-                return res.status(400).json({ 
-                    error: `Exceeds capacity (${location.capacity - currentTotal} spots available). Please provide a note explaining the overbooking.` 
-                });
-            }
-            // Overbooking allowed with notes - continue
-            isOverbooked = true;
-            logger.info(`Overbooking allowed for ${date}: ${currentTotal + peopleCount}/${location.capacity} with note: ${notes}`);
+        if (queue.some(e => e.team_id === teamId)) {
+            return res.status(409).json({
+                error: `${teamName || teamId} is already on the waitlist for this date`,
+                code: 'ALREADY_WAITLISTED'
+            });
         }
         
-        const newBooking = {
+        const data = await waitlistRepo.create({
             id: Date.now().toString(),
             date,
             team_id: teamId,
             team_name: teamName || teamId,
-            people_count: parseInt(peopleCount),
+            people_count: count,
             location_id: locationId,
-            notes: isOverbooked ? `[OVERBOOKED] ${notes || ''}` : (notes || ''),
+            notes: notes || '',
             created_at: new Date().toISOString()
-        };
+        });
+        await recordAudit(req, { action: AUDIT_ACTIONS.CREATE, table: 'booking_waitlist', after: data });
         
-        const { data, error } = await supabase
-            .from('bookings')
-            .insert(newBooking)
-            .select()
-            .single();
+        const entry = { ...toCamelCase(data), position: queue.length + 1 };
+        emitWaitlistChange('waitlist:joined', entry);
         
-        if (error) throw error;
+        res.status(201).json(entry);
+    } catch (error) {
+        logger.error('Error joining waitlist:', error);
+        res.status(500).json({ error: 'Failed to join waitlist' });
+    }
+});
 
-        const booking = toCamelCase(data);
-        if (emitRoomDataChanged && roomKeyForBooking) {
-            emitRoomDataChanged(roomKeyForBooking(booking.date, booking.locationId), {
-                type: 'booking:created',
-                booking
-            });
+/**
+ * Leave the waitlist
+ */
+router.delete('/waitlist/:id', canEditWaitlistEntry, async (req, res) => {
+    try {
+        const { id } = req.params;
+        
+        const entry = await waitlistRepo.removeById(id);
+        
+        if (!entry) {
+            return res.status(404).json({ error: 'Waitlist entry not found' });
         }
+        await recordAudit(req, { action: AUDIT_ACTIONS.DELETE, table: 'booking_waitlist', before: entry });
         
-        res.status(201).json(booking);
+        emitWaitlistChange('waitlist:left', toCamelCase(entry));
+        
+        res.json({ success: true });
     } catch (error) {
-        logger.error('Error creating booking:', error);
-        res.status(500).json({ error: 'Failed to create booking' });
+        logger.error('Error leaving waitlist:', error);
+        res.status(500).json({ error: 'Failed to leave waitlist' });
     }
 });
 
 /**
- * Update a booking
+ * Create a recurring booking series
+ * Each occurrence goes through the same duplicate and capacity checks as a single
+ * booking. Public holidays are skipped and conflicting dates are reported back
+ * instead of failing the whole series.
  */
-router.put('/:id', async (req, res) => {
+router.post('/series', canCreateBooking, async (req, res) => {
     try {
-        const { id } = req.params;
-        const updates = req.body;
+        const { startDate, rule, teamId, teamName, peopleCount, locationId, notes, memberIds } = req.body;
         
-        // Get current booking
-        const { data: booking, error: fetchError } = await supabase
-            .from('bookings')
-            .select('*')
-            .eq('id', id)
-            .single();
+        if (!startDate || !rule || !teamId || !peopleCount || !locationId) {
+            return res.status(400).json({ error: 'Missing required fields' });
+        }
+        if (!isValidDateStr(startDate)) {
+            return res.status(400).json({ error: 'startDate must be a date in YYYY-MM-DD format' });
+        }
         
-        if (fetchError || !booking) {
-            return res.status(404).json({ error: 'Booking not found' });
+        const ruleError = validateRecurrenceRule(rule) || await rosterSizeError(teamId, peopleCount);
+        if (ruleError) {
+            return res.status(400).json({ error: ruleError });
         }
         
-        const targetDate = updates.date || booking.date;
-        const targetLocation = updates.locationId || booking.location_id;
-        const targetTeamId = updates.teamId || booking.team_id;
+        // Every occurrence starts with the members picked as its RSVPs
+        const picks = await resolvePicks(teamId, memberIds);
+        if (picks?.error) {
+            return res.status(400).json({ error: picks.error });
+        }
         
-        // Check if team already has a booking for the target date (if date is changing)
-        if (updates.date && updates.date !== booking.date) {
-            const { data: existingTeamBooking } = await supabase
-                .from('bookings')
-                .select('id')
-                .eq('date', updates.date)
-                .eq('location_id', targetLocation)
-                .eq('team_id', targetTeamId)
-                .neq('id', id)
-                .single();
+        const location = await locationsRepo.findById(locationId, { fields: 'capacity' });
+        
+        if (!location) {
+            return res.status(400).json({ error: 'Invalid location' });
+        }
+        
+        let dates;
+        try {
+            dates = expandRecurrence(startDate, rule);
+        } catch (error) {
+            if (!(error instanceof RangeError)) throw error;
+            return res.status(400).json({ error: error.message });
+        }
+        if (dates.length === 0) {
+            return res.status(400).json({ error: 'Recurrence rule does not produce any dates' });
+        }
+        
+        const holidays = await holidaysRepo.find(
+            { date: { gte: dates[0], lte: dates[dates.length - 1] } },
+            { fields: 'date' }
+        );
+        
+        const holidayDates = new Set(holidays.map(h => h.date));
+        const count = picks ? picks.memberIds.length : parseInt(peopleCount);
+        const displayName = teamName || teamId;
+        
+        const series = await bookingSeriesRepo.create({
+            id: Date.now().toString(),
+            team_id: teamId,
+            team_name: displayName,
+            people_count: count,
+            location_id: locationId,
+            notes: notes || '',
+            start_date: startDate,
+            rule,
+            created_at: new Date().toISOString()
+        });
+        
+        const created = [];
+        const createdRows = [];
+        const conflicts = [];
+        const skippedHolidays = [];
+        
+        for (const date of dates) {
+            if (holidayDates.has(date)) {
+                skippedHolidays.push(date);
+                continue;
+            }
             
-            if (existingTeamBooking) {
-                return res.status(400).json({ 
-                    error: `${booking.team_name} already has a booking for that date` 
-                });
+            const result = await bookingsRepo.createAtomic({
+                id: `${series.id}-${date.replace(/-/g, '')}`,
+                date,
+                team_id: teamId,
+                team_name: displayName,
+                people_count: count,
+                location_id: locationId,
+                notes: notes || '',
+                series_id: series.id
+            });
+            
+            if (result.reason === 'duplicate') {
+                conflicts.push({ date, reason: 'duplicate', error: `${displayName} already has a booking for this date` });
+                continue;
+            }
+            
+            if (result.reason) {
+                conflicts.push({ date, reason: 'capacity', available: result.remaining, error: `Exceeds capacity (${result.remaining} spots available)` });
+                continue;
+            }
+            
+            const booking = toCamelCase(result.booking);
+            created.push(booking);
+            createdRows.push(result.booking);
+            emitBookingChange('booking:created', booking);
+        }
+        
+        if (created.length === 0) {
+            await bookingSeriesRepo.removeById(series.id);
+            return res.status(409).json({
+                error: 'None of the occurrences could be booked',
+                conflicts,
+                skippedHolidays
+            });
+        }
+        
+        const audits = [
+            { action: AUDIT_ACTIONS.CREATE, table: 'booking_series', after: series },
+            ...createdRows.map(row => ({ action: AUDIT_ACTIONS.CREATE, table: 'bookings', after: row }))
+        ];
+        if (picks) {
+            for (const row of createdRows) {
+                audits.push(...picksAudits(await applyPicks(row, picks)));
             }
         }
+        await recordAudit(req, audits);
         
-        // Check capacity
-        const { data: location } = await supabase
-            .from('locations')
-            .select('capacity')
-            .eq('id', targetLocation)
-            .single();
+        logger.info(`Booking series ${series.id} created: ${created.length} booked, ${conflicts.length} conflicts`);
         
-        const { data: otherBookings } = await supabase
-            .from('bookings')
-            .select('people_count')
-            .eq('date', targetDate)
-            .eq('location_id', targetLocation)
-            .neq('id', id);
+        res.status(201).json({
+            series: toCamelCase(series),
+            bookings: created,
+            conflicts,
+            skippedHolidays
+        });
+    } catch (error) {
+        logger.error('Error creating booking series:', error);
+        res.status(500).json({ error: 'Failed to create booking series' });
+    }
+});
+
+/**
+ * Get a booking series with its remaining occurrences
+ */
+router.get('/series/:seriesId', async (req, res) => {
+    try {
+        const { seriesId } = req.params;
         
-        const otherTotal = (otherBookings || []).reduce((sum, b) => sum + b.people_count, 0);
-        const newPeopleCount = updates.peopleCount ? parseInt(updates.peopleCount) : booking.people_count;
+        const series = await bookingSeriesRepo.findById(seriesId);
         
-        if (otherTotal + newPeopleCount > location.capacity) {
-            return res.status(400).json({ 
-                error: `Exceeds capacity. Available: ${location.capacity - otherTotal}` 
+        if (!series) {
+            return res.status(404).json({ error: 'Series not found' });
+        }
+        
+        const bookings = await bookingsRepo.find({ series_id: seriesId }, { orderBy: 'date' });
+        
+        res.json({ ...toCamelCase(series), bookings: toCamelCase(bookings) });
+    } catch (error) {
+        logger.error('Error fetching booking series:', error);
+        res.status(500).json({ error: 'Failed to fetch booking series' });
+    }
+});
+
+/**
+ * Apply an edit to several occurrences of a series ("this and following" or "whole series")
+ * Only fields that make sense series-wide can change; moving a date is per occurrence.
+ */
+async function updateSeriesOccurrences(req, res, booking, scope) {
+    const updates = req.body;
+    
+    if ((updates.date && updates.date !== booking.date) ||
+        (updates.locationId && updates.locationId !== booking.location_id) ||
+        (updates.teamId && updates.teamId !== booking.team_id)) {
+        return res.status(400).json({ 
+            error: 'Date, team and location can only be changed for a single occurrence' 
+        });
+    }
+    
+    const targets = await bookingsRepo.find({
+        series_id: booking.series_id,
+        date: scope === 'following' ? { gte: booking.date } : undefined
+    }, { orderBy: 'date' });
+    
+    // Occurrences with RSVPs keep counting their confirmed attendees
+    const withAttendees = new Set((await attendeesRepo.find(
+        { booking_id: { in: targets.map(t => t.id) } },
+        { fields: 'booking_id' }
+    )).map(a => a.booking_id));
+    
+    const dbUpdates = {};
+    if (updates.teamName) dbUpdates.team_name = updates.teamName;
+    if (updates.peopleCount) dbUpdates.people_count = parseInt(updates.peopleCount);
+    if (updates.notes !== undefined) dbUpdates.notes = updates.notes;
+    
+    const series = await bookingSeriesRepo.findById(booking.series_id);
+    
+    let targetSeriesId = booking.series_id;
+    let hasEarlierOccurrences = false;
+    if (scope === 'following') {
+        const earlier = await bookingsRepo.find(
+            { series_id: booking.series_id, date: { lte: addDays(booking.date, -1) } },
+            { fields: 'id' }
+        );
+        hasEarlierOccurrences = earlier.length > 0;
+    }
+    
+    const audits = [];
+    const seriesChanges = { ...dbUpdates };
+    let createdSeries = null;
+    if (series && hasEarlierOccurrences) {
+        // Split the series: the earlier part ends the day before, the rest becomes a new series
+        createdSeries = await bookingSeriesRepo.create({
+            ...series,
+            ...seriesChanges,
+            id: Date.now().toString(),
+            start_date: booking.date,
+            rule: endRuleOn(series.rule, series.rule.until || targets[targets.length - 1].date),
+            created_at: new Date().toISOString()
+        });
+        
+        dbUpdates.series_id = createdSeries.id;
+        targetSeriesId = createdSeries.id;
+    }
+    
+    const bookingAudits = [];
+    if (Object.keys(dbUpdates).length > 0) {
+        // Every occurrence is checked against its day's capacity and changed in one step,
+        // each getting its next calendar SEQUENCE; if any day is full, none change
+        const result = await bookingsRepo.updateManyAtomic(targets.map(target => {
+            const changes = { ...dbUpdates };
+            if (withAttendees.has(target.id)) delete changes.people_count;
+            return { id: target.id, changes };
+        }));
+        
+        if (!result.ok) {
+            if (createdSeries) await bookingSeriesRepo.removeById(createdSeries.id);
+            const conflicts = result.failures.map(failure => ({
+                date: targets[failure.index].date,
+                reason: failure.reason,
+                available: failure.remaining
+            }));
+            return res.status(409).json({
+                error: `Exceeds capacity on ${conflicts.length} date(s)`,
+                code: 'CAPACITY_EXCEEDED',
+                remaining: Math.min(...conflicts.map(c => c.available ?? 0)),
+                conflicts
             });
         }
         
+        targets.forEach((target, i) => {
+            bookingAudits.push({ action: AUDIT_ACTIONS.UPDATE, table: 'bookings', before: target, after: result.bookings[i] });
+        });
+    }
+    
+    if (createdSeries) {
+        const endedSeries = await bookingSeriesRepo.updateById(series.id, { rule: endRuleOn(series.rule, addDays(booking.date, -1)) });
+        audits.push(
+            { action: AUDIT_ACTIONS.CREATE, table: 'booking_series', after: createdSeries },
+            { action: AUDIT_ACTIONS.UPDATE, table: 'booking_series', before: series, after: endedSeries }
+        );
+    } else if (series && Object.keys(seriesChanges).length > 0) {
+        const updatedSeries = await bookingSeriesRepo.updateById(series.id, seriesChanges);
+        audits.push({ action: AUDIT_ACTIONS.UPDATE, table: 'booking_series', before: series, after: updatedSeries });
+    }
+    await recordAudit(req, [...audits, ...bookingAudits]);
+    
+    const updatedData = await bookingsRepo.find({
+        series_id: targetSeriesId,
+        date: scope === 'following' ? { gte: booking.date } : undefined
+    }, { orderBy: 'date' });
+    
+    const updated = toCamelCase(updatedData);
+    updated.forEach(b => emitBookingChange('booking:updated', b));
+    
+    // Smaller bookings may leave room for waitlisted teams
+    const promoted = [];
+    if (updates.peopleCount && parseInt(updates.peopleCount) < booking.people_count) {
+        for (const target of targets) {
+            promoted.push(...await promoteWaitlist(target.date, target.location_id, req));
+        }
+    }
+    
+    res.json({ scope, seriesId: targetSeriesId, bookings: updated, promoted });
+}
+
+/**
+ * Update a booking
+ */
+router.put('/:id', canEditBooking, canMoveBooking, async (req, res) => {
+    try {
+        const { id } = req.params;
+        const updates = { ...req.body };
+        
+        // Get current booking
+        const booking = await bookingsRepo.findById(id);
+        
+        if (!booking) {
+            return res.status(404).json({ error: 'Booking not found' });
+        }
+        
+        const scope = updates.scope || 'this';
+        if (!SERIES_SCOPES.includes(scope)) {
+            return res.status(400).json({ error: `scope must be one of: ${SERIES_SCOPES.join(', ')}` });
+        }
+        if (updates.peopleCount) {
+            const tooMany = await rosterSizeError(updates.teamId || booking.team_id, updates.peopleCount);
+            if (tooMany) {
+                return res.status(400).json({ error: tooMany });
+            }
+        }
+        if (scope !== 'this') {
+            if (!booking.series_id) {
+                return res.status(400).json({ error: 'Booking is not part of a series' });
+            }
+            return await updateSeriesOccurrences(req, res, booking, scope);
+        }
+        
+        const targetTeamId = updates.teamId || booking.team_id;
+        
+        // Picks answer for the whole roster; otherwise a booking with RSVPs keeps counting its confirmed attendees
+        const picks = await resolvePicks(targetTeamId, updates.memberIds);
+        if (picks?.error) {
+            return res.status(400).json({ error: picks.error });
+        }
+        if (picks) {
+            updates.peopleCount = picks.memberIds.length;
+        } else if (updates.peopleCount && await attendeesRepo.findOne({ booking_id: id }, { fields: 'id' })) {
+            delete updates.peopleCount;
+        }
+        
         // Convert camelCase to snake_case for update
         const dbUpdates = {};
         if (updates.date) dbUpdates.date = updates.date;
@@ -221,18 +940,46 @@ router.put('/:id', async (req, res) => {
         if (updates.locationId) dbUpdates.location_id = updates.locationId;
         if (updates.notes !== undefined) dbUpdates.notes = updates.notes;
         
-        const { data: updated, error: updateError } = await supabase
-            .from('bookings')
-            .update(dbUpdates)
-            .eq('id', id)
-            .select()
-            .single();
+        // Duplicate and capacity checks run with the edit in one step on the day the booking
+        // ends up on (pending overbookings are checked when an admin decides on them)
+        const result = await bookingsRepo.updateAtomic(id, dbUpdates);
+        
+        if (result.reason === 'not_found') {
+            return res.status(404).json({ error: 'Booking not found' });
+        }
+        if (result.reason) {
+            return sendBookingRejection(res, result, {
+                teamName: updates.teamName || booking.team_name,
+                capacityError: `Exceeds capacity (${result.remaining} spots available)`
+            });
+        }
+        
+        const updated = result.booking;
+        const audits = [{ action: AUDIT_ACTIONS.UPDATE, table: 'bookings', before: booking, after: updated }];
+        
+        // Desks reserved through RSVPs were for the old day or office
+        let released = [];
+        if (updated.date !== booking.date || updated.location_id !== booking.location_id) {
+            const freed = await releaseBookingDesks(id);
+            audits.push(...picksAudits(freed));
+            released = freed.released;
+        }
+        if (picks) {
+            const changes = await applyPicks(updated, picks);
+            audits.push(...picksAudits(changes));
+            released = [...released, ...changes.released];
+        }
+        await recordAudit(req, audits);
+        await announceReleasedDesks(req, released);
         
-        if (updateError) throw updateError;
-
         const before = toCamelCase(booking);
         const after = toCamelCase(updated);
         
+        // Subscribers to the old team's or location's calendar feed see it cancelled
+        if (before.teamId !== after.teamId || before.locationId !== after.locationId) {
+            await recordCancellations('bookings', [booking]);
+        }
+        
         if (emitRoomDataChanged && roomKeyForBooking) {
             const beforeRoom = roomKeyForBooking(before.date, before.locationId);
             const afterRoom = roomKeyForBooking(after.date, after.locationId);
@@ -243,6 +990,12 @@ router.put('/:id', async (req, res) => {
             }
         }
         
+        // Moving away or shrinking frees space on the original day
+        if (before.date !== after.date || before.locationId !== after.locationId ||
+            after.peopleCount < before.peopleCount) {
+            await promoteWaitlist(before.date, before.locationId, req);
+        }
+        
         res.json(after);
     } catch (error) {
         logger.error('Error updating booking:', error);
@@ -257,47 +1010,18 @@ router.get('/:id/ics', async (req, res) => {
     try {
         const { id } = req.params;
         
-        const { data: booking, error: bookingError } = await supabase
-            .from('bookings')
-            .select('*')
-            .eq('id', id)
-            .single();
+        const booking = await bookingsRepo.findById(id);
         
-        if (bookingError || !booking) {
+        if (!booking) {
             return res.status(404).json({ error: 'Booking not found' });
         }
         
-        const { data: location } = await supabase
-            .from('locations')
-            .select('name')
-            .eq('id', booking.location_id)
-            .single();
-        
-        const { data: team } = await supabase
-            .from('teams')
-            .select('manager')
-            .eq('id', booking.team_id)
-            .single();
-        
-        const startDate = booking.date.replace(/-/g, '');
-        
-        const icsContent = [
-            'BEGIN:VCALENDAR',
-            'VERSION:2.0',
-            'PRODID:-//Office Booking System//EN',
-            'CALSCALE:GREGORIAN',
-            'METHOD:PUBLISH',
-            'BEGIN:VEVENT',
-            `DTSTART;VALUE=DATE:${startDate}`,
-            `DTEND;VALUE=DATE:${startDate}`,
-            `SUMMARY:${booking.team_name} - Office Booking`,
-            `DESCRIPTION:Team: ${booking.team_name}\\nPeople: ${booking.people_count}\\nManager: ${team?.manager || 'N/A'}\\n${booking.notes || ''}`,
-            `LOCATION:${location?.name || 'Office'}`,
-            `UID:${booking.id}@officebooking`,
-            'STATUS:CONFIRMED',
-            'END:VEVENT',
-            'END:VCALENDAR'
-        ].join('\r\n');
+        const location = await locationsRepo.findById(booking.location_id, { fields: 'name' });
+        const team = await teamsRepo.findById(booking.team_id, { fields: 'manager' });
+        
+        const icsContent = buildCalendar([
+            bookingEvent(booking, { locationName: location?.name, manager: team?.manager })
+        ]);
         
         res.setHeader('Content-Type', 'text/calendar');
         res.setHeader('Content-Disposition', `attachment; filename="booking-${booking.id}.ics"`);
@@ -309,44 +1033,257 @@ router.get('/:id/ics', async (req, res) => {
 });
 
 /**
- * Delete a booking
+ * Delete a booking (it goes to the trash and can be restored)
+ * For series members, ?scope=following|series cancels later or all occurrences.
+ * The series itself stays, so restoring an occurrence keeps it in the series.
  */
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', canEditBooking, async (req, res) => {
     try {
         const { id } = req.params;
+        const scope = req.query.scope || 'this';
+        
+        if (!SERIES_SCOPES.includes(scope)) {
+            return res.status(400).json({ error: `scope must be one of: ${SERIES_SCOPES.join(', ')}` });
+        }
         
         // Get booking first for socket emit
-        const { data: booking } = await supabase
-            .from('bookings')
-            .select('*')
-            .eq('id', id)
-            .single();
+        const booking = await bookingsRepo.findById(id);
         
         if (!booking) {
             return res.status(404).json({ error: 'Booking not found' });
         }
         
-        const { error } = await supabase
-            .from('bookings')
-            .delete()
-            .eq('id', id);
+        if (scope !== 'this' && !booking.series_id) {
+            return res.status(400).json({ error: 'Booking is not part of a series' });
+        }
         
-        if (error) throw error;
-
-        if (emitRoomDataChanged && roomKeyForBooking) {
-            const deletedBooking = toCamelCase(booking);
-            emitRoomDataChanged(roomKeyForBooking(deletedBooking.date, deletedBooking.locationId), {
-                type: 'booking:deleted',
-                booking: deletedBooking
-            });
+        let toDelete;
+        const seriesAudits = [];
+        
+        if (scope === 'this') {
+            toDelete = [await bookingsRepo.trashById(id, trashOptions(req))];
+        } else {
+            toDelete = await bookingsRepo.trash({
+                series_id: booking.series_id,
+                date: scope === 'following' ? { gte: booking.date } : undefined
+            }, trashOptions(req));
+            
+            const remaining = await bookingsRepo.find({ series_id: booking.series_id }, { fields: 'id' });
+            const series = scope === 'following' && remaining.length > 0
+                ? await bookingSeriesRepo.findById(booking.series_id)
+                : null;
+            
+            // End the series the day before the first cancelled occurrence
+            if (series) {
+                const ended = await bookingSeriesRepo.updateById(booking.series_id, {
+                    rule: endRuleOn(series.rule, addDays(booking.date, -1))
+                });
+                seriesAudits.push({ action: AUDIT_ACTIONS.UPDATE, table: 'booking_series', before: series, after: ended });
+            }
         }
         
-        res.json({ success: true });
+        // Desks reserved through RSVPs are given up with the booking
+        const freed = [];
+        for (const deleted of toDelete) {
+            freed.push(await releaseBookingDesks(deleted.id));
+        }
+        
+        await recordCancellations('bookings', toDelete);
+        await recordAudit(req, [
+            ...toDelete.map(row => ({ action: AUDIT_ACTIONS.DELETE, table: 'bookings', before: row })),
+            ...seriesAudits,
+            ...freed.flatMap(picksAudits)
+        ]);
+        await announceReleasedDesks(req, freed.flatMap(f => f.released));
+        toCamelCase(toDelete).forEach(b => emitBookingChange('booking:deleted', b));
+        
+        const promoted = [];
+        for (const deleted of toDelete) {
+            promoted.push(...await promoteWaitlist(deleted.date, deleted.location_id, req));
+        }
+        
+        res.json({ success: true, deleted: toDelete.length, promoted });
     } catch (error) {
         logger.error('Error deleting booking:', error);
         res.status(500).json({ error: 'Failed to delete booking' });
     }
 });
 
+/**
+ * Restore a booking from the trash, with the occurrences of its series deleted
+ * along with it. Occurrences whose day has since filled up or been booked
+ * again by the team stay in the trash and are listed as skipped.
+ */
+router.post('/:id/restore', canEditBooking, async (req, res) => {
+    try {
+        const [booking] = await bookingsRepo.findTrashed({ id: req.params.id });
+        
+        if (!booking) {
+            return res.status(404).json({ error: 'Booking not found in the trash' });
+        }
+        
+        const group = booking.series_id
+            ? await bookingsRepo.findTrashed({ series_id: booking.series_id, deleted_at: booking.deleted_at })
+            : [booking];
+        const { restored, skipped } = await restoreBookings(group);
+        
+        // Restored by another request meanwhile
+        if (restored.length === 0 && skipped.length === 0) {
+            return res.status(404).json({ error: 'Booking not found in the trash' });
+        }
+        if (restored.length === 0) {
+            const { reason } = skipped.find(s => s.booking.id === booking.id) || skipped[0];
+            return res.status(409).json({ error: `The booking can't be restored: ${RESTORE_CONFLICTS[reason].toLowerCase()}`, code: reason.toUpperCase() });
+        }
+        await recordAudit(req, restored.map(({ before, after }) => ({ action: AUDIT_ACTIONS.UPDATE, table: 'bookings', before, after })));
+        
+        const bookings = toCamelCase(restored.map(r => r.after));
+        bookings.forEach(b => emitBookingChange('booking:created', b));
+        res.json({ restored: bookings, skipped: skippedSummary(skipped) });
+    } catch (error) {
+        logger.error('Error restoring booking:', error);
+        res.status(500).json({ error: 'Failed to restore booking' });
+    }
+});
+
+// ============================================
+// ATTENDEES (RSVPs)
+// ============================================
+
+/**
+ * Get a booking's attendees, by name
+ */
+router.get('/:id/attendees', async (req, res) => {
+    try {
+        const booking = await bookingsRepo.findById(req.params.id, { fields: 'id' });
+        
+        if (!booking) {
+            return res.status(404).json({ error: 'Booking not found' });
+        }
+        
+        res.json(toCamelCase(await listAttendees(booking.id)));
+    } catch (error) {
+        logger.error('Error fetching attendees:', error);
+        res.status(500).json({ error: 'Failed to fetch attendees' });
+    }
+});
+
+/**
+ * RSVP to a team booking: { status: 'confirmed' | 'declined', email, name, reserveDesk }
+ * The email defaults to the signed-in user's; on teams with a roster only members
+ * can answer. The booking's people_count becomes its number of confirmed attendees.
+ * reserveDesk books a desk near the team for someone confirming; declining releases it.
+ */
+router.post('/:id/attendees', canRespondToBooking, async (req, res) => {
+    try {
+        const { status, name, reserveDesk: wantsDesk } = req.body;
+        const email = normalizeMemberEmail(req.body.email || req.user?.email);
+        const statuses = Object.values(ATTENDEE_STATUS);
+        
+        if (!statuses.includes(status)) {
+            return res.status(400).json({ error: `status must be one of: ${statuses.join(', ')}` });
+        }
+        if (!email) {
+            return res.status(400).json({ error: 'Sign in or give an email to RSVP' });
+        }
+        
+        const booking = await bookingsRepo.findById(req.params.id);
+        
+        if (!booking) {
+            return res.status(404).json({ error: 'Booking not found' });
+        }
+        
+        const members = await listMembers(booking.team_id);
+        const member = members.find(m => m.email === email);
+        if (members.length > 0 && !member) {
+            return res.status(400).json({ error: `${email} is not a member of ${booking.team_name}` });
+        }
+        
+        const existing = await attendeesRepo.findOne({ booking_id: booking.id, email });
+        const attendeeName = member?.name || existing?.name || name || req.user?.name || email;
+        const values = { status, responded_at: new Date().toISOString() };
+        if (status === ATTENDEE_STATUS.DECLINED && existing?.desk_booking_id) {
+            values.desk_booking_id = null;
+        }
+        
+        let attendee = existing
+            ? await attendeesRepo.updateById(existing.id, values)
+            : await attendeesRepo.create({
+                id: Date.now().toString(),
+                booking_id: booking.id,
+                email,
+                name: attendeeName,
+                ...values
+            });
+        
+        // More people than booked must still fit (checked under the day's lock);
+        // a refused answer is taken back
+        const recounted = await recountPeople(booking);
+        if (recounted?.reason) {
+            if (existing) {
+                await attendeesRepo.updateById(existing.id, {
+                    status: existing.status,
+                    responded_at: existing.responded_at,
+                    desk_booking_id: existing.desk_booking_id
+                });
+            } else {
+                await attendeesRepo.removeById(attendee.id);
+            }
+            return sendBookingRejection(res, recounted, { teamName: booking.team_name });
+        }
+        
+        const audits = [];
+        const released = [];
+        let reserved = null;
+        
+        if (status === ATTENDEE_STATUS.DECLINED && existing?.desk_booking_id) {
+            const deskBooking = await deskBookingsRepo.removeById(existing.desk_booking_id);
+            if (deskBooking) released.push(deskBooking);
+        }
+        
+        if (status === ATTENDEE_STATUS.CONFIRMED && wantsDesk) {
+            const held = existing?.desk_booking_id ? await deskBookingsRepo.findById(existing.desk_booking_id) : null;
+            reserved = held
+                ? { deskBooking: held, created: false }
+                : await reserveDesk(booking, { email, name: attendeeName });
+            
+            if (reserved?.created) {
+                attendee = await attendeesRepo.updateById(attendee.id, { desk_booking_id: reserved.deskBooking.id });
+                audits.push({ action: AUDIT_ACTIONS.CREATE, table: 'desk_bookings', after: reserved.deskBooking });
+            }
+        }
+        
+        audits.push(existing
+            ? { action: AUDIT_ACTIONS.UPDATE, table: 'booking_attendees', before: existing, after: attendee }
+            : { action: AUDIT_ACTIONS.CREATE, table: 'booking_attendees', after: attendee });
+        if (recounted) {
+            audits.push({ action: AUDIT_ACTIONS.UPDATE, table: 'bookings', before: booking, after: recounted.booking });
+        }
+        await recordAudit(req, audits);
+        await announceReleasedDesks(req, released);
+        if (reserved?.created) {
+            await publishDeskBookingChange('deskBooking:created', toCamelCase(reserved.deskBooking), { floor: reserved.desk.floor });
+        }
+        
+        const current = toCamelCase(recounted?.booking || booking);
+        if (recounted) {
+            emitBookingChange('booking:updated', current);
+            // Fewer people may leave room for waitlisted teams
+            if (recounted.booking.people_count < booking.people_count) {
+                await promoteWaitlist(booking.date, booking.location_id, req);
+            }
+        }
+        
+        res.json({
+            attendee: toCamelCase(attendee),
+            booking: current,
+            deskBooking: reserved ? toCamelCase(reserved.deskBooking) : null
+        });
+    } catch (error) {
+        logger.error('Error saving RSVP:', error);
+        res.status(500).json({ error: 'Failed to save RSVP' });
+    }
+});
+
 module.exports = { router, initBookingsRoutes };
 
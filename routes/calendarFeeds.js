@@ -0,0 +1,241 @@
+/**
+ * Calendar Feed Routes
+ * Signed-in users create subscription feeds for a team, a location or their own
+ * desk bookings; calendar clients then poll the feed URL with its token instead
+ * of an Azure AD login (see utils/calendarFeeds.js)
+ */
+
+const express = require('express');
+const router = express.Router();
+const {
+    locationsRepo, teamsRepo, bookingsRepo, deskBookingsRepo, holidaysRepo,
+    calendarFeedsRepo, calendarCancellationsRepo
+} = require('../repositories');
+const { toCamelCase } = require('../utils/helpers');
+const logger = require('../utils/logger');
+const { requireAuthForWrites, requireAuth } = require('../middleware/requireAuth');
+const { normalizeEmail } = require('../middleware/permissions');
+const { buildCalendar } = require('../utils/ical');
+const { AUDIT_ACTIONS, recordAudit } = require('../utils/audit');
+const {
+    FEED_TYPES, generateFeedToken, feedWindowStart,
+    bookingEvent, deskBookingEvent, holidayEvent, cancellationEvent
+} = require('../utils/calendarFeeds');
+
+// Protect write operations
+router.use(requireAuthForWrites);
+
+// Outlook and Google treat this as a hint; most poll every few hours regardless
+const REFRESH_INTERVAL = 'PT1H';
+
+/**
+ * Subscription URLs for a feed token (https for Google, webcal for Outlook and Apple)
+ */
+function feedUrls(req, token) {
+    const protocol = req.get('x-forwarded-proto') || req.protocol;
+    const host = req.get('host');
+    const path = `${req.baseUrl}/${token}.ics`;
+
+    return {
+        url: `${protocol}://${host}${path}`,
+        webcalUrl: `webcal://${host}${path}`
+    };
+}
+
+function withUrls(req, feed) {
+    return { ...toCamelCase(feed), ...feedUrls(req, feed.token) };
+}
+
+/**
+ * Escape LIKE wildcards so ilike works as a case-insensitive equals
+ */
+function likeExact(value) {
+    return value.replace(/[\\%_]/g, '\\$&');
+}
+
+async function getLocationNames() {
+    const locations = await locationsRepo.find({}, { fields: 'id, name' });
+    return new Map(locations.map(l => [l.id, l.name]));
+}
+
+/**
+ * Cancelled events that aren't live in the feed any more
+ * A booking moved away and back again is live, so its tombstone is skipped.
+ */
+function cancelledEvents(cancellations, liveEvents) {
+    const liveUids = new Set(liveEvents.map(e => e.uid));
+    return cancellations
+        .filter(c => !liveUids.has(c.id))
+        .map(cancellationEvent);
+}
+
+/**
+ * Events and calendar name for a team or location feed
+ * @param {string} column - 'team_id' or 'location_id'
+ */
+async function officeDayFeed(column, targetId, name) {
+    const windowStart = feedWindowStart();
+
+    const inWindow = { [column]: targetId, date: { gte: windowStart } };
+    const bookings = await bookingsRepo.find(inWindow, { orderBy: 'date' });
+    const cancellations = await calendarCancellationsRepo.find({ source: 'bookings', ...inWindow });
+
+    const teams = await teamsRepo.find({}, { fields: 'id, manager' });
+    const managers = new Map(teams.map(t => [t.id, t.manager]));
+    const locationNames = await getLocationNames();
+
+    const events = bookings.map(booking => bookingEvent(booking, {
+        locationName: locationNames.get(booking.location_id),
+        manager: managers.get(booking.team_id)
+    }));
+
+    return { name, events: [...events, ...cancelledEvents(cancellations, events)] };
+}
+
+const FEED_BUILDERS = {
+    async team(feed) {
+        const team = await teamsRepo.findById(feed.target_id, { fields: 'name' });
+        return officeDayFeed('team_id', feed.target_id, `${team?.name || 'Team'} office days`);
+    },
+
+    async location(feed) {
+        const location = await locationsRepo.findById(feed.target_id, { fields: 'name' });
+        const result = await officeDayFeed('location_id', feed.target_id, `${location?.name || 'Office'} office days`);
+
+        const holidays = await holidaysRepo.find({ date: { gte: feedWindowStart() } }, { orderBy: 'date' });
+        result.events.push(...holidays.map(holidayEvent));
+        return result;
+    },
+
+    async person(feed) {
+        const windowStart = feedWindowStart();
+        const email = likeExact(feed.user_email);
+
+        const forPerson = { employee_email: { ilike: email }, date: { gte: windowStart } };
+        const bookings = await deskBookingsRepo.find(forPerson, { orderBy: 'date' });
+        const cancellations = await calendarCancellationsRepo.find({ source: 'desk_bookings', ...forPerson });
+
+        // Desk bookings at a location in the trash were published as cancelled
+        const locationNames = await getLocationNames();
+        const events = bookings.filter(booking => locationNames.has(booking.location_id)).map(booking => deskBookingEvent(booking, {
+            locationName: locationNames.get(booking.location_id)
+        }));
+
+        return { name: 'My desk bookings', events: [...events, ...cancelledEvents(cancellations, events)] };
+    }
+};
+
+/**
+ * Serve a feed to calendar clients (no login - the token is the credential)
+ */
+router.get('/:token.ics', async (req, res) => {
+    try {
+        const feed = await calendarFeedsRepo.findOne({ token: req.params.token });
+
+        if (!feed) {
+            return res.status(404).json({ error: 'Calendar feed not found' });
+        }
+
+        const { name, events } = await FEED_BUILDERS[feed.feed_type](feed);
+
+        await calendarFeedsRepo.updateById(feed.id, { last_accessed_at: new Date().toISOString() });
+
+        res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+        res.setHeader('Cache-Control', 'no-cache');
+        res.send(buildCalendar(events, { name, refreshInterval: REFRESH_INTERVAL }));
+    } catch (error) {
+        logger.error('Error generating calendar feed:', error);
+        res.status(500).json({ error: 'Failed to generate calendar feed' });
+    }
+});
+
+/**
+ * List the signed-in user's feeds
+ */
+router.get('/', requireAuth, async (req, res) => {
+    try {
+        const data = await calendarFeedsRepo.find(
+            { user_email: normalizeEmail(req.user.email) },
+            { orderBy: 'created_at' }
+        );
+        res.json(data.map(feed => withUrls(req, feed)));
+    } catch (error) {
+        logger.error('Error fetching calendar feeds:', error);
+        res.status(500).json({ error: 'Failed to fetch calendar feeds' });
+    }
+});
+
+/**
+ * Create a feed (returns the user's existing feed for the same target)
+ * Body: { type: 'team'|'location'|'person', targetId } - person feeds have no target
+ */
+router.post('/', requireAuth, async (req, res) => {
+    try {
+        const { type } = req.body;
+        const userEmail = normalizeEmail(req.user.email);
+
+        if (!FEED_TYPES.includes(type)) {
+            return res.status(400).json({ error: `type must be one of: ${FEED_TYPES.join(', ')}` });
+        }
+        if (!userEmail) {
+            return res.status(400).json({ error: 'Your account has no email address' });
+        }
+
+        const targetId = type === 'person' ? null : req.body.targetId;
+        if (type !== 'person') {
+            const targets = type === 'team' ? teamsRepo : locationsRepo;
+            const target = targetId ? await targets.findById(targetId, { fields: 'id' }) : null;
+            if (!target) {
+                return res.status(400).json({ error: `A valid ${type} targetId is required` });
+            }
+        }
+
+        const existing = await calendarFeedsRepo.find({ user_email: userEmail, feed_type: type });
+
+        const duplicate = existing.find(feed => feed.target_id === targetId);
+        if (duplicate) {
+            return res.json(withUrls(req, duplicate));
+        }
+
+        const feed = {
+            id: Date.now().toString(),
+            token: generateFeedToken(),
+            user_email: userEmail,
+            feed_type: type,
+            target_id: targetId,
+            created_at: new Date().toISOString(),
+            last_accessed_at: null
+        };
+
+        const data = await calendarFeedsRepo.create(feed);
+        await recordAudit(req, { action: AUDIT_ACTIONS.CREATE, table: 'calendar_feeds', after: data });
+
+        logger.info(`Calendar feed (${type}) created for ${userEmail}`);
+        res.status(201).json(withUrls(req, data));
+    } catch (error) {
+        logger.error('Error creating calendar feed:', error);
+        res.status(500).json({ error: 'Failed to create calendar feed' });
+    }
+});
+
+/**
+ * Revoke a feed - its URL stops working straight away
+ */
+router.delete('/:id', requireAuth, async (req, res) => {
+    try {
+        const feed = await calendarFeedsRepo.findById(req.params.id);
+
+        if (!feed || feed.user_email !== normalizeEmail(req.user.email)) {
+            return res.status(404).json({ error: 'Calendar feed not found' });
+        }
+
+        await calendarFeedsRepo.removeById(feed.id);
+        await recordAudit(req, { action: AUDIT_ACTIONS.DELETE, table: 'calendar_feeds', before: feed });
+        res.json({ success: true });
+    } catch (error) {
+        logger.error('Error deleting calendar feed:', error);
+        res.status(500).json({ error: 'Failed to delete calendar feed' });
+    }
+});
+
+module.exports = router;
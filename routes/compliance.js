@@ -0,0 +1,90 @@
+const express = require('express');
+const router = express.Router();
+const { teamsRepo, settingsRepo, bookingsRepo, deskBookingsRepo, holidaysRepo } = require('../repositories');
+const logger = require('../utils/logger');
+const { ATTENDANCE_POLICY_SETTING, resolvePolicy, monthDates, calculateCompliance } = require('../utils/attendancePolicy');
+
+const MONTH_PATTERN = /^\d{4}-(0[1-9]|1[0-2])$/;
+
+/**
+ * Load the teams, policies and attendance a month's compliance needs
+ */
+async function loadComplianceData({ month, teamId, locationId }) {
+    const dates = monthDates(month);
+    const from = dates[0];
+    const to = dates[dates.length - 1];
+    const inMonth = { date: { gte: from, lte: to } };
+    const forTeam = { ...inMonth, team_id: teamId || undefined };
+
+    const [teams, policies, bookings, deskBookings, holidays] = await Promise.all([
+        teamsRepo.find(
+            { id: teamId || undefined, location_id: locationId || undefined },
+            { fields: 'id, name, location_id' }
+        ),
+        settingsRepo.get(ATTENDANCE_POLICY_SETTING),
+        bookingsRepo.findAll(forTeam, { fields: 'id, date, team_id, status' }),
+        deskBookingsRepo.findAll(forTeam, { fields: 'id, date, team_id, checked_in' }),
+        holidaysRepo.findAll(inMonth, { fields: 'id, date' })
+    ]);
+
+    return {
+        teams: teams.sort((a, b) => a.name.localeCompare(b.name)),
+        policies,
+        bookings,
+        deskBookings,
+        holidays
+    };
+}
+
+/**
+ * Attendance policy compliance per team for a month
+ * Query: month (YYYY-MM, default the current month), teamId, locationId
+ */
+router.get('/', async (req, res) => {
+    try {
+        const today = new Date().toISOString().split('T')[0];
+        const month = req.query.month || today.slice(0, 7);
+        if (!MONTH_PATTERN.test(month)) {
+            return res.status(400).json({ error: 'month must be in YYYY-MM format' });
+        }
+
+        const { teamId, locationId } = req.query;
+        const data = await loadComplianceData({ month, teamId, locationId });
+        if (teamId && data.teams.length === 0) {
+            return res.status(404).json({ error: 'Team not found' });
+        }
+
+        // Confirmed bookings and desk check-ins both count as a day in the office
+        const attendance = new Map();
+        const attend = (team, date) => {
+            if (!attendance.has(team)) attendance.set(team, new Set());
+            attendance.get(team).add(date);
+        };
+        data.bookings.filter(b => b.status !== 'pending').forEach(b => attend(b.team_id, b.date));
+        data.deskBookings.filter(d => d.checked_in && d.team_id).forEach(d => attend(d.team_id, d.date));
+        const holidays = new Set(data.holidays.map(h => h.date));
+
+        res.json(data.teams.map(team => {
+            const { policy, source } = resolvePolicy(data.policies, team);
+            return {
+                teamId: team.id,
+                teamName: team.name,
+                locationId: team.location_id,
+                month,
+                policy,
+                policySource: source,
+                ...calculateCompliance(policy, {
+                    month,
+                    today,
+                    attendedDates: attendance.get(team.id) || new Set(),
+                    holidays
+                })
+            };
+        }));
+    } catch (error) {
+        logger.error('Error calculating compliance:', error);
+        res.status(500).json({ error: 'Failed to calculate compliance' });
+    }
+});
+
+module.exports = router;
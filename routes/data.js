@@ -1,45 +1,40 @@
 const express = require('express');
 const router = express.Router();
-const { supabase } = require('../config/supabase');
+const {
+    locationsRepo, teamsRepo, bookingsRepo, holidaysRepo, desksRepo, deskBookingsRepo, floorElementsRepo
+} = require('../repositories');
 const { toCamelCase } = require('../utils/helpers');
+const { withoutQrCode } = require('../utils/qrCodes');
 const logger = require('../utils/logger');
 
 /**
  * Get all data (locations, teams, bookings, holidays, desks, etc.)
- * Used for initial app load
+ * Used for initial app load. Nothing in the trash is included, nor the desks,
+ * desk bookings and floor plans of locations in the trash.
  */
 router.get('/', async (req, res) => {
     try {
-        const [
-            { data: locations, error: locError },
-            { data: teams, error: teamError },
-            { data: bookings, error: bookError },
-            { data: publicHolidays, error: holidayError },
-            { data: desks, error: deskError },
-            { data: deskBookings, error: deskBookError },
-            { data: floorElements, error: floorError }
-        ] = await Promise.all([
-            supabase.from('locations').select('*'),
-            supabase.from('teams').select('*'),
-            supabase.from('bookings').select('*'),
-            supabase.from('public_holidays').select('*'),
-            supabase.from('desks').select('*'),
-            supabase.from('desk_bookings').select('*'),
-            supabase.from('floor_elements').select('*')
+        const [locations, teams, bookings, publicHolidays, desks, deskBookings, floorElements] = await Promise.all([
+            locationsRepo.find(),
+            teamsRepo.find(),
+            bookingsRepo.find(),
+            holidaysRepo.find(),
+            desksRepo.find(),
+            deskBookingsRepo.find({ no_show: { neq: true } }),
+            floorElementsRepo.find()
         ]);
 
-        if (locError || teamError || bookError || holidayError || deskError || deskBookError || floorError) {
-            throw new Error('Failed to fetch data');
-        }
-
+        const locationIds = new Set(locations.map(l => l.id));
+        const atLocation = rows => rows.filter(row => locationIds.has(row.location_id));
+        
         res.json({
             locations: toCamelCase(locations),
             teams: toCamelCase(teams),
             bookings: toCamelCase(bookings),
             publicHolidays: toCamelCase(publicHolidays),
-            desks: toCamelCase(desks),
-            deskBookings: toCamelCase(deskBookings),
-            floorElements: toCamelCase(floorElements)
+            desks: toCamelCase(withoutQrCode(atLocation(desks))),
+            deskBookings: toCamelCase(atLocation(deskBookings)),
+            floorElements: toCamelCase(atLocation(floorElements))
         });
     } catch (error) {
         logger.error('Error fetching data:', error);
@@ -1,28 +1,67 @@
+const crypto = require('crypto');
 const express = require('express');
 const router = express.Router();
-const { supabase } = require('../config/supabase');
+const { locationsRepo, desksRepo, deskBookingsRepo } = require('../repositories');
 const { toCamelCase } = require('../utils/helpers');
 const logger = require('../utils/logger');
 const { requireAuthForWrites } = require('../middleware/requireAuth');
+const { PERMISSIONS, authorize, recordScope } = require('../middleware/permissions');
+const { formatTime, getOpeningHours, resolveSlot, bookingRange } = require('../utils/timeSlots');
+const { isValidDateStr, utcToday } = require('../utils/recurrence');
+const { QR_ERRORS, verifyQrToken } = require('../utils/qrTokens');
+const { withoutQrCode } = require('../utils/qrCodes');
+const { publishDeskBookingChange } = require('../socket/events');
+const { recordCancellations } = require('../utils/calendarFeeds');
+const { AUDIT_ACTIONS, recordAudit } = require('../utils/audit');
 
 // Protect write operations
 router.use(requireAuthForWrites);
 
+/**
+ * Scope of a new desk booking (null if the desk is missing - the route returns 400)
+ */
+async function newDeskBookingScope(req) {
+    const { deskId, teamId, employeeEmail } = req.body;
+    if (!deskId) return null;
+    
+    const desk = await desksRepo.findById(deskId, { fields: 'location_id' });
+    
+    if (!desk) return null;
+    return { locationId: desk.location_id, teamId, ownerEmail: employeeEmail };
+}
+
+// Employees manage their own desk bookings; team managers and location admins can act for others
+const canCreateDeskBooking = authorize(PERMISSIONS.MANAGE_DESK_BOOKING, { scope: newDeskBookingScope });
+const canEditDeskBooking = authorize(PERMISSIONS.MANAGE_DESK_BOOKING, { scope: recordScope('desk_bookings') });
+
+// Responses for rejected QR codes, keyed by error code
+const QR_REJECTIONS = {
+    [QR_ERRORS.REQUIRED]: { status: 400, error: 'Scan the desk QR code to check in' },
+    [QR_ERRORS.MALFORMED]: { status: 400, error: 'Invalid QR code for this desk' },
+    [QR_ERRORS.WRONG_DESK]: { status: 400, error: 'Invalid QR code for this desk' },
+    [QR_ERRORS.INVALID_SIGNATURE]: { status: 403, error: 'QR code signature is not valid' },
+    [QR_ERRORS.EXPIRED]: { status: 410, error: 'QR code has expired, scan the current code at the desk' }
+};
+
+function rejectQrCode(res, code) {
+    const { status, error } = QR_REJECTIONS[code];
+    return res.status(status).json({ error, code });
+}
+
 /**
  * Get desk bookings for a date/location
+ * Released no-shows are left out unless includeNoShows=true
  */
 router.get('/', async (req, res) => {
     try {
-        const { date, locationId, deskId } = req.query;
-        
-        let query = supabase.from('desk_bookings').select('*');
+        const { date, locationId, deskId, includeNoShows } = req.query;
         
-        if (date) query = query.eq('date', date);
-        if (locationId) query = query.eq('location_id', locationId);
-        if (deskId) query = query.eq('desk_id', deskId);
-        
-        const { data, error } = await query;
-        if (error) throw error;
+        const data = await deskBookingsRepo.find({
+            date: date || undefined,
+            location_id: locationId || undefined,
+            desk_id: deskId || undefined,
+            no_show: includeNoShows !== 'true' ? { neq: true } : undefined
+        });
         
         res.json(toCamelCase(data));
     } catch (error) {
@@ -32,60 +71,110 @@ router.get('/', async (req, res) => {
 });
 
 /**
- * Create a desk booking (full day)
+ * Get no-show counts per employee for reporting
+ * Optional filters: locationId, from, to (YYYY-MM-DD, inclusive)
  */
-router.post('/', async (req, res) => {
+router.get('/no-shows', async (req, res) => {
     try {
-        const { deskId, date, employeeName, employeeEmail, teamId } = req.body;
+        const { locationId, from, to } = req.query;
+        
+        const data = await deskBookingsRepo.find({
+            no_show: true,
+            location_id: locationId || undefined,
+            date: { gte: from || undefined, lte: to || undefined }
+        });
+        
+        // Group by email when we have one, otherwise by name
+        const counts = new Map();
+        for (const booking of data) {
+            const key = (booking.employee_email || booking.employee_name).toLowerCase();
+            const entry = counts.get(key) || {
+                employee_name: booking.employee_name,
+                employee_email: booking.employee_email || '',
+                no_show_count: 0,
+                last_no_show: null
+            };
+            entry.no_show_count += 1;
+            if (!entry.last_no_show || booking.date > entry.last_no_show) {
+                entry.last_no_show = booking.date;
+            }
+            counts.set(key, entry);
+        }
+        
+        const report = [...counts.values()].sort((a, b) => b.no_show_count - a.no_show_count);
+        res.json(toCamelCase(report));
+    } catch (error) {
+        logger.error('Error fetching no-show counts:', error);
+        res.status(500).json({ error: 'Failed to fetch no-show counts' });
+    }
+});
+
+/**
+ * Create a desk booking
+ * Accepts slot 'full' (default), 'am', 'pm' or 'custom' with startTime/endTime (HH:MM)
+ */
+router.post('/', canCreateDeskBooking, async (req, res) => {
+    try {
+        const { deskId, date, employeeName, employeeEmail, teamId, slot, startTime, endTime } = req.body;
         
         if (!deskId || !date || !employeeName) {
             return res.status(400).json({ error: 'Missing required fields' });
         }
+        if (!isValidDateStr(date)) {
+            return res.status(400).json({ error: 'Date must be in YYYY-MM-DD format' });
+        }
         
         // Get desk info
-        const { data: desk, error: deskError } = await supabase
-            .from('desks')
-            .select('*')
-            .eq('id', deskId)
-            .single();
+        const desk = await desksRepo.findById(deskId);
         
-        if (deskError || !desk) {
+        if (!desk) {
             return res.status(400).json({ error: 'Desk not found' });
         }
         
-        // Check if desk is already booked for this day
-        const { data: conflicts } = await supabase
-            .from('desk_bookings')
-            .select('id')
-            .eq('desk_id', deskId)
-            .eq('date', date);
+        // Opening hours bound every slot
+        const location = await locationsRepo.findById(desk.location_id);
+        if (!location) {
+            return res.status(400).json({ error: 'Desk not found' });
+        }
+        const hours = getOpeningHours(location);
         
-        if (conflicts && conflicts.length > 0) {
-            return res.status(400).json({ error: 'Desk already booked for this day' });
+        const range = resolveSlot({ slot, startTime, endTime }, hours);
+        if (range.error) {
+            return res.status(400).json({ error: range.error });
         }
         
-        const newBooking = {
-            id: Date.now().toString(),
+        // Checked and inserted under one lock, so concurrent requests can't both get the desk
+        const { booking: data, conflict } = await deskBookingsRepo.createAtomic({
+            id: crypto.randomUUID(),
             desk_id: deskId,
             desk_name: desk.name,
             location_id: desk.location_id,
             date,
+            // Full-day bookings keep NULL times so they follow the opening hours
+            start_time: range.fullDay ? null : formatTime(range.start),
+            end_time: range.fullDay ? null : formatTime(range.end),
             employee_name: employeeName,
             employee_email: employeeEmail || '',
-            team_id: teamId || null,
-            checked_in: false,
-            checked_in_at: null,
-            created_at: new Date().toISOString()
-        };
-        
-        const { data, error } = await supabase
-            .from('desk_bookings')
-            .insert(newBooking)
-            .select()
-            .single();
-        
-        if (error) throw error;
-        res.status(201).json(toCamelCase(data));
+            team_id: teamId || null
+        }, { open: formatTime(hours.open), close: formatTime(hours.close) });
+        
+        if (conflict) {
+            const taken = bookingRange(conflict, hours);
+            const coversDay = taken.start <= hours.open && taken.end >= hours.close;
+            return res.status(409).json({
+                error: coversDay
+                    ? 'Desk already booked for this day'
+                    : `Desk already booked from ${formatTime(taken.start)} to ${formatTime(taken.end)}`,
+                code: 'DESK_CONFLICT',
+                conflict: { startTime: formatTime(taken.start), endTime: formatTime(taken.end) }
+            });
+        }
+        
+        await recordAudit(req, { action: AUDIT_ACTIONS.CREATE, table: 'desk_bookings', after: data });
+        
+        const booking = toCamelCase(data);
+        await publishDeskBookingChange('deskBooking:created', booking, { floor: desk.floor });
+        res.status(201).json(booking);
     } catch (error) {
         logger.error('Error creating desk booking:', error);
         res.status(500).json({ error: 'Failed to create desk booking' });
@@ -95,16 +184,17 @@ router.post('/', async (req, res) => {
 /**
  * Cancel a desk booking
  */
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', canEditDeskBooking, async (req, res) => {
     try {
         const { id } = req.params;
         
-        const { error } = await supabase
-            .from('desk_bookings')
-            .delete()
-            .eq('id', id);
+        const booking = await deskBookingsRepo.removeById(id);
         
-        if (error) throw error;
+        if (booking) {
+            await recordCancellations('desk_bookings', [booking]);
+            await recordAudit(req, { action: AUDIT_ACTIONS.DELETE, table: 'desk_bookings', before: booking });
+            await publishDeskBookingChange('deskBooking:deleted', toCamelCase(booking));
+        }
         res.json({ success: true });
     } catch (error) {
         logger.error('Error canceling desk booking:', error);
@@ -115,58 +205,56 @@ router.delete('/:id', async (req, res) => {
 /**
  * Check in to a desk booking via QR code
  */
-router.post('/:id/checkin', async (req, res) => {
+router.post('/:id/checkin', canEditDeskBooking, async (req, res) => {
     try {
         const { id } = req.params;
         const { qrCode } = req.body;
         
         // Get booking
-        const { data: booking, error: bookingError } = await supabase
-            .from('desk_bookings')
-            .select('*')
-            .eq('id', id)
-            .single();
+        const booking = await deskBookingsRepo.findById(id);
         
-        if (bookingError || !booking) {
+        if (!booking) {
             return res.status(404).json({ error: 'Booking not found' });
         }
         
-        // Get desk
-        const { data: desk, error: deskError } = await supabase
-            .from('desks')
-            .select('qr_code')
-            .eq('id', booking.desk_id)
-            .single();
-        
-        if (deskError || !desk) {
-            return res.status(404).json({ error: 'Desk not found' });
-        }
-        
-        // Verify QR code
-        if (qrCode && desk.qr_code !== qrCode) {
-            return res.status(400).json({ error: 'Invalid QR code for this desk' });
+        if (booking.no_show) {
+            return res.status(400).json({ error: 'Booking was released because nobody checked in on time' });
         }
         
         // Check if booking is for today
-        const today = new Date().toISOString().split('T')[0];
+        const today = utcToday();
         if (booking.date !== today) {
             return res.status(400).json({ error: 'Can only check in on the booking date' });
         }
         
+        // Verify the signed QR code before touching the desk
+        const verified = verifyQrToken(qrCode);
+        if (verified.error) {
+            return rejectQrCode(res, verified.error);
+        }
+        
+        // Get desk
+        const desk = await desksRepo.findById(booking.desk_id, { fields: 'qr_code, floor' });
+        
+        if (!desk) {
+            return res.status(404).json({ error: 'Desk not found' });
+        }
+        
+        // A regenerated desk code invalidates older QR codes too
+        if (desk.qr_code !== verified.deskCode) {
+            return rejectQrCode(res, QR_ERRORS.WRONG_DESK);
+        }
+        
         // Update booking
-        const { data: updated, error: updateError } = await supabase
-            .from('desk_bookings')
-            .update({
-                checked_in: true,
-                checked_in_at: new Date().toISOString()
-            })
-            .eq('id', id)
-            .select()
-            .single();
-        
-        if (updateError) throw updateError;
-        
-        res.json({ success: true, booking: toCamelCase(updated) });
+        const updated = await deskBookingsRepo.updateById(id, {
+            checked_in: true,
+            checked_in_at: new Date().toISOString()
+        });
+        await recordAudit(req, { action: AUDIT_ACTIONS.UPDATE, table: 'desk_bookings', before: booking, after: updated });
+        
+        const checkedIn = toCamelCase(updated);
+        await publishDeskBookingChange('deskBooking:checkedIn', checkedIn, { floor: desk.floor });
+        res.json({ success: true, booking: checkedIn });
     } catch (error) {
         logger.error('Error checking in:', error);
         res.status(500).json({ error: 'Failed to check in' });
@@ -180,36 +268,33 @@ router.get('/checkin/:qrCode', async (req, res) => {
     try {
         const { qrCode } = req.params;
         
+        // Forged and expired codes get their own errors; anything unreadable just isn't a desk
+        const verified = verifyQrToken(qrCode);
+        if (verified.error === QR_ERRORS.MALFORMED) {
+            return res.status(404).json({ error: 'Desk not found' });
+        }
+        if (verified.error) {
+            return rejectQrCode(res, verified.error);
+        }
+        
         // Get desk by QR code
-        const { data: desk, error: deskError } = await supabase
-            .from('desks')
-            .select('*')
-            .eq('qr_code', qrCode)
-            .single();
+        const desk = await desksRepo.findOne({ qr_code: verified.deskCode });
         
-        if (deskError || !desk) {
+        if (!desk) {
             return res.status(404).json({ error: 'Desk not found' });
         }
         
         // Get location
-        const { data: location } = await supabase
-            .from('locations')
-            .select('*')
-            .eq('id', desk.location_id)
-            .single();
+        const location = await locationsRepo.findById(desk.location_id);
         
         // Get today's bookings for this desk
-        const today = new Date().toISOString().split('T')[0];
-        const { data: todayBookings } = await supabase
-            .from('desk_bookings')
-            .select('*')
-            .eq('desk_id', desk.id)
-            .eq('date', today);
+        const today = utcToday();
+        const todayBookings = await deskBookingsRepo.find({ desk_id: desk.id, date: today, no_show: { neq: true } });
         
         res.json({
-            desk: toCamelCase(desk),
+            desk: toCamelCase(withoutQrCode(desk)),
             location: toCamelCase(location),
-            todayBookings: toCamelCase(todayBookings || [])
+            todayBookings: toCamelCase(todayBookings)
         });
     } catch (error) {
         logger.error('Error getting check-in data:', error);
@@ -1,13 +1,102 @@
 const express = require('express');
 const router = express.Router();
-const { supabase } = require('../config/supabase');
+const { locationsRepo, desksRepo, deskBookingsRepo, deskFavouritesRepo } = require('../repositories');
 const { toCamelCase } = require('../utils/helpers');
 const logger = require('../utils/logger');
 const { requireAuthForWrites } = require('../middleware/requireAuth');
+const { PERMISSIONS, authorize, recordScope, bodyLocationScope, movedLocationScope } = require('../middleware/permissions');
+const { generateDeskCode, endOfDay } = require('../utils/qrTokens');
+const { withoutQrCode, getPublicBaseUrl, getCheckinUrl, renderQrSvg, renderQrPng, renderQrSheet } = require('../utils/qrCodes');
+const { publishToFloors } = require('../socket/events');
+const { recordCancellationsWhere } = require('../utils/calendarFeeds');
+const { validateDeskFields, validateDeskChanges, validateDeskAmenities, validateDockingType } = require('../utils/validation');
+const { isValidDateStr, addDays } = require('../utils/recurrence');
+const { normalizeMemberEmail } = require('../utils/teamMembers');
+const { findTeamOf, suggestDesks } = require('../utils/deskSuggestions');
+const { MAX_SEARCH_DAYS, findFreeDesks } = require('../utils/deskSearch');
+const { AUDIT_ACTIONS, recordAudit } = require('../utils/audit');
 
 // Protect write operations
 router.use(requireAuthForWrites);
 
+// Desks are managed by admins of the desk's location (and of the target location when moving it)
+const canEditDesk = authorize(PERMISSIONS.MANAGE_LOCATION, { scope: recordScope('desks') });
+const canCreateAtLocation = authorize(PERMISSIONS.MANAGE_LOCATION, { scope: bodyLocationScope });
+const canMoveToLocation = authorize(PERMISSIONS.MANAGE_LOCATION, { scope: movedLocationScope('desks') });
+
+// QR codes check people in, so only the location's admins may print them
+const canPrintDeskQr = authorize(PERMISSIONS.MANAGE_LOCATION, {
+    scope: recordScope('desks'),
+    message: 'Only location admins can print desk QR codes'
+});
+const canPrintQrSheet = authorize(PERMISSIONS.MANAGE_LOCATION, {
+    scope: req => (req.query.locationId ? { locationId: req.query.locationId } : null),
+    message: 'Only location admins can print desk QR codes'
+});
+
+const PUBLIC_URL_REQUIRED = { error: 'PUBLIC_URL must be set to generate QR codes', code: 'PUBLIC_URL_REQUIRED' };
+
+/**
+ * Scope of a favourite desk: the desk's location, owned by the person it's for
+ * (null if the desk is missing - the route returns 404)
+ */
+async function favouriteScope(req) {
+    const desk = await desksRepo.findById(req.params.id, { fields: 'location_id' });
+    
+    if (!desk) return null;
+    return { locationId: desk.location_id, ownerEmail: req.body.email || req.user?.email };
+}
+
+// People pick their own favourites; location admins can set them for anyone
+const canEditFavourite = authorize(PERMISSIONS.MANAGE_DESK_BOOKING, {
+    scope: favouriteScope,
+    message: 'You can only change your own favourite desks'
+});
+
+// Most desk suggestions returned at once
+const MAX_SUGGESTIONS = 20;
+
+// Longest a time-boxed QR code can be valid for (one week)
+const MAX_QR_EXPIRY_MINUTES = 7 * 24 * 60;
+
+/**
+ * Work out when a requested QR code should expire
+ * ?rotate=daily expires at the end of today (kiosk screens); ?expiresIn= is in minutes
+ * @returns {Object} { expiresAt } (undefined for no expiry) or { error }
+ */
+function resolveQrExpiry(query) {
+    if (query.rotate === 'daily') {
+        return { expiresAt: endOfDay() };
+    }
+    if (query.rotate) {
+        return { error: 'rotate must be daily' };
+    }
+    if (query.expiresIn !== undefined) {
+        const minutes = Number(query.expiresIn);
+        if (!Number.isInteger(minutes) || minutes < 1 || minutes > MAX_QR_EXPIRY_MINUTES) {
+            return { error: `expiresIn must be between 1 and ${MAX_QR_EXPIRY_MINUTES} minutes` };
+        }
+        return { expiresAt: new Date(Date.now() + minutes * 60 * 1000) };
+    }
+    return {};
+}
+
+/**
+ * Read the desk attribute filters of a query
+ * ?amenities=dual_monitors,quiet_zone asks for desks with all of those; ?dockingType for one kind of dock
+ * @returns {Object} { amenities, dockingType } or { error }
+ */
+function resolveDeskFilters(query) {
+    const amenities = query.amenities ? String(query.amenities).split(',').map(a => a.trim()).filter(Boolean) : [];
+    const dockingType = query.dockingType || null;
+    
+    const invalid = validateDeskAmenities(amenities) || validateDockingType(dockingType);
+    if (invalid) {
+        return { error: invalid };
+    }
+    return { amenities, dockingType };
+}
+
 /**
  * Get all desks for a location
  */
@@ -15,30 +104,291 @@ router.get('/', async (req, res) => {
     try {
         const { locationId } = req.query;
         
-        let query = supabase.from('desks').select('*');
-        if (locationId) {
-            query = query.eq('location_id', locationId);
+        const data = await desksRepo.find({ location_id: locationId || undefined });
+        
+        res.json(toCamelCase(withoutQrCode(data)));
+    } catch (error) {
+        logger.error('Error fetching desks:', error);
+        res.status(500).json({ error: 'Failed to fetch desks' });
+    }
+});
+
+/**
+ * Free desks ranked for one person on a day, best first
+ * ?locationId&date are required; ?floor limits them to one floor and
+ * ?amenities / ?dockingType to desks with those. The email defaults to the
+ * signed-in user's and the team to theirs at the location.
+ * @returns {Object} { teamId, suggestions: [{ desk, score, reasons }] }
+ */
+router.get('/suggestions', async (req, res) => {
+    try {
+        const { locationId, date, floor } = req.query;
+        const email = normalizeMemberEmail(req.query.email || req.user?.email) || null;
+        const limit = req.query.limit === undefined ? 3 : Number(req.query.limit);
+        
+        if (!locationId || !isValidDateStr(date)) {
+            return res.status(400).json({ error: 'locationId and a YYYY-MM-DD date are required' });
+        }
+        if (!Number.isInteger(limit) || limit < 1 || limit > MAX_SUGGESTIONS) {
+            return res.status(400).json({ error: `limit must be between 1 and ${MAX_SUGGESTIONS}` });
+        }
+        const filters = resolveDeskFilters(req.query);
+        if (filters.error) {
+            return res.status(400).json({ error: filters.error });
         }
         
-        const { data, error } = await query;
-        if (error) throw error;
+        const teamId = req.query.teamId || await findTeamOf(email, locationId);
+        const suggestions = await suggestDesks({ locationId, date, teamId, email, floor, limit, ...filters });
         
+        res.json(toCamelCase({
+            team_id: teamId,
+            suggestions: suggestions.map(suggestion => ({ ...suggestion, desk: withoutQrCode(suggestion.desk) }))
+        }));
+    } catch (error) {
+        logger.error('Error suggesting desks:', error);
+        res.status(500).json({ error: 'Failed to suggest desks' });
+    }
+});
+
+/**
+ * Desks free on every day from ?from to ?to (default just ?from) with the attributes asked for
+ * ?locationId&from are required; ?floor, ?amenities and ?dockingType narrow the
+ * search, and ?teamId includes that team's seats as well as hotseats.
+ */
+router.get('/search', async (req, res) => {
+    try {
+        const { locationId, from, floor, teamId } = req.query;
+        const to = req.query.to || from;
+        
+        if (!locationId || !isValidDateStr(from) || !isValidDateStr(to)) {
+            return res.status(400).json({ error: 'locationId and from (and to) dates in YYYY-MM-DD format are required' });
+        }
+        if (from > to) {
+            return res.status(400).json({ error: 'from must not be after to' });
+        }
+        if (addDays(from, MAX_SEARCH_DAYS - 1) < to) {
+            return res.status(400).json({ error: `A search can cover at most ${MAX_SEARCH_DAYS} days` });
+        }
+        const filters = resolveDeskFilters(req.query);
+        if (filters.error) {
+            return res.status(400).json({ error: filters.error });
+        }
+        
+        const desks = await findFreeDesks({ locationId, from, to, teamId, floor, ...filters });
+        
+        res.json(toCamelCase(withoutQrCode(desks)));
+    } catch (error) {
+        logger.error('Error searching desks:', error);
+        res.status(500).json({ error: 'Failed to search desks' });
+    }
+});
+
+/**
+ * Desks someone marked as a favourite (?email defaults to the signed-in user's)
+ */
+router.get('/favourites', async (req, res) => {
+    try {
+        const email = normalizeMemberEmail(req.query.email || req.user?.email);
+        
+        if (!email) {
+            return res.status(400).json({ error: 'Sign in or give an email to list favourite desks' });
+        }
+        
+        const favourites = await deskFavouritesRepo.find({ user_email: email }, { fields: 'desk_id' });
+        const desks = favourites.length > 0
+            ? await desksRepo.find({ id: { in: favourites.map(f => f.desk_id) } }, { orderBy: 'name' })
+            : [];
+        
+        res.json(toCamelCase(withoutQrCode(desks)));
+    } catch (error) {
+        logger.error('Error fetching favourite desks:', error);
+        res.status(500).json({ error: 'Failed to fetch favourite desks' });
+    }
+});
+
+/**
+ * Printable sheet of check-in QR codes for every desk on a floor
+ */
+router.get('/qr-sheet', canPrintQrSheet, async (req, res) => {
+    try {
+        const { locationId, floor = '1' } = req.query;
+        
+        if (!locationId) {
+            return res.status(400).json({ error: 'locationId is required' });
+        }
+        
+        const baseUrl = getPublicBaseUrl();
+        if (!baseUrl) {
+            return res.status(503).json(PUBLIC_URL_REQUIRED);
+        }
+        
+        const location = await locationsRepo.findById(locationId);
+        
+        if (!location) {
+            return res.status(404).json({ error: 'Location not found' });
+        }
+        
+        const desks = await desksRepo.find({ location_id: locationId, floor: String(floor) });
+        
+        const printable = desks
+            .filter(d => d.qr_code)
+            .sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }));
+        
+        const html = await renderQrSheet({
+            location,
+            floor: String(floor),
+            desks: printable,
+            baseUrl
+        });
+        
+        res.type('html').send(html);
+    } catch (error) {
+        logger.error('Error generating QR sheet:', error);
+        res.status(500).json({ error: 'Failed to generate QR sheet' });
+    }
+});
+
+/**
+ * Check-in QR code for a desk as SVG or PNG (?size= in pixels for PNG)
+ * Codes never expire unless ?rotate=daily or ?expiresIn=<minutes> is given
+ */
+router.get('/:id/qr.:format', canPrintDeskQr, async (req, res) => {
+    try {
+        const { id, format } = req.params;
+        
+        if (!['svg', 'png'].includes(format)) {
+            return res.status(400).json({ error: 'Format must be svg or png' });
+        }
+        
+        const expiry = resolveQrExpiry(req.query);
+        if (expiry.error) {
+            return res.status(400).json({ error: expiry.error });
+        }
+        
+        const baseUrl = getPublicBaseUrl();
+        if (!baseUrl) {
+            return res.status(503).json(PUBLIC_URL_REQUIRED);
+        }
+        
+        const desk = await desksRepo.findById(id);
+        
+        if (!desk || !desk.qr_code) {
+            return res.status(404).json({ error: 'Desk not found' });
+        }
+        
+        const url = getCheckinUrl(baseUrl, desk, { expiresAt: expiry.expiresAt });
+        
+        // Time-boxed codes must not be served from a cache after they rotate
+        if (expiry.expiresAt) {
+            res.set('Cache-Control', 'no-store');
+        }
+        
+        if (format === 'svg') {
+            res.type('image/svg+xml').send(await renderQrSvg(url));
+        } else {
+            res.type('image/png').send(await renderQrPng(url, req.query.size));
+        }
+    } catch (error) {
+        logger.error('Error generating desk QR code:', error);
+        res.status(500).json({ error: 'Failed to generate QR code' });
+    }
+});
+
+/**
+ * Regenerate a desk's QR code, invalidating every code issued for it so far
+ */
+router.post('/:id/qr/regenerate', canEditDesk, async (req, res) => {
+    try {
+        const { id } = req.params;
+        
+        const before = await desksRepo.findById(id);
+        const data = await desksRepo.updateById(id, { qr_code: generateDeskCode() });
+        if (!data) {
+            return res.status(404).json({ error: 'Desk not found' });
+        }
+        await recordAudit(req, { action: AUDIT_ACTIONS.UPDATE, table: 'desks', before, after: data });
+        
+        logger.info(`QR code regenerated for desk ${id}`);
+        
+        // The admin who regenerated it gets the new code; viewers of the floor don't
+        const desk = toCamelCase(withoutQrCode(data));
+        publishToFloors([desk], 'desk:updated', { desk });
         res.json(toCamelCase(data));
     } catch (error) {
-        logger.error('Error fetching desks:', error);
-        res.status(500).json({ error: 'Failed to fetch desks' });
+        logger.error('Error regenerating desk QR code:', error);
+        res.status(500).json({ error: 'Failed to regenerate QR code' });
+    }
+});
+
+/**
+ * Mark a desk as a favourite ({ email } defaults to the signed-in user's)
+ * Favourites rank higher in desk suggestions.
+ */
+router.put('/:id/favourite', canEditFavourite, async (req, res) => {
+    try {
+        const email = normalizeMemberEmail(req.body.email || req.user?.email);
+        
+        if (!email) {
+            return res.status(400).json({ error: 'Sign in or give an email to save a favourite desk' });
+        }
+        
+        const desk = await desksRepo.findById(req.params.id, { fields: 'id' });
+        
+        if (!desk) {
+            return res.status(404).json({ error: 'Desk not found' });
+        }
+        
+        const existing = await deskFavouritesRepo.findOne({ user_email: email, desk_id: desk.id });
+        if (existing) {
+            return res.json(toCamelCase(existing));
+        }
+        
+        const data = await deskFavouritesRepo.create({
+            id: Date.now().toString(),
+            user_email: email,
+            desk_id: desk.id,
+            created_at: new Date().toISOString()
+        });
+        await recordAudit(req, { action: AUDIT_ACTIONS.CREATE, table: 'desk_favourites', after: data });
+        
+        res.status(201).json(toCamelCase(data));
+    } catch (error) {
+        logger.error('Error saving favourite desk:', error);
+        res.status(500).json({ error: 'Failed to save favourite desk' });
+    }
+});
+
+/**
+ * Stop a desk being a favourite ({ email } defaults to the signed-in user's)
+ */
+router.delete('/:id/favourite', canEditFavourite, async (req, res) => {
+    try {
+        const email = normalizeMemberEmail(req.body.email || req.user?.email);
+        
+        if (!email) {
+            return res.status(400).json({ error: 'Sign in or give an email to remove a favourite desk' });
+        }
+        
+        const removed = await deskFavouritesRepo.remove({ user_email: email, desk_id: req.params.id });
+        await recordAudit(req, removed.map(row => ({ action: AUDIT_ACTIONS.DELETE, table: 'desk_favourites', before: row })));
+        
+        res.json({ success: true });
+    } catch (error) {
+        logger.error('Error removing favourite desk:', error);
+        res.status(500).json({ error: 'Failed to remove favourite desk' });
     }
 });
 
 /**
  * Create a new desk
  */
-router.post('/', async (req, res) => {
+router.post('/', canCreateAtLocation, async (req, res) => {
     try {
-        const { name, locationId, floor, zone, x, y, width, height, deskType, assignedTeamId, chairPositions } = req.body;
+        const { name, locationId, floor, zone, x, y, width, height, deskType, assignedTeamId, chairPositions, amenities, dockingType } = req.body;
         
-        if (!name || !locationId) {
-            return res.status(400).json({ error: 'Name and location are required' });
+        const invalid = validateDeskFields(req.body);
+        if (invalid) {
+            return res.status(400).json({ error: invalid });
         }
         
         const newDesk = {
@@ -54,18 +404,18 @@ router.post('/', async (req, res) => {
             desk_type: deskType || 'hotseat',
             assigned_team_id: assignedTeamId || null,
             chair_positions: chairPositions || ['bottom'],
-            qr_code: `${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+            amenities: amenities || [],
+            docking_type: dockingType || null,
+            qr_code: generateDeskCode(),
             created_at: new Date().toISOString()
         };
         
-        const { data, error } = await supabase
-            .from('desks')
-            .insert(newDesk)
-            .select()
-            .single();
+        const data = await desksRepo.create(newDesk);
+        await recordAudit(req, { action: AUDIT_ACTIONS.CREATE, table: 'desks', after: data });
         
-        if (error) throw error;
-        res.status(201).json(toCamelCase(data));
+        const desk = toCamelCase(withoutQrCode(data));
+        publishToFloors([desk], 'desk:created', { desk });
+        res.status(201).json(desk);
     } catch (error) {
         logger.error('Error creating desk:', error);
         res.status(500).json({ error: 'Failed to create desk' });
@@ -75,37 +425,49 @@ router.post('/', async (req, res) => {
 /**
  * Update a desk
  */
-router.put('/:id', async (req, res) => {
+router.put('/:id', canEditDesk, canMoveToLocation, async (req, res) => {
     try {
         const { id } = req.params;
         const updates = req.body;
         
+        // Viewers of the old floor need to hear about desks moved elsewhere
+        const before = await desksRepo.findById(id);
+        if (!before) {
+            return res.status(404).json({ error: 'Desk not found' });
+        }
+        
+        // A docking type needs a docking station, in the new amenities or the desk's current ones
+        const invalid = validateDeskChanges(updates, before.amenities);
+        if (invalid) {
+            return res.status(400).json({ error: invalid });
+        }
+        
         const dbUpdates = {};
         if (updates.name) dbUpdates.name = updates.name;
         if (updates.locationId) dbUpdates.location_id = updates.locationId;
         if (updates.floor) dbUpdates.floor = updates.floor;
         if (updates.zone !== undefined) dbUpdates.zone = updates.zone;
-        if (updates.x !== undefined) dbUpdates.x = updates.x;
-        if (updates.y !== undefined) dbUpdates.y = updates.y;
-        if (updates.width !== undefined) dbUpdates.width = updates.width;
-        if (updates.height !== undefined) dbUpdates.height = updates.height;
+        // Blank positions and sizes keep the desk's current ones
+        for (const field of ['x', 'y', 'width', 'height']) {
+            if (updates[field] !== undefined && updates[field] !== null && updates[field] !== '') dbUpdates[field] = updates[field];
+        }
         if (updates.deskType) dbUpdates.desk_type = updates.deskType;
         if (updates.assignedTeamId !== undefined) dbUpdates.assigned_team_id = updates.assignedTeamId;
         if (updates.chairPositions) dbUpdates.chair_positions = updates.chairPositions;
+        if (updates.amenities) dbUpdates.amenities = updates.amenities;
+        if (updates.dockingType !== undefined) dbUpdates.docking_type = updates.dockingType || null;
+        // A desk that loses its docking station loses its docking type too
+        if (updates.amenities && !updates.amenities.includes('docking_station')) dbUpdates.docking_type = null;
         
-        const { data, error } = await supabase
-            .from('desks')
-            .update(dbUpdates)
-            .eq('id', id)
-            .select()
-            .single();
-        
-        if (error) throw error;
+        const data = await desksRepo.updateById(id, dbUpdates);
         if (!data) {
             return res.status(404).json({ error: 'Desk not found' });
         }
+        await recordAudit(req, { action: AUDIT_ACTIONS.UPDATE, table: 'desks', before, after: data });
         
-        res.json(toCamelCase(data));
+        const desk = toCamelCase(withoutQrCode(data));
+        publishToFloors([toCamelCase(before), desk], 'desk:updated', { desk });
+        res.json(desk);
     } catch (error) {
         logger.error('Error updating desk:', error);
         res.status(500).json({ error: 'Failed to update desk' });
@@ -115,19 +477,26 @@ router.put('/:id', async (req, res) => {
 /**
  * Delete a desk
  */
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', canEditDesk, async (req, res) => {
     try {
         const { id } = req.params;
         
-        // Delete desk bookings first (cascade should handle this)
-        await supabase.from('desk_bookings').delete().eq('desk_id', id);
+        const desk = await desksRepo.findById(id);
         
-        const { error } = await supabase
-            .from('desks')
-            .delete()
-            .eq('id', id);
+        // Delete desk bookings first (cascade should handle this)
+        await recordCancellationsWhere('desk_bookings', 'desk_id', id);
+        const bookings = await deskBookingsRepo.remove({ desk_id: id });
+        await desksRepo.removeById(id);
+        await recordAudit(req, [
+            ...bookings.map(row => ({ action: AUDIT_ACTIONS.DELETE, table: 'desk_bookings', before: row })),
+            { action: AUDIT_ACTIONS.DELETE, table: 'desks', before: desk }
+        ]);
         
-        if (error) throw error;
+        // Clients drop the desk's bookings along with it
+        if (desk) {
+            const deleted = toCamelCase(withoutQrCode(desk));
+            publishToFloors([deleted], 'desk:deleted', { desk: deleted });
+        }
         res.json({ success: true });
     } catch (error) {
         logger.error('Error deleting desk:', error);
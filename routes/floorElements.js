@@ -1,13 +1,22 @@
 const express = require('express');
 const router = express.Router();
-const { supabase } = require('../config/supabase');
+const { floorElementsRepo } = require('../repositories');
 const { toCamelCase } = require('../utils/helpers');
 const logger = require('../utils/logger');
 const { requireAuthForWrites } = require('../middleware/requireAuth');
+const { PERMISSIONS, authorize, recordScope, bodyLocationScope, movedLocationScope } = require('../middleware/permissions');
+const { publishToFloors } = require('../socket/events');
+const { AUDIT_ACTIONS, recordAudit } = require('../utils/audit');
+const { validateRoomFields } = require('../utils/validation');
 
 // Protect write operations
 router.use(requireAuthForWrites);
 
+// Floor plans are edited by admins of the element's location (and of the target location when moving it)
+const canEditElement = authorize(PERMISSIONS.MANAGE_LOCATION, { scope: recordScope('floor_elements') });
+const canCreateAtLocation = authorize(PERMISSIONS.MANAGE_LOCATION, { scope: bodyLocationScope });
+const canMoveToLocation = authorize(PERMISSIONS.MANAGE_LOCATION, { scope: movedLocationScope('floor_elements') });
+
 /**
  * Get floor elements for a location/floor
  */
@@ -15,12 +24,7 @@ router.get('/', async (req, res) => {
     try {
         const { locationId, floor } = req.query;
         
-        let query = supabase.from('floor_elements').select('*');
-        if (locationId) query = query.eq('location_id', locationId);
-        if (floor) query = query.eq('floor', floor);
-        
-        const { data, error } = await query;
-        if (error) throw error;
+        const data = await floorElementsRepo.find({ location_id: locationId || undefined, floor: floor || undefined });
         
         res.json(toCamelCase(data));
     } catch (error) {
@@ -32,13 +36,17 @@ router.get('/', async (req, res) => {
 /**
  * Create a floor element
  */
-router.post('/', async (req, res) => {
+router.post('/', canCreateAtLocation, async (req, res) => {
     try {
-        const { type, locationId, floor, x, y, width, height, points, label, color, rotation } = req.body;
+        const { type, locationId, floor, x, y, width, height, points, label, color, rotation, bookable, capacity, equipment } = req.body;
         
         if (!type || !locationId) {
             return res.status(400).json({ error: 'Type and location are required' });
         }
+        const invalid = validateRoomFields(req.body, type);
+        if (invalid) {
+            return res.status(400).json({ error: invalid });
+        }
         
         const newElement = {
             id: Date.now().toString(),
@@ -53,17 +61,18 @@ router.post('/', async (req, res) => {
             points: points || [],
             label: label || '',
             color: color || null,
+            bookable: bookable || false,
+            capacity: capacity || null,
+            equipment: equipment || [],
             created_at: new Date().toISOString()
         };
         
-        const { data, error } = await supabase
-            .from('floor_elements')
-            .insert(newElement)
-            .select()
-            .single();
+        const data = await floorElementsRepo.create(newElement);
+        await recordAudit(req, { action: AUDIT_ACTIONS.CREATE, table: 'floor_elements', after: data });
         
-        if (error) throw error;
-        res.status(201).json(toCamelCase(data));
+        const element = toCamelCase(data);
+        publishToFloors([element], 'floorElement:created', { element });
+        res.status(201).json(element);
     } catch (error) {
         logger.error('Error creating floor element:', error);
         res.status(500).json({ error: 'Failed to create floor element' });
@@ -73,7 +82,7 @@ router.post('/', async (req, res) => {
 /**
  * Update a floor element
  */
-router.put('/:id', async (req, res) => {
+router.put('/:id', canEditElement, canMoveToLocation, async (req, res) => {
     try {
         const { id } = req.params;
         const updates = req.body;
@@ -90,20 +99,27 @@ router.put('/:id', async (req, res) => {
         if (updates.points) dbUpdates.points = updates.points;
         if (updates.label !== undefined) dbUpdates.label = updates.label;
         if (updates.color !== undefined) dbUpdates.color = updates.color;
+        if (updates.bookable !== undefined) dbUpdates.bookable = updates.bookable;
+        if (updates.capacity !== undefined) dbUpdates.capacity = updates.capacity || null;
+        if (updates.equipment) dbUpdates.equipment = updates.equipment;
         
-        const { data, error } = await supabase
-            .from('floor_elements')
-            .update(dbUpdates)
-            .eq('id', id)
-            .select()
-            .single();
+        // Viewers of the old floor need to hear about elements moved elsewhere
+        const before = await floorElementsRepo.findById(id);
         
-        if (error) throw error;
+        const invalid = validateRoomFields(updates, updates.type || before?.type);
+        if (invalid) {
+            return res.status(400).json({ error: invalid });
+        }
+        
+        const data = await floorElementsRepo.updateById(id, dbUpdates);
         if (!data) {
             return res.status(404).json({ error: 'Element not found' });
         }
+        await recordAudit(req, { action: AUDIT_ACTIONS.UPDATE, table: 'floor_elements', before, after: data });
         
-        res.json(toCamelCase(data));
+        const element = toCamelCase(data);
+        publishToFloors([toCamelCase(before), element], 'floorElement:updated', { element });
+        res.json(element);
     } catch (error) {
         logger.error('Error updating floor element:', error);
         res.status(500).json({ error: 'Failed to update floor element' });
@@ -113,16 +129,17 @@ router.put('/:id', async (req, res) => {
 /**
  * Delete a floor element
  */
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', canEditElement, async (req, res) => {
     try {
         const { id } = req.params;
         
-        const { error } = await supabase
-            .from('floor_elements')
-            .delete()
-            .eq('id', id);
+        const element = await floorElementsRepo.removeById(id);
         
-        if (error) throw error;
+        if (element) {
+            await recordAudit(req, { action: AUDIT_ACTIONS.DELETE, table: 'floor_elements', before: element });
+            const deleted = toCamelCase(element);
+            publishToFloors([deleted], 'floorElement:deleted', { element: deleted });
+        }
         res.json({ success: true });
     } catch (error) {
         logger.error('Error deleting floor element:', error);
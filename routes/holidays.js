@@ -1,10 +1,13 @@
 const express = require('express');
 const https = require('https');
 const router = express.Router();
-const { supabase } = require('../config/supabase');
+const { holidaysRepo } = require('../repositories');
 const { toCamelCase } = require('../utils/helpers');
 const logger = require('../utils/logger');
 const { requireAuthForWrites } = require('../middleware/requireAuth');
+const { PERMISSIONS, authorize } = require('../middleware/permissions');
+const { publishToAll } = require('../socket/events');
+const { AUDIT_ACTIONS, recordAudit } = require('../utils/audit');
 
 // Protect write operations
 router.use(requireAuthForWrites);
@@ -50,23 +53,24 @@ router.get('/fetch/:year', async (req, res) => {
 /**
  * Update holidays in the database
  */
-router.post('/', async (req, res) => {
+router.post('/', authorize(PERMISSIONS.MANAGE_SYSTEM), async (req, res) => {
     try {
         const { holidays } = req.body;
         
-        // Upsert holidays (insert or update on conflict)
-        const { error } = await supabase
-            .from('public_holidays')
-            .upsert(holidays.map(h => ({ date: h.date, name: h.name })), { onConflict: 'date' });
+        const existing = await holidaysRepo.find({ date: { in: holidays.map(h => h.date) } });
+        const previous = new Map(existing.map(h => [h.date, h]));
         
-        if (error) throw error;
+        // Upsert holidays (insert or update on conflict)
+        const saved = await holidaysRepo.upsertMany(holidays.map(h => ({ date: h.date, name: h.name })), { onConflict: 'date' });
+        await recordAudit(req, saved.map(h => previous.has(h.date)
+            ? { action: AUDIT_ACTIONS.UPDATE, table: 'public_holidays', before: previous.get(h.date), after: h }
+            : { action: AUDIT_ACTIONS.CREATE, table: 'public_holidays', after: h }));
         
-        const { data: allHolidays } = await supabase
-            .from('public_holidays')
-            .select('*')
-            .order('date');
+        const allHolidays = await holidaysRepo.find({}, { orderBy: 'date' });
         
-        res.json(toCamelCase(allHolidays));
+        const holidayList = toCamelCase(allHolidays);
+        publishToAll('holiday:saved', { holidays: holidayList });
+        res.json(holidayList);
     } catch (error) {
         logger.error('Error updating holidays:', error);
         res.status(500).json({ error: 'Failed to update holidays' });
@@ -76,16 +80,14 @@ router.post('/', async (req, res) => {
 /**
  * Delete a holiday
  */
-router.delete('/:date', async (req, res) => {
+router.delete('/:date', authorize(PERMISSIONS.MANAGE_SYSTEM), async (req, res) => {
     try {
         const { date } = req.params;
         
-        const { error } = await supabase
-            .from('public_holidays')
-            .delete()
-            .eq('date', date);
+        const deleted = await holidaysRepo.remove({ date });
+        await recordAudit(req, deleted.map(h => ({ action: AUDIT_ACTIONS.DELETE, table: 'public_holidays', before: h })));
         
-        if (error) throw error;
+        publishToAll('holiday:deleted', { date });
         res.json({ success: true });
     } catch (error) {
         logger.error('Error deleting holiday:', error);
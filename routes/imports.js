@@ -0,0 +1,419 @@
+/**
+ * Spreadsheet imports
+ *
+ * Facilities upload a CSV or XLSX file of team bookings or desks. Every row is
+ * checked with the same rules as the booking and desk routes; a dry run
+ * (the default) only returns the per-row results so the file can be previewed
+ * and fixed. With ?dryRun=false the whole file is written, or nothing is when
+ * any row fails.
+ */
+
+const express = require('express');
+const router = express.Router();
+const { locationsRepo, teamsRepo, teamMembersRepo, bookingsRepo, desksRepo } = require('../repositories');
+const { toCamelCase } = require('../utils/helpers');
+const logger = require('../utils/logger');
+const { requireAuthForWrites } = require('../middleware/requireAuth');
+const { PERMISSIONS, authorize, getUserPermissions, can, isEnforced } = require('../middleware/permissions');
+const { parseSpreadsheet } = require('../utils/spreadsheet');
+const { DESK_TYPES, validateBookingFields, bookingRejectionMessage, validateDeskFields } = require('../utils/validation');
+const { isValidDateStr } = require('../utils/recurrence');
+const { generateDeskCode } = require('../utils/qrTokens');
+const { withoutQrCode } = require('../utils/qrCodes');
+const { publishBookingChanges, publishToFloors } = require('../socket/events');
+const { AUDIT_ACTIONS, recordAudit } = require('../utils/audit');
+const { rosterSizeMessage } = require('../utils/teamMembers');
+
+router.use(requireAuthForWrites);
+
+// Uploads are sent as the raw file body (text/csv or the XLSX content type)
+const readFile = express.raw({ type: () => true, limit: '5mb' });
+
+const MAX_IMPORT_ROWS = 1000;
+
+// Header names accepted for each field (matched case-insensitively)
+const BOOKING_COLUMNS = {
+    date: ['date', 'day'],
+    team: ['team', 'team name', 'team id'],
+    peopleCount: ['people', 'people count', 'headcount'],
+    location: ['location', 'office', 'location id'],
+    notes: ['notes', 'note', 'comment']
+};
+
+const DESK_COLUMNS = {
+    name: ['name', 'desk', 'desk name'],
+    floor: ['floor'],
+    zone: ['zone', 'area'],
+    x: ['x'],
+    y: ['y'],
+    width: ['width'],
+    height: ['height'],
+    deskType: ['type', 'desk type'],
+    assignedTeam: ['assigned team', 'team']
+};
+
+const REQUIRED_COLUMNS = {
+    bookings: ['date', 'team', 'peopleCount', 'location'],
+    desks: ['name']
+};
+
+function isDryRun(req) {
+    return req.query.dryRun !== 'false';
+}
+
+/**
+ * Find a team or location by ID or (case-insensitive) name
+ */
+function findByIdOrName(rows, value) {
+    if (!value) return null;
+    const name = value.toLowerCase();
+    return rows.find(r => r.id === value) || rows.find(r => (r.name || '').toLowerCase() === name) || null;
+}
+
+/**
+ * Spreadsheets often carry dates as YYYY/MM/DD; the API only takes YYYY-MM-DD
+ */
+function normalizeDate(value) {
+    return /^\d{4}\/\d{2}\/\d{2}$/.test(value) ? value.replace(/\//g, '-') : value;
+}
+
+/**
+ * Accept desk types written as labels ("Team seat") as well as values ("team_seat")
+ */
+function normalizeDeskType(value) {
+    if (!value) return '';
+    const compact = value.toLowerCase().replace(/[\s_-]/g, '');
+    return DESK_TYPES.find(type => type.replace(/_/g, '') === compact) || value;
+}
+
+/**
+ * Read the uploaded file and check its header row
+ * @returns {Promise<Object>} { records } or { status, body } for a response to send
+ */
+async function readUpload(req, type, columns) {
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+        return { status: 400, body: { error: 'Upload a CSV or XLSX file' } };
+    }
+
+    let parsed;
+    try {
+        parsed = await parseSpreadsheet(req.body, columns);
+    } catch (error) {
+        logger.warn('Unreadable import file:', error.message);
+        return { status: 400, body: { error: 'The file could not be read as CSV or XLSX' } };
+    }
+
+    const missing = REQUIRED_COLUMNS[type].filter(key => parsed.missingColumns.includes(key));
+    if (missing.length > 0) {
+        return {
+            status: 400,
+            body: {
+                error: `Missing columns: ${missing.map(key => columns[key][0]).join(', ')}`,
+                missingColumns: missing
+            }
+        };
+    }
+    if (parsed.records.length === 0) {
+        return { status: 400, body: { error: 'The file has no data rows' } };
+    }
+    if (parsed.records.length > MAX_IMPORT_ROWS) {
+        return { status: 400, body: { error: `Imports are limited to ${MAX_IMPORT_ROWS} rows` } };
+    }
+
+    return { records: parsed.records, unknownHeaders: parsed.unknownHeaders };
+}
+
+/**
+ * Summary of checked rows, sent for dry runs and refused imports
+ */
+function previewBody(dryRun, rows, unknownHeaders) {
+    const invalid = rows.filter(r => r.errors.length > 0).length;
+    return {
+        dryRun,
+        valid: invalid === 0,
+        total: rows.length,
+        invalid,
+        unknownHeaders,
+        rows
+    };
+}
+
+/**
+ * Check team booking rows against teams, locations, existing bookings and each other
+ * Capacity counts confirmed bookings already stored plus earlier rows of the file.
+ * @returns {Promise<Object[]>} [{ row, data, errors, warnings }]
+ */
+async function checkBookingRows(req, records) {
+    const [teams, locations, members] = await Promise.all([
+        teamsRepo.find(),
+        locationsRepo.find(),
+        teamMembersRepo.findAll({}, { fields: 'team_id' })
+    ]);
+    const rosterSizes = {};
+    members.forEach(m => { rosterSizes[m.team_id] = (rosterSizes[m.team_id] || 0) + 1; });
+
+    const dates = records.map(r => normalizeDate(r.values.date)).filter(isValidDateStr).sort();
+    let existing = [];
+    if (dates.length > 0) {
+        existing = await bookingsRepo.find(
+            { date: { gte: dates[0], lte: dates[dates.length - 1] } },
+            { fields: 'id, date, team_id, location_id, people_count, status' }
+        );
+    }
+
+    const enforced = isEnforced();
+    const permissions = enforced ? await getUserPermissions(req) : null;
+
+    const booked = new Set();
+    const dayTotals = {};
+    existing.forEach(b => {
+        booked.add(`${b.date}|${b.location_id}|${b.team_id}`);
+        if (b.status !== 'pending') {
+            const day = `${b.date}|${b.location_id}`;
+            dayTotals[day] = (dayTotals[day] || 0) + b.people_count;
+        }
+    });
+
+    return records.map(({ row, values }) => {
+        const errors = [];
+        const warnings = [];
+        const team = findByIdOrName(teams, values.team);
+        const location = findByIdOrName(locations, values.location);
+        const data = {
+            date: normalizeDate(values.date),
+            teamId: team ? team.id : null,
+            teamName: team ? team.name : values.team,
+            peopleCount: values.peopleCount ? Number(values.peopleCount) : null,
+            locationId: location ? location.id : null,
+            notes: values.notes || '',
+            status: 'confirmed'
+        };
+
+        const invalid = validateBookingFields({
+            date: data.date,
+            teamId: values.team,
+            peopleCount: values.peopleCount,
+            locationId: values.location
+        });
+        if (invalid) errors.push(invalid);
+        if (values.team && !team) errors.push(`Unknown team "${values.team}"`);
+        if (values.location && !location) errors.push(bookingRejectionMessage('invalid_location'));
+        if (team && rosterSizes[team.id] && data.peopleCount > rosterSizes[team.id]) {
+            errors.push(rosterSizeMessage(team.name, rosterSizes[team.id], data.peopleCount));
+        }
+        if (errors.length > 0) return { row, data, errors, warnings };
+
+        if (enforced && !can(permissions, PERMISSIONS.MANAGE_TEAM, { teamId: team.id, locationId: location.id })) {
+            errors.push('You do not have permission to book for this team');
+            return { row, data, errors, warnings };
+        }
+
+        const key = `${data.date}|${location.id}|${team.id}`;
+        if (booked.has(key)) {
+            errors.push(bookingRejectionMessage('duplicate', { teamName: team.name }));
+            return { row, data, errors, warnings };
+        }
+        booked.add(key);
+
+        const day = `${data.date}|${location.id}`;
+        const remaining = location.capacity - (dayTotals[day] || 0);
+        if (data.peopleCount > remaining) {
+            if (!data.notes) {
+                errors.push(bookingRejectionMessage('capacity', { remaining }));
+                return { row, data, errors, warnings };
+            }
+            data.status = 'pending';
+            warnings.push(`Exceeds capacity (${remaining} spots available). It will be created as a pending overbooking.`);
+        } else {
+            dayTotals[day] = (dayTotals[day] || 0) + data.peopleCount;
+        }
+
+        return { row, data, errors, warnings };
+    });
+}
+
+/**
+ * Check desk rows for a location against its teams, existing desks and each other
+ * Desk names must be unique per floor so re-importing a file doesn't duplicate desks.
+ * @returns {Promise<Object[]>} [{ row, data, errors, warnings }]
+ */
+async function checkDeskRows(locationId, records) {
+    const [teams, desks] = await Promise.all([
+        teamsRepo.find(),
+        desksRepo.find({ location_id: locationId }, { fields: 'name, floor' })
+    ]);
+
+    const nameKey = (floor, name) => `${floor}|${name.toLowerCase()}`;
+    const existingNames = new Set(desks.map(d => nameKey(d.floor || '1', d.name || '')));
+    const fileNames = new Set();
+
+    return records.map(({ row, values }) => {
+        const errors = [];
+        const warnings = [];
+        const team = findByIdOrName(teams, values.assignedTeam);
+        const data = {
+            name: values.name,
+            locationId,
+            floor: values.floor || '1',
+            zone: values.zone || '',
+            x: values.x ? Number(values.x) : 0,
+            y: values.y ? Number(values.y) : 0,
+            width: values.width ? Number(values.width) : 60,
+            height: values.height ? Number(values.height) : 40,
+            deskType: normalizeDeskType(values.deskType) || 'hotseat',
+            assignedTeamId: team ? team.id : null,
+            assignedTeamName: team ? team.name : null
+        };
+
+        const invalid = validateDeskFields({
+            name: values.name,
+            locationId,
+            deskType: data.deskType,
+            x: values.x,
+            y: values.y,
+            width: values.width,
+            height: values.height
+        });
+        if (invalid) errors.push(invalid);
+        if (values.assignedTeam && !team) errors.push(`Unknown team "${values.assignedTeam}"`);
+        if (team && data.deskType !== 'team_seat') {
+            warnings.push('Assigned team only applies to team seats');
+        }
+
+        if (values.name) {
+            const key = nameKey(data.floor, values.name);
+            if (existingNames.has(key)) {
+                errors.push(`A desk named "${values.name}" already exists on floor ${data.floor}`);
+            } else if (fileNames.has(key)) {
+                errors.push(`Desk "${values.name}" appears more than once for floor ${data.floor}`);
+            }
+            fileNames.add(key);
+        }
+
+        return { row, data, errors, warnings };
+    });
+}
+
+/**
+ * Import team bookings
+ * Body: the CSV or XLSX file (columns: date, team, people, location, notes)
+ * Teams and locations may be given by ID or name. Over-capacity rows need notes and
+ * become pending overbookings, as with the booking form.
+ */
+router.post('/bookings', readFile, async (req, res) => {
+    try {
+        const dryRun = isDryRun(req);
+        const upload = await readUpload(req, 'bookings', BOOKING_COLUMNS);
+        if (!upload.records) {
+            return res.status(upload.status).json(upload.body);
+        }
+
+        const rows = await checkBookingRows(req, upload.records);
+        const preview = previewBody(dryRun, rows, upload.unknownHeaders);
+        if (dryRun) {
+            return res.json(preview);
+        }
+        if (!preview.valid) {
+            return res.status(422).json({ error: 'No bookings were imported because some rows are invalid', ...preview });
+        }
+
+        const batchId = Date.now().toString();
+        const data = await bookingsRepo.importAtomic(rows.map(({ row, data: booking }) => ({
+            id: `${batchId}-${row}`,
+            date: booking.date,
+            team_id: booking.teamId,
+            team_name: booking.teamName,
+            people_count: booking.peopleCount,
+            location_id: booking.locationId,
+            notes: booking.notes,
+            allow_overbooking: !!booking.notes
+        })));
+
+        // Another booking was made since the rows were checked
+        if (!data.ok) {
+            const failed = rows[data.index];
+            const message = bookingRejectionMessage(data.reason, { teamName: failed.data.teamName, remaining: data.remaining });
+            return res.status(409).json({ error: `Row ${failed.row}: ${message}. No bookings were imported.`, row: failed.row });
+        }
+
+        await recordAudit(req, data.bookings.map(row => ({ action: AUDIT_ACTIONS.CREATE, table: 'bookings', after: row })));
+        
+        const bookings = toCamelCase(data.bookings);
+        publishBookingChanges('booking:created', bookings);
+        logger.info(`Imported ${bookings.length} team bookings`);
+        res.status(201).json({ imported: bookings.length, bookings });
+    } catch (error) {
+        logger.error('Error importing bookings:', error);
+        res.status(500).json({ error: 'Failed to import bookings' });
+    }
+});
+
+// Desks are imported into one location, by that location's admins
+const canImportDesks = authorize(PERMISSIONS.MANAGE_LOCATION, {
+    scope: req => req.query.locationId ? { locationId: req.query.locationId } : null
+});
+
+/**
+ * Import desks into a location (?locationId=)
+ * Body: the CSV or XLSX file (columns: name, floor, zone, x, y, width, height, type, assigned team)
+ */
+router.post('/desks', canImportDesks, readFile, async (req, res) => {
+    try {
+        const dryRun = isDryRun(req);
+        const { locationId } = req.query;
+        if (!locationId) {
+            return res.status(400).json({ error: 'locationId is required' });
+        }
+
+        const location = await locationsRepo.findById(locationId, { fields: 'id' });
+        if (!location) {
+            return res.status(400).json({ error: 'Invalid location' });
+        }
+
+        const upload = await readUpload(req, 'desks', DESK_COLUMNS);
+        if (!upload.records) {
+            return res.status(upload.status).json(upload.body);
+        }
+
+        const rows = await checkDeskRows(locationId, upload.records);
+        const preview = previewBody(dryRun, rows, upload.unknownHeaders);
+        if (dryRun) {
+            return res.json(preview);
+        }
+        if (!preview.valid) {
+            return res.status(422).json({ error: 'No desks were imported because some rows are invalid', ...preview });
+        }
+
+        // A single insert stores every desk or none
+        const batchId = Date.now().toString();
+        const createdAt = new Date().toISOString();
+        const data = await desksRepo.createMany(rows.map(({ row, data: desk }) => ({
+            id: `${batchId}-${row}`,
+            name: desk.name,
+            location_id: locationId,
+            floor: desk.floor,
+            zone: desk.zone,
+            x: desk.x,
+            y: desk.y,
+            width: desk.width,
+            height: desk.height,
+            desk_type: desk.deskType,
+            assigned_team_id: desk.assignedTeamId,
+            chair_positions: ['bottom'],
+            qr_code: generateDeskCode(),
+            created_at: createdAt
+        })));
+
+        await recordAudit(req, data.map(row => ({ action: AUDIT_ACTIONS.CREATE, table: 'desks', after: row })));
+        
+        const desks = toCamelCase(withoutQrCode(data));
+        desks.forEach(desk => publishToFloors([desk], 'desk:created', { desk }));
+        logger.info(`Imported ${desks.length} desks into location ${locationId}`);
+        res.status(201).json({ imported: desks.length, desks });
+    } catch (error) {
+        logger.error('Error importing desks:', error);
+        res.status(500).json({ error: 'Failed to import desks' });
+    }
+});
+
+module.exports = router;
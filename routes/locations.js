@@ -1,36 +1,71 @@
 const express = require('express');
 const router = express.Router();
-const { supabase } = require('../config/supabase');
+const { locationsRepo, bookingsRepo, deskBookingsRepo, waitlistRepo } = require('../repositories');
 const { toCamelCase } = require('../utils/helpers');
 const logger = require('../utils/logger');
 const { requireAuthForWrites } = require('../middleware/requireAuth');
+const { PERMISSIONS, authorize } = require('../middleware/permissions');
+const { publishToAll, publishBookingChanges } = require('../socket/events');
+const { recordCancellationsWhere, reviveCancellations, feedWindowStart } = require('../utils/calendarFeeds');
+const { AUDIT_ACTIONS, recordAudit } = require('../utils/audit');
+const { trashOptions, restoreBookings, skippedSummary } = require('../utils/trash');
+const { parseTime, DEFAULT_OPENING_TIME, DEFAULT_CLOSING_TIME } = require('../utils/timeSlots');
 
 // Protect write operations
 router.use(requireAuthForWrites);
 
+/**
+ * Validate opening hours (HH:MM, opening before closing)
+ * @returns {string|null} Error message or null if valid
+ */
+function validateOpeningHours(openingTime, closingTime) {
+    const open = parseTime(openingTime);
+    const close = parseTime(closingTime);
+    if (open === null || close === null) {
+        return 'Opening hours must be in HH:MM format';
+    }
+    if (open >= close) {
+        return 'Opening time must be before closing time';
+    }
+    return null;
+}
+
 /**
  * Create a new location
  */
-router.post('/', async (req, res) => {
+router.post('/', authorize(PERMISSIONS.MANAGE_SYSTEM), async (req, res) => {
     try {
         const { name, address, capacity, floors } = req.body;
+        const openingTime = req.body.openingTime || DEFAULT_OPENING_TIME;
+        const closingTime = req.body.closingTime || DEFAULT_CLOSING_TIME;
+        
+        const hoursError = validateOpeningHours(openingTime, closingTime);
+        if (hoursError) {
+            return res.status(400).json({ error: hoursError });
+        }
+        
+        const id = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+        const trashed = await locationsRepo.findTrashed({ id });
+        if (trashed.length > 0) {
+            return res.status(409).json({ error: `A deleted location is called "${trashed[0].name}"; restore it from the trash or choose another name` });
+        }
         
         const newLocation = {
-            id: name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, ''),
+            id,
             name,
             address: address || '',
             capacity: parseInt(capacity) || 21,
-            floors: parseInt(floors) || 1
+            floors: parseInt(floors) || 1,
+            opening_time: openingTime,
+            closing_time: closingTime
         };
         
-        const { data, error } = await supabase
-            .from('locations')
-            .insert(newLocation)
-            .select()
-            .single();
+        const data = await locationsRepo.create(newLocation);
+        await recordAudit(req, { action: AUDIT_ACTIONS.CREATE, table: 'locations', after: data });
         
-        if (error) throw error;
-        res.status(201).json(toCamelCase(data));
+        const location = toCamelCase(data);
+        publishToAll('location:created', { location });
+        res.status(201).json(location);
     } catch (error) {
         logger.error('Error creating location:', error);
         res.status(500).json({ error: 'Failed to create location' });
@@ -40,7 +75,7 @@ router.post('/', async (req, res) => {
 /**
  * Update a location
  */
-router.put('/:id', async (req, res) => {
+router.put('/:id', authorize(PERMISSIONS.MANAGE_LOCATION, { scope: req => ({ locationId: req.params.id }) }), async (req, res) => {
     try {
         const { id } = req.params;
         const updates = req.body;
@@ -53,19 +88,28 @@ router.put('/:id', async (req, res) => {
         if (updates.floorPlanWidth) dbUpdates.floor_plan_width = parseInt(updates.floorPlanWidth);
         if (updates.floorPlanHeight) dbUpdates.floor_plan_height = parseInt(updates.floorPlanHeight);
         
-        const { data, error } = await supabase
-            .from('locations')
-            .update(dbUpdates)
-            .eq('id', id)
-            .select()
-            .single();
+        const current = await locationsRepo.findById(id);
+        if (updates.openingTime || updates.closingTime) {
+            // Validate against the stored value when only one end changes
+            const openingTime = updates.openingTime || current?.opening_time || DEFAULT_OPENING_TIME;
+            const closingTime = updates.closingTime || current?.closing_time || DEFAULT_CLOSING_TIME;
+            const hoursError = validateOpeningHours(openingTime, closingTime);
+            if (hoursError) {
+                return res.status(400).json({ error: hoursError });
+            }
+            dbUpdates.opening_time = openingTime;
+            dbUpdates.closing_time = closingTime;
+        }
         
-        if (error) throw error;
+        const data = await locationsRepo.updateById(id, dbUpdates);
         if (!data) {
             return res.status(404).json({ error: 'Location not found' });
         }
+        await recordAudit(req, { action: AUDIT_ACTIONS.UPDATE, table: 'locations', before: current, after: data });
         
-        res.json(toCamelCase(data));
+        const location = toCamelCase(data);
+        publishToAll('location:updated', { location });
+        res.json(location);
     } catch (error) {
         logger.error('Error updating location:', error);
         res.status(500).json({ error: 'Failed to update location' });
@@ -73,21 +117,30 @@ router.put('/:id', async (req, res) => {
 });
 
 /**
- * Delete a location
+ * Delete a location and its bookings (they go to the trash and can be restored)
+ * Its desks, floor plan and desk bookings are kept until the trash is purged;
+ * its waitlist entries are dropped for good.
  */
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', authorize(PERMISSIONS.MANAGE_SYSTEM), async (req, res) => {
     try {
         const { id } = req.params;
         
-        // Delete associated bookings first (cascade should handle this, but being explicit)
-        await supabase.from('bookings').delete().eq('location_id', id);
+        const location = await locationsRepo.findById(id);
+        const options = trashOptions(req);
         
-        const { error } = await supabase
-            .from('locations')
-            .delete()
-            .eq('id', id);
+        // Calendar feeds cancel the location's bookings and desk bookings
+        await recordCancellationsWhere('bookings', 'location_id', id);
+        await recordCancellationsWhere('desk_bookings', 'location_id', id);
+        const bookings = await bookingsRepo.trash({ location_id: id }, options);
+        const waitlist = await waitlistRepo.remove({ location_id: id });
+        const trashed = await locationsRepo.trashById(id, options);
+        await recordAudit(req, [
+            ...bookings.map(row => ({ action: AUDIT_ACTIONS.DELETE, table: 'bookings', before: row })),
+            ...waitlist.map(row => ({ action: AUDIT_ACTIONS.DELETE, table: 'booking_waitlist', before: row })),
+            { action: AUDIT_ACTIONS.DELETE, table: 'locations', before: trashed }
+        ]);
         
-        if (error) throw error;
+        if (location) publishToAll('location:deleted', { location: toCamelCase(location) });
         res.json({ success: true });
     } catch (error) {
         logger.error('Error deleting location:', error);
@@ -95,5 +148,40 @@ router.delete('/:id', async (req, res) => {
     }
 });
 
+/**
+ * Restore a location from the trash, with the bookings deleted along with it
+ */
+router.post('/:id/restore', authorize(PERMISSIONS.MANAGE_SYSTEM), async (req, res) => {
+    try {
+        const { id } = req.params;
+        
+        const [location] = await locationsRepo.findTrashed({ id });
+        if (!location) {
+            return res.status(404).json({ error: 'Location not found in the trash' });
+        }
+        
+        const [restoredLocation] = await locationsRepo.restore({ id });
+        const deletedWithLocation = await bookingsRepo.findTrashed({ location_id: id, deleted_at: location.deleted_at });
+        const { restored, skipped } = await restoreBookings(deletedWithLocation);
+        await reviveCancellations('desk_bookings', await deskBookingsRepo.find({ location_id: id, date: { gte: feedWindowStart() } }));
+        await recordAudit(req, [
+            { action: AUDIT_ACTIONS.UPDATE, table: 'locations', before: location, after: restoredLocation },
+            ...restored.map(({ before, after }) => ({ action: AUDIT_ACTIONS.UPDATE, table: 'bookings', before, after }))
+        ]);
+        
+        const body = {
+            location: toCamelCase(restoredLocation),
+            bookings: toCamelCase(restored.map(r => r.after)),
+            skipped: skippedSummary(skipped)
+        };
+        publishToAll('location:created', { location: body.location });
+        publishBookingChanges('booking:created', body.bookings);
+        res.json(body);
+    } catch (error) {
+        logger.error('Error restoring location:', error);
+        res.status(500).json({ error: 'Failed to restore location' });
+    }
+});
+
 module.exports = router;
 
@@ -0,0 +1,137 @@
+/**
+ * Permissions Routes
+ * The signed-in user's permissions, and local role assignments that
+ * supplement Azure AD app roles (see middleware/permissions.js)
+ */
+
+const express = require('express');
+const router = express.Router();
+const { locationsRepo, teamsRepo, roleAssignmentsRepo } = require('../repositories');
+const { toCamelCase } = require('../utils/helpers');
+const logger = require('../utils/logger');
+const { requireAuthForWrites } = require('../middleware/requireAuth');
+const {
+    ROLES, ASSIGNABLE_ROLES, PERMISSIONS, authorize, getUserPermissions, normalizeEmail
+} = require('../middleware/permissions');
+const { AUDIT_ACTIONS, recordAudit } = require('../utils/audit');
+
+// Protect write operations
+router.use(requireAuthForWrites);
+
+const requireSystemAdmin = authorize(PERMISSIONS.MANAGE_SYSTEM);
+
+// ============================================
+// GET /api/permissions/me - What the current user may do
+// ============================================
+router.get('/me', async (req, res) => {
+    try {
+        const permissions = await getUserPermissions(req);
+        res.json({
+            // When enforcement is off every action is allowed, whatever the roles say
+            enforced: process.env.REQUIRE_AUTH === 'true',
+            ...permissions
+        });
+    } catch (error) {
+        logger.error('Error getting permissions:', error);
+        res.status(500).json({ error: 'Failed to get permissions' });
+    }
+});
+
+// ============================================
+// GET /api/permissions/assignments - List role assignments
+// ============================================
+router.get('/assignments', requireSystemAdmin, async (req, res) => {
+    try {
+        const data = await roleAssignmentsRepo.find({}, { orderBy: 'user_email' });
+        res.json(toCamelCase(data));
+    } catch (error) {
+        logger.error('Error fetching role assignments:', error);
+        res.status(500).json({ error: 'Failed to fetch role assignments' });
+    }
+});
+
+// ============================================
+// POST /api/permissions/assignments - Grant a role
+// ============================================
+router.post('/assignments', requireSystemAdmin, async (req, res) => {
+    try {
+        const { role, locationId, teamId } = req.body;
+        const userEmail = normalizeEmail(req.body.userEmail);
+
+        if (!userEmail || !userEmail.includes('@')) {
+            return res.status(400).json({ error: 'A valid user email is required' });
+        }
+        if (!ASSIGNABLE_ROLES.includes(role)) {
+            return res.status(400).json({ error: `Role must be one of: ${ASSIGNABLE_ROLES.join(', ')}` });
+        }
+
+        // LocationAdmin is scoped to a location, TeamManager to a team, Admin to nothing
+        const assignment = {
+            id: Date.now().toString(),
+            user_email: userEmail,
+            role,
+            location_id: null,
+            team_id: null,
+            created_by: req.user?.email || null,
+            created_at: new Date().toISOString()
+        };
+
+        if (role === ROLES.LOCATION_ADMIN) {
+            const location = locationId ? await locationsRepo.findById(locationId, { fields: 'id' }) : null;
+            if (!location) {
+                return res.status(400).json({ error: 'LocationAdmin needs a valid locationId' });
+            }
+            assignment.location_id = locationId;
+        }
+
+        if (role === ROLES.TEAM_MANAGER) {
+            const team = teamId ? await teamsRepo.findById(teamId, { fields: 'id' }) : null;
+            if (!team) {
+                return res.status(400).json({ error: 'TeamManager needs a valid teamId' });
+            }
+            assignment.team_id = teamId;
+        }
+
+        const existing = await roleAssignmentsRepo.find({ user_email: userEmail, role });
+
+        const duplicate = existing.some(a =>
+            a.location_id === assignment.location_id && a.team_id === assignment.team_id
+        );
+        if (duplicate) {
+            return res.status(400).json({ error: 'User already has this role' });
+        }
+
+        const data = await roleAssignmentsRepo.create(assignment);
+        await recordAudit(req, { action: AUDIT_ACTIONS.CREATE, table: 'role_assignments', after: data });
+
+        logger.info(`Role ${role} granted to ${userEmail}`);
+        res.status(201).json(toCamelCase(data));
+    } catch (error) {
+        logger.error('Error creating role assignment:', error);
+        res.status(500).json({ error: 'Failed to create role assignment' });
+    }
+});
+
+// ============================================
+// DELETE /api/permissions/assignments/:id - Revoke a role
+// ============================================
+router.delete('/assignments/:id', requireSystemAdmin, async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const assignment = await roleAssignmentsRepo.removeById(id);
+
+        if (!assignment) {
+            return res.status(404).json({ error: 'Role assignment not found' });
+        }
+        await recordAudit(req, { action: AUDIT_ACTIONS.DELETE, table: 'role_assignments', before: assignment });
+
+        logger.info(`Role ${assignment.role} revoked from ${assignment.user_email}`);
+        res.json({ success: true });
+    } catch (error) {
+        logger.error('Error deleting role assignment:', error);
+        res.status(500).json({ error: 'Failed to delete role assignment' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,204 @@
+const crypto = require('crypto');
+const express = require('express');
+const router = express.Router();
+const { locationsRepo, floorElementsRepo, roomBookingsRepo } = require('../repositories');
+const { toCamelCase } = require('../utils/helpers');
+const logger = require('../utils/logger');
+const { requireAuthForWrites } = require('../middleware/requireAuth');
+const { PERMISSIONS, authorize, recordScope } = require('../middleware/permissions');
+const { formatTime, getOpeningHours, resolveSlot, bookingRange } = require('../utils/timeSlots');
+const { isValidDateStr } = require('../utils/recurrence');
+const { publishToFloors } = require('../socket/events');
+const { roomBookingEvent } = require('../utils/calendarFeeds');
+const { buildCalendar } = require('../utils/ical');
+const { AUDIT_ACTIONS, recordAudit } = require('../utils/audit');
+
+// Protect write operations
+router.use(requireAuthForWrites);
+
+/**
+ * Scope of a new room booking (null if the room is missing - the route returns 404)
+ */
+async function newRoomBookingScope(req) {
+    const room = await floorElementsRepo.findById(req.params.id, { fields: 'location_id' });
+
+    if (!room) return null;
+    return { locationId: room.location_id, teamId: req.body.teamId, ownerEmail: req.body.employeeEmail };
+}
+
+// Rooms are booked like desks: people book for themselves, team managers and location admins for anyone
+const canCreateRoomBooking = authorize(PERMISSIONS.MANAGE_DESK_BOOKING, { scope: newRoomBookingScope });
+const canEditRoomBooking = authorize(PERMISSIONS.MANAGE_DESK_BOOKING, { scope: recordScope('room_bookings') });
+
+/**
+ * Tell viewers of the room's floor about a change to one of its bookings
+ */
+function publishRoomBooking(type, room, booking) {
+    publishToFloors([{ locationId: booking.locationId, floor: room?.floor }], type, { roomBooking: booking });
+}
+
+/**
+ * Get the bookable rooms of a location (filter: floor)
+ */
+router.get('/', async (req, res) => {
+    try {
+        const { locationId, floor } = req.query;
+
+        const data = await floorElementsRepo.find(
+            { type: 'room', bookable: true, location_id: locationId || undefined, floor: floor || undefined },
+            { orderBy: 'label' }
+        );
+
+        res.json(toCamelCase(data));
+    } catch (error) {
+        logger.error('Error fetching rooms:', error);
+        res.status(500).json({ error: 'Failed to fetch rooms' });
+    }
+});
+
+/**
+ * Get room bookings for a day, by start time
+ * date is required; filter by locationId or roomId
+ */
+router.get('/bookings', async (req, res) => {
+    try {
+        const { date, locationId, roomId } = req.query;
+
+        if (!isValidDateStr(date)) {
+            return res.status(400).json({ error: 'date must be in YYYY-MM-DD format' });
+        }
+
+        const data = await roomBookingsRepo.find(
+            { date, location_id: locationId || undefined, room_id: roomId || undefined },
+            { orderBy: 'start_time' }
+        );
+
+        res.json(toCamelCase(data));
+    } catch (error) {
+        logger.error('Error fetching room bookings:', error);
+        res.status(500).json({ error: 'Failed to fetch room bookings' });
+    }
+});
+
+/**
+ * Book a room by the hour
+ * { date, startTime, endTime (HH:MM on the hour, or slot 'full' | 'am' | 'pm'), title,
+ *   employeeName, employeeEmail, teamId, attendeeCount }
+ * Overlapping bookings of the room are refused with 409.
+ */
+router.post('/:id/bookings', canCreateRoomBooking, async (req, res) => {
+    try {
+        const { date, slot, startTime, endTime, title, employeeName, employeeEmail, teamId, attendeeCount } = req.body;
+
+        if (!date || !employeeName) {
+            return res.status(400).json({ error: 'Missing required fields' });
+        }
+        if (!isValidDateStr(date)) {
+            return res.status(400).json({ error: 'Date must be in YYYY-MM-DD format' });
+        }
+
+        const room = await floorElementsRepo.findById(req.params.id);
+
+        if (!room || room.type !== 'room') {
+            return res.status(404).json({ error: 'Room not found' });
+        }
+        if (!room.bookable) {
+            return res.status(400).json({ error: `${room.label || 'This room'} can't be booked` });
+        }
+
+        const count = attendeeCount === undefined || attendeeCount === null || attendeeCount === '' ? null : Number(attendeeCount);
+        if (count !== null && (!Number.isInteger(count) || count < 1)) {
+            return res.status(400).json({ error: 'Attendee count must be a whole number of at least 1' });
+        }
+        if (count !== null && room.capacity && count > room.capacity) {
+            return res.status(400).json({ error: `${room.label || 'This room'} holds ${room.capacity} people` });
+        }
+
+        // Opening hours bound every booking, as for desks
+        const location = await locationsRepo.findById(room.location_id);
+        const hours = getOpeningHours(location);
+
+        const range = resolveSlot({ slot, startTime, endTime }, hours);
+        if (range.error) {
+            return res.status(400).json({ error: range.error });
+        }
+
+        // Checked and inserted under one lock, so concurrent requests can't both get the room
+        const { booking: data, conflict } = await roomBookingsRepo.createAtomic({
+            id: crypto.randomUUID(),
+            room_id: room.id,
+            room_name: room.label || 'Room',
+            location_id: room.location_id,
+            date,
+            start_time: formatTime(range.start),
+            end_time: formatTime(range.end),
+            title: (title || '').trim(),
+            employee_name: employeeName,
+            employee_email: employeeEmail || '',
+            team_id: teamId || null,
+            attendee_count: count
+        });
+
+        if (conflict) {
+            const taken = bookingRange(conflict, hours);
+            return res.status(409).json({
+                error: `${room.label || 'The room'} is already booked from ${formatTime(taken.start)} to ${formatTime(taken.end)}`,
+                code: 'ROOM_CONFLICT',
+                conflict: toCamelCase(conflict)
+            });
+        }
+        await recordAudit(req, { action: AUDIT_ACTIONS.CREATE, table: 'room_bookings', after: data });
+
+        const booking = toCamelCase(data);
+        publishRoomBooking('roomBooking:created', room, booking);
+        res.status(201).json(booking);
+    } catch (error) {
+        logger.error('Error creating room booking:', error);
+        res.status(500).json({ error: 'Failed to create room booking' });
+    }
+});
+
+/**
+ * Generate ICS calendar file for a room booking
+ */
+router.get('/bookings/:id/ics', async (req, res) => {
+    try {
+        const booking = await roomBookingsRepo.findById(req.params.id);
+
+        if (!booking) {
+            return res.status(404).json({ error: 'Room booking not found' });
+        }
+
+        const location = await locationsRepo.findById(booking.location_id, { fields: 'name' });
+
+        const icsContent = buildCalendar([roomBookingEvent(booking, { locationName: location?.name })]);
+
+        res.setHeader('Content-Type', 'text/calendar');
+        res.setHeader('Content-Disposition', `attachment; filename="room-booking-${booking.id}.ics"`);
+        res.send(icsContent);
+    } catch (error) {
+        logger.error('Error generating room booking ICS:', error);
+        res.status(500).json({ error: 'Failed to generate calendar file' });
+    }
+});
+
+/**
+ * Cancel a room booking
+ */
+router.delete('/bookings/:id', canEditRoomBooking, async (req, res) => {
+    try {
+        const booking = await roomBookingsRepo.removeById(req.params.id);
+
+        if (booking) {
+            await recordAudit(req, { action: AUDIT_ACTIONS.DELETE, table: 'room_bookings', before: booking });
+            const room = await floorElementsRepo.findById(booking.room_id, { fields: 'floor' });
+            publishRoomBooking('roomBooking:deleted', room, toCamelCase(booking));
+        }
+        res.json({ success: true });
+    } catch (error) {
+        logger.error('Error canceling room booking:', error);
+        res.status(500).json({ error: 'Failed to cancel room booking' });
+    }
+});
+
+module.exports = router;
@@ -5,9 +5,13 @@
 
 const express = require('express');
 const router = express.Router();
-const { supabase } = require('../config/supabase');
+const { settingsRepo } = require('../repositories');
 const logger = require('../utils/logger');
 const { requireAuthForWrites } = require('../middleware/requireAuth');
+const { PERMISSIONS, authorize } = require('../middleware/permissions');
+const { publishToAll } = require('../socket/events');
+const { AUDIT_ACTIONS, recordAudit } = require('../utils/audit');
+const { ATTENDANCE_POLICY_SETTING, validatePolicySetting } = require('../utils/attendancePolicy');
 
 // Apply auth middleware - GET allowed without auth, PUT requires auth
 router.use(requireAuthForWrites);
@@ -19,25 +23,19 @@ router.get('/:key', async (req, res) => {
     try {
         const { key } = req.params;
         
-        const { data, error } = await supabase
-            .from('settings')
-            .select('value')
-            .eq('key', key)
-            .single();
-        
-        if (error && error.code !== 'PGRST116') { // PGRST116 = not found
-            throw error;
-        }
+        const value = await settingsRepo.get(key);
         
         // Return default values for known settings if not found
-        if (!data) {
+        if (value === null) {
             const defaults = {
                 'team_roles': [],
+                'checkin_grace_minutes': {},
+                [ATTENDANCE_POLICY_SETTING]: {},
             };
             return res.json({ value: defaults[key] || null });
         }
         
-        res.json({ value: data.value });
+        res.json({ value });
     } catch (error) {
         logger.error('Error getting setting:', error);
         res.status(500).json({ error: 'Failed to get setting' });
@@ -47,7 +45,7 @@ router.get('/:key', async (req, res) => {
 // ============================================
 // PUT /api/settings/:key - Update a setting value
 // ============================================
-router.put('/:key', async (req, res) => {
+router.put('/:key', authorize(PERMISSIONS.MANAGE_SYSTEM), async (req, res) => {
     try {
         const { key } = req.params;
         const { value } = req.body;
@@ -66,22 +64,37 @@ router.put('/:key', async (req, res) => {
             }
         }
         
-        const { data, error } = await supabase
-            .from('settings')
-            .upsert({ 
-                key, 
-                value,
-                updated_at: new Date().toISOString()
-            }, { 
-                onConflict: 'key' 
-            })
-            .select()
-            .single();
+        // { default: minutes, [locationId]: minutes | null } - null turns auto-release off
+        if (key === 'checkin_grace_minutes') {
+            if (!value || typeof value !== 'object' || Array.isArray(value)) {
+                return res.status(400).json({ error: 'checkin_grace_minutes must be an object keyed by location ID' });
+            }
+            const validMinutes = v => v === null || (Number.isInteger(v) && v >= 0 && v <= 1440);
+            if (!Object.values(value).every(validMinutes)) {
+                return res.status(400).json({ error: 'checkin_grace_minutes values must be whole minutes between 0 and 1440, or null' });
+            }
+        }
+        
+        // { default, locations: { [id]: policy | null }, teams: { [id]: policy | null } }
+        if (key === ATTENDANCE_POLICY_SETTING) {
+            const invalid = validatePolicySetting(value);
+            if (invalid) {
+                return res.status(400).json({ error: invalid });
+            }
+        }
         
-        if (error) throw error;
+        const before = await settingsRepo.findById(key, { fields: 'key, value' });
+        const saved = await settingsRepo.set(key, value);
+        await recordAudit(req, {
+            action: before ? AUDIT_ACTIONS.UPDATE : AUDIT_ACTIONS.CREATE,
+            table: 'settings',
+            before,
+            after: { key, value: saved }
+        });
         
         logger.info(`Setting updated: ${key}`);
-        res.json({ value: data.value });
+        publishToAll('setting:updated', { key, value: saved });
+        res.json({ value: saved });
     } catch (error) {
         logger.error('Error updating setting:', error);
         res.status(500).json({ error: 'Failed to update setting' });
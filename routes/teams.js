@@ -1,42 +1,61 @@
 const express = require('express');
 const router = express.Router();
-const { supabase } = require('../config/supabase');
+const { teamsRepo, teamMembersRepo, bookingsRepo, locationsRepo, waitlistRepo } = require('../repositories');
 const { toCamelCase } = require('../utils/helpers');
 const logger = require('../utils/logger');
 const { requireAuthForWrites } = require('../middleware/requireAuth');
+const { PERMISSIONS, authorize, recordScope, bodyLocationScope, movedLocationScope, normalizeEmail } = require('../middleware/permissions');
+const { publishToAll, publishBookingChanges } = require('../socket/events');
+const { recordCancellationsWhere } = require('../utils/calendarFeeds');
+const { AUDIT_ACTIONS, recordAudit } = require('../utils/audit');
+const { trashOptions, restoreBookings, skippedSummary } = require('../utils/trash');
+const {
+    MEMBER_SOURCES, normalizeMemberEmail, listMembers, countMembers, syncMemberCount, syncDirectReports
+} = require('../utils/teamMembers');
 
 // Protect write operations
 router.use(requireAuthForWrites);
 
+// Location admins create and delete teams; a team's manager can edit it
+const canManageTeam = authorize(PERMISSIONS.MANAGE_TEAM, { scope: recordScope('teams') });
+const canDeleteTeam = authorize(PERMISSIONS.MANAGE_LOCATION, { scope: recordScope('teams') });
+const canCreateAtLocation = authorize(PERMISSIONS.MANAGE_LOCATION, { scope: bodyLocationScope });
+const canMoveToLocation = authorize(PERMISSIONS.MANAGE_LOCATION, { scope: movedLocationScope('teams') });
+
 /**
  * Create a new team
  */
-router.post('/', async (req, res) => {
+router.post('/', canCreateAtLocation, async (req, res) => {
     try {
-        const { name, color, memberCount, manager, managerImage, locationId } = req.body;
+        const { name, color, memberCount, manager, managerEmail, managerImage, locationId } = req.body;
         
         if (!locationId) {
             return res.status(400).json({ error: 'Location is required' });
         }
         
+        const id = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+        const trashed = await teamsRepo.findTrashed({ id });
+        if (trashed.length > 0) {
+            return res.status(409).json({ error: `A deleted team is called "${trashed[0].name}"; restore it from the trash or choose another name` });
+        }
+        
         const newTeam = {
-            id: name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, ''),
+            id,
             name,
             manager: manager || '',
+            manager_email: normalizeEmail(managerEmail),
             manager_image: managerImage || '',
             color: color || '#6B7280',
             member_count: parseInt(memberCount) || 1,
             location_id: locationId
         };
         
-        const { data, error } = await supabase
-            .from('teams')
-            .insert(newTeam)
-            .select()
-            .single();
+        const data = await teamsRepo.create(newTeam);
+        await recordAudit(req, { action: AUDIT_ACTIONS.CREATE, table: 'teams', after: data });
         
-        if (error) throw error;
-        res.status(201).json(toCamelCase(data));
+        const team = toCamelCase(data);
+        publishToAll('team:created', { team });
+        res.status(201).json(team);
     } catch (error) {
         logger.error('Error creating team:', error);
         res.status(500).json({ error: 'Failed to create team' });
@@ -46,7 +65,7 @@ router.post('/', async (req, res) => {
 /**
  * Update a team
  */
-router.put('/:id', async (req, res) => {
+router.put('/:id', canManageTeam, canMoveToLocation, async (req, res) => {
     try {
         const { id } = req.params;
         const updates = req.body;
@@ -54,24 +73,23 @@ router.put('/:id', async (req, res) => {
         const dbUpdates = {};
         if (updates.name) dbUpdates.name = updates.name;
         if (updates.manager !== undefined) dbUpdates.manager = updates.manager;
+        if (updates.managerEmail !== undefined) dbUpdates.manager_email = normalizeEmail(updates.managerEmail);
         if (updates.managerImage !== undefined) dbUpdates.manager_image = updates.managerImage;
         if (updates.color) dbUpdates.color = updates.color;
-        if (updates.memberCount) dbUpdates.member_count = parseInt(updates.memberCount);
+        // A team with a roster counts its members instead
+        if (updates.memberCount && await countMembers(id) === 0) dbUpdates.member_count = parseInt(updates.memberCount);
         if (updates.locationId) dbUpdates.location_id = updates.locationId;
         
-        const { data, error } = await supabase
-            .from('teams')
-            .update(dbUpdates)
-            .eq('id', id)
-            .select()
-            .single();
-        
-        if (error) throw error;
+        const before = await teamsRepo.findById(id);
+        const data = await teamsRepo.updateById(id, dbUpdates);
         if (!data) {
             return res.status(404).json({ error: 'Team not found' });
         }
+        await recordAudit(req, { action: AUDIT_ACTIONS.UPDATE, table: 'teams', before, after: data });
         
-        res.json(toCamelCase(data));
+        const team = toCamelCase(data);
+        publishToAll('team:updated', { team });
+        res.json(team);
     } catch (error) {
         logger.error('Error updating team:', error);
         res.status(500).json({ error: 'Failed to update team' });
@@ -79,30 +97,37 @@ router.put('/:id', async (req, res) => {
 });
 
 /**
- * Delete a team and its bookings
+ * Delete a team and its bookings (they go to the trash and can be restored)
+ * Its waitlist entries are dropped for good.
  */
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', canDeleteTeam, async (req, res) => {
     try {
         const { id } = req.params;
         
-        // First, delete all bookings for this team
-        const { error: bookingsError } = await supabase
-            .from('bookings')
-            .delete()
-            .eq('team_id', id);
+        const team = await teamsRepo.findById(id);
+        const options = trashOptions(req);
         
-        if (bookingsError) {
+        // First, delete all bookings for this team
+        await recordCancellationsWhere('bookings', 'team_id', id);
+        let bookings = [];
+        try {
+            bookings = await bookingsRepo.trash({ team_id: id }, options);
+        } catch (bookingsError) {
             logger.error('Error deleting team bookings:', bookingsError);
             // Continue anyway - team deletion is more important
         }
+        const waitlist = await waitlistRepo.remove({ team_id: id });
         
         // Then delete the team
-        const { error } = await supabase
-            .from('teams')
-            .delete()
-            .eq('id', id);
+        const trashed = await teamsRepo.trashById(id, options);
+        await recordAudit(req, [
+            ...bookings.map(row => ({ action: AUDIT_ACTIONS.DELETE, table: 'bookings', before: row })),
+            ...waitlist.map(row => ({ action: AUDIT_ACTIONS.DELETE, table: 'booking_waitlist', before: row })),
+            { action: AUDIT_ACTIONS.DELETE, table: 'teams', before: trashed }
+        ]);
         
-        if (error) throw error;
+        // Clients drop the team's bookings along with it
+        if (team) publishToAll('team:deleted', { team: toCamelCase(team) });
         res.json({ success: true });
     } catch (error) {
         logger.error('Error deleting team:', error);
@@ -110,5 +135,187 @@ router.delete('/:id', async (req, res) => {
     }
 });
 
+/**
+ * Restore a team from the trash, with the bookings deleted along with it
+ * Bookings whose day has filled up since stay in the trash and are listed as skipped.
+ */
+router.post('/:id/restore', canDeleteTeam, async (req, res) => {
+    try {
+        const { id } = req.params;
+        
+        const [team] = await teamsRepo.findTrashed({ id });
+        if (!team) {
+            return res.status(404).json({ error: 'Team not found in the trash' });
+        }
+        if (team.location_id && !await locationsRepo.findById(team.location_id, { fields: 'id' })) {
+            return res.status(409).json({ error: 'The team\'s location is in the trash; restore it first' });
+        }
+        
+        const [restoredTeam] = await teamsRepo.restore({ id });
+        const deletedWithTeam = await bookingsRepo.findTrashed({ team_id: id, deleted_at: team.deleted_at });
+        const { restored, skipped } = await restoreBookings(deletedWithTeam);
+        await recordAudit(req, [
+            { action: AUDIT_ACTIONS.UPDATE, table: 'teams', before: team, after: restoredTeam },
+            ...restored.map(({ before, after }) => ({ action: AUDIT_ACTIONS.UPDATE, table: 'bookings', before, after }))
+        ]);
+        
+        const body = {
+            team: toCamelCase(restoredTeam),
+            bookings: toCamelCase(restored.map(r => r.after)),
+            skipped: skippedSummary(skipped)
+        };
+        publishToAll('team:created', { team: body.team });
+        publishBookingChanges('booking:created', body.bookings);
+        res.json(body);
+    } catch (error) {
+        logger.error('Error restoring team:', error);
+        res.status(500).json({ error: 'Failed to restore team' });
+    }
+});
+
+// ============================================
+// ROSTER
+// ============================================
+
+/**
+ * Keep member_count in step with the roster and tell clients when it changes
+ * @returns {Promise<Object>} The team as the API returns it
+ */
+async function afterRosterChange(req, teamId) {
+    const before = await teamsRepo.findById(teamId);
+    const updated = await syncMemberCount(teamId);
+    if (!updated) return toCamelCase(before);
+
+    await recordAudit(req, { action: AUDIT_ACTIONS.UPDATE, table: 'teams', before, after: updated });
+    const team = toCamelCase(updated);
+    publishToAll('team:updated', { team });
+    return team;
+}
+
+/**
+ * List a team's members
+ */
+router.get('/:id/members', async (req, res) => {
+    try {
+        const team = await teamsRepo.findById(req.params.id, { fields: 'id' });
+        if (!team) {
+            return res.status(404).json({ error: 'Team not found' });
+        }
+        
+        const members = await listMembers(req.params.id);
+        res.json(toCamelCase(members));
+    } catch (error) {
+        logger.error('Error fetching team members:', error);
+        res.status(500).json({ error: 'Failed to fetch team members' });
+    }
+});
+
+/**
+ * Add a member to a team's roster
+ */
+router.post('/:id/members', canManageTeam, async (req, res) => {
+    try {
+        const { id } = req.params;
+        const email = normalizeMemberEmail(req.body.email);
+        const name = (req.body.name || '').trim();
+        
+        if (!email.includes('@')) {
+            return res.status(400).json({ error: 'A valid email is required' });
+        }
+        if (!name) {
+            return res.status(400).json({ error: 'Name is required' });
+        }
+        if (!await teamsRepo.findById(id, { fields: 'id' })) {
+            return res.status(404).json({ error: 'Team not found' });
+        }
+        if (await teamMembersRepo.findOne({ team_id: id, email }, { fields: 'id' })) {
+            return res.status(409).json({ error: `${email} is already on this team` });
+        }
+        
+        const member = await teamMembersRepo.create({
+            id: Date.now().toString(),
+            team_id: id,
+            email,
+            name,
+            job_title: req.body.jobTitle || null,
+            source: MEMBER_SOURCES.MANUAL
+        });
+        await recordAudit(req, { action: AUDIT_ACTIONS.CREATE, table: 'team_members', after: member });
+        
+        const team = await afterRosterChange(req, id);
+        res.status(201).json({ member: toCamelCase(member), team });
+    } catch (error) {
+        logger.error('Error adding team member:', error);
+        res.status(500).json({ error: 'Failed to add team member' });
+    }
+});
+
+/**
+ * Remove a member from a team's roster
+ */
+router.delete('/:id/members/:memberId', canManageTeam, async (req, res) => {
+    try {
+        const { id, memberId } = req.params;
+        
+        const [member] = await teamMembersRepo.remove({ id: memberId, team_id: id });
+        if (!member) {
+            return res.status(404).json({ error: 'Member not found' });
+        }
+        await recordAudit(req, { action: AUDIT_ACTIONS.DELETE, table: 'team_members', before: member });
+        
+        const team = await afterRosterChange(req, id);
+        res.json({ success: true, team });
+    } catch (error) {
+        logger.error('Error removing team member:', error);
+        res.status(500).json({ error: 'Failed to remove team member' });
+    }
+});
+
+/**
+ * Whether a posted direct report looks like a Graph user (mail may be missing)
+ */
+function isGraphUser(report) {
+    return report !== null && typeof report === 'object' && !Array.isArray(report) &&
+        (report.mail == null || typeof report.mail === 'string');
+}
+
+/**
+ * Sync a team's roster with its manager's Azure AD direct reports
+ * The browser reads the reports from Microsoft Graph and posts them here;
+ * members added by hand are kept.
+ */
+router.post('/:id/members/sync', canManageTeam, async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { reports } = req.body;
+        
+        if (!Array.isArray(reports) || !reports.every(isGraphUser)) {
+            return res.status(400).json({ error: 'reports must be a list of Azure AD users' });
+        }
+        if (!await teamsRepo.findById(id, { fields: 'id' })) {
+            return res.status(404).json({ error: 'Team not found' });
+        }
+        
+        const { added, updated, removed } = await syncDirectReports(id, reports);
+        await recordAudit(req, [
+            ...added.map(after => ({ action: AUDIT_ACTIONS.CREATE, table: 'team_members', after })),
+            ...updated.map(({ before, after }) => ({ action: AUDIT_ACTIONS.UPDATE, table: 'team_members', before, after })),
+            ...removed.map(before => ({ action: AUDIT_ACTIONS.DELETE, table: 'team_members', before }))
+        ]);
+        
+        const team = await afterRosterChange(req, id);
+        res.json({
+            members: toCamelCase(await listMembers(id)),
+            added: added.length,
+            updated: updated.length,
+            removed: removed.length,
+            team
+        });
+    } catch (error) {
+        logger.error('Error syncing team members:', error);
+        res.status(500).json({ error: 'Failed to sync team members' });
+    }
+});
+
 module.exports = router;
 
@@ -0,0 +1,29 @@
+/**
+ * Trash Routes
+ * Deleted bookings, teams and locations that can still be restored
+ * (utils/trash.js). Each is restored through its own route, e.g.
+ * POST /api/teams/:id/restore; the purge job removes them for good after
+ * TRASH_RETENTION_DAYS.
+ */
+
+const express = require('express');
+const router = express.Router();
+const { toCamelCase } = require('../utils/helpers');
+const logger = require('../utils/logger');
+const { PERMISSIONS, authorize } = require('../middleware/permissions');
+const { listTrash, trashRetentionDays } = require('../utils/trash');
+
+/**
+ * Everything in the trash, most recently deleted first
+ */
+router.get('/', authorize(PERMISSIONS.MANAGE_SYSTEM), async (req, res) => {
+    try {
+        const trash = await listTrash();
+        res.json({ ...toCamelCase(trash), retentionDays: trashRetentionDays() });
+    } catch (error) {
+        logger.error('Error fetching trash:', error);
+        res.status(500).json({ error: 'Failed to fetch trash' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,123 @@
+/**
+ * Backup and restore
+ *
+ * Usage:
+ *   npm run backup                           Back up every table to BACKUP_DIR (default ./backups)
+ *   npm run backup -- list                   List the backups in BACKUP_DIR
+ *   npm run backup -- verify <file>          Check a backup without restoring it
+ *   npm run backup -- prune                  Delete backups older than BACKUP_RETENTION_DAYS (default 30)
+ *   npm run restore -- <file>                Restore into an empty database
+ *   npm run restore -- <file> --replace      Delete the current rows first
+ *   npm run restore -- <file> --merge        Upsert the backup's rows, keep the others
+ *
+ * Works on whichever backend DB_CLIENT selects. Before --replace or --merge,
+ * the current data is saved to BACKUP_DIR as a safety backup.
+ */
+
+require('dotenv').config();
+
+const path = require('path');
+const { clientName } = require('../config/database');
+const repositories = require('../repositories');
+const logger = require('../utils/logger');
+const {
+    BackupError,
+    createBackup,
+    validateBackup,
+    restoreBackup,
+    writeBackup,
+    readBackup,
+    listBackups,
+    pruneBackups
+} = require('../utils/backup');
+
+const BACKUP_DIR = path.resolve(process.env.BACKUP_DIR || 'backups');
+const RETENTION_DAYS = Number(process.env.BACKUP_RETENTION_DAYS) || 30;
+
+function formatCounts(counts) {
+    return Object.entries(counts).map(([table, count]) => `  ${table.padEnd(24)} ${count}`).join('\n');
+}
+
+async function backup() {
+    const archive = await createBackup(repositories);
+    const file = writeBackup(archive, BACKUP_DIR);
+    logger.info(`✓ Backed up ${clientName} to ${file}\n${formatCounts(archive.counts)}`);
+}
+
+function list() {
+    const backups = listBackups(BACKUP_DIR);
+    if (backups.length === 0) {
+        logger.warn(`No backups in ${BACKUP_DIR}`);
+        return;
+    }
+    // Written directly so the listing still shows when NODE_ENV=production quiets logger.info
+    backups.forEach(b => process.stdout.write(`${b.file}  ${(b.size / 1024).toFixed(1).padStart(8)} KB  ${b.createdAt.toISOString()}\n`));
+}
+
+function verify(file) {
+    const archive = readBackup(file);
+    const problems = validateBackup(archive);
+    if (problems.length > 0) {
+        throw new BackupError(`${file} failed validation:\n  ${problems.join('\n  ')}`);
+    }
+    logger.info(`✓ ${file} is valid (taken ${archive.createdAt}, schema version ${archive.schemaVersion})\n${formatCounts(archive.counts)}`);
+}
+
+function prune() {
+    const deleted = pruneBackups(BACKUP_DIR, { retentionDays: RETENTION_DAYS });
+    deleted.forEach(file => logger.info(`Deleted ${file}`));
+    logger.info(`✓ ${deleted.length} backup(s) older than ${RETENTION_DAYS} days deleted`);
+}
+
+async function restore(file, flags) {
+    if (flags.includes('--replace') && flags.includes('--merge')) {
+        throw new BackupError('Use either --replace or --merge, not both');
+    }
+    const mode = flags.includes('--replace') ? 'replace' : flags.includes('--merge') ? 'merge' : 'empty';
+
+    const archive = readBackup(file);
+    const problems = validateBackup(archive);
+    if (problems.length > 0) {
+        throw new BackupError(`${file} failed validation:\n  ${problems.join('\n  ')}`);
+    }
+
+    if (mode !== 'empty') {
+        const safety = writeBackup(await createBackup(repositories), BACKUP_DIR);
+        logger.info(`Saved the current data to ${safety} first`);
+    }
+
+    const counts = await restoreBackup(repositories, archive, { mode });
+    logger.info(`✓ Restored ${file} into ${clientName} (${mode})\n${formatCounts(counts)}`);
+}
+
+async function main() {
+    const [command = 'create', ...args] = process.argv.slice(2);
+    const file = args.find(arg => !arg.startsWith('--'));
+
+    switch (command) {
+        case 'create':
+            await backup();
+            break;
+        case 'list':
+            list();
+            break;
+        case 'prune':
+            prune();
+            break;
+        case 'verify':
+        case 'restore':
+            if (!file) throw new BackupError(`Usage: npm run backup -- ${command} <file>`);
+            if (command === 'verify') verify(file);
+            else await restore(file, args);
+            break;
+        default:
+            throw new BackupError(`Unknown command "${command}". Use create, list, verify, prune or restore`);
+    }
+    // The postgres backend keeps a connection pool open
+    process.exit(0);
+}
+
+main().catch(error => {
+    logger.error(`❌ ${error instanceof BackupError ? error.message : error.stack}`);
+    process.exit(1);
+});
@@ -0,0 +1,118 @@
+/**
+ * Migration runner
+ *
+ * Usage:
+ *   npm run migrate                        Apply every pending migration
+ *   npm run migrate -- up --to 3           Apply pending migrations up to version 3
+ *   npm run migrate -- down                Revert the latest migration
+ *   npm run migrate -- down --steps 2      Revert the latest two
+ *   npm run migrate -- down --to 1         Revert everything after version 1
+ *   npm run migrate -- status              List migrations and whether they have run
+ *   npm run migrate -- create add_notes    Add an empty, numbered migration file
+ *
+ * Connects with DATABASE_URL, or the DB_* variables the postgres backend uses.
+ * On Supabase, set DATABASE_URL to the project's connection string.
+ */
+
+require('dotenv').config();
+
+const fs = require('fs');
+const path = require('path');
+const { connectionConfig, hasCredentials } = require('../config/postgresConnection');
+const logger = require('../utils/logger');
+const {
+    MIGRATIONS_DIR,
+    MigrationError,
+    MigrationRunner,
+    loadMigrations,
+    newMigrationFile
+} = require('../utils/migrations');
+
+const COMMANDS = ['up', 'down', 'status', 'create'];
+
+function parseArgs(argv) {
+    const [command = 'up', ...rest] = argv;
+    const options = { positional: [] };
+    for (let i = 0; i < rest.length; i++) {
+        if (rest[i] === '--to' || rest[i] === '--steps') {
+            const value = parseInt(rest[i + 1], 10);
+            if (!Number.isInteger(value) || value < 0) {
+                throw new MigrationError(`${rest[i]} needs a number`);
+            }
+            options[rest[i].slice(2)] = value;
+            i++;
+        } else {
+            options.positional.push(rest[i]);
+        }
+    }
+    if (!COMMANDS.includes(command)) {
+        throw new MigrationError(`Unknown command "${command}". Use one of: ${COMMANDS.join(', ')}`);
+    }
+    return { command, options };
+}
+
+function createFile(name) {
+    const file = newMigrationFile(loadMigrations(), name);
+    fs.writeFileSync(path.join(MIGRATIONS_DIR, file), '-- migrate:up\n\n\n-- migrate:down\n\n');
+    logger.info(`Created migrations/${file}`);
+    logger.info('Update config/memorySchema.js too if the migration changes a table.');
+}
+
+async function connect() {
+    if ((process.env.DB_CLIENT || '').toLowerCase() === 'memory') {
+        throw new MigrationError('DB_CLIENT is memory: the in-memory database is built from config/memorySchema.js and has nothing to migrate');
+    }
+    const config = connectionConfig();
+    if (!hasCredentials(config)) {
+        throw new MigrationError('Set DATABASE_URL (e.g. the Supabase connection string), or DB_HOST, DB_NAME, DB_USER and DB_PASSWORD');
+    }
+
+    const { Client } = require('pg');
+    const client = new Client(config);
+    await client.connect();
+    return client;
+}
+
+// The status table is the command's output, so it's written even when NODE_ENV=production silences the logger
+function printStatus(status) {
+    if (status.length === 0) {
+        logger.warn('No migrations found.');
+        return;
+    }
+    status.forEach(({ version, name, state, appliedAt }) => {
+        const when = appliedAt ? new Date(appliedAt).toISOString() : '';
+        process.stdout.write(`${String(version).padStart(4, '0')}  ${state.padEnd(8)}  ${name.padEnd(40)}  ${when}\n`);
+    });
+}
+
+async function main() {
+    const { command, options } = parseArgs(process.argv.slice(2));
+    if (command === 'create') {
+        createFile(options.positional.join('_'));
+        return;
+    }
+
+    const client = await connect();
+    try {
+        const runner = new MigrationRunner(client, loadMigrations());
+
+        if (command === 'status') {
+            printStatus(await runner.status());
+        } else if (command === 'up') {
+            const applied = await runner.up({ to: options.to });
+            applied.forEach(m => logger.info(`Applied ${m.file}`));
+            logger.info(applied.length ? `✓ ${applied.length} migration(s) applied` : '✓ Already up to date');
+        } else {
+            const reverted = await runner.down({ to: options.to, steps: options.steps });
+            reverted.forEach(m => logger.info(`Reverted ${m.file}`));
+            logger.info(reverted.length ? `✓ ${reverted.length} migration(s) reverted` : '✓ Nothing to revert');
+        }
+    } finally {
+        await client.end();
+    }
+}
+
+main().catch(error => {
+    logger.error(`❌ ${error instanceof MigrationError ? error.message : error.stack}`);
+    process.exit(1);
+});
@@ -0,0 +1,60 @@
+/**
+ * Demo data seeder
+ *
+ * Usage:
+ *   npm run seed                              Add the demo dataset (a month from today)
+ *   npm run seed -- --reset                   Replace the existing demo rows first
+ *   npm run seed -- --start 2026-01-05 --days 20
+ *
+ * Writes through the repositories, so it seeds whichever backend DB_CLIENT
+ * selects. With DB_CLIENT=memory, set MEMORY_DB_FILE or the data is lost
+ * when the script exits.
+ */
+
+require('dotenv').config();
+
+const { clientName } = require('../config/database');
+const repositories = require('../repositories');
+const { buildDemoData, seedDemoData } = require('../utils/demoData');
+const { isValidDateStr } = require('../utils/recurrence');
+const logger = require('../utils/logger');
+
+function parseArgs(argv) {
+    const options = { reset: false };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--reset') {
+            options.reset = true;
+        } else if (argv[i] === '--start') {
+            options.startDate = argv[++i];
+            if (!isValidDateStr(options.startDate)) throw new Error('--start needs a date (YYYY-MM-DD)');
+        } else if (argv[i] === '--days') {
+            options.days = parseInt(argv[++i], 10);
+            if (!Number.isInteger(options.days) || options.days < 1 || options.days > 366) {
+                throw new Error('--days needs a number between 1 and 366');
+            }
+        } else {
+            throw new Error(`Unknown option "${argv[i]}"`);
+        }
+    }
+    return options;
+}
+
+async function main() {
+    const { reset, ...buildOptions } = parseArgs(process.argv.slice(2));
+
+    if (clientName === 'memory' && !process.env.MEMORY_DB_FILE) {
+        logger.warn('⚠️  DB_CLIENT is memory without MEMORY_DB_FILE: the demo data will not outlive this script.');
+    }
+
+    const counts = await seedDemoData(repositories, buildDemoData(buildOptions), { reset });
+
+    const summary = Object.entries(counts).map(([table, count]) => `  ${table.padEnd(16)} ${count}`);
+    logger.info(`✓ Seeded the demo dataset (${clientName}):\n${summary.join('\n')}`);
+    // The postgres backend keeps a connection pool open
+    process.exit(0);
+}
+
+main().catch(error => {
+    logger.error(`❌ Seeding failed: ${error.message}`);
+    process.exit(1);
+});
@@ -19,9 +19,13 @@ const path = require('path');
 const { Server } = require('socket.io');
 
 // Import modules
-const { supabase } = require('./config/supabase');
-const { initializeSocketHandlers, roomKeyForBooking, emitRoomDataChanged } = require('./socket/presence');
+const { clientName } = require('./config/database');
 const logger = require('./utils/logger');
+const { initializeSocketHandlers, roomKeyForBooking, emitRoomDataChanged } = require('./socket/presence');
+const { initRealtimeEvents, publishDeskBookingChange } = require('./socket/events');
+const { startNoShowJob } = require('./jobs/noShowRelease');
+const { startBackupJob } = require('./jobs/backupSchedule');
+const { startTrashPurgeJob } = require('./jobs/trashPurge');
 
 // Import routes
 const authRoutes = require('./routes/auth');
@@ -33,7 +37,16 @@ const teamsRoutes = require('./routes/teams');
 const desksRoutes = require('./routes/desks');
 const floorElementsRoutes = require('./routes/floorElements');
 const deskBookingsRoutes = require('./routes/deskBookings');
+const roomsRoutes = require('./routes/rooms');
 const settingsRoutes = require('./routes/settings');
+const permissionsRoutes = require('./routes/permissions');
+const calendarFeedsRoutes = require('./routes/calendarFeeds');
+const importsRoutes = require('./routes/imports');
+const analyticsRoutes = require('./routes/analytics');
+const complianceRoutes = require('./routes/compliance');
+const auditRoutes = require('./routes/audit');
+const trashRoutes = require('./routes/trash');
+const { trashRetentionDays } = require('./utils/trash');
 
 // Import middleware
 const { authenticate, optionalAuth } = require('./middleware/auth');
@@ -59,6 +72,28 @@ initBookingsRoutes({
     roomKeyForBooking
 });
 
+// Let the other routes publish data:changed events
+initRealtimeEvents(io);
+
+// Release desk bookings nobody checked in to and tell viewers the desk is free
+startNoShowJob({
+    onRelease: (booking) => publishDeskBookingChange('deskBooking:released', booking, {
+        extraRooms: [roomKeyForBooking(booking.date, booking.locationId)]
+    }).catch(error => logger.error('Error publishing released desk booking:', error))
+});
+
+// Delete items that have been in the trash past TRASH_RETENTION_DAYS
+startTrashPurgeJob({ retentionDays: trashRetentionDays() });
+
+// Scheduled backups are opt-in: set BACKUP_DIR to enable them
+if (process.env.BACKUP_DIR) {
+    startBackupJob({
+        dir: process.env.BACKUP_DIR,
+        intervalHours: Number(process.env.BACKUP_INTERVAL_HOURS) || 24,
+        retentionDays: Number(process.env.BACKUP_RETENTION_DAYS) || 30
+    });
+}
+
 // ============================================
 // Middleware
 // ============================================
@@ -138,49 +173,23 @@ app.use('/api/teams', teamsRoutes);
 app.use('/api/desks', desksRoutes);
 app.use('/api/floor-elements', floorElementsRoutes);
 app.use('/api/desk-bookings', deskBookingsRoutes);
+app.use('/api/rooms', roomsRoutes);
 app.use('/api/settings', settingsRoutes);
+app.use('/api/permissions', permissionsRoutes);
+
+// Calendar feeds: managed by signed-in users, fetched by calendar clients with the feed token
+app.use('/api/calendar-feeds', calendarFeedsRoutes);
+app.use('/api/imports', importsRoutes);
+app.use('/api/analytics', analyticsRoutes);
+app.use('/api/compliance', complianceRoutes);
+app.use('/api/audit', auditRoutes);
+app.use('/api/trash', trashRoutes);
 
 // QR Code check-in route (legacy path)
-app.get('/api/checkin/:qrCode', async (req, res) => {
-    // Forward to desk-bookings route
-    const { supabase } = require('./config/supabase');
-    const { toCamelCase } = require('./utils/helpers');
-    
-    try {
-        const { qrCode } = req.params;
-        
-        const { data: desk, error: deskError } = await supabase
-            .from('desks')
-            .select('*')
-            .eq('qr_code', qrCode)
-            .single();
-        
-        if (deskError || !desk) {
-            return res.status(404).json({ error: 'Desk not found' });
-        }
-        
-        const { data: location } = await supabase
-            .from('locations')
-            .select('*')
-            .eq('id', desk.location_id)
-            .single();
-        
-        const today = new Date().toISOString().split('T')[0];
-        const { data: todayBookings } = await supabase
-            .from('desk_bookings')
-            .select('*')
-            .eq('desk_id', desk.id)
-            .eq('date', today);
-        
-        res.json({
-            desk: toCamelCase(desk),
-            location: toCamelCase(location),
-            todayBookings: toCamelCase(todayBookings || [])
-        });
-    } catch (error) {
-        logger.error('Error getting check-in data:', error);
-        res.status(500).json({ error: 'Failed to get check-in data' });
-    }
+app.get('/api/checkin/:qrCode', (req, res, next) => {
+    // Forward to desk-bookings route so token verification lives in one place
+    req.url = `/checkin/${encodeURIComponent(req.params.qrCode)}`;
+    deskBookingsRoutes(req, res, next);
 });
 
 // ============================================
@@ -208,6 +217,7 @@ httpServer.listen(PORT, () => {
 ║                                                           ║
 ╚═══════════════════════════════════════════════════════════╝
     `);
+    logger.info(`Database backend: ${clientName}`);
 });
 
 // Export for testing
@@ -133,7 +133,7 @@ Write-Host "========================================" -ForegroundColor Cyan
 Write-Host ""
 Write-Host "Next steps:" -ForegroundColor Yellow
 Write-Host "1. Edit .env file with your credentials" -ForegroundColor White
-Write-Host "2. Initialize database (run supabase-schema.sql in Supabase)" -ForegroundColor White
+Write-Host "2. Initialize database (set DATABASE_URL in .env, then npm run migrate)" -ForegroundColor White
 Write-Host "3. Configure Azure AD redirect URIs" -ForegroundColor White
 Write-Host "4. Start the application:" -ForegroundColor White
 Write-Host ""
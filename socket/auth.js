@@ -0,0 +1,196 @@
+/**
+ * Socket.IO authentication
+ * Verifies the Azure AD token sent with the handshake (the same ID token the
+ * frontend sends to the API) so presence identity comes from the token rather
+ * than from whatever the client claims.
+ *
+ * Sockets without a valid token are rejected when REQUIRE_AUTH=true and join
+ * as anonymous guests otherwise.
+ */
+
+const { extractToken, isAuthConfigured, verifyToken, userFromToken } = require('../middleware/auth');
+const logger = require('../utils/logger');
+
+// Clients are warned this long before their token expires so they can send a fresh one
+const EXPIRY_WARNING_MS = 2 * 60 * 1000;
+
+// Largest delay setTimeout supports
+const MAX_TIMER_MS = 2147483647;
+
+// Presence photos are Graph photos converted to data URLs by the frontend
+const MAX_PHOTO_LENGTH = 512 * 1024;
+
+function isAuthRequired() {
+    return process.env.REQUIRE_AUTH === 'true';
+}
+
+/**
+ * Token from the handshake: `auth: { token }` or an Authorization header
+ */
+function handshakeToken(socket) {
+    const { auth = {}, headers = {} } = socket.handshake;
+    return auth.token || extractToken({ headers });
+}
+
+/**
+ * Error passed to the client as `connect_error` (err.data.code) or an ack
+ */
+function authError(message, code) {
+    const error = new Error(message);
+    error.data = { code };
+    return error;
+}
+
+function tokenError(err) {
+    return err.name === 'TokenExpiredError'
+        ? authError('Token expired', 'TOKEN_EXPIRED')
+        : authError('Invalid token', 'INVALID_TOKEN');
+}
+
+/**
+ * Verify a token and build a socket session
+ * @returns {Promise<Object>} { user, expiresAt }
+ */
+async function verifySession(token) {
+    const decoded = await verifyToken(token);
+    return {
+        user: userFromToken(decoded),
+        expiresAt: decoded.exp ? decoded.exp * 1000 : null
+    };
+}
+
+function guestSession(reason) {
+    return { user: { authenticated: false, reason }, expiresAt: null };
+}
+
+/**
+ * Socket.IO middleware - sets socket.data.session
+ *
+ * Usage: io.use(authenticateSocket)
+ */
+async function authenticateSocket(socket, next) {
+    const token = isAuthConfigured() ? handshakeToken(socket) : null;
+
+    if (!token) {
+        const reason = isAuthConfigured() ? 'no_token' : 'auth_not_configured';
+        if (isAuthRequired()) {
+            logger.warn(`Socket connection rejected: ${reason}`);
+            return next(authError('Authentication required', 'AUTH_REQUIRED'));
+        }
+        socket.data.session = guestSession(reason);
+        return next();
+    }
+
+    try {
+        socket.data.session = await verifySession(token);
+        logger.debug('Socket authenticated:', socket.data.session.user.email);
+        next();
+    } catch (err) {
+        logger.warn('Socket token verification failed:', err.message);
+        if (isAuthRequired()) {
+            return next(tokenError(err));
+        }
+        socket.data.session = guestSession('invalid_token');
+        next();
+    }
+}
+
+/**
+ * Replace a socket's session using a fresh token
+ * A signed-in socket can only refresh to a token for the same user; guests may sign in.
+ * @returns {Promise<Object>} The new session
+ */
+async function refreshSession(socket, token) {
+    if (!isAuthConfigured()) {
+        throw authError('Authentication is not configured', 'AUTH_NOT_CONFIGURED');
+    }
+    if (!token) {
+        throw authError('Token required', 'NO_TOKEN');
+    }
+
+    let session;
+    try {
+        session = await verifySession(token);
+    } catch (err) {
+        throw tokenError(err);
+    }
+
+    const current = socket.data.session?.user;
+    if (current?.authenticated && current.id !== session.user.id) {
+        throw authError('Token belongs to a different user', 'USER_MISMATCH');
+    }
+
+    socket.data.session = session;
+    return session;
+}
+
+/**
+ * Drop a socket's verified identity once its token has expired
+ */
+function expireSession(socket) {
+    socket.data.session = guestSession('token_expired');
+}
+
+function isPhotoDataUrl(photo) {
+    return typeof photo === 'string' &&
+        photo.startsWith('data:image/') &&
+        photo.length <= MAX_PHOTO_LENGTH;
+}
+
+/**
+ * Who a socket appears as in presence lists
+ * Verified users are identified by their token; their photo is the only field taken
+ * from the client. Everyone else is an anonymous guest.
+ * @param {Object} [claimed] - The `user` the client sent with presence:join
+ */
+function presenceIdentity(socket, claimed = {}) {
+    const user = socket.data.session?.user;
+
+    if (!user?.authenticated) {
+        return { id: `guest-${socket.id}`, name: 'Guest', photo: null, guest: true };
+    }
+
+    return {
+        id: user.id || user.email,
+        name: user.name || user.email || 'Anonymous',
+        photo: isPhotoDataUrl(claimed?.photo) ? claimed.photo : null,
+        guest: false
+    };
+}
+
+/**
+ * Warn the client before its token expires and call onExpired when it does
+ * Replaces any timers from an earlier token.
+ * @param {Function} onExpired - Called if no fresh token arrives in time
+ */
+function scheduleExpiry(socket, onExpired) {
+    clearExpiry(socket);
+
+    const { expiresAt } = socket.data.session || {};
+    if (!expiresAt) return;
+
+    const remaining = expiresAt - Date.now();
+    const delay = ms => Math.min(Math.max(ms, 0), MAX_TIMER_MS);
+
+    socket.data.expiryTimers = [
+        setTimeout(() => socket.emit('auth:expiring', { expiresAt }), delay(remaining - EXPIRY_WARNING_MS)),
+        setTimeout(onExpired, delay(remaining))
+    ];
+    socket.data.expiryTimers.forEach(timer => timer.unref?.());
+}
+
+function clearExpiry(socket) {
+    (socket.data.expiryTimers || []).forEach(clearTimeout);
+    socket.data.expiryTimers = [];
+}
+
+module.exports = {
+    EXPIRY_WARNING_MS,
+    isAuthRequired,
+    authenticateSocket,
+    refreshSession,
+    expireSession,
+    presenceIdentity,
+    scheduleExpiry,
+    clearExpiry
+};
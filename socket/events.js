@@ -0,0 +1,97 @@
+/**
+ * Real-time data events
+ * Routes publish typed `data:changed` events named '<entity>:<action>'
+ * (e.g. deskBooking:created, floorElement:updated, team:deleted) to the rooms
+ * whose viewers need them:
+ *   presence:<locationId>:<YYYY-MM>  - calendar viewers of a month (office bookings)
+ *   floor:<locationId>:<floor>       - floor plan viewers (desks, floor elements, desk bookings)
+ *   every client                     - teams, locations, holidays and settings
+ */
+
+const { desksRepo } = require('../repositories');
+const { roomKeyForBooking } = require('./presence');
+
+let io = null;
+
+/**
+ * Initialize with the Socket.IO server (events are dropped until then, e.g. in tests)
+ */
+function initRealtimeEvents(server) {
+    io = server;
+}
+
+function roomKeyForFloor(locationId, floor) {
+    return `floor:${locationId}:${floor || '1'}`;
+}
+
+/**
+ * Publish an event to the given rooms; a socket in several of them receives it once
+ * @param {string[]} roomKeys - Target rooms
+ * @param {string} type - Event type
+ * @param {Object} payload - Event data (already camelCased)
+ */
+function publishToRooms(roomKeys, type, payload) {
+    if (!io || roomKeys.length === 0) return;
+    const target = roomKeys.reduce((operator, roomKey) => operator.to(roomKey), io);
+    target.emit('data:changed', { type, ...payload });
+}
+
+/**
+ * Publish an event to floor plan viewers of one or more floors
+ * @param {Object[]} floors - { locationId, floor } of each affected floor
+ */
+function publishToFloors(floors, type, payload) {
+    const roomKeys = floors
+        .filter(f => f && f.locationId)
+        .map(f => roomKeyForFloor(f.locationId, f.floor));
+    publishToRooms([...new Set(roomKeys)], type, payload);
+}
+
+/**
+ * Publish office booking changes to calendar viewers of each booking's month
+ * (one event per booking, e.g. after an import)
+ * @param {Object[]} bookings - Bookings (camelCase)
+ */
+function publishBookingChanges(type, bookings) {
+    bookings.forEach(booking => {
+        publishToRooms([roomKeyForBooking(booking.date, booking.locationId)], type, { booking });
+    });
+}
+
+/**
+ * Publish a desk booking change to viewers of the desk's floor
+ * Desk bookings don't store a floor, so it's looked up from the desk when not given.
+ * @param {Object} booking - Desk booking (camelCase)
+ * @param {Object} [options]
+ * @param {string} [options.floor] - The desk's floor, if already known
+ * @param {string[]} [options.extraRooms] - Other rooms to notify
+ */
+async function publishDeskBookingChange(type, booking, { floor, extraRooms = [] } = {}) {
+    if (!io) return;
+
+    if (floor === undefined) {
+        // An event without a floor still reaches the extra rooms, so a failed lookup isn't fatal
+        const desk = await desksRepo.findById(booking.deskId, { fields: 'floor' }).catch(() => null);
+        floor = desk?.floor;
+    }
+
+    publishToRooms([roomKeyForFloor(booking.locationId, floor), ...extraRooms], type, { deskBooking: booking });
+}
+
+/**
+ * Publish an event to every connected client
+ */
+function publishToAll(type, payload) {
+    if (!io) return;
+    io.emit('data:changed', { type, ...payload });
+}
+
+module.exports = {
+    initRealtimeEvents,
+    roomKeyForFloor,
+    publishToRooms,
+    publishToFloors,
+    publishBookingChanges,
+    publishDeskBookingChange,
+    publishToAll
+};
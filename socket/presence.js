@@ -3,7 +3,18 @@
  * Tracks which users are viewing which rooms (location + month combinations)
  */
 
-// Presence: roomKey -> Map(userId -> { user: {id,name,color}, connections: number })
+const logger = require('../utils/logger');
+const {
+    isAuthRequired,
+    authenticateSocket,
+    refreshSession,
+    expireSession,
+    presenceIdentity,
+    scheduleExpiry,
+    clearExpiry
+} = require('./auth');
+
+// Presence: roomKey -> Map(userId -> { user: {id,name,photo,guest}, connections: number })
 const presenceRooms = new Map();
 
 function ensurePresenceRoom(roomKey) {
@@ -32,60 +43,139 @@ function emitRoomDataChanged(io, roomKey, payload) {
     io.to(roomKey).emit('data:changed', { roomKey, ...payload });
 }
 
+// presence:<locationId>:<YYYY-MM>
+const ROOM_KEY_PATTERN = /^presence:[\w-]+:\d{4}-\d{2}$/;
+
+// floor:<locationId>:<floor> - see socket/events.js
+const FLOOR_ROOM_KEY_PATTERN = /^floor:[\w-]+:[\w-]+$/;
+
+/**
+ * Add a socket to a presence room under the given identity
+ */
+function joinPresence(io, socket, roomKey, user) {
+    socket.data.user = user;
+    socket.data.roomKey = roomKey;
+    socket.join(roomKey);
+
+    const room = ensurePresenceRoom(roomKey);
+    const entry = room.get(user.id);
+    if (entry) {
+        entry.connections += 1;
+        entry.user = user;
+    } else {
+        room.set(user.id, { user, connections: 1 });
+    }
+
+    broadcastPresence(io, roomKey);
+}
+
+/**
+ * Remove a socket from its presence room, if any
+ */
+function leavePresence(io, socket) {
+    const roomKey = socket.data.roomKey;
+    const userId = socket.data.user?.id;
+    socket.data.user = null;
+    socket.data.roomKey = null;
+    if (!roomKey) return;
+
+    socket.leave(roomKey);
+
+    const room = presenceRooms.get(roomKey);
+    if (!room) return;
+
+    const entry = room.get(userId);
+    if (entry) {
+        entry.connections -= 1;
+        if (entry.connections <= 0) room.delete(userId);
+    }
+    if (room.size === 0) presenceRooms.delete(roomKey);
+    broadcastPresence(io, roomKey);
+}
+
+/**
+ * Tell the client who it is, and show it under that identity if it's in a room
+ * (called after sign-in, refresh or expiry change the socket's session)
+ */
+function applySession(io, socket) {
+    const roomKey = socket.data.roomKey;
+    if (roomKey) {
+        leavePresence(io, socket);
+        joinPresence(io, socket, roomKey, presenceIdentity(socket, socket.data.claimedUser));
+    }
+
+    const { user, expiresAt } = socket.data.session;
+    socket.emit('session', {
+        user: socket.data.user || presenceIdentity(socket, socket.data.claimedUser),
+        authenticated: !!user.authenticated,
+        expiresAt
+    });
+}
+
+/**
+ * Token expired without a refresh: disconnect when auth is required, otherwise
+ * carry on as a guest
+ */
+function handleExpiry(io, socket) {
+    socket.emit('auth:expired');
+
+    if (isAuthRequired()) {
+        socket.disconnect(true);
+        return;
+    }
+
+    expireSession(socket);
+    applySession(io, socket);
+}
+
 /**
  * Initialize Socket.IO event handlers
  * @param {Server} io - Socket.IO server instance
  */
 function initializeSocketHandlers(io) {
+    io.use(authenticateSocket);
+
     io.on('connection', (socket) => {
         socket.data.user = null;
         socket.data.roomKey = null;
 
-        socket.on('presence:join', ({ roomKey, user }) => {
-            if (!roomKey || !user?.id) return;
-
-            // Leave previous room if switching
-            if (socket.data.roomKey && socket.data.roomKey !== roomKey) {
-                socket.leave(socket.data.roomKey);
-                const prevRoom = presenceRooms.get(socket.data.roomKey);
-                if (prevRoom) {
-                    const prevEntry = prevRoom.get(socket.data.user?.id);
-                    if (prevEntry) {
-                        prevEntry.connections -= 1;
-                        if (prevEntry.connections <= 0) prevRoom.delete(socket.data.user.id);
-                    }
-                    if (prevRoom.size === 0) presenceRooms.delete(socket.data.roomKey);
-                }
-                broadcastPresence(io, socket.data.roomKey);
-            }
-
-            socket.data.user = user;
-            socket.data.roomKey = roomKey;
-            socket.join(roomKey);
+        applySession(io, socket);
+        scheduleExpiry(socket, () => handleExpiry(io, socket));
 
-            const room = ensurePresenceRoom(roomKey);
-            const entry = room.get(user.id);
-            if (entry) entry.connections += 1;
-            else room.set(user.id, { user, connections: 1 });
+        socket.on('presence:join', ({ roomKey, user } = {}) => {
+            if (typeof roomKey !== 'string' || !ROOM_KEY_PATTERN.test(roomKey)) return;
 
-            broadcastPresence(io, roomKey);
+            // Identity comes from the verified session; only the photo is taken from the client
+            socket.data.claimedUser = user;
+            leavePresence(io, socket);
+            joinPresence(io, socket, roomKey, presenceIdentity(socket, user));
         });
 
-        socket.on('disconnect', () => {
-            const roomKey = socket.data.roomKey;
-            const userId = socket.data.user?.id;
-            if (!roomKey || !userId) return;
+        // Floor plan viewers get desk, floor element and desk booking changes for one floor
+        socket.on('floor:watch', ({ roomKey } = {}) => {
+            if (typeof roomKey !== 'string' || !FLOOR_ROOM_KEY_PATTERN.test(roomKey)) return;
 
-            const room = presenceRooms.get(roomKey);
-            if (!room) return;
+            if (socket.data.floorRoomKey) socket.leave(socket.data.floorRoomKey);
+            socket.data.floorRoomKey = roomKey;
+            socket.join(roomKey);
+        });
 
-            const entry = room.get(userId);
-            if (entry) {
-                entry.connections -= 1;
-                if (entry.connections <= 0) room.delete(userId);
+        socket.on('auth:refresh', async ({ token } = {}, ack) => {
+            const respond = typeof ack === 'function' ? ack : () => {};
+            try {
+                const session = await refreshSession(socket, token);
+                scheduleExpiry(socket, () => handleExpiry(io, socket));
+                applySession(io, socket);
+                respond({ ok: true, expiresAt: session.expiresAt });
+            } catch (error) {
+                logger.warn('Socket token refresh failed:', error.message);
+                respond({ ok: false, error: error.message, code: error.data?.code });
             }
-            if (room.size === 0) presenceRooms.delete(roomKey);
-            broadcastPresence(io, roomKey);
+        });
+
+        socket.on('disconnect', () => {
+            clearExpiry(socket);
+            leavePresence(io, socket);
         });
     });
 }
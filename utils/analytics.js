@@ -0,0 +1,256 @@
+/**
+ * Utilisation and attendance analytics
+ *
+ * Pure aggregation over booking rows, so the same numbers come out of the
+ * Supabase and Postgres backends. Occupancy is confirmed people booked against a
+ * location's capacity; averages only count working days (weekdays that aren't
+ * public holidays). A desk booking is a no-show once it was released for not
+ * checking in, and the no-show rate only counts settled desk bookings (checked in,
+ * released, or in the past), so today's open bookings don't skew it.
+ */
+
+const { addDays } = require('./recurrence');
+
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const GROUP_BY = ['day', 'week', 'month'];
+
+// Longest range a report may cover
+const MAX_RANGE_DAYS = 366;
+
+function weekdayOf(date) {
+    return new Date(`${date}T00:00:00Z`).getUTCDay();
+}
+
+/**
+ * First day of the period containing a date (weeks start on Monday)
+ */
+function periodStart(date, groupBy) {
+    if (groupBy === 'month') return `${date.slice(0, 7)}-01`;
+    if (groupBy === 'week') return addDays(date, -((weekdayOf(date) + 6) % 7));
+    return date;
+}
+
+function ratio(part, whole) {
+    return whole > 0 ? Math.round((part / whole) * 1000) / 1000 : 0;
+}
+
+function average(total, count) {
+    return count > 0 ? Math.round((total / count) * 10) / 10 : 0;
+}
+
+/**
+ * Every date from..to inclusive
+ */
+function datesBetween(from, to) {
+    const dates = [];
+    for (let date = from; date <= to; date = addDays(date, 1)) {
+        dates.push(date);
+    }
+    return dates;
+}
+
+/**
+ * Per-day figures for one location
+ * @param {Object} location - locations row
+ * @param {Object} data - { bookings, deskBookings } rows for the location, holidays for all
+ * @param {string} from - YYYY-MM-DD
+ * @param {string} to - YYYY-MM-DD
+ * @param {string} today - YYYY-MM-DD (desk bookings before it are settled)
+ * @returns {Object[]} One entry per date
+ */
+function dailyOccupancy(location, { bookings, deskBookings, holidays }, from, to, today) {
+    const holidayNames = new Map(holidays.map(h => [h.date, h.name]));
+    const days = new Map(datesBetween(from, to).map(date => {
+        const weekday = weekdayOf(date);
+        return [date, {
+            date,
+            weekday: WEEKDAYS[weekday],
+            holiday: holidayNames.get(date) || null,
+            workingDay: weekday !== 0 && weekday !== 6 && !holidayNames.has(date),
+            capacity: location.capacity,
+            bookedPeople: 0,
+            pendingPeople: 0,
+            teams: 0,
+            occupancy: 0,
+            deskBookings: 0,
+            checkIns: 0,
+            noShows: 0,
+            settledDeskBookings: 0
+        }];
+    }));
+
+    bookings.forEach(booking => {
+        const day = days.get(booking.date);
+        if (!day) return;
+        if (booking.status === 'pending') {
+            day.pendingPeople += booking.people_count;
+        } else {
+            day.bookedPeople += booking.people_count;
+            day.teams += 1;
+        }
+    });
+
+    deskBookings.forEach(booking => {
+        const day = days.get(booking.date);
+        if (!day) return;
+        day.deskBookings += 1;
+        if (booking.checked_in) day.checkIns += 1;
+        if (booking.no_show) day.noShows += 1;
+        if (booking.checked_in || booking.no_show || booking.date < today) day.settledDeskBookings += 1;
+    });
+
+    return [...days.values()].map(day => ({ ...day, occupancy: ratio(day.bookedPeople, day.capacity) }));
+}
+
+/**
+ * Totals and averages over a set of days
+ */
+function summarize(days) {
+    const working = days.filter(d => d.workingDay);
+    const peak = working.reduce((best, day) => (!best || day.occupancy > best.occupancy ? day : best), null);
+    const sum = (list, field) => list.reduce((total, day) => total + day[field], 0);
+    const settled = sum(days, 'settledDeskBookings');
+    const noShows = sum(days, 'noShows');
+
+    return {
+        workingDays: working.length,
+        avgOccupancy: ratio(sum(working, 'occupancy'), working.length),
+        peakOccupancy: peak ? peak.occupancy : 0,
+        peakDate: peak && peak.bookedPeople > 0 ? peak.date : null,
+        avgPeople: average(sum(working, 'bookedPeople'), working.length),
+        peopleDays: sum(days, 'bookedPeople'),
+        deskBookings: sum(days, 'deskBookings'),
+        checkIns: sum(days, 'checkIns'),
+        noShows,
+        noShowRate: ratio(noShows, settled)
+    };
+}
+
+/**
+ * Average figures per weekday, busiest first (weekdays without working days are left out)
+ */
+function weekdayBreakdown(days) {
+    return WEEKDAYS
+        .map(weekday => {
+            const matching = days.filter(d => d.workingDay && d.weekday === weekday);
+            const { avgOccupancy, avgPeople, deskBookings, checkIns } = summarize(matching);
+            return {
+                weekday,
+                days: matching.length,
+                avgPeople,
+                avgOccupancy,
+                avgDeskBookings: average(deskBookings, matching.length),
+                avgCheckIns: average(checkIns, matching.length)
+            };
+        })
+        .filter(entry => entry.days > 0)
+        .sort((a, b) => b.avgOccupancy - a.avgOccupancy || b.avgPeople - a.avgPeople);
+}
+
+/**
+ * Summaries per day, week or month
+ */
+function trend(days, groupBy) {
+    const periods = new Map();
+    days.forEach(day => {
+        const period = periodStart(day.date, groupBy);
+        if (!periods.has(period)) periods.set(period, []);
+        periods.get(period).push(day);
+    });
+    return [...periods.entries()].map(([period, periodDays]) => ({ period, ...summarize(periodDays) }));
+}
+
+/**
+ * Days each team was in the office per month
+ * Attendance counts confirmed team bookings; check-ins are team members' desk check-ins.
+ * @returns {Object[]} [{ teamId, teamName, totalDays, months: [{ month, days, peopleDays, checkIns }] }]
+ */
+function teamAttendance({ bookings, deskBookings, teams }) {
+    const teamNames = new Map(teams.map(t => [t.id, t.name]));
+    const byTeam = new Map();
+    const monthEntry = (teamId, teamName, month) => {
+        if (!byTeam.has(teamId)) {
+            byTeam.set(teamId, { teamId, teamName: teamNames.get(teamId) || teamName, months: new Map() });
+        }
+        const months = byTeam.get(teamId).months;
+        if (!months.has(month)) {
+            months.set(month, { month, dates: new Set(), peopleDays: 0, checkIns: 0 });
+        }
+        return months.get(month);
+    };
+
+    bookings
+        .filter(b => b.status !== 'pending' && b.team_id)
+        .forEach(booking => {
+            const entry = monthEntry(booking.team_id, booking.team_name, booking.date.slice(0, 7));
+            entry.dates.add(booking.date);
+            entry.peopleDays += booking.people_count;
+        });
+
+    deskBookings
+        .filter(b => b.checked_in && b.team_id)
+        .forEach(booking => {
+            monthEntry(booking.team_id, null, booking.date.slice(0, 7)).checkIns += 1;
+        });
+
+    return [...byTeam.values()]
+        .map(team => {
+            const months = [...team.months.values()]
+                .sort((a, b) => a.month.localeCompare(b.month))
+                .map(({ month, dates, peopleDays, checkIns }) => ({ month, days: dates.size, peopleDays, checkIns }));
+            return {
+                teamId: team.teamId,
+                teamName: team.teamName || team.teamId,
+                totalDays: months.reduce((total, m) => total + m.days, 0),
+                months
+            };
+        })
+        .sort((a, b) => b.totalDays - a.totalDays || a.teamName.localeCompare(b.teamName));
+}
+
+/**
+ * Full report for a date range
+ * @param {Object} data - { locations, teams, bookings, deskBookings, holidays } rows
+ * @param {Object} options - { from, to, groupBy, today }
+ */
+function buildReport(data, { from, to, groupBy = 'day', today }) {
+    const locations = data.locations.map(location => {
+        const daily = dailyOccupancy(location, {
+            bookings: data.bookings.filter(b => b.location_id === location.id),
+            deskBookings: data.deskBookings.filter(b => b.location_id === location.id),
+            holidays: data.holidays
+        }, from, to, today);
+
+        return {
+            locationId: location.id,
+            name: location.name,
+            capacity: location.capacity,
+            summary: summarize(daily),
+            weekdays: weekdayBreakdown(daily),
+            trend: trend(daily, groupBy),
+            daily
+        };
+    });
+
+    return {
+        from,
+        to,
+        groupBy,
+        locations,
+        teams: teamAttendance(data)
+    };
+}
+
+module.exports = {
+    WEEKDAYS,
+    GROUP_BY,
+    MAX_RANGE_DAYS,
+    periodStart,
+    datesBetween,
+    dailyOccupancy,
+    summarize,
+    weekdayBreakdown,
+    trend,
+    teamAttendance,
+    buildReport
+};
@@ -0,0 +1,203 @@
+/**
+ * Hybrid-work attendance policies
+ *
+ * Policies live in the `attendance_policies` setting:
+ *   {
+ *     default:   { minDaysPerWeek: 2, minDaysPerMonth: 8, anchorDays: [2] },
+ *     locations: { [locationId]: policy | null },
+ *     teams:     { [teamId]: policy | null }
+ *   }
+ * A team follows its own policy, else its location's, else the default. An
+ * explicit null exempts the team (or every team at the location). Anchor days
+ * use JavaScript weekday numbers (0 = Sunday ... 6 = Saturday) and apply to
+ * every working day of that weekday.
+ *
+ * A team attends a day when it has a confirmed booking or a member checked in
+ * at a desk. Days before today are attended; booked days from today on are
+ * planned and count toward the projection. Weekly minimums are checked per
+ * Monday-to-Sunday week within the month, capped at the working days that
+ * week has in the month (so short weeks at either end aren't penalised).
+ */
+
+const { addDays } = require('./recurrence');
+
+const ATTENDANCE_POLICY_SETTING = 'attendance_policies';
+
+const COMPLIANCE_STATUS = {
+    NO_POLICY: 'no_policy',
+    COMPLIANT: 'compliant',
+    AT_RISK: 'at_risk',             // Can still comply by booking more days
+    NON_COMPLIANT: 'non_compliant'  // Can no longer comply this month
+};
+
+function isWholeNumber(value, min, max) {
+    return Number.isInteger(value) && value >= min && value <= max;
+}
+
+/**
+ * Check a single policy
+ * @returns {string|null} Error message, or null when valid
+ */
+function validatePolicy(policy) {
+    if (policy === null) return null;
+    if (!policy || typeof policy !== 'object' || Array.isArray(policy)) {
+        return 'Each policy must be an object or null';
+    }
+    const { minDaysPerWeek, minDaysPerMonth, anchorDays } = policy;
+    if (minDaysPerWeek !== undefined && !isWholeNumber(minDaysPerWeek, 1, 7)) {
+        return 'minDaysPerWeek must be a whole number from 1 to 7';
+    }
+    if (minDaysPerMonth !== undefined && !isWholeNumber(minDaysPerMonth, 1, 31)) {
+        return 'minDaysPerMonth must be a whole number from 1 to 31';
+    }
+    if (anchorDays !== undefined &&
+        (!Array.isArray(anchorDays) || !anchorDays.every(day => isWholeNumber(day, 0, 6)))) {
+        return 'anchorDays must be an array of weekday numbers (0 = Sunday ... 6 = Saturday)';
+    }
+    return null;
+}
+
+/**
+ * Check the whole attendance_policies setting
+ * @returns {string|null} Error message, or null when valid
+ */
+function validatePolicySetting(value) {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        return 'attendance_policies must be an object with default, locations and teams';
+    }
+    const unknown = Object.keys(value).filter(key => !['default', 'locations', 'teams'].includes(key));
+    if (unknown.length > 0) {
+        return `Unknown attendance_policies keys: ${unknown.join(', ')}`;
+    }
+    if (value.default !== undefined) {
+        const invalid = validatePolicy(value.default);
+        if (invalid) return invalid;
+    }
+    for (const group of ['locations', 'teams']) {
+        const policies = value[group];
+        if (policies === undefined) continue;
+        if (!policies || typeof policies !== 'object' || Array.isArray(policies)) {
+            return `${group} must be an object keyed by ID`;
+        }
+        for (const policy of Object.values(policies)) {
+            const invalid = validatePolicy(policy);
+            if (invalid) return invalid;
+        }
+    }
+    return null;
+}
+
+/**
+ * The policy a team follows
+ * @param {Object} setting - attendance_policies value (may be null)
+ * @param {Object} team - teams row
+ * @returns {Object} { policy, source } - source is 'team', 'location', 'default' or null
+ */
+function resolvePolicy(setting, team) {
+    const teams = setting?.teams || {};
+    const locations = setting?.locations || {};
+    if (team.id in teams) return { policy: teams[team.id], source: 'team' };
+    if (team.location_id && team.location_id in locations) {
+        return { policy: locations[team.location_id], source: 'location' };
+    }
+    if (setting?.default) return { policy: setting.default, source: 'default' };
+    return { policy: null, source: null };
+}
+
+function weekdayOf(date) {
+    return new Date(`${date}T00:00:00Z`).getUTCDay();
+}
+
+/**
+ * Every date of a month (YYYY-MM)
+ */
+function monthDates(month) {
+    const dates = [];
+    for (let date = `${month}-01`; date.startsWith(month); date = addDays(date, 1)) {
+        dates.push(date);
+    }
+    return dates;
+}
+
+/**
+ * A team's compliance with its policy for one month
+ * @param {Object|null} policy - { minDaysPerWeek, minDaysPerMonth, anchorDays }
+ * @param {Object} context
+ * @param {string} context.month - YYYY-MM
+ * @param {string} context.today - YYYY-MM-DD
+ * @param {Set<string>} context.attendedDates - Dates with a confirmed booking or desk check-in
+ * @param {Set<string>} context.holidays - Public holiday dates
+ */
+function calculateCompliance(policy, { month, today, attendedDates, holidays }) {
+    const dates = monthDates(month);
+    const isWorking = date => ![0, 6].includes(weekdayOf(date)) && !holidays.has(date);
+    const attended = dates.filter(date => attendedDates.has(date));
+    const attendedDays = attended.filter(date => date < today).length;
+    const plannedDays = attended.length - attendedDays;
+    const openDates = dates.filter(date => date >= today && isWorking(date) && !attendedDates.has(date));
+
+    const result = {
+        status: COMPLIANCE_STATUS.NO_POLICY,
+        requiredDays: policy?.minDaysPerMonth || null,
+        attendedDays,
+        plannedDays,
+        projectedDays: attended.length,
+        remainingWorkingDays: openDates.length,
+        shortfall: 0,
+        missedAnchorDays: [],
+        unbookedAnchorDays: [],
+        weeks: []
+    };
+    if (!policy) return result;
+
+    const anchorDays = policy.anchorDays || [];
+    const anchorDates = dates.filter(date => isWorking(date) && anchorDays.includes(weekdayOf(date)) && !attendedDates.has(date));
+    result.missedAnchorDays = anchorDates.filter(date => date < today);
+    result.unbookedAnchorDays = anchorDates.filter(date => date >= today);
+
+    // Days still needed in each week: for the weekly minimum, or to cover unbooked anchor days
+    let weeklyNeed = 0;
+    let weekUnreachable = false;
+    const weeks = new Map();
+    dates.forEach(date => {
+        const weekStart = addDays(date, -((weekdayOf(date) + 6) % 7));
+        if (!weeks.has(weekStart)) weeks.set(weekStart, []);
+        weeks.get(weekStart).push(date);
+    });
+    weeks.forEach((weekDates, weekStart) => {
+        const projected = weekDates.filter(date => attendedDates.has(date)).length;
+        const open = weekDates.filter(date => openDates.includes(date)).length;
+        const anchorsLeft = weekDates.filter(date => result.unbookedAnchorDays.includes(date)).length;
+        let shortfall = 0;
+        if (policy.minDaysPerWeek) {
+            const required = Math.min(policy.minDaysPerWeek, weekDates.filter(isWorking).length);
+            shortfall = Math.max(0, required - projected);
+            result.weeks.push({ weekStart, required, projected, shortfall });
+        }
+        const need = Math.max(shortfall, anchorsLeft);
+        weeklyNeed += need;
+        if (need > open) weekUnreachable = true;
+    });
+
+    const monthShortfall = policy.minDaysPerMonth ? Math.max(0, policy.minDaysPerMonth - attended.length) : 0;
+    result.shortfall = Math.max(monthShortfall, weeklyNeed);
+
+    if (result.missedAnchorDays.length > 0 || weekUnreachable || result.shortfall > openDates.length) {
+        result.status = COMPLIANCE_STATUS.NON_COMPLIANT;
+    } else if (result.shortfall > 0) {
+        result.status = COMPLIANCE_STATUS.AT_RISK;
+    } else {
+        result.status = COMPLIANCE_STATUS.COMPLIANT;
+    }
+    return result;
+}
+
+module.exports = {
+    ATTENDANCE_POLICY_SETTING,
+    COMPLIANCE_STATUS,
+    validatePolicy,
+    validatePolicySetting,
+    resolvePolicy,
+    monthDates,
+    calculateCompliance
+};
@@ -0,0 +1,206 @@
+/**
+ * Booking Attendees (RSVPs)
+ *
+ * The people who said they are or aren't coming to a team booking
+ * (booking_attendees). Once a booking has attendees, its people_count is the
+ * number confirmed rather than a guess. A confirmed attendee can have a desk
+ * reserved for the day, as close as possible to the team's assigned desks and
+ * the desks teammates already booked; the desk is released again when they
+ * decline or the booking moves.
+ */
+
+const { deskBookingsRepo, attendeesRepo, bookingsRepo } = require('../repositories');
+const { listMembers } = require('./teamMembers');
+const { suggestDesks } = require('./deskSuggestions');
+
+const ATTENDEE_STATUS = {
+    CONFIRMED: 'confirmed',
+    DECLINED: 'declined'
+};
+
+/**
+ * A booking's attendees by name, with the name of the desk reserved for each
+ */
+async function listAttendees(bookingId) {
+    const attendees = await attendeesRepo.find({ booking_id: bookingId }, { orderBy: 'name' });
+    const deskBookingIds = attendees.map(a => a.desk_booking_id).filter(Boolean);
+    const deskBookings = deskBookingIds.length > 0
+        ? await deskBookingsRepo.find({ id: { in: deskBookingIds } }, { fields: 'id, desk_name' })
+        : [];
+    const deskNames = new Map(deskBookings.map(b => [b.id, b.desk_name]));
+
+    return attendees.map(a => ({ ...a, desk_name: deskNames.get(a.desk_booking_id) || null }));
+}
+
+/**
+ * Number of confirmed attendees
+ */
+function countConfirmed(attendees) {
+    return attendees.filter(a => a.status === ATTENDEE_STATUS.CONFIRMED).length;
+}
+
+/**
+ * Check the roster members picked in the booking modal
+ * @param {string} teamId
+ * @param {string[]} [memberIds] - IDs of the members coming
+ * @returns {Promise<Object|null>} { members, memberIds } or { error }; null when nothing was picked
+ */
+async function resolvePicks(teamId, memberIds) {
+    if (memberIds === undefined) return null;
+    if (!Array.isArray(memberIds) || memberIds.length === 0) {
+        return { error: 'Pick at least one team member who is coming' };
+    }
+
+    const members = await listMembers(teamId);
+    const picked = [...new Set(memberIds)];
+    if (picked.some(id => !members.some(member => member.id === id))) {
+        return { error: 'Only members of the team can be picked' };
+    }
+    return { members, memberIds: picked };
+}
+
+/**
+ * Answer for the whole roster at once: picked members are confirmed, the rest declined
+ * Desks reserved by members who are now declined are released.
+ * @param {Object} booking - Booking row
+ * @param {Object} picks - From resolvePicks
+ * @returns {Promise<Object>} { created, updated: [{ before, after }], released } rows
+ */
+async function applyPicks(booking, { members, memberIds }) {
+    const current = await attendeesRepo.find({ booking_id: booking.id });
+    const byEmail = new Map(current.map(a => [a.email, a]));
+    const now = new Date().toISOString();
+    const newRows = [];
+    const updated = [];
+    const releasedIds = [];
+
+    for (const member of members) {
+        const status = memberIds.includes(member.id) ? ATTENDEE_STATUS.CONFIRMED : ATTENDEE_STATUS.DECLINED;
+        const existing = byEmail.get(member.email);
+        if (!existing) {
+            newRows.push({
+                id: `${Date.now()}${newRows.length}`,
+                booking_id: booking.id,
+                email: member.email,
+                name: member.name,
+                status,
+                responded_at: now
+            });
+        } else if (existing.status !== status) {
+            const changes = { status, responded_at: now };
+            if (status === ATTENDEE_STATUS.DECLINED && existing.desk_booking_id) {
+                releasedIds.push(existing.desk_booking_id);
+                changes.desk_booking_id = null;
+            }
+            updated.push({ before: existing, after: await attendeesRepo.updateById(existing.id, changes) });
+        }
+    }
+
+    const created = newRows.length > 0 ? await attendeesRepo.createMany(newRows) : [];
+    const released = releasedIds.length > 0 ? await deskBookingsRepo.remove({ id: { in: releasedIds } }) : [];
+    return { created, updated, released };
+}
+
+/**
+ * Set people_count to the number of confirmed attendees (left alone without attendees)
+ * The count goes through bookingsRepo.updateAtomic, so more people than booked
+ * must still fit on the day under the same lock as new bookings.
+ * @returns {Promise<Object|null>} updateAtomic's { booking } or { reason, remaining }, or null if nothing changed
+ */
+async function recountPeople(booking) {
+    const attendees = await attendeesRepo.find({ booking_id: booking.id }, { fields: 'status' });
+    const count = countConfirmed(attendees);
+    if (attendees.length === 0 || count === booking.people_count) return null;
+
+    return bookingsRepo.updateAtomic(booking.id, { people_count: count });
+}
+
+/**
+ * The best free desk near the team on a booking's day
+ * The top desk suggestion (deskSuggestions.js): the team's own assigned desks
+ * and desks close to them or to teammates score highest, and the person's
+ * favourites count too. Desks assigned to other teams or marked unavailable
+ * are never chosen.
+ * @param {Object} booking - Team booking row (date, location_id, team_id)
+ * @param {string} [email] - Who the desk is for
+ * @returns {Promise<Object|null>} Desk row, or null when every desk is taken
+ */
+async function findDeskNearTeam(booking, email = null) {
+    const [best] = await suggestDesks({
+        locationId: booking.location_id,
+        date: booking.date,
+        teamId: booking.team_id,
+        email,
+        limit: 1
+    });
+    return best?.desk || null;
+}
+
+/**
+ * Book a full-day desk near the team for an attendee
+ * Someone who already has a desk that day keeps it instead.
+ * @param {Object} booking - Team booking row
+ * @param {Object} attendee - { email, name }
+ * @returns {Promise<Object|null>} { deskBooking, desk, created }, or null when no desk is free
+ */
+async function reserveDesk(booking, attendee) {
+    const existing = await deskBookingsRepo.findOne({
+        location_id: booking.location_id,
+        date: booking.date,
+        employee_email: attendee.email,
+        no_show: { neq: true }
+    });
+    if (existing) {
+        return { deskBooking: existing, desk: null, created: false };
+    }
+
+    const desk = await findDeskNearTeam(booking, attendee.email);
+    if (!desk) return null;
+
+    const deskBooking = await deskBookingsRepo.create({
+        id: Date.now().toString(),
+        desk_id: desk.id,
+        desk_name: desk.name,
+        location_id: booking.location_id,
+        date: booking.date,
+        // Full day, following the opening hours
+        start_time: null,
+        end_time: null,
+        employee_name: attendee.name,
+        employee_email: attendee.email,
+        team_id: booking.team_id,
+        checked_in: false,
+        checked_in_at: null,
+        created_at: new Date().toISOString()
+    });
+    return { deskBooking, desk, created: true };
+}
+
+/**
+ * Release the desks reserved through a booking's RSVPs (when it moves or is deleted)
+ * @returns {Promise<Object>} { updated: [{ before, after }] attendees, released } rows
+ */
+async function releaseBookingDesks(bookingId) {
+    const attendees = await attendeesRepo.find({ booking_id: bookingId });
+    const holding = attendees.filter(a => a.desk_booking_id);
+    if (holding.length === 0) return { updated: [], released: [] };
+
+    await attendeesRepo.update({ id: { in: holding.map(a => a.id) } }, { desk_booking_id: null });
+    const released = await deskBookingsRepo.remove({ id: { in: holding.map(a => a.desk_booking_id) } });
+    return {
+        updated: holding.map(before => ({ before, after: { ...before, desk_booking_id: null } })),
+        released
+    };
+}
+
+module.exports = {
+    ATTENDEE_STATUS,
+    listAttendees,
+    countConfirmed,
+    resolvePicks,
+    applyPicks,
+    recountPeople,
+    findDeskNearTeam,
+    reserveDesk,
+    releaseBookingDesks
+};
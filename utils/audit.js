@@ -0,0 +1,115 @@
+/**
+ * Audit log
+ *
+ * Routes record every change they make with recordAudit: who made it (the
+ * signed-in user), from which IP, the row before and after, and the columns
+ * that changed. Entries are append-only (migrations/0003_audit_log.sql) and
+ * keyed by table name and primary key, so an entity's history survives its
+ * deletion. Recording never fails the change itself; errors are logged.
+ */
+
+const crypto = require('crypto');
+const { auditLogRepo, forTable } = require('../repositories');
+const logger = require('./logger');
+
+const AUDIT_ACTIONS = {
+    CREATE: 'create',
+    UPDATE: 'update',
+    DELETE: 'delete'
+};
+
+// Secrets are kept out of the log; changing one still shows in the diff
+const REDACTED_COLUMNS = {
+    calendar_feeds: ['token'],
+    desks: ['qr_code']
+};
+const REDACTED = '[redacted]';
+
+// Bookkeeping columns that change with every write
+const IGNORED_COLUMNS = ['sequence', 'updated_at'];
+
+const CHUNK_SIZE = 500;
+
+function redact(table, row) {
+    if (!row) return null;
+    const copy = { ...row };
+    (REDACTED_COLUMNS[table] || []).forEach(column => {
+        if (copy[column] !== undefined && copy[column] !== null) copy[column] = REDACTED;
+    });
+    return copy;
+}
+
+/**
+ * Columns whose value differs between two versions of a row
+ * @returns {Object} { column: { from, to } } (secrets redacted)
+ */
+function diffRows(table, before, after) {
+    const redacted = REDACTED_COLUMNS[table] || [];
+    const columns = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+    const changes = {};
+
+    columns.forEach(column => {
+        if (IGNORED_COLUMNS.includes(column)) return;
+        const from = before?.[column] ?? null;
+        const to = after?.[column] ?? null;
+        if (JSON.stringify(from) === JSON.stringify(to)) return;
+        changes[column] = redacted.includes(column)
+            ? { from: from === null ? null : REDACTED, to: to === null ? null : REDACTED }
+            : { from, to };
+    });
+    return changes;
+}
+
+/**
+ * Build the audit_log row for one change
+ * @param {Object} req - Request that made the change (actor and IP)
+ * @param {Object} change - { action, table, before, after } with rows as stored (snake_case)
+ * @param {string} createdAt - Timestamp shared by the request's entries
+ */
+function auditEntry(req, { action, table, before = null, after = null }, createdAt) {
+    const row = after || before;
+    return {
+        id: crypto.randomUUID(),
+        action,
+        entity_type: table,
+        entity_id: String(row[forTable(table).primaryKey]),
+        location_id: (table === 'locations' ? row.id : row.location_id) || null,
+        team_id: (table === 'teams' ? row.id : row.team_id) || null,
+        actor_email: (req.user?.email || '').trim().toLowerCase() || null,
+        actor_name: req.user?.name || null,
+        ip: req.ip || null,
+        old_values: redact(table, before),
+        new_values: redact(table, after),
+        changes: action === AUDIT_ACTIONS.UPDATE ? diffRows(table, before, after) : null,
+        created_at: createdAt
+    };
+}
+
+/**
+ * Record changes made by a request
+ * Updates that changed nothing but bookkeeping columns are skipped.
+ * @param {Object} req - Express request (req.user is the actor)
+ * @param {Object|Object[]} changes - { action, table, before, after }, or several
+ */
+async function recordAudit(req, changes) {
+    try {
+        const createdAt = new Date().toISOString();
+        const entries = [].concat(changes)
+            .filter(change => change && (change.after || change.before))
+            .map(change => auditEntry(req, change, createdAt))
+            .filter(entry => entry.action !== AUDIT_ACTIONS.UPDATE || Object.keys(entry.changes).length > 0);
+
+        for (let i = 0; i < entries.length; i += CHUNK_SIZE) {
+            await auditLogRepo.createMany(entries.slice(i, i + CHUNK_SIZE));
+        }
+    } catch (error) {
+        logger.error('Error recording audit log:', error);
+    }
+}
+
+module.exports = {
+    AUDIT_ACTIONS,
+    diffRows,
+    auditEntry,
+    recordAudit
+};
@@ -0,0 +1,328 @@
+/**
+ * Database backups
+ *
+ * A backup is a gzipped JSON archive of every table, read and written
+ * through the repositories, so it works the same on Supabase, PostgreSQL and
+ * the in-memory database and can move data between them. The archive records
+ * its format version, the schema version (latest migration) it was taken at,
+ * row counts and a checksum of the rows, and is validated before a restore
+ * touches the database.
+ *
+ * Restores run table by table with parents first. Supabase has no
+ * cross-request transaction, so a restore that fails part way leaves the
+ * tables it has already written; the backup CLI takes a safety backup before
+ * it replaces or merges into existing data.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { TABLES } = require('../config/memorySchema');
+const { loadMigrations } = require('./migrations');
+
+const BACKUP_FORMAT = 'office-booking-backup';
+const BACKUP_VERSION = 1;
+const FILE_PATTERN = /^office-booking-(\d{8}-\d{6}-\d{3})\.json\.gz$/;
+
+// Every table, parents before the rows that reference them (restore order)
+const BACKUP_TABLES = [
+    'locations',
+    'teams',
+    'team_members',
+    'booking_series',
+    'bookings',
+    'booking_approvals',
+    'booking_waitlist',
+    'public_holidays',
+    'desks',
+    'desk_favourites',
+    'desk_bookings',
+    'booking_attendees',
+    'floor_elements',
+    'room_bookings',
+    'settings',
+    'role_assignments',
+    'calendar_feeds',
+    'calendar_cancellations',
+    'audit_log'
+];
+
+// Serial keys are left to the database on restore, so its sequence stays
+// ahead of the restored rows; these tables match rows on a natural key instead
+const NATURAL_KEYS = { public_holidays: 'date' };
+
+// Rows here are never updated or deleted, so every mode keeps the current
+// rows and only adds the archive's rows that are missing
+const APPEND_ONLY_TABLES = ['audit_log'];
+
+const RESTORE_MODES = ['empty', 'replace', 'merge'];
+const CHUNK_SIZE = 500;
+
+class BackupError extends Error {}
+
+function primaryKeyOf(table) {
+    return Object.entries(TABLES[table].columns).find(([, column]) => column.primaryKey)[0];
+}
+
+function chunks(rows) {
+    const result = [];
+    for (let i = 0; i < rows.length; i += CHUNK_SIZE) result.push(rows.slice(i, i + CHUNK_SIZE));
+    return result;
+}
+
+function tablesChecksum(tables) {
+    return crypto.createHash('sha256').update(JSON.stringify(tables)).digest('hex');
+}
+
+/**
+ * The version of the newest migration, i.e. the schema this code expects
+ */
+function currentSchemaVersion() {
+    const migrations = loadMigrations();
+    return migrations.length ? migrations[migrations.length - 1].version : 0;
+}
+
+/**
+ * Read every table into an archive object
+ * @param {Object} repos - A repository set (repositories/ or createRepositories)
+ * @param {Object} options - { now } timestamp to record
+ */
+async function createBackup(repos, { now = new Date() } = {}) {
+    const tables = {};
+    for (const table of BACKUP_TABLES) {
+        // The trash is backed up too
+        tables[table] = await repos.forTable(table).findAll({}, { withDeleted: true });
+    }
+
+    return {
+        format: BACKUP_FORMAT,
+        version: BACKUP_VERSION,
+        createdAt: now.toISOString(),
+        schemaVersion: currentSchemaVersion(),
+        counts: Object.fromEntries(BACKUP_TABLES.map(table => [table, tables[table].length])),
+        checksum: tablesChecksum(tables),
+        tables
+    };
+}
+
+/**
+ * Check an archive before restoring it
+ * @returns {string[]} Problems found (empty if the archive can be restored)
+ */
+function validateBackup(archive) {
+    if (!archive || typeof archive !== 'object' || archive.format !== BACKUP_FORMAT) {
+        return ['Not an office booking backup'];
+    }
+    if (!Number.isInteger(archive.version) || archive.version > BACKUP_VERSION) {
+        return [`Backup format version ${archive.version} is newer than this app supports (${BACKUP_VERSION})`];
+    }
+    if (!archive.tables || typeof archive.tables !== 'object') {
+        return ['Backup has no tables'];
+    }
+
+    const problems = [];
+    const schemaVersion = currentSchemaVersion();
+    if (archive.schemaVersion > schemaVersion) {
+        problems.push(`Backup was taken at schema version ${archive.schemaVersion}, but this database is at ${schemaVersion}; run npm run migrate first`);
+    }
+    if (archive.checksum !== tablesChecksum(archive.tables)) {
+        problems.push('Checksum mismatch: the backup is damaged or was edited');
+    }
+
+    Object.entries(archive.tables).forEach(([table, rows]) => {
+        if (!BACKUP_TABLES.includes(table)) {
+            problems.push(`Unknown table "${table}"`);
+            return;
+        }
+        if (!Array.isArray(rows)) {
+            problems.push(`${table}: rows must be an array`);
+            return;
+        }
+        const key = NATURAL_KEYS[table] || primaryKeyOf(table);
+        const columns = TABLES[table].columns;
+        const unknown = new Set();
+        rows.forEach((row, i) => {
+            if (!row || typeof row !== 'object' || row[key] === undefined || row[key] === null) {
+                problems.push(`${table} row ${i + 1}: missing ${key}`);
+                return;
+            }
+            Object.keys(row).filter(column => !columns[column]).forEach(column => unknown.add(column));
+        });
+        if (unknown.size > 0) {
+            problems.push(`${table}: unknown column(s) ${[...unknown].join(', ')}`);
+        }
+        if (archive.counts && archive.counts[table] !== rows.length) {
+            problems.push(`${table}: expected ${archive.counts[table]} rows, found ${rows.length}`);
+        }
+    });
+
+    return problems;
+}
+
+/**
+ * Write an archive into the database
+ * @param {Object} repos - A repository set
+ * @param {Object} archive - From createBackup() or readBackup()
+ * @param {Object} options - { mode }:
+ *   empty   - (default) refuse unless the archive's tables are all empty
+ *   replace - delete the current rows of the archive's tables first
+ *   merge   - upsert by primary key, keeping rows the archive doesn't have
+ *   Append-only tables (the audit log) are merged without updates in every mode.
+ * @returns {Promise<Object>} Rows restored by table
+ */
+async function restoreBackup(repos, archive, { mode = 'empty' } = {}) {
+    if (!RESTORE_MODES.includes(mode)) {
+        throw new BackupError(`Restore mode must be one of: ${RESTORE_MODES.join(', ')}`);
+    }
+    const problems = validateBackup(archive);
+    if (problems.length > 0) {
+        throw new BackupError(`Backup failed validation: ${problems.join('; ')}`);
+    }
+
+    // Tables added after the backup was taken are left alone
+    const tables = BACKUP_TABLES.filter(table => Array.isArray(archive.tables[table]));
+
+    if (mode === 'empty') {
+        const nonEmpty = [];
+        for (const table of tables) {
+            if (await repos.forTable(table).findOne({}, { withDeleted: true })) nonEmpty.push(table);
+        }
+        if (nonEmpty.length > 0) {
+            throw new BackupError(`The database already has rows in ${nonEmpty.join(', ')}; restore with replace or merge`);
+        }
+    }
+
+    if (mode === 'replace') {
+        // Children first, so nothing is left pointing at a deleted parent
+        for (const table of [...tables].reverse().filter(t => !APPEND_ONLY_TABLES.includes(t))) {
+            const repo = repos.forTable(table);
+            const ids = (await repo.findAll({}, { fields: repo.primaryKey, withDeleted: true })).map(row => row[repo.primaryKey]);
+            for (const chunk of chunks(ids)) {
+                await repo.remove({ [repo.primaryKey]: { in: chunk } });
+            }
+        }
+    }
+
+    const counts = {};
+    for (const table of tables) {
+        const repo = repos.forTable(table);
+        const naturalKey = NATURAL_KEYS[table];
+        const rows = naturalKey
+            ? archive.tables[table].map(row => {
+                const withoutSerial = { ...row };
+                delete withoutSerial[repo.primaryKey];
+                return withoutSerial;
+            })
+            : archive.tables[table];
+
+        for (const chunk of chunks(rows)) {
+            if (APPEND_ONLY_TABLES.includes(table)) {
+                const key = repo.primaryKey;
+                const existing = await repo.find({ [key]: { in: chunk.map(row => row[key]) } }, { fields: key });
+                const present = new Set(existing.map(row => row[key]));
+                const missing = chunk.filter(row => !present.has(row[key]));
+                if (missing.length > 0) await repo.createMany(missing);
+            } else {
+                await repo.upsertMany(chunk, { onConflict: naturalKey || repo.primaryKey });
+            }
+        }
+        counts[table] = rows.length;
+    }
+    return counts;
+}
+
+/**
+ * File name for a backup taken at a time (UTC to the millisecond, sorts oldest first)
+ */
+function backupFileName(date) {
+    const [, day, time, ms] = date.toISOString().match(/^(\S{10})T(\S{8})\.(\d{3})Z$/);
+    return `office-booking-${day.replace(/-/g, '')}-${time.replace(/:/g, '')}-${ms}.json.gz`;
+}
+
+function fileDate(file) {
+    const [, stamp] = file.match(FILE_PATTERN);
+    const [day, time, ms] = stamp.split('-');
+    return new Date(`${day.slice(0, 4)}-${day.slice(4, 6)}-${day.slice(6)}T${time.slice(0, 2)}:${time.slice(2, 4)}:${time.slice(4)}.${ms}Z`);
+}
+
+/**
+ * Save an archive to a directory (created if needed)
+ * @returns {string} Path of the new file
+ */
+function writeBackup(archive, dir) {
+    fs.mkdirSync(dir, { recursive: true });
+    const file = path.join(dir, backupFileName(new Date(archive.createdAt)));
+    // Write then rename, so a crash never leaves a truncated archive under a backup's name
+    const partial = `${file}.partial`;
+    fs.writeFileSync(partial, zlib.gzipSync(JSON.stringify(archive)));
+    fs.renameSync(partial, file);
+    return file;
+}
+
+/**
+ * Load an archive written by writeBackup (gzipped or plain JSON)
+ */
+function readBackup(file) {
+    let buffer;
+    try {
+        buffer = fs.readFileSync(file);
+    } catch (error) {
+        throw new BackupError(`Can't read ${file}: ${error.message}`);
+    }
+    try {
+        const gzipped = buffer[0] === 0x1f && buffer[1] === 0x8b;
+        return JSON.parse((gzipped ? zlib.gunzipSync(buffer) : buffer).toString('utf8'));
+    } catch (error) {
+        throw new BackupError(`${file} is not a readable backup: ${error.message}`);
+    }
+}
+
+/**
+ * Backups in a directory, newest first
+ * @returns {Array<{ file, path, createdAt, size }>}
+ */
+function listBackups(dir) {
+    if (!fs.existsSync(dir)) return [];
+    return fs.readdirSync(dir)
+        .filter(file => FILE_PATTERN.test(file))
+        .sort()
+        .reverse()
+        .map(file => ({
+            file,
+            path: path.join(dir, file),
+            createdAt: fileDate(file),
+            size: fs.statSync(path.join(dir, file)).size
+        }));
+}
+
+/**
+ * Delete backups older than the retention period. The newest backup is
+ * always kept, however old, so a stalled schedule never leaves none.
+ * @returns {string[]} Files deleted
+ */
+function pruneBackups(dir, { retentionDays, now = new Date() }) {
+    const cutoff = now.getTime() - retentionDays * 24 * 60 * 60 * 1000;
+    return listBackups(dir)
+        .slice(1)
+        .filter(backup => backup.createdAt.getTime() < cutoff)
+        .map(backup => {
+            fs.unlinkSync(backup.path);
+            return backup.file;
+        });
+}
+
+module.exports = {
+    BACKUP_FORMAT,
+    BACKUP_VERSION,
+    BACKUP_TABLES,
+    RESTORE_MODES,
+    BackupError,
+    createBackup,
+    validateBackup,
+    restoreBackup,
+    writeBackup,
+    readBackup,
+    listBackups,
+    pruneBackups
+};
@@ -0,0 +1,260 @@
+/**
+ * Calendar subscription feeds
+ *
+ * Each feed is reached through an unguessable token so calendar clients
+ * (Outlook, Google Calendar) can poll it without signing in:
+ *   team     - a team's office days
+ *   location - every team's office days at a location, plus public holidays
+ *   person   - the feed owner's desk bookings
+ *
+ * Events keep their UID for life and carry a SEQUENCE that is bumped on every
+ * change. Deleted bookings leave a row in calendar_cancellations so feeds can
+ * publish them as cancelled and clients remove the day; restoring one from
+ * the trash takes that row back.
+ */
+
+const crypto = require('crypto');
+const { calendarCancellationsRepo, forTable } = require('../repositories');
+const { addDays } = require('./recurrence');
+const logger = require('./logger');
+
+const FEED_TYPES = ['team', 'location', 'person'];
+
+// Feeds cover this many past days plus everything ahead
+const FEED_HISTORY_DAYS = 90;
+
+/**
+ * Generate a new feed token (192 random bits)
+ */
+function generateFeedToken() {
+    return crypto.randomBytes(24).toString('base64url');
+}
+
+/**
+ * First date included in feeds (YYYY-MM-DD)
+ */
+function feedWindowStart(now = new Date()) {
+    return addDays(now.toISOString().split('T')[0], -FEED_HISTORY_DAYS);
+}
+
+/**
+ * SEQUENCE for the next revision of a booking or desk booking row
+ */
+function nextSequence(row) {
+    return (row.sequence || 0) + 1;
+}
+
+// Booking UIDs match the single-booking .ics download so imported events line up
+const EVENT_UIDS = {
+    bookings: id => `${id}@officebooking`,
+    desk_bookings: id => `desk-${id}@officebooking`,
+    room_bookings: id => `room-${id}@officebooking`,
+    public_holidays: date => `holiday-${date}@officebooking`
+};
+
+function bookingSummary(booking) {
+    return `${booking.team_name} - Office Booking`;
+}
+
+function deskBookingSummary(booking) {
+    return `Desk ${booking.desk_name}`;
+}
+
+/**
+ * Feed event for an office booking (pending overbookings are tentative)
+ * @param {Object} booking - bookings row
+ * @param {Object} [options]
+ * @param {string} [options.locationName]
+ * @param {string} [options.manager] - Team manager's name
+ */
+function bookingEvent(booking, { locationName, manager } = {}) {
+    const description = [
+        `Team: ${booking.team_name}`,
+        `People: ${booking.people_count}`,
+        manager ? `Manager: ${manager}` : null,
+        booking.notes || null
+    ].filter(Boolean).join('\n');
+
+    return {
+        uid: EVENT_UIDS.bookings(booking.id),
+        date: booking.date,
+        summary: bookingSummary(booking),
+        description,
+        location: locationName || 'Office',
+        sequence: booking.sequence,
+        status: booking.status === 'pending' ? 'TENTATIVE' : 'CONFIRMED'
+    };
+}
+
+/**
+ * Feed event for a desk booking (released no-shows are cancelled)
+ * @param {Object} booking - desk_bookings row
+ */
+function deskBookingEvent(booking, { locationName } = {}) {
+    return {
+        uid: EVENT_UIDS.desk_bookings(booking.id),
+        date: booking.date,
+        startTime: booking.start_time,
+        endTime: booking.end_time,
+        summary: deskBookingSummary(booking),
+        description: `Desk booking for ${booking.employee_name}`,
+        location: [booking.desk_name, locationName].filter(Boolean).join(', '),
+        sequence: booking.sequence,
+        status: booking.no_show ? 'CANCELLED' : 'CONFIRMED'
+    };
+}
+
+/**
+ * Calendar event for a meeting room booking
+ * @param {Object} booking - room_bookings row
+ */
+function roomBookingEvent(booking, { locationName } = {}) {
+    const description = [
+        `Booked by ${booking.employee_name}`,
+        booking.attendee_count ? `People: ${booking.attendee_count}` : null
+    ].filter(Boolean).join('\n');
+
+    return {
+        uid: EVENT_UIDS.room_bookings(booking.id),
+        date: booking.date,
+        startTime: booking.start_time,
+        endTime: booking.end_time,
+        summary: booking.title || `Room ${booking.room_name}`,
+        description,
+        location: [booking.room_name, locationName].filter(Boolean).join(', '),
+        sequence: booking.sequence,
+        status: 'CONFIRMED'
+    };
+}
+
+function holidayEvent(holiday) {
+    return {
+        uid: EVENT_UIDS.public_holidays(holiday.date),
+        date: holiday.date,
+        summary: `Public Holiday: ${holiday.name}`
+    };
+}
+
+/**
+ * Feed event for a deleted booking
+ * @param {Object} cancellation - calendar_cancellations row
+ */
+function cancellationEvent(cancellation) {
+    return {
+        uid: cancellation.id,
+        date: cancellation.date,
+        startTime: cancellation.start_time,
+        endTime: cancellation.end_time,
+        summary: cancellation.summary,
+        sequence: cancellation.sequence,
+        status: 'CANCELLED'
+    };
+}
+
+/**
+ * Remember deleted bookings so feeds can publish their cancellation
+ * Also used when a booking moves to another team or location, so it is
+ * cancelled in the feeds it left. Failures are logged, not thrown.
+ * @param {string} table - 'bookings' or 'desk_bookings'
+ * @param {Object[]} rows - The rows as they were before the change
+ */
+async function recordCancellations(table, rows) {
+    const windowStart = feedWindowStart();
+    const cancellations = rows
+        .filter(row => row && row.date >= windowStart)
+        .map(row => ({
+            id: EVENT_UIDS[table](row.id),
+            source: table,
+            date: row.date,
+            start_time: row.start_time || null,
+            end_time: row.end_time || null,
+            team_id: row.team_id || null,
+            location_id: row.location_id || null,
+            employee_email: row.employee_email || null,
+            summary: table === 'bookings' ? bookingSummary(row) : deskBookingSummary(row),
+            sequence: nextSequence(row),
+            cancelled_at: new Date().toISOString()
+        }));
+
+    for (const cancellation of cancellations) {
+        try {
+            await calendarCancellationsRepo.upsert(cancellation, { onConflict: 'id' });
+        } catch (error) {
+            logger.error(`Error recording calendar cancellation ${cancellation.id}:`, error);
+        }
+    }
+}
+
+/**
+ * Record cancellations for every row about to be removed with a parent record
+ * (e.g. a team's bookings or a desk's desk bookings)
+ * @param {string} table - 'bookings' or 'desk_bookings'
+ * @param {string} column - Foreign key column
+ * @param {string} value - Parent ID
+ */
+async function recordCancellationsWhere(table, column, value) {
+    let rows;
+    try {
+        rows = await forTable(table).find({ [column]: value, date: { gte: feedWindowStart() } });
+    } catch (error) {
+        logger.error('Error recording calendar cancellations:', error);
+        return;
+    }
+    await recordCancellations(table, rows);
+}
+
+/**
+ * Take back the cancellations of bookings restored from the trash
+ * Each booking's SEQUENCE moves past its cancellation's, so calendar clients
+ * replace the cancelled event with the live one. Failures are logged, not thrown.
+ * @param {string} table - 'bookings' or 'desk_bookings'
+ * @param {Object[]} rows - The restored rows
+ * @returns {Promise<Object[]>} The rows, with the new sequence where it changed
+ */
+async function reviveCancellations(table, rows) {
+    if (rows.length === 0) return rows;
+
+    let cancellations;
+    try {
+        cancellations = await calendarCancellationsRepo.find({ id: { in: rows.map(row => EVENT_UIDS[table](row.id)) } });
+    } catch (error) {
+        logger.error('Error reading calendar cancellations:', error);
+        return rows;
+    }
+    const byUid = new Map(cancellations.map(c => [c.id, c]));
+
+    const revived = [];
+    for (const row of rows) {
+        const cancellation = byUid.get(EVENT_UIDS[table](row.id));
+        if (!cancellation) {
+            revived.push(row);
+            continue;
+        }
+        try {
+            const updated = await forTable(table).updateById(row.id, { sequence: cancellation.sequence + 1 });
+            await calendarCancellationsRepo.removeById(cancellation.id);
+            revived.push(updated || row);
+        } catch (error) {
+            logger.error(`Error reviving calendar event ${cancellation.id}:`, error);
+            revived.push(row);
+        }
+    }
+    return revived;
+}
+
+module.exports = {
+    FEED_TYPES,
+    FEED_HISTORY_DAYS,
+    EVENT_UIDS,
+    generateFeedToken,
+    feedWindowStart,
+    nextSequence,
+    bookingEvent,
+    deskBookingEvent,
+    roomBookingEvent,
+    holidayEvent,
+    cancellationEvent,
+    recordCancellations,
+    recordCancellationsWhere,
+    reviveCancellations
+};
@@ -0,0 +1,251 @@
+/**
+ * Demo dataset for local development (npm run seed)
+ *
+ * Builds two locations with floor plans, eight teams, desks, and a month of
+ * team and desk bookings. The data is generated from a seeded random number
+ * generator, so the same options always give the same rows, and every id
+ * starts with "demo-" so the set can be replaced or removed without touching
+ * anything else in the database.
+ */
+
+const { addDays } = require('./recurrence');
+
+const DEMO_PREFIX = 'demo-';
+
+const LOCATIONS = [
+    { id: 'demo-jhb', name: 'Johannesburg HQ', address: '14 Fredman Drive, Sandton', capacity: 40, floors: 2 },
+    { id: 'demo-cpt', name: 'Cape Town', address: '5 Bree Street, Cape Town', capacity: 18, floors: 1 }
+];
+
+// officeDays: the weekdays (1 = Monday) each team usually comes in
+const TEAMS = [
+    { id: 'demo-engineering', name: 'Engineering', manager: 'Thandi Nkosi', color: '#3B82F6', memberCount: 12, locationId: 'demo-jhb', officeDays: [2, 3, 4] },
+    { id: 'demo-design', name: 'Design', manager: 'Pieter van Wyk', color: '#EC4899', memberCount: 5, locationId: 'demo-jhb', officeDays: [1, 3] },
+    { id: 'demo-product', name: 'Product', manager: 'Aisha Patel', color: '#8B5CF6', memberCount: 6, locationId: 'demo-jhb', officeDays: [2, 3] },
+    { id: 'demo-sales', name: 'Sales', manager: 'Sipho Dlamini', color: '#F59E0B', memberCount: 9, locationId: 'demo-jhb', officeDays: [1, 2, 4] },
+    { id: 'demo-finance', name: 'Finance', manager: 'Megan Smith', color: '#10B981', memberCount: 4, locationId: 'demo-jhb', officeDays: [1, 4, 5] },
+    { id: 'demo-support', name: 'Customer Support', manager: 'Lerato Mokoena', color: '#EF4444', memberCount: 8, locationId: 'demo-cpt', officeDays: [1, 2, 3, 4] },
+    { id: 'demo-marketing', name: 'Marketing', manager: 'James October', color: '#F97316', memberCount: 5, locationId: 'demo-cpt', officeDays: [2, 4] },
+    { id: 'demo-people', name: 'People & Culture', manager: 'Zanele Khumalo', color: '#14B8A6', memberCount: 3, locationId: 'demo-cpt', officeDays: [3] }
+];
+
+const FIRST_NAMES = ['Anele', 'Ben', 'Chloe', 'Daniel', 'Esther', 'Farid', 'Grace', 'Hendrik', 'Imani', 'Jabu', 'Kayla', 'Liam', 'Naledi', 'Omar', 'Palesa', 'Ruan'];
+const LAST_NAMES = ['Botha', 'Cele', 'Daniels', 'Fourie', 'Govender', 'Jacobs', 'Mahlangu', 'Naidoo', 'Pillay', 'Steyn', 'Zulu'];
+
+// Desk grid per floor: rows of desks between two meeting rooms
+const DESKS_PER_ROW = 6;
+const DESK_ROWS = { 'demo-jhb': 3, 'demo-cpt': 3 };
+
+/**
+ * Deterministic random numbers in [0, 1) (mulberry32)
+ */
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+function slug(value) {
+    return value.toLowerCase().replace(/[^a-z0-9]+/g, '.').replace(/^\.|\.$/g, '');
+}
+
+function emailFor(name) {
+    return `${slug(name)}@example.com`;
+}
+
+/**
+ * The team's members, manager first. offset is the number of members handed
+ * out to earlier teams, so nobody is in two teams.
+ */
+function membersOf(team, offset) {
+    const members = [team.manager];
+    for (let i = 1; i < team.memberCount; i++) {
+        // Stepping by 7 (coprime with the number of names) visits every first/last name pair once
+        const n = ((offset + i) * 7) % (FIRST_NAMES.length * LAST_NAMES.length);
+        members.push(`${FIRST_NAMES[n % FIRST_NAMES.length]} ${LAST_NAMES[Math.floor(n / FIRST_NAMES.length)]}`);
+    }
+    return members;
+}
+
+function buildDesks(location, teams) {
+    const desks = [];
+    const floorElements = [];
+    const rows = DESK_ROWS[location.id];
+    // Team seats go to the location's largest team
+    const anchorTeam = teams.filter(t => t.locationId === location.id).sort((a, b) => b.memberCount - a.memberCount)[0];
+
+    for (let floor = 1; floor <= location.floors; floor++) {
+        const tag = `${location.id.slice(DEMO_PREFIX.length)}-${floor}`;
+        for (let row = 0; row < rows; row++) {
+            for (let col = 0; col < DESKS_PER_ROW; col++) {
+                const number = row * DESKS_PER_ROW + col + 1;
+                const teamSeat = floor === 1 && row === 0 && col < 4;
+                desks.push({
+                    id: `demo-desk-${tag}-${String(number).padStart(2, '0')}`,
+                    name: `${floor}.${String(number).padStart(2, '0')}`,
+                    location_id: location.id,
+                    floor: String(floor),
+                    zone: row < 2 ? 'North' : 'South',
+                    x: 220 + col * 80,
+                    y: 80 + row * 110,
+                    width: 60,
+                    height: 40,
+                    desk_type: teamSeat ? 'team_seat' : number === rows * DESKS_PER_ROW ? 'unavailable' : 'hotseat',
+                    assigned_team_id: teamSeat ? anchorTeam.id : null,
+                    chair_positions: row % 2 === 0 ? ['bottom'] : ['top']
+                });
+            }
+        }
+
+        floorElements.push(
+            { id: `demo-room-${tag}-a`, type: 'room', location_id: location.id, floor: String(floor), x: 20, y: 60, width: 160, height: 140, label: 'Boardroom', color: '#DBEAFE' },
+            { id: `demo-room-${tag}-b`, type: 'room', location_id: location.id, floor: String(floor), x: 20, y: 240, width: 160, height: 100, label: 'Focus room', color: '#DCFCE7' },
+            { id: `demo-wall-${tag}`, type: 'wall', location_id: location.id, floor: String(floor), x: 200, y: 40, width: 500, height: 8, rotation: 0 },
+            { id: `demo-label-${tag}`, type: 'label', location_id: location.id, floor: String(floor), x: 420, y: 20, width: 120, height: 24, label: `Floor ${floor}` }
+        );
+    }
+    return { desks, floorElements };
+}
+
+/**
+ * Build the demo rows (snake_case, ready to insert)
+ * @param {Object} options - { startDate (YYYY-MM-DD, default today), days (default 30),
+ *   seed (default 1), today (for check-ins, default today) }
+ * @returns {Object} Rows keyed by table
+ */
+function buildDemoData({ startDate, days = 30, seed = 1, today } = {}) {
+    const random = createRandom(seed);
+    const todayStr = today || new Date().toISOString().split('T')[0];
+    const start = startDate || todayStr;
+
+    const locations = LOCATIONS.map(l => ({ ...l, floor_plan_width: 760, floor_plan_height: 420 }));
+    const teams = TEAMS.map(t => ({
+        id: t.id,
+        name: t.name,
+        manager: t.manager,
+        manager_email: emailFor(t.manager),
+        manager_image: '',
+        color: t.color,
+        member_count: t.memberCount,
+        location_id: t.locationId
+    }));
+
+    const desks = [];
+    const floorElements = [];
+    LOCATIONS.forEach(location => {
+        const built = buildDesks(location, TEAMS);
+        desks.push(...built.desks);
+        floorElements.push(...built.floorElements);
+    });
+
+    let offset = 0;
+    const members = new Map(TEAMS.map(team => {
+        const teamMembers = membersOf(team, offset);
+        offset += team.memberCount;
+        return [team.id, teamMembers];
+    }));
+    const bookings = [];
+    const deskBookings = [];
+
+    for (let d = 0; d < days; d++) {
+        const date = addDays(start, d);
+        const weekday = new Date(`${date}T00:00:00Z`).getUTCDay();
+        if (weekday === 0 || weekday === 6) continue;
+
+        LOCATIONS.forEach(location => {
+            let booked = 0;
+            const openDesks = desks.filter(desk => desk.location_id === location.id && desk.desk_type !== 'unavailable');
+
+            TEAMS.filter(t => t.locationId === location.id).forEach(team => {
+                // Teams mostly keep to their office days, with the odd extra day
+                const usual = team.officeDays.includes(weekday);
+                if (!(usual ? random() < 0.85 : random() < 0.1)) return;
+
+                const peopleCount = Math.max(1, Math.round(team.memberCount * (0.5 + random() * 0.5)));
+                if (booked + peopleCount > location.capacity) return;
+                booked += peopleCount;
+
+                bookings.push({
+                    id: `demo-booking-${team.id.slice(DEMO_PREFIX.length)}-${date}`,
+                    date,
+                    team_id: team.id,
+                    team_name: team.name,
+                    people_count: peopleCount,
+                    location_id: location.id,
+                    notes: usual ? '' : 'Planning day',
+                    is_overbooked: false,
+                    status: 'confirmed'
+                });
+
+                // Most of the people coming in also book a desk; team seats go to their own team first
+                members.get(team.id).slice(0, peopleCount).forEach(name => {
+                    if (random() < 0.25) return;
+                    const index = openDesks.findIndex(desk => !desk.assigned_team_id || desk.assigned_team_id === team.id);
+                    if (index === -1) return;
+                    const [desk] = openDesks.splice(index, 1);
+                    const past = date < todayStr;
+                    const noShow = past && random() < 0.08;
+
+                    deskBookings.push({
+                        id: `demo-desk-booking-${desk.id.slice('demo-desk-'.length)}-${date}`,
+                        desk_id: desk.id,
+                        desk_name: desk.name,
+                        location_id: location.id,
+                        date,
+                        start_time: null,
+                        end_time: null,
+                        employee_name: name,
+                        employee_email: emailFor(name),
+                        team_id: team.id,
+                        checked_in: past && !noShow,
+                        checked_in_at: past && !noShow ? `${date}T0${7 + Math.floor(random() * 3)}:${String(Math.floor(random() * 60)).padStart(2, '0')}:00Z` : null,
+                        no_show: noShow,
+                        released_at: noShow ? `${date}T10:00:00Z` : null
+                    });
+                });
+            });
+        });
+    }
+
+    return {
+        locations,
+        teams,
+        desks,
+        floor_elements: floorElements,
+        bookings,
+        desk_bookings: deskBookings
+    };
+}
+
+/**
+ * Write the demo rows through the repositories. Rows are upserted by id, so
+ * seeding twice doesn't duplicate anything.
+ * @param {Object} repos - From repositories/ (or createRepositories)
+ * @param {Object} data - From buildDemoData()
+ * @param {Object} options - { reset } first delete the existing demo locations
+ *   and teams, and with them every row that belongs to them
+ * @returns {Promise<Object>} Row counts by table
+ */
+async function seedDemoData(repos, data, { reset = false } = {}) {
+    if (reset) {
+        await repos.teamsRepo.remove({ id: { like: `${DEMO_PREFIX}%` } });
+        await repos.locationsRepo.remove({ id: { like: `${DEMO_PREFIX}%` } });
+    }
+
+    // Parents before the rows that reference them
+    await repos.locationsRepo.upsertMany(data.locations);
+    await repos.teamsRepo.upsertMany(data.teams);
+    await repos.desksRepo.upsertMany(data.desks);
+    await repos.floorElementsRepo.upsertMany(data.floor_elements);
+    await repos.bookingsRepo.upsertMany(data.bookings);
+    await repos.deskBookingsRepo.upsertMany(data.desk_bookings);
+
+    return Object.fromEntries(Object.entries(data).map(([table, rows]) => [table, rows.length]));
+}
+
+module.exports = { DEMO_PREFIX, buildDemoData, seedDemoData };
@@ -0,0 +1,68 @@
+/**
+ * Desk Search
+ *
+ * Finds desks by what they offer (desks.amenities and docking_type) and by
+ * whether they're free for every day of a date range, for the floor plan's
+ * filter bar and for people booking a desk for several days.
+ */
+
+const { desksRepo, deskBookingsRepo } = require('../repositories');
+
+// Longest date range one search can cover
+const MAX_SEARCH_DAYS = 31;
+
+/**
+ * Whether a desk has every amenity asked for (and the docking type, if one is)
+ * @param {Object} desk - Desk row
+ * @param {Object} filters - { amenities, dockingType }
+ */
+function matchesAttributes(desk, { amenities = [], dockingType = null } = {}) {
+    // Desks read without the amenities column (added in migration 0008) have none
+    const tags = Array.isArray(desk.amenities) ? desk.amenities : [];
+    if (!amenities.every(amenity => tags.includes(amenity))) return false;
+    return !dockingType || desk.docking_type === dockingType;
+}
+
+/**
+ * Desks that anyone on a team can book: hotseats, and team seats of that team
+ * Unavailable desks never are.
+ */
+function isBookableBy(desk, teamId) {
+    return desk.desk_type !== 'unavailable' && (!desk.assigned_team_id || desk.assigned_team_id === teamId);
+}
+
+/**
+ * Desks with the attributes asked for that nobody has booked on any day from `from` to `to`
+ * @param {Object} options
+ * @param {string} options.locationId
+ * @param {string} options.from - YYYY-MM-DD
+ * @param {string} options.to - YYYY-MM-DD, inclusive
+ * @param {string} [options.teamId] - Include that team's seats
+ * @param {string} [options.floor]
+ * @param {string[]} [options.amenities]
+ * @param {string} [options.dockingType]
+ * @returns {Promise<Object[]>} Desk rows by floor and name
+ */
+async function findFreeDesks({ locationId, from, to, teamId = null, floor = null, amenities = [], dockingType = null }) {
+    const desks = await desksRepo.find({ location_id: locationId }, { orderBy: 'name' });
+    const bookings = await deskBookingsRepo.find(
+        { location_id: locationId, date: { gte: from, lte: to }, no_show: { neq: true } },
+        { fields: 'desk_id' }
+    );
+    const taken = new Set(bookings.map(b => b.desk_id));
+
+    return desks
+        .filter(desk => !taken.has(desk.id) &&
+            isBookableBy(desk, teamId) &&
+            (!floor || String(desk.floor) === String(floor)) &&
+            matchesAttributes(desk, { amenities, dockingType }))
+        .sort((a, b) => String(a.floor).localeCompare(String(b.floor)) ||
+            a.name.localeCompare(b.name, undefined, { numeric: true }));
+}
+
+module.exports = {
+    MAX_SEARCH_DAYS,
+    matchesAttributes,
+    isBookableBy,
+    findFreeDesks
+};
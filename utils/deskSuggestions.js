@@ -0,0 +1,133 @@
+/**
+ * Desk Suggestions
+ *
+ * Ranks the desks still free on a day for one person, so they don't have to
+ * hunt the floor map by eye. A desk scores for being one of their team's
+ * assigned desks, for being close (by its x/y position on the same floor) to
+ * the team's desks and to desks teammates already booked that day, and for
+ * being one of the person's favourites. Desks without the amenities asked
+ * for (deskSearch.js), marked unavailable or assigned to another team are
+ * left out.
+ */
+
+const { desksRepo, deskBookingsRepo, deskFavouritesRepo, teamsRepo, teamMembersRepo } = require('../repositories');
+const { matchesAttributes, isBookableBy } = require('./deskSearch');
+
+// Points for each reason a desk suits someone
+const WEIGHTS = {
+    TEAM_DESK: 40,
+    NEAR_TEAM: 30,
+    FAVOURITE: 25
+};
+
+// Beyond this distance (in floor plan units) a desk is no longer "near" the team
+const NEAR_DISTANCE = 600;
+
+function deskCentre(desk) {
+    return { x: (desk.x || 0) + (desk.width || 0) / 2, y: (desk.y || 0) + (desk.height || 0) / 2 };
+}
+
+function distance(a, b) {
+    const from = deskCentre(a);
+    const to = deskCentre(b);
+    return Math.hypot(from.x - to.x, from.y - to.y);
+}
+
+/**
+ * The team someone belongs to at a location, from the team rosters
+ * @returns {Promise<string|null>} Team ID, or null when they're on no roster there
+ */
+async function findTeamOf(email, locationId) {
+    if (!email) return null;
+    const memberships = await teamMembersRepo.find({ email }, { fields: 'team_id' });
+    if (memberships.length === 0) return null;
+
+    const teams = await teamsRepo.find(
+        { id: { in: memberships.map(m => m.team_id) }, location_id: locationId },
+        { fields: 'id', orderBy: 'name' }
+    );
+    return teams[0]?.id || null;
+}
+
+/**
+ * Rank the desks free all day at a location for one person
+ * @param {Object} options
+ * @param {string} options.locationId
+ * @param {string} options.date - YYYY-MM-DD
+ * @param {string} [options.teamId] - Their team; desks near it score higher
+ * @param {string} [options.email] - Who the desk is for; their favourites score higher
+ * @param {string[]} [options.amenities] - Amenities every suggested desk must have
+ * @param {string} [options.dockingType] - Docking station every suggested desk must have
+ * @param {string} [options.floor] - Only suggest desks on this floor
+ * @param {number} [options.limit] - Most suggestions to return (all when omitted)
+ * @returns {Promise<Object[]>} [{ desk, score, reasons }], best first
+ */
+async function suggestDesks({ locationId, date, teamId = null, email = null, amenities = [], dockingType = null, floor = null, limit = null }) {
+    const desks = await desksRepo.find({ location_id: locationId }, { orderBy: 'name' });
+    const dayBookings = await deskBookingsRepo.find(
+        { location_id: locationId, date, no_show: { neq: true } },
+        { fields: 'desk_id, team_id, employee_name, employee_email' }
+    );
+    const favourites = email
+        ? new Set((await deskFavouritesRepo.find({ user_email: email }, { fields: 'desk_id' })).map(f => f.desk_id))
+        : new Set();
+    const teammates = teamId
+        ? new Set((await teamMembersRepo.find({ team_id: teamId }, { fields: 'email' })).map(m => m.email))
+        : new Set();
+
+    // Desks teammates sit at that day, with who is sitting there
+    const taken = new Set(dayBookings.map(b => b.desk_id));
+    const teammateNames = new Map();
+    for (const booking of dayBookings) {
+        const isTeammate = teamId && (booking.team_id === teamId || teammates.has(booking.employee_email));
+        if (isTeammate && booking.employee_email !== email) {
+            teammateNames.set(booking.desk_id, booking.employee_name);
+        }
+    }
+    const anchors = teamId
+        ? desks.filter(d => d.assigned_team_id === teamId || teammateNames.has(d.id))
+        : [];
+
+    const free = desks.filter(d => !taken.has(d.id) &&
+        isBookableBy(d, teamId) &&
+        (!floor || String(d.floor) === String(floor)) &&
+        matchesAttributes(d, { amenities, dockingType }));
+
+    const ranked = free.map(desk => {
+        let score = 0;
+        const reasons = [];
+
+        if (teamId && desk.assigned_team_id === teamId) {
+            score += WEIGHTS.TEAM_DESK;
+            reasons.push('Your team\'s desk');
+        }
+
+        const nearest = anchors
+            .filter(anchor => anchor.id !== desk.id && anchor.floor === desk.floor)
+            .map(anchor => ({ anchor, distance: distance(desk, anchor) }))
+            .sort((a, b) => a.distance - b.distance)[0];
+        if (nearest && nearest.distance < NEAR_DISTANCE) {
+            score += WEIGHTS.NEAR_TEAM * (1 - nearest.distance / NEAR_DISTANCE);
+            const name = teammateNames.get(nearest.anchor.id);
+            reasons.push(name ? `Near ${name}` : 'Near your team');
+        }
+
+        if (favourites.has(desk.id)) {
+            score += WEIGHTS.FAVOURITE;
+            reasons.push('Favourite');
+        }
+
+        return { desk, score: Math.round(score * 10) / 10, reasons };
+    });
+    ranked.sort((a, b) => (b.score - a.score) ||
+        String(a.desk.floor).localeCompare(String(b.desk.floor)) ||
+        a.desk.name.localeCompare(b.desk.name, undefined, { numeric: true }));
+
+    return limit ? ranked.slice(0, limit) : ranked;
+}
+
+module.exports = {
+    WEIGHTS,
+    findTeamOf,
+    suggestDesks
+};
@@ -0,0 +1,143 @@
+/**
+ * iCalendar (RFC 5545) formatting
+ * Builds VCALENDAR documents for single-booking downloads and subscription feeds.
+ */
+
+const { addDays } = require('./recurrence');
+
+const PRODUCT_ID = '-//Office Booking System//EN';
+
+// Content lines longer than this many octets must be folded
+const MAX_LINE_OCTETS = 75;
+
+/**
+ * Escape a TEXT value (backslashes, separators and newlines)
+ */
+function escapeText(value) {
+    return String(value ?? '')
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Fold a content line into chunks of at most 75 octets, continuation lines start with a space
+ */
+function foldLine(line) {
+    if (Buffer.byteLength(line) <= MAX_LINE_OCTETS) return line;
+
+    const chunks = [];
+    let current = '';
+    let limit = MAX_LINE_OCTETS;
+    for (const char of line) {
+        if (Buffer.byteLength(current + char) > limit) {
+            chunks.push(current);
+            current = '';
+            limit = MAX_LINE_OCTETS - 1;
+        }
+        current += char;
+    }
+    chunks.push(current);
+    return chunks.join('\r\n ');
+}
+
+/**
+ * YYYY-MM-DD to an iCalendar DATE (YYYYMMDD)
+ */
+function formatDate(date) {
+    return date.replace(/-/g, '');
+}
+
+/**
+ * A Date to a UTC DATE-TIME (YYYYMMDDTHHMMSSZ)
+ */
+function formatTimestamp(date) {
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Date plus HH:MM[:SS] to a floating local DATE-TIME (YYYYMMDDTHHMMSS)
+ */
+function formatLocalDateTime(date, time) {
+    const [hours, minutes, seconds = '00'] = time.split(':');
+    return `${formatDate(date)}T${hours}${minutes}${seconds.slice(0, 2)}`;
+}
+
+/**
+ * Content lines for one VEVENT
+ * @param {Object} event
+ * @param {string} event.uid - Stable across feed refreshes
+ * @param {string} event.date - YYYY-MM-DD
+ * @param {string} [event.startTime] - HH:MM, leave out for an all-day event
+ * @param {string} [event.endTime] - HH:MM
+ * @param {string} event.summary
+ * @param {string} [event.description]
+ * @param {string} [event.location]
+ * @param {number} [event.sequence] - Revision number, increases with every change
+ * @param {string} [event.status] - CONFIRMED, TENTATIVE or CANCELLED
+ * @param {Date} [stamp] - DTSTAMP (when the calendar was generated)
+ */
+function eventLines(event, stamp = new Date()) {
+    const lines = [
+        'BEGIN:VEVENT',
+        `UID:${event.uid}`,
+        `DTSTAMP:${formatTimestamp(stamp)}`
+    ];
+
+    if (event.startTime && event.endTime) {
+        lines.push(`DTSTART:${formatLocalDateTime(event.date, event.startTime)}`);
+        lines.push(`DTEND:${formatLocalDateTime(event.date, event.endTime)}`);
+    } else {
+        lines.push(`DTSTART;VALUE=DATE:${formatDate(event.date)}`);
+        lines.push(`DTEND;VALUE=DATE:${formatDate(addDays(event.date, 1))}`);
+    }
+
+    lines.push(`SUMMARY:${escapeText(event.summary)}`);
+    if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+    if (event.location) lines.push(`LOCATION:${escapeText(event.location)}`);
+    lines.push(`SEQUENCE:${event.sequence || 0}`);
+    lines.push(`STATUS:${event.status || 'CONFIRMED'}`);
+    lines.push('TRANSP:TRANSPARENT');
+    lines.push('END:VEVENT');
+
+    return lines;
+}
+
+/**
+ * Build a VCALENDAR document
+ * @param {Object[]} events - See eventLines
+ * @param {Object} [options]
+ * @param {string} [options.name] - Calendar name shown by subscribing clients
+ * @param {string} [options.refreshInterval] - Suggested polling interval (ISO 8601 duration)
+ * @returns {string} CRLF-separated, folded content
+ */
+function buildCalendar(events, { name, refreshInterval } = {}) {
+    const stamp = new Date();
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:${PRODUCT_ID}`,
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH'
+    ];
+
+    if (name) lines.push(`X-WR-CALNAME:${escapeText(name)}`);
+    if (refreshInterval) {
+        lines.push(`REFRESH-INTERVAL;VALUE=DURATION:${refreshInterval}`);
+        lines.push(`X-PUBLISHED-TTL:${refreshInterval}`);
+    }
+
+    events.forEach(event => lines.push(...eventLines(event, stamp)));
+    lines.push('END:VCALENDAR');
+
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+    escapeText,
+    foldLine,
+    formatDate,
+    formatTimestamp,
+    buildCalendar
+};
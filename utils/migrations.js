@@ -0,0 +1,246 @@
+/**
+ * Schema Migrations
+ *
+ * The schema is built from numbered SQL files in migrations/
+ * (0001_initial_schema.sql, 0002_...), each with a `-- migrate:up` section
+ * and an optional `-- migrate:down` section. Applied migrations are recorded
+ * in schema_migrations with a checksum of their file, so a migration edited
+ * after it has run is reported instead of silently drifting from the
+ * databases that ran the old version. Each migration runs in its own
+ * transaction, and an advisory lock keeps two runners from racing.
+ *
+ * The in-memory backend doesn't run SQL: its tables are config/memorySchema.js,
+ * which must be updated alongside every migration that changes a table.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+const FILE_PATTERN = /^(\d+)_([a-z0-9_]+)\.sql$/;
+const UP_MARKER = '-- migrate:up';
+const DOWN_MARKER = '-- migrate:down';
+
+// Arbitrary key for pg_advisory_lock, shared by every runner
+const LOCK_KEY = 4242017;
+
+class MigrationError extends Error {}
+
+/**
+ * SHA-256 of a migration file, ignoring line endings so a checkout on
+ * Windows matches one on Linux
+ */
+function checksum(sql) {
+    return crypto.createHash('sha256').update(sql.replace(/\r\n/g, '\n')).digest('hex');
+}
+
+/**
+ * Split a migration file into its up and down SQL
+ * @returns {{ version, name, file, checksum, up, down }} down is null when the file has none
+ */
+function parseMigration(file, sql) {
+    const match = file.match(FILE_PATTERN);
+    if (!match) {
+        throw new MigrationError(`${file}: migration files are named <number>_<name>.sql, e.g. 0003_add_desk_notes.sql`);
+    }
+
+    const lines = sql.replace(/\r\n/g, '\n').split('\n');
+    const upAt = lines.findIndex(line => line.trim() === UP_MARKER);
+    const downAt = lines.findIndex(line => line.trim() === DOWN_MARKER);
+    if (upAt === -1 || (downAt !== -1 && downAt < upAt)) {
+        throw new MigrationError(`${file}: expected a "${UP_MARKER}" line before any "${DOWN_MARKER}" line`);
+    }
+
+    const section = (start, end) => lines.slice(start + 1, end).join('\n').trim();
+    const up = section(upAt, downAt === -1 ? lines.length : downAt);
+    const down = downAt === -1 ? '' : section(downAt, lines.length);
+    if (!up) {
+        throw new MigrationError(`${file}: the up section is empty`);
+    }
+
+    return {
+        version: parseInt(match[1], 10),
+        name: match[2],
+        file,
+        checksum: checksum(sql),
+        up,
+        down: down || null
+    };
+}
+
+/**
+ * Every migration in a directory, in version order
+ */
+function loadMigrations(dir = MIGRATIONS_DIR) {
+    const migrations = fs.readdirSync(dir)
+        .filter(file => file.endsWith('.sql'))
+        .map(file => parseMigration(file, fs.readFileSync(path.join(dir, file), 'utf8')))
+        .sort((a, b) => a.version - b.version);
+
+    migrations.forEach((migration, i) => {
+        if (i > 0 && migration.version === migrations[i - 1].version) {
+            throw new MigrationError(`${migrations[i - 1].file} and ${migration.file} have the same version`);
+        }
+    });
+    return migrations;
+}
+
+/**
+ * File name for a new migration, numbered after the latest one
+ */
+function newMigrationFile(migrations, name) {
+    const slug = String(name || '').toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+    if (!slug) {
+        throw new MigrationError('A migration needs a name, e.g. add_desk_notes');
+    }
+    const version = migrations.reduce((max, m) => Math.max(max, m.version), 0) + 1;
+    return `${String(version).padStart(4, '0')}_${slug}.sql`;
+}
+
+class MigrationRunner {
+    /**
+     * @param {Object} client - A single PostgreSQL connection (pg Client), so
+     *   BEGIN and COMMIT reach the same session
+     * @param {Array} migrations - From loadMigrations()
+     */
+    constructor(client, migrations) {
+        this.client = client;
+        this.migrations = migrations;
+    }
+
+    async ensureTable() {
+        await this.client.query(`
+            CREATE TABLE IF NOT EXISTS schema_migrations (
+                version INTEGER PRIMARY KEY,
+                name TEXT NOT NULL,
+                checksum TEXT NOT NULL,
+                applied_at TIMESTAMPTZ DEFAULT NOW()
+            )
+        `);
+    }
+
+    async applied() {
+        const { rows } = await this.client.query(
+            'SELECT version, name, checksum, applied_at FROM schema_migrations ORDER BY version'
+        );
+        return rows;
+    }
+
+    /**
+     * Every migration with its state:
+     *   applied - ran and unchanged since
+     *   changed - ran, but the file has been edited since
+     *   pending - not run yet
+     *   missing - recorded as run, but the file no longer exists
+     */
+    async status() {
+        await this.ensureTable();
+        const applied = new Map((await this.applied()).map(row => [row.version, row]));
+
+        const known = this.migrations.map(migration => {
+            const row = applied.get(migration.version);
+            let state = 'pending';
+            if (row) state = row.checksum === migration.checksum ? 'applied' : 'changed';
+            return { version: migration.version, name: migration.name, state, appliedAt: row ? row.applied_at : null };
+        });
+        const missing = [...applied.values()]
+            .filter(row => !this.migrations.some(m => m.version === row.version))
+            .map(row => ({ version: row.version, name: row.name, state: 'missing', appliedAt: row.applied_at }));
+
+        return [...known, ...missing].sort((a, b) => a.version - b.version);
+    }
+
+    /**
+     * Apply pending migrations in version order
+     * @param {Object} options - { to } highest version to apply (default all)
+     * @returns {Promise<Array>} The migrations applied
+     */
+    up({ to } = {}) {
+        return this.withLock(async () => {
+            const status = await this.status();
+            this.assertUnchanged(status);
+
+            const pending = new Set(status.filter(s => s.state === 'pending').map(s => s.version));
+            const toApply = this.migrations.filter(m => pending.has(m.version) && (to === undefined || m.version <= to));
+
+            for (const migration of toApply) {
+                await this.inTransaction(migration, migration.up, () => this.client.query(
+                    'INSERT INTO schema_migrations (version, name, checksum) VALUES ($1, $2, $3)',
+                    [migration.version, migration.name, migration.checksum]
+                ));
+            }
+            return toApply;
+        });
+    }
+
+    /**
+     * Revert applied migrations, newest first
+     * @param {Object} options - { to } revert everything above this version,
+     *   otherwise { steps } migrations (default 1)
+     * @returns {Promise<Array>} The migrations reverted
+     */
+    down({ to, steps = 1 } = {}) {
+        return this.withLock(async () => {
+            const status = await this.status();
+            const applied = status.filter(s => s.state !== 'pending').reverse();
+            const targets = to === undefined ? applied.slice(0, steps) : applied.filter(s => s.version > to);
+            this.assertUnchanged(targets);
+
+            const reverted = [];
+            for (const target of targets) {
+                const migration = this.migrations.find(m => m.version === target.version);
+                if (!migration.down) {
+                    throw new MigrationError(`${migration.file} has no "${DOWN_MARKER}" section and can't be reverted`);
+                }
+                await this.inTransaction(migration, migration.down, () => this.client.query(
+                    'DELETE FROM schema_migrations WHERE version = $1',
+                    [migration.version]
+                ));
+                reverted.push(migration);
+            }
+            return reverted;
+        });
+    }
+
+    assertUnchanged(status) {
+        const problems = status
+            .filter(s => s.state === 'changed' || s.state === 'missing')
+            .map(s => `${s.version}_${s.name} (${s.state === 'changed' ? 'edited after it was applied' : 'file not found'})`);
+        if (problems.length > 0) {
+            throw new MigrationError(`Applied migrations don't match the files: ${problems.join(', ')}. ` +
+                'Restore the original files and make further changes in a new migration.');
+        }
+    }
+
+    async inTransaction(migration, sql, record) {
+        await this.client.query('BEGIN');
+        try {
+            await this.client.query(sql);
+            await record();
+            await this.client.query('COMMIT');
+        } catch (error) {
+            await this.client.query('ROLLBACK');
+            throw new MigrationError(`${migration.file} failed and was rolled back: ${error.message}`);
+        }
+    }
+
+    async withLock(fn) {
+        await this.client.query('SELECT pg_advisory_lock($1)', [LOCK_KEY]);
+        try {
+            return await fn();
+        } finally {
+            await this.client.query('SELECT pg_advisory_unlock($1)', [LOCK_KEY]);
+        }
+    }
+}
+
+module.exports = {
+    MIGRATIONS_DIR,
+    MigrationError,
+    MigrationRunner,
+    checksum,
+    parseMigration,
+    loadMigrations,
+    newMigrationFile
+};
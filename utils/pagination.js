@@ -0,0 +1,25 @@
+/**
+ * Paged reads
+ * Supabase caps a select at 1000 rows by default, so reports that may match
+ * more rows read them a page at a time.
+ */
+
+const PAGE_SIZE = 1000;
+
+/**
+ * Select every matching row, a page at a time (ordered by id so pages don't overlap)
+ * @param {Function} buildQuery - () => query builder (a fresh one per page)
+ * @param {string} orderBy - A unique column to page by, for tables keyed on something else
+ * @returns {Promise<Object[]>}
+ */
+async function selectAll(buildQuery, orderBy = 'id') {
+    const rows = [];
+    for (let offset = 0; ; offset += PAGE_SIZE) {
+        const { data, error } = await buildQuery().order(orderBy).range(offset, offset + PAGE_SIZE - 1);
+        if (error) throw error;
+        rows.push(...(data || []));
+        if (!data || data.length < PAGE_SIZE) return rows;
+    }
+}
+
+module.exports = { PAGE_SIZE, selectAll };
@@ -0,0 +1,124 @@
+/**
+ * Desk QR code rendering
+ * QR codes are encoded locally (qrcode package) so check-in URLs never leave the server.
+ */
+
+const QRCode = require('qrcode');
+const { signQrToken } = require('./qrTokens');
+
+const PNG_SIZES = { min: 100, max: 1000, default: 300 };
+
+/**
+ * Get the base URL check-in links should point at, from PUBLIC_URL
+ * The request's Host header is never used: a spoofed one would print codes
+ * that send people to someone else's site.
+ * @returns {string|null} Null when PUBLIC_URL isn't set
+ */
+function getPublicBaseUrl() {
+    return process.env.PUBLIC_URL ? process.env.PUBLIC_URL.replace(/\/+$/, '') : null;
+}
+
+/**
+ * Build the check-in URL encoded in a desk's QR code
+ * @param {string} baseUrl - From getPublicBaseUrl
+ * @param {Object} desk - Desk row
+ * @param {Object} [options] - { expiresAt } for time-boxed codes (see signQrToken)
+ */
+function getCheckinUrl(baseUrl, desk, options) {
+    return `${baseUrl}/checkin.html?code=${encodeURIComponent(signQrToken(desk.qr_code, options))}`;
+}
+
+/**
+ * Render a QR code as an SVG string
+ */
+function renderQrSvg(text) {
+    return QRCode.toString(text, { type: 'svg', errorCorrectionLevel: 'M', margin: 2 });
+}
+
+/**
+ * Render a QR code as a PNG buffer
+ * @param {string} text - Content to encode
+ * @param {number} [size] - Width/height in pixels (clamped to 100-1000)
+ */
+function renderQrPng(text, size = PNG_SIZES.default) {
+    const width = Math.min(Math.max(parseInt(size) || PNG_SIZES.default, PNG_SIZES.min), PNG_SIZES.max);
+    return QRCode.toBuffer(text, { type: 'png', errorCorrectionLevel: 'M', margin: 2, width });
+}
+
+function escapeHtml(text) {
+    return String(text ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Render a printable HTML sheet of labelled QR codes
+ * @param {Object} options
+ * @param {Object} options.location - Location row
+ * @param {string} options.floor - Floor shown in the heading
+ * @param {Object[]} options.desks - Desk rows, already sorted
+ * @param {string} options.baseUrl - Base URL for check-in links
+ * @returns {Promise<string>} HTML document
+ */
+async function renderQrSheet({ location, floor, desks, baseUrl }) {
+    const cards = await Promise.all(desks.map(async desk => `
+        <div class="qr-card">
+            ${await renderQrSvg(getCheckinUrl(baseUrl, desk))}
+            <div class="qr-desk-name">${escapeHtml(desk.name)}</div>
+            <div class="qr-desk-meta">${escapeHtml(location.name)} &middot; Floor ${escapeHtml(floor)}${desk.zone ? ` &middot; ${escapeHtml(desk.zone)}` : ''}</div>
+            <div class="qr-hint">Scan to check in</div>
+        </div>
+    `));
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <title>Desk QR codes - ${escapeHtml(location.name)} Floor ${escapeHtml(floor)}</title>
+    <style>
+        body { font-family: Arial, Helvetica, sans-serif; margin: 1.5rem; color: #111; }
+        h1 { font-size: 1.25rem; margin: 0 0 1rem; }
+        .toolbar { margin-bottom: 1rem; }
+        .qr-grid { display: grid; grid-template-columns: repeat(3, 1fr); gap: 1rem; }
+        .qr-card { border: 1px dashed #999; border-radius: 6px; padding: 0.75rem; text-align: center; break-inside: avoid; page-break-inside: avoid; }
+        .qr-card svg { width: 160px; height: 160px; }
+        .qr-desk-name { font-size: 1.1rem; font-weight: bold; margin-top: 0.25rem; }
+        .qr-desk-meta, .qr-hint { font-size: 0.75rem; color: #555; }
+        .empty { color: #555; }
+        @media print {
+            body { margin: 0; }
+            .toolbar { display: none; }
+        }
+    </style>
+</head>
+<body>
+    <h1>${escapeHtml(location.name)} &middot; Floor ${escapeHtml(floor)} &middot; ${desks.length} desk${desks.length === 1 ? '' : 's'}</h1>
+    <div class="toolbar"><button onclick="window.print()">Print / Save as PDF</button></div>
+    ${desks.length > 0 ? `<div class="qr-grid">${cards.join('')}</div>` : '<p class="empty">No desks on this floor</p>'}
+</body>
+</html>`;
+}
+
+/**
+ * Desk rows without their check-in codes, for responses and events anyone can read
+ * Codes only leave the server rendered, through the admin QR endpoints.
+ * @param {Object|Object[]} desks - Desk rows
+ */
+function withoutQrCode(desks) {
+    if (Array.isArray(desks)) return desks.map(withoutQrCode);
+    const desk = { ...desks };
+    delete desk.qr_code;
+    return desk;
+}
+
+module.exports = {
+    withoutQrCode,
+    getPublicBaseUrl,
+    getCheckinUrl,
+    renderQrSvg,
+    renderQrPng,
+    renderQrSheet
+};
@@ -0,0 +1,99 @@
+/**
+ * Signed desk QR tokens
+ *
+ * A token is `<deskCode>.<expiry>.<signature>`:
+ *   deskCode  - the desk's qr_code (regenerating it revokes every token for the desk)
+ *   expiry    - unix seconds after which the token is rejected, or 0 for no expiry
+ *   signature - HMAC-SHA256 of `<deskCode>.<expiry>` (base64url), keyed by QR_SIGNING_SECRET
+ */
+
+const crypto = require('crypto');
+
+// Development fallback only - production must set QR_SIGNING_SECRET
+const DEV_SECRET = 'dev-only-qr-signing-secret';
+
+const QR_ERRORS = {
+    REQUIRED: 'QR_REQUIRED',
+    MALFORMED: 'QR_MALFORMED',
+    INVALID_SIGNATURE: 'QR_INVALID_SIGNATURE',
+    EXPIRED: 'QR_EXPIRED',
+    WRONG_DESK: 'QR_WRONG_DESK'
+};
+
+function getSecret() {
+    if (process.env.QR_SIGNING_SECRET) return process.env.QR_SIGNING_SECRET;
+    if (process.env.NODE_ENV === 'production') {
+        throw new Error('QR_SIGNING_SECRET must be set in production');
+    }
+    return DEV_SECRET;
+}
+
+function sign(payload) {
+    return crypto.createHmac('sha256', getSecret()).update(payload).digest('base64url');
+}
+
+/**
+ * Generate a new random desk code
+ */
+function generateDeskCode() {
+    return crypto.randomBytes(12).toString('hex');
+}
+
+/**
+ * Get the end of the current day (server local time) as a Date
+ * Used for QR codes on kiosk screens that rotate daily.
+ */
+function endOfDay(now = new Date()) {
+    const end = new Date(now);
+    end.setHours(23, 59, 59, 999);
+    return end;
+}
+
+/**
+ * Create a signed token for a desk code
+ * @param {string} deskCode - The desk's qr_code
+ * @param {Object} [options]
+ * @param {Date} [options.expiresAt] - Leave out for a token that never expires (printed labels)
+ */
+function signQrToken(deskCode, { expiresAt } = {}) {
+    const expiry = expiresAt ? Math.floor(expiresAt.getTime() / 1000) : 0;
+    const payload = `${deskCode}.${expiry}`;
+    return `${payload}.${sign(payload)}`;
+}
+
+/**
+ * Verify a signed token
+ * @returns {Object} { deskCode, expiresAt } or { error } with one of QR_ERRORS
+ */
+function verifyQrToken(token, now = new Date()) {
+    if (!token) {
+        return { error: QR_ERRORS.REQUIRED };
+    }
+
+    const parts = String(token).split('.');
+    if (parts.length !== 3 || !parts[0] || !/^\d+$/.test(parts[1])) {
+        return { error: QR_ERRORS.MALFORMED };
+    }
+
+    const [deskCode, expiry, signature] = parts;
+    const expected = Buffer.from(sign(`${deskCode}.${expiry}`));
+    const actual = Buffer.from(signature);
+    if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+        return { error: QR_ERRORS.INVALID_SIGNATURE };
+    }
+
+    const expiresAt = Number(expiry) > 0 ? new Date(Number(expiry) * 1000) : null;
+    if (expiresAt && expiresAt < now) {
+        return { error: QR_ERRORS.EXPIRED };
+    }
+
+    return { deskCode, expiresAt };
+}
+
+module.exports = {
+    QR_ERRORS,
+    generateDeskCode,
+    endOfDay,
+    signQrToken,
+    verifyQrToken
+};
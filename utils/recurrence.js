@@ -0,0 +1,196 @@
+/**
+ * Recurrence rule helpers for booking series
+ *
+ * A rule describes how a series repeats:
+ *   { frequency: 'weekly', interval: 1, weekdays: [2, 4], until: '2026-03-31' }
+ *   { frequency: 'monthly', interval: 1, weekOfMonth: 1, weekday: 1, count: 6 }
+ *
+ * Weekdays use JavaScript numbering (0 = Sunday ... 6 = Saturday).
+ * weekOfMonth is 1-5 for the Nth weekday of the month, or -1 for the last one.
+ * Either `until` (inclusive) or `count` must be given. As in iCalendar, `count`
+ * counts generated occurrences, so dates skipped later (e.g. holidays) still use
+ * up a slot.
+ */
+
+// Hard upper bound so a bad rule can never generate an unbounded series
+const MAX_OCCURRENCES = 366;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Parse a YYYY-MM-DD string into a UTC Date (avoids timezone drift)
+ */
+function parseDate(dateStr) {
+    const [year, month, day] = dateStr.split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, day));
+}
+
+/**
+ * Format a UTC Date as YYYY-MM-DD
+ */
+function formatDate(date) {
+    return date.toISOString().split('T')[0];
+}
+
+/**
+ * Today's date (YYYY-MM-DD) on the UTC clock, the day desk check-ins count against
+ * @param {Date} [now] - Current time (injectable for tests)
+ */
+function utcToday(now = new Date()) {
+    return formatDate(now);
+}
+
+/**
+ * Add a number of days to a YYYY-MM-DD string
+ */
+function addDays(dateStr, days) {
+    return formatDate(new Date(parseDate(dateStr).getTime() + days * DAY_MS));
+}
+
+/**
+ * Check for a real YYYY-MM-DD date (2026-02-31 fails: Date.UTC would roll it into March)
+ */
+function isValidDateStr(value) {
+    return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) && formatDate(parseDate(value)) === value;
+}
+
+/**
+ * Validate a recurrence rule
+ * @returns {string|null} Error message or null if valid
+ */
+function validateRecurrenceRule(rule) {
+    if (!rule || typeof rule !== 'object') {
+        return 'Recurrence rule is required';
+    }
+    if (!['weekly', 'monthly'].includes(rule.frequency)) {
+        return 'Frequency must be weekly or monthly';
+    }
+    if (rule.interval !== undefined && (!Number.isInteger(rule.interval) || rule.interval < 1 || rule.interval > 52)) {
+        return 'Interval must be a whole number between 1 and 52';
+    }
+    if (rule.frequency === 'weekly') {
+        if (!Array.isArray(rule.weekdays) || rule.weekdays.length === 0) {
+            return 'Weekly rules need at least one weekday';
+        }
+        if (!rule.weekdays.every(d => Number.isInteger(d) && d >= 0 && d <= 6)) {
+            return 'Weekdays must be numbers from 0 (Sunday) to 6 (Saturday)';
+        }
+    }
+    if (rule.frequency === 'monthly') {
+        if (!Number.isInteger(rule.weekday) || rule.weekday < 0 || rule.weekday > 6) {
+            return 'Monthly rules need a weekday from 0 (Sunday) to 6 (Saturday)';
+        }
+        if (![1, 2, 3, 4, 5, -1].includes(rule.weekOfMonth)) {
+            return 'weekOfMonth must be 1-5, or -1 for the last week';
+        }
+    }
+    if (!rule.until && !rule.count) {
+        return 'Recurrence needs an end date (until) or an occurrence count';
+    }
+    if (rule.until && !isValidDateStr(rule.until)) {
+        return 'until must be a date in YYYY-MM-DD format';
+    }
+    if (rule.count !== undefined && (!Number.isInteger(rule.count) || rule.count < 1 || rule.count > MAX_OCCURRENCES)) {
+        return `count must be between 1 and ${MAX_OCCURRENCES}`;
+    }
+    return null;
+}
+
+/**
+ * Get the Nth weekday of a month (n = -1 for the last), or null if it doesn't exist
+ */
+function nthWeekdayOfMonth(year, month, weekday, n) {
+    if (n === -1) {
+        const last = new Date(Date.UTC(year, month + 1, 0));
+        const offset = (last.getUTCDay() - weekday + 7) % 7;
+        return new Date(last.getTime() - offset * DAY_MS);
+    }
+    const first = new Date(Date.UTC(year, month, 1));
+    const offset = (weekday - first.getUTCDay() + 7) % 7;
+    const date = new Date(Date.UTC(year, month, 1 + offset + (n - 1) * 7));
+    return date.getUTCMonth() === month ? date : null;
+}
+
+/**
+ * Expand a recurrence rule into occurrence dates
+ * @param {string} startDate - First possible date (YYYY-MM-DD)
+ * @param {Object} rule - Recurrence rule (see top of file)
+ * @returns {string[]} Sorted YYYY-MM-DD dates
+ * @throws {RangeError} If startDate isn't a YYYY-MM-DD date (the loops below would never end),
+ *   or an `until` rule runs past MAX_OCCURRENCES dates
+ */
+function expandRecurrence(startDate, rule) {
+    if (!isValidDateStr(startDate)) {
+        throw new RangeError(`Invalid start date: ${startDate}`);
+    }
+    const start = parseDate(startDate);
+    const until = rule.until ? parseDate(rule.until) : null;
+    // One past the cap for `until` rules, to tell one that ends in time from one that doesn't
+    const limit = rule.count ? Math.min(rule.count, MAX_OCCURRENCES) : MAX_OCCURRENCES + 1;
+    const interval = rule.interval || 1;
+    const dates = [];
+
+    const inRange = date => date >= start && (!until || date <= until);
+    const pastEnd = date => (until && date > until) || dates.length >= limit;
+
+    if (rule.frequency === 'weekly') {
+        // Weeks start on Monday, matching the calendar grid
+        const mondayIndex = weekday => (weekday + 6) % 7;
+        const weekdays = [...new Set(rule.weekdays)].sort((a, b) => mondayIndex(a) - mondayIndex(b));
+        const mondayOffset = mondayIndex(start.getUTCDay());
+        let weekStart = new Date(start.getTime() - mondayOffset * DAY_MS);
+
+        while (!pastEnd(weekStart)) {
+            for (const weekday of weekdays) {
+                const date = new Date(weekStart.getTime() + mondayIndex(weekday) * DAY_MS);
+                if (pastEnd(date)) break;
+                if (inRange(date)) dates.push(formatDate(date));
+            }
+            weekStart = new Date(weekStart.getTime() + 7 * interval * DAY_MS);
+        }
+        return withinCap(dates);
+    }
+
+    let year = start.getUTCFullYear();
+    let month = start.getUTCMonth();
+    // Stop when the month itself starts past the end date
+    while (!pastEnd(new Date(Date.UTC(year, month, 1)))) {
+        const date = nthWeekdayOfMonth(year, month, rule.weekday, rule.weekOfMonth);
+        if (date && inRange(date)) {
+            if (pastEnd(date)) break;
+            dates.push(formatDate(date));
+        }
+        month += interval;
+        year += Math.floor(month / 12);
+        month %= 12;
+    }
+    return withinCap(dates);
+}
+
+/**
+ * Refuse a series longer than MAX_OCCURRENCES rather than cut it short
+ */
+function withinCap(dates) {
+    if (dates.length > MAX_OCCURRENCES) {
+        throw new RangeError(`A series can have at most ${MAX_OCCURRENCES} occurrences; choose an earlier end date`);
+    }
+    return dates;
+}
+
+/**
+ * Copy a rule so it ends on a fixed date instead of after a count
+ */
+function endRuleOn(rule, until) {
+    const ended = { ...rule, until };
+    delete ended.count;
+    return ended;
+}
+
+module.exports = {
+    MAX_OCCURRENCES,
+    validateRecurrenceRule,
+    expandRecurrence,
+    endRuleOn,
+    addDays,
+    utcToday,
+    isValidDateStr
+};
@@ -0,0 +1,173 @@
+/**
+ * Spreadsheet reading and writing
+ * Reads CSV or XLSX (first worksheet) into records keyed by column, using a
+ * header row whose names are matched case-insensitively against known aliases,
+ * and writes CSV for report exports.
+ */
+
+const ExcelJS = require('exceljs');
+
+// XLSX files are zip archives
+const ZIP_SIGNATURE = Buffer.from([0x50, 0x4b, 0x03, 0x04]);
+
+/**
+ * Detect the file format from its content
+ * @returns {string} 'xlsx' or 'csv'
+ */
+function detectFormat(buffer) {
+    return buffer.subarray(0, 4).equals(ZIP_SIGNATURE) ? 'xlsx' : 'csv';
+}
+
+/**
+ * Parse CSV text into rows of cells (RFC 4180 quoting; ',' or ';' delimited)
+ * Excel in many locales saves ';'-separated files, so the delimiter is taken
+ * from whichever appears more often in the header line.
+ */
+function parseCsv(text) {
+    const content = text.replace(/^\uFEFF/, '');
+    const headerLine = content.split(/\r?\n/, 1)[0];
+    const delimiter = (headerLine.split(';').length > headerLine.split(',').length) ? ';' : ',';
+
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+
+    for (let i = 0; i < content.length; i++) {
+        const char = content[i];
+
+        if (quoted) {
+            if (char === '"' && content[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === delimiter) {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && content[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+
+    if (cell !== '' || row.length > 0) {
+        row.push(cell);
+        rows.push(row);
+    }
+    return rows;
+}
+
+/**
+ * Plain value of an XLSX cell (formulas give their result, rich text its text)
+ * Date cells become YYYY-MM-DD.
+ */
+function cellText(value) {
+    if (value === null || value === undefined) return '';
+    if (value instanceof Date) return value.toISOString().split('T')[0];
+    if (typeof value === 'object') {
+        if (value.richText) return value.richText.map(part => part.text).join('');
+        if (value.result !== undefined) return cellText(value.result);
+        if (value.text !== undefined) return cellText(value.text);
+        return '';
+    }
+    return String(value);
+}
+
+/**
+ * Parse the first worksheet of an XLSX file into rows of cells
+ */
+async function parseXlsx(buffer) {
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(buffer);
+
+    const worksheet = workbook.worksheets[0];
+    if (!worksheet) return [];
+
+    const rows = [];
+    worksheet.eachRow({ includeEmpty: true }, (row, rowNumber) => {
+        // row.values is 1-based
+        rows[rowNumber - 1] = row.values.slice(1).map(cellText);
+    });
+    return Array.from(rows, row => row || []);
+}
+
+function normalizeHeader(header) {
+    return header.trim().toLowerCase().replace(/[\s_-]+/g, ' ');
+}
+
+/**
+ * Parse a spreadsheet into records
+ * @param {Buffer} buffer - File content
+ * @param {Object} columns - { key: [header aliases] }, e.g. { peopleCount: ['people', 'headcount'] }
+ * @returns {Promise<Object>} { records: [{ row, values }], unknownHeaders, missingColumns }
+ *   row is the 1-based spreadsheet row number; blank rows are skipped
+ */
+async function parseSpreadsheet(buffer, columns) {
+    const rows = detectFormat(buffer) === 'xlsx'
+        ? await parseXlsx(buffer)
+        : parseCsv(buffer.toString('utf8'));
+
+    const [headerRow = [], ...dataRows] = rows;
+    const aliases = {};
+    Object.entries(columns).forEach(([key, names]) => {
+        names.forEach(name => { aliases[normalizeHeader(name)] = key; });
+    });
+
+    const keys = headerRow.map(header => aliases[normalizeHeader(String(header))] || null);
+    const unknownHeaders = headerRow.filter((header, i) => String(header).trim() && !keys[i]);
+    const missingColumns = Object.keys(columns).filter(key => !keys.includes(key));
+
+    const records = [];
+    dataRows.forEach((cells, index) => {
+        if (cells.every(cell => !String(cell).trim())) return;
+
+        const values = {};
+        keys.forEach((key, i) => {
+            if (key) values[key] = String(cells[i] ?? '').trim();
+        });
+        records.push({ row: index + 2, values });
+    });
+
+    return { records, unknownHeaders, missingColumns };
+}
+
+/**
+ * Quote a CSV cell when needed
+ * Text starting with =, +, - or @ is prefixed with ' so spreadsheet apps don't
+ * run it as a formula (names come from users).
+ */
+function csvCell(value) {
+    if (value === null || value === undefined) return '';
+    let text = String(value);
+    if (typeof value === 'string' && /^[=+\-@]/.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Format rows as CSV (CRLF line endings, as Excel expects)
+ * @param {string[]} headers - Header row
+ * @param {Array[]} rows - Cell values
+ */
+function formatCsv(headers, rows) {
+    return [headers, ...rows].map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+    detectFormat,
+    parseCsv,
+    parseSpreadsheet,
+    formatCsv
+};
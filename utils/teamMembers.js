@@ -0,0 +1,116 @@
+/**
+ * Team Rosters
+ *
+ * The people on each team (team_members). Once a team has members, its
+ * member_count is their number and a booking can't be for more people than
+ * that; teams without a roster keep the count entered by hand. Members are
+ * added one by one or synced from the manager's Azure AD direct reports,
+ * which the browser reads from Microsoft Graph (public/auth.js).
+ */
+
+const { teamsRepo, teamMembersRepo } = require('../repositories');
+
+const MEMBER_SOURCES = { MANUAL: 'manual', AZURE: 'azure' };
+
+function normalizeMemberEmail(email) {
+    return (email || '').trim().toLowerCase();
+}
+
+/**
+ * A team's members, by name
+ */
+function listMembers(teamId) {
+    return teamMembersRepo.find({ team_id: teamId }, { orderBy: 'name' });
+}
+
+/**
+ * Number of people on a team's roster (0 when it has none)
+ */
+async function countMembers(teamId) {
+    const members = await teamMembersRepo.find({ team_id: teamId }, { fields: 'id' });
+    return members.length;
+}
+
+/**
+ * Set member_count to the roster size (left alone when the roster is empty)
+ * @returns {Promise<Object|null>} The updated team, or null if it didn't change
+ */
+async function syncMemberCount(teamId) {
+    const count = await countMembers(teamId);
+    if (count === 0) return null;
+
+    const team = await teamsRepo.findById(teamId, { fields: 'member_count' });
+    if (!team || team.member_count === count) return null;
+    return teamsRepo.updateById(teamId, { member_count: count });
+}
+
+/**
+ * Message for a booking with more people than the team's roster of memberCount
+ */
+function rosterSizeMessage(teamName, memberCount, peopleCount) {
+    return `${teamName} has ${memberCount} member${memberCount === 1 ? '' : 's'}, so it can't book for ${peopleCount} people`;
+}
+
+/**
+ * Why a booking for peopleCount people is more than the team has, or null
+ */
+async function rosterSizeError(teamId, peopleCount) {
+    const count = await countMembers(teamId);
+    if (count === 0 || parseInt(peopleCount) <= count) return null;
+
+    const team = await teamsRepo.findById(teamId, { fields: 'name' });
+    return rosterSizeMessage(team?.name || teamId, count, peopleCount);
+}
+
+/**
+ * Make the team's Azure AD members match the manager's direct reports
+ * Reports without an email address are skipped; members added by hand are kept,
+ * and one that is also a report stays a manual member.
+ * @param {string} teamId
+ * @param {Object[]} reports - Graph users ({ id, displayName, mail, jobTitle })
+ * @returns {Promise<Object>} { added, updated, removed } rows
+ */
+async function syncDirectReports(teamId, reports) {
+    const current = await teamMembersRepo.find({ team_id: teamId });
+    const byEmail = new Map(current.map(member => [member.email, member]));
+    const seen = new Set();
+    const added = [];
+    const updated = [];
+
+    for (const report of reports) {
+        const email = normalizeMemberEmail(report.mail);
+        if (!email || seen.has(email)) continue;
+        seen.add(email);
+
+        const values = { name: report.displayName || email, job_title: report.jobTitle || null, azure_id: report.id || null };
+        const existing = byEmail.get(email);
+        if (!existing) {
+            added.push(await teamMembersRepo.create({
+                id: `${Date.now()}${added.length}`,
+                team_id: teamId,
+                email,
+                source: MEMBER_SOURCES.AZURE,
+                ...values
+            }));
+        } else if (existing.source === MEMBER_SOURCES.AZURE &&
+            Object.entries(values).some(([column, value]) => existing[column] !== value)) {
+            updated.push({ before: existing, after: await teamMembersRepo.updateById(existing.id, values) });
+        }
+    }
+
+    const gone = current.filter(member => member.source === MEMBER_SOURCES.AZURE && !seen.has(member.email));
+    const removed = gone.length > 0 ? await teamMembersRepo.remove({ id: { in: gone.map(m => m.id) } }) : [];
+
+    return { added, updated, removed };
+}
+
+module.exports = {
+    MEMBER_SOURCES,
+    normalizeMemberEmail,
+    listMembers,
+    countMembers,
+    syncMemberCount,
+    rosterSizeMessage,
+    rosterSizeError,
+    syncDirectReports
+};
@@ -0,0 +1,118 @@
+/**
+ * Time-slot helpers for desk bookings
+ *
+ * Desk bookings can cover the full day, a half day or a custom hourly range.
+ * Times are handled as minutes since midnight internally and stored as HH:MM.
+ * A booking with no start/end time covers the location's full opening hours.
+ */
+
+const DEFAULT_OPENING_TIME = '08:00';
+const DEFAULT_CLOSING_TIME = '18:00';
+// Morning slots end and afternoon slots start at midday
+const MIDDAY = 12 * 60;
+const SLOTS = ['full', 'am', 'pm', 'custom'];
+
+/**
+ * Parse HH:MM (or HH:MM:SS from Postgres TIME columns) into minutes since midnight
+ * @returns {number|null} Minutes, or null if the value isn't a valid time
+ */
+function parseTime(value) {
+    if (typeof value !== 'string') return null;
+    const match = /^(\d{2}):(\d{2})(?::\d{2})?$/.exec(value);
+    if (!match) return null;
+    const hours = Number(match[1]);
+    const minutes = Number(match[2]);
+    if (hours > 24 || minutes > 59 || (hours === 24 && minutes > 0)) return null;
+    return hours * 60 + minutes;
+}
+
+/**
+ * Format minutes since midnight as HH:MM
+ */
+function formatTime(minutes) {
+    const hours = Math.floor(minutes / 60);
+    return `${String(hours).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Get a location's opening hours in minutes, falling back to the defaults
+ */
+function getOpeningHours(location) {
+    const open = parseTime(location?.opening_time);
+    const close = parseTime(location?.closing_time);
+    return {
+        open: open ?? parseTime(DEFAULT_OPENING_TIME),
+        close: close ?? parseTime(DEFAULT_CLOSING_TIME)
+    };
+}
+
+/**
+ * Resolve a requested slot into a time range within the opening hours
+ * @param {Object} request - { slot, startTime, endTime }; slot defaults to 'full'
+ * @param {Object} hours - { open, close } in minutes
+ * @returns {Object} { start, end, fullDay } in minutes, or { error }
+ */
+function resolveSlot(request, hours) {
+    const slot = request.slot || (request.startTime || request.endTime ? 'custom' : 'full');
+
+    if (!SLOTS.includes(slot)) {
+        return { error: 'Slot must be one of: full, am, pm, custom' };
+    }
+    if (slot === 'full') {
+        return { start: hours.open, end: hours.close, fullDay: true };
+    }
+    if (slot === 'am' || slot === 'pm') {
+        if (hours.open >= MIDDAY || hours.close <= MIDDAY) {
+            return { error: 'Half-day slots are not available at this location' };
+        }
+        return slot === 'am'
+            ? { start: hours.open, end: MIDDAY, fullDay: false }
+            : { start: MIDDAY, end: hours.close, fullDay: false };
+    }
+
+    const start = parseTime(request.startTime);
+    const end = parseTime(request.endTime);
+    if (start === null || end === null) {
+        return { error: 'Custom slots need a startTime and endTime in HH:MM format' };
+    }
+    if (start % 60 !== 0 || end % 60 !== 0) {
+        return { error: 'Custom slots must start and end on the hour' };
+    }
+    if (start >= end) {
+        return { error: 'startTime must be before endTime' };
+    }
+    if (start < hours.open || end > hours.close) {
+        return { error: `Bookings must be within opening hours (${formatTime(hours.open)}-${formatTime(hours.close)})` };
+    }
+    return { start, end, fullDay: start === hours.open && end === hours.close };
+}
+
+/**
+ * Get the time range a stored booking covers (NULL times mean the full day)
+ */
+function bookingRange(booking, hours) {
+    const start = parseTime(booking.start_time);
+    const end = parseTime(booking.end_time);
+    return {
+        start: start ?? hours.open,
+        end: end ?? hours.close
+    };
+}
+
+/**
+ * Check whether two half-open [start, end) ranges overlap
+ */
+function rangesOverlap(a, b) {
+    return a.start < b.end && b.start < a.end;
+}
+
+module.exports = {
+    DEFAULT_OPENING_TIME,
+    DEFAULT_CLOSING_TIME,
+    parseTime,
+    formatTime,
+    getOpeningHours,
+    resolveSlot,
+    bookingRange,
+    rangesOverlap
+};
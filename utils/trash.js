@@ -0,0 +1,148 @@
+/**
+ * Trash
+ *
+ * Deleted bookings, teams and locations stay in the trash
+ * (repositories/softDelete.js) until they are restored or, after the
+ * retention period, purged (jobs/trashPurge.js). Everything one request
+ * deletes shares a deleted_at, so a team or location comes back with the
+ * bookings deleted along with it, and a series with its cancelled occurrences.
+ */
+
+const { bookingsRepo, bookingSeriesRepo, teamsRepo, locationsRepo } = require('../repositories');
+const { reviveCancellations } = require('./calendarFeeds');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_RETENTION_DAYS = 30;
+
+// Why a booking can't leave the trash
+const RESTORE_CONFLICTS = {
+    team_deleted: 'Its team is in the trash',
+    location_deleted: 'Its location is in the trash',
+    duplicate: 'The team has booked that day again',
+    capacity: 'The day no longer has room for it'
+};
+
+/**
+ * Days an item stays in the trash before it is purged (TRASH_RETENTION_DAYS)
+ */
+function trashRetentionDays() {
+    return Number(process.env.TRASH_RETENTION_DAYS) || DEFAULT_RETENTION_DAYS;
+}
+
+/**
+ * Options for trash(): who deleted and one timestamp for the whole request
+ */
+function trashOptions(req) {
+    return { deletedBy: req.user?.email || null, deletedAt: new Date().toISOString() };
+}
+
+/**
+ * Whether two deleted_at values are the same moment (drivers return strings or Dates)
+ */
+function sameTime(a, b) {
+    return !!a && !!b && new Date(a).getTime() === new Date(b).getTime();
+}
+
+/**
+ * Restore the given bookings from the trash, earliest first
+ * Each is re-checked under the day's lock (bookingsRepo.restoreAtomic); bookings
+ * that conflict with what was booked since stay in the trash.
+ * @param {Object[]} bookings - Rows in the trash
+ * @returns {Promise<Object>} { restored: [{ before, after }], skipped: [{ booking, reason }] }
+ */
+async function restoreBookings(bookings) {
+    const restored = [];
+    const skipped = [];
+
+    for (const booking of [...bookings].sort((a, b) => a.date.localeCompare(b.date))) {
+        const { booking: after, reason } = await bookingsRepo.restoreAtomic(booking.id);
+        if (after) {
+            restored.push({ before: booking, after });
+        } else if (reason !== 'not_found') {
+            skipped.push({ booking, reason });
+        }
+    }
+
+    const revived = await reviveCancellations('bookings', restored.map(r => r.after));
+    revived.forEach((row, i) => { restored[i].after = row; });
+    return { restored, skipped };
+}
+
+/**
+ * Skipped bookings as the API reports them
+ */
+function skippedSummary(skipped) {
+    return skipped.map(({ booking, reason }) => ({
+        id: booking.id,
+        date: booking.date,
+        teamName: booking.team_name,
+        reason: RESTORE_CONFLICTS[reason]
+    }));
+}
+
+/**
+ * Everything in the trash, most recently deleted first
+ * Bookings deleted along with their team or location are counted on it
+ * (bookingCount) instead of being listed, since they come back with it.
+ */
+async function listTrash() {
+    const byDeletedAt = (a, b) => new Date(b.deleted_at) - new Date(a.deleted_at);
+    const [locations, teams, bookings] = await Promise.all([
+        locationsRepo.findTrashed(),
+        teamsRepo.findTrashed(),
+        bookingsRepo.findTrashed()
+    ]);
+
+    const parents = [
+        ...locations.map(row => ({ row, column: 'location_id' })),
+        ...teams.map(row => ({ row, column: 'team_id' }))
+    ];
+    const counts = new Map(parents.map(({ row }) => [row, 0]));
+    const ownBookings = bookings.filter(booking => {
+        const parent = parents.find(({ row, column }) => booking[column] === row.id && sameTime(booking.deleted_at, row.deleted_at));
+        if (parent) counts.set(parent.row, counts.get(parent.row) + 1);
+        return !parent;
+    });
+
+    const withCount = rows => rows.sort(byDeletedAt).map(row => ({ ...row, booking_count: counts.get(row) }));
+    return {
+        locations: withCount(locations),
+        teams: withCount(teams),
+        bookings: ownBookings.sort(byDeletedAt)
+    };
+}
+
+/**
+ * Delete for good everything that has been in the trash longer than the retention period
+ * Removing a team or location also removes the rest of its rows (desks, floor
+ * plan, desk bookings, series); a series goes once its last booking has.
+ * The audit log already recorded each deletion when the item went to the trash.
+ * @param {Object} options - { retentionDays, now (injectable for tests) }
+ * @returns {Promise<Object>} Number of bookings, teams and locations purged
+ */
+async function purgeTrash({ retentionDays, now = new Date() }) {
+    const deletedBefore = { deleted_at: { lt: new Date(now.getTime() - retentionDays * DAY_MS).toISOString() } };
+
+    const bookings = await bookingsRepo.remove(deletedBefore);
+    const teams = await teamsRepo.remove(deletedBefore);
+    const locations = await locationsRepo.remove(deletedBefore);
+
+    const seriesIds = [...new Set(bookings.map(b => b.series_id).filter(Boolean))];
+    if (seriesIds.length > 0) {
+        const left = await bookingsRepo.find({ series_id: { in: seriesIds } }, { fields: 'series_id', withDeleted: true });
+        const empty = seriesIds.filter(id => !left.some(b => b.series_id === id));
+        if (empty.length > 0) await bookingSeriesRepo.remove({ id: { in: empty } });
+    }
+
+    return { bookings: bookings.length, teams: teams.length, locations: locations.length };
+}
+
+module.exports = {
+    RESTORE_CONFLICTS,
+    trashRetentionDays,
+    trashOptions,
+    restoreBookings,
+    skippedSummary,
+    listTrash,
+    purgeTrash
+};
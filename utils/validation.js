@@ -0,0 +1,159 @@
+/**
+ * Input rules for team bookings and desks
+ * Shared by the API routes and spreadsheet imports so both reject the same input
+ * with the same messages.
+ */
+
+const { isValidDateStr } = require('./recurrence');
+
+const DESK_TYPES = ['hotseat', 'team_seat', 'unavailable'];
+
+// What a desk can offer (desks.amenities); desk suggestions can require them
+const DESK_AMENITIES = ['dual_monitors', 'standing_desk', 'docking_station', 'accessible', 'quiet_zone'];
+
+// Kinds of docking station (desks.docking_type), for desks with the docking_station amenity
+const DOCKING_TYPES = ['usb_c', 'thunderbolt', 'usb_a', 'hdmi'];
+
+// What a bookable meeting room can have (floor_elements.equipment)
+const ROOM_EQUIPMENT = ['screen', 'video_conferencing', 'whiteboard', 'projector', 'phone'];
+
+function isPositiveInteger(value) {
+    const number = Number(value);
+    return Number.isInteger(number) && number > 0;
+}
+
+/**
+ * Check the fields of a new team booking
+ * @returns {string|null} Error message, or null when valid
+ */
+function validateBookingFields({ date, teamId, peopleCount, locationId }) {
+    if (!date || !teamId || !peopleCount || !locationId) {
+        return 'Missing required fields';
+    }
+    if (!isValidDateStr(date)) {
+        return 'Date must be in YYYY-MM-DD format';
+    }
+    if (!isPositiveInteger(peopleCount)) {
+        return 'People count must be a whole number of at least 1';
+    }
+    return null;
+}
+
+/**
+ * Message for a booking the create_team_booking database function refused
+ * @param {string} reason - 'invalid_location', 'duplicate' or 'capacity'
+ * @param {Object} details - { teamName, remaining }
+ */
+function bookingRejectionMessage(reason, { teamName, remaining } = {}) {
+    switch (reason) {
+        case 'invalid_location':
+            return 'Invalid location';
+        case 'duplicate':
+            return `${teamName} already has a booking for this date`;
+        case 'capacity':
+            return `Exceeds capacity (${remaining} spots available). Please provide a note explaining the overbooking.`;
+        default:
+            return 'Booking could not be created';
+    }
+}
+
+/**
+ * Check a list of desk amenities
+ * @returns {string|null} Error message, or null when valid (or not given)
+ */
+function validateDeskAmenities(amenities) {
+    if (amenities === undefined) return null;
+    if (!Array.isArray(amenities) || amenities.some(amenity => !DESK_AMENITIES.includes(amenity))) {
+        return `Amenities must be a list of: ${DESK_AMENITIES.join(', ')}`;
+    }
+    return null;
+}
+
+/**
+ * Check a desk's docking type, and that a desk saved with one has a docking station
+ * @param {string|null} [dockingType]
+ * @param {string[]} [amenities] - The desk's amenities, when they're being saved too
+ * @returns {string|null} Error message, or null when valid (or not given)
+ */
+function validateDockingType(dockingType, amenities) {
+    if (dockingType === undefined || dockingType === null || dockingType === '') return null;
+    if (!DOCKING_TYPES.includes(dockingType)) {
+        return `Docking type must be one of: ${DOCKING_TYPES.join(', ')}`;
+    }
+    if (Array.isArray(amenities) && !amenities.includes('docking_station')) {
+        return 'Only desks with the docking_station amenity can have a docking type';
+    }
+    return null;
+}
+
+/**
+ * Check the fields of a new desk
+ * @returns {string|null} Error message, or null when valid
+ */
+function validateDeskFields(fields) {
+    if (!fields.name || !fields.locationId) {
+        return 'Name and location are required';
+    }
+    return validateDeskChanges(fields);
+}
+
+/**
+ * Check the fields given to create or change a desk (missing ones are left alone)
+ * @param {string[]} [currentAmenities] - The desk's amenities, for a docking type sent without them
+ * @returns {string|null} Error message, or null when valid
+ */
+function validateDeskChanges({ name, deskType, x, y, width, height, amenities, dockingType }, currentAmenities = []) {
+    if (name !== undefined && (typeof name !== 'string' || !name.trim())) {
+        return 'Name cannot be empty';
+    }
+    if (deskType && !DESK_TYPES.includes(deskType)) {
+        return `Desk type must be one of: ${DESK_TYPES.join(', ')}`;
+    }
+    for (const [field, value] of Object.entries({ x, y })) {
+        if (value !== undefined && value !== null && value !== '' && !Number.isFinite(Number(value))) {
+            return `${field} must be a number`;
+        }
+    }
+    for (const [field, value] of Object.entries({ width, height })) {
+        if (value !== undefined && value !== null && value !== '' && !isPositiveInteger(value)) {
+            return `${field} must be a whole number of at least 1`;
+        }
+    }
+    return validateDeskAmenities(amenities) || validateDockingType(dockingType, amenities || currentAmenities);
+}
+
+/**
+ * Check the meeting room fields of a floor element
+ * @param {Object} fields - { bookable, capacity, equipment }
+ * @param {string} type - The element's type (only rooms can be bookable)
+ * @returns {string|null} Error message, or null when valid (or not given)
+ */
+function validateRoomFields({ bookable, capacity, equipment }, type) {
+    if (bookable !== undefined && typeof bookable !== 'boolean') {
+        return 'bookable must be true or false';
+    }
+    if (bookable && type !== 'room') {
+        return 'Only rooms can be bookable';
+    }
+    if (capacity !== undefined && capacity !== null && !isPositiveInteger(capacity)) {
+        return 'Capacity must be a whole number of at least 1';
+    }
+    if (equipment !== undefined && (!Array.isArray(equipment) || equipment.some(item => !ROOM_EQUIPMENT.includes(item)))) {
+        return `Equipment must be a list of: ${ROOM_EQUIPMENT.join(', ')}`;
+    }
+    return null;
+}
+
+module.exports = {
+    DESK_TYPES,
+    DESK_AMENITIES,
+    DOCKING_TYPES,
+    ROOM_EQUIPMENT,
+    validateBookingFields,
+    bookingRejectionMessage,
+    validateDeskAmenities,
+    validateDockingType,
+    validateDeskFields,
+    validateDeskChanges,
+    validateRoomFields
+};